@@ -15,7 +15,7 @@ export default [
   },
   {
     // Main configuration for source files
-    files: ['src/**/*.js', 'tests/**/*.js'],
+    files: ['src/**/*.js', 'tests/**/*.js', 'tools/**/*.mjs'],
     languageOptions: {
       ecmaVersion: 2022,
       sourceType: 'module',
@@ -43,9 +43,15 @@ export default [
         Headers: 'readonly',
         Request: 'readonly',
         Response: 'readonly',
+        AbortController: 'readonly',
+        TextEncoder: 'readonly',
+        crypto: 'readonly',
+        indexedDB: 'readonly',
+        IDBKeyRange: 'readonly',
         // Web Audio API
         AudioContext: 'readonly',
         webkitAudioContext: 'readonly',
+        AudioWorkletNode: 'readonly',
         AudioWorkletProcessor: 'readonly',
         registerProcessor: 'readonly',
         OfflineAudioContext: 'readonly',
@@ -247,5 +253,15 @@ export default [
         exports: 'readonly'
       }
     }
+  },
+  {
+    // Node command-line tools
+    files: ['tools/**/*.mjs'],
+    languageOptions: {
+      globals: {
+        process: 'readonly',
+        Buffer: 'readonly'
+      }
+    }
   }
 ];
@@ -0,0 +1,174 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * ALARMS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Connects the alarm rule engine (metering/alarms.js) to its card
+ * (ui/alarm-panel.js) and to the stored settings.
+ *
+ * SNAPSHOTS
+ * ─────────
+ *   updateAlarms() receives an AlarmSnapshot from the measure loop (local
+ *   capture) or from bootstrap (remote probe, live only). The card is
+ *   redrawn when an alarm starts or ends.
+ *
+ * SETTINGS
+ * ────────
+ *   Rule changes from the card are stored as overrides (appState
+ *   'alarmRules'); overrides that no longer validate are dropped at start-up
+ *   with a warning. With 'alarmAudible' set, a starting alarm plays a short
+ *   1 kHz beep straight to the output, never through the analysis bus.
+ *
+ * @module app/alarm-session
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { AlarmEngine, createAlarmRules } from '../metering/alarms.js';
+import { AlarmPanel } from '../ui/alarm-panel.js';
+import { appState } from './state.js';
+import { dbToGain } from './helpers.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MODULE STATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Rule engine; evaluates snapshots from start-up, before the card exists */
+const alarmEngine = new AlarmEngine({ rules: loadAlarmRules() });
+
+/** @type {AlarmPanel|null} */
+let alarmPanel = null;
+/** @type {AudioContext|null} Context the beep is played on */
+let audioContext = null;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INITIALISATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Create the alarm card and wire its controls.
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.dom - DOM element references { rulesEl, logEl, bannerEl, summaryEl, audibleEl, clearLogEl }
+ * @param {AudioContext} deps.audioContext - Context for the audible alarm
+ */
+export function initAlarmSession({ dom, audioContext: context }) {
+  audioContext = context;
+
+  alarmPanel = new AlarmPanel(
+    { rulesEl: dom.rulesEl, logEl: dom.logEl, bannerEl: dom.bannerEl, summaryEl: dom.summaryEl },
+    setAlarmRule
+  );
+  alarmPanel.setRules(alarmEngine.rules);
+  renderAlarms();
+
+  const { audibleEl, clearLogEl } = dom;
+  if (audibleEl) {
+    audibleEl.checked = appState.get('alarmAudible');
+    audibleEl.onchange = () => {
+      appState.set({ alarmAudible: audibleEl.checked });
+    };
+  }
+  if (clearLogEl) {
+    clearLogEl.onclick = () => {
+      alarmEngine.clearLog();
+      renderAlarms();
+    };
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PUBLIC API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Evaluate the alarm rules against a snapshot from the measure loop or a
+ * remote probe, redraw on any change and beep when an alarm starts.
+ * @param {import('../metering/alarms.js').AlarmSnapshot} snapshot
+ */
+export function updateAlarms(snapshot) {
+  const changed = alarmEngine.update(snapshot, Date.now());
+  if (changed.length === 0) return;
+
+  renderAlarms();
+  if (appState.get('alarmAudible') && changed.some(event => event.end === null)) {
+    playAlarmBeep();
+  }
+}
+
+/**
+ * @returns {import('../metering/alarms.js').AlarmEvent[]} Alarm events of the session (for the report)
+ */
+export function getAlarmLog() {
+  return alarmEngine.getLog();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PRIVATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Build the alarm rules from the stored overrides. Overrides that no longer
+ * validate are dropped with a warning rather than breaking start-up.
+ * @returns {Readonly<import('../metering/alarms.js').AlarmRule>[]}
+ */
+function loadAlarmRules() {
+  try {
+    return createAlarmRules(appState.get('alarmRules'));
+  } catch (error) {
+    console.warn('[Alarms] Ignoring stored rule overrides:', error instanceof Error ? error.message : error);
+    return createAlarmRules();
+  }
+}
+
+/**
+ * Change one rule from the alarm panel and persist the override.
+ * @param {string} ruleId - Rule identifier
+ * @param {Object} fields - Changed rule fields
+ */
+function setAlarmRule(ruleId, fields) {
+  const stored = appState.get('alarmRules');
+  const overrides = { ...stored, [ruleId]: { ...stored[ruleId], ...fields } };
+  let rules;
+  try {
+    rules = createAlarmRules(overrides);
+  } catch (error) {
+    console.warn('[Alarms]', error instanceof Error ? error.message : error);
+    if (alarmPanel) alarmPanel.setRules(alarmEngine.rules);
+    return;
+  }
+  appState.set({ alarmRules: overrides });
+  alarmEngine.setRules(rules, Date.now());
+  renderAlarms();
+}
+
+function renderAlarms() {
+  if (alarmPanel) alarmPanel.render(alarmEngine.getActive(), alarmEngine.getLog());
+}
+
+/**
+ * Short 1 kHz beep straight to the output (bypasses the analysis bus, so
+ * it is never metered).
+ */
+function playAlarmBeep() {
+  if (!audioContext) return;
+  const osc = audioContext.createOscillator();
+  const gain = audioContext.createGain();
+  osc.frequency.value = 1000;
+  gain.gain.value = dbToGain(-20);
+  osc.connect(gain).connect(audioContext.destination);
+  osc.start();
+  osc.stop(audioContext.currentTime + 0.2);
+  osc.onended = () => gain.disconnect();
+}
@@ -27,19 +27,32 @@ console.log('%c[TSG] Bootstrap v2024-12-08-B loaded', 'color: lime; font-weight:
 import { Goniometer } from '../ui/goniometer.js';
 import { CorrelationMeter } from '../ui/correlation-meter.js';
 import { LoudnessRadar } from '../ui/radar.js';
-import { LUFSMeter, formatLUFS } from '../metering/lufs.js';
+import { LUFSMeter, findEBUModeScale, formatLoudness } from '../metering/lufs.js';
 import { TruePeakMeter, formatTruePeak } from '../metering/true-peak.js';
-import { PPMMeter, formatPPM } from '../metering/ppm.js';
-import { StereoMeter, formatCorrelation } from '../metering/correlation.js';
+import { PPMMeter, findPPMStandard } from '../metering/ppm.js';
+import { NoiseMeter } from '../metering/noise.js';
+import { StereoMeter } from '../metering/correlation.js';
+import { DEFAULT_CHANNEL_LAYOUT, getChannelLayout, getLayoutWeights } from '../metering/channel-layout.js';
+import { evaluateCompliance } from '../metering/compliance.js';
 // Centralised state management
 import { appState, InputMode } from './state.js';
+// Delivery profiles (built-in and user-defined)
+import {
+  listComplianceProfiles,
+  findComplianceProfile,
+  isUserComplianceProfile,
+  saveUserComplianceProfile,
+  deleteUserComplianceProfile
+} from './compliance-profiles.js';
 // Source controller (prepared for phased integration)
 import { SourceController, SignalType, RoutingMode } from './sources.js';
+import { MeterWorklet } from '../audio/meter-worklet.js';
 // Stereo analysis widgets
 import { StereoAnalysisEngine } from '../ui/stereo-analysis.js';
 import { WidthMeter } from '../ui/width-meter.js';
 import { RotationMeter } from '../ui/rotation-meter.js';
 import { SpectrumAnalyzer } from '../ui/spectrum.js';
+import { Spectrogram } from '../ui/spectrogram.js';
 import { MSMeter } from '../ui/ms-meter.js';
 import { BalanceMeter } from '../ui/balance-meter.js';
 // Bar meters
@@ -48,11 +61,11 @@ import { drawHBar_DBFS, drawDiodeBar_TP, drawHBar_PPM, layoutDBFSScale, layoutTP
 // Signal generation itself handled by SourceController
 import { getPresetConfig as getPresetConfigFromModule } from '../generators/index.js';
 // Measure loop (20 Hz) - extracted from bootstrap
-import { initMeasureLoop, startMeasureLoop, stopMeasureLoop } from './measure-loop.js';
+import { initMeasureLoop, startMeasureLoop, stopMeasureLoop, pushMeterBlock, pauseIntegration, startIntegration, isIntegrationPaused } from './measure-loop.js';
 // Render loop (60 Hz) - extracted from bootstrap
 import { initRenderLoop, startRenderLoop, stopRenderLoop } from './render-loop.js';
 // Shared meter state between measureLoop and renderLoop
-import { meterState, resetMeterState, resetRemoteMeterState, MEASURE_INTERVAL_MS, TP_PEAK_HOLD_SEC, PPM_PEAK_HOLD_SEC, FRAME_HOLD_THRESHOLD } from './meter-state.js';
+import { meterState, resetMeterState, resetRemoteMeterState, getElapsedSeconds, trackTruePeakMax, recordSessionLoudness, accumulateTimeline, MEASURE_INTERVAL_MS, TP_PEAK_HOLD_SEC, PPM_PEAK_HOLD_SEC, FRAME_HOLD_THRESHOLD } from './meter-state.js';
 // Drag and drop system - extracted from bootstrap
 import { initDragDrop, setupDragAndDrop } from './drag-drop.js';
 // Glitch debug utility - extracted from bootstrap
@@ -60,21 +73,51 @@ import { GlitchDebug } from './glitch-debug.js';
 // Transition guard for EBU pulse blanking - extracted from bootstrap
 import { TransitionGuard } from './transition-guard.js';
 // Helper functions - extracted from bootstrap
-import { dbToGain, clamp, formatDb, formatDbu, formatTime, getCss, formatCorr, loudnessColour as loudnessColourBase } from './helpers.js';
+import { clamp, formatDb, formatDbu, getCss, formatCorr, formatComplianceVerdict, loudnessColour as loudnessColourBase } from './helpers.js';
 // Layout functions - extracted from bootstrap
 import { initLayout, sizeWrap, layoutXY, layoutLoudness } from './layout.js';
 // Meter switcher (physics-based 3D carousel) - extracted from bootstrap
-import { setupMeterSwitcher } from './meter-switcher.js';
+import { setupMeterSwitcher, setMeterLabel } from './meter-switcher.js';
 // Remote metering client
 import { MetricsReceiver } from '../remote/client/index.js';
+// Session loudness timeline (view and IndexedDB history)
+import { initTimelineSession, setTimelineReference, handleTimelinePoint, clearTimeline, restoreTimeline } from './timeline-session.js';
+// Swept-sine measurement card
+import { initSweepSession, drawSweepChart } from './sweep-session.js';
+// Loop latency card
+import { initLatencySession, renderLatency } from './latency-session.js';
+// Alarm rules, card and audible alert
+import { initAlarmSession, updateAlarms } from './alarm-session.js';
+// Line-up ident card
+import { initLineupSession, updateLineup, resetLineup } from './lineup-session.js';
+// Session report export
+import { initReportSession } from './report-session.js';
+// Tone analyser card
+import { initToneSession } from './tone-session.js';
+// Line noise card
+import { initNoiseSession } from './noise-session.js';
+// Inter-channel delay card
+import { initDelaySession, resetChannelDelay } from './delay-session.js';
+// Platform normalisation table and monitor preview
+import { initNormalisationSession } from './normalisation-session.js';
+// Audio file analysis (offline R128 report)
+import { initFileAnalysisSession, analyseLoadedFile, isFileAnalysing, cancelFileAnalysis, drawProgrammeChart, refreshFileReport } from './file-analysis-session.js';
+// Metrics recording and replay
+import { initRecordingSession, bindRecordingControls, restoreRecordings, updateRecordingControls, startReplayCapture, stopReplayCapture } from './recording-session.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // CONFIGURABLE PARAMETERS
 // ─────────────────────────────────────────────────────────────────────────────
 
-// Initialise from centralised state (persisted in localStorage via appState)
-let LOUDNESS_TARGET = appState.get('targetLufs');
-let TP_LIMIT = appState.get('truePeakLimit');
+// Initialise from centralised state (persisted in localStorage via appState).
+// The delivery profile sets the loudness target and True Peak limit.
+let complianceProfile = findComplianceProfile(appState.get('complianceProfile'));
+let LOUDNESS_TARGET = complianceProfile.targetLufs;
+let TP_LIMIT = complianceProfile.truePeakMax;
+let LOUDNESS_UNIT = appState.get('loudnessUnit');
+// A stored scale this version no longer knows falls back to EBU +9
+const loudnessScale = findEBUModeScale(appState.get('loudnessScale')).id;
+if (loudnessScale !== appState.get('loudnessScale')) appState.set({ loudnessScale });
 let radarMaxSeconds = 60;
 
 const TP_SCALE_MIN = -60;
@@ -113,6 +156,8 @@ const monoDevVal = $('monoDevVal');
 const widthMeter = $('widthMeter');
 const rotationCanvas = $('rotationCanvas');
 const spectrumAnalyzer = $('spectrumAnalyzer');
+const spectrogramCard = $('spectrogramCard');
+const spectrogramCanvas = $('spectrogram');
 const msFillM = $('msFillM');
 const msFillS = $('msFillS');
 const msValueM = $('msValueM');
@@ -131,15 +176,20 @@ const ppmCanvas = $('ppmCanvas');
 const ppmScale = $('ppmScale');
 const ppmLVal = $('ppmLVal');
 const ppmRVal = $('ppmRVal');
+const ppmUnit = $('ppmUnit');
 
 // LUFS display
 const lufsM = $('lufsM');
 const lufsS = $('lufsS');
 const lufsI = $('lufsI');
 const lraEl = $('lra');
+const lufsMaxM = $('lufsMaxM');
+const lufsMaxS = $('lufsMaxS');
 const r128TpMax = $('r128TpMax');
 const r128Crest = $('r128Crest');
 const r128Time = $('r128Time');
+const r128Compliance = $('r128Compliance');
+const r128StartPause = $('r128StartPause');
 const r128Reset = $('r128Reset');
 
 // Status elements
@@ -152,12 +202,16 @@ const btnModeBrowser = $('btnModeBrowser');
 const btnModeExternal = $('btnModeExternal');
 const btnModeGenerator = $('btnModeGenerator');
 const btnModeRemote = $('btnModeRemote');
+const btnModeFile = $('btnModeFile');
+const btnModeReplay = $('btnModeReplay');
 const btnStartCapture = $('btnStartCapture');
 const btnStopCapture = $('btnStopCapture');
 const browserSourcePanel = $('browserSourcePanel');
 const externalSourcePanel = $('externalSourcePanel');
 const generatorSourcePanel = $('generatorSourcePanel');
 const remoteSourcePanel = $('remoteSourcePanel');
+const fileSourcePanel = $('fileSourcePanel');
+const replaySourcePanel = $('replaySourcePanel');
 const sourcePanelsContainer = $('sourcePanelsContainer');
 const inputSourceSummary = $('inputSourceSummary');
 
@@ -170,6 +224,25 @@ const remoteProbeList = $('remoteProbeList');
 const remoteWarning = $('remoteWarning');
 const dbgRemote = $('dbgRemote');
 
+// File analysis controls
+const fileInput = $('fileInput');
+const fileDropZone = $('fileDropZone');
+const fileNameEl = $('fileName');
+const fileDuration = $('fileDuration');
+const fileChannels = $('fileChannels');
+const fileSr = $('fileSr');
+const fileStatus = $('fileStatus');
+const fileIntegrated = $('fileIntegrated');
+const fileLra = $('fileLra');
+const fileMaxM = $('fileMaxM');
+const fileMaxS = $('fileMaxS');
+const fileTpMax = $('fileTpMax');
+const filePpmMax = $('filePpmMax');
+const fileTpChannels = $('fileTpChannels');
+const fileCorrelation = $('fileCorrelation');
+const fileCompliance = $('fileCompliance');
+const fileChart = $('fileChart');
+
 // Browser source controls
 const sysMonGainEl = $('sysMonGain');
 const sysMonVal = $('sysMonVal');
@@ -198,6 +271,7 @@ const btnMonMute = $('btnMonMute');
 
 // External device controls
 const extDeviceSelect = $('extDeviceSelect');
+const extLayoutSelect = $('extLayoutSelect');
 const btnExtRefresh = $('btnExtRefresh');
 const extMonGainEl = $('extMonGain');
 const extMonVal = $('extMonVal');
@@ -214,9 +288,150 @@ const meterSwitcher = $('meterSwitcher');
 const meterBadge = $('meterBadge');
 
 // Settings
-const targetPreset = $('targetPreset');
-const tpLimitSelect = $('tpLimit');
+const complianceProfileSelect = $('complianceProfile');
+const meteringSummary = $('meteringSummary');
+const profileName = $('profileName');
+const profileTarget = $('profileTarget');
+const profileTolerance = $('profileTolerance');
+const profileTpMax = $('profileTpMax');
+const profileMaxLra = $('profileMaxLra');
+const profileMaxS = $('profileMaxS');
+const profileGating = $('profileGating');
+const profileSpeechGated = $('profileSpeechGated');
+const profileSave = $('profileSave');
+const profileDelete = $('profileDelete');
+const profileStatus = $('profileStatus');
+const ppmStandardSelect = $('ppmStandard');
+const loudnessScaleSelect = $('loudnessScale');
+const loudnessUnitSelect = $('loudnessUnit');
 const radarSweep = $('radarSweep');
+const goniometerModeSelect = $('goniometerMode');
+const goniometerAxesSelect = $('goniometerAxes');
+const goniometerPersistenceSelect = $('goniometerPersistence');
+const goniometerZoomSelect = $('goniometerZoom');
+const goniometerAutoGainToggle = $('goniometerAutoGain');
+const spectrumResolutionSelect = $('spectrumResolution');
+const spectrumWeightingSelect = $('spectrumWeighting');
+const spectrumAveragingSelect = $('spectrumAveraging');
+const spectrumAveragingTimeSelect = $('spectrumAveragingTime');
+const spectrumPink = $('spectrumPink');
+const spectrogramVisibleToggle = $('spectrogramVisible');
+const spectrogramSpanSelect = $('spectrogramSpan');
+const spectrogramFftSizeSelect = $('spectrogramFftSize');
+const spectrogramColourMapSelect = $('spectrogramColourMap');
+
+// Alarms
+const alarmRulesEl = $('alarmRules');
+const alarmLog = $('alarmLog');
+const alarmBanner = $('alarmBanner');
+const alarmSummary = $('alarmSummary');
+const alarmAudible = $('alarmAudible');
+const alarmClearLog = $('alarmClearLog');
+
+// Loudness timeline
+const timelineCanvas = $('loudnessTimeline');
+const timelineSummary = $('timelineSummary');
+
+// Normalisation preview
+const normalisationTable = $('normalisationTable');
+const normalisationSummary = $('normalisationSummary');
+const normPreview = $('normPreview');
+
+// Line-up check
+const lineupType = $('lineupType');
+const lineupLevelL = $('lineupLevelL');
+const lineupLevelR = $('lineupLevelR');
+const lineupOrder = $('lineupOrder');
+const lineupPolarity = $('lineupPolarity');
+const lineupSummary = $('lineupSummary');
+
+// Tone analyser
+const panelTone = $('panelTone');
+const toneFrequency = $('toneFrequency');
+const toneLevelL = $('toneLevelL');
+const toneLevelR = $('toneLevelR');
+const toneDifference = $('toneDifference');
+const tonePhase = $('tonePhase');
+const toneThdnL = $('toneThdnL');
+const toneThdnR = $('toneThdnR');
+const toneSummary = $('toneSummary');
+
+// Line noise
+const panelNoise = $('panelNoise');
+const noiseCheckWeighting = $('noiseCheckWeighting');
+const noiseLimit = $('noiseLimit');
+const noise468 = $('noise468');
+const noiseArm = $('noiseArm');
+const noiseA = $('noiseA');
+const noiseMax = $('noiseMax');
+const noiseMin = $('noiseMin');
+const noiseVerdict = $('noiseVerdict');
+const noiseSummary = $('noiseSummary');
+const noiseHistory = $('noiseHistory');
+const noiseReset = $('noiseReset');
+
+// Channel delay
+const panelDelay = $('panelDelay');
+const delayValue = $('delayValue');
+const delayPolarity = $('delayPolarity');
+const delayConfidence = $('delayConfidence');
+const delaySummary = $('delaySummary');
+const delayHistory = $('delayHistory');
+
+// Sweep measurement
+const sweepStart = $('sweepStart');
+const sweepEnd = $('sweepEnd');
+const sweepDuration = $('sweepDuration');
+const sweepLevel = $('sweepLevel');
+const sweepChannel = $('sweepChannel');
+const sweepMeasure = $('sweepMeasure');
+const sweepDownload = $('sweepDownload');
+const sweepAnalyseFile = $('sweepAnalyseFile');
+const sweepFileInput = $('sweepFileInput');
+const sweepView = $('sweepView');
+const sweepChartCanvas = $('sweepChart');
+const sweepLatency = $('sweepLatency');
+const sweepGain = $('sweepGain');
+const sweepHarmonics = $('sweepHarmonics');
+const sweepStatus = $('sweepStatus');
+const sweepSummary = $('sweepSummary');
+
+// Loop latency
+const latencyMarker = $('latencyMarker');
+const latencyLevel = $('latencyLevel');
+const latencyMaxDelay = $('latencyMaxDelay');
+const latencyPingCount = $('latencyPingCount');
+const latencyChannel = $('latencyChannel');
+const latencyStart = $('latencyStart');
+const latencyStop = $('latencyStop');
+const latencyReset = $('latencyReset');
+const latencyDelay = $('latencyDelay');
+const latencyMean = $('latencyMean');
+const latencyConfidence = $('latencyConfidence');
+const latencyJitter = $('latencyJitter');
+const latencyRange = $('latencyRange');
+const latencyCount = $('latencyCount');
+const latencyStatus = $('latencyStatus');
+const latencySummary = $('latencySummary');
+const latencyPings = $('latencyPings');
+
+// Metrics recording and replay
+const btnRecord = $('btnRecord');
+const recordingStatus = $('recordingStatus');
+const recordingSelect = $('recordingSelect');
+const btnRecordingImport = $('btnRecordingImport');
+const recordingFileInput = $('recordingFileInput');
+const btnRecordingDownload = $('btnRecordingDownload');
+const btnRecordingDelete = $('btnRecordingDelete');
+const btnReplayPlay = $('btnReplayPlay');
+const replaySpeed = $('replaySpeed');
+const replaySeek = $('replaySeek');
+const replayPosition = $('replayPosition');
+const dbgReplay = $('dbgReplay');
+
+// Session report
+const reportFormat = $('reportFormat');
+const reportExport = $('reportExport');
 
 // Sidebar toggle
 const sidebarToggle = $('sidebarToggle');
@@ -231,7 +446,9 @@ try {
   if (!AudioContextClass) {
     throw new Error('Web Audio API not supported in this browser');
   }
-  ac = new AudioContextClass({ sampleRate: 48000 });
+  // Native device rate: K-weighting and True Peak adapt to any rate, so
+  // forcing 48 kHz would only add a browser resampler in front of the meters
+  ac = new AudioContextClass();
 } catch (e) {
   console.error('[TSG] Failed to create AudioContext:', e);
   // Show error in UI
@@ -270,6 +487,18 @@ analyserR.smoothingTimeConstant = 0;
 mixL.connect(analyserL);
 mixR.connect(analyserR);
 
+// Longer FFT for the fine RTA resolutions (1/6 to 1/24 octave, FFT line): 2.9 Hz bins at 48 kHz
+const RTA_FFT_SIZE = 16384;
+const rtaAnalyserL = ac.createAnalyser();
+const rtaAnalyserR = ac.createAnalyser();
+rtaAnalyserL.fftSize = RTA_FFT_SIZE;
+rtaAnalyserR.fftSize = RTA_FFT_SIZE;
+rtaAnalyserL.smoothingTimeConstant = 0;
+rtaAnalyserR.smoothingTimeConstant = 0;
+
+mixL.connect(rtaAnalyserL);
+mixR.connect(rtaAnalyserR);
+
 // ─────────────────────────────────────────────────────────────────────────────
 // SOURCE CONTROLLER (Phase 1: instantiation and connection)
 // ─────────────────────────────────────────────────────────────────────────────
@@ -293,9 +522,15 @@ function sampleAnalysers() {
 // METERING INSTANCES
 // ─────────────────────────────────────────────────────────────────────────────
 
-const lufsMeter = new LUFSMeter({ sampleRate: ac.sampleRate, blockSize: FFT_SIZE });
-const truePeakMeter = new TruePeakMeter();
-const ppmMeter = new PPMMeter({ sampleRate: ac.sampleRate });
+// One LUFS block per measure tick; worklet blocks are accumulated to the same length
+const lufsMeter = new LUFSMeter({
+  sampleRate: ac.sampleRate,
+  blockSize: Math.round(ac.sampleRate * MEASURE_INTERVAL_MS / 1000)
+});
+const truePeakMeter = new TruePeakMeter({ sampleRate: ac.sampleRate });
+// A stale or edited stored id must not stop start-up
+const ppmMeter = new PPMMeter({ sampleRate: ac.sampleRate, standard: findPPMStandard(appState.get('ppmStandard')).id });
+const noiseMeter = new NoiseMeter({ sampleRate: ac.sampleRate });
 const stereoMeter = new StereoMeter();
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -309,23 +544,85 @@ let radar = null;
 let stereoAnalysis = null;
 let widthMeterUI = null;
 let rotationMeterUI = null;
+/** @type {SpectrumAnalyzer|null} */
 let spectrumAnalyzerUI = null;
+/** @type {Spectrogram|null} */
+let spectrogramUI = null;
 let msMeterUI = null;
 let balanceMeterUI = null;
 // Remote metering receiver instance
 let remoteReceiver = null;
 let isRemoteAvailable = false;
+/** @type {Object|null} Last metrics from the selected probe (sampled by the recorder) */
+let lastRemoteMetrics = null;
 
 function initUIComponents() {
   if (xy) {
     goniometer = new Goniometer(xy);
+    applyGoniometerOptions();
   }
   if (corr) {
     correlationMeter = new CorrelationMeter(corr, corrVal, getCss, formatCorr);
   }
   if (loudnessRadar) {
     radar = new LoudnessRadar(loudnessRadar, LOUDNESS_TARGET);
+    radar.setScale(appState.get('loudnessScale'));
+    radar.setUnit(LOUDNESS_UNIT);
   }
+  initFileAnalysisSession({
+    dom: {
+      fileInput, fileDropZone, fileNameEl, fileDuration, fileChannels, fileSr, fileStatus,
+      fileIntegrated, fileLra, fileMaxM, fileMaxS, fileTpMax, filePpmMax, fileTpChannels,
+      fileCorrelation, fileCompliance, fileChart
+    },
+    sourceController,
+    getComplianceProfile: () => complianceProfile,
+    onAnalysisChange: updateCaptureButtons
+  });
+  initAlarmSession({
+    dom: {
+      rulesEl: alarmRulesEl, logEl: alarmLog, bannerEl: alarmBanner, summaryEl: alarmSummary,
+      audibleEl: alarmAudible, clearLogEl: alarmClearLog
+    },
+    audioContext: ac
+  });
+  initTimelineSession({
+    dom: { canvas: timelineCanvas, summaryEl: timelineSummary },
+    reference: { targetLufs: LOUDNESS_TARGET, tolerance: complianceProfile.toleranceLu, tpLimit: TP_LIMIT }
+  });
+  initLineupSession({
+    dom: {
+      typeEl: lineupType, levelLEl: lineupLevelL, levelREl: lineupLevelR,
+      orderEl: lineupOrder, polarityEl: lineupPolarity, summaryEl: lineupSummary
+    },
+    sampleRate: ac.sampleRate
+  });
+  initNoiseSession({
+    dom: {
+      panelNoise, noiseCheckWeighting, noiseLimit, noiseReset,
+      noise468, noiseArm, noiseA, noiseMax, noiseMin, noiseVerdict, noiseSummary, noiseHistory
+    },
+    noiseMeter
+  });
+  initSweepSession({
+    dom: {
+      sweepStart, sweepEnd, sweepDuration, sweepLevel, sweepChannel, sweepMeasure, sweepDownload,
+      sweepAnalyseFile, sweepFileInput, sweepView, sweepChartCanvas,
+      sweepLatency, sweepGain, sweepHarmonics, sweepStatus, sweepSummary
+    },
+    audioContext: ac,
+    sourceController
+  });
+  initLatencySession({
+    dom: {
+      latencyMarker, latencyLevel, latencyMaxDelay, latencyPingCount, latencyChannel,
+      latencyStart, latencyStop, latencyReset, latencyStatus,
+      latencyDelay, latencyConfidence, latencyMean, latencyJitter, latencyRange, latencyCount,
+      latencySummary, latencyPings
+    },
+    audioContext: ac,
+    sourceController
+  });
 
   // Stereo analysis engine
   stereoAnalysis = new StereoAnalysisEngine();
@@ -343,6 +640,15 @@ function initUIComponents() {
   // Spectrum analyzer
   if (spectrumAnalyzer) {
     spectrumAnalyzerUI = new SpectrumAnalyzer(spectrumAnalyzer, analyserL, analyserR);
+    spectrumAnalyzerUI.setHighResolutionAnalysers(rtaAnalyserL, rtaAnalyserR);
+    applySpectrumOptions();
+  }
+
+  // Spectrogram (same analysers as the spectrum analyzer)
+  if (spectrogramCanvas) {
+    spectrogramUI = new Spectrogram(spectrogramCanvas, analyserL, analyserR);
+    spectrogramUI.setHighResolutionAnalysers(rtaAnalyserL, rtaAnalyserR);
+    applySpectrogramOptions();
   }
 
   // M/S meter
@@ -358,17 +664,145 @@ function initUIComponents() {
   // Layout scales
   layoutDBFSScale(dbfsScale);
   layoutTPScale(tpScale);
-  layoutPPMScale(ppmScale);
+  layoutPPMScale(ppmScale, ppmMeter.standard.id);
 
   // Synchronise UI controls with persisted state values
-  if (targetPreset) {
-    targetPreset.value = String(LOUDNESS_TARGET);
+  populateProfileSelect();
+  fillProfileEditor(complianceProfile);
+  updateMeteringSummary();
+  setTpLimit(TP_LIMIT);
+  if (ppmStandardSelect) {
+    ppmStandardSelect.value = ppmMeter.standard.id;
+  }
+  if (loudnessScaleSelect) {
+    loudnessScaleSelect.value = appState.get('loudnessScale');
+  }
+  if (loudnessUnitSelect) {
+    loudnessUnitSelect.value = LOUDNESS_UNIT;
+  }
+  if (goniometerModeSelect) goniometerModeSelect.value = appState.get('goniometerMode');
+  if (goniometerAxesSelect) goniometerAxesSelect.value = appState.get('goniometerAxes');
+  if (goniometerPersistenceSelect) goniometerPersistenceSelect.value = String(appState.get('goniometerPersistence'));
+  if (goniometerZoomSelect) goniometerZoomSelect.value = String(appState.get('goniometerZoom'));
+  if (goniometerAutoGainToggle) goniometerAutoGainToggle.checked = appState.get('goniometerAutoGain');
+  if (goniometerZoomSelect) goniometerZoomSelect.disabled = appState.get('goniometerAutoGain');
+  if (spectrumResolutionSelect) spectrumResolutionSelect.value = appState.get('spectrumResolution');
+  if (spectrumWeightingSelect) spectrumWeightingSelect.value = appState.get('spectrumWeighting');
+  if (spectrumAveragingSelect) spectrumAveragingSelect.value = appState.get('spectrumAveraging');
+  if (spectrumAveragingTimeSelect) spectrumAveragingTimeSelect.value = String(appState.get('spectrumAveragingTime'));
+  if (spectrumPink) spectrumPink.checked = appState.get('spectrumPinkCompensation');
+  if (spectrogramVisibleToggle) spectrogramVisibleToggle.checked = appState.get('spectrogramVisible');
+  if (spectrogramSpanSelect) spectrogramSpanSelect.value = String(appState.get('spectrogramSpan'));
+  if (spectrogramFftSizeSelect) spectrogramFftSizeSelect.value = String(appState.get('spectrogramFftSize'));
+  if (spectrogramColourMapSelect) spectrogramColourMapSelect.value = appState.get('spectrogramColourMap');
+  updateStartPauseButton();
+}
+
+/**
+ * Show the selected PPM/VU standard in the readout unit and meter switcher.
+ */
+function applyPPMStandardLabels() {
+  const standard = ppmMeter.standard;
+  if (ppmUnit) ppmUnit.textContent = standard.unit;
+  setMeterLabel('ppm', standard.badge, standard.name);
+}
+
+/**
+ * Apply the persisted goniometer settings. A stored value this version no
+ * longer knows falls back to the defaults.
+ */
+function applyGoniometerOptions() {
+  if (!goniometer) return;
+  const options = {
+    mode: appState.get('goniometerMode'),
+    axes: appState.get('goniometerAxes'),
+    persistenceMs: appState.get('goniometerPersistence'),
+    autoGain: appState.get('goniometerAutoGain'),
+    zoomDb: appState.get('goniometerZoom')
+  };
+  try {
+    goniometer.setOptions(options);
+  } catch (error) {
+    console.warn('[Goniometer]', error.message);
+  }
+}
+
+/**
+ * Apply the persisted spectrum settings to the analyser. A stored value
+ * this version no longer knows falls back to the defaults.
+ */
+function applySpectrumOptions() {
+  if (!spectrumAnalyzerUI) return;
+  const options = {
+    resolution: appState.get('spectrumResolution'),
+    weighting: appState.get('spectrumWeighting'),
+    averaging: appState.get('spectrumAveraging'),
+    averagingTimeMs: appState.get('spectrumAveragingTime'),
+    pinkCompensation: appState.get('spectrumPinkCompensation')
+  };
+  try {
+    spectrumAnalyzerUI.setOptions(options);
+  } catch (error) {
+    console.warn('[Spectrum]', error.message);
+  }
+}
+
+/**
+ * Apply the persisted spectrogram settings and show or hide its card.
+ * A stored value this version no longer knows falls back to the defaults.
+ */
+function applySpectrogramOptions() {
+  if (spectrogramCard) spectrogramCard.hidden = !appState.get('spectrogramVisible');
+  if (!spectrogramUI) return;
+  const options = {
+    spanSeconds: appState.get('spectrogramSpan'),
+    fftSize: appState.get('spectrogramFftSize'),
+    colourMap: appState.get('spectrogramColourMap')
+  };
+  try {
+    spectrogramUI.setOptions(options);
+  } catch (error) {
+    console.warn('[Spectrogram]', error.message);
   }
-  if (tpLimitSelect) {
-    tpLimitSelect.value = String(TP_LIMIT);
-    setTpLimit(TP_LIMIT);
+}
+
+/**
+ * Show fixed-width placeholders in the loudness panel (M, S, I, LRA, Max M, Max S).
+ */
+function clearLoudnessDisplays() {
+  for (const el of [lufsM, lufsS, lufsI, lufsMaxM, lufsMaxS]) {
+    if (el) { el.textContent = `--.- ${LOUDNESS_UNIT}`; el.style.color = ''; }
   }
+  if (lraEl) { lraEl.textContent = '--.- LU'; lraEl.style.color = ''; }
+  if (r128Compliance) { r128Compliance.textContent = '--'; r128Compliance.style.color = ''; }
+}
 
+/**
+ * Reset R128 measurements and show placeholders (EXACT from audio-meters-grid.html resetR128).
+ */
+function resetR128() {
+  lufsMeter.reset();
+  truePeakMeter.reset();
+  resetMeterState();
+  if (spectrumAnalyzerUI) spectrumAnalyzerUI.resetAverage();
+  resetLineup();
+  resetChannelDelay();
+  noiseMeter.reset();
+  clearTimeline();
+  clearLoudnessDisplays();
+  if (r128TpMax) { r128TpMax.textContent = '--.- dBTP'; r128TpMax.style.color = ''; }
+  if (r128Crest) r128Crest.textContent = '--.- dB';
+  if (r128Time) r128Time.textContent = '--:--:--';
+}
+
+/**
+ * Label the start/pause button with the action it will perform.
+ */
+function updateStartPauseButton() {
+  if (!r128StartPause) return;
+  const paused = isIntegrationPaused();
+  r128StartPause.textContent = paused ? 'Start' : 'Pause';
+  r128StartPause.classList.toggle('paused', paused);
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -381,9 +815,101 @@ let isDragLayoutFrozen = false;
 // HELPERS (wrapper for loudnessColour with LOUDNESS_TARGET binding)
 // ─────────────────────────────────────────────────────────────────────────────
 
-// Wrapper that binds LOUDNESS_TARGET to imported loudnessColourBase
+// Wrapper that binds LOUDNESS_TARGET and the profile tolerance to imported loudnessColourBase
 function loudnessColour(lufs) {
-  return loudnessColourBase(lufs, LOUDNESS_TARGET);
+  return loudnessColourBase(lufs, LOUDNESS_TARGET, complianceProfile.toleranceLu);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DELIVERY PROFILE (target, tolerance, TP limit, LRA / max S limits)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Fill the delivery profile select: built-ins first, then user profiles.
+ */
+function populateProfileSelect() {
+  if (!complianceProfileSelect) return;
+  complianceProfileSelect.replaceChildren(...listComplianceProfiles().map(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = `${profile.name} (${String(profile.targetLufs).replace('-', '−')} LUFS)`;
+    return option;
+  }));
+  complianceProfileSelect.value = complianceProfile.id;
+}
+
+/**
+ * Show a profile in the editor. Built-ins can be edited and saved as a copy.
+ * @param {import('../metering/compliance.js').ComplianceProfile} profile
+ */
+function fillProfileEditor(profile) {
+  if (profileName) profileName.value = profile.name;
+  if (profileTarget) profileTarget.value = String(profile.targetLufs);
+  if (profileTolerance) profileTolerance.value = String(profile.toleranceLu);
+  if (profileTpMax) profileTpMax.value = String(profile.truePeakMax);
+  if (profileMaxLra) profileMaxLra.value = profile.maxLra === null ? '' : String(profile.maxLra);
+  if (profileMaxS) profileMaxS.value = profile.maxShortTerm === null ? '' : String(profile.maxShortTerm);
+  if (profileGating) profileGating.value = profile.gating;
+  if (profileSpeechGated) profileSpeechGated.checked = profile.speechGated;
+  if (profileDelete) profileDelete.disabled = !isUserComplianceProfile(profile.id);
+  if (profileSave) profileSave.textContent = isUserComplianceProfile(profile.id) ? 'Save' : 'Save as copy';
+  if (profileStatus) profileStatus.textContent = '';
+}
+
+/**
+ * Read the editor fields. Empty optional limits mean "unrestricted";
+ * validation happens in createComplianceProfile().
+ * @returns {Partial<import('../metering/compliance.js').ComplianceProfile>}
+ */
+function readProfileEditor() {
+  const optional = (input) => (input && input.value.trim() !== '' ? parseFloat(input.value) : null);
+  const isCopy = !isUserComplianceProfile(complianceProfile.id);
+  const name = profileName ? profileName.value.trim() : '';
+  return {
+    id: complianceProfile.id,
+    name: isCopy && name === complianceProfile.name ? `${name} (copy)` : name,
+    targetLufs: profileTarget ? parseFloat(profileTarget.value) : NaN,
+    toleranceLu: profileTolerance ? parseFloat(profileTolerance.value) : NaN,
+    truePeakMax: profileTpMax ? parseFloat(profileTpMax.value) : NaN,
+    maxLra: optional(profileMaxLra),
+    maxShortTerm: optional(profileMaxS),
+    gating: profileGating ? /** @type {'gated'|'ungated'} */ (profileGating.value) : 'gated',
+    speechGated: profileSpeechGated ? profileSpeechGated.checked : false
+  };
+}
+
+function updateMeteringSummary() {
+  if (!meteringSummary) return;
+  const format = (value) => String(value).replace('-', '−');
+  meteringSummary.textContent = `${format(LOUDNESS_TARGET)} LUFS / ${format(TP_LIMIT)} dBTP`;
+}
+
+/**
+ * Make a profile active: target, TP limit, radar, colours and verdicts follow it.
+ * @param {import('../metering/compliance.js').ComplianceProfile} profile
+ */
+function applyComplianceProfile(profile) {
+  const targetChanged = profile.targetLufs !== LOUDNESS_TARGET;
+
+  complianceProfile = profile;
+  LOUDNESS_TARGET = profile.targetLufs;
+  TP_LIMIT = profile.truePeakMax;
+  appState.set({ complianceProfile: profile.id, targetLufs: LOUDNESS_TARGET, truePeakLimit: TP_LIMIT });
+
+  if (radar) radar.setTarget(LOUDNESS_TARGET);
+  setTimelineReference({ targetLufs: LOUDNESS_TARGET, tolerance: complianceProfile.toleranceLu, tpLimit: TP_LIMIT });
+  setTpLimit(TP_LIMIT);
+  updateTpLimitDisplay();
+  // Reset TP over flag when limit changes
+  meterState.peakIndicatorOn = false;
+  meterState.peakIndicatorLastTrigger = 0;
+
+  updateMeteringSummary();
+  fillProfileEditor(profile);
+  refreshFileReport();
+
+  // Reset R128 when target changes (like original resetR128)
+  if (targetChanged) resetR128();
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -391,8 +917,9 @@ function loudnessColour(lufs) {
 // ─────────────────────────────────────────────────────────────────────────────
 
 // State: selectedMode = UI selection, activeCapture = currently running source
-let selectedInputMode = 'browser'; // 'browser', 'external', 'generator'
-let activeCapture = null; // null, 'browser', 'external', 'generator'
+let selectedInputMode = 'browser'; // 'browser', 'external', 'generator', 'remote', 'file', 'replay'
+/** @type {string|null} null, 'browser', 'external', 'generator', 'remote', 'replay' */
+let activeCapture = null;
 
 // Generator monitor and EBU pulse state
 let monitorMuted = false;
@@ -412,6 +939,7 @@ let extTrimDb = 0;
 const EXT_TRIM_DEFAULT = 0;
 const EXT_TRIM_STORAGE_KEY = 'tsg_extTrimDb';
 const EXT_DEVICE_STORAGE_KEY = 'tsg_extDeviceId';
+const EXT_LAYOUT_STORAGE_KEY = 'tsg_extLayout';
 
 // Browser trim control
 // Uses SourceController for unified input gain management
@@ -441,6 +969,10 @@ function setExtTrim(dB, save = true) {
 const storedExtTrim = localStorage.getItem(EXT_TRIM_STORAGE_KEY);
 setExtTrim(storedExtTrim !== null ? parseFloat(storedExtTrim) : EXT_TRIM_DEFAULT, false);
 
+// Restore saved external channel layout (2.0, 5.1, 7.1, 7.1.4)
+const storedExtLayout = localStorage.getItem(EXT_LAYOUT_STORAGE_KEY);
+if (extLayoutSelect && storedExtLayout) extLayoutSelect.value = storedExtLayout;
+
 // Toggle browser monitor mute
 // Uses SourceController for unified monitor management
 function toggleSysMonitorMute() {
@@ -483,7 +1015,7 @@ function setInputMode(mode) {
   selectedInputMode = mode;
 
   // Update button states immediately
-  [btnModeBrowser, btnModeExternal, btnModeGenerator, btnModeRemote].forEach(btn => {
+  [btnModeBrowser, btnModeExternal, btnModeGenerator, btnModeRemote, btnModeFile, btnModeReplay].forEach(btn => {
     if (btn) {
       btn.classList.remove('btn-active');
       btn.classList.add('btn-ghost');
@@ -501,6 +1033,12 @@ function setInputMode(mode) {
   } else if (mode === 'remote' && btnModeRemote) {
     btnModeRemote.classList.add('btn-active');
     btnModeRemote.classList.remove('btn-ghost');
+  } else if (mode === 'file' && btnModeFile) {
+    btnModeFile.classList.add('btn-active');
+    btnModeFile.classList.remove('btn-ghost');
+  } else if (mode === 'replay' && btnModeReplay) {
+    btnModeReplay.classList.add('btn-active');
+    btnModeReplay.classList.remove('btn-ghost');
   }
 
   // Collapse-swap-expand animation
@@ -516,12 +1054,16 @@ function setInputMode(mode) {
     if (externalSourcePanel) externalSourcePanel.classList.remove('source-panel-active');
     if (generatorSourcePanel) generatorSourcePanel.classList.remove('source-panel-active');
     if (remoteSourcePanel) remoteSourcePanel.classList.remove('source-panel-active');
+    if (fileSourcePanel) fileSourcePanel.classList.remove('source-panel-active');
+    if (replaySourcePanel) replaySourcePanel.classList.remove('source-panel-active');
 
     // Show the new panel
     if (mode === 'browser' && browserSourcePanel) browserSourcePanel.classList.add('source-panel-active');
     else if (mode === 'external' && externalSourcePanel) externalSourcePanel.classList.add('source-panel-active');
     else if (mode === 'generator' && generatorSourcePanel) generatorSourcePanel.classList.add('source-panel-active');
     else if (mode === 'remote' && remoteSourcePanel) remoteSourcePanel.classList.add('source-panel-active');
+    else if (mode === 'file' && fileSourcePanel) fileSourcePanel.classList.add('source-panel-active');
+    else if (mode === 'replay' && replaySourcePanel) replaySourcePanel.classList.add('source-panel-active');
 
     // Step 3: Expand to new height
     if (sourcePanelsContainer) sourcePanelsContainer.classList.remove('collapsed');
@@ -530,6 +1072,8 @@ function setInputMode(mode) {
     if (mode === 'external') enumerateAudioDevices();
     // Connect to broker when switching to remote mode - shows probes immediately
     if (mode === 'remote') connectRemoteBroker();
+    // Chart canvas has no size while its panel is hidden
+    if (mode === 'file') drawProgrammeChart();
 
     // Animation complete after expand
     setTimeout(() => {
@@ -543,6 +1087,23 @@ function setInputMode(mode) {
 }
 
 function updateCaptureButtons() {
+  // File mode analyses offline and never takes over live capture
+  if (selectedInputMode === 'file') {
+    if (btnStartCapture) {
+      btnStartCapture.textContent = 'Analyse File';
+      btnStartCapture.disabled = isFileAnalysing();
+      btnStartCapture.classList.toggle('btn-ghost', !isFileAnalysing());
+    }
+    if (btnStopCapture) {
+      btnStopCapture.textContent = 'Cancel';
+      btnStopCapture.disabled = !isFileAnalysing();
+    }
+    return;
+  }
+  const isReplayMode = selectedInputMode === 'replay';
+  if (btnStartCapture) btnStartCapture.textContent = isReplayMode ? 'Start Replay' : 'Start Capture';
+  if (btnStopCapture) btnStopCapture.textContent = isReplayMode ? 'Stop Replay' : 'Stop Capture';
+
   const isActiveMode = activeCapture === selectedInputMode;
   const isAnyCapture = activeCapture !== null;
 
@@ -561,6 +1122,7 @@ function updateCaptureButtons() {
   if (activeCapture && activeCapture !== selectedInputMode) {
     if (btnStopCapture) btnStopCapture.disabled = true;
   }
+  updateRecordingControls();
 }
 
 function updateInputSourceSummary() {
@@ -575,6 +1137,8 @@ function updateInputSourceSummary() {
     inputSourceSummary.textContent = 'Tone Active';
   } else if (activeCapture === 'remote') {
     inputSourceSummary.textContent = 'Remote Active';
+  } else if (activeCapture === 'replay') {
+    inputSourceSummary.textContent = 'Replay Active';
   }
   updateStatusPanel();
 }
@@ -586,6 +1150,7 @@ function updateStatusPanel() {
   if (dbgExt) dbgExt.textContent = activeCapture === 'external' ? 'Running' : 'Stopped';
   if (dbgGen) dbgGen.textContent = activeCapture === 'generator' ? 'Running' : 'Stopped';
   if (dbgRemote) dbgRemote.textContent = activeCapture === 'remote' ? 'Running' : 'Stopped';
+  if (dbgReplay) dbgReplay.textContent = activeCapture === 'replay' ? 'Running' : 'Stopped';
 
   // Monitor status
   if (monitorStatusEl) {
@@ -612,6 +1177,16 @@ async function enumerateAudioDevices() {
 // --- Unified Start Capture ---
 // EXACT from audio-meters-grid.html lines 3960-4000
 async function startCapture() {
+  // File analysis runs beside live capture, so nothing is stopped
+  if (selectedInputMode === 'file') {
+    if (sourceController.fileBuffer) {
+      await analyseLoadedFile();
+    } else if (fileInput) {
+      fileInput.click();
+    }
+    return;
+  }
+
   // Stop any existing capture from OTHER sources first - SYNCHRONOUSLY
   // This is critical because getDisplayMedia() requires immediate user gesture context
   if (activeCapture && activeCapture !== selectedInputMode) {
@@ -633,6 +1208,8 @@ async function startCapture() {
       await startGeneratorCapture();
     } else if (selectedInputMode === 'remote') {
       await startRemoteCapture();
+    } else if (selectedInputMode === 'replay') {
+      await startReplayCapture();
     }
   } catch (error) {
     console.error('[Bootstrap] Capture failed:', error);
@@ -654,6 +1231,8 @@ function stopActiveCaptureSync() {
       stopGeneratorCapture();
     } else if (activeCapture === 'remote') {
       stopRemoteCapture();
+    } else if (activeCapture === 'replay') {
+      stopReplayCapture();
     }
   } catch (err) {
     console.error('[Bootstrap] stopActiveCaptureSync error:', err);
@@ -708,14 +1287,25 @@ async function startExternalCapture() {
     // Initialise trim from persisted state before capture
     sourceController.setExternalTrim(extTrimDb);
 
-    const track = await sourceController.startExternalCapture(deviceId);
+    const layoutId = extLayoutSelect?.value || DEFAULT_CHANNEL_LAYOUT;
+    const layout = getChannelLayout(layoutId);
+    try { localStorage.setItem(EXT_LAYOUT_STORAGE_KEY, layoutId); } catch { console.warn('Could not save layout selection'); }
+
+    const track = await sourceController.startExternalCapture(deviceId, { channelCount: layout.channels.length });
+    applyMeterLayout(layoutId, sourceController.outputMulti);
 
     // Update UI with track metadata
     const settings = track.getSettings ? track.getSettings() : {};
     if (extDevice) extDevice.textContent = track.label || 'Unknown';
     if (extCc) extCc.textContent = settings.channelCount ?? 'Unknown';
     if (extSr) extSr.textContent = ac.sampleRate + ' Hz';
-    if (extStatus) extStatus.textContent = (settings.channelCount >= 2 ? 'Stereo' : 'Active');
+    if (extStatus) {
+      if (layout.channels.length > 2) {
+        extStatus.textContent = settings.channelCount >= layout.channels.length ? layout.id : `${layout.id} (device: ${settings.channelCount ?? '?'} ch)`;
+      } else {
+        extStatus.textContent = (settings.channelCount >= 2 ? 'Stereo' : 'Active');
+      }
+    }
 
     // Default: muted (RED button)
     if (btnExtMonMute) { btnExtMonMute.classList.add('btn-muted'); btnExtMonMute.classList.remove('btn-ghost'); }
@@ -819,6 +1409,7 @@ function stopBrowserCapture() {
 // Stop external device capture
 function stopExternalCapture() {
   sourceController.stopExternalCapture();
+  applyMeterLayout(DEFAULT_CHANNEL_LAYOUT);
   if (extStatus) extStatus.textContent = 'Stopped';
   extMonitorMuted = true;
   if (activeCapture === 'external') activeCapture = null;
@@ -867,6 +1458,7 @@ async function connectRemoteBroker() {
 
           if (!selectedProbe || !selectedProbe.isOnline) {
             // Probe went offline - reset all meter state and displays
+            lastRemoteMetrics = null;
             resetRemoteMeterState();
             clearRemoteDisplays();
           } else if (selectedProbe.isOnline) {
@@ -981,10 +1573,7 @@ async function startRemoteCapture() {
  */
 function clearRemoteDisplays() {
   // LUFS displays
-  if (lufsM) { lufsM.textContent = '--.- LUFS'; lufsM.style.color = ''; }
-  if (lufsS) { lufsS.textContent = '--.- LUFS'; lufsS.style.color = ''; }
-  if (lufsI) { lufsI.textContent = '--.- LUFS'; lufsI.style.color = ''; }
-  if (lraEl) { lraEl.textContent = '--.- LU'; }
+  clearLoudnessDisplays();
   if (r128TpMax) { r128TpMax.textContent = '--.- dBTP'; r128TpMax.style.color = ''; }
   if (r128Crest) { r128Crest.textContent = '--.- dB'; }
 
@@ -1010,7 +1599,7 @@ function clearRemoteDisplays() {
   // Latency
   if (remoteLatency) { remoteLatency.textContent = '–'; }
 
-  console.log('[Bootstrap] Remote displays cleared - probe offline');
+  console.log('[Bootstrap] Remote displays cleared');
 }
 
 function stopRemoteCapture() {
@@ -1021,6 +1610,7 @@ function stopRemoteCapture() {
     }
 
     selectedRemoteProbeId = null;
+    lastRemoteMetrics = null;
 
     // Reset meter state AND clear displays
     resetRemoteMeterState();
@@ -1101,6 +1691,8 @@ function handleRemoteMetrics(probeId, metrics) {
   // Only update if we're in remote capture mode
   if (activeCapture !== 'remote') return;
 
+  lastRemoteMetrics = metrics;
+
   // Update latency displays
   const latencyEl = document.getElementById(`latency-${probeId}`);
   if (latencyEl && metrics.latency !== undefined) {
@@ -1110,56 +1702,62 @@ function handleRemoteMetrics(probeId, metrics) {
     remoteLatency.textContent = `${metrics.latency}ms`;
   }
 
+  showMetrics(metrics, true);
+}
+
+/**
+ * Show a metrics message on the meters (remote probe or replayed recording).
+ * Values go to the remote* meter state drawn by the render loop.
+ *
+ * @param {Object} metrics - Metrics data { lufs, truePeak, ppm, rms, stereo, visualization }
+ * @param {boolean} live - Also feed session loudness, timeline and alarms (not for replay)
+ */
+function showMetrics(metrics, live) {
   // ─────────────────────────────────────────────────────────────────────────
   // LUFS DISPLAY
   // ─────────────────────────────────────────────────────────────────────────
   const { lufs, truePeak, ppm, rms, stereo, visualization } = metrics;
 
   if (lufs) {
-    // Momentary LUFS
-    if (lufsM) {
-      const m = lufs.momentary;
-      if (isFinite(m) && m > -100) {
-        lufsM.textContent = formatLUFS(m);
-        lufsM.style.color = loudnessColourBase(m);
-        lufsM.dataset.v = m;
-      } else {
-        lufsM.textContent = '--.- LUFS';
-        lufsM.style.color = '';
-      }
+    // Max M / Max S are tracked here from the probe's readings
+    if (isFinite(lufs.momentary) && lufs.momentary > meterState.remoteMaxMomentary) {
+      meterState.remoteMaxMomentary = lufs.momentary;
     }
-
-    // Short-term LUFS
-    if (lufsS) {
-      const s = lufs.shortTerm;
-      if (isFinite(s) && s > -100) {
-        lufsS.textContent = formatLUFS(s);
-        lufsS.style.color = loudnessColourBase(s);
-      } else {
-        lufsS.textContent = '--.- LUFS';
-        lufsS.style.color = '';
-      }
+    if (isFinite(lufs.shortTerm) && lufs.shortTerm > meterState.remoteMaxShortTerm) {
+      meterState.remoteMaxShortTerm = lufs.shortTerm;
     }
-
-    // Integrated LUFS
-    if (lufsI) {
-      const i = lufs.integrated;
-      if (isFinite(i) && i > -100) {
-        lufsI.textContent = formatLUFS(i);
-        lufsI.style.color = loudnessColourBase(i);
+    meterState.remoteIntegrated = lufs.integrated;
+    meterState.remoteLra = isFinite(lufs.lra) && lufs.lra >= 0 ? lufs.lra : null;
+
+    // Momentary, Short-term, Integrated, Max M, Max S (LUFS or LU)
+    const loudnessDisplays = [
+      [lufsM, lufs.momentary],
+      [lufsS, lufs.shortTerm],
+      [lufsI, lufs.integrated],
+      [lufsMaxM, meterState.remoteMaxMomentary],
+      [lufsMaxS, meterState.remoteMaxShortTerm]
+    ];
+    for (const [el, value] of loudnessDisplays) {
+      if (!el) continue;
+      if (isFinite(value) && value > -100) {
+        el.textContent = formatLoudness(value, LOUDNESS_UNIT, LOUDNESS_TARGET);
+        el.style.color = loudnessColour(value);
       } else {
-        lufsI.textContent = '--.- LUFS';
-        lufsI.style.color = '';
+        el.textContent = `--.- ${LOUDNESS_UNIT}`;
+        el.style.color = '';
       }
     }
+    if (lufsM) lufsM.dataset.v = lufs.momentary;
 
     // LRA
     if (lraEl) {
       const lra = lufs.lra;
       if (isFinite(lra) && lra >= 0) {
         lraEl.textContent = lra.toFixed(1) + ' LU';
+        lraEl.style.color = complianceProfile.maxLra !== null && lra > complianceProfile.maxLra ? 'var(--hot)' : '';
       } else {
         lraEl.textContent = '--.- LU';
+        lraEl.style.color = '';
       }
     }
 
@@ -1177,6 +1775,18 @@ function handleRemoteMetrics(probeId, metrics) {
       // Add new entry
       meterState.radarHistory.push({ t: now, v: st });
     }
+    if (live) recordSessionLoudness(getElapsedSeconds(), st);
+  }
+
+  // Loudness timeline (one point per second)
+  if (live && (lufs || truePeak)) {
+    const point = accumulateTimeline(Date.now(), {
+      momentary: lufs ? lufs.momentary : NaN,
+      shortTerm: lufs ? lufs.shortTerm : NaN,
+      integrated: lufs ? lufs.integrated : NaN,
+      truePeak: truePeak ? Math.max(truePeak.left ?? -Infinity, truePeak.right ?? -Infinity) : NaN
+    });
+    if (point) handleTimelinePoint(point);
   }
 
   // ─────────────────────────────────────────────────────────────────────────
@@ -1187,7 +1797,6 @@ function handleRemoteMetrics(probeId, metrics) {
     if (isFinite(tpMax) && tpMax > -100) {
       r128TpMax.textContent = formatTruePeak(tpMax);
       // Colour coding: red if over limit
-      const TP_LIMIT = appState.get('truePeakLimit') ?? -1;
       r128TpMax.style.color = tpMax > TP_LIMIT ? 'var(--hot)' : '';
     } else {
       r128TpMax.textContent = '--.- dBTP';
@@ -1195,6 +1804,27 @@ function handleRemoteMetrics(probeId, metrics) {
     }
   }
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // DELIVERY PROFILE VERDICT
+  // ─────────────────────────────────────────────────────────────────────────
+  // Probes send gated integrated loudness only: no verdict for ungated profiles
+  if (lufs && truePeak && r128Compliance) {
+    const tpMax = Math.max(truePeak.left ?? -Infinity, truePeak.right ?? -Infinity);
+    if (isFinite(lufs.integrated) && lufs.integrated > -100 && complianceProfile.gating !== 'ungated') {
+      const result = evaluateCompliance({
+        integrated: lufs.integrated,
+        truePeakMax: tpMax,
+        lra: isFinite(lufs.lra) && lufs.lra >= 0 ? lufs.lra : null,
+        maxShortTerm: meterState.remoteMaxShortTerm
+      }, complianceProfile);
+      r128Compliance.textContent = formatComplianceVerdict(result);
+      r128Compliance.style.color = result.pass ? 'var(--ok)' : 'var(--hot)';
+    } else {
+      r128Compliance.textContent = '--';
+      r128Compliance.style.color = '';
+    }
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // METER STATE for bar meters and visualizers
   // ─────────────────────────────────────────────────────────────────────────
@@ -1204,6 +1834,7 @@ function handleRemoteMetrics(probeId, metrics) {
     const tpR = truePeak.right ?? -60;
     meterState.remoteTpL = tpL;
     meterState.remoteTpR = tpR;
+    trackTruePeakMax([tpL, tpR]);
 
     // Update peak hold for remote TP (3s hold logic)
     const now = performance.now() / 1000;
@@ -1281,6 +1912,21 @@ function handleRemoteMetrics(probeId, metrics) {
     }
   }
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // ALARMS (probes send no DC offset, so that rule stays clear)
+  // ─────────────────────────────────────────────────────────────────────────
+  if (live && lufs && truePeak && rms) {
+    updateAlarms({
+      shortTerm: lufs.shortTerm,
+      targetLufs: LOUDNESS_TARGET,
+      truePeak: Math.max(truePeak.left ?? -Infinity, truePeak.right ?? -Infinity),
+      tpLimit: TP_LIMIT,
+      channelLevels: [rms.left ?? -Infinity, rms.right ?? -Infinity],
+      correlation: stereo?.correlation ?? null,
+      dcOffset: []
+    });
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // VISUALIZATION DATA (for goniometer + spectrum analyzer)
   // Pre-computed on probe, transmitted as compact arrays
@@ -1310,6 +1956,10 @@ function escapeHtml(str) {
 }
 
 function stopCapture() {
+  if (selectedInputMode === 'file') {
+    cancelFileAnalysis();
+    return;
+  }
   stopActiveCaptureSync();
 }
 
@@ -1329,24 +1979,104 @@ const ebuStateRef = {
 
 // Initialise measure loop with dependencies
 initMeasureLoop({
-  dom: { lufsM, lufsS, lufsI, lraEl, r128TpMax, r128Crest, r128Time, peakLed },
-  meters: { lufsMeter, truePeakMeter, bufL, bufR },
+  dom: { lufsM, lufsS, lufsI, lufsMaxM, lufsMaxS, lraEl, r128TpMax, r128Crest, r128Time, r128Compliance, peakLed },
+  meters: { lufsMeter, truePeakMeter, ppmMeter, noiseMeter, bufL, bufR },
   captureState: { getActiveCapture: () => activeCapture },
   ebuState: ebuStateRef,
   config: {
     getTargetLufs: () => LOUDNESS_TARGET,
     getTpLimit: () => TP_LIMIT,
-    getRadarMaxSeconds: () => radarMaxSeconds
+    getComplianceProfile: () => complianceProfile,
+    getRadarMaxSeconds: () => radarMaxSeconds,
+    getLoudnessUnit: () => LOUDNESS_UNIT
   },
   sourceController,
   TransitionGuard,
   getPresetConfig,
-  loudnessColour
+  loudnessColour,
+  updateAlarms,
+  updateLineup,
+  onTimelinePoint: handleTimelinePoint
 });
 
 // Start the 20 Hz measurement loop
 startMeasureLoop();
 
+// Gapless sample-accurate metering: every sample of the analysis bus is fed
+// exactly once to K-weighting, True Peak, PPM and the noise detectors in the
+// audio thread. If the worklet cannot load (e.g. file://), analyser polling
+// remains active.
+const meterWorklet = new MeterWorklet(ac, { ppmStandard: ppmMeter.standard.id, noise: true });
+meterWorklet.onBlock = pushMeterBlock;
+meterWorklet.load().then((loaded) => {
+  if (!loaded) return;
+  meterWorklet.connect([mixL, mixR]);
+  meterState.workletMetering = true;
+  console.log('%c[TSG] Metering AudioWorklet connected (gapless)', 'color: cyan');
+});
+
+// Layout the meters are summing (session report channel labels)
+let meteredLayoutId = DEFAULT_CHANNEL_LAYOUT;
+
+/**
+ * Switch loudness and True Peak metering to a channel layout.
+ * Multichannel layouts read every channel from multichannelSource; stereo
+ * reads the mixL/mixR analysis bus.
+ *
+ * @param {string} layoutId - Layout identifier ('2.0', '5.1', '7.1', '7.1.4')
+ * @param {AudioNode|null} [multichannelSource] - Discrete multichannel source
+ */
+function applyMeterLayout(layoutId, multichannelSource = null) {
+  const channelCount = getChannelLayout(layoutId).channels.length;
+
+  meterState.lufsBlockEnergy = 0;
+  meterState.lufsBlockFrames = 0;
+
+  if (!meterState.workletMetering) {
+    if (channelCount > 2) {
+      console.warn('[Bootstrap] Multichannel metering requires the AudioWorklet; metering L/R only');
+    }
+    meterState.channelWeights = getLayoutWeights(DEFAULT_CHANNEL_LAYOUT);
+    meteredLayoutId = DEFAULT_CHANNEL_LAYOUT;
+    return;
+  }
+
+  meterState.channelWeights = getLayoutWeights(layoutId);
+  meteredLayoutId = layoutId;
+  meterWorklet.setChannelCount(channelCount);
+
+  if (channelCount > 2 && multichannelSource) {
+    meterWorklet.connectMultichannel(multichannelSource);
+  } else {
+    meterWorklet.connect([mixL, mixR]);
+  }
+  console.log('[Bootstrap] Metering layout:', layoutId);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SOURCE NAME (session report and recordings)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @returns {string|null} Device, preset or probe name of the active source
+ */
+function describeSource() {
+  switch (activeCapture) {
+    case 'browser':
+      return 'Browser tab';
+    case 'external':
+      return extDevice ? extDevice.textContent : null;
+    case 'generator':
+      return genPreset?.options[genPreset.selectedIndex]?.textContent.trim() ?? null;
+    case 'remote': {
+      const label = remoteProbeList?.querySelector(`[data-probe-id="${selectedRemoteProbeId}"] .tiny`);
+      return label ? label.textContent.trim() : selectedRemoteProbeId;
+    }
+    default:
+      return null;
+  }
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // RENDER LOOP (60 Hz) - Extracted to render-loop.js
 // ─────────────────────────────────────────────────────────────────────────────
@@ -1364,6 +2094,8 @@ function bindEvents() {
   if (btnModeExternal) btnModeExternal.onclick = () => setInputMode('external');
   if (btnModeGenerator) btnModeGenerator.onclick = () => setInputMode('generator');
   if (btnModeRemote) btnModeRemote.onclick = () => setInputMode('remote');
+  if (btnModeFile) btnModeFile.onclick = () => setInputMode('file');
+  if (btnModeReplay) btnModeReplay.onclick = () => setInputMode('replay');
 
   // Remote broker check/reconnect button
   if (btnRemoteCheck) btnRemoteCheck.onclick = connectRemoteBroker;
@@ -1389,21 +2121,21 @@ function bindEvents() {
   if (btnStartCapture) btnStartCapture.onclick = startCapture;
   if (btnStopCapture) btnStopCapture.onclick = stopCapture;
 
+  // Start / pause integration (EBU Tech 3341)
+  if (r128StartPause) {
+    r128StartPause.onclick = () => {
+      if (isIntegrationPaused()) {
+        startIntegration();
+      } else {
+        pauseIntegration();
+      }
+      updateStartPauseButton();
+    };
+  }
+
   // Reset R128 - EXACT from audio-meters-grid.html resetR128 (lines 3767-3787)
   if (r128Reset) {
-    r128Reset.onclick = () => {
-      lufsMeter.reset();
-      truePeakMeter.reset();
-      resetMeterState();
-      // Update display with fixed-width placeholders (EXACT from original)
-      if (lufsM) lufsM.textContent = '--.- LUFS';
-      if (lufsS) lufsS.textContent = '--.- LUFS';
-      if (lufsI) lufsI.textContent = '--.- LUFS';
-      if (lraEl) lraEl.textContent = '--.- LU';
-      if (r128TpMax) r128TpMax.textContent = '--.- dBTP';
-      if (r128Crest) r128Crest.textContent = '--.- dB';
-      if (r128Time) r128Time.textContent = '--:--:--';
-    };
+    r128Reset.onclick = resetR128;
   }
 
   // --- Browser Source Controls ---
@@ -1509,35 +2241,164 @@ function bindEvents() {
   }
 
   // Settings - EXACT from audio-meters-grid.html lines 5038-5057
-  if (targetPreset) {
-    targetPreset.onchange = () => {
-      LOUDNESS_TARGET = parseInt(targetPreset.value, 10);
-      appState.set({ targetLufs: LOUDNESS_TARGET });
-      if (radar) radar.setTarget(LOUDNESS_TARGET);
-      // Reset R128 when target changes (like original resetR128)
-      lufsMeter.reset();
-      truePeakMeter.reset();
-      resetMeterState();
-      // Update display with fixed-width placeholders
-      if (lufsM) lufsM.textContent = '--.- LUFS';
-      if (lufsS) lufsS.textContent = '--.- LUFS';
-      if (lufsI) lufsI.textContent = '--.- LUFS';
-      if (lraEl) lraEl.textContent = '--.- LU';
-      if (r128TpMax) r128TpMax.textContent = '--.- dBTP';
-      if (r128Crest) r128Crest.textContent = '--.- dB';
-      if (r128Time) r128Time.textContent = '--:--:--';
+  if (complianceProfileSelect) {
+    complianceProfileSelect.onchange = () => {
+      applyComplianceProfile(findComplianceProfile(complianceProfileSelect.value));
+    };
+  }
+
+  if (profileSave) {
+    profileSave.onclick = () => {
+      let profile;
+      try {
+        profile = saveUserComplianceProfile(readProfileEditor());
+      } catch (error) {
+        if (profileStatus) profileStatus.textContent = error.message;
+        return;
+      }
+      populateProfileSelect();
+      // Re-apply even when the id is unchanged: limits may have been edited
+      applyComplianceProfile(profile);
+      if (complianceProfileSelect) complianceProfileSelect.value = profile.id;
+      if (profileStatus) profileStatus.textContent = 'Saved';
     };
   }
 
-  if (tpLimitSelect) {
-    tpLimitSelect.onchange = () => {
-      TP_LIMIT = parseInt(tpLimitSelect.value, 10);
-      appState.set({ truePeakLimit: TP_LIMIT });
-      setTpLimit(TP_LIMIT);
-      updateTpLimitDisplay();
-      // Reset TP over flag when limit changes
-      meterState.peakIndicatorOn = false;
-      meterState.peakIndicatorLastTrigger = 0;
+  if (profileDelete) {
+    profileDelete.onclick = () => {
+      if (!deleteUserComplianceProfile(complianceProfile.id)) return;
+      applyComplianceProfile(findComplianceProfile(complianceProfile.id));
+      populateProfileSelect();
+    };
+  }
+
+  if (loudnessScaleSelect) {
+    loudnessScaleSelect.onchange = () => {
+      appState.set({ loudnessScale: loudnessScaleSelect.value });
+      if (radar) radar.setScale(loudnessScaleSelect.value);
+    };
+  }
+
+  if (loudnessUnitSelect) {
+    loudnessUnitSelect.onchange = () => {
+      LOUDNESS_UNIT = loudnessUnitSelect.value;
+      appState.set({ loudnessUnit: LOUDNESS_UNIT });
+      if (radar) radar.setUnit(LOUDNESS_UNIT);
+    };
+  }
+
+  if (ppmStandardSelect) {
+    ppmStandardSelect.onchange = () => {
+      const id = ppmStandardSelect.value;
+      appState.set({ ppmStandard: id });
+      ppmMeter.setStandard(id);
+      meterWorklet.setPPMStandard(id);
+      layoutPPMScale(ppmScale, id);
+      applyPPMStandardLabels();
+      // Peak holds were measured with the previous ballistics
+      meterState.ppmPeakHoldL = -60;
+      meterState.ppmPeakHoldR = -60;
+    };
+  }
+
+  // Metrics recording and replay transport
+  bindRecordingControls();
+
+
+  if (goniometerModeSelect) {
+    goniometerModeSelect.onchange = () => {
+      appState.set({ goniometerMode: goniometerModeSelect.value });
+      applyGoniometerOptions();
+    };
+  }
+  if (goniometerAxesSelect) {
+    goniometerAxesSelect.onchange = () => {
+      appState.set({ goniometerAxes: goniometerAxesSelect.value });
+      applyGoniometerOptions();
+    };
+  }
+  if (goniometerPersistenceSelect) {
+    goniometerPersistenceSelect.onchange = () => {
+      appState.set({ goniometerPersistence: parseInt(goniometerPersistenceSelect.value, 10) });
+      applyGoniometerOptions();
+    };
+  }
+  if (goniometerZoomSelect) {
+    goniometerZoomSelect.onchange = () => {
+      appState.set({ goniometerZoom: parseInt(goniometerZoomSelect.value, 10) });
+      applyGoniometerOptions();
+    };
+  }
+  if (goniometerAutoGainToggle) {
+    goniometerAutoGainToggle.onchange = () => {
+      appState.set({ goniometerAutoGain: goniometerAutoGainToggle.checked });
+      if (goniometerZoomSelect) goniometerZoomSelect.disabled = goniometerAutoGainToggle.checked;
+      applyGoniometerOptions();
+    };
+  }
+  // Mouse wheel over the goniometer steps the manual zoom
+  if (xy) {
+    xy.addEventListener('wheel', (event) => {
+      if (!goniometer || appState.get('goniometerAutoGain')) return;
+      event.preventDefault();
+      const zoomDb = goniometer.zoom(event.deltaY < 0 ? 1 : -1);
+      appState.set({ goniometerZoom: zoomDb });
+      if (goniometerZoomSelect) goniometerZoomSelect.value = String(zoomDb);
+    }, { passive: false });
+  }
+
+  if (spectrumResolutionSelect) {
+    spectrumResolutionSelect.onchange = () => {
+      appState.set({ spectrumResolution: spectrumResolutionSelect.value });
+      applySpectrumOptions();
+    };
+  }
+  if (spectrumWeightingSelect) {
+    spectrumWeightingSelect.onchange = () => {
+      appState.set({ spectrumWeighting: spectrumWeightingSelect.value });
+      applySpectrumOptions();
+    };
+  }
+  if (spectrumAveragingSelect) {
+    spectrumAveragingSelect.onchange = () => {
+      appState.set({ spectrumAveraging: spectrumAveragingSelect.value });
+      applySpectrumOptions();
+    };
+  }
+  if (spectrumAveragingTimeSelect) {
+    spectrumAveragingTimeSelect.onchange = () => {
+      appState.set({ spectrumAveragingTime: parseInt(spectrumAveragingTimeSelect.value, 10) });
+      applySpectrumOptions();
+    };
+  }
+  if (spectrumPink) {
+    spectrumPink.onchange = () => {
+      appState.set({ spectrumPinkCompensation: spectrumPink.checked });
+      applySpectrumOptions();
+    };
+  }
+  if (spectrogramVisibleToggle) {
+    spectrogramVisibleToggle.onchange = () => {
+      appState.set({ spectrogramVisible: spectrogramVisibleToggle.checked });
+      applySpectrogramOptions();
+    };
+  }
+  if (spectrogramSpanSelect) {
+    spectrogramSpanSelect.onchange = () => {
+      appState.set({ spectrogramSpan: parseInt(spectrogramSpanSelect.value, 10) });
+      applySpectrogramOptions();
+    };
+  }
+  if (spectrogramFftSizeSelect) {
+    spectrogramFftSizeSelect.onchange = () => {
+      appState.set({ spectrogramFftSize: parseInt(spectrogramFftSizeSelect.value, 10) });
+      applySpectrogramOptions();
+    };
+  }
+  if (spectrogramColourMapSelect) {
+    spectrogramColourMapSelect.onchange = () => {
+      appState.set({ spectrogramColourMap: spectrogramColourMapSelect.value });
+      applySpectrogramOptions();
     };
   }
 
@@ -1609,6 +2470,7 @@ function bindEvents() {
 
   // Meter tab switcher - physics-based 3D carousel (extracted to meter-switcher.js)
   setupMeterSwitcher(meterSwitcher, meterBadge);
+  applyPPMStandardLabels();
 
   // Collapsible panels
   document.querySelectorAll('.card.collapsible h2').forEach(h2 => {
@@ -1634,6 +2496,20 @@ function setupObservers() {
   if (meters) resizeObserver.observe(meters);
   if (xyCard) resizeObserver.observe(xyCard);
   if (loudnessCard) resizeObserver.observe(loudnessCard);
+
+  // Sweep chart and latency plot: redraw when their cards open
+  if (sweepChartCanvas) {
+    const sweepObserver = new ResizeObserver(() => {
+      drawSweepChart();
+    });
+    sweepObserver.observe(sweepChartCanvas);
+  }
+  if (latencyPings) {
+    const latencyObserver = new ResizeObserver(() => {
+      renderLatency();
+    });
+    latencyObserver.observe(latencyPings);
+  }
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -1645,6 +2521,62 @@ function init() {
 
   // Initialize UI components first (creates goniometer etc.)
   initUIComponents();
+  restoreTimeline();
+  initRecordingSession({
+    dom: {
+      btnRecord, recordingStatus, recordingSelect, btnRecordingImport, recordingFileInput,
+      btnRecordingDownload, btnRecordingDelete, btnReplayPlay, replaySpeed, replaySeek,
+      replayPosition, r128Time
+    },
+    meters: { lufsMeter, truePeakMeter, ppmMeter, bufL, bufR },
+    captureState: {
+      getActiveCapture: () => activeCapture,
+      setActiveCapture: (capture) => { activeCapture = capture; }
+    },
+    getStereoAnalysis: () => stereoAnalysis,
+    getRemoteMetrics: () => lastRemoteMetrics,
+    describeSource,
+    showMetrics,
+    clearRemoteDisplays,
+    onCaptureChange: () => {
+      updateCaptureButtons();
+      updateInputSourceSummary();
+    }
+  });
+  restoreRecordings();
+  initNormalisationSession({
+    dom: { tableEl: normalisationTable, summaryEl: normalisationSummary, previewEl: normPreview },
+    sourceController,
+    getIntegrated: () => (activeCapture === 'remote' || activeCapture === 'replay'
+      ? meterState.remoteIntegrated
+      : lufsMeter.getReadings().integrated)
+  });
+  initReportSession({
+    dom: { reportFormat, reportExport },
+    lufsMeter,
+    sampleRate: ac.sampleRate,
+    getActiveCapture: () => activeCapture,
+    getMeteredLayoutId: () => meteredLayoutId,
+    getComplianceProfile: () => complianceProfile,
+    describeSource
+  });
+  initToneSession({
+    dom: {
+      panelTone, toneFrequency, toneLevelL, toneLevelR, toneDifference, tonePhase,
+      toneThdnL, toneThdnR, toneSummary
+    },
+    analyserL: rtaAnalyserL,
+    analyserR: rtaAnalyserR,
+    sampleRate: ac.sampleRate,
+    getActiveCapture: () => activeCapture
+  });
+  initDelaySession({
+    dom: { panelDelay, delayValue, delayPolarity, delayConfidence, delaySummary, delayHistory },
+    analyserL,
+    analyserR,
+    sampleRate: ac.sampleRate,
+    getActiveCapture: () => activeCapture
+  });
 
   // Initialize layout with dependencies
   initLayout({
@@ -1709,7 +2641,7 @@ function init() {
     },
     uiComponents: {
       goniometer, correlationMeter, balanceMeterUI,
-      spectrumAnalyzerUI, msMeterUI, widthMeterUI,
+      spectrumAnalyzerUI, spectrogramUI, msMeterUI, widthMeterUI,
       rotationMeterUI, radar, stereoAnalysis
     },
     config: {
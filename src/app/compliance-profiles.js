@@ -0,0 +1,148 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * COMPLIANCE PROFILE REGISTRY
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Built-in delivery profiles (metering/compliance.js) plus user-defined
+ * profiles persisted in localStorage (config/storage.js). The active
+ * profile drives the loudness target, True Peak limit and every pass/fail
+ * indication in the app.
+ *
+ * User profiles get ids prefixed 'user-' so they can never shadow a
+ * built-in. Stored entries that no longer validate are skipped with a
+ * warning rather than breaking start-up.
+ *
+ * @module app/compliance-profiles
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import {
+  COMPLIANCE_PROFILES,
+  DEFAULT_COMPLIANCE_PROFILE,
+  createComplianceProfile
+} from '../metering/compliance.js';
+import { getUserComplianceProfiles, setUserComplianceProfiles } from '../config/storage.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MODULE STATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+const USER_ID_PREFIX = 'user-';
+
+/** @type {Readonly<import('../metering/compliance.js').ComplianceProfile>[]|null} */
+let userProfiles = null;
+
+/**
+ * Load user profiles from storage on first use.
+ * @returns {Readonly<import('../metering/compliance.js').ComplianceProfile>[]}
+ */
+function getUserProfiles() {
+  if (userProfiles === null) {
+    userProfiles = [];
+    for (const stored of getUserComplianceProfiles()) {
+      try {
+        userProfiles.push(createComplianceProfile(stored));
+      } catch (error) {
+        console.warn(`[Compliance] Skipping stored profile ${stored?.id}:`, error);
+      }
+    }
+  }
+  return userProfiles;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PUBLIC API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * All profiles: built-ins first, then user-defined in creation order.
+ *
+ * @returns {Readonly<import('../metering/compliance.js').ComplianceProfile>[]}
+ */
+export function listComplianceProfiles() {
+  return [...Object.values(COMPLIANCE_PROFILES), ...getUserProfiles()];
+}
+
+/**
+ * Find a profile by id, falling back to the default built-in (EBU R128)
+ * when the id is unknown, e.g. a user profile deleted in another tab.
+ *
+ * @param {string} id - Profile identifier
+ * @returns {Readonly<import('../metering/compliance.js').ComplianceProfile>}
+ */
+export function findComplianceProfile(id) {
+  return COMPLIANCE_PROFILES[id]
+    ?? getUserProfiles().find(profile => profile.id === id)
+    ?? COMPLIANCE_PROFILES[DEFAULT_COMPLIANCE_PROFILE];
+}
+
+/**
+ * @param {string} id - Profile identifier
+ * @returns {boolean} True for user-defined (editable) profiles
+ */
+export function isUserComplianceProfile(id) {
+  return id.startsWith(USER_ID_PREFIX);
+}
+
+/**
+ * Create or update a user profile and persist the list.
+ *
+ * Without a user id (or with a built-in id) a new profile is created, so
+ * editing a built-in saves a copy.
+ *
+ * @param {Partial<import('../metering/compliance.js').ComplianceProfile>} fields - Profile fields
+ * @returns {Readonly<import('../metering/compliance.js').ComplianceProfile>} Saved profile
+ * @throws {TypeError|RangeError} If the fields do not validate (nothing is saved)
+ */
+export function saveUserComplianceProfile(fields) {
+  const profiles = getUserProfiles();
+  const id = fields.id && isUserComplianceProfile(fields.id) ? fields.id : newUserId();
+  const profile = createComplianceProfile({ ...fields, id });
+
+  const index = profiles.findIndex(existing => existing.id === id);
+  if (index >= 0) {
+    profiles[index] = profile;
+  } else {
+    profiles.push(profile);
+  }
+  setUserComplianceProfiles(profiles);
+  return profile;
+}
+
+/**
+ * Delete a user profile. Built-ins cannot be deleted.
+ *
+ * @param {string} id - Profile identifier
+ * @returns {boolean} True if a profile was deleted
+ */
+export function deleteUserComplianceProfile(id) {
+  const profiles = getUserProfiles();
+  const index = profiles.findIndex(profile => profile.id === id);
+  if (index < 0) return false;
+
+  profiles.splice(index, 1);
+  setUserComplianceProfiles(profiles);
+  return true;
+}
+
+/**
+ * @returns {string} Unused user profile id
+ */
+function newUserId() {
+  const taken = new Set(getUserProfiles().map(profile => profile.id));
+  let n = taken.size + 1;
+  while (taken.has(`${USER_ID_PREFIX}${n}`)) n++;
+  return `${USER_ID_PREFIX}${n}`;
+}
@@ -0,0 +1,123 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * CHANNEL DELAY
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Runs the channel delay card: the inter-channel delay meter
+ * (metering/channel-delay.js) on the analysis bus and its view
+ * (ui/channel-delay-panel.js).
+ *
+ * UPDATES
+ * ───────
+ *   Every CHANNEL_DELAY_INTERVAL_MS the L/R delay is estimated from the
+ *   analysis buffers. This runs for every local source so the history is
+ *   complete when the card is opened; it is drawn only while open. Remote
+ *   and replay sources have no samples and add nothing to the history.
+ *
+ * @module app/delay-session
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { ChannelDelayMeter } from '../metering/channel-delay.js';
+import { ChannelDelayPanel } from '../ui/channel-delay-panel.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MODULE STATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Initialised via initDelaySession()
+/** @type {Object<string, any>} */
+let dom;
+/** @type {AnalyserNode} */
+let analyserL;
+/** @type {AnalyserNode} */
+let analyserR;
+/** @type {() => (string|null)} */
+let getActiveCapture;
+
+/** @type {ChannelDelayMeter|null} Meter (history kept while the card is closed) */
+let channelDelayMeter = null;
+/** @type {ChannelDelayPanel|null} */
+let channelDelayPanel = null;
+/** Time-domain buffers, one analyser length each */
+let delayBufL = new Float32Array(0);
+let delayBufR = new Float32Array(0);
+
+/** Estimate interval (four per second fills a minute of history with 240 points) */
+const CHANNEL_DELAY_INTERVAL_MS = 250;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INITIALISATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Create the meter and the delay card and start the periodic estimate.
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.dom - DOM element references (card panel, readouts and history canvas)
+ * @param {AnalyserNode} deps.analyserL - Left analysis-bus analyser
+ * @param {AnalyserNode} deps.analyserR - Right analysis-bus analyser
+ * @param {number} deps.sampleRate - Context sample rate (Hz)
+ * @param {() => (string|null)} deps.getActiveCapture - Returns the running capture
+ */
+export function initDelaySession(deps) {
+  dom = deps.dom;
+  analyserL = deps.analyserL;
+  analyserR = deps.analyserR;
+  getActiveCapture = deps.getActiveCapture;
+
+  delayBufL = new Float32Array(analyserL.fftSize);
+  delayBufR = new Float32Array(analyserR.fftSize);
+
+  channelDelayMeter = new ChannelDelayMeter({ sampleRate: deps.sampleRate });
+  channelDelayPanel = new ChannelDelayPanel({
+    delayEl: dom.delayValue, polarityEl: dom.delayPolarity, confidenceEl: dom.delayConfidence,
+    summaryEl: dom.delaySummary, canvas: dom.delayHistory
+  });
+
+  setInterval(updateChannelDelay, CHANNEL_DELAY_INTERVAL_MS);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PUBLIC API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Forget the delay history (R128 reset).
+ */
+export function resetChannelDelay() {
+  if (channelDelayMeter) channelDelayMeter.reset();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PRIVATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Estimate the L/R delay from the analysis bus and draw the card while open.
+ */
+function updateChannelDelay() {
+  if (!channelDelayMeter) return;
+  const now = performance.now();
+  const activeCapture = getActiveCapture();
+  if (activeCapture && activeCapture !== 'remote' && activeCapture !== 'replay') {
+    analyserL.getFloatTimeDomainData(delayBufL);
+    analyserR.getFloatTimeDomainData(delayBufR);
+    channelDelayMeter.update(delayBufL, delayBufR, now);
+  }
+  if (channelDelayPanel && !dom.panelDelay?.classList.contains('collapsed')) {
+    channelDelayPanel.render(channelDelayMeter, now);
+  }
+}
@@ -0,0 +1,271 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * FILE ANALYSIS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Runs the Audio File source panel: offline R128 analysis of a dropped or
+ * selected file (metering/programme-analysis.js, chart in
+ * ui/programme-chart.js), faster than real time.
+ *
+ * ANALYSIS
+ * ────────
+ *   SourceController.loadFile() decodes the file at the context rate; the
+ *   analysis then runs on the main thread, yielding between chunks, so
+ *   live capture keeps running beside it. One analysis runs at a time; a
+ *   new file cancels the one in progress. The report is checked against
+ *   the active delivery profile, and checked again when the profile
+ *   changes.
+ *
+ * @module app/file-analysis-session
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { formatLUFS, formatLRA } from '../metering/lufs.js';
+import { formatTruePeak } from '../metering/true-peak.js';
+import { formatPPM, dbfsToPPM } from '../metering/ppm.js';
+import { formatCorrelation } from '../metering/correlation.js';
+import { getChannelLayout } from '../metering/channel-layout.js';
+import { analyseProgramme } from '../metering/programme-analysis.js';
+import { evaluateCompliance } from '../metering/compliance.js';
+import { ProgrammeChart } from '../ui/programme-chart.js';
+import { formatTime, getCss, formatComplianceVerdict } from './helpers.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MODULE STATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Initialised via initFileAnalysisSession()
+/** @type {Object<string, any>} */
+let dom;
+/** @type {import('./sources.js').SourceController} */
+let sourceController;
+/** @type {() => import('../metering/compliance.js').ComplianceProfile} */
+let getComplianceProfile;
+/** @type {() => void} */
+let onAnalysisChange;
+
+/** @type {ProgrammeChart|null} */
+let programmeChart = null;
+/** @type {AbortController|null} Running file analysis (independent of live capture) */
+let fileAnalysis = null;
+/** @type {import('../metering/programme-analysis.js').ProgrammeReport|null} Report on show */
+let lastFileReport = null;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INITIALISATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Create the programme chart and wire the file picker and drop zone.
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.dom - DOM element references (file input, drop zone, readouts and chart canvas)
+ * @param {import('./sources.js').SourceController} deps.sourceController - Decodes and holds the file
+ * @param {() => import('../metering/compliance.js').ComplianceProfile} deps.getComplianceProfile - Returns the active delivery profile
+ * @param {() => void} deps.onAnalysisChange - Called when an analysis starts or ends
+ */
+export function initFileAnalysisSession(deps) {
+  dom = deps.dom;
+  sourceController = deps.sourceController;
+  getComplianceProfile = deps.getComplianceProfile;
+  onAnalysisChange = deps.onAnalysisChange;
+
+  const { fileChart, fileInput, fileDropZone } = dom;
+  if (fileChart) {
+    programmeChart = new ProgrammeChart(fileChart);
+  }
+
+  if (fileInput) {
+    fileInput.addEventListener('change', () => {
+      openAnalysisFile(fileInput.files?.[0]);
+      fileInput.value = '';
+    });
+  }
+  if (fileDropZone) {
+    fileDropZone.addEventListener('dragover', e => {
+      e.preventDefault();
+      fileDropZone.classList.add('drag-over');
+    });
+    fileDropZone.addEventListener('dragleave', () => fileDropZone.classList.remove('drag-over'));
+    fileDropZone.addEventListener('drop', e => {
+      e.preventDefault();
+      fileDropZone.classList.remove('drag-over');
+      openAnalysisFile(e.dataTransfer?.files?.[0]);
+    });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PUBLIC API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @returns {boolean} Whether an analysis is running
+ */
+export function isFileAnalysing() {
+  return fileAnalysis !== null;
+}
+
+/**
+ * Cancel the running analysis, if any.
+ */
+export function cancelFileAnalysis() {
+  if (fileAnalysis) fileAnalysis.abort();
+}
+
+/**
+ * Redraw the chart (its canvas has no size while the panel is hidden).
+ */
+export function drawProgrammeChart() {
+  if (programmeChart) programmeChart.draw();
+}
+
+/**
+ * Check the report on show against the active profile again (after a
+ * profile change).
+ */
+export function refreshFileReport() {
+  if (lastFileReport) showFileReport(lastFileReport);
+}
+
+/**
+ * Run the R128 analysis on the decoded file and show the report.
+ */
+export async function analyseLoadedFile() {
+  const buffer = sourceController.fileBuffer;
+  if (!buffer || fileAnalysis) return;
+
+  const controller = new AbortController();
+  fileAnalysis = controller;
+  onAnalysisChange();
+
+  const started = performance.now();
+  try {
+    const report = await analyseProgramme(sourceController.getFileChannels(), {
+      sampleRate: buffer.sampleRate,
+      signal: controller.signal,
+      onProgress: (fraction) => setFileStatus(`Analysing ${Math.round(fraction * 100)}%`)
+    });
+
+    const speed = report.duration / Math.max(0.001, (performance.now() - started) / 1000);
+    setFileStatus(`Done (${Math.round(speed)}× real time)`);
+    showFileReport(report);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      setFileStatus('Cancelled');
+    } else {
+      console.error('[FileAnalysis] Analysis failed:', error);
+      setFileStatus('Analysis failed');
+    }
+  } finally {
+    fileAnalysis = null;
+    onAnalysisChange();
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PRIVATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} text - Status line
+ */
+function setFileStatus(text) {
+  if (dom.fileStatus) dom.fileStatus.textContent = text;
+}
+
+/**
+ * Decode a dropped or selected file, then analyse it.
+ *
+ * @param {File|undefined} file - Audio file
+ */
+async function openAnalysisFile(file) {
+  if (!file) return;
+  cancelFileAnalysis();
+
+  clearFileReport();
+  if (dom.fileNameEl) dom.fileNameEl.textContent = file.name;
+  setFileStatus('Decoding…');
+
+  try {
+    const buffer = await sourceController.loadFile(file);
+    if (dom.fileDuration) dom.fileDuration.textContent = formatTime(buffer.duration * 1000);
+    if (dom.fileChannels) dom.fileChannels.textContent = String(buffer.numberOfChannels);
+    if (dom.fileSr) dom.fileSr.textContent = buffer.sampleRate + ' Hz';
+  } catch (error) {
+    console.error('[FileAnalysis] File decode failed:', error);
+    setFileStatus('Unsupported format');
+    return;
+  }
+
+  await analyseLoadedFile();
+}
+
+/**
+ * @param {import('../metering/programme-analysis.js').ProgrammeReport} report - Analysis result
+ */
+function showFileReport(report) {
+  const {
+    fileChannels, fileIntegrated, fileLra, fileMaxM, fileMaxS, fileTpMax,
+    filePpmMax, fileTpChannels, fileCorrelation, fileCompliance
+  } = dom;
+  const profile = getComplianceProfile();
+
+  lastFileReport = report;
+  const layout = report.layout ? ` (${report.layout})` : '';
+  if (fileChannels) fileChannels.textContent = report.channelCount + layout;
+  if (fileIntegrated) fileIntegrated.textContent = formatLUFS(report.integrated);
+  if (fileLra) fileLra.textContent = formatLRA(report.lra);
+  if (fileMaxM) fileMaxM.textContent = formatLUFS(report.maxMomentary);
+  if (fileMaxS) fileMaxS.textContent = formatLUFS(report.maxShortTerm);
+  if (fileTpMax) {
+    fileTpMax.textContent = formatTruePeak(report.truePeakMax);
+    fileTpMax.style.color = report.truePeakMax > profile.truePeakMax ? getCss('--hot') : '';
+  }
+  if (filePpmMax) filePpmMax.textContent = formatPPM(dbfsToPPM(Math.max(...report.quasiPeakChannels)));
+  if (fileTpChannels) {
+    const labels = report.layout ? getChannelLayout(report.layout).channels.map(c => c.label) : [];
+    fileTpChannels.textContent = report.truePeakChannels
+      .map((tp, ch) => `${labels[ch] || ch + 1} ${Number.isFinite(tp) ? tp.toFixed(1) : '--.-'}`)
+      .join(' · ');
+  }
+  if (fileCorrelation) {
+    fileCorrelation.textContent = report.correlation === null || report.correlationMin === null
+      ? 'Mono'
+      : `${formatCorrelation(report.correlation)} / ${formatCorrelation(report.correlationMin)}`;
+  }
+  if (fileCompliance) {
+    const result = evaluateCompliance(report, profile);
+    fileCompliance.textContent = `${profile.name}: ${formatComplianceVerdict(result)}`;
+    fileCompliance.style.color = result.pass ? getCss('--ok') : getCss('--hot');
+    fileCompliance.title = result.speechGated ? 'Speech-gated profile, checked level-gated' : '';
+  }
+  if (programmeChart) programmeChart.setReport(report, { targetLufs: profile.targetLufs, tpLimit: profile.truePeakMax });
+}
+
+function clearFileReport() {
+  const {
+    fileNameEl, fileDuration, fileChannels, fileSr, fileStatus, fileIntegrated, fileLra,
+    fileMaxM, fileMaxS, fileTpMax, filePpmMax, fileTpChannels, fileCorrelation, fileCompliance
+  } = dom;
+  [fileNameEl, fileDuration, fileChannels, fileSr, fileStatus, fileIntegrated, fileLra,
+    fileMaxM, fileMaxS, fileTpMax, filePpmMax, fileTpChannels, fileCorrelation, fileCompliance].forEach(el => {
+    if (el) el.textContent = '–';
+  });
+  if (fileTpMax) fileTpMax.style.color = '';
+  if (fileCompliance) fileCompliance.style.color = '';
+  lastFileReport = null;
+  if (programmeChart) programmeChart.setReport(null);
+}
@@ -27,6 +27,8 @@
  * ───────────────────────────
  *   - getCss: Get CSS custom property value
  *   - loudnessColour: Get colour for LUFS value relative to target
+ *   - formatComplianceVerdict: Short pass/fail text for a compliance result
+ *   - readNumber: Numeric value of a settings input, with a fallback
  *
  * @module app/helpers
  * ═══════════════════════════════════════════════════════════════════════════════
@@ -57,17 +59,47 @@ export function getCss(prop) {
 
 /**
  * Get colour for LUFS value relative to target.
- * EXACT from audio-meters-grid.html lines 3691-3698
+ * EXACT from audio-meters-grid.html lines 3691-3698, with the on-target
+ * window taken from the active compliance profile's tolerance.
  *
  * @param {number} lufs - LUFS value
  * @param {number} targetLufs - Target LUFS value
+ * @param {number} [toleranceLu=1] - Permitted deviation from target (± LU)
  * @returns {string} CSS colour value
  */
-export function loudnessColour(lufs, targetLufs) {
+export function loudnessColour(lufs, targetLufs, toleranceLu = 1) {
   if (!isFinite(lufs)) return 'var(--muted)';
   const offset = lufs - targetLufs;
-  if (offset >= -1 && offset <= 1) return getCss('--ok');      // On target: green
-  if (offset < -1) return getCss('--cyan');                     // Too quiet: cyan
-  if (offset <= 3) return getCss('--warn');                     // Bit loud: amber
-  return getCss('--hot');                                        // Too loud: red
+  if (offset >= -toleranceLu && offset <= toleranceLu) return getCss('--ok');   // On target: green
+  if (offset < -toleranceLu) return getCss('--cyan');                            // Too quiet: cyan
+  if (offset <= toleranceLu + 2) return getCss('--warn');                        // Bit loud: amber
+  return getCss('--hot');                                                        // Too loud: red
+}
+
+/**
+ * Numeric value of a settings input.
+ * @param {HTMLInputElement|HTMLSelectElement|null} el - Input
+ * @param {number} fallback - Value when empty or not a number
+ * @returns {number}
+ */
+export function readNumber(el, fallback) {
+  const value = el && el.value !== '' ? Number(el.value) : NaN;
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/** Short labels for failed compliance checks */
+const COMPLIANCE_CHECK_LABELS = { integrated: 'I', truePeak: 'TP', lra: 'LRA', shortTerm: 'S' };
+
+/**
+ * Short pass/fail text for a compliance result, e.g. 'PASS' or 'FAIL I TP'.
+ * Speech-gated profiles get a trailing '*': they are checked level-gated.
+ *
+ * @param {import('../metering/compliance.js').ComplianceResult} result - Evaluation result
+ * @returns {string} Verdict text
+ */
+export function formatComplianceVerdict(result) {
+  const mark = result.speechGated ? '*' : '';
+  if (result.pass) return `PASS${mark}`;
+  const failed = result.checks.filter(check => !check.pass).map(check => COMPLIANCE_CHECK_LABELS[check.name]);
+  return `FAIL ${failed.join(' ')}${mark}`;
 }
@@ -0,0 +1,162 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * LOOP LATENCY
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Runs the loop latency card: marker pings through the output/input loop
+ * (metering/latency.js, view in ui/latency-panel.js).
+ *
+ * PINGS
+ * ─────
+ *   Each ping is one SourceController.playAndCapture() call with the
+ *   marker as the signal and the longest expected delay as the recorded
+ *   tail. Pings run one after another, LATENCY_PING_GAP_MS apart, so a
+ *   recording never holds two markers. Stop ends the run after the ping
+ *   in progress; the series is kept until Reset.
+ *
+ * @module app/latency-session
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { generateLatencyMarker, detectLatencyMarker, LatencyMeter } from '../metering/latency.js';
+import { LatencyPanel } from '../ui/latency-panel.js';
+import { InputMode } from './state.js';
+import { readNumber } from './helpers.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MODULE STATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Initialised via initLatencySession()
+/** @type {Object<string, any>} */
+let dom;
+/** @type {AudioContext} */
+let audioContext;
+/** @type {import('./sources.js').SourceController} */
+let sourceController;
+
+/** Delay series of the session */
+const latencyMeter = new LatencyMeter();
+/** @type {LatencyPanel|null} */
+let latencyPanel = null;
+/** @type {{stopped: boolean}|null} Run in progress (set stopped to end it) */
+let latencyRun = null;
+
+/** Pause between pings, so the previous marker has died away */
+const LATENCY_PING_GAP_MS = 200;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INITIALISATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Create the latency card and wire its controls.
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.dom - DOM element references (settings, start/stop/reset, readouts and ping canvas)
+ * @param {AudioContext} deps.audioContext - Context the marker is generated at
+ * @param {import('./sources.js').SourceController} deps.sourceController - Plays and captures the loop
+ */
+export function initLatencySession(deps) {
+  dom = deps.dom;
+  audioContext = deps.audioContext;
+  sourceController = deps.sourceController;
+
+  latencyPanel = new LatencyPanel({
+    delayEl: dom.latencyDelay, confidenceEl: dom.latencyConfidence, meanEl: dom.latencyMean, jitterEl: dom.latencyJitter,
+    rangeEl: dom.latencyRange, countEl: dom.latencyCount, summaryEl: dom.latencySummary, canvas: dom.latencyPings
+  });
+  renderLatency();
+
+  const { latencyStart, latencyStop, latencyReset } = dom;
+  if (latencyStart) latencyStart.onclick = runLatencyPings;
+  if (latencyStop) {
+    latencyStop.onclick = () => {
+      if (latencyRun) latencyRun.stopped = true;
+    };
+  }
+  if (latencyReset) {
+    latencyReset.onclick = () => {
+      latencyMeter.reset();
+      renderLatency();
+    };
+  }
+}
+
+/**
+ * Redraw the card (also when it opens or resizes).
+ */
+export function renderLatency() {
+  if (latencyPanel) latencyPanel.render(latencyMeter);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PINGS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} text - Status line
+ */
+function setLatencyStatus(text) {
+  if (dom.latencyStatus) dom.latencyStatus.textContent = text;
+}
+
+function updateLatencyButtons() {
+  if (dom.latencyStart) dom.latencyStart.disabled = latencyRun !== null;
+  if (dom.latencyStop) dom.latencyStop.disabled = latencyRun === null;
+}
+
+/**
+ * Ping the loop the selected number of times: play the marker through
+ * SourceController, find it on the captured input and add it to the series.
+ */
+async function runLatencyPings() {
+  if (latencyRun) return;
+  if (!sourceController.isModeActive(InputMode.EXTERNAL)) {
+    setLatencyStatus('Start External Device capture first');
+    return;
+  }
+
+  const sampleRate = audioContext.sampleRate;
+  const type = /** @type {import('../metering/latency.js').LatencyMarker} */ (dom.latencyMarker ? dom.latencyMarker.value : 'mls');
+  const marker = generateLatencyMarker(type, {
+    sampleRate,
+    levelDbfs: Math.min(0, readNumber(dom.latencyLevel, -12))
+  });
+  const maxDelayS = readNumber(dom.latencyMaxDelay, 1);
+  const count = readNumber(dom.latencyPingCount, 10);
+
+  const run = { stopped: false };
+  latencyRun = run;
+  updateLatencyButtons();
+  try {
+    for (let i = 0; i < count && !run.stopped; i++) {
+      setLatencyStatus(`Ping ${i + 1} of ${count}…`);
+      // The recording runs maxDelayS past the marker; a later arrival is lost
+      const { channels, offset } = await sourceController.playAndCapture([marker], { tailS: maxDelayS });
+      const channel = Math.min(readNumber(dom.latencyChannel, 0), channels.length - 1);
+      latencyMeter.add(detectLatencyMarker(channels[channel], marker, { sampleRate, offset }), performance.now());
+      renderLatency();
+      if (i < count - 1) await new Promise(resolve => setTimeout(resolve, LATENCY_PING_GAP_MS));
+    }
+    setLatencyStatus(run.stopped ? 'Stopped' : 'Done');
+  } catch (error) {
+    console.error('[Latency] Ping failed:', error);
+    setLatencyStatus(error instanceof Error ? error.message : String(error));
+  } finally {
+    latencyRun = null;
+    updateLatencyButtons();
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * LINE-UP IDENT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Runs the line-up card: the ident detector (metering/lineup.js) on the
+ * analysis buffers and its view (ui/lineup-panel.js).
+ *
+ * UPDATES
+ * ───────
+ *   The measure loop hands updateLineup() the L/R buffers every tick
+ *   (20 Hz). Remote and replay sources have no samples; they pass null
+ *   buffers, which clears the finding.
+ *
+ * @module app/lineup-session
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { LineupDetector } from '../metering/lineup.js';
+import { LineupPanel } from '../ui/lineup-panel.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MODULE STATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** @type {LineupDetector|null} Detector (null until initLineupSession()) */
+let lineupDetector = null;
+/** @type {LineupPanel|null} */
+let lineupPanel = null;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INITIALISATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Create the detector and the line-up card.
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.dom - DOM element references { typeEl, levelLEl, levelREl, orderEl, polarityEl, summaryEl }
+ * @param {number} deps.sampleRate - Analysis sample rate (Hz)
+ */
+export function initLineupSession({ dom, sampleRate }) {
+  lineupDetector = new LineupDetector({ sampleRate });
+  lineupPanel = new LineupPanel(dom);
+  lineupPanel.render(null);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PUBLIC API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Run the line-up ident detector on the analysis buffers (measure loop,
+ * 20 Hz) and show its finding. Null buffers (remote, replay) clear it.
+ *
+ * @param {Float32Array|null} left - Left analysis buffer
+ * @param {Float32Array|null} right - Right analysis buffer
+ * @param {number} now - Time in ms
+ */
+export function updateLineup(left, right, now) {
+  if (!lineupDetector) return;
+  /** @type {import('../metering/lineup.js').LineupResult|null} */
+  let result = null;
+  if (left && right) {
+    result = lineupDetector.update(left, right, now);
+  } else {
+    lineupDetector.reset();
+  }
+  if (lineupPanel) lineupPanel.render(result);
+}
+
+/**
+ * Forget the ident history (R128 reset).
+ */
+export function resetLineup() {
+  if (lineupDetector) lineupDetector.reset();
+}
@@ -24,19 +24,72 @@
  *   - Independent of requestAnimationFrame
  *   - Handles EBU Stereo-ID pulse timing
  *
+ * SAMPLE-ACCURATE INPUT
+ * ─────────────────────
+ * When the metering AudioWorklet is running (meterState.workletMetering),
+ * LUFS blocks, True Peak, PPM and the noise readings are fed from its
+ * gapless StreamBlocks via pushMeterBlock(). The 20 Hz tick then only
+ * refreshes the displays.
+ * Otherwise the tick falls back to polling the AnalyserNode buffers.
+ *
+ * Multichannel layouts (5.1, 7.1.4 …) are only metered through the worklet:
+ * channel energies are summed with meterState.channelWeights (BS.1770-4).
+ *
  * DISPLAY DELAYS (time-gated values)
  * ──────────────────────────────────
- *   - M (Momentary): show after 1s
- *   - S (Short-term): show after 10s
+ *   - M (Momentary), Max M: show after 1s
+ *   - S (Short-term), Max S: show after 10s
  *   - I (Integrated): show after 30s
  *
+ * EBU MODE (Tech 3341)
+ * ────────────────────
+ *   pauseIntegration() / startIntegration() hold and continue I, LRA,
+ *   Max M, Max S, TPmax and the elapsed time; M and S keep running.
+ *   Loudness reads in LUFS or in LU relative to the target
+ *   (config.getLoudnessUnit()).
+ *
+ * COMPLIANCE
+ * ──────────
+ *   The active delivery profile (config.getComplianceProfile()) sets the
+ *   on-target window for I, flags TPmax, LRA and Max S over their limits,
+ *   and gives the live verdict (dom.r128Compliance) once I is shown.
+ *
+ * ALARMS
+ * ──────
+ *   Each tick hands an AlarmSnapshot (metering/alarms.js) to
+ *   deps.updateAlarms: short-term loudness, current True Peak, and level,
+ *   correlation and DC offset of the L/R analysis buffers. DC is smoothed
+ *   over DC_SMOOTHING_S so low-frequency programme does not read as offset.
+ *
+ * LINE-UP
+ * ───────
+ *   The L/R analysis buffers also go to deps.updateLineup every tick, for
+ *   the line-up ident detector (metering/lineup.js). Remote and replay
+ *   pass null buffers, so the detector is cleared.
+ *
+ * TIMELINE
+ * ────────
+ *   While integration runs, M, S, I and True Peak are folded into one
+ *   point per second (accumulateTimeline); finished points go to
+ *   deps.onTimelinePoint for storage and drawing. Values still hidden by
+ *   the display delays above are recorded as NaN.
+ *
+ * REMOTE AND REPLAY
+ * ─────────────────
+ *   With activeCapture 'remote' or 'replay' local metering is skipped:
+ *   received or replayed metrics reach the displays through bootstrap.
+ *
  * @module app/measure-loop
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
-import { formatLUFS } from '../metering/lufs.js';
-import { meterState, MEASURE_INTERVAL_MS, getElapsedSeconds } from './meter-state.js';
+import { formatLoudness } from '../metering/lufs.js';
+import { evaluateCompliance } from '../metering/compliance.js';
+import { sumWeightedEnergy } from '../metering/channel-layout.js';
+import { calculateCorrelation } from '../metering/correlation.js';
+import { meterState, MEASURE_INTERVAL_MS, getElapsedSeconds, trackTruePeakMax, recordSessionLoudness, accumulateTimeline } from './meter-state.js';
 import { InputMode } from './state.js';
+import { formatComplianceVerdict } from './helpers.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // MODULE STATE
@@ -52,6 +105,9 @@ let sourceController = null;
 let TransitionGuard = null;
 let getPresetConfig = null;
 let loudnessColour = null;
+let updateAlarms = null;
+let updateLineup = null;
+let onTimelinePoint = null;
 
 // Interval handle
 let measureInterval = null;
@@ -64,6 +120,9 @@ const DELAY_M = 1;   // Momentary: show after 1s
 const DELAY_S = 10;  // Short-term: show after 10s
 const DELAY_I = 30;  // Integrated: show after 30s
 
+/** Time constant of the DC offset average (seconds) */
+const DC_SMOOTHING_S = 2;
+
 // ─────────────────────────────────────────────────────────────────────────────
 // INITIALISATION
 // ─────────────────────────────────────────────────────────────────────────────
@@ -73,14 +132,17 @@ const DELAY_I = 30;  // Integrated: show after 30s
  *
  * @param {Object} deps - Dependencies
  * @param {Object} deps.dom - DOM element references
- * @param {Object} deps.meters - Meter instances (lufsMeter, truePeakMeter)
+ * @param {Object} deps.meters - Meter instances (lufsMeter, truePeakMeter, ppmMeter, noiseMeter)
  * @param {Object} deps.captureState - Capture state accessor { getActiveCapture }
  * @param {Object} deps.ebuState - EBU pulse state { get/set ebuModeActive, ebuPrevState, leftMuteTimer }
- * @param {Object} deps.config - Config accessor { getTargetLufs, getTpLimit, getRadarMaxSeconds }
+ * @param {Object} deps.config - Config accessor { getTargetLufs, getTpLimit, getComplianceProfile, getRadarMaxSeconds, getLoudnessUnit }
  * @param {Object} deps.sourceController - SourceController instance
  * @param {Object} deps.TransitionGuard - TransitionGuard singleton
  * @param {Function} deps.getPresetConfig - Function to get current generator preset
  * @param {Function} deps.loudnessColour - Function to get colour for LUFS value
+ * @param {Function} [deps.updateAlarms] - Receives an AlarmSnapshot every tick
+ * @param {Function} [deps.updateLineup] - Receives (bufL, bufR, now) every tick; (null, null, now) for remote and replay
+ * @param {Function} [deps.onTimelinePoint] - Receives each finished TimelinePoint (once per second)
  */
 export function initMeasureLoop(deps) {
   dom = deps.dom;
@@ -92,6 +154,82 @@ export function initMeasureLoop(deps) {
   TransitionGuard = deps.TransitionGuard;
   getPresetConfig = deps.getPresetConfig;
   loudnessColour = deps.loudnessColour;
+  updateAlarms = deps.updateAlarms ?? null;
+  updateLineup = deps.updateLineup ?? null;
+  onTimelinePoint = deps.onTimelinePoint ?? null;
+}
+
+/**
+ * Feed one gapless block from the metering AudioWorklet into the meters.
+ * Blocks are accumulated (sample-weighted) into LUFSMeter-sized blocks so
+ * every sample contributes exactly once to the loudness windows.
+ *
+ * @param {import('../metering/stream-meter.js').StreamBlock} block - Block from MeterWorklet
+ */
+export function pushMeterBlock(block) {
+  if (!meters) return;
+
+  const activeCapture = captureState.getActiveCapture();
+  if (!activeCapture || activeCapture === 'remote' || activeCapture === 'replay') return;
+
+  // LUFS: accumulate weighted K-weighted energy until a full LUFSMeter block is reached
+  meterState.lufsBlockEnergy += sumWeightedEnergy(block.energy, meterState.channelWeights) * block.frames;
+  meterState.lufsBlockFrames += block.frames;
+  if (meterState.lufsBlockFrames >= meters.lufsMeter.blockSize) {
+    meters.lufsMeter.pushBlock(meterState.lufsBlockEnergy / meterState.lufsBlockFrames);
+    meterState.lufsBlockEnergy = 0;
+    meterState.lufsBlockFrames = 0;
+  }
+
+  // True Peak: display ballistics (smoothing per elapsed time) plus exact cumulative maximum (held while paused)
+  const [tpL, tpR] = block.truePeak;
+  meters.truePeakMeter.updateChannels(block.truePeak, block.frames / meters.lufsMeter.sampleRate);
+  if (!meters.lufsMeter.paused) {
+    if (tpL > meterState.tpMaxL) meterState.tpMaxL = tpL;
+    if (tpR > meterState.tpMaxR) meterState.tpMaxR = tpR;
+    for (let ch = 2; ch < block.truePeak.length; ch++) {
+      if (block.truePeak[ch] > meterState.tpMaxOther) meterState.tpMaxOther = block.truePeak[ch];
+    }
+    trackTruePeakMax(block.truePeak);
+  }
+
+  // PPM: RC detector already ran on every sample in the worklet
+  meters.ppmMeter.updateLevels(block.quasiPeak[0], block.quasiPeak[1]);
+
+  // Noise: 468, ARM and A-weighted detectors also ran in the worklet
+  if (meters.noiseMeter && block.noise) meters.noiseMeter.updateLevels(block.noise);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INTEGRATION CONTROL (EBU Mode start / pause)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Pause loudness integration. I, LRA, Max M, Max S, TPmax and the elapsed
+ * time hold; M and S keep running.
+ */
+export function pauseIntegration() {
+  if (!meters || meters.lufsMeter.paused) return;
+  meters.lufsMeter.pause();
+  meterState.pausedTs = performance.now();
+}
+
+/**
+ * Start (or continue) loudness integration after pauseIntegration().
+ */
+export function startIntegration() {
+  if (!meters || !meters.lufsMeter.paused) return;
+  meters.lufsMeter.start();
+  // Exclude the paused period from the elapsed time
+  meterState.startTs += performance.now() - meterState.pausedTs;
+  meterState.pausedTs = null;
+}
+
+/**
+ * @returns {boolean} True while loudness integration is paused
+ */
+export function isIntegrationPaused() {
+  return meters !== null && meters.lufsMeter.paused;
 }
 
 /**
@@ -125,6 +263,24 @@ function formatTime(ms) {
   return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
 }
 
+/**
+ * RMS level and mean of an analysis buffer.
+ * @param {Float32Array} buffer - Samples
+ * @returns {{ rmsDb: number, mean: number }} RMS level (dBFS) and mean sample value
+ */
+function bufferStats(buffer) {
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    sum += buffer[i];
+    sumSquares += buffer[i] * buffer[i];
+  }
+  return {
+    rmsDb: 20 * Math.log10(Math.sqrt(sumSquares / buffer.length) + 1e-12),
+    mean: sum / buffer.length
+  };
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // MEASURE LOOP
 // ─────────────────────────────────────────────────────────────────────────────
@@ -167,69 +323,68 @@ function measureLoop() {
 
   if (!activeCapture) return;
 
+  // Line-up ident needs samples, which remote and replay do not have
+  if (updateLineup && (activeCapture === 'remote' || activeCapture === 'replay')) updateLineup(null, null, now);
+
   // ─────────────────────────────────────────────────────────────────────────
   // REMOTE MODE: Skip local metering - handleRemoteMetrics updates displays
   // ─────────────────────────────────────────────────────────────────────────
   if (activeCapture === 'remote') {
     // In remote mode, all LUFS/TP/radar updates come from handleRemoteMetrics
     // Only update elapsed time display here
-    const elapsed = performance.now() - meterState.startTs;
-    if (dom.r128Time) dom.r128Time.textContent = formatTime(elapsed);
+    if (dom.r128Time) dom.r128Time.textContent = formatTime(getElapsedSeconds() * 1000);
     return;
   }
 
+  // Replay: the player updates the displays and shows its position as the time
+  if (activeCapture === 'replay') return;
+
   // ─────────────────────────────────────────────────────────────────────────
   // LUFS measurement (local modes only)
   // ─────────────────────────────────────────────────────────────────────────
-  const energy = meters.lufsMeter.calculateBlockEnergy(meters.bufL, meters.bufR);
-  meters.lufsMeter.pushBlock(energy);
+  if (!meterState.workletMetering) {
+    const energy = meters.lufsMeter.calculateBlockEnergy(meters.bufL, meters.bufR);
+    meters.lufsMeter.pushBlock(energy);
+    if (meters.noiseMeter) meters.noiseMeter.update(meters.bufL, meters.bufR, now);
+  }
   const readings = meters.lufsMeter.getReadings();
 
   const elapsedSec = getElapsedSeconds();
-
-  // Momentary LUFS
-  if (dom.lufsM) {
-    const mDisp = readings.momentary;
-    if (elapsedSec >= DELAY_M && isFinite(mDisp)) {
-      dom.lufsM.textContent = formatLUFS(mDisp);
-      dom.lufsM.style.color = loudnessColour(mDisp);
-    } else {
-      dom.lufsM.textContent = '--.- LUFS';
-      dom.lufsM.style.color = '';
-    }
-    dom.lufsM.dataset.v = mDisp;
-  }
-
-  // Short-term LUFS
-  if (dom.lufsS) {
-    const sDisp = readings.shortTerm;
-    if (elapsedSec >= DELAY_S && isFinite(sDisp)) {
-      dom.lufsS.textContent = formatLUFS(sDisp);
-      dom.lufsS.style.color = loudnessColour(sDisp);
+  const unit = config.getLoudnessUnit();
+  const target = config.getTargetLufs();
+  const profile = config.getComplianceProfile();
+
+  // Momentary, Short-term, Integrated, Max M, Max S (LUFS or LU)
+  const loudnessDisplays = [
+    [dom.lufsM, readings.momentary, DELAY_M],
+    [dom.lufsS, readings.shortTerm, DELAY_S],
+    [dom.lufsI, readings.integrated, DELAY_I],
+    [dom.lufsMaxM, readings.maxMomentary, DELAY_M],
+    [dom.lufsMaxS, readings.maxShortTerm, DELAY_S]
+  ];
+  for (const [el, value, delay] of loudnessDisplays) {
+    if (!el) continue;
+    if (elapsedSec >= delay && isFinite(value)) {
+      el.textContent = formatLoudness(value, unit, target);
+      el.style.color = loudnessColour(value);
     } else {
-      dom.lufsS.textContent = '--.- LUFS';
-      dom.lufsS.style.color = '';
+      el.textContent = `--.- ${unit}`;
+      el.style.color = '';
     }
   }
-
-  // Integrated LUFS
-  if (dom.lufsI) {
-    const iDisp = readings.integrated;
-    if (elapsedSec >= DELAY_I && isFinite(iDisp)) {
-      dom.lufsI.textContent = formatLUFS(iDisp);
-      dom.lufsI.style.color = loudnessColour(iDisp);
-    } else {
-      dom.lufsI.textContent = '--.- LUFS';
-      dom.lufsI.style.color = '';
-    }
+  if (dom.lufsM) dom.lufsM.dataset.v = readings.momentary;
+  if (dom.lufsMaxS && elapsedSec >= DELAY_S && profile.maxShortTerm !== null && readings.maxShortTerm > profile.maxShortTerm) {
+    dom.lufsMaxS.style.color = 'var(--hot)';
   }
 
   // LRA
   if (dom.lraEl) {
     if (elapsedSec >= DELAY_I && readings.lra !== null && isFinite(readings.lra)) {
       dom.lraEl.textContent = readings.lra.toFixed(1) + ' LU';
+      dom.lraEl.style.color = profile.maxLra !== null && readings.lra > profile.maxLra ? 'var(--hot)' : '';
     } else {
       dom.lraEl.textContent = '--.- LU';
+      dom.lraEl.style.color = '';
     }
   }
 
@@ -238,16 +393,40 @@ function measureLoop() {
   // ─────────────────────────────────────────────────────────────────────────
   const tpState = meters.truePeakMeter.getState();
 
-  if (tpState.dbtpHoldLeft > meterState.tpMaxL) meterState.tpMaxL = tpState.dbtpHoldLeft;
-  if (tpState.dbtpHoldRight > meterState.tpMaxR) meterState.tpMaxR = tpState.dbtpHoldRight;
-  const tpMax = Math.max(meterState.tpMaxL, meterState.tpMaxR);
+  // With worklet metering, pushMeterBlock() tracks the exact (unsmoothed) maximum
+  if (!meterState.workletMetering && !meters.lufsMeter.paused) {
+    if (tpState.dbtpHoldLeft > meterState.tpMaxL) meterState.tpMaxL = tpState.dbtpHoldLeft;
+    if (tpState.dbtpHoldRight > meterState.tpMaxR) meterState.tpMaxR = tpState.dbtpHoldRight;
+    trackTruePeakMax([meterState.tpMaxL, meterState.tpMaxR]);
+  }
+  const tpMax = Math.max(meterState.tpMaxL, meterState.tpMaxR, meterState.tpMaxOther);
 
   // TPmax display
   if (dom.r128TpMax) {
     if (elapsedSec >= DELAY_M && isFinite(tpMax) && tpMax > -60) {
       dom.r128TpMax.textContent = tpMax.toFixed(1) + ' dBTP';
+      dom.r128TpMax.style.color = tpMax > profile.truePeakMax ? 'var(--hot)' : '';
     } else {
       dom.r128TpMax.textContent = '--.- dBTP';
+      dom.r128TpMax.style.color = '';
+    }
+  }
+
+  // Verdict against the delivery profile (needs a settled integrated value)
+  if (dom.r128Compliance) {
+    if (elapsedSec >= DELAY_I && isFinite(readings.integrated)) {
+      const result = evaluateCompliance({
+        integrated: readings.integrated,
+        integratedUngated: meters.lufsMeter.getIntegratedUngated(),
+        truePeakMax: tpMax,
+        lra: readings.lra,
+        maxShortTerm: readings.maxShortTerm
+      }, profile);
+      dom.r128Compliance.textContent = formatComplianceVerdict(result);
+      dom.r128Compliance.style.color = result.pass ? 'var(--ok)' : 'var(--hot)';
+    } else {
+      dom.r128Compliance.textContent = '--';
+      dom.r128Compliance.style.color = '';
     }
   }
 
@@ -268,6 +447,32 @@ function measureLoop() {
     }
   }
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // Alarms
+  // ─────────────────────────────────────────────────────────────────────────
+  if (updateAlarms) {
+    const statsL = bufferStats(meters.bufL);
+    const statsR = bufferStats(meters.bufR);
+    const a = 1 - Math.exp(-dt / (DC_SMOOTHING_S * 1000));
+    meterState.dcL += a * (statsL.mean - meterState.dcL);
+    meterState.dcR += a * (statsR.mean - meterState.dcR);
+
+    updateAlarms({
+      shortTerm: elapsedSec >= DELAY_S ? readings.shortTerm : NaN,
+      targetLufs: target,
+      truePeak: currentTp,
+      tpLimit: config.getTpLimit(),
+      channelLevels: [statsL.rmsDb, statsR.rmsDb],
+      correlation: calculateCorrelation(meters.bufL, meters.bufR),
+      dcOffset: [meterState.dcL, meterState.dcR]
+    });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Line-up ident (Stereo-ID / GLITS)
+  // ─────────────────────────────────────────────────────────────────────────
+  if (updateLineup) updateLineup(meters.bufL, meters.bufR, now);
+
   // ─────────────────────────────────────────────────────────────────────────
   // Peak LED
   // ─────────────────────────────────────────────────────────────────────────
@@ -287,9 +492,22 @@ function measureLoop() {
     meterState.radarHistory.push({ t: now, v: readings.shortTerm });
   }
 
+  // Session curve for the session report (elapsed time holds while paused)
+  if (!meters.lufsMeter.paused) recordSessionLoudness(elapsedSec, readings.shortTerm);
+
+  // Loudness timeline (one point per second)
+  if (!meters.lufsMeter.paused) {
+    const point = accumulateTimeline(Date.now(), {
+      momentary: elapsedSec >= DELAY_M ? readings.momentary : NaN,
+      shortTerm: elapsedSec >= DELAY_S ? readings.shortTerm : NaN,
+      integrated: elapsedSec >= DELAY_I ? readings.integrated : NaN,
+      truePeak: currentTp
+    });
+    if (point && onTimelinePoint) onTimelinePoint(point);
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // Elapsed time display
   // ─────────────────────────────────────────────────────────────────────────
-  const elapsed = performance.now() - meterState.startTs;
-  if (dom.r128Time) dom.r128Time.textContent = formatTime(elapsed);
+  if (dom.r128Time) dom.r128Time.textContent = formatTime(elapsedSec * 1000);
 }
@@ -38,6 +38,18 @@ export const PPM_PEAK_HOLD_SEC = 3;
 /** Frame hold threshold for glitch protection */
 export const FRAME_HOLD_THRESHOLD = 80;
 
+/** Session loudness curve: one short-term value per second to start with */
+export const SESSION_CURVE_INTERVAL_S = 1;
+
+/** Beyond this many points the session curve halves its resolution (2 h at 1 s) */
+const SESSION_CURVE_MAX_POINTS = 7200;
+
+/** Loudness timeline: one point per second of wall-clock time */
+export const TIMELINE_INTERVAL_MS = 1000;
+
+/** Timeline points older than this are dropped (memory and IndexedDB) */
+export const TIMELINE_RETENTION_MS = 12 * 3600 * 1000;
+
 // ─────────────────────────────────────────────────────────────────────────────
 // METER STATE
 // ─────────────────────────────────────────────────────────────────────────────
@@ -49,12 +61,30 @@ export const FRAME_HOLD_THRESHOLD = 80;
 export const meterState = {
   // Timing
   startTs: performance.now(),
+  // Wall-clock time of the last reset (session report start time)
+  sessionStartTime: Date.now(),
+  // performance.now() when loudness integration was paused (null while running)
+  pausedTs: null,
   lastMeasureTime: performance.now(),
   lastRenderTime: performance.now(),
 
+  // Metering AudioWorklet running (gapless blocks instead of analyser polling)
+  workletMetering: false,
+
+  // Partial LUFS block accumulated from worklet blocks (sample-weighted)
+  lufsBlockEnergy: 0,
+  lufsBlockFrames: 0,
+
+  // BS.1770 channel weights of the metered layout (stereo: [1, 1])
+  channelWeights: [1, 1],
+
   // True Peak cumulative max (for R128 TPmax display)
   tpMaxL: -Infinity,
   tpMaxR: -Infinity,
+  // Channels beyond L/R in multichannel layouts
+  tpMaxOther: -Infinity,
+  // Per channel, in delivery order (session report)
+  tpMaxChannels: [],
 
   // True Peak peak-hold (for bar meter display)
   tpPeakHoldL: -60,
@@ -76,6 +106,10 @@ export const meterState = {
   // Crest factor peak
   crestPeak: -Infinity,
 
+  // DC offset per channel (mean sample value, smoothed over seconds for the alarms)
+  dcL: 0,
+  dcR: 0,
+
   // Peak indicator state (500ms hold)
   peakIndicatorOn: false,
   peakIndicatorLastTrigger: 0,
@@ -83,13 +117,24 @@ export const meterState = {
   // Radar history (short-term LUFS over time)
   radarHistory: [],
 
+  // Short-term LUFS every sessionCurveInterval seconds since reset (session report)
+  sessionCurve: [],
+  sessionCurveInterval: SESSION_CURVE_INTERVAL_S,
+
+  // Loudness timeline, oldest first (restored from IndexedDB on load)
+  /** @type {TimelinePoint[]} */
+  timeline: [],
+  // Second in progress (maxima so far), null until the first reading
+  /** @type {TimelinePoint|null} */
+  timelineBucket: null,
+
   // Frame hold buffers for glitch protection
   holdBufL: null,
   holdBufR: null,
 
   // ─────────────────────────────────────────────────────────────────────────
   // REMOTE METERING STATE
-  // When activeCapture === 'remote', these values are used instead of local
+  // When activeCapture is 'remote' or 'replay', these values are used instead of local
   // ─────────────────────────────────────────────────────────────────────────
 
   // True Peak (instantaneous, from remote)
@@ -100,6 +145,14 @@ export const meterState = {
   remotePpmL: -60,
   remotePpmR: -60,
 
+  // Max M / Max S since reset (LUFS, tracked from remote readings)
+  remoteMaxMomentary: -Infinity,
+  remoteMaxShortTerm: -Infinity,
+
+  // Latest integrated loudness (LUFS) and LRA (LU) from remote (session report)
+  remoteIntegrated: -Infinity,
+  remoteLra: null,
+
   // RMS (dBFS, from remote)
   remoteRmsL: -60,
   remoteRmsR: -60,
@@ -147,11 +200,19 @@ export function resetMeterState() {
   const now = performance.now();
 
   meterState.startTs = now;
+  meterState.sessionStartTime = Date.now();
+  // A paused measurement stays paused, with zero elapsed time
+  if (meterState.pausedTs !== null) meterState.pausedTs = now;
   meterState.lastMeasureTime = now;
   meterState.lastRenderTime = now;
 
+  meterState.lufsBlockEnergy = 0;
+  meterState.lufsBlockFrames = 0;
+
   meterState.tpMaxL = -Infinity;
   meterState.tpMaxR = -Infinity;
+  meterState.tpMaxOther = -Infinity;
+  meterState.tpMaxChannels = [];
 
   meterState.tpPeakHoldL = -60;
   meterState.tpPeakHoldR = -60;
@@ -169,21 +230,107 @@ export function resetMeterState() {
 
   meterState.crestPeak = -Infinity;
 
+  meterState.dcL = 0;
+  meterState.dcR = 0;
+
   meterState.peakIndicatorOn = false;
   meterState.peakIndicatorLastTrigger = 0;
 
   meterState.radarHistory = [];
+  meterState.sessionCurve = [];
+  meterState.sessionCurveInterval = SESSION_CURVE_INTERVAL_S;
+  meterState.timeline = [];
+  meterState.timelineBucket = null;
+
+  meterState.remoteMaxMomentary = -Infinity;
+  meterState.remoteMaxShortTerm = -Infinity;
+  meterState.remoteIntegrated = -Infinity;
+  meterState.remoteLra = null;
 
   meterState.holdBufL = null;
   meterState.holdBufR = null;
 }
 
 /**
- * Get elapsed time since last reset in seconds.
+ * Raise the per-channel True Peak maxima (session report).
+ * @param {ArrayLike<number>} truePeaks - Current True Peak per channel (dBTP)
+ */
+export function trackTruePeakMax(truePeaks) {
+  for (let ch = 0; ch < truePeaks.length; ch++) {
+    if (truePeaks[ch] > (meterState.tpMaxChannels[ch] ?? -Infinity)) {
+      meterState.tpMaxChannels[ch] = truePeaks[ch];
+    }
+  }
+}
+
+/**
+ * Add a short-term value to the session curve when the next point is due.
+ * Long sessions keep every other point and double the interval, so the
+ * curve stays bounded.
+ *
+ * @param {number} elapsedSec - Elapsed time excluding pauses
+ * @param {number} shortTerm - Short-term loudness (LUFS)
+ */
+export function recordSessionLoudness(elapsedSec, shortTerm) {
+  if (elapsedSec < meterState.sessionCurve.length * meterState.sessionCurveInterval) return;
+
+  meterState.sessionCurve.push(shortTerm);
+  if (meterState.sessionCurve.length > SESSION_CURVE_MAX_POINTS) {
+    meterState.sessionCurve = meterState.sessionCurve.filter((_, i) => i % 2 === 0);
+    meterState.sessionCurveInterval *= 2;
+  }
+}
+
+/**
+ * @typedef {Object} TimelinePoint
+ * @property {number} t - Start of the second (wall-clock ms)
+ * @property {number} m - Highest momentary loudness in the second (LUFS)
+ * @property {number} s - Short-term loudness at the end of the second (LUFS)
+ * @property {number} i - Integrated loudness at the end of the second (LUFS)
+ * @property {number} tp - Highest True Peak in the second (dBTP)
+ */
+
+/**
+ * Fold a reading into the timeline second in progress. When a new second
+ * starts, the finished point is appended to meterState.timeline (points
+ * older than TIMELINE_RETENTION_MS are dropped) and returned for storage.
+ * Values that are not available yet are NaN.
+ *
+ * @param {number} now - Wall-clock time (ms)
+ * @param {{momentary: number, shortTerm: number, integrated: number, truePeak: number}} reading - Current values
+ * @returns {TimelinePoint|null} Finished point, or null within the same second
+ */
+export function accumulateTimeline(now, { momentary, shortTerm, integrated, truePeak }) {
+  const t = Math.floor(now / TIMELINE_INTERVAL_MS) * TIMELINE_INTERVAL_MS;
+  const bucket = meterState.timelineBucket;
+
+  if (bucket && bucket.t === t) {
+    // Math.max() would turn NaN (not yet available) into NaN for the whole second
+    if (!(bucket.m >= momentary)) bucket.m = momentary;
+    if (!(bucket.tp >= truePeak)) bucket.tp = truePeak;
+    bucket.s = shortTerm;
+    bucket.i = integrated;
+    return null;
+  }
+
+  meterState.timelineBucket = { t, m: momentary, s: shortTerm, i: integrated, tp: truePeak };
+  if (!bucket) return null;
+
+  const timeline = meterState.timeline;
+  timeline.push(bucket);
+  let expired = 0;
+  while (expired < timeline.length && timeline[expired].t < t - TIMELINE_RETENTION_MS) expired++;
+  if (expired > 0) timeline.splice(0, expired);
+  return bucket;
+}
+
+/**
+ * Get elapsed time since last reset in seconds, excluding paused time.
  * @returns {number} Elapsed seconds
  */
 export function getElapsedSeconds() {
-  return (performance.now() - meterState.startTs) / 1000;
+  const end = meterState.pausedTs ?? performance.now();
+  return (end - meterState.startTs) / 1000;
 }
 
 /**
@@ -218,8 +365,14 @@ export function resetRemoteMeterState() {
   meterState.remoteSpectrumBands = null;
 
   // R128 cumulative values
+  meterState.remoteMaxMomentary = -Infinity;
+  meterState.remoteMaxShortTerm = -Infinity;
+  meterState.remoteIntegrated = -Infinity;
+  meterState.remoteLra = null;
   meterState.tpMaxL = -Infinity;
   meterState.tpMaxR = -Infinity;
+  meterState.tpMaxOther = -Infinity;
+  meterState.tpMaxChannels = [];
 
   // Radar history (clear so radar shows empty)
   meterState.radarHistory = [];
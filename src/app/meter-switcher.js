@@ -22,7 +22,8 @@
  * ───────────
  *   - tp: True Peak Level (dBTP)
  *   - rms: RMS Level (dBFS)
- *   - ppm: Nordic PPM (IEC 60268-10)
+ *   - ppm: Programme level (Nordic PPM by default; DIN, BBC, EBU or VU
+ *          per the PPM standard setting, relabelled via setMeterLabel)
  *
  * PHYSICS MODEL
  * ─────────────
@@ -198,6 +199,30 @@ function navigateTo(targetState) {
   }
 }
 
+/**
+ * Relabel a meter state (badge text and tab caption), e.g. when the PPM
+ * panel switches standard. The badge updates at once if that state is
+ * the current target.
+ * @param {string} state - Meter state ('tp', 'rms', or 'ppm')
+ * @param {string} badge - Badge text
+ * @param {string} [tabText] - Tab caption (unchanged if omitted)
+ */
+function setMeterLabel(state, badge, tabText) {
+  if (!(state in STATE_TO_INDEX)) return;
+  METER_BADGES[state] = badge;
+
+  if (tabs && tabText !== undefined) {
+    tabs.forEach(tab => {
+      if (tab.dataset.meter === state) tab.textContent = tabText;
+    });
+  }
+
+  const targetIndex = Math.round(((targetPosition / STEP_DEGREES) % N + N) % N) % N;
+  if (meterBadge && INDEX_TO_STATE[targetIndex] === state) {
+    meterBadge.textContent = badge;
+  }
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // SETUP FUNCTION
 // ─────────────────────────────────────────────────────────────────────────────
@@ -304,4 +329,4 @@ export function setupMeterSwitcher(meterSwitcher, badgeEl) {
 // EXPORTS
 // ─────────────────────────────────────────────────────────────────────────────
 
-export { METER_BADGES, navigateTo, getLogicalIndex };
+export { METER_BADGES, navigateTo, getLogicalIndex, setMeterLabel };
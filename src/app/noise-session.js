@@ -0,0 +1,98 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * LINE NOISE
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Runs the line noise card (ui/noise-panel.js): the readings of the noise
+ * meter (metering/noise.js) checked against the chosen weighting and limit.
+ *
+ * UPDATES
+ * ───────
+ *   The meter is fed by the measure loop whatever the card state, so its
+ *   readings and history are complete when the card is opened. The card is
+ *   redrawn every NOISE_PANEL_INTERVAL_MS while open, and at once when the
+ *   weighting or limit changes or the meter is reset.
+ *
+ * @module app/noise-session
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { NoisePanel } from '../ui/noise-panel.js';
+import { readNumber } from './helpers.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MODULE STATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Initialised via initNoiseSession()
+/** @type {Object<string, any>} */
+let dom;
+/** @type {import('../metering/noise.js').NoiseMeter} */
+let noiseMeter;
+
+/** @type {NoisePanel|null} */
+let noisePanel = null;
+
+/** Redraw interval of the noise card */
+const NOISE_PANEL_INTERVAL_MS = 500;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INITIALISATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Create the noise card, wire its controls and start the periodic redraw.
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.dom - DOM element references (card panel, controls, readouts and history canvas)
+ * @param {import('../metering/noise.js').NoiseMeter} deps.noiseMeter - Meter fed by the measure loop
+ */
+export function initNoiseSession(deps) {
+  dom = deps.dom;
+  noiseMeter = deps.noiseMeter;
+
+  noisePanel = new NoisePanel({
+    readingEls: { '468': dom.noise468, 'ARM': dom.noiseArm, 'A': dom.noiseA },
+    maxEl: dom.noiseMax, minEl: dom.noiseMin, verdictEl: dom.noiseVerdict,
+    summaryEl: dom.noiseSummary, canvas: dom.noiseHistory
+  });
+
+  const { noiseReset, noiseCheckWeighting, noiseLimit } = dom;
+  if (noiseReset) {
+    noiseReset.onclick = () => {
+      noiseMeter.reset();
+      updateNoisePanel();
+    };
+  }
+  if (noiseCheckWeighting) noiseCheckWeighting.onchange = updateNoisePanel;
+  if (noiseLimit) noiseLimit.oninput = updateNoisePanel;
+
+  setInterval(updateNoisePanel, NOISE_PANEL_INTERVAL_MS);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PRIVATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Draw the noise card while it is open.
+ */
+function updateNoisePanel() {
+  if (!noisePanel || dom.panelNoise?.classList.contains('collapsed')) return;
+  const { noiseCheckWeighting, noiseLimit } = dom;
+  const weighting = /** @type {import('../metering/noise.js').NoiseWeighting} */ (noiseCheckWeighting ? noiseCheckWeighting.value : '468');
+  const limit = readNumber(noiseLimit, NaN);
+  noisePanel.render(noiseMeter, { weighting, limitDbu: Number.isFinite(limit) ? limit : null }, performance.now());
+}
@@ -0,0 +1,123 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * NORMALISATION PREVIEW
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Runs the platform normalisation card (platforms in
+ * metering/normalisation.js, table in ui/normalisation-panel.js) and the
+ * monitor preview.
+ *
+ * UPDATES
+ * ───────
+ *   Once a second every platform is recalculated from the session's
+ *   integrated loudness and TPmax. While a platform is selected for
+ *   preview, the monitor follows its gain (SourceController, smoothed)
+ *   and, for platforms with a limiter, its ceiling while the platform
+ *   turns the programme up. With no platform selected the preview is off.
+ *
+ * @module app/normalisation-session
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { NORMALISATION_PLATFORMS, calculateNormalisation } from '../metering/normalisation.js';
+import { NormalisationPanel } from '../ui/normalisation-panel.js';
+import { meterState } from './meter-state.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MODULE STATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Initialised via initNormalisationSession()
+/** @type {Object<string, any>} */
+let dom;
+/** @type {import('./sources.js').SourceController} */
+let sourceController;
+/** @type {() => number} */
+let getIntegrated;
+
+/** @type {NormalisationPanel|null} */
+let normalisationPanel = null;
+
+/** Table refresh interval (integrated loudness moves slowly) */
+const NORMALISATION_INTERVAL_MS = 1000;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INITIALISATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Create the platform table, fill the preview selector and start the
+ * once-a-second update.
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.dom - DOM element references { tableEl, summaryEl, previewEl }
+ * @param {import('./sources.js').SourceController} deps.sourceController - Applies the monitor preview
+ * @param {() => number} deps.getIntegrated - Returns the session's integrated loudness (local or remote)
+ */
+export function initNormalisationSession(deps) {
+  dom = deps.dom;
+  sourceController = deps.sourceController;
+  getIntegrated = deps.getIntegrated;
+
+  normalisationPanel = new NormalisationPanel({ tableEl: dom.tableEl, summaryEl: dom.summaryEl });
+
+  const { previewEl } = dom;
+  if (previewEl) {
+    for (const platform of Object.values(NORMALISATION_PLATFORMS)) {
+      const option = document.createElement('option');
+      option.value = platform.id;
+      option.textContent = platform.name;
+      previewEl.append(option);
+    }
+    previewEl.onchange = updateNormalisation;
+  }
+
+  updateNormalisation();
+  setInterval(updateNormalisation, NORMALISATION_INTERVAL_MS);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PRIVATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Recalculate every platform from the session's integrated loudness and
+ * TPmax, redraw the table and follow the monitor preview to the new gain.
+ */
+function updateNormalisation() {
+  const measured = {
+    integrated: getIntegrated(),
+    truePeakMax: Math.max(...meterState.tpMaxChannels, -Infinity)
+  };
+
+  /** @type {Object<string, import('../metering/normalisation.js').NormalisationResult|null>} */
+  const results = {};
+  for (const platform of Object.values(NORMALISATION_PLATFORMS)) {
+    results[platform.id] = calculateNormalisation(measured, platform);
+  }
+
+  const monitored = dom.previewEl?.value || null;
+  const preview = monitored ? results[monitored] : null;
+  if (preview) {
+    const platform = NORMALISATION_PLATFORMS[monitored];
+    // The limiter only matters while the platform turns the programme up
+    const limited = platform.boost === 'limiter' && preview.gain > 0;
+    sourceController.setMonitorNormalisation(preview.gain, limited ? platform.ceiling : null);
+  } else {
+    sourceController.setMonitorNormalisation(null);
+  }
+
+  if (normalisationPanel) normalisationPanel.render(results, monitored);
+}
@@ -0,0 +1,520 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * METRICS RECORDING AND REPLAY
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Records the displayed meter values of any source and replays them into
+ * the meters (activeCapture 'replay'). Format and player in
+ * remote/recording.js, IndexedDB storage in config/recording-store.js.
+ *
+ * RECORDING
+ * ─────────
+ *   Every RECORDING_INTERVAL_MS the running capture is sampled: local
+ *   sources through their meters, remote through the last probe message.
+ *   Frames are written to IndexedDB RECORDING_CHUNK_FRAMES at a time, so
+ *   a closed tab loses at most one chunk. Nothing is recorded while no
+ *   capture runs, which leaves a gap in time. Without IndexedDB the
+ *   recordings live in memory for the page's lifetime.
+ *
+ * REPLAY
+ * ──────
+ *   A MetricsPlayer hands the frame due every MEASURE_INTERVAL_MS to
+ *   deps.showMetrics, like a remote probe. The transport plays, pauses,
+ *   changes speed and seeks; a seek restarts Max M / Max S and the peak
+ *   holds. A replay is not recorded again.
+ *
+ * @module app/recording-session
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { calculateCorrelation } from '../metering/correlation.js';
+import { createRecordingHeader, createRecordingFrame, frameToMetrics, formatRecordingNdjson, parseRecordingNdjson, MetricsPlayer, RECORDING_INTERVAL_MS } from '../remote/recording.js';
+import { RecordingStore } from '../config/recording-store.js';
+import { downloadText } from '../utils/dom.js';
+import { meterState, resetRemoteMeterState, MEASURE_INTERVAL_MS } from './meter-state.js';
+import { clamp, formatTime } from './helpers.js';
+
+/**
+ * Recording in progress.
+ * @typedef {Object} Recorder
+ * @property {import('../remote/recording.js').RecordingHeader} header - Recording header
+ * @property {number} id - Recording id in the store
+ * @property {import('../remote/recording.js').RecordingFrame[]} pending - Frames not yet written
+ * @property {ReturnType<typeof setInterval>} timer - Sampling interval
+ */
+
+/**
+ * Access to bootstrap's activeCapture.
+ * @typedef {Object} RecordingCaptureState
+ * @property {() => (string|null)} getActiveCapture
+ * @property {(capture: string|null) => void} setActiveCapture
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MODULE STATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Initialised via initRecordingSession()
+/** @type {Object<string, any>} */
+let dom;
+/** @type {Object<string, any>} */
+let meters;
+/** @type {RecordingCaptureState} */
+let captureState;
+/** @type {() => (import('../ui/stereo-analysis.js').StereoAnalysisEngine|null)} */
+let getStereoAnalysis;
+/** @type {() => (Object|null)} */
+let getRemoteMetrics;
+/** @type {() => (string|null)} */
+let describeSource;
+/** @type {(metrics: Object, live: boolean) => void} */
+let showMetrics;
+/** @type {() => void} */
+let clearRemoteDisplays;
+/** @type {() => void} */
+let onCaptureChange;
+
+/** @type {RecordingStore|null} IndexedDB store (null until open, or unavailable) */
+let recordingStore = null;
+/** @type {Map<number, import('../remote/recording.js').Recording>} Recordings of this page when IndexedDB is unavailable */
+const memoryRecordings = new Map();
+/** @type {Recorder|null} */
+let recorder = null;
+/** @type {MetricsPlayer|null} */
+let metricsPlayer = null;
+/** @type {ReturnType<typeof setInterval>|null} */
+let replayTimer = null;
+
+/** Frames written to IndexedDB at a time (10 s at 10 Hz) */
+const RECORDING_CHUNK_FRAMES = 100;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INITIALISATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Initialise recording and replay with required dependencies.
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.dom - DOM element references (record, list, import, download, delete and transport controls)
+ * @param {Object} deps.meters - Meter instances (lufsMeter, truePeakMeter, ppmMeter, bufL, bufR)
+ * @param {RecordingCaptureState} deps.captureState - Capture state accessor { getActiveCapture, setActiveCapture }
+ * @param {() => (import('../ui/stereo-analysis.js').StereoAnalysisEngine|null)} deps.getStereoAnalysis - Returns the stereo analysis engine
+ * @param {() => (Object|null)} deps.getRemoteMetrics - Returns the last metrics from the selected probe
+ * @param {() => (string|null)} deps.describeSource - Returns the source name for the recording header
+ * @param {(metrics: Object, live: boolean) => void} deps.showMetrics - Receives each replayed frame (live false)
+ * @param {() => void} deps.clearRemoteDisplays - Clears the displays fed by showMetrics
+ * @param {() => void} deps.onCaptureChange - Called when replay starts or stops
+ */
+export function initRecordingSession(deps) {
+  dom = deps.dom;
+  meters = deps.meters;
+  captureState = deps.captureState;
+  getStereoAnalysis = deps.getStereoAnalysis;
+  getRemoteMetrics = deps.getRemoteMetrics;
+  describeSource = deps.describeSource;
+  showMetrics = deps.showMetrics;
+  clearRemoteDisplays = deps.clearRemoteDisplays;
+  onCaptureChange = deps.onCaptureChange;
+}
+
+/**
+ * Wire the recording and replay controls.
+ */
+export function bindRecordingControls() {
+  const {
+    btnRecord, btnRecordingImport, recordingFileInput, recordingSelect,
+    btnRecordingDownload, btnRecordingDelete, btnReplayPlay, replaySpeed, replaySeek
+  } = dom;
+
+  // Record, import, download, delete
+  if (btnRecord) btnRecord.onclick = () => (recorder ? stopRecording() : startRecording());
+  if (btnRecordingImport && recordingFileInput) {
+    btnRecordingImport.onclick = () => recordingFileInput.click();
+    recordingFileInput.addEventListener('change', () => {
+      importRecording(recordingFileInput.files?.[0]);
+      recordingFileInput.value = '';
+    });
+  }
+  if (recordingSelect) recordingSelect.onchange = updateRecordingControls;
+  if (btnRecordingDownload) {
+    btnRecordingDownload.onclick = () => {
+      downloadRecording().catch(error => console.error('[Recording] Download failed:', error));
+    };
+  }
+  if (btnRecordingDelete) {
+    btnRecordingDelete.onclick = () => {
+      deleteRecording().catch(error => console.error('[Recording] Delete failed:', error));
+    };
+  }
+
+  // Replay transport: play/pause, speed, seek
+  if (btnReplayPlay) {
+    btnReplayPlay.onclick = () => {
+      if (!metricsPlayer) return;
+      const now = performance.now();
+      if (metricsPlayer.playing) {
+        metricsPlayer.pause(now);
+      } else {
+        if (metricsPlayer.getPosition(now) >= metricsPlayer.duration) seekReplay(0);
+        metricsPlayer.play(now);
+      }
+      updateReplayPosition(now);
+    };
+  }
+  if (replaySpeed) {
+    replaySpeed.onchange = () => {
+      if (metricsPlayer) metricsPlayer.setRate(Number(replaySpeed.value) || 1, performance.now());
+    };
+  }
+  if (replaySeek) replaySeek.addEventListener('input', () => seekReplay(Number(replaySeek.value)));
+}
+
+/**
+ * Open the recordings database and list what it holds.
+ */
+export async function restoreRecordings() {
+  recordingStore = await RecordingStore.open();
+  await refreshRecordingList();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RECORDING LIST
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @returns {number|null} Id of the recording selected in the list
+ */
+function selectedRecordingId() {
+  if (!dom.recordingSelect || dom.recordingSelect.value === '') return null;
+  return Number(dom.recordingSelect.value);
+}
+
+/**
+ * @param {number} id - Recording id
+ * @returns {Promise<import('../remote/recording.js').Recording|null>}
+ */
+async function loadRecording(id) {
+  if (recordingStore) return recordingStore.load(id);
+  return memoryRecordings.get(id) ?? null;
+}
+
+/**
+ * Enable the recording and transport controls that apply right now.
+ */
+export function updateRecordingControls() {
+  if (!dom) return;
+  const { btnRecord, btnRecordingDownload, btnRecordingDelete, btnReplayPlay, replaySeek } = dom;
+  const hasSelection = selectedRecordingId() !== null;
+  if (btnRecord) {
+    btnRecord.textContent = recorder ? 'Stop Recording' : 'Record';
+    btnRecord.classList.toggle('btn-ghost', recorder === null);
+    // A replay is not recorded again
+    btnRecord.disabled = recorder === null && captureState.getActiveCapture() === 'replay';
+  }
+  if (btnRecordingDownload) btnRecordingDownload.disabled = !hasSelection;
+  if (btnRecordingDelete) btnRecordingDelete.disabled = !hasSelection || recorder?.id === selectedRecordingId();
+  if (btnReplayPlay) btnReplayPlay.disabled = metricsPlayer === null;
+  if (replaySeek) replaySeek.disabled = metricsPlayer === null;
+}
+
+/**
+ * Fill the recording list, newest first.
+ * @param {number} [selectId] - Recording to select (default: keep the selection)
+ */
+async function refreshRecordingList(selectId) {
+  const { recordingSelect } = dom;
+  if (!recordingSelect) return;
+
+  let entries = [];
+  try {
+    entries = recordingStore
+      ? await recordingStore.list()
+      : [...memoryRecordings].map(([id, { header, frames }]) => ({
+        id,
+        header,
+        duration: frames.length > 0 ? frames[frames.length - 1].t : 0
+      })).sort((a, b) => b.header.start - a.header.start);
+  } catch (error) {
+    console.warn('[Recording] List failed:', error);
+  }
+
+  const selected = selectId ?? selectedRecordingId();
+  recordingSelect.innerHTML = '';
+  for (const entry of entries) {
+    const option = document.createElement('option');
+    option.value = String(entry.id);
+    option.textContent = `${entry.header.name} (${formatTime(entry.duration)})`;
+    recordingSelect.append(option);
+  }
+  if (entries.some(entry => entry.id === selected)) recordingSelect.value = String(selected);
+  updateRecordingControls();
+}
+
+/**
+ * Store an NDJSON recording chosen by the user and select it.
+ * @param {File} [file] - Recording file
+ */
+async function importRecording(file) {
+  if (!file) return;
+  try {
+    const recording = parseRecordingNdjson(await file.text());
+    let id;
+    if (recordingStore) {
+      id = await recordingStore.save(recording);
+    } else {
+      id = Math.max(0, ...memoryRecordings.keys()) + 1;
+      memoryRecordings.set(id, recording);
+    }
+    setStatus(`Imported ${recording.frames.length} frames`);
+    await refreshRecordingList(id);
+  } catch (error) {
+    console.warn('[Recording] Import failed:', error);
+    setStatus(error instanceof Error ? error.message : 'Import failed');
+  }
+}
+
+/**
+ * Download the selected recording as NDJSON.
+ */
+async function downloadRecording() {
+  const id = selectedRecordingId();
+  const recording = id === null ? null : await loadRecording(id);
+  if (!recording) return;
+  const stamp = new Date(recording.header.start).toISOString().slice(0, 19).replace(/:/g, '-');
+  downloadText(`vero-metrics-${stamp}.ndjson`, formatRecordingNdjson(recording), 'application/x-ndjson');
+}
+
+/**
+ * Delete the selected recording (not the one being recorded).
+ */
+async function deleteRecording() {
+  const id = selectedRecordingId();
+  if (id === null || recorder?.id === id) return;
+  if (!window.confirm('Delete the selected recording?')) return;
+  if (recordingStore) {
+    await recordingStore.remove(id);
+  } else {
+    memoryRecordings.delete(id);
+  }
+  await refreshRecordingList();
+}
+
+/**
+ * @param {string} text - Recording status line
+ */
+function setStatus(text) {
+  if (dom.recordingStatus) dom.recordingStatus.textContent = text;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RECORDING
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Meter values of the running local capture, shaped like a remote metrics
+ * message (balance in dB, clamped to ±12 as sent by probes).
+ * @returns {Object}
+ */
+function collectLocalMetrics() {
+  const { lufsMeter, truePeakMeter, ppmMeter, bufL, bufR } = meters;
+  const stereoAnalysis = getStereoAnalysis();
+  const readings = lufsMeter.getReadings();
+  const tpState = truePeakMeter.getState();
+  const ppmState = ppmMeter.getState();
+  const rmsL = meterState.rmsHoldL;
+  const rmsR = meterState.rmsHoldR;
+  const balance = 20 * Math.log10((rmsL + 1e-12) / (rmsR + 1e-12));
+
+  return {
+    lufs: {
+      momentary: readings.momentary,
+      shortTerm: readings.shortTerm,
+      integrated: readings.integrated,
+      lra: readings.lra
+    },
+    truePeak: {
+      left: tpState.dbtpLeft,
+      right: tpState.dbtpRight,
+      max: Math.max(tpState.dbtpLeft, tpState.dbtpRight)
+    },
+    ppm: { left: ppmState.dbfsLeft, right: ppmState.dbfsRight },
+    rms: { left: 20 * Math.log10(rmsL + 1e-12), right: 20 * Math.log10(rmsR + 1e-12) },
+    stereo: {
+      correlation: calculateCorrelation(bufL, bufR),
+      balance: clamp(isFinite(balance) ? balance : 0, -12, 12),
+      width: stereoAnalysis ? stereoAnalysis.getWidth() : 0,
+      widthPeak: stereoAnalysis ? stereoAnalysis.getWidthPeak() : 0,
+      midLevel: stereoAnalysis ? stereoAnalysis.getMidLevel() : -60,
+      sideLevel: stereoAnalysis ? stereoAnalysis.getSideLevel() : -60,
+      rotation: stereoAnalysis ? stereoAnalysis.getRotation() : 0
+    }
+  };
+}
+
+/**
+ * Write the frames recorded since the last chunk.
+ */
+function flushRecording() {
+  if (!recorder || !recordingStore || recorder.pending.length === 0) return;
+  const chunk = recorder.pending;
+  recorder.pending = [];
+  recordingStore.append(recorder.id, chunk).catch(error => console.warn('[Recording] Write failed:', error));
+}
+
+/**
+ * Sample the displayed values into the recording (every RECORDING_INTERVAL_MS).
+ */
+function captureRecordingFrame() {
+  if (!recorder) return;
+  const elapsed = Date.now() - recorder.header.start;
+  setStatus(`Recording ${formatTime(elapsed)}`);
+
+  const activeCapture = captureState.getActiveCapture();
+  if (!activeCapture || activeCapture === 'replay') return;
+  const metrics = activeCapture === 'remote' ? getRemoteMetrics() : collectLocalMetrics();
+  if (!metrics) return;
+
+  const frame = createRecordingFrame(elapsed, metrics);
+  if (recordingStore) {
+    recorder.pending.push(frame);
+    if (recorder.pending.length >= RECORDING_CHUNK_FRAMES) flushRecording();
+  } else {
+    memoryRecordings.get(recorder.id)?.frames.push(frame);
+  }
+}
+
+/**
+ * Start recording the displayed meter values.
+ */
+async function startRecording() {
+  if (recorder || captureState.getActiveCapture() === 'replay') return;
+
+  const header = createRecordingHeader({ start: Date.now(), source: describeSource() });
+  let id;
+  try {
+    if (recordingStore) {
+      id = await recordingStore.create(header);
+    } else {
+      id = Math.max(0, ...memoryRecordings.keys()) + 1;
+      memoryRecordings.set(id, { header, frames: [] });
+    }
+  } catch (error) {
+    console.warn('[Recording] Create failed:', error);
+    setStatus('Storage failed');
+    return;
+  }
+
+  recorder = { header, id, pending: [], timer: setInterval(captureRecordingFrame, RECORDING_INTERVAL_MS) };
+  await refreshRecordingList(id);
+}
+
+/**
+ * Stop recording and keep the last chunk.
+ */
+function stopRecording() {
+  if (!recorder) return;
+  clearInterval(recorder.timer);
+  flushRecording();
+  const id = recorder.id;
+  recorder = null;
+  setStatus('Stopped');
+  refreshRecordingList(id);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// REPLAY
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Show the replay position on the transport and in the loudness panel.
+ * @param {number} now - performance.now()
+ */
+function updateReplayPosition(now) {
+  if (!metricsPlayer) return;
+  const { replaySeek, replayPosition, r128Time, btnReplayPlay } = dom;
+  const position = metricsPlayer.getPosition(now);
+  if (replaySeek) replaySeek.value = String(position);
+  if (replayPosition) replayPosition.textContent = `${formatTime(position)} / ${formatTime(metricsPlayer.duration)}`;
+  if (r128Time) r128Time.textContent = formatTime(position);
+  if (btnReplayPlay) btnReplayPlay.textContent = metricsPlayer.playing ? 'Pause' : 'Play';
+}
+
+/**
+ * Hand the frame due now to the meters (every MEASURE_INTERVAL_MS while replaying).
+ */
+function tickReplay() {
+  if (!metricsPlayer) return;
+  const now = performance.now();
+  const frame = metricsPlayer.update(now);
+  if (frame) showMetrics(frameToMetrics(frame), false);
+  updateReplayPosition(now);
+}
+
+/**
+ * Jump to a recording time. Max M / Max S and peak holds restart there.
+ * @param {number} position - Recording time (ms)
+ */
+function seekReplay(position) {
+  if (!metricsPlayer) return;
+  metricsPlayer.seek(position, performance.now());
+  resetRemoteMeterState();
+  tickReplay();
+}
+
+/**
+ * Replay the selected recording into the meters (activeCapture 'replay').
+ */
+export async function startReplayCapture() {
+  const id = selectedRecordingId();
+  const recording = id === null ? null : await loadRecording(id);
+  if (!recording || recording.frames.length === 0) {
+    setStatus('Select a recording to replay');
+    return;
+  }
+
+  stopRecording();
+  resetRemoteMeterState();
+  clearRemoteDisplays();
+
+  const now = performance.now();
+  metricsPlayer = new MetricsPlayer(recording.frames);
+  metricsPlayer.setRate(Number(dom.replaySpeed?.value) || 1, now);
+  if (dom.replaySeek) dom.replaySeek.max = String(metricsPlayer.duration);
+  metricsPlayer.play(now);
+  replayTimer = setInterval(tickReplay, MEASURE_INTERVAL_MS);
+
+  captureState.setActiveCapture('replay');
+  onCaptureChange();
+  console.log(`[Recording] Replaying recording: ${recording.header.name}`);
+}
+
+/**
+ * End the replay and clear the displays it fed.
+ */
+export function stopReplayCapture() {
+  if (replayTimer !== null) clearInterval(replayTimer);
+  replayTimer = null;
+  metricsPlayer = null;
+
+  resetRemoteMeterState();
+  clearRemoteDisplays();
+  if (dom.r128Time) dom.r128Time.textContent = '--:--:--';
+  if (dom.replayPosition) dom.replayPosition.textContent = '–';
+  if (dom.btnReplayPlay) dom.btnReplayPlay.textContent = 'Play';
+
+  if (captureState.getActiveCapture() === 'replay') captureState.setActiveCapture(null);
+  onCaptureChange();
+}
@@ -24,6 +24,7 @@
  *   - Correlation meter
  *   - Balance meter
  *   - Spectrum analyzer
+ *   - Spectrogram (when its card is shown)
  *   - M/S meter
  *   - Width meter
  *   - Rotation meter
@@ -42,6 +43,7 @@
  */
 
 import { meterState, FRAME_HOLD_THRESHOLD, TP_PEAK_HOLD_SEC, PPM_PEAK_HOLD_SEC } from './meter-state.js';
+import { dbfsToScale, formatScaleReading } from '../metering/ppm.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // MODULE STATE
@@ -126,19 +128,6 @@ function formatDb(db, decimals = 1) {
   return db.toFixed(decimals);
 }
 
-/**
- * Format dBu value for PPM display.
- * @param {number} ppm - PPM value (Nordic scale)
- * @returns {string} Formatted string with dBu suffix
- */
-function formatDbu(ppm) {
-  if (!isFinite(ppm)) return '--.-';
-  // PPM to dBu: PPM 0 = +4 dBu (Nordic reference)
-  const dbu = ppm + 4;
-  const sign = dbu >= 0 ? '+' : '';
-  return `${sign}${dbu.toFixed(1)}`;
-}
-
 // ─────────────────────────────────────────────────────────────────────────────
 // RENDER LOOP
 // ─────────────────────────────────────────────────────────────────────────────
@@ -178,8 +167,10 @@ function renderLoop() {
     GlitchDebug.analyze(meters.bufL, meters.bufR, now);
   }
 
-  // Check if we're in remote capture mode (used throughout render loop)
-  const isRemoteCapture = captureState?.getActiveCapture?.() === 'remote';
+  // Remote probes and replayed recordings both fill the remote* meter state
+  // (used throughout render loop)
+  const activeCapture = captureState?.getActiveCapture?.();
+  const isRemoteCapture = activeCapture === 'remote' || activeCapture === 'replay';
 
   // ─────────────────────────────────────────────────────────────────────────
   // Stereo Analysis Components
@@ -243,6 +234,15 @@ function renderLoop() {
     }
   }
 
+  // Spectrogram - same sources as the spectrum analyzer (no-op while hidden)
+  if (uiComponents.spectrogramUI) {
+    if (isRemoteCapture) {
+      uiComponents.spectrogramUI.drawFromBands(meterState.remoteSpectrumBands);
+    } else {
+      uiComponents.spectrogramUI.draw(config.getSampleRate());
+    }
+  }
+
   // M/S meter
   if (uiComponents.msMeterUI) {
     if (isRemoteCapture) {
@@ -307,26 +307,30 @@ function renderLoop() {
   const nowSec = now / 1000;
   // isRemoteCapture is already defined at the top of renderFrame
 
+  // Selected standard (Nordic, DIN, BBC, EBU or VU) sets scale and readout
+  const ppmStandard = meters.ppmMeter.standard;
   let ppmDisplayL, ppmDisplayR, ppmL, ppmR, isSilentL, isSilentR;
 
   if (isRemoteCapture) {
     // Use remote values from meterState (set by handleRemoteMetrics)
     ppmDisplayL = meterState.remotePpmL;
     ppmDisplayR = meterState.remotePpmR;
-    // Convert dBFS to PPM scale for display (PPM = dBFS + offset)
-    ppmL = ppmDisplayL + 9; // Approximate Nordic PPM offset
-    ppmR = ppmDisplayR + 9;
+    // Convert dBFS to the selected scale for display
+    ppmL = dbfsToScale(ppmDisplayL, ppmStandard.id);
+    ppmR = dbfsToScale(ppmDisplayR, ppmStandard.id);
     isSilentL = ppmDisplayL <= -59;
     isSilentR = ppmDisplayR <= -59;
     // Peak holds are already updated by handleRemoteMetrics
   } else {
-    // Local metering
-    meters.ppmMeter.update(meters.bufL, meters.bufR);
+    // Local metering (worklet blocks update the meter directly when available)
+    if (!meterState.workletMetering) {
+      meters.ppmMeter.update(meters.bufL, meters.bufR);
+    }
     const ppmState = meters.ppmMeter.getState();
     ppmDisplayL = ppmState.dbfsLeft;
     ppmDisplayR = ppmState.dbfsRight;
-    ppmL = ppmState.ppmScaleLeft;
-    ppmR = ppmState.ppmScaleRight;
+    ppmL = ppmState.readingLeft;
+    ppmR = ppmState.readingRight;
     isSilentL = ppmState.isSilentLeft;
     isSilentR = ppmState.isSilentRight;
 
@@ -347,18 +351,19 @@ function renderLoop() {
     }
   }
 
-  // Text display uses PPM values (dBu scale)
-  if (dom.ppmLVal) dom.ppmLVal.textContent = isSilentL ? '--.-' : formatDbu(ppmL);
-  if (dom.ppmRVal) dom.ppmRVal.textContent = isSilentR ? '--.-' : formatDbu(ppmR);
+  // Text display uses the standard's scale (PPM, dB, BBC marks or VU)
+  if (dom.ppmLVal) dom.ppmLVal.textContent = isSilentL ? '--.-' : formatScaleReading(ppmL, ppmStandard.id);
+  if (dom.ppmRVal) dom.ppmRVal.textContent = isSilentR ? '--.-' : formatScaleReading(ppmR, ppmStandard.id);
 
-  // Draw PPM bar with dBFS values (-54 to -9 range)
+  // Draw PPM bar with dBFS values (Nordic: -54 to -9 range); VU has no peak hold
   if (dom.ppmCanvas) {
     helpers.drawHBar_PPM(
       dom.ppmCanvas,
       ppmDisplayL,
       ppmDisplayR,
-      meterState.ppmPeakHoldL,
-      meterState.ppmPeakHoldR
+      ppmStandard.peakHold ? meterState.ppmPeakHoldL : undefined,
+      ppmStandard.peakHold ? meterState.ppmPeakHoldR : undefined,
+      ppmStandard.id
     );
   }
 
@@ -417,8 +422,10 @@ function renderLoop() {
     tpRight = meterState.remoteTpR;
     // Peak holds and peak indicator already updated by handleRemoteMetrics
   } else {
-    // Local metering
-    meters.truePeakMeter.update(meters.bufL, meters.bufR);
+    // Local metering (worklet blocks update the meter directly when available)
+    if (!meterState.workletMetering) {
+      meters.truePeakMeter.update(meters.bufL, meters.bufR);
+    }
     const tpState = meters.truePeakMeter.getState();
     tpLeft = tpState.dbtpLeft;
     tpRight = tpState.dbtpRight;
@@ -0,0 +1,166 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SESSION REPORT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Exports the QC evidence for the running session: the values shown in the
+ * loudness panel, TPmax per channel, the compliance verdict, alarm events
+ * and the session curve, formatted by utils/session-report.js.
+ *
+ * SOURCES
+ * ───────
+ *   Local sources report the meters' own readings; a remote probe reports
+ *   the values it sent, in the default layout. Ungated profiles get no
+ *   verdict for a probe, which sends gated values only.
+ *
+ * @module app/report-session
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { DEFAULT_CHANNEL_LAYOUT, getChannelLayout } from '../metering/channel-layout.js';
+import { evaluateCompliance } from '../metering/compliance.js';
+import { formatSessionReport } from '../utils/session-report.js';
+import { downloadText } from '../utils/dom.js';
+import { meterState } from './meter-state.js';
+import { getAlarmLog } from './alarm-session.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MODULE STATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Initialised via initReportSession()
+/** @type {Object<string, any>} */
+let dom;
+/** @type {import('../metering/lufs.js').LUFSMeter} */
+let lufsMeter;
+/** @type {number} */
+let sampleRate;
+/** @type {() => (string|null)} */
+let getActiveCapture;
+/** @type {() => string} */
+let getMeteredLayoutId;
+/** @type {() => import('../metering/compliance.js').ComplianceProfile} */
+let getComplianceProfile;
+/** @type {() => (string|null)} */
+let describeSource;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INITIALISATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Wire the report export button.
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.dom - DOM element references { reportFormat, reportExport }
+ * @param {import('../metering/lufs.js').LUFSMeter} deps.lufsMeter - Local loudness meter
+ * @param {number} deps.sampleRate - Context sample rate (Hz)
+ * @param {() => (string|null)} deps.getActiveCapture - Returns the running capture
+ * @param {() => string} deps.getMeteredLayoutId - Returns the metered channel layout
+ * @param {() => import('../metering/compliance.js').ComplianceProfile} deps.getComplianceProfile - Returns the active delivery profile
+ * @param {() => (string|null)} deps.describeSource - Returns the device, preset or probe name
+ */
+export function initReportSession(deps) {
+  dom = deps.dom;
+  lufsMeter = deps.lufsMeter;
+  sampleRate = deps.sampleRate;
+  getActiveCapture = deps.getActiveCapture;
+  getMeteredLayoutId = deps.getMeteredLayoutId;
+  getComplianceProfile = deps.getComplianceProfile;
+  describeSource = deps.describeSource;
+
+  if (dom.reportExport) {
+    dom.reportExport.onclick = () => {
+      exportSessionReport().catch(error => console.error('[Report] Session report export failed:', error));
+    };
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PRIVATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Gather the current session for the report: the values shown in the
+ * loudness panel, TPmax per channel, alarm events and the session curve.
+ * @returns {import('../utils/session-report.js').SessionReportData}
+ */
+function collectSessionReport() {
+  const activeCapture = getActiveCapture();
+  const complianceProfile = getComplianceProfile();
+  const remote = activeCapture === 'remote';
+  const readings = lufsMeter.getReadings();
+  const loudness = remote
+    ? {
+      integrated: meterState.remoteIntegrated,
+      lra: meterState.remoteLra,
+      maxMomentary: meterState.remoteMaxMomentary,
+      maxShortTerm: meterState.remoteMaxShortTerm
+    }
+    : {
+      integrated: readings.integrated,
+      lra: readings.lra,
+      maxMomentary: readings.maxMomentary,
+      maxShortTerm: readings.maxShortTerm
+    };
+
+  const layout = getChannelLayout(remote ? DEFAULT_CHANNEL_LAYOUT : getMeteredLayoutId());
+  const truePeak = meterState.tpMaxChannels.map((max, ch) => ({
+    label: layout.channels[ch]?.label ?? `Ch ${ch + 1}`,
+    max
+  }));
+
+  // Same rule as the live verdict: only once integrated loudness exists,
+  // and not for ungated profiles when the probe sends gated values only
+  /** @type {import('../metering/compliance.js').ComplianceResult|null} */
+  let compliance = null;
+  if (isFinite(loudness.integrated) && !(remote && complianceProfile.gating === 'ungated')) {
+    compliance = evaluateCompliance({
+      ...loudness,
+      integratedUngated: remote ? undefined : lufsMeter.getIntegratedUngated(),
+      truePeakMax: Math.max(...truePeak.map(channel => channel.max))
+    }, complianceProfile);
+  }
+
+  return {
+    generator: 'VERO-BAAMBI',
+    source: {
+      kind: activeCapture ?? 'none',
+      device: describeSource(),
+      sampleRate: remote ? null : sampleRate,
+      channelLayout: layout.id
+    },
+    profile: { id: complianceProfile.id, name: complianceProfile.name, targetLufs: complianceProfile.targetLufs },
+    start: meterState.sessionStartTime,
+    end: Date.now(),
+    loudness,
+    truePeak,
+    compliance,
+    alarms: getAlarmLog(),
+    curve: { interval: meterState.sessionCurveInterval, shortTerm: meterState.sessionCurve.slice() }
+  };
+}
+
+/**
+ * Export the session report in the selected format as a download.
+ */
+async function exportSessionReport() {
+  const format = /** @type {'html'|'json'|'csv'} */ (dom.reportFormat ? dom.reportFormat.value : 'html');
+  const data = collectSessionReport();
+  const text = await formatSessionReport(data, format);
+  const stamp = new Date(data.start).toISOString().slice(0, 19).replace(/:/g, '-');
+  const types = { html: 'text/html', json: 'application/json', csv: 'text/csv' };
+  downloadText(`vero-session-${stamp}.${format}`, text, types[format]);
+}
@@ -19,12 +19,33 @@
  * - Browser tab capture (getDisplayMedia)
  * - External device capture (getUserMedia)
  * - Advanced signal generator (sine, noise, sweep, GLITS, Lissajous, vector-text)
+ * - Audio files, decoded for offline analysis (no live signal path)
  *
  * SIGNAL CHAIN:
  * ─────────────
  * Source → TrimGain → ChannelSplitter → outputL (for mixL)
  *                   │                 → outputR (for mixR)
- *                   └→ MonitorGain → ac.destination
+ *                   ├→ outputMulti (external capture, all channels discrete)
+ *                   └→ [Normalisation → Limiter] → MonitorGain → ac.destination
+ *
+ * MONITOR NORMALISATION
+ * ─────────────────────
+ * setMonitorNormalisation() plays the monitor with a platform's
+ * normalisation gain (see metering/normalisation.js) and, optionally, its
+ * limiter: a lookahead peak limiter (audio/limiter-processor.js) holding
+ * sample peaks at the ceiling, with LIMITER_LOOKAHEAD_S of delay. Metering
+ * is not affected. Each monitor chain gets its gain and limiter nodes once,
+ * with the first preview, and keeps them until it is released: gain and
+ * ceiling changes are smoothed or sent to the limiter, which keeps its
+ * delay while not limiting. Only switching the preview off (gainDb null)
+ * takes the nodes out of the chain, so the trim feeds the monitor gain
+ * directly. Without AudioWorklet support the preview applies the gain only.
+ *
+ * LOOP MEASUREMENT
+ * ────────────────
+ * playAndCapture() plays a test signal to the output and records the
+ * external input from a known frame (audio/capture-processor.js), for
+ * measurements through an output → device → input loop.
  *
  * @module app/sources
  * ═══════════════════════════════════════════════════════════════════════════════
@@ -87,6 +108,34 @@ export const RoutingMode = Object.freeze({
   ANTI_PHASE: 'anti-phase'
 });
 
+/**
+ * Loop capture processor (audio/capture-processor.js).
+ * @type {string}
+ */
+const CAPTURE_PROCESSOR_URL = new URL('../audio/capture-processor.js', import.meta.url).href;
+
+/**
+ * Preview limiter processor (audio/limiter-processor.js).
+ * @type {string}
+ */
+const LIMITER_PROCESSOR_URL = new URL('../audio/limiter-processor.js', import.meta.url).href;
+
+/**
+ * Time from scheduling a loop measurement to its first captured frame (s).
+ * @type {number}
+ */
+const CAPTURE_SCHEDULE_S = 0.2;
+
+/**
+ * Normalisation preview nodes of one source monitor (null until first needed).
+ * @typedef {Object} MonitorPreview
+ * @property {AudioNode} input - Source signal feeding the monitor
+ * @property {GainNode|null} gain - Normalisation gain
+ * @property {AudioWorkletNode|null} limiter - Preview limiter
+ * @property {AudioNode[]} path - Nodes now between input and monitor gain
+ * @property {number|null} ceilingDb - Ceiling last sent to the limiter
+ */
+
 // ─────────────────────────────────────────────────────────────────────────────
 // SOURCE CONTROLLER CLASS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -133,11 +182,30 @@ export class SourceController {
     this.outputR = context.createGain();
     this.outputR.gain.value = 1.0;
 
+    /** @type {GainNode} All capture channels, discrete (multichannel metering) */
+    this.outputMulti = context.createGain();
+    this.outputMulti.gain.value = 1.0;
+    this.outputMulti.channelCountMode = 'explicit';
+    this.outputMulti.channelInterpretation = 'discrete';
+    this.outputMulti.channelCount = 2;
+
     // ─── Monitor stage: summed output to speakers ───
     /** @type {GainNode} Monitor output gain (0 = muted) */
     this.monitorGain = context.createGain();
     this.monitorGain.gain.value = 0;
 
+    // ─── Monitor normalisation preview (applied to every source monitor) ───
+    /** @type {number|null} Normalisation gain in dB (null = preview off) */
+    this._monitorNormalisationDb = null;
+    /** @type {number|null} Limiter ceiling in dBFS (null = no limiter) */
+    this._monitorCeilingDb = null;
+    /** @type {Map<GainNode, MonitorPreview>} Preview nodes per monitor gain */
+    this._monitorPreviews = new Map();
+    /** @type {Promise<boolean>|null} Loading of the limiter worklet module (true once loaded) */
+    this._limiterWorklet = null;
+    /** @type {boolean} Whether the limiter worklet module is loaded */
+    this._limiterWorkletLoaded = false;
+
     // ─── Active source state ───
     /** @type {InputMode} Currently active input mode */
     this._activeMode = null;
@@ -202,6 +270,18 @@ export class SourceController {
     /** @type {boolean} Whether vector worklet module is loaded */
     this._vectorWorkletLoaded = false;
 
+    // File analysis state
+    /** @type {AudioBuffer|null} Decoded file */
+    this._fileBuffer = null;
+    /** @type {string|null} Decoded file name */
+    this._fileName = null;
+
+    // Loop measurement state
+    /** @type {boolean} Whether the capture worklet module is loaded */
+    this._captureWorkletLoaded = false;
+    /** @type {boolean} Loop measurement in progress */
+    this._measuring = false;
+
     // ─── State subscription ───
     this._unsubscribe = appState.subscribe((state, changed) => {
       this._handleStateChange(state, changed);
@@ -239,6 +319,7 @@ export class SourceController {
   disconnect() {
     this.outputL.disconnect();
     this.outputR.disconnect();
+    this.outputMulti.disconnect();
     this.monitorGain.disconnect();
   }
 
@@ -330,10 +411,7 @@ export class SourceController {
     this._browserSplit.connect(this.outputR, 1);
 
     // Monitor output (muted by default)
-    this._browserMonGain = this.context.createGain();
-    this._browserMonGain.gain.value = 0;
-    this._browserTrimNode.connect(this._browserMonGain);
-    this._browserMonGain.connect(this.context.destination);
+    this._browserMonGain = this._createMonitor(this._browserTrimNode, 0);
     this._browserMonitorMuted = true;
 
     this._activeMode = InputMode.BROWSER;
@@ -359,6 +437,7 @@ export class SourceController {
    * Stop browser tab capture.
    */
   stopBrowserCapture() {
+    this._releaseMonitor(this._browserMonGain);
     [this._browserSource, this._browserTrimNode, this._browserSplit, this._browserMonGain].forEach(n => {
       try { n?.disconnect(); } catch { /* ignore */ }
     });
@@ -422,20 +501,27 @@ export class SourceController {
   /**
    * Start capturing from external audio device.
    *
+   * Channels 1/2 always feed the L/R analysis bus. With channelCount > 2
+   * (5.1, 7.1.4 …) every channel is also available on outputMulti for
+   * multichannel loudness and True Peak.
+   *
    * @param {string} [deviceId] - Specific device ID, or default
+   * @param {Object} [options] - Capture options
+   * @param {number} [options.channelCount=2] - Channels to request from the device
    * @returns {Promise<MediaStreamTrack>} Audio track
    */
-  async startExternalCapture(deviceId) {
+  async startExternalCapture(deviceId, { channelCount = 2 } = {}) {
     // Stop any existing source first
     this.stopAll();
 
+    const multichannel = channelCount > 2;
     const constraints = {
       audio: {
         deviceId: deviceId ? { exact: deviceId } : undefined,
         echoCancellation: false,
         noiseSuppression: false,
         autoGainControl: false,
-        channelCount: 2
+        channelCount: multichannel ? { ideal: channelCount } : 2
       }
     };
 
@@ -446,9 +532,9 @@ export class SourceController {
       throw new Error('No audio track available');
     }
 
-    // Force stereo if possible
+    // Force the requested channel count if possible
     try {
-      audioTrack.applyConstraints({ advanced: [{ channelCount: 2 }] });
+      audioTrack.applyConstraints({ advanced: [{ channelCount }] });
     } catch { /* Ignore if not supported */ }
     audioTrack.contentHint = 'music';
 
@@ -466,11 +552,12 @@ export class SourceController {
     this._externalSplit.connect(this.outputL, 0);
     this._externalSplit.connect(this.outputR, 1);
 
+    // All channels, discrete, for multichannel metering
+    this.outputMulti.channelCount = channelCount;
+    this._externalTrimNode.connect(this.outputMulti);
+
     // Monitor output (muted by default)
-    this._externalMonGain = this.context.createGain();
-    this._externalMonGain.gain.value = 0;
-    this._externalTrimNode.connect(this._externalMonGain);
-    this._externalMonGain.connect(this.context.destination);
+    this._externalMonGain = this._createMonitor(this._externalTrimNode, 0);
     this._externalMonitorMuted = true;
 
     this._activeMode = InputMode.EXTERNAL;
@@ -486,7 +573,7 @@ export class SourceController {
       isCapturing: true,
       deviceId: settings.deviceId || deviceId,
       sampleRate: settings.sampleRate || this.context.sampleRate,
-      channelCount: settings.channelCount || 2
+      channelCount: settings.channelCount || channelCount
     });
 
     return audioTrack;
@@ -496,6 +583,7 @@ export class SourceController {
    * Stop external device capture.
    */
   stopExternalCapture() {
+    this._releaseMonitor(this._externalMonGain);
     [this._externalSource, this._externalTrimNode, this._externalSplit, this._externalMonGain].forEach(n => {
       try { n?.disconnect(); } catch { /* ignore */ }
     });
@@ -607,11 +695,8 @@ export class SourceController {
     this._genRightGain.connect(this._genMerger, 0, 1);
 
     // Monitor output
-    this._genMonGain = this.context.createGain();
     const monitorLevel = appState.get('generatorMonitorLevel') || 20;
-    this._genMonGain.gain.value = this._genMonitorMuted ? 0 : (monitorLevel / 100);
-    this._genMerger.connect(this._genMonGain);
-    this._genMonGain.connect(this.context.destination);
+    this._genMonGain = this._createMonitor(this._genMerger, this._genMonitorMuted ? 0 : (monitorLevel / 100));
 
     // Analysis output via splitter
     this._genSplit = this.context.createChannelSplitter(2);
@@ -691,10 +776,7 @@ export class SourceController {
     this._genRightGain.connect(this._genMerger, 0, 1);
 
     // Restore monitor
-    this._genMonGain = this.context.createGain();
-    this._genMonGain.gain.value = currentMonitorGain;
-    this._genMerger.connect(this._genMonGain);
-    this._genMonGain.connect(this.context.destination);
+    this._genMonGain = this._createMonitor(this._genMerger, currentMonitorGain);
 
     // Reconnect analysis output
     this._genSplit = this.context.createChannelSplitter(2);
@@ -749,6 +831,194 @@ export class SourceController {
     return this._genLeftGain !== null;
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API: FILE ANALYSIS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Decode an audio file for offline analysis.
+   *
+   * The file is not routed to the analysis bus: it is measured faster than
+   * real time from the decoded samples (see metering/programme-analysis.js),
+   * so live capture keeps running. decodeAudioData resamples to the context
+   * rate, which the decoded buffer reports.
+   *
+   * @param {Blob} file - Dropped or selected file
+   * @returns {Promise<AudioBuffer>} Decoded audio
+   * @throws {Error} If the format cannot be decoded
+   */
+  async loadFile(file) {
+    this.clearFile();
+
+    const data = await file.arrayBuffer();
+    const buffer = await this.context.decodeAudioData(data);
+
+    this._fileBuffer = buffer;
+    this._fileName = /** @type {File} */ (file).name || null;
+    return buffer;
+  }
+
+  /**
+   * Decoded file, if any.
+   * @returns {AudioBuffer|null}
+   */
+  get fileBuffer() {
+    return this._fileBuffer;
+  }
+
+  /**
+   * Name of the decoded file, if known.
+   * @returns {string|null}
+   */
+  get fileName() {
+    return this._fileName;
+  }
+
+  /**
+   * Per-channel sample data of the decoded file.
+   * @returns {Float32Array[]} One buffer per channel (empty if no file)
+   */
+  getFileChannels() {
+    const buffer = this._fileBuffer;
+    if (!buffer) return [];
+    return Array.from({ length: buffer.numberOfChannels }, (_, ch) => buffer.getChannelData(ch));
+  }
+
+  /**
+   * Release the decoded file.
+   */
+  clearFile() {
+    this._fileBuffer = null;
+    this._fileName = null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API: LOOP MEASUREMENT
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Play a test signal to the output and record the external input.
+   *
+   * The signal goes straight to the context destination (no monitor gain or
+   * normalisation); the recording starts leadS before it on the same frame
+   * clock, so the signal starts at sample `offset` of the recording plus the
+   * loop's delay. The input is recorded before the trim.
+   *
+   * @param {Float32Array[]} signal - Output samples, one buffer per channel (mono plays on both)
+   * @param {Object} [options] - Capture options
+   * @param {number} [options.leadS=0.1] - Recording before the signal starts (s)
+   * @param {number} [options.tailS=0.5] - Recording after the signal ends (s)
+   * @returns {Promise<{channels: Float32Array[], offset: number}>} Recorded input channels
+   *          and the sample the signal was played at
+   * @throws {Error} If external capture is not running or a measurement is in progress
+   */
+  async playAndCapture(signal, { leadS = 0.1, tailS = 0.5 } = {}) {
+    if (!this._externalSource) {
+      throw new Error('Loop measurement needs external capture running');
+    }
+    if (this._measuring) {
+      throw new Error('A loop measurement is already running');
+    }
+    this._measuring = true;
+
+    try {
+      if (!this._captureWorkletLoaded) {
+        await this.context.audioWorklet.addModule(CAPTURE_PROCESSOR_URL);
+        this._captureWorkletLoaded = true;
+      }
+
+      const sampleRate = this.context.sampleRate;
+      const length = signal[0].length;
+      const offset = Math.round(leadS * sampleRate);
+      const frames = offset + length + Math.round(tailS * sampleRate);
+      const startFrame = Math.ceil((this.context.currentTime + CAPTURE_SCHEDULE_S) * sampleRate);
+
+      const buffer = this.context.createBuffer(2, length, sampleRate);
+      buffer.copyToChannel(new Float32Array(signal[0]), 0);
+      buffer.copyToChannel(new Float32Array(signal[signal.length > 1 ? 1 : 0]), 1);
+      const player = this.context.createBufferSource();
+      player.buffer = buffer;
+
+      const channelCount = this.outputMulti.channelCount;
+      const recorder = new AudioWorkletNode(this.context, 'capture-processor', {
+        numberOfInputs: 1,
+        numberOfOutputs: 0,
+        channelCount,
+        channelCountMode: 'explicit',
+        channelInterpretation: 'discrete',
+        processorOptions: { startFrame, frames, channelCount }
+      });
+
+      const source = this._externalSource;
+      try {
+        const channels = await new Promise((resolve, reject) => {
+          // The worklet is no longer fed if capture stops mid-measurement
+          const timeout = setTimeout(() => {
+            reject(new Error('Loop measurement timed out (input stopped?)'));
+          }, (CAPTURE_SCHEDULE_S + frames / sampleRate) * 1000 + 2000);
+
+          recorder.port.onmessage = (event) => {
+            if (event.data.type !== 'done') return;
+            clearTimeout(timeout);
+            resolve(/** @type {Float32Array[]} */ (event.data.channels));
+          };
+
+          source.connect(recorder);
+          player.connect(this.context.destination);
+          player.start((startFrame + offset) / sampleRate);
+        });
+        return { channels, offset };
+      } finally {
+        recorder.port.onmessage = null;
+        try { source.disconnect(recorder); } catch { /* capture already stopped */ }
+        try { player.stop(); } catch { /* already ended */ }
+        player.disconnect();
+      }
+    } finally {
+      this._measuring = false;
+    }
+  }
+
+  /**
+   * Whether a loop measurement is in progress.
+   * @returns {boolean}
+   */
+  get isMeasuring() {
+    return this._measuring;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API: MONITOR NORMALISATION
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Apply a loudness normalisation gain to the monitor (platform preview).
+   * Changes are smoothed, so the gain can follow a drifting measurement;
+   * the chain is only rewired when the preview turns on or off.
+   *
+   * @param {number|null} gainDb - Normalisation gain in dB, or null to switch the preview off
+   * @param {number|null} [ceilingDb] - Limiter ceiling in dBFS, or null for no limiting
+   */
+  setMonitorNormalisation(gainDb, ceilingDb = null) {
+    this._monitorNormalisationDb = gainDb;
+    this._monitorCeilingDb = gainDb === null ? null : ceilingDb;
+    // Loaded with the first preview, so the limiter is in place before a ceiling is set
+    if (gainDb !== null && !this._limiterWorklet) {
+      this._limiterWorklet = this._loadMonitorLimiter();
+    }
+    for (const [monGain, preview] of this._monitorPreviews) {
+      this._routeMonitor(monGain, preview);
+    }
+  }
+
+  /**
+   * Current monitor normalisation.
+   * @returns {{gainDb: number|null, ceilingDb: number|null}}
+   */
+  getMonitorNormalisation() {
+    return { gainDb: this._monitorNormalisationDb, ceilingDb: this._monitorCeilingDb };
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // PUBLIC API: COMMON
   // ═══════════════════════════════════════════════════════════════════════════
@@ -767,6 +1037,7 @@ export class SourceController {
    */
   dispose() {
     this.stopAll();
+    this.clearFile();
     this.disconnect();
     if (this._unsubscribe) {
       this._unsubscribe();
@@ -774,6 +1045,124 @@ export class SourceController {
     }
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PRIVATE: MONITOR HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Build a source's monitor chain: [normalisation gain → limiter →] monitor
+   * gain → speakers.
+   * @private
+   * @param {AudioNode} input - Source signal (after trim)
+   * @param {number} level - Initial monitor gain (0 = muted)
+   * @returns {GainNode} Monitor gain (level and mute)
+   */
+  _createMonitor(input, level) {
+    const monGain = this.context.createGain();
+    monGain.gain.value = level;
+    monGain.connect(this.context.destination);
+    input.connect(monGain);
+
+    /** @type {MonitorPreview} */
+    const preview = { input, gain: null, limiter: null, path: [], ceilingDb: null };
+    this._monitorPreviews.set(monGain, preview);
+    this._routeMonitor(monGain, preview, true);
+    return monGain;
+  }
+
+  /**
+   * Disconnect the preview nodes of a monitor chain and end its limiter.
+   * @private
+   * @param {GainNode|null} monGain - Monitor gain from _createMonitor()
+   */
+  _releaseMonitor(monGain) {
+    const preview = monGain && this._monitorPreviews.get(monGain);
+    if (!monGain || !preview) return;
+    try { preview.gain?.disconnect(); preview.limiter?.disconnect(); } catch { /* ignore */ }
+    // Lets the processor return false, so the node can be collected
+    preview.limiter?.port.postMessage({ type: 'dispose' });
+    this._monitorPreviews.delete(monGain);
+  }
+
+  /**
+   * Set a monitor chain to the current normalisation. The gain and limiter
+   * nodes are created once and kept; the chain is only rewired when the
+   * preview turns on or off (or the limiter first becomes available).
+   * Otherwise the gain is smoothed and a changed ceiling sent to the limiter.
+   * @private
+   * @param {GainNode} monGain - Monitor gain from _createMonitor()
+   * @param {MonitorPreview} preview - Preview nodes
+   * @param {boolean} [immediate] - Set without smoothing (new chain)
+   */
+  _routeMonitor(monGain, preview, immediate = false) {
+    const gainDb = this._monitorNormalisationDb;
+    const ceilingDb = this._monitorCeilingDb;
+    const active = gainDb !== null;
+
+    // A new gain starts at unity, where the bypassed chain was
+    if (active && !preview.gain) {
+      preview.gain = this.context.createGain();
+    }
+    if (active && this._limiterWorkletLoaded && !preview.limiter) {
+      preview.limiter = new AudioWorkletNode(this.context, 'limiter-processor', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        processorOptions: { ceilingDb }
+      });
+      preview.ceilingDb = ceilingDb;
+    }
+
+    /** @type {AudioNode[]} */
+    const path = [];
+    if (active && preview.gain) path.push(preview.gain);
+    if (active && preview.limiter) path.push(preview.limiter);
+    if (path.length !== preview.path.length) {
+      try {
+        preview.input.disconnect(preview.path[0] ?? monGain);
+        for (const node of preview.path) node.disconnect();
+      } catch { /* ignore */ }
+      let tail = preview.input;
+      for (const node of path) {
+        tail.connect(node);
+        tail = node;
+      }
+      tail.connect(monGain);
+      preview.path = path;
+    }
+
+    if (!active || !preview.gain) return;
+    if (preview.limiter && ceilingDb !== preview.ceilingDb) {
+      preview.limiter.port.postMessage({ type: 'ceiling', ceilingDb });
+      preview.ceilingDb = ceilingDb;
+    }
+    const target = dbToGain(gainDb);
+    if (immediate) {
+      preview.gain.gain.value = target;
+    } else {
+      preview.gain.gain.setTargetAtTime(target, this.context.currentTime, 0.05);
+    }
+  }
+
+  /**
+   * Load the preview limiter worklet and route the monitors through it.
+   * Without it (no AudioWorklet, e.g. file://) the preview is gain only.
+   * @private
+   * @returns {Promise<boolean>} Whether the limiter is available
+   */
+  async _loadMonitorLimiter() {
+    try {
+      await this.context.audioWorklet.addModule(LIMITER_PROCESSOR_URL);
+      this._limiterWorkletLoaded = true;
+      for (const [monGain, preview] of this._monitorPreviews) {
+        this._routeMonitor(monGain, preview);
+      }
+      return true;
+    } catch (err) {
+      console.warn('[SourceController] Preview limiter unavailable, previewing gain only:', err);
+      return false;
+    }
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // PRIVATE: GENERATOR HELPERS
   // ═══════════════════════════════════════════════════════════════════════════
@@ -1025,6 +1414,7 @@ export class SourceController {
     });
 
     // Disconnect chain nodes
+    this._releaseMonitor(this._genMonGain);
     [this._genGain, this._genLeftGain, this._genRightGain, this._genMerger, this._genMonGain, this._genSplit].forEach(n => {
       try { n?.disconnect(); } catch { /* ignore */ }
     });
@@ -49,7 +49,8 @@ const APP_STATE_KEY = 'vero_app_state';
 export const InputMode = Object.freeze({
   BROWSER: 'browser',
   EXTERNAL: 'external',
-  GENERATOR: 'generator'
+  GENERATOR: 'generator',
+  FILE: 'file'
 });
 
 /**
@@ -62,10 +63,42 @@ export const DEFAULT_STATE = Object.freeze({
   isCapturing: false,
   deviceId: null,
 
-  // Metering targets (EBU R128 defaults)
+  // Metering targets (EBU R128 defaults), derived from the compliance profile
+  complianceProfile: 'ebu-r128',
   targetLufs: -23,
   truePeakLimit: -1.0,
 
+  // Programme level meter standard ('nordic', 'din', 'bbc', 'ebu', 'vu')
+  ppmStandard: 'nordic',
+
+  // EBU Mode display: scale ('ebu9', 'ebu18') and unit ('LUFS' absolute, 'LU' relative)
+  loudnessScale: 'ebu9',
+  loudnessUnit: 'LUFS',
+
+  // Goniometer (see ui/goniometer.js): display, axes, persistence, gain
+  goniometerMode: 'lissajous',
+  goniometerAxes: 'ms',
+  goniometerPersistence: 0,
+  goniometerAutoGain: false,
+  goniometerZoom: 0,
+
+  // Spectrum analyser (see metering/rta.js): resolution, weighting, averaging, pink compensation
+  spectrumResolution: '1/3',
+  spectrumWeighting: 'Z',
+  spectrumAveraging: 'none',
+  spectrumAveragingTime: 1000,
+  spectrumPinkCompensation: false,
+
+  // Spectrogram card (see ui/spectrogram.js): shown, span, FFT size, colour map
+  spectrogramVisible: false,
+  spectrogramSpan: 10,
+  spectrogramFftSize: 4096,
+  spectrogramColourMap: 'inferno',
+
+  // Alarm rule overrides by rule id (see metering/alarms.js) and audible alerts
+  alarmRules: {},
+  alarmAudible: false,
+
   // Monitor settings
   browserMonitorLevel: 20,
   browserMonitorMuted: true,
@@ -126,8 +159,28 @@ export class StateStore {
     this._persistedKeys = new Set([
       'inputMode',
       'deviceId',
+      'complianceProfile',
       'targetLufs',
       'truePeakLimit',
+      'ppmStandard',
+      'loudnessScale',
+      'loudnessUnit',
+      'goniometerMode',
+      'goniometerAxes',
+      'goniometerPersistence',
+      'goniometerAutoGain',
+      'goniometerZoom',
+      'spectrumResolution',
+      'spectrumWeighting',
+      'spectrumAveraging',
+      'spectrumAveragingTime',
+      'spectrumPinkCompensation',
+      'spectrogramVisible',
+      'spectrogramSpan',
+      'spectrogramFftSize',
+      'spectrogramColourMap',
+      'alarmRules',
+      'alarmAudible',
       'browserMonitorLevel',
       'browserMonitorMuted',
       'browserTrim',
@@ -329,8 +382,28 @@ export class StateStore {
  * @property {InputMode} inputMode - Active input source
  * @property {boolean} isCapturing - Whether capture is active
  * @property {string|null} deviceId - Selected external device ID
+ * @property {string} complianceProfile - Active compliance profile identifier
  * @property {number} targetLufs - Loudness target in LUFS
  * @property {number} truePeakLimit - True Peak limit in dBTP
+ * @property {string} ppmStandard - PPM/VU meter standard identifier
+ * @property {string} loudnessScale - EBU Mode scale ('ebu9' or 'ebu18')
+ * @property {'LUFS'|'LU'} loudnessUnit - Loudness display unit
+ * @property {string} goniometerMode - Goniometer display ('lissajous' or 'polar' sound stage)
+ * @property {string} goniometerAxes - Goniometer Lissajous axes ('ms' or 'lr')
+ * @property {number} goniometerPersistence - Goniometer phosphor decay in ms (0 = off)
+ * @property {boolean} goniometerAutoGain - Goniometer gain tracks the signal level
+ * @property {number} goniometerZoom - Goniometer manual gain in dB (6 dB steps)
+ * @property {string} spectrumResolution - Spectrum resolution ('1/1' … '1/24' octave, or 'fft')
+ * @property {string} spectrumWeighting - Spectrum weighting ('Z', 'A', 'C', 'K', '468')
+ * @property {string} spectrumAveraging - Spectrum averaging ('none', 'linear', 'exponential', 'infinite')
+ * @property {number} spectrumAveragingTime - Averaging window or time constant in ms
+ * @property {boolean} spectrumPinkCompensation - Spectrum tilted +3 dB/oct so pink noise reads flat
+ * @property {boolean} spectrogramVisible - Spectrogram card shown in the meters grid
+ * @property {number} spectrogramSpan - Spectrogram time span in seconds
+ * @property {number} spectrogramFftSize - Spectrogram FFT size
+ * @property {string} spectrogramColourMap - Spectrogram colour map ('inferno', 'viridis', 'classic', 'grey')
+ * @property {Object<string, Object>} alarmRules - Alarm rule overrides by rule id
+ * @property {boolean} alarmAudible - Beep when an alarm starts
  * @property {number} browserMonitorLevel - Browser monitor volume (0-100)
  * @property {boolean} browserMonitorMuted - Browser monitor mute state
  * @property {number} browserTrim - Browser input trim in dB
@@ -0,0 +1,253 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SWEEP MEASUREMENT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Runs the swept-sine card: frequency response, harmonic distortion and
+ * loop latency (metering/sweep-analysis.js, chart in ui/sweep-chart.js).
+ *
+ * LOOP
+ * ────
+ *   With External Device capture running, the sweep is played through
+ *   SourceController.playAndCapture() and the selected input channel is
+ *   analysed. Output and recording start on the same context frame, so
+ *   the latency found is the loop's round trip.
+ *
+ * FILE
+ * ────
+ *   For chains the app cannot reach, the card downloads a sweep file
+ *   (SWEEP_FILE_LEAD_S of silence before the sweep) and analyses a
+ *   recording of it, decoded at the context rate.
+ *
+ * @module app/sweep-session
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { generateSweep, generateSweepFile, analyseSweep, SWEEP_FILE_LEAD_S, SWEEP_FILE_TAIL_S } from '../metering/sweep-analysis.js';
+import { SweepChart } from '../ui/sweep-chart.js';
+import { downloadBlob } from '../utils/dom.js';
+import { encodeWav } from '../utils/wav.js';
+import { formatDbSigned } from '../utils/format.js';
+import { InputMode } from './state.js';
+import { readNumber } from './helpers.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MODULE STATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Initialised via initSweepSession()
+/** @type {Object<string, any>} */
+let dom;
+/** @type {AudioContext} */
+let audioContext;
+/** @type {import('./sources.js').SourceController} */
+let sourceController;
+
+/** @type {SweepChart|null} */
+let sweepChart = null;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INITIALISATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Create the sweep chart and wire the card's controls.
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.dom - DOM element references (settings, buttons, file input, chart canvas and readouts)
+ * @param {AudioContext} deps.audioContext - Context the sweep is generated and decoded at
+ * @param {import('./sources.js').SourceController} deps.sourceController - Plays and captures the loop
+ */
+export function initSweepSession(deps) {
+  dom = deps.dom;
+  audioContext = deps.audioContext;
+  sourceController = deps.sourceController;
+
+  const { sweepMeasure, sweepDownload, sweepAnalyseFile, sweepFileInput, sweepView, sweepChartCanvas } = dom;
+  if (sweepChartCanvas) {
+    sweepChart = new SweepChart(sweepChartCanvas);
+  }
+
+  if (sweepMeasure) sweepMeasure.onclick = measureSweepLoop;
+  if (sweepDownload) sweepDownload.onclick = downloadSweepFile;
+  if (sweepAnalyseFile && sweepFileInput) {
+    sweepAnalyseFile.onclick = () => sweepFileInput.click();
+    sweepFileInput.addEventListener('change', () => {
+      analyseSweepFile(sweepFileInput.files?.[0]);
+      sweepFileInput.value = '';
+    });
+  }
+  if (sweepView) {
+    sweepView.onchange = () => {
+      if (sweepChart) sweepChart.setView(sweepView.value);
+    };
+  }
+}
+
+/**
+ * Redraw the chart (when its card opens or resizes).
+ */
+export function drawSweepChart() {
+  if (sweepChart) sweepChart.draw();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MEASUREMENT
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Sweep settings from the card, at the context rate.
+ * @returns {import('../metering/sweep-analysis.js').SweepOptions}
+ */
+function getSweepOptions() {
+  return {
+    sampleRate: audioContext.sampleRate,
+    startHz: readNumber(dom.sweepStart, 20),
+    endHz: readNumber(dom.sweepEnd, 20000),
+    durationS: readNumber(dom.sweepDuration, 5),
+    levelDbfs: Math.min(0, readNumber(dom.sweepLevel, -12))
+  };
+}
+
+/**
+ * @param {string} text - Status line
+ */
+function setSweepStatus(text) {
+  if (dom.sweepStatus) dom.sweepStatus.textContent = text;
+}
+
+/**
+ * @param {boolean} busy - Measurement or analysis running
+ */
+function setSweepBusy(busy) {
+  [dom.sweepMeasure, dom.sweepAnalyseFile].forEach(button => {
+    if (button) button.disabled = busy;
+  });
+}
+
+/**
+ * @param {unknown} error - Failure to show in the status line
+ */
+function showSweepError(error) {
+  setSweepStatus(error instanceof Error ? error.message : String(error));
+}
+
+/**
+ * Play the sweep to the output, record the external input and analyse it.
+ */
+async function measureSweepLoop() {
+  if (!sourceController.isModeActive(InputMode.EXTERNAL)) {
+    setSweepStatus('Start External Device capture first');
+    return;
+  }
+
+  const options = getSweepOptions();
+  setSweepBusy(true);
+  try {
+    const sweep = generateSweep(options);
+    setSweepStatus('Measuring…');
+    const { channels, offset } = await sourceController.playAndCapture([sweep], { tailS: SWEEP_FILE_TAIL_S });
+    const channel = Math.min(readNumber(dom.sweepChannel, 0), channels.length - 1);
+    await runSweepAnalysis(channels[channel], { ...options, offset });
+  } catch (error) {
+    console.error('[Sweep] Measurement failed:', error);
+    showSweepError(error);
+  } finally {
+    setSweepBusy(false);
+  }
+}
+
+/**
+ * Analyse a recording of the sweep file (played from its start).
+ *
+ * @param {File|undefined} file - Recording
+ */
+async function analyseSweepFile(file) {
+  if (!file) return;
+
+  setSweepBusy(true);
+  setSweepStatus('Decoding…');
+  try {
+    // Decoded at the context rate, the rate the sweep file was written at
+    const buffer = await audioContext.decodeAudioData(await file.arrayBuffer());
+    const channel = Math.min(readNumber(dom.sweepChannel, 0), buffer.numberOfChannels - 1);
+    await runSweepAnalysis(buffer.getChannelData(channel), {
+      ...getSweepOptions(),
+      offset: Math.round(SWEEP_FILE_LEAD_S * audioContext.sampleRate)
+    });
+  } catch (error) {
+    console.error('[Sweep] File analysis failed:', error);
+    showSweepError(error);
+  } finally {
+    setSweepBusy(false);
+  }
+}
+
+/**
+ * @param {Float32Array} recording - Chain output
+ * @param {import('../metering/sweep-analysis.js').SweepOptions & {offset: number}} options - Sweep played
+ */
+async function runSweepAnalysis(recording, options) {
+  setSweepStatus('Analysing…');
+  // Let the status paint before the FFTs (a 10 s sweep takes about a second)
+  await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+  showSweepResult(analyseSweep(recording, options));
+}
+
+/**
+ * @param {import('../metering/sweep-analysis.js').SweepResult|null} result - Measurement
+ */
+function showSweepResult(result) {
+  const { sweepLatency, sweepGain, sweepHarmonics, sweepSummary } = dom;
+  if (sweepChart) sweepChart.setResult(result);
+  if (!result) {
+    [sweepLatency, sweepGain, sweepHarmonics, sweepSummary].forEach(el => {
+      if (el) el.textContent = '–';
+    });
+    setSweepStatus('No sweep found in the recording');
+    return;
+  }
+
+  // Readouts at the point nearest 1 kHz
+  let i = 0;
+  result.frequencies.forEach((f, j) => {
+    if (Math.abs(Math.log(f / 1000)) < Math.abs(Math.log(result.frequencies[i] / 1000))) i = j;
+  });
+  const [h2, h3] = result.harmonics.map(harmonic => harmonic.levelDb[i]);
+  const dbc = (value) => (Number.isFinite(value) ? value.toFixed(1) : '–');
+
+  if (sweepLatency) {
+    sweepLatency.textContent = `${result.latencyMs.toFixed(2)} ms · ${result.latencySamples.toFixed(1)} samples`;
+  }
+  if (sweepGain) sweepGain.textContent = `${formatDbSigned(result.magnitudeDb[i], 2).trim()} dB`;
+  if (sweepHarmonics) sweepHarmonics.textContent = `${dbc(h2)} / ${dbc(h3)} dBc`;
+  if (sweepSummary) sweepSummary.textContent = `${result.latencyMs.toFixed(1)} ms`;
+  setSweepStatus('Done');
+}
+
+/**
+ * Download the sweep file (stereo, 32-bit float, with lead-in and tail).
+ */
+function downloadSweepFile() {
+  const options = getSweepOptions();
+  const sampleRate = audioContext.sampleRate;
+  try {
+    const samples = generateSweepFile(options);
+    const name = `vero-sweep-${options.startHz}-${options.endHz}Hz-${options.durationS}s-${sampleRate}.wav`;
+    downloadBlob(name, new Blob([encodeWav([samples, samples], sampleRate)], { type: 'audio/wav' }));
+  } catch (error) {
+    showSweepError(error);
+  }
+}
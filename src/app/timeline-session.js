@@ -0,0 +1,138 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * LOUDNESS TIMELINE
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Keeps the session timeline (meterState.timeline, one point per second
+ * from the measure loop) drawn and stored. View in ui/loudness-timeline.js,
+ * IndexedDB in config/timeline-store.js.
+ *
+ * STORAGE
+ * ───────
+ *   Each finished point is appended to IndexedDB; points older than
+ *   TIMELINE_RETENTION_MS are pruned once a minute. At start-up the stored
+ *   history is put in front of the points measured since, so a page reload
+ *   keeps the timeline. Without IndexedDB it is kept in memory only.
+ *
+ * @module app/timeline-session
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { LoudnessTimeline } from '../ui/loudness-timeline.js';
+import { TimelineStore } from '../config/timeline-store.js';
+import { meterState, TIMELINE_INTERVAL_MS, TIMELINE_RETENTION_MS } from './meter-state.js';
+import { formatTime } from './helpers.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MODULE STATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** @type {LoudnessTimeline|null} */
+let loudnessTimeline = null;
+/** @type {HTMLElement|null} Card header readout of the time covered */
+let summaryEl = null;
+/** @type {TimelineStore|null} IndexedDB store (null until open, or unavailable) */
+let timelineStore = null;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PUBLIC API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Create the timeline view.
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.dom - DOM element references { canvas, summaryEl }
+ * @param {{targetLufs: number, tolerance: number, tpLimit: number}} deps.reference - Active profile's limits
+ */
+export function initTimelineSession({ dom, reference }) {
+  summaryEl = dom.summaryEl;
+  if (dom.canvas) {
+    loudnessTimeline = new LoudnessTimeline(dom.canvas);
+    setTimelineReference(reference);
+  }
+}
+
+/**
+ * Show the active profile's target, tolerance and TP limit on the timeline.
+ * @param {{targetLufs: number, tolerance: number, tpLimit: number}} reference
+ */
+export function setTimelineReference(reference) {
+  if (loudnessTimeline) loudnessTimeline.setReference(reference);
+}
+
+/**
+ * Store and draw a finished timeline point (once per second).
+ * @param {import('./meter-state.js').TimelinePoint} point
+ */
+export function handleTimelinePoint(point) {
+  if (timelineStore) {
+    timelineStore.append([point]).catch(error => console.warn('[Timeline] Write failed:', error));
+    // Drop expired points from the database once a minute
+    if (point.t % 60000 === 0) {
+      timelineStore.prune(point.t - TIMELINE_RETENTION_MS).catch(error => console.warn('[Timeline] Prune failed:', error));
+    }
+  }
+  drawTimeline();
+}
+
+/**
+ * Forget the stored history (the caller has reset meterState.timeline).
+ */
+export function clearTimeline() {
+  if (timelineStore) timelineStore.clear().catch(error => console.warn('[Timeline] Clear failed:', error));
+  drawTimeline();
+}
+
+/**
+ * Open the timeline database and put the stored history (from before a
+ * page reload) in front of the points recorded since start-up.
+ */
+export async function restoreTimeline() {
+  const store = await TimelineStore.open();
+  if (!store) return;
+
+  try {
+    const oldest = Date.now() - TIMELINE_RETENTION_MS;
+    await store.prune(oldest);
+    const stored = await store.load();
+    const firstLive = meterState.timeline.length > 0 ? meterState.timeline[0].t : Infinity;
+    const restored = stored.filter(point => point.t >= oldest && point.t < firstLive);
+    meterState.timeline = restored.concat(meterState.timeline);
+    timelineStore = store;
+    if (meterState.timeline.length > restored.length) await store.append(meterState.timeline.slice(restored.length));
+    console.log(`[Timeline] Restored ${restored.length} points`);
+  } catch (error) {
+    console.warn('[Timeline] Restore failed, timeline kept in memory only:', error);
+  }
+  drawTimeline();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PRIVATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Redraw the timeline and show the time it covers in the card header.
+ */
+function drawTimeline() {
+  const timeline = meterState.timeline;
+  if (loudnessTimeline) loudnessTimeline.setPoints(timeline);
+  if (summaryEl) {
+    summaryEl.textContent = timeline.length > 0
+      ? formatTime(timeline[timeline.length - 1].t + TIMELINE_INTERVAL_MS - timeline[0].t)
+      : '–';
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TONE ANALYSER
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Runs the tone analyser card: frequency, level, L/R difference, phase and
+ * THD+N of a test tone (metering/tone-analysis.js, view in
+ * ui/tone-panel.js).
+ *
+ * UPDATES
+ * ───────
+ *   Every TONE_ANALYSER_INTERVAL_MS, while the card is open, the tone is
+ *   analysed on the 16384-sample RTA analysers (0.34 s at 48 kHz). Remote
+ *   and replay sources have no samples; the card then shows no reading.
+ *
+ * @module app/tone-session
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { analyseTone } from '../metering/tone-analysis.js';
+import { TonePanel } from '../ui/tone-panel.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MODULE STATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Initialised via initToneSession()
+/** @type {Object<string, any>} */
+let dom;
+/** @type {AnalyserNode} */
+let analyserL;
+/** @type {AnalyserNode} */
+let analyserR;
+/** @type {number} */
+let sampleRate;
+/** @type {() => (string|null)} */
+let getActiveCapture;
+
+/** @type {TonePanel|null} */
+let tonePanel = null;
+/** Time-domain buffers, one analyser length each */
+let toneBufL = new Float32Array(0);
+let toneBufR = new Float32Array(0);
+
+/** Reading interval; one analysis fits two 16384-point legs */
+const TONE_ANALYSER_INTERVAL_MS = 500;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INITIALISATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Create the tone card and start the periodic analysis.
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.dom - DOM element references (card panel and readouts)
+ * @param {AnalyserNode} deps.analyserL - Left RTA analyser (16384 samples)
+ * @param {AnalyserNode} deps.analyserR - Right RTA analyser
+ * @param {number} deps.sampleRate - Context sample rate (Hz)
+ * @param {() => (string|null)} deps.getActiveCapture - Returns the running capture
+ */
+export function initToneSession(deps) {
+  dom = deps.dom;
+  analyserL = deps.analyserL;
+  analyserR = deps.analyserR;
+  sampleRate = deps.sampleRate;
+  getActiveCapture = deps.getActiveCapture;
+
+  toneBufL = new Float32Array(analyserL.fftSize);
+  toneBufR = new Float32Array(analyserR.fftSize);
+
+  tonePanel = new TonePanel({
+    frequencyEl: dom.toneFrequency, levelLEl: dom.toneLevelL, levelREl: dom.toneLevelR,
+    differenceEl: dom.toneDifference, phaseEl: dom.tonePhase,
+    thdnLEl: dom.toneThdnL, thdnREl: dom.toneThdnR, summaryEl: dom.toneSummary
+  });
+  tonePanel.render(null);
+
+  setInterval(updateToneAnalyser, TONE_ANALYSER_INTERVAL_MS);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PRIVATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Analyse the tone while the card is open. Remote and replay have no
+ * samples.
+ */
+function updateToneAnalyser() {
+  if (!tonePanel || dom.panelTone?.classList.contains('collapsed')) return;
+  const activeCapture = getActiveCapture();
+  if (!activeCapture || activeCapture === 'remote' || activeCapture === 'replay') {
+    tonePanel.render(null);
+    return;
+  }
+  analyserL.getFloatTimeDomainData(toneBufL);
+  analyserR.getFloatTimeDomainData(toneBufR);
+  tonePanel.render(analyseTone(toneBufL, toneBufR, sampleRate));
+}
@@ -0,0 +1,68 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * CAPTURE WORKLET PROCESSOR
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Records its input from a given context frame for a given number of frames,
+ * posts the samples back and ends. Used by SourceController.playAndCapture()
+ * for loop measurements: starting on a known frame ties the recording to the
+ * frame the test signal was scheduled on, so the offset found in the
+ * recording is the round-trip delay.
+ *
+ * processorOptions: { startFrame, frames, channelCount }
+ *
+ * Message to the main thread:
+ *   { type: 'done', channels: Float32Array[] }
+ *
+ * @module audio/capture-processor
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+class CaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const { startFrame = 0, frames = 0, channelCount = 2 } = (options && options.processorOptions) || {};
+    this.startFrame = startFrame;
+    this.channels = Array.from({ length: channelCount }, () => new Float32Array(frames));
+    this.written = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0] || [];
+    const length = this.channels[0].length;
+    const quantum = input.length > 0 ? input[0].length : 128;
+
+    // Part of this render quantum that falls inside the recording
+    const from = Math.max(0, this.startFrame - currentFrame);
+    const to = Math.min(quantum, this.startFrame + length - currentFrame);
+    if (to > from) {
+      const at = currentFrame + from - this.startFrame;
+      this.channels.forEach((channel, c) => {
+        // A missing input channel records silence
+        if (input[c]) channel.set(input[c].subarray(from, to), at);
+      });
+      this.written = at + to - from;
+    }
+
+    if (this.written >= length) {
+      this.port.postMessage({ type: 'done', channels: this.channels }, this.channels.map(c => c.buffer));
+      return false;
+    }
+    return true;
+  }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
@@ -68,7 +68,7 @@ export const PREFERRED_SAMPLE_RATE = 48000;
  *
  * @example
  * const engine = new AudioEngine({
- *   workletPath: './external-meter-processor.js'
+ *   workletPath: METER_PROCESSOR_URL
  * });
  *
  * await engine.initialize();
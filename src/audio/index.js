@@ -28,3 +28,9 @@ export {
   getAudioOutputDevices,
   requestMicrophonePermission
 } from './engine.js';
+
+export {
+  METER_PROCESSOR_NAME,
+  METER_PROCESSOR_URL,
+  MeterWorklet
+} from './meter-worklet.js';
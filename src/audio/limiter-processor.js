@@ -0,0 +1,58 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – Preview Limiter AudioWorklet Processor
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Lookahead peak limiter for the monitor's normalisation preview
+ * (metering/normalisation.js PeakLimiter). One node per monitor chain,
+ * kept for the chain's life; the output is delayed by the lookahead, also
+ * while it is not limiting.
+ *
+ * processorOptions: { ceilingDb }          – null = not limiting
+ *
+ * Messages from the main thread:
+ *   { type: 'ceiling', ceilingDb }          – change the ceiling (null = not limiting)
+ *   { type: 'dispose' }                     – end processing (chain released)
+ *
+ * @module audio/limiter-processor
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { PeakLimiter } from '../metering/normalisation.js';
+
+/** Render quantum size used when the output has no channels */
+const RENDER_QUANTUM_FRAMES = 128;
+
+class LimiterProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const { ceilingDb = null } = (options && options.processorOptions) || {};
+    this.limiter = new PeakLimiter({ sampleRate, ceilingDb });
+    /** Set by the dispose message; process() then returns false */
+    this.disposed = false;
+
+    this.port.onmessage = (event) => {
+      const data = event.data || {};
+      if (data.type === 'ceiling') {
+        this.limiter.setCeiling(data.ceilingDb ?? null);
+      } else if (data.type === 'dispose') {
+        this.disposed = true;
+      }
+    };
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0] || [];
+    const output = outputs[0] || [];
+    const frames = output.length > 0 ? output[0].length : RENDER_QUANTUM_FRAMES;
+
+    if (this.disposed) return false;
+    this.limiter.process(input, output, frames);
+
+    // Kept alive while disconnected inputs are silent; only dispose ends it
+    return true;
+  }
+}
+
+registerProcessor('limiter-processor', LimiterProcessor);
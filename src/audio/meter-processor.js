@@ -0,0 +1,81 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – Metering AudioWorklet Processor
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Runs in the audio thread and feeds every sample of the analysis bus exactly
+ * once to StreamMeter (K-weighting, True Peak, quasi-peak and, with the
+ * noise option, the noise detectors). Completed hop blocks are posted to
+ * the main thread as { type: 'block', block }.
+ *
+ * Messages from the main thread:
+ *   { type: 'reset' }                       – clear all DSP state
+ *   { type: 'configure', channelCount }     – switch channel count (layout change)
+ *   { type: 'ppmStandard', standard }       – switch PPM/VU ballistics
+ *
+ * Unlike the vector text worklet, the DSP is imported rather than inlined:
+ * the metering modules are pure and must stay byte-identical to the code
+ * the Node verification tests exercise.
+ *
+ * @module audio/meter-processor
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { StreamMeter, STREAM_HOP_SECONDS } from '../metering/stream-meter.js';
+
+/** Render quantum size used when the input is not connected */
+const RENDER_QUANTUM_FRAMES = 128;
+
+class MeterProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const {
+      channelCount = 2,
+      hopSeconds = STREAM_HOP_SECONDS,
+      oversampling = 'auto',
+      ppmStandard = 'nordic',
+      noise = false
+    } = (options && options.processorOptions) || {};
+
+    this.hopSeconds = hopSeconds;
+    this.oversampling = oversampling;
+    this.ppmStandard = ppmStandard;
+    this.noise = noise;
+    this.meter = new StreamMeter({ sampleRate, channelCount, hopSeconds, oversampling, ppmStandard, noise });
+
+    this.port.onmessage = (event) => {
+      const data = event.data || {};
+      if (data.type === 'reset') {
+        this.meter.reset();
+      } else if (data.type === 'configure') {
+        this.meter = new StreamMeter({
+          sampleRate,
+          channelCount: data.channelCount,
+          hopSeconds: this.hopSeconds,
+          oversampling: this.oversampling,
+          ppmStandard: this.ppmStandard,
+          noise: this.noise
+        });
+      } else if (data.type === 'ppmStandard') {
+        this.ppmStandard = data.standard;
+        this.meter.setPPMStandard(data.standard);
+      }
+    };
+  }
+
+  process(inputs) {
+    const input = inputs[0] || [];
+    const frames = input.length > 0 ? input[0].length : RENDER_QUANTUM_FRAMES;
+
+    const blocks = this.meter.process(input, frames);
+    for (const block of blocks) {
+      this.port.postMessage({ type: 'block', block });
+    }
+
+    // Keep metering alive while the node exists, even during silence
+    return true;
+  }
+}
+
+registerProcessor('meter-processor', MeterProcessor);
@@ -0,0 +1,270 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * METER WORKLET (MAIN-THREAD SIDE)
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Loads the metering AudioWorklet (meter-processor.js), connects it to the
+ * analysis bus and delivers its StreamBlock messages to a callback.
+ *
+ * The worklet sees every sample exactly once, so loudness and True Peak
+ * values derived from its blocks match a hardware meter on long programmes,
+ * unlike AnalyserNode polling which overlaps or skips audio with timer jitter.
+ *
+ * FALLBACK
+ * ────────
+ * AudioWorklet modules cannot be loaded from file:// in most browsers.
+ * load() resolves to false in that case and callers keep the AnalyserNode
+ * path; nothing else changes.
+ *
+ * @module audio/meter-worklet
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/AudioWorkletNode
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { STREAM_HOP_SECONDS } from '../metering/stream-meter.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Registered processor name (must match registerProcessor() in meter-processor.js).
+ * @type {string}
+ */
+export const METER_PROCESSOR_NAME = 'meter-processor';
+
+/**
+ * Absolute URL of the processor module, resolved relative to this file.
+ * @type {string}
+ */
+export const METER_PROCESSOR_URL = new URL('./meter-processor.js', import.meta.url).href;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// METER WORKLET CLASS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Main-thread handle for the metering AudioWorklet.
+ *
+ * @example
+ * const meterWorklet = new MeterWorklet(audioContext);
+ * meterWorklet.onBlock = (block) => lufsMeter.pushBlock(...);
+ *
+ * if (await meterWorklet.load()) {
+ *   meterWorklet.connect([mixL, mixR]);
+ * }
+ */
+export class MeterWorklet {
+  /**
+   * @param {BaseAudioContext} context - Web Audio context
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.channelCount=2] - Number of metered channels
+   * @param {number} [options.hopSeconds=STREAM_HOP_SECONDS] - Block length in seconds
+   * @param {import('../metering/true-peak.js').TruePeakOversampling} [options.oversampling='auto'] - True Peak oversampling
+   * @param {string} [options.ppmStandard='nordic'] - PPM/VU ballistics
+   * @param {boolean} [options.noise=false] - Add noise readings to each block (metering/noise.js)
+   */
+  constructor(context, { channelCount = 2, hopSeconds = STREAM_HOP_SECONDS, oversampling = 'auto', ppmStandard = 'nordic', noise = false } = {}) {
+    /** @type {BaseAudioContext} */
+    this.context = context;
+
+    /** @type {number} */
+    this.channelCount = channelCount;
+
+    /** @type {number} */
+    this.hopSeconds = hopSeconds;
+
+    /** @type {import('../metering/true-peak.js').TruePeakOversampling} */
+    this.oversampling = oversampling;
+
+    /** @type {string} */
+    this.ppmStandard = ppmStandard;
+
+    /** @type {boolean} */
+    this.noise = noise;
+
+    /** @type {AudioWorkletNode|null} */
+    this.node = null;
+
+    /** @type {ChannelMergerNode|null} */
+    this.merger = null;
+
+    /** @type {AudioNode[]} */
+    this.sources = [];
+
+    /** @type {((block: import('../metering/stream-meter.js').StreamBlock) => void)|null} */
+    this.onBlock = null;
+  }
+
+  /**
+   * Load the processor module and create the worklet node.
+   *
+   * @returns {Promise<boolean>} True if the worklet is running, false if unavailable
+   */
+  async load() {
+    if (this.node) return true;
+
+    try {
+      await this.context.audioWorklet.addModule(METER_PROCESSOR_URL);
+
+      this.node = new AudioWorkletNode(this.context, METER_PROCESSOR_NAME, {
+        numberOfInputs: 1,
+        numberOfOutputs: 0,
+        channelCount: this.channelCount,
+        channelCountMode: 'explicit',
+        channelInterpretation: 'discrete',
+        processorOptions: {
+          channelCount: this.channelCount,
+          hopSeconds: this.hopSeconds,
+          oversampling: this.oversampling,
+          ppmStandard: this.ppmStandard,
+          noise: this.noise
+        }
+      });
+
+      this.node.port.onmessage = (event) => {
+        if (event.data.type === 'block' && this.onBlock) {
+          this.onBlock(event.data.block);
+        }
+      };
+
+      console.log('[MeterWorklet] Loaded:', METER_PROCESSOR_URL);
+      return true;
+    } catch (error) {
+      console.warn('[MeterWorklet] Unavailable, using AnalyserNode polling:', error);
+      this.node = null;
+      return false;
+    }
+  }
+
+  /**
+   * Connect one mono source node per channel (e.g. the mixL/mixR analysis bus).
+   *
+   * @param {AudioNode[]} sources - Source nodes in channel order
+   */
+  connect(sources) {
+    if (!this.node) {
+      throw new Error('MeterWorklet not loaded');
+    }
+
+    this.disconnect();
+
+    this.merger = this.context.createChannelMerger(this.channelCount);
+    sources.forEach((source, channel) => {
+      source.connect(/** @type {ChannelMergerNode} */ (this.merger), 0, channel);
+    });
+    this.merger.connect(this.node);
+    this.sources = sources;
+  }
+
+  /**
+   * Connect a single multichannel node (e.g. a 5.1 capture), one input
+   * channel per metered channel in layout order.
+   *
+   * @param {AudioNode} source - Multichannel source node
+   */
+  connectMultichannel(source) {
+    if (!this.node) {
+      throw new Error('MeterWorklet not loaded');
+    }
+
+    this.disconnect();
+
+    source.connect(this.node);
+    this.sources = [source];
+  }
+
+  /**
+   * Change the number of metered channels. Restarts the worklet's DSP state.
+   *
+   * @param {number} channelCount - Channels in the new layout
+   */
+  setChannelCount(channelCount) {
+    if (channelCount === this.channelCount) return;
+
+    this.channelCount = channelCount;
+    if (this.node) {
+      this.node.channelCount = channelCount;
+      this.node.port.postMessage({ type: 'configure', channelCount });
+    }
+  }
+
+  /**
+   * Select PPM/VU ballistics for the quasiPeak values in each block.
+   * Loudness and True Peak state in the worklet is unaffected.
+   *
+   * @param {string} standard - Standard identifier ('nordic', 'din', 'bbc', 'ebu', 'vu')
+   */
+  setPPMStandard(standard) {
+    if (standard === this.ppmStandard) return;
+
+    this.ppmStandard = standard;
+    if (this.node) {
+      this.node.port.postMessage({ type: 'ppmStandard', standard });
+    }
+  }
+
+  /**
+   * Disconnect sources without unloading the worklet.
+   */
+  disconnect() {
+    if (!this.merger) {
+      for (const source of this.sources) {
+        try {
+          source.disconnect(/** @type {AudioWorkletNode} */ (this.node));
+        } catch {
+          // Already disconnected
+        }
+      }
+      this.sources = [];
+      return;
+    }
+
+    for (const source of this.sources) {
+      try {
+        source.disconnect(this.merger);
+      } catch {
+        // Already disconnected
+      }
+    }
+    this.merger.disconnect();
+    this.merger = null;
+    this.sources = [];
+  }
+
+  /**
+   * Clear all DSP state inside the worklet (filters, detectors, hop position).
+   */
+  reset() {
+    if (this.node) {
+      this.node.port.postMessage({ type: 'reset' });
+    }
+  }
+
+  /**
+   * Disconnect and release the worklet node.
+   */
+  dispose() {
+    this.disconnect();
+    if (this.node) {
+      this.node.port.onmessage = null;
+      this.node.disconnect();
+      this.node = null;
+    }
+    this.onBlock = null;
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * INDEXEDDB HELPERS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Promise wrappers shared by the IndexedDB stores (timeline-store.js,
+ * recording-store.js). Database names use the 'vero_' prefix as in
+ * config/storage.js.
+ *
+ * @module config/idb
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * @template T
+ * @param {IDBRequest<T>} request - Pending request
+ * @returns {Promise<T>} Request result
+ */
+export function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @param {IDBTransaction} transaction - Read-write transaction
+ * @returns {Promise<void>} Resolves once the transaction has committed
+ */
+export function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Open a database, creating or upgrading its object stores.
+ *
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {(db: IDBDatabase) => void} upgrade - Creates missing object stores
+ * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable or refused
+ */
+export async function openDatabase(name, version, upgrade) {
+  if (typeof indexedDB === 'undefined') return null;
+
+  try {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = () => upgrade(request.result);
+    return await requestResult(request);
+  } catch (error) {
+    console.warn(`[IndexedDB] ${name} unavailable:`, error);
+    return null;
+  }
+}
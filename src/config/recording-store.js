@@ -0,0 +1,192 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * METRICS RECORDING STORAGE (INDEXEDDB)
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Keeps metrics recordings (see remote/recording.js) in the browser so a
+ * session can be replayed after a reload without downloading it first.
+ *
+ * SCHEMA
+ * ──────
+ * Database 'vero_recordings':
+ *   recordings – one entry per recording { id, header, duration, frameCount },
+ *                id auto-assigned
+ *   chunks     – frames in blocks of a few seconds { id, t, frames },
+ *                keyed by [id, t] so a recording reads back in time order
+ *
+ * Frames are written in chunks while recording runs; a crashed tab loses at
+ * most the chunk in progress.
+ *
+ * FAILURE
+ * ───────
+ * RecordingStore.open() resolves to null when IndexedDB is missing or
+ * refused; recordings can then still be downloaded as NDJSON.
+ *
+ * @module config/recording-store
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { openDatabase, requestResult, transactionDone } from './idb.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Database name ('vero_' prefix as in config/storage.js) */
+const DB_NAME = 'vero_recordings';
+
+/** Schema version; bump and extend the upgrade when the layout changes */
+const DB_VERSION = 1;
+
+/** Object store holding one entry per recording */
+const RECORDINGS = 'recordings';
+
+/** Object store holding the frame chunks */
+const CHUNKS = 'chunks';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TYPE DEFINITIONS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} StoredRecording
+ * @property {number} id - Store key
+ * @property {import('../remote/recording.js').RecordingHeader} header - Recording header
+ * @property {number} duration - Time of the last frame (ms from start)
+ * @property {number} frameCount - Number of frames stored
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RECORDING STORE
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class RecordingStore {
+  /**
+   * @param {IDBDatabase} db - Open database (use RecordingStore.open())
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Open (or create) the recordings database.
+   *
+   * @returns {Promise<RecordingStore|null>} Store, or null when IndexedDB is unavailable
+   */
+  static async open() {
+    const db = await openDatabase(DB_NAME, DB_VERSION, (upgrading) => {
+      if (!upgrading.objectStoreNames.contains(RECORDINGS)) {
+        upgrading.createObjectStore(RECORDINGS, { keyPath: 'id', autoIncrement: true });
+      }
+      if (!upgrading.objectStoreNames.contains(CHUNKS)) {
+        upgrading.createObjectStore(CHUNKS, { keyPath: ['id', 't'] });
+      }
+    });
+    if (!db) console.warn('[RecordingStore] Recordings available as download only');
+    return db ? new RecordingStore(db) : null;
+  }
+
+  /**
+   * List stored recordings.
+   *
+   * @returns {Promise<StoredRecording[]>} Recordings, newest first
+   */
+  async list() {
+    const store = this.db.transaction(RECORDINGS, 'readonly').objectStore(RECORDINGS);
+    const entries = await requestResult(store.getAll());
+    return entries.sort((a, b) => b.header.start - a.header.start);
+  }
+
+  /**
+   * Create an empty recording.
+   *
+   * @param {import('../remote/recording.js').RecordingHeader} header - Recording header
+   * @returns {Promise<number>} Id of the new recording
+   */
+  async create(header) {
+    const transaction = this.db.transaction(RECORDINGS, 'readwrite');
+    const id = await requestResult(
+      transaction.objectStore(RECORDINGS).add({ header, duration: 0, frameCount: 0 })
+    );
+    await transactionDone(transaction);
+    return Number(id);
+  }
+
+  /**
+   * Append a chunk of frames and update the recording's totals.
+   *
+   * @param {number} id - Recording id
+   * @param {import('../remote/recording.js').RecordingFrame[]} frames - Frames, oldest first
+   * @returns {Promise<void>}
+   */
+  async append(id, frames) {
+    if (frames.length === 0) return;
+
+    const transaction = this.db.transaction([RECORDINGS, CHUNKS], 'readwrite');
+    const recordings = transaction.objectStore(RECORDINGS);
+    transaction.objectStore(CHUNKS).put({ id, t: frames[0].t, frames });
+
+    const entry = await requestResult(recordings.get(id));
+    if (entry) {
+      entry.duration = frames[frames.length - 1].t;
+      entry.frameCount += frames.length;
+      recordings.put(entry);
+    }
+    return transactionDone(transaction);
+  }
+
+  /**
+   * Store a complete recording (e.g. an imported NDJSON file).
+   *
+   * @param {import('../remote/recording.js').Recording} recording - Recording to store
+   * @returns {Promise<number>} Id of the new recording
+   */
+  async save(recording) {
+    const id = await this.create(recording.header);
+    await this.append(id, recording.frames);
+    return id;
+  }
+
+  /**
+   * Read a recording with all its frames.
+   *
+   * @param {number} id - Recording id
+   * @returns {Promise<import('../remote/recording.js').Recording|null>} Recording, or null when unknown
+   */
+  async load(id) {
+    const transaction = this.db.transaction([RECORDINGS, CHUNKS], 'readonly');
+    const entry = await requestResult(transaction.objectStore(RECORDINGS).get(id));
+    if (!entry) return null;
+
+    const range = IDBKeyRange.bound([id, -Infinity], [id, Infinity]);
+    const chunks = await requestResult(transaction.objectStore(CHUNKS).getAll(range));
+    return { header: entry.header, frames: chunks.flatMap((chunk) => chunk.frames) };
+  }
+
+  /**
+   * Delete a recording and its frames.
+   *
+   * @param {number} id - Recording id
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    const transaction = this.db.transaction([RECORDINGS, CHUNKS], 'readwrite');
+    transaction.objectStore(RECORDINGS).delete(id);
+    transaction.objectStore(CHUNKS).delete(IDBKeyRange.bound([id, -Infinity], [id, Infinity]));
+    return transactionDone(transaction);
+  }
+}
@@ -92,7 +92,10 @@ export const STORAGE_KEYS = {
   PROBE_ID: `${KEY_PREFIX}probe_id`,
 
   /** Broker URL for remote connections (string) */
-  BROKER_URL: `${KEY_PREFIX}broker_url`
+  BROKER_URL: `${KEY_PREFIX}broker_url`,
+
+  /** User-defined compliance profiles (JSON array of profile objects) */
+  COMPLIANCE_PROFILES: `${KEY_PREFIX}compliance_profiles`
 };
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -291,3 +294,23 @@ export function setRemoteEnabled(enabled) {
   setItem(STORAGE_KEYS.REMOTE_ENABLED, String(enabled));
   console.log(`[Storage] Remote features ${enabled ? 'enabled' : 'disabled'}`);
 }
+
+/**
+ * Get user-defined compliance profiles as stored.
+ * Entries are not validated here; pass them through createComplianceProfile().
+ *
+ * @returns {Object[]} Stored profile objects (empty if none or unreadable)
+ */
+export function getUserComplianceProfiles() {
+  const profiles = getJSON(STORAGE_KEYS.COMPLIANCE_PROFILES, []);
+  return Array.isArray(profiles) ? profiles : [];
+}
+
+/**
+ * Store user-defined compliance profiles, replacing any stored before.
+ *
+ * @param {Object[]} profiles - Validated profile objects
+ */
+export function setUserComplianceProfiles(profiles) {
+  setJSON(STORAGE_KEYS.COMPLIANCE_PROFILES, profiles);
+}
@@ -0,0 +1,127 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * LOUDNESS TIMELINE STORAGE (INDEXEDDB)
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Keeps the loudness timeline (one point per second, see app/meter-state.js)
+ * across page reloads. An evening of points is far beyond what localStorage
+ * should hold, so the timeline lives in IndexedDB instead.
+ *
+ * SCHEMA
+ * ──────
+ * Database 'vero_timeline', object store 'points', keyed by the start of
+ * the second (wall-clock ms). Points come back in time order. Writing a
+ * point for a second that already exists replaces it.
+ *
+ * FAILURE
+ * ───────
+ * IndexedDB can be missing or refused (private windows, storage pressure).
+ * TimelineStore.open() then resolves to null and the timeline simply lives
+ * in memory; write errors are logged and otherwise ignored.
+ *
+ * @module config/timeline-store
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { openDatabase, requestResult, transactionDone } from './idb.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Database name ('vero_' prefix as in config/storage.js) */
+const DB_NAME = 'vero_timeline';
+
+/** Schema version; bump and extend the upgrade when the layout changes */
+const DB_VERSION = 1;
+
+/** Object store holding the timeline points */
+const STORE_NAME = 'points';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TIMELINE STORE
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class TimelineStore {
+  /**
+   * @param {IDBDatabase} db - Open database (use TimelineStore.open())
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Open (or create) the timeline database.
+   *
+   * @returns {Promise<TimelineStore|null>} Store, or null when IndexedDB is unavailable
+   */
+  static async open() {
+    const db = await openDatabase(DB_NAME, DB_VERSION, (upgrading) => {
+      if (!upgrading.objectStoreNames.contains(STORE_NAME)) {
+        upgrading.createObjectStore(STORE_NAME, { keyPath: 't' });
+      }
+    });
+    if (!db) console.warn('[TimelineStore] Timeline kept in memory only');
+    return db ? new TimelineStore(db) : null;
+  }
+
+  /**
+   * Read all stored points.
+   *
+   * @returns {Promise<import('../app/meter-state.js').TimelinePoint[]>} Points, oldest first
+   */
+  async load() {
+    const store = this.db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    return requestResult(store.getAll());
+  }
+
+  /**
+   * Write points in one transaction.
+   *
+   * @param {import('../app/meter-state.js').TimelinePoint[]} points - Points to add
+   * @returns {Promise<void>}
+   */
+  async append(points) {
+    const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    for (const point of points) store.put(point);
+    return transactionDone(transaction);
+  }
+
+  /**
+   * Delete points that started before a given time.
+   *
+   * @param {number} before - Wall-clock time (ms)
+   * @returns {Promise<void>}
+   */
+  async prune(before) {
+    const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+    transaction.objectStore(STORE_NAME).delete(IDBKeyRange.upperBound(before, true));
+    return transactionDone(transaction);
+  }
+
+  /**
+   * Delete all points (new session).
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+    transaction.objectStore(STORE_NAME).clear();
+    return transactionDone(transaction);
+  }
+}
@@ -37,7 +37,9 @@
  *               ├─► remote/types.js      - Metrics schema (probe/client)
  *               ├─► metering/            - EBU R128, LUFS, True Peak, PPM, stereo
  *               ├─► audio/               - AudioContext, worklets
- *               │   └─► engine.js        - AudioEngine class
+ *               │   ├─► engine.js        - AudioEngine class
+ *               │   ├─► meter-worklet.js - Metering worklet loader
+ *               │   └─► meter-processor.js - Gapless metering AudioWorklet
  *               ├─► ui/                  - Display components
  *               │   ├─► colours.js       - Meter colour schemes
  *               │   ├─► meter-bar.js     - LED bar renderers
@@ -86,6 +88,7 @@ import {
 // Audio engine
 import {
   AudioEngine,
+  METER_PROCESSOR_URL,
   getAudioInputDevices
 } from './audio/index.js';
 
@@ -132,7 +135,7 @@ const MODULE_BASE = new URL('.', import.meta.url);
  * AudioWorklet processor path, resolved relative to module location.
  * @type {string}
  */
-const WORKLET_PATH = new URL('../external-meter-processor.js', import.meta.url).href;
+const WORKLET_PATH = METER_PROCESSOR_URL;
 
 /**
  * Application version for cache busting and diagnostics.
@@ -299,7 +302,7 @@ function renderModuleStatusUI(container) {
     { name: 'MeterRenderer', status: 'ok', desc: 'Meter/display coordination' },
     { name: 'K-weighting', status: 'ok', desc: 'ITU-R BS.1770-4 pre-filter' },
     { name: 'LUFSMeter', status: 'ok', desc: 'EBU R128 loudness measurement' },
-    { name: 'TruePeakMeter', status: 'ok', desc: '4× oversampling peak detection' },
+    { name: 'TruePeakMeter', status: 'ok', desc: 'BS.1770-4 polyphase FIR true peak' },
     { name: 'PPMMeter', status: 'ok', desc: 'IEC 60268-10 Type I ballistics' },
     { name: 'StereoMeter', status: 'ok', desc: 'Phase correlation analysis' },
     { name: 'AudioEngine', status: 'ok', desc: 'Web Audio context management' },
@@ -484,7 +487,7 @@ function renderModuleStatusUI(container) {
       const lufsReadings = lufsMeter.getReadings();
 
       // Test True Peak meter
-      const tpMeter = new TruePeakMeter();
+      const tpMeter = new TruePeakMeter({ sampleRate });
       tpMeter.update(testBufferL, testBufferR);
       const tpState = tpMeter.getState();
 
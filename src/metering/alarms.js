@@ -0,0 +1,446 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * ALARM ENGINE
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Rule-based alarms for unattended confidence monitoring, with a
+ * timestamped event log. Pure logic: the caller feeds a snapshot of the
+ * current measurements and the time; nothing here touches audio or DOM.
+ *
+ * RULES
+ * ─────
+ *   shortTermHigh    S − target  > threshold (LU)
+ *   truePeakOver     TP − limit  > threshold (dB)
+ *   silence          loudest channel < threshold (dBFS)
+ *   phaseNegative    correlation < threshold        (only with signal present)
+ *   channelMissing   quietest channel < threshold (dBFS) while another carries signal
+ *   dcOffset         largest |DC| > threshold (dBFS)
+ *
+ * HYSTERESIS
+ * ──────────
+ *   An alarm starts once its condition has held for onDelayS seconds and
+ *   ends once the value has been back past (threshold ∓ hysteresis) for
+ *   offDelayS seconds. A value that hovers on the threshold therefore
+ *   raises one event, not a stream of them. The event start is the moment
+ *   the condition began, so "silence for 10 s" logs when the silence began.
+ *
+ * Measurements that are not available (null, e.g. correlation of a mono
+ * or silent signal) count as "condition clear".
+ *
+ * @module metering/alarms
+ * @see EBU R 128 (2023) for the loudness and True Peak limits
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Loudest channel must exceed this (dBFS) for correlation and channel-missing checks */
+const SIGNAL_PRESENT_DBFS = -50;
+
+/** Default maximum number of events kept in the log */
+const DEFAULT_MAX_EVENTS = 500;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RULES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {'shortTermHigh'|'truePeakOver'|'silence'|'phaseNegative'|'channelMissing'|'dcOffset'} AlarmRuleId
+ */
+
+/**
+ * @typedef {Object} AlarmRule
+ * @property {AlarmRuleId} id - Rule identifier
+ * @property {string} name - Display name
+ * @property {'warning'|'critical'} severity - Alert severity
+ * @property {boolean} enabled - Whether the rule is evaluated
+ * @property {number} threshold - Trigger threshold (unit per rule)
+ * @property {number} hysteresis - Distance back past the threshold needed to clear
+ * @property {number} onDelayS - Seconds the condition must hold before the alarm starts
+ * @property {number} offDelayS - Seconds the condition must be clear before the alarm ends
+ * @property {string} unit - Unit of threshold and logged values
+ */
+
+/**
+ * @typedef {Object} AlarmSnapshot
+ * @property {number} shortTerm - Short-term loudness (LUFS)
+ * @property {number} targetLufs - Loudness target (LUFS)
+ * @property {number} truePeak - Current True Peak, loudest channel (dBTP)
+ * @property {number} tpLimit - True Peak limit (dBTP)
+ * @property {number[]} channelLevels - RMS level per channel (dBFS)
+ * @property {number|null} correlation - Phase correlation (null for mono)
+ * @property {number[]} dcOffset - Mean sample value per channel (linear, empty if unknown)
+ */
+
+/**
+ * Default rules. Override fields with createAlarmRules().
+ * @type {readonly Readonly<AlarmRule>[]}
+ */
+export const DEFAULT_ALARM_RULES = Object.freeze([
+  Object.freeze({
+    id: 'shortTermHigh', name: 'Short-term loud', severity: 'warning', enabled: true,
+    threshold: 3, hysteresis: 1, onDelayS: 10, offDelayS: 3, unit: 'LU'
+  }),
+  Object.freeze({
+    id: 'truePeakOver', name: 'True Peak over', severity: 'critical', enabled: true,
+    threshold: 0, hysteresis: 0.5, onDelayS: 0, offDelayS: 2, unit: 'dB'
+  }),
+  Object.freeze({
+    id: 'silence', name: 'Silence', severity: 'critical', enabled: true,
+    threshold: -60, hysteresis: 3, onDelayS: 10, offDelayS: 1, unit: 'dBFS'
+  }),
+  Object.freeze({
+    id: 'phaseNegative', name: 'Negative correlation', severity: 'warning', enabled: true,
+    threshold: -0.3, hysteresis: 0.1, onDelayS: 3, offDelayS: 2, unit: ''
+  }),
+  Object.freeze({
+    id: 'channelMissing', name: 'Channel missing', severity: 'critical', enabled: true,
+    threshold: -60, hysteresis: 3, onDelayS: 5, offDelayS: 1, unit: 'dBFS'
+  }),
+  Object.freeze({
+    id: 'dcOffset', name: 'DC offset', severity: 'warning', enabled: true,
+    threshold: -40, hysteresis: 3, onDelayS: 2, offDelayS: 2, unit: 'dBFS'
+  })
+]);
+
+/**
+ * How each rule reads the snapshot. 'above' rules trigger when the value
+ * exceeds the threshold, 'below' rules when it falls under it.
+ * @type {Readonly<Record<AlarmRuleId, {direction: 'above'|'below', measure: (s: AlarmSnapshot) => number|null}>>}
+ */
+const RULE_MEASURES = Object.freeze({
+  shortTermHigh: {
+    direction: 'above',
+    measure: s => (Number.isFinite(s.shortTerm) ? s.shortTerm - s.targetLufs : null)
+  },
+  truePeakOver: {
+    direction: 'above',
+    measure: s => (Number.isFinite(s.truePeak) ? s.truePeak - s.tpLimit : null)
+  },
+  silence: {
+    direction: 'below',
+    measure: s => (s.channelLevels.length > 0 ? Math.max(...s.channelLevels) : null)
+  },
+  phaseNegative: {
+    direction: 'below',
+    measure: s => (s.correlation !== null && signalPresent(s) ? s.correlation : null)
+  },
+  channelMissing: {
+    direction: 'below',
+    measure: s => (s.channelLevels.length > 1 && signalPresent(s) ? Math.min(...s.channelLevels) : null)
+  },
+  dcOffset: {
+    direction: 'above',
+    measure: s => (s.dcOffset.length > 0
+      ? 20 * Math.log10(Math.max(...s.dcOffset.map(Math.abs)) + 1e-12)
+      : null)
+  }
+});
+
+/**
+ * @param {AlarmSnapshot} snapshot
+ * @returns {boolean} True if the loudest channel carries signal
+ */
+function signalPresent(snapshot) {
+  return snapshot.channelLevels.length > 0 && Math.max(...snapshot.channelLevels) > SIGNAL_PRESENT_DBFS;
+}
+
+/**
+ * @param {'above'|'below'} direction - Rule direction
+ * @param {number} a - Value
+ * @param {number} b - Reference
+ * @returns {boolean} True if a is past b in the alarm direction
+ */
+function isWorse(direction, a, b) {
+  return direction === 'above' ? a > b : a < b;
+}
+
+/**
+ * Build a rule set from the defaults with per-rule overrides.
+ *
+ * Only enabled, threshold, hysteresis, onDelayS and offDelayS can be
+ * overridden; unknown rule ids are ignored (e.g. stored settings from a
+ * newer version).
+ *
+ * @param {Partial<Record<AlarmRuleId, Partial<AlarmRule>>>} [overrides] - Overrides by rule id
+ * @returns {Readonly<AlarmRule>[]} Complete rule set
+ * @throws {RangeError} If a delay or hysteresis is negative or a threshold is not finite
+ *
+ * @example
+ * const rules = createAlarmRules({ silence: { threshold: -70, onDelayS: 30 } });
+ */
+export function createAlarmRules(overrides = {}) {
+  return DEFAULT_ALARM_RULES.map(rule => {
+    const override = overrides[rule.id];
+    if (!override) return rule;
+
+    const merged = {
+      ...rule,
+      enabled: override.enabled ?? rule.enabled,
+      threshold: override.threshold ?? rule.threshold,
+      hysteresis: override.hysteresis ?? rule.hysteresis,
+      onDelayS: override.onDelayS ?? rule.onDelayS,
+      offDelayS: override.offDelayS ?? rule.offDelayS
+    };
+
+    if (!Number.isFinite(merged.threshold)) {
+      throw new RangeError(`Alarm ${rule.id} threshold must be a number: ${merged.threshold}`);
+    }
+    for (const field of /** @type {const} */ (['hysteresis', 'onDelayS', 'offDelayS'])) {
+      if (!Number.isFinite(merged[field]) || merged[field] < 0) {
+        throw new RangeError(`Alarm ${rule.id} ${field} must be zero or more: ${merged[field]}`);
+      }
+    }
+    return Object.freeze(merged);
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ENGINE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} AlarmEvent
+ * @property {number} id - Sequence number (unique per engine)
+ * @property {AlarmRuleId} ruleId - Rule that raised the event
+ * @property {string} name - Rule display name
+ * @property {'warning'|'critical'} severity - Alert severity
+ * @property {number} start - Time the condition began (ms, caller's clock)
+ * @property {number|null} end - Time the condition cleared (ms), null while active
+ * @property {number} value - Worst value while active (rule unit)
+ * @property {string} unit - Unit of value
+ */
+
+/**
+ * Evaluates alarm rules against measurement snapshots.
+ *
+ * @example
+ * const engine = new AlarmEngine();
+ * const changed = engine.update(snapshot, Date.now());
+ * for (const event of changed) console.log(event.name, event.end === null ? 'started' : 'ended');
+ */
+export class AlarmEngine {
+  /** @type {Readonly<AlarmRule>[]} */
+  rules;
+  /** @type {number} */
+  maxEvents;
+
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {readonly Readonly<AlarmRule>[]} [options.rules=DEFAULT_ALARM_RULES] - Rule set
+   * @param {number} [options.maxEvents=500] - Events kept in the log (oldest ended events drop first)
+   */
+  constructor({ rules = DEFAULT_ALARM_RULES, maxEvents = DEFAULT_MAX_EVENTS } = {}) {
+    this.rules = [...rules];
+    this.maxEvents = maxEvents;
+
+    /** @type {AlarmEvent[]} */
+    this.log = [];
+    this.nextId = 1;
+
+    /** @type {Map<AlarmRuleId, {conditionSince: number|null, clearSince: number|null, event: AlarmEvent|null}>} */
+    this.ruleState = new Map();
+    this._resetRuleState();
+  }
+
+  /**
+   * Replace the rule set. Active alarms of rules that are now disabled end
+   * immediately; the others keep running against the new thresholds.
+   *
+   * @param {readonly Readonly<AlarmRule>[]} rules - New rule set
+   * @param {number} now - Current time (ms)
+   * @returns {AlarmEvent[]} Events that ended because their rule was disabled
+   */
+  setRules(rules, now) {
+    const ended = [];
+    this.rules = [...rules];
+
+    for (const rule of this.rules) {
+      const state = this._getState(rule.id);
+      if (!rule.enabled) {
+        if (state.event) {
+          state.event.end = now;
+          ended.push(state.event);
+        }
+        state.conditionSince = null;
+        state.clearSince = null;
+        state.event = null;
+      }
+    }
+    return ended;
+  }
+
+  /**
+   * Evaluate every enabled rule against a snapshot.
+   *
+   * @param {AlarmSnapshot} snapshot - Current measurements
+   * @param {number} now - Current time (ms, any monotonic or wall clock)
+   * @returns {AlarmEvent[]} Events that started or ended in this update
+   */
+  update(snapshot, now) {
+    const changed = [];
+
+    for (const rule of this.rules) {
+      if (!rule.enabled) continue;
+
+      const { direction, measure } = RULE_MEASURES[rule.id];
+      const state = this._getState(rule.id);
+      const value = measure(snapshot);
+
+      if (!state.event) {
+        if (value !== null && isWorse(direction, value, rule.threshold)) {
+          if (state.conditionSince === null) state.conditionSince = now;
+          if (now - state.conditionSince >= rule.onDelayS * 1000) {
+            state.event = this._startEvent(rule, state.conditionSince, value);
+            state.clearSince = null;
+            changed.push(state.event);
+          }
+        } else {
+          state.conditionSince = null;
+        }
+        continue;
+      }
+
+      // Active: track the worst value and wait for a clear past the hysteresis band
+      if (value !== null && isWorse(direction, value, state.event.value)) {
+        state.event.value = value;
+      }
+      const release = direction === 'above'
+        ? rule.threshold - rule.hysteresis
+        : rule.threshold + rule.hysteresis;
+      const cleared = value === null || !isWorse(direction, value, release);
+
+      if (cleared) {
+        if (state.clearSince === null) state.clearSince = now;
+        if (now - state.clearSince >= rule.offDelayS * 1000) {
+          state.event.end = state.clearSince;
+          changed.push(state.event);
+          state.event = null;
+          state.conditionSince = null;
+          state.clearSince = null;
+        }
+      } else {
+        state.clearSince = null;
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * @returns {AlarmEvent[]} Active alarms, in rule order
+   */
+  getActive() {
+    const active = [];
+    for (const rule of this.rules) {
+      const event = this.ruleState.get(rule.id)?.event;
+      if (event) active.push(event);
+    }
+    return active;
+  }
+
+  /**
+   * @returns {AlarmEvent[]} Logged events, oldest first (active ones have end === null)
+   */
+  getLog() {
+    return this.log.slice();
+  }
+
+  /**
+   * Remove ended events from the log. Active alarms stay.
+   */
+  clearLog() {
+    this.log = this.log.filter(event => event.end === null);
+  }
+
+  /**
+   * Clear the log and all rule state (pending and active alarms).
+   */
+  reset() {
+    this.log = [];
+    this._resetRuleState();
+  }
+
+  /**
+   * @private
+   * @param {Readonly<AlarmRule>} rule
+   * @param {number} start - Time the condition began (ms)
+   * @param {number} value - Value at start
+   * @returns {AlarmEvent} Logged event
+   */
+  _startEvent(rule, start, value) {
+    /** @type {AlarmEvent} */
+    const event = {
+      id: this.nextId++,
+      ruleId: rule.id,
+      name: rule.name,
+      severity: rule.severity,
+      start,
+      end: null,
+      value,
+      unit: rule.unit
+    };
+    this.log.push(event);
+
+    // Drop the oldest ended events beyond the cap
+    while (this.log.length > this.maxEvents) {
+      const index = this.log.findIndex(logged => logged.end !== null);
+      if (index < 0) break;
+      this.log.splice(index, 1);
+    }
+    return event;
+  }
+
+  /**
+   * @private
+   * @param {AlarmRuleId} ruleId
+   */
+  _getState(ruleId) {
+    let state = this.ruleState.get(ruleId);
+    if (!state) {
+      state = { conditionSince: null, clearSince: null, event: null };
+      this.ruleState.set(ruleId, state);
+    }
+    return state;
+  }
+
+  /** @private */
+  _resetRuleState() {
+    this.ruleState.clear();
+    for (const rule of this.rules) {
+      this._getState(rule.id);
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FORMATTING
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Format an event value with its unit, e.g. '+4.2 LU', '-72.0 dBFS', '-0.62'.
+ *
+ * @param {AlarmEvent} event - Logged event
+ * @returns {string} Display string
+ */
+export function formatAlarmValue(event) {
+  if (event.unit === '') return event.value.toFixed(2);
+  const sign = event.unit === 'LU' || event.unit === 'dB' ? (event.value >= 0 ? '+' : '') : '';
+  return `${sign}${event.value.toFixed(1)} ${event.unit}`;
+}
@@ -0,0 +1,210 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * INTER-CHANNEL DELAY
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Time offset and polarity between L and R. Zero-lag correlation reads a
+ * few samples of skew as a wide image; the cross-correlation peak shows it
+ * as what it is (misaligned embedder, patch through a delay).
+ *
+ * METHOD
+ * ──────
+ *   r(k) = Σ L[n]·R[n+k] / √(ΣL²·ΣR²), scaled by N/(N−|k|) for the overlap
+ *
+ * computed through the FFT (zero-padded, so not circular). The lag with the
+ * largest |r| within ±maxLagMs is the delay; a parabola through the peak
+ * and its neighbours gives the sub-sample part. The sign of r at the peak
+ * is the polarity and |r| at the interpolated peak the confidence: 1 for a
+ * delayed copy, near 0 for unrelated channels.
+ *
+ * Positive delay: R arrives later than L.
+ *
+ * Steady tones correlate at every period and cannot give an unambiguous
+ * delay; programme material or noise can.
+ *
+ * @module metering/channel-delay
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { fft } from '../utils/fft.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Default search range either side of zero (ms) */
+export const CHANNEL_DELAY_MAX_LAG_MS = 10;
+
+/** Estimates below this confidence are shown faded and not held */
+export const CHANNEL_DELAY_MIN_CONFIDENCE = 0.5;
+
+/** History kept by ChannelDelayMeter (ms) */
+export const CHANNEL_DELAY_HISTORY_MS = 60 * 1000;
+
+/** Sine-referenced level below which a leg counts as silent (dBFS) */
+const SILENCE_DBFS = -60;
+
+/**
+ * @typedef {Object} DelayEstimate
+ * @property {number} delaySamples - R relative to L in samples (sub-sample, positive = R later)
+ * @property {number} delayMs - Same in milliseconds
+ * @property {'normal'|'inverted'} polarity - Sign of the correlation peak
+ * @property {number} confidence - |r| at the interpolated peak (0 … 1)
+ */
+
+/**
+ * @typedef {Object} DelayHistoryPoint
+ * @property {number} time - Time in ms
+ * @property {number} delayMs - Delay in milliseconds
+ * @property {'normal'|'inverted'} polarity - Polarity
+ * @property {number} confidence - Confidence (0 … 1)
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ESTIMATOR
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Estimate the delay and polarity of R against L.
+ *
+ * @param {Float32Array} bufL - Left samples
+ * @param {Float32Array} bufR - Right samples (same length)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} [maxLagMs=CHANNEL_DELAY_MAX_LAG_MS] - Search range either side of zero
+ * @returns {DelayEstimate|null} Null when either leg is silent
+ */
+export function estimateChannelDelay(bufL, bufR, sampleRate, maxLagMs = CHANNEL_DELAY_MAX_LAG_MS) {
+  const n = Math.min(bufL.length, bufR.length);
+  const maxLag = Math.min(Math.round(maxLagMs * sampleRate / 1000), Math.floor(n / 2));
+  let size = 1;
+  while (size < 2 * n) size *= 2;
+
+  const lRe = new Float64Array(size);
+  const lIm = new Float64Array(size);
+  const rRe = new Float64Array(size);
+  const rIm = new Float64Array(size);
+
+  let meanL = 0;
+  let meanR = 0;
+  for (let i = 0; i < n; i++) {
+    meanL += bufL[i];
+    meanR += bufR[i];
+  }
+  meanL /= n;
+  meanR /= n;
+
+  let energyL = 0;
+  let energyR = 0;
+  for (let i = 0; i < n; i++) {
+    lRe[i] = bufL[i] - meanL;
+    rRe[i] = bufR[i] - meanR;
+    energyL += lRe[i] * lRe[i];
+    energyR += rRe[i] * rRe[i];
+  }
+  const silence = n * Math.pow(10, SILENCE_DBFS / 10) / 2;
+  if (energyL < silence || energyR < silence) return null;
+
+  fft(lRe, lIm);
+  fft(rRe, rIm);
+
+  // conj(L)·R, inverse: r[k] = Σ L[n]·R[n+k], negative lags wrap to the end
+  for (let i = 0; i < size; i++) {
+    const re = lRe[i] * rRe[i] + lIm[i] * rIm[i];
+    const im = lRe[i] * rIm[i] - lIm[i] * rRe[i];
+    lRe[i] = re;
+    lIm[i] = im;
+  }
+  fft(lRe, lIm, true);
+
+  const norm = Math.sqrt(energyL * energyR);
+  const r = (/** @type {number} */ k) => lRe[(k + size) % size] / norm * n / (n - Math.abs(k));
+
+  let peak = 0;
+  for (let k = -maxLag; k <= maxLag; k++) {
+    if (Math.abs(r(k)) > Math.abs(r(peak))) peak = k;
+  }
+
+  const sign = r(peak) < 0 ? -1 : 1;
+  let height = Math.abs(r(peak));
+  let offset = 0;
+  if (Math.abs(peak) < maxLag) {
+    const before = sign * r(peak - 1);
+    const after = sign * r(peak + 1);
+    const denominator = before - 2 * height + after;
+    if (denominator < 0) {
+      offset = 0.5 * (before - after) / denominator;
+      height -= 0.25 * (before - after) * offset;
+    }
+  }
+
+  const delaySamples = peak + offset;
+  return {
+    delaySamples,
+    delayMs: delaySamples * 1000 / sampleRate,
+    polarity: sign < 0 ? 'inverted' : 'normal',
+    confidence: Math.min(1, height)
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// METER WITH HISTORY
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class ChannelDelayMeter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.sampleRate=48000] - Sample rate in Hz
+   * @param {number} [options.maxLagMs] - Search range either side of zero
+   * @param {number} [options.historyMs] - History length
+   */
+  constructor({ sampleRate = 48000, maxLagMs = CHANNEL_DELAY_MAX_LAG_MS, historyMs = CHANNEL_DELAY_HISTORY_MS } = {}) {
+    this.sampleRate = sampleRate;
+    this.maxLagMs = maxLagMs;
+    this.historyMs = historyMs;
+    /** @type {DelayHistoryPoint[]} Oldest first */
+    this.history = [];
+    /** @type {DelayEstimate|null} */
+    this.latest = null;
+    /** @type {DelayEstimate|null} Last estimate at or above CHANNEL_DELAY_MIN_CONFIDENCE */
+    this.held = null;
+  }
+
+  /**
+   * Estimate from the latest buffers and add the result to the history.
+   *
+   * @param {Float32Array} bufL - Left samples
+   * @param {Float32Array} bufR - Right samples
+   * @param {number} now - Time in ms
+   * @returns {DelayEstimate|null}
+   */
+  update(bufL, bufR, now) {
+    const estimate = estimateChannelDelay(bufL, bufR, this.sampleRate, this.maxLagMs);
+    this.latest = estimate;
+    if (estimate) {
+      this.history.push({ time: now, delayMs: estimate.delayMs, polarity: estimate.polarity, confidence: estimate.confidence });
+      if (estimate.confidence >= CHANNEL_DELAY_MIN_CONFIDENCE) this.held = estimate;
+    }
+    while (this.history.length > 0 && now - this.history[0].time > this.historyMs) this.history.shift();
+    return estimate;
+  }
+
+  reset() {
+    this.history = [];
+    this.latest = null;
+    this.held = null;
+  }
+}
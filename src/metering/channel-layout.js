@@ -0,0 +1,208 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * CHANNEL LAYOUTS & BS.1770 CHANNEL WEIGHTING
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Loudspeaker layouts for multichannel loudness measurement and the
+ * per-channel weights Gᵢ used to sum K-weighted channel energies:
+ *
+ *   L_K = −0.691 + 10 × log₁₀(Σ Gᵢ × zᵢ)
+ *
+ * CHANNEL WEIGHTS (ITU-R BS.1770-4 Table 3)
+ * ─────────────────────────────────────────
+ *   Elevation < 30° and 60° ≤ |azimuth| ≤ 120°:  Gᵢ = 1.41 (+1.5 dB)
+ *   All other full-range channels:               Gᵢ = 1.00
+ *   LFE:                                         excluded
+ *
+ * LAYOUTS (ITU-R BS.2051)
+ * ───────────────────────
+ *   2.0    System A (0+2+0)   L R
+ *   5.1    System B (0+5+0)   L R C LFE Ls Rs
+ *   7.1    System I (0+7+0)   L R C LFE Lss Rss Lrs Rrs
+ *   7.1.4  System J (4+7+0)   7.1 + Ltf Rtf Ltr Rtr
+ *
+ * Channel order follows SMPTE/WAVE order, which is what multichannel
+ * interfaces deliver through getUserMedia.
+ *
+ * @module metering/channel-layout
+ * @see ITU-R BS.1770-4 Section 4 and Table 3 (Channel weighting)
+ * @see ITU-R BS.2051 (Advanced sound system for programme production)
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Weight for side/surround channels (+1.5 dB).
+ * @type {number}
+ */
+export const SURROUND_CHANNEL_WEIGHT = 1.41;
+
+/**
+ * Default layout identifier.
+ * @type {string}
+ */
+export const DEFAULT_CHANNEL_LAYOUT = '2.0';
+
+/**
+ * @typedef {Object} ChannelInfo
+ * @property {string} label - Channel label (e.g. 'L', 'Ls', 'LFE')
+ * @property {number} azimuth - Azimuth in degrees (positive = left)
+ * @property {number} elevation - Elevation in degrees
+ * @property {boolean} [lfe] - Low-frequency effects channel
+ */
+
+/**
+ * @typedef {Object} ChannelLayout
+ * @property {string} id - Layout identifier ('2.0', '5.1', …)
+ * @property {string} name - Display name
+ * @property {ReadonlyArray<ChannelInfo>} channels - Channels in delivery order
+ */
+
+const L = { label: 'L', azimuth: 30, elevation: 0 };
+const R = { label: 'R', azimuth: -30, elevation: 0 };
+const C = { label: 'C', azimuth: 0, elevation: 0 };
+const LFE = { label: 'LFE', azimuth: 0, elevation: -30, lfe: true };
+
+/**
+ * Supported layouts by identifier.
+ * @type {Readonly<Record<string, ChannelLayout>>}
+ */
+export const CHANNEL_LAYOUTS = Object.freeze({
+  '2.0': Object.freeze({
+    id: '2.0',
+    name: 'Stereo (BS.2051 A)',
+    channels: Object.freeze([L, R])
+  }),
+  '5.1': Object.freeze({
+    id: '5.1',
+    name: '5.1 (BS.2051 B)',
+    channels: Object.freeze([
+      L, R, C, LFE,
+      { label: 'Ls', azimuth: 110, elevation: 0 },
+      { label: 'Rs', azimuth: -110, elevation: 0 }
+    ])
+  }),
+  '7.1': Object.freeze({
+    id: '7.1',
+    name: '7.1 (BS.2051 I)',
+    channels: Object.freeze([
+      L, R, C, LFE,
+      { label: 'Lss', azimuth: 90, elevation: 0 },
+      { label: 'Rss', azimuth: -90, elevation: 0 },
+      { label: 'Lrs', azimuth: 135, elevation: 0 },
+      { label: 'Rrs', azimuth: -135, elevation: 0 }
+    ])
+  }),
+  '7.1.4': Object.freeze({
+    id: '7.1.4',
+    name: '7.1.4 (BS.2051 J)',
+    channels: Object.freeze([
+      L, R, C, LFE,
+      { label: 'Lss', azimuth: 90, elevation: 0 },
+      { label: 'Rss', azimuth: -90, elevation: 0 },
+      { label: 'Lrs', azimuth: 135, elevation: 0 },
+      { label: 'Rrs', azimuth: -135, elevation: 0 },
+      { label: 'Ltf', azimuth: 45, elevation: 45 },
+      { label: 'Rtf', azimuth: -45, elevation: 45 },
+      { label: 'Ltr', azimuth: 135, elevation: 45 },
+      { label: 'Rtr', azimuth: -135, elevation: 45 }
+    ])
+  })
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// LAYOUT LOOKUP
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Get a layout by identifier.
+ *
+ * @param {string} id - Layout identifier ('2.0', '5.1', '7.1', '7.1.4')
+ * @returns {ChannelLayout} Layout definition
+ * @throws {RangeError} If the layout is unknown
+ */
+export function getChannelLayout(id) {
+  const layout = CHANNEL_LAYOUTS[id];
+  if (!layout) {
+    throw new RangeError(`Unknown channel layout: ${id}`);
+  }
+  return layout;
+}
+
+/**
+ * Find the layout that matches a channel count (e.g. from a file header).
+ *
+ * @param {number} channelCount - Number of channels delivered
+ * @returns {ChannelLayout|null} Matching layout, or null if none has that many channels
+ */
+export function getLayoutForChannelCount(channelCount) {
+  return Object.values(CHANNEL_LAYOUTS).find(layout => layout.channels.length === channelCount) || null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CHANNEL WEIGHTING
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * BS.1770-4 weight for a single channel.
+ *
+ * @param {ChannelInfo} channel - Channel position
+ * @returns {number} Gᵢ (0 for LFE)
+ */
+export function channelWeight(channel) {
+  if (channel.lfe) return 0;
+
+  const azimuth = Math.abs(channel.azimuth);
+  if (Math.abs(channel.elevation) < 30 && azimuth >= 60 && azimuth <= 120) {
+    return SURROUND_CHANNEL_WEIGHT;
+  }
+  return 1.0;
+}
+
+/**
+ * Weights for every channel of a layout, in delivery order.
+ *
+ * @param {string} id - Layout identifier
+ * @returns {number[]} Gᵢ per channel
+ *
+ * @example
+ * getLayoutWeights('5.1');  // [1, 1, 1, 0, 1.41, 1.41]
+ */
+export function getLayoutWeights(id) {
+  return getChannelLayout(id).channels.map(channelWeight);
+}
+
+/**
+ * Sum per-channel mean square energies with BS.1770 weights.
+ *
+ * Channels without a weight (e.g. beyond the layout) are ignored.
+ *
+ * @param {ArrayLike<number>} meanSquares - zᵢ per channel (K-weighted)
+ * @param {ArrayLike<number>} weights - Gᵢ per channel
+ * @returns {number} Σ Gᵢ × zᵢ
+ */
+export function sumWeightedEnergy(meanSquares, weights) {
+  const count = Math.min(meanSquares.length, weights.length);
+  let sum = 0;
+  for (let i = 0; i < count; i++) {
+    sum += weights[i] * meanSquares[i];
+  }
+  return sum;
+}
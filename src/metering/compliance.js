@@ -0,0 +1,361 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * LOUDNESS COMPLIANCE PROFILES
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Delivery specifications as data, and a pass/fail evaluation of a
+ * whole-programme report (see programme-analysis.js) against them.
+ *
+ * CHECKS
+ * ──────
+ *   Integrated     |I − target| ≤ tolerance
+ *   True Peak      TPmax ≤ limit
+ *   LRA            LRA ≤ limit           (only if the profile sets one)
+ *   Short-term     max S ≤ limit         (only if the profile sets one)
+ *
+ * Limits are inclusive: a value exactly on the limit passes. A fully gated
+ * programme (integrated = −∞) fails the integrated check.
+ *
+ * GATING
+ * ──────
+ *   'gated'      BS.1770-2 and later: −70 LUFS absolute, −10 LU relative gate
+ *   'ungated'    BS.1770-1: every 400ms block counts, silence included
+ *
+ * Speech-gated specifications (e.g. Netflix) measure dialogue only. There is
+ * no dialogue detector here, so those profiles are checked against the
+ * level-gated value and the result says so (speechGated: true); confirm
+ * borderline programmes on a dialogue-gated meter.
+ *
+ * User-defined profiles go through createComplianceProfile(), which
+ * validates them like the built-ins. Persistence is up to the caller.
+ *
+ * @module metering/compliance
+ * @see EBU R 128 (2023) Section 2, EBU R 128 s1 (2016)
+ * @see ATSC A/85:2013 Section 5
+ * @see AES TD1004.1.15-10, ARIB TR-B32, Free TV Australia OP-59
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PROFILES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} ComplianceProfile
+ * @property {string} id - Profile identifier
+ * @property {string} name - Display name
+ * @property {number} targetLufs - Target integrated loudness (LUFS)
+ * @property {number} toleranceLu - Permitted deviation from target (± LU)
+ * @property {number} truePeakMax - Maximum permitted True Peak (dBTP)
+ * @property {number|null} maxLra - Maximum Loudness Range (LU), or null if unrestricted
+ * @property {number|null} maxShortTerm - Maximum short-term loudness (LUFS), or null if unrestricted
+ * @property {ComplianceGating} gating - Gating applied to integrated loudness
+ * @property {boolean} speechGated - Integrated loudness is specified over dialogue only
+ */
+
+/**
+ * @typedef {'gated'|'ungated'} ComplianceGating
+ */
+
+/**
+ * Gating modes accepted in a profile.
+ * @type {readonly ComplianceGating[]}
+ */
+export const COMPLIANCE_GATING_MODES = Object.freeze(['gated', 'ungated']);
+
+/**
+ * Default profile identifier.
+ * @type {string}
+ */
+export const DEFAULT_COMPLIANCE_PROFILE = 'ebu-r128';
+
+/**
+ * Built-in profiles by identifier.
+ * @type {Readonly<Record<string, Readonly<ComplianceProfile>>>}
+ */
+export const COMPLIANCE_PROFILES = Object.freeze({
+  'ebu-r128': Object.freeze({
+    id: 'ebu-r128',
+    name: 'EBU R128',
+    targetLufs: -23,
+    toleranceLu: 0.5,
+    truePeakMax: -1,
+    maxLra: null,
+    maxShortTerm: null,
+    gating: 'gated',
+    speechGated: false
+  }),
+  'ebu-r128-live': Object.freeze({
+    id: 'ebu-r128-live',
+    name: 'EBU R128 (live)',
+    targetLufs: -23,
+    toleranceLu: 1.0,
+    truePeakMax: -1,
+    maxLra: null,
+    maxShortTerm: null,
+    gating: 'gated',
+    speechGated: false
+  }),
+  // Short-form content (commercials, trailers): max S +5 LU above target
+  'ebu-r128-s1': Object.freeze({
+    id: 'ebu-r128-s1',
+    name: 'EBU R128 s1',
+    targetLufs: -23,
+    toleranceLu: 0.5,
+    truePeakMax: -1,
+    maxLra: null,
+    maxShortTerm: -18,
+    gating: 'gated',
+    speechGated: false
+  }),
+  'atsc-a85': Object.freeze({
+    id: 'atsc-a85',
+    name: 'ATSC A/85',
+    targetLufs: -24,
+    toleranceLu: 2.0,
+    truePeakMax: -2,
+    maxLra: null,
+    maxShortTerm: null,
+    gating: 'gated',
+    speechGated: false
+  }),
+  'arib-tr-b32': Object.freeze({
+    id: 'arib-tr-b32',
+    name: 'ARIB TR-B32',
+    targetLufs: -24,
+    toleranceLu: 1.0,
+    truePeakMax: -1,
+    maxLra: null,
+    maxShortTerm: null,
+    gating: 'gated',
+    speechGated: false
+  }),
+  'op-59': Object.freeze({
+    id: 'op-59',
+    name: 'Free TV OP-59',
+    targetLufs: -24,
+    toleranceLu: 1.0,
+    truePeakMax: -2,
+    maxLra: null,
+    maxShortTerm: null,
+    gating: 'gated',
+    speechGated: false
+  }),
+  // Dialogue-gated; checked level-gated here (see GATING above)
+  'netflix': Object.freeze({
+    id: 'netflix',
+    name: 'Netflix',
+    targetLufs: -27,
+    toleranceLu: 2.0,
+    truePeakMax: -2,
+    maxLra: null,
+    maxShortTerm: null,
+    gating: 'gated',
+    speechGated: true
+  }),
+  'apple': Object.freeze({
+    id: 'apple',
+    name: 'Apple',
+    targetLufs: -16,
+    toleranceLu: 1.0,
+    truePeakMax: -1,
+    maxLra: null,
+    maxShortTerm: null,
+    gating: 'gated',
+    speechGated: false
+  }),
+  'spotify': Object.freeze({
+    id: 'spotify',
+    name: 'Spotify',
+    targetLufs: -14,
+    toleranceLu: 1.0,
+    truePeakMax: -1,
+    maxLra: null,
+    maxShortTerm: null,
+    gating: 'gated',
+    speechGated: false
+  }),
+  // Recommends −16 to −20 LUFS for streaming and network delivery
+  'aes-td1004': Object.freeze({
+    id: 'aes-td1004',
+    name: 'AES TD1004',
+    targetLufs: -18,
+    toleranceLu: 2.0,
+    truePeakMax: -1,
+    maxLra: null,
+    maxShortTerm: null,
+    gating: 'gated',
+    speechGated: false
+  })
+});
+
+/**
+ * Get a built-in profile by identifier.
+ *
+ * @param {string} id - Profile identifier (a key of COMPLIANCE_PROFILES, e.g. 'ebu-r128', 'netflix')
+ * @returns {Readonly<ComplianceProfile>} Profile definition
+ * @throws {RangeError} If the profile is unknown
+ */
+export function getComplianceProfile(id) {
+  const profile = COMPLIANCE_PROFILES[id];
+  if (!profile) {
+    throw new RangeError(`Unknown compliance profile: ${id}`);
+  }
+  return profile;
+}
+
+/**
+ * Validate a user-defined profile and freeze it.
+ *
+ * Optional limits may be null (or omitted) for "unrestricted"; gating
+ * defaults to 'gated' and speechGated to false.
+ *
+ * @param {Partial<ComplianceProfile>} fields - Profile fields
+ * @returns {Readonly<ComplianceProfile>} Validated profile
+ * @throws {TypeError} If the id or name is missing
+ * @throws {RangeError} If a limit is out of range or the id is taken by a built-in
+ *
+ * @example
+ * const house = createComplianceProfile({
+ *   id: 'user-house', name: 'House style', targetLufs: -23, toleranceLu: 1, truePeakMax: -2, maxLra: 15
+ * });
+ */
+export function createComplianceProfile(fields) {
+  const { id, name } = fields;
+  if (typeof id !== 'string' || id.trim() === '') {
+    throw new TypeError('Compliance profile needs an id');
+  }
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new TypeError('Compliance profile needs a name');
+  }
+  if (Object.hasOwn(COMPLIANCE_PROFILES, id)) {
+    throw new RangeError(`Compliance profile id is reserved: ${id}`);
+  }
+
+  const gating = fields.gating ?? 'gated';
+  if (!COMPLIANCE_GATING_MODES.includes(gating)) {
+    throw new RangeError(`Unknown gating mode: ${gating}`);
+  }
+
+  return Object.freeze({
+    id,
+    name: name.trim(),
+    targetLufs: checkLimit('targetLufs', fields.targetLufs, -70, 0),
+    toleranceLu: checkLimit('toleranceLu', fields.toleranceLu, 0, 10),
+    truePeakMax: checkLimit('truePeakMax', fields.truePeakMax, -20, 3),
+    maxLra: fields.maxLra == null ? null : checkLimit('maxLra', fields.maxLra, 0, 50),
+    maxShortTerm: fields.maxShortTerm == null ? null : checkLimit('maxShortTerm', fields.maxShortTerm, -70, 0),
+    gating,
+    speechGated: fields.speechGated === true
+  });
+}
+
+/**
+ * @param {string} field - Field name for the error message
+ * @param {unknown} value - Value to check
+ * @param {number} min - Lowest accepted value
+ * @param {number} max - Highest accepted value
+ * @returns {number} The value
+ * @throws {RangeError} If the value is not a number within [min, max]
+ */
+function checkLimit(field, value, min, max) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw new RangeError(`Compliance profile ${field} must be between ${min} and ${max}: ${value}`);
+  }
+  return value;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// EVALUATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} ComplianceCheck
+ * @property {string} name - Measurement checked: 'integrated', 'truePeak', 'lra' or 'shortTerm'
+ * @property {number|null} value - Measured value (null if not measurable)
+ * @property {number} limit - Limit applied (for 'integrated': the tolerance in LU)
+ * @property {boolean} pass - Whether the value is within the limit
+ */
+
+/**
+ * @typedef {Object} ComplianceResult
+ * @property {string} profile - Profile identifier
+ * @property {boolean} pass - True if every check passes
+ * @property {boolean} speechGated - The profile is dialogue-gated but was checked level-gated
+ * @property {ComplianceCheck[]} checks - Individual checks in profile order
+ */
+
+/**
+ * Evaluate a programme report against a profile.
+ *
+ * Ungated profiles read report.integratedUngated; the other checks do not
+ * depend on gating.
+ *
+ * @param {Pick<import('./programme-analysis.js').ProgrammeReport, 'integrated'|'truePeakMax'|'lra'|'maxShortTerm'> & {integratedUngated?: number}} report - Measured values
+ * @param {ComplianceProfile} profile - Delivery specification
+ * @returns {ComplianceResult} Overall result and individual checks
+ *
+ * @example
+ * const result = evaluateCompliance(analyser.getReport(), getComplianceProfile('ebu-r128'));
+ * if (!result.pass) console.log(result.checks.filter(c => !c.pass));
+ */
+export function evaluateCompliance(report, profile) {
+  /** @type {ComplianceCheck[]} */
+  const checks = [];
+
+  const integrated = profile.gating === 'ungated' ? report.integratedUngated ?? -Infinity : report.integrated;
+  const deviation = integrated - profile.targetLufs;
+  checks.push({
+    name: 'integrated',
+    value: Number.isFinite(integrated) ? integrated : null,
+    limit: profile.toleranceLu,
+    pass: Number.isFinite(deviation) && Math.abs(deviation) <= profile.toleranceLu
+  });
+
+  checks.push({
+    name: 'truePeak',
+    value: Number.isFinite(report.truePeakMax) ? report.truePeakMax : null,
+    limit: profile.truePeakMax,
+    pass: report.truePeakMax <= profile.truePeakMax
+  });
+
+  if (profile.maxLra !== null) {
+    checks.push({
+      name: 'lra',
+      value: report.lra,
+      limit: profile.maxLra,
+      // Too short to measure LRA is not a violation
+      pass: report.lra === null || report.lra <= profile.maxLra
+    });
+  }
+
+  if (profile.maxShortTerm !== null) {
+    checks.push({
+      name: 'shortTerm',
+      value: Number.isFinite(report.maxShortTerm) ? report.maxShortTerm : null,
+      limit: profile.maxShortTerm,
+      pass: report.maxShortTerm <= profile.maxShortTerm
+    });
+  }
+
+  return {
+    profile: profile.id,
+    pass: checks.every(check => check.pass),
+    speechGated: profile.speechGated === true,
+    checks
+  };
+}
@@ -36,25 +36,40 @@ export {
   createKWeightingFilter,
   createStereoKWeightingFilters,
   BS1770_COEFFICIENTS_48K,
-  applyKWeightingOffline
+  K_SHELF_PROTOTYPE,
+  K_HIGHPASS_PROTOTYPE,
+  designKWeightingCoefficients,
+  getKWeightingCoefficients,
+  applyKWeightingOffline,
+  KWeightingFilter
 } from './k-weighting.js';
 
 // LUFS / EBU R128 loudness measurement
 export {
   MOMENTARY_WINDOW_S,
   SHORT_TERM_WINDOW_S,
+  GATING_BLOCK_S,
+  GATING_STEP_S,
   ABSOLUTE_GATE_LUFS,
   RELATIVE_GATE_OFFSET_LU,
   DEFAULT_TARGET_LUFS,
   ATSC_TARGET_LKFS,
   MIN_LRA_BLOCKS,
+  LRA_RELATIVE_GATE_OFFSET_LU,
+  LRA_LOW_PERCENTILE,
+  LRA_HIGH_PERCENTILE,
+  DEFAULT_EBU_MODE_SCALE,
+  EBU_MODE_SCALES,
+  getEBUModeScale,
+  findEBUModeScale,
   LUFSMeter,
   energyToLUFS,
   lufsToEnergy,
   loudnessOffset,
   loudnessZone,
   formatLUFS,
-  formatLRA
+  formatLRA,
+  formatLoudness
 } from './lufs.js';
 
 // True Peak detection (ITU-R BS.1770-4)
@@ -63,10 +78,18 @@ export {
   TP_LIMIT_STREAMING,
   TP_LIMIT_SAFE,
   OVERSAMPLE_FACTOR,
+  TP_TAPS_PER_PHASE,
   PEAK_HOLD_SECONDS,
+  BS1770_TRUE_PEAK_PHASES,
+  getOversamplingFactor,
+  resolveOversamplingFactor,
+  designOversamplingPhases,
+  getTruePeakPhases,
   hermiteInterpolate,
   calculateTruePeak,
+  calculateTruePeakHermite,
   calculateTruePeakStereo,
+  TruePeakDetector,
   TruePeakMeter,
   amplitudeToDbTP,
   dbTPToAmplitude,
@@ -74,7 +97,7 @@ export {
   isOverLimit
 } from './true-peak.js';
 
-// Nordic PPM (IEC 60268-10 Type I)
+// Programme level meters: Nordic, DIN, BBC, EBU PPM (IEC 60268-10) and VU (IEC 60268-17)
 export {
   PPM_ATTACK_MS,
   PPM_FALL_TIME_S,
@@ -83,14 +106,26 @@ export {
   PPM_MAX_DBFS,
   PPM_DBFS_OFFSET,
   PPM_PEAK_HOLD_S,
+  VU_DAMPING_RATIO,
+  VU_NATURAL_FREQUENCY,
+  VU_REFERENCE_DBFS,
+  DEFAULT_PPM_STANDARD,
+  PPM_STANDARDS,
+  getPPMStandard,
+  findPPMStandard,
   calculateQuasiPeak,
   calculateQuasiPeakStereo,
+  calculateVU,
+  detectProgrammeLevel,
   PPMMeter,
   dbfsToPPM,
   ppmToDbfs,
   dbfsToDBu,
   formatPPM,
   formatDBu,
+  dbfsToScale,
+  scaleToDbfs,
+  formatScaleReading,
   getPPMScaleMarkings
 } from './ppm.js';
 
@@ -108,3 +143,130 @@ export {
   formatBalance,
   hasPhaseIssue
 } from './correlation.js';
+
+// Channel layouts and BS.1770 channel weighting (ITU-R BS.2051)
+export {
+  SURROUND_CHANNEL_WEIGHT,
+  DEFAULT_CHANNEL_LAYOUT,
+  CHANNEL_LAYOUTS,
+  getChannelLayout,
+  getLayoutForChannelCount,
+  channelWeight,
+  getLayoutWeights,
+  sumWeightedEnergy
+} from './channel-layout.js';
+
+// Gapless sample-accurate front end (AudioWorklet)
+export {
+  STREAM_HOP_SECONDS,
+  StreamMeter
+} from './stream-meter.js';
+
+// Offline whole-programme analysis (file analysis)
+export {
+  ANALYSIS_STEP_S,
+  ANALYSIS_CHUNK_S,
+  ProgrammeAnalyser,
+  analyseProgramme
+} from './programme-analysis.js';
+
+// Delivery specifications and pass/fail evaluation
+export {
+  DEFAULT_COMPLIANCE_PROFILE,
+  COMPLIANCE_PROFILES,
+  COMPLIANCE_GATING_MODES,
+  getComplianceProfile,
+  createComplianceProfile,
+  evaluateCompliance
+} from './compliance.js';
+
+// Rule-based alarms with event log
+export {
+  DEFAULT_ALARM_RULES,
+  createAlarmRules,
+  AlarmEngine,
+  formatAlarmValue
+} from './alarms.js';
+
+// Streaming platform playback normalisation
+export {
+  NORMALISATION_PLATFORMS,
+  getNormalisationPlatform,
+  calculateNormalisation,
+  LIMITER_LOOKAHEAD_S,
+  LIMITER_RELEASE_S,
+  PeakLimiter
+} from './normalisation.js';
+
+// Real-time analyser bands, averaging and weighting curves
+export {
+  RTA_RESOLUTIONS,
+  RTA_AVERAGING_MODES,
+  createRtaLayout,
+  computeRtaLevels,
+  SpectrumAverager
+} from './rta.js';
+export { WEIGHTINGS, weightingGainDb } from './weighting.js';
+
+// Line-up ident detection (EBU Stereo-ID, GLITS)
+export {
+  LINEUP_ALIGNMENT_DBFS,
+  LINEUP_LEVEL_TOLERANCE_DB,
+  LINEUP_TYPES,
+  LineupDetector
+} from './lineup.js';
+
+// Steady-tone analysis (frequency, level, phase, THD+N)
+export {
+  TONE_SILENCE_DBFS,
+  TONE_MAX_THDN_DB,
+  analyseTone
+} from './tone-analysis.js';
+
+// Inter-channel delay and polarity (cross-correlation)
+export {
+  CHANNEL_DELAY_MAX_LAG_MS,
+  CHANNEL_DELAY_MIN_CONFIDENCE,
+  CHANNEL_DELAY_HISTORY_MS,
+  estimateChannelDelay,
+  ChannelDelayMeter
+} from './channel-delay.js';
+
+// Swept-sine frequency response, distortion and latency (Farina)
+export {
+  SWEEP_DURATIONS_S,
+  SWEEP_HARMONIC_ORDERS,
+  SWEEP_FILE_LEAD_S,
+  SWEEP_FILE_TAIL_S,
+  generateSweep,
+  generateSweepFile,
+  analyseSweep
+} from './sweep-analysis.js';
+
+// Round-trip latency through an output/input loop (marker correlation)
+export {
+  LATENCY_MARKERS,
+  LATENCY_MIN_CONFIDENCE,
+  LATENCY_MAX_PINGS,
+  generateLatencyMarker,
+  detectLatencyMarker,
+  LatencyMeter
+} from './latency.js';
+
+// Line noise: ITU-R 468 quasi-peak, CCIR/ARM average and A-weighted RMS
+export {
+  NOISE_WEIGHTINGS,
+  NOISE_HISTORY_MS,
+  QP468_ATTACK_1_S,
+  QP468_RELEASE_1_S,
+  QP468_ATTACK_2_S,
+  QP468_RELEASE_2_S,
+  A_RMS_TIME_CONSTANT_S,
+  designNoiseWeighting,
+  noiseWeightingGainDb,
+  NoiseWeightingFilter,
+  calculateQuasiPeak468,
+  calculateTimeWeightedRMS,
+  NoiseDetector,
+  NoiseMeter
+} from './noise.js';
@@ -35,8 +35,10 @@
  * The full BS.1770 spec defines precise coefficients for 48kHz that yield
  * <0.1dB deviation from the reference implementation.
  *
- * For critical applications requiring exact BS.1770 compliance, consider
- * implementing the spec's explicit biquad coefficients.
+ * For exact BS.1770 compliance, the pure JavaScript filters below
+ * (applyKWeightingOffline, KWeightingFilter) use the spec coefficients at
+ * 48kHz and coefficients derived from the analogue prototype at any other
+ * sample rate (44.1, 88.2, 96, 176.4, 192kHz …), so no resampling is needed.
  *
  * SIGNAL FLOW
  * ───────────
@@ -196,14 +198,8 @@ export function createStereoKWeightingFilters(audioContext) {
  * Use these for strict compliance testing; the native BiquadFilter
  * approximation is sufficient for most broadcast applications.
  *
- * @note SAMPLE RATE LIMITATION
- * These coefficients are calculated specifically for 48kHz. At other sample
- * rates (e.g., 44.1kHz), the frequency response will deviate from the
- * ITU-R BS.1770-4 specification. For 44.1kHz applications, dedicated
- * coefficients would need to be calculated, or accept ~0.1-0.2dB deviation
- * in high-frequency response. The Web Audio BiquadFilter used in
- * createKWeightingFilter() automatically adapts to the AudioContext sample
- * rate but may have minor response deviations compared to the exact spec.
+ * Other sample rates use getKWeightingCoefficients(), which derives the
+ * coefficients from the analogue prototype of the same filters.
  *
  * @type {BS1770Coefficients}
  */
@@ -227,31 +223,119 @@ export const BS1770_COEFFICIENTS_48K = {
   }
 };
 
+// ─────────────────────────────────────────────────────────────────────────────
+// SAMPLE-RATE-INDEPENDENT COEFFICIENTS
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// The BS.1770 biquads are bilinear transforms of two analogue prototypes.
+// Recovering the prototype parameters from the 48kHz table and transforming
+// them again at the target rate reproduces the spec response at any rate:
+//
+//   K = tan(π × f₀ / fs)
+//   High-shelf: b = [Vh + Vb·K/Q + K², 2(K² − Vh), Vh − Vb·K/Q + K²] / a₀
+//   High-pass:  b = [1, −2, 1]
+//   Both:       a = [1, 2(K² − 1), 1 − K/Q + K²] / a₀,  a₀ = 1 + K/Q + K²
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Analogue prototype of the BS.1770 pre-filter (high-shelf stage).
+ * @type {Readonly<{frequency: number, gainDb: number, q: number, bandGainExponent: number}>}
+ */
+export const K_SHELF_PROTOTYPE = Object.freeze({
+  frequency: 1681.974450955533,
+  gainDb: 3.999843853973347,
+  q: 0.7071752369554196,
+  bandGainExponent: 0.4996667741545416
+});
+
+/**
+ * Analogue prototype of the BS.1770 RLB filter (high-pass stage).
+ * @type {Readonly<{frequency: number, q: number}>}
+ */
+export const K_HIGHPASS_PROTOTYPE = Object.freeze({
+  frequency: 38.13547087602444,
+  q: 0.5003270373238773
+});
+
+/**
+ * Derive K-weighting biquad coefficients for a sample rate.
+ *
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {BS1770Coefficients} Coefficients for both stages
+ *
+ * @example
+ * const coeffs = designKWeightingCoefficients(44100);
+ */
+export function designKWeightingCoefficients(sampleRate) {
+  // Stage 2: high-shelf
+  const shelf = K_SHELF_PROTOTYPE;
+  const Ks = Math.tan(Math.PI * shelf.frequency / sampleRate);
+  const Vh = Math.pow(10, shelf.gainDb / 20);
+  const Vb = Math.pow(Vh, shelf.bandGainExponent);
+  const a0s = 1 + Ks / shelf.q + Ks * Ks;
+
+  // Stage 1: high-pass
+  const hp = K_HIGHPASS_PROTOTYPE;
+  const Kh = Math.tan(Math.PI * hp.frequency / sampleRate);
+  const a0h = 1 + Kh / hp.q + Kh * Kh;
+
+  return {
+    highpass: {
+      b0: 1.0,
+      b1: -2.0,
+      b2: 1.0,
+      a1: 2 * (Kh * Kh - 1) / a0h,
+      a2: (1 - Kh / hp.q + Kh * Kh) / a0h
+    },
+    highshelf: {
+      b0: (Vh + Vb * Ks / shelf.q + Ks * Ks) / a0s,
+      b1: 2 * (Ks * Ks - Vh) / a0s,
+      b2: (Vh - Vb * Ks / shelf.q + Ks * Ks) / a0s,
+      a1: 2 * (Ks * Ks - 1) / a0s,
+      a2: (1 - Ks / shelf.q + Ks * Ks) / a0s
+    }
+  };
+}
+
+/** @type {Map<number, BS1770Coefficients>} */
+const coefficientCache = new Map([[48000, BS1770_COEFFICIENTS_48K]]);
+
+/**
+ * Get K-weighting coefficients for a sample rate.
+ * Returns the published table at 48kHz and derived coefficients otherwise.
+ *
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {BS1770Coefficients} Coefficients (shared, do not modify)
+ */
+export function getKWeightingCoefficients(sampleRate) {
+  let coefficients = coefficientCache.get(sampleRate);
+  if (!coefficients) {
+    coefficients = designKWeightingCoefficients(sampleRate);
+    coefficientCache.set(sampleRate, coefficients);
+  }
+  return coefficients;
+}
+
 /**
  * Apply K-weighting to a buffer using exact BS.1770 coefficients.
  * This is a pure JavaScript implementation for offline processing or
  * strict compliance verification.
  *
  * @param {Float32Array} input - Input samples
- * @param {number} sampleRate - Sample rate (48000 recommended)
+ * @param {number} [sampleRate=48000] - Sample rate in Hz
  * @returns {Float32Array} K-weighted output samples
  */
 export function applyKWeightingOffline(input, sampleRate = 48000) {
-  // For non-48kHz, would need to recalculate coefficients
-  // This simplified version assumes 48kHz
-  if (sampleRate !== 48000) {
-    console.warn('[K-weighting] Exact coefficients are for 48kHz; results may vary at', sampleRate);
-  }
-
   const output = new Float32Array(input.length);
+  const coefficients = getKWeightingCoefficients(sampleRate);
 
   // High-pass stage state
   let hp_z1 = 0, hp_z2 = 0;
-  const hp = BS1770_COEFFICIENTS_48K.highpass;
+  const hp = coefficients.highpass;
 
   // High-shelf stage state
   let hs_z1 = 0, hs_z2 = 0;
-  const hs = BS1770_COEFFICIENTS_48K.highshelf;
+  const hs = coefficients.highshelf;
 
   for (let i = 0; i < input.length; i++) {
     // High-pass (Direct Form II Transposed)
@@ -271,3 +355,83 @@ export function applyKWeightingOffline(input, sampleRate = 48000) {
 
   return output;
 }
+
+// ─────────────────────────────────────────────────────────────────────────────
+// STREAMING FILTER (sample-by-sample, state kept between calls)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Stateful K-weighting filter for continuous streams.
+ *
+ * Uses the same exact BS.1770 coefficients and Direct Form II Transposed
+ * structure as applyKWeightingOffline(), but keeps the filter state between
+ * calls. A stream split into arbitrary chunks (e.g. 128-frame AudioWorklet
+ * render quanta) yields output identical to filtering it in one piece.
+ *
+ * @example
+ * const kWeight = new KWeightingFilter(sampleRate);
+ * for (let i = 0; i < input.length; i++) {
+ *   const y = kWeight.processSample(input[i]);
+ *   sum += y * y;
+ * }
+ */
+export class KWeightingFilter {
+  /** @type {number} */
+  sampleRate;
+  /** @type {BS1770Coefficients} */
+  coefficients;
+  /** @type {number} */
+  hpZ1;
+  /** @type {number} */
+  hpZ2;
+  /** @type {number} */
+  hsZ1;
+  /** @type {number} */
+  hsZ2;
+
+  /**
+   * @param {number} [sampleRate=48000] - Sample rate in Hz
+   */
+  constructor(sampleRate = 48000) {
+    this.sampleRate = sampleRate;
+    this.coefficients = getKWeightingCoefficients(sampleRate);
+
+    this.hpZ1 = 0;
+    this.hpZ2 = 0;
+    this.hsZ1 = 0;
+    this.hsZ2 = 0;
+  }
+
+  /**
+   * Filter a single sample.
+   *
+   * @param {number} input - Input sample
+   * @returns {number} K-weighted output sample
+   */
+  processSample(input) {
+    const hp = this.coefficients.highpass;
+    const hs = this.coefficients.highshelf;
+
+    // High-pass (Direct Form II Transposed)
+    const hpOut = hp.b0 * input + this.hpZ1;
+    this.hpZ1 = hp.b1 * input - hp.a1 * hpOut + this.hpZ2;
+    this.hpZ2 = hp.b2 * input - hp.a2 * hpOut;
+
+    // High-shelf
+    const hsOut = hs.b0 * hpOut + this.hsZ1;
+    this.hsZ1 = hs.b1 * hpOut - hs.a1 * hsOut + this.hsZ2;
+    this.hsZ2 = hs.b2 * hpOut - hs.a2 * hsOut;
+
+    return hsOut;
+  }
+
+  /**
+   * Clear filter state (call when the stream is interrupted).
+   */
+  reset() {
+    this.hpZ1 = 0;
+    this.hpZ2 = 0;
+    this.hsZ1 = 0;
+    this.hsZ2 = 0;
+  }
+}
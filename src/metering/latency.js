@@ -0,0 +1,313 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * ROUND-TRIP LATENCY
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Delay through an output → chain → input loop (contribution link, external
+ * processor), from a marker played out and found again in the recording.
+ *
+ * MARKERS
+ * ───────
+ *   mls      Maximum-length sequence, 2^14 − 1 samples: noise-like, survives
+ *            band-limiting and lossy codecs, sharpest peak for its energy
+ *   chirp    50 ms linear chirp 100 Hz … 0.4 × sample rate, raised-cosine
+ *            edges: short, audible, tolerant of narrow links
+ *   clicks   Four single-sample clicks at 0, 37, 89 and 151 ms: the uneven
+ *            spacing gives one unambiguous alignment
+ *
+ * DETECTION
+ * ─────────
+ *   c(k) = Σ y[offset + k + n]·m[n]   (FFT, zero-padded)
+ *
+ * The largest |c| is the delay; a parabola through it and its neighbours
+ * gives the sub-sample part. Confidence is the normalised correlation at
+ * the interpolated peak, |c| / √(Σm²·Σy²) with Σy² over the marker's
+ * length: 1 for a clean copy, lower for added noise or a chain that changes
+ * the marker's shape. The sign of c is the loop's polarity.
+ *
+ * LatencyMeter keeps the pings of a run and their statistics; jitter is the
+ * standard deviation of the delay.
+ *
+ * @module metering/latency
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { fft } from '../utils/fft.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Marker types */
+export const LATENCY_MARKERS = Object.freeze(['mls', 'chirp', 'clicks']);
+
+/** Pings below this confidence count as lost */
+export const LATENCY_MIN_CONFIDENCE = 0.3;
+
+/** Pings kept by LatencyMeter */
+export const LATENCY_MAX_PINGS = 100;
+
+/** MLS register length (2^14 − 1 samples) and feedback taps (x^14 + x^13 + x^12 + x^2 + 1) */
+const MLS_ORDER = 14;
+const MLS_TAPS = Object.freeze([14, 13, 12, 2]);
+
+const CHIRP_S = 0.05;
+const CHIRP_START_HZ = 100;
+const CHIRP_FADE_S = 0.002;
+
+/** Click times of the click train (s) */
+const CLICK_TIMES_S = Object.freeze([0, 0.037, 0.089, 0.151]);
+
+/** Sine-referenced level below which the recording counts as silent (dBFS) */
+const SILENCE_DBFS = -70;
+
+/**
+ * @typedef {'mls'|'chirp'|'clicks'} LatencyMarker
+ */
+
+/**
+ * @typedef {Object} LatencyEstimate
+ * @property {number} delaySamples - Marker position after the play point (sub-sample)
+ * @property {number} delayMs - Same in milliseconds
+ * @property {'normal'|'inverted'} polarity - Sign of the correlation peak
+ * @property {number} confidence - Normalised correlation at the interpolated peak (0 … 1)
+ */
+
+/**
+ * @typedef {Object} LatencyPing
+ * @property {number} time - Time in ms
+ * @property {number} delayMs - Delay in milliseconds
+ * @property {number} delaySamples - Delay in samples
+ * @property {number} confidence - Confidence (0 … 1)
+ * @property {'normal'|'inverted'} polarity - Polarity
+ */
+
+/**
+ * @typedef {Object} LatencyStatistics
+ * @property {number} count - Pings received
+ * @property {number} lost - Pings not found or below LATENCY_MIN_CONFIDENCE
+ * @property {number} meanMs - Mean delay (NaN without pings)
+ * @property {number} minMs - Shortest delay
+ * @property {number} maxMs - Longest delay
+ * @property {number} jitterMs - Standard deviation of the delay
+ * @property {number} peakToPeakMs - Longest minus shortest
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MARKERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Generate a marker signal.
+ *
+ * @param {LatencyMarker} type - Marker type
+ * @param {Object} options
+ * @param {number} options.sampleRate - Sample rate in Hz
+ * @param {number} [options.levelDbfs=-12] - Peak level
+ * @returns {Float32Array} Marker samples
+ * @throws {RangeError} If the type is unknown
+ */
+export function generateLatencyMarker(type, { sampleRate, levelDbfs = -12 }) {
+  const amplitude = Math.pow(10, levelDbfs / 20);
+
+  if (type === 'mls') {
+    const length = (1 << MLS_ORDER) - 1;
+    const marker = new Float32Array(length);
+    let register = 1;
+    for (let i = 0; i < length; i++) {
+      marker[i] = register & 1 ? amplitude : -amplitude;
+      let feedback = 0;
+      for (const tap of MLS_TAPS) feedback ^= (register >> (MLS_ORDER - tap)) & 1;
+      register = (register >> 1) | (feedback << (MLS_ORDER - 1));
+    }
+    return marker;
+  }
+
+  if (type === 'chirp') {
+    const length = Math.round(CHIRP_S * sampleRate);
+    const fade = Math.round(CHIRP_FADE_S * sampleRate);
+    const endHz = 0.4 * sampleRate;
+    const marker = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      const t = i / sampleRate;
+      const phase = 2 * Math.PI * (CHIRP_START_HZ * t + (endHz - CHIRP_START_HZ) * t * t / (2 * CHIRP_S));
+      let gain = amplitude;
+      if (i < fade) gain *= 0.5 - 0.5 * Math.cos(Math.PI * i / fade);
+      if (i >= length - fade) gain *= 0.5 - 0.5 * Math.cos(Math.PI * (length - 1 - i) / fade);
+      marker[i] = gain * Math.sin(phase);
+    }
+    return marker;
+  }
+
+  if (type === 'clicks') {
+    const positions = CLICK_TIMES_S.map(t => Math.round(t * sampleRate));
+    const marker = new Float32Array(positions[positions.length - 1] + 1);
+    for (const position of positions) marker[position] = amplitude;
+    return marker;
+  }
+
+  throw new RangeError(`Unknown latency marker: ${type}`);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DETECTION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Find the marker in a recording of the loop.
+ *
+ * @param {Float32Array} recording - Captured input
+ * @param {Float32Array} marker - Marker as played
+ * @param {Object} options
+ * @param {number} options.sampleRate - Sample rate in Hz
+ * @param {number} [options.offset=0] - Sample in the recording where the marker was played
+ * @returns {LatencyEstimate|null} Null when the recording after offset is silent or too short
+ */
+export function detectLatencyMarker(recording, marker, { sampleRate, offset = 0 }) {
+  const length = marker.length;
+  const span = recording.length - offset;
+  const maxLag = span - length;
+  if (maxLag < 0) return null;
+
+  // Energy of each marker-length stretch of the recording, from a running sum
+  const energyTo = new Float64Array(span + 1);
+  for (let i = 0; i < span; i++) {
+    energyTo[i + 1] = energyTo[i] + recording[offset + i] * recording[offset + i];
+  }
+  const silence = length * Math.pow(10, SILENCE_DBFS / 10) / 2;
+  if (energyTo[span] < silence) return null;
+
+  let size = 1;
+  while (size < span + length) size *= 2;
+  const yRe = new Float64Array(size);
+  const yIm = new Float64Array(size);
+  const mRe = new Float64Array(size);
+  const mIm = new Float64Array(size);
+  let markerEnergy = 0;
+  for (let i = 0; i < span; i++) yRe[i] = recording[offset + i];
+  for (let i = 0; i < length; i++) {
+    mRe[i] = marker[i];
+    markerEnergy += marker[i] * marker[i];
+  }
+
+  fft(yRe, yIm);
+  fft(mRe, mIm);
+  // conj(M)·Y, inverse: c[k] = Σ m[n]·y[n+k]
+  for (let i = 0; i < size; i++) {
+    const re = mRe[i] * yRe[i] + mIm[i] * yIm[i];
+    const im = mRe[i] * yIm[i] - mIm[i] * yRe[i];
+    yRe[i] = re;
+    yIm[i] = im;
+  }
+  fft(yRe, yIm, true);
+  const c = yRe;
+
+  let peak = 0;
+  for (let k = 1; k <= maxLag; k++) {
+    if (Math.abs(c[k]) > Math.abs(c[peak])) peak = k;
+  }
+
+  const sign = c[peak] < 0 ? -1 : 1;
+  let height = Math.abs(c[peak]);
+  let fraction = 0;
+  if (peak > 0 && peak < maxLag) {
+    const before = sign * c[peak - 1];
+    const after = sign * c[peak + 1];
+    const denominator = before - 2 * height + after;
+    if (denominator < 0) {
+      fraction = 0.5 * (before - after) / denominator;
+      height -= 0.25 * (before - after) * fraction;
+    }
+  }
+
+  const segmentEnergy = energyTo[peak + length] - energyTo[peak];
+  const confidence = segmentEnergy > 0 ? height / Math.sqrt(markerEnergy * segmentEnergy) : 0;
+  const delaySamples = peak + fraction;
+  return {
+    delaySamples,
+    delayMs: delaySamples * 1000 / sampleRate,
+    polarity: sign < 0 ? 'inverted' : 'normal',
+    confidence: Math.min(1, confidence)
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PING SERIES
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class LatencyMeter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxPings=LATENCY_MAX_PINGS] - Pings kept (oldest dropped)
+   */
+  constructor({ maxPings = LATENCY_MAX_PINGS } = {}) {
+    this.maxPings = maxPings;
+    /** @type {LatencyPing[]} Oldest first */
+    this.pings = [];
+    /** @type {LatencyEstimate|null} Last result, found or not */
+    this.latest = null;
+    /** Pings not found or below LATENCY_MIN_CONFIDENCE */
+    this.lost = 0;
+  }
+
+  /**
+   * Add the result of one ping.
+   *
+   * @param {LatencyEstimate|null} estimate - From detectLatencyMarker()
+   * @param {number} now - Time in ms
+   * @returns {boolean} Whether the ping counts (found with enough confidence)
+   */
+  add(estimate, now) {
+    this.latest = estimate;
+    if (!estimate || estimate.confidence < LATENCY_MIN_CONFIDENCE) {
+      this.lost++;
+      return false;
+    }
+    this.pings.push({
+      time: now,
+      delayMs: estimate.delayMs,
+      delaySamples: estimate.delaySamples,
+      confidence: estimate.confidence,
+      polarity: estimate.polarity
+    });
+    if (this.pings.length > this.maxPings) this.pings.shift();
+    return true;
+  }
+
+  /**
+   * Statistics over the kept pings.
+   * @returns {LatencyStatistics}
+   */
+  get statistics() {
+    const delays = this.pings.map(p => p.delayMs);
+    const count = delays.length;
+    if (count === 0) {
+      return { count, lost: this.lost, meanMs: NaN, minMs: NaN, maxMs: NaN, jitterMs: NaN, peakToPeakMs: NaN };
+    }
+    const meanMs = delays.reduce((sum, d) => sum + d, 0) / count;
+    const variance = delays.reduce((sum, d) => sum + (d - meanMs) * (d - meanMs), 0) / count;
+    const minMs = Math.min(...delays);
+    const maxMs = Math.max(...delays);
+    return { count, lost: this.lost, meanMs, minMs, maxMs, jitterMs: Math.sqrt(variance), peakToPeakMs: maxMs - minMs };
+  }
+
+  reset() {
+    this.pings = [];
+    this.latest = null;
+    this.lost = 0;
+  }
+}
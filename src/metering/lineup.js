@@ -0,0 +1,360 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * LINE-UP IDENT DETECTOR
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Recognises a line-up tone on the incoming signal and checks the circuit
+ * against it: channel order, polarity, a missing leg and the level against
+ * the −18 dBFS alignment level (EBU R68). Fed with the analysis buffers at
+ * the measure-loop rate; each update returns the current finding.
+ *
+ * IDENTS
+ * ──────
+ *   'ebu'     EBU Stereo-ID: tone on both legs, left interrupted for
+ *             250 ms every 3 s (the generator's pulsed line-up)
+ *   'glits'   GLITS (EBU Tech 3304): 4 s cycle, left interrupted once
+ *             (0–250 ms), right twice (500–750 and 1000–1250 ms)
+ *   'tone'    Steady sine without an ident pattern (order not checkable)
+ *
+ * CHANNEL ORDER
+ * ─────────────
+ * The leg carrying the single EBU interruption, or the single GLITS
+ * interruption, is the left leg of the source. Finding it on R means the
+ * circuit swaps the channels.
+ *
+ * METHOD
+ * ──────
+ * Levels are sine-referenced (a full-scale sine reads 0 dBFS). A leg is
+ * "steady" when the whole buffer holds a sine (crest factor 3 dB) at the
+ * level of its last 20 ms; steady buffers set the tone level, frequency
+ * (interpolated zero crossings) and polarity (L/R correlation). Gating the
+ * last 20 ms against the tone level finds interruptions of 150–400 ms.
+ *
+ * @module metering/lineup
+ * @see EBU Tech 3304 (GLITS)
+ * @see EBU R68 (alignment level)
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Alignment level (EBU R68) in dBFS, sine-referenced */
+export const LINEUP_ALIGNMENT_DBFS = -18;
+
+/** Level deviation reported as an issue beyond this (dB) */
+export const LINEUP_LEVEL_TOLERANCE_DB = 0.5;
+
+/**
+ * Ident identifiers with display names.
+ * @type {Readonly<Record<LineupType, string>>}
+ */
+export const LINEUP_TYPES = Object.freeze({
+  ebu: 'EBU Stereo-ID',
+  glits: 'GLITS',
+  tone: 'Tone'
+});
+
+const SEGMENT_S = 0.02; // Gating segment at the end of each buffer
+const SINE_CREST_DB = 20 * Math.log10(Math.SQRT2);
+const STEADY_TOLERANCE_DB = 0.5;
+const ON_MARGIN_DB = 10; // Within 10 dB of the tone level: tone on
+const OFF_MARGIN_DB = 20; // More than 20 dB below: interrupted
+const SILENCE_DBFS = -60;
+const MIN_INTERRUPTION_MS = 150;
+const MAX_INTERRUPTION_MS = 400;
+const TONE_HOLD_MS = 1500; // Tone counts as present this long after a steady buffer
+const PATTERN_WINDOW_MS = 9000; // Interruptions older than this are forgotten
+const EBU_PERIOD_MS = 3000;
+const GLITS_PAIR_MS = 500;
+const TIMING_TOLERANCE_MS = 150;
+const LEVEL_SMOOTHING = 0.3;
+const POLARITY_THRESHOLD = 0.9;
+
+/**
+ * @typedef {'ebu'|'glits'|'tone'} LineupType
+ */
+
+/**
+ * @typedef {Object} LineupResult
+ * @property {LineupType|null} type - Recognised ident (null = no tone)
+ * @property {number|null} frequency - Tone frequency in Hz
+ * @property {Array<number|null>} level - Tone level per leg [L, R] in dBFS (null = no tone)
+ * @property {Array<number|null>} deviation - Level minus the alignment level [L, R] in dB
+ * @property {boolean|null} swapped - Channels swapped (null = cannot tell from this ident)
+ * @property {boolean|null} polarityInverted - One leg inverted (null = not measured)
+ * @property {'L'|'R'|null} missing - Silent leg while the other carries the tone
+ * @property {string[]} issues - Findings to report, empty when the circuit is clean
+ */
+
+/**
+ * @typedef {Object} ChannelState
+ * @property {number} toneDb - Smoothed tone level (−Infinity before a tone)
+ * @property {number} lastSteady - Time of the last steady buffer (ms, −Infinity = never)
+ * @property {boolean} on - Tone currently on (not interrupted)
+ * @property {number} offSince - Start of the current interruption (ms, NaN = none seen)
+ * @property {number[]} interruptions - Start times of recent interruptions (ms)
+ * @property {number} silentSince - Start of the current silence (ms, NaN = not silent)
+ */
+
+/**
+ * @returns {ChannelState}
+ */
+function createChannelState() {
+  return { toneDb: -Infinity, lastSteady: -Infinity, on: false, offSince: NaN, interruptions: [], silentSince: NaN };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SIGNAL HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {Float32Array} samples - Samples
+ * @param {number} start - First index
+ * @returns {{levelDb: number, crestDb: number}} Sine-referenced level and crest factor
+ */
+function measure(samples, start) {
+  let sumSquares = 0;
+  let peak = 0;
+  for (let i = start; i < samples.length; i++) {
+    const v = samples[i];
+    sumSquares += v * v;
+    const a = Math.abs(v);
+    if (a > peak) peak = a;
+  }
+  const rms = Math.sqrt(sumSquares / Math.max(1, samples.length - start));
+  return {
+    levelDb: 20 * Math.log10(rms * Math.SQRT2 + 1e-12),
+    crestDb: 20 * Math.log10((peak + 1e-12) / (rms + 1e-12))
+  };
+}
+
+/**
+ * Frequency from positive-going zero crossings, interpolated between samples.
+ * @param {Float32Array} samples - Samples of a steady tone
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number|null} Frequency in Hz (null with fewer than two crossings)
+ */
+function zeroCrossingFrequency(samples, sampleRate) {
+  let first = -1;
+  let last = -1;
+  let count = 0;
+  for (let i = 1; i < samples.length; i++) {
+    if (samples[i - 1] < 0 && samples[i] >= 0) {
+      const t = i - 1 + samples[i - 1] / (samples[i - 1] - samples[i]);
+      if (first < 0) first = t;
+      last = t;
+      count++;
+    }
+  }
+  return count >= 2 ? (count - 1) * sampleRate / (last - first) : null;
+}
+
+/**
+ * @param {Float32Array} a - Left samples
+ * @param {Float32Array} b - Right samples
+ * @returns {number} Correlation coefficient (−1 … +1)
+ */
+function correlate(a, b) {
+  let ab = 0, aa = 0, bb = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) {
+    ab += a[i] * b[i];
+    aa += a[i] * a[i];
+    bb += b[i] * b[i];
+  }
+  return aa > 0 && bb > 0 ? ab / Math.sqrt(aa * bb) : 0;
+}
+
+/**
+ * @param {number} value - Measured interval
+ * @param {number} expected - Expected interval
+ * @returns {boolean} True within the timing tolerance
+ */
+function near(value, expected) {
+  return Math.abs(value - expected) <= TIMING_TOLERANCE_MS;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DETECTOR
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class LineupDetector {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.sampleRate=48000] - Sample rate of the buffers (Hz)
+   * @param {number} [options.alignmentDbfs] - Expected tone level (dBFS)
+   */
+  constructor({ sampleRate = 48000, alignmentDbfs = LINEUP_ALIGNMENT_DBFS } = {}) {
+    this.sampleRate = sampleRate;
+    this.alignmentDbfs = alignmentDbfs;
+    /** @type {ChannelState[]} */
+    this.channels = [createChannelState(), createChannelState()];
+    /** @type {number|null} */
+    this.frequency = null;
+    /** @type {boolean|null} */
+    this.polarityInverted = null;
+  }
+
+  /**
+   * Forget everything measured (e.g. after a source change).
+   */
+  reset() {
+    this.channels = [createChannelState(), createChannelState()];
+    this.frequency = null;
+    this.polarityInverted = null;
+  }
+
+  /**
+   * Analyse the latest analysis buffers.
+   *
+   * @param {Float32Array} bufL - Left samples (most recent last)
+   * @param {Float32Array} bufR - Right samples
+   * @param {number} now - Time in ms
+   * @returns {LineupResult}
+   */
+  update(bufL, bufR, now) {
+    const buffers = [bufL, bufR];
+    const segmentStart = Math.max(0, bufL.length - Math.round(SEGMENT_S * this.sampleRate));
+    /** @type {boolean[]} */
+    const steady = [];
+
+    for (let c = 0; c < 2; c++) {
+      const state = this.channels[c];
+      const whole = measure(buffers[c], 0);
+      const segmentDb = measure(buffers[c], segmentStart).levelDb;
+
+      const isSteady = whole.levelDb > SILENCE_DBFS &&
+        Math.abs(whole.levelDb - segmentDb) < STEADY_TOLERANCE_DB &&
+        Math.abs(whole.crestDb - SINE_CREST_DB) < STEADY_TOLERANCE_DB;
+      steady.push(isSteady);
+      if (isSteady) {
+        state.toneDb = isFinite(state.toneDb)
+          ? state.toneDb + LEVEL_SMOOTHING * (whole.levelDb - state.toneDb)
+          : whole.levelDb;
+        state.lastSteady = now;
+      }
+
+      if (segmentDb < SILENCE_DBFS) {
+        if (isNaN(state.silentSince)) state.silentSince = now;
+      } else {
+        state.silentSince = NaN;
+      }
+
+      // Interruptions: gate the last 20 ms against the tone level
+      if (isFinite(state.toneDb)) {
+        if (state.on && segmentDb < state.toneDb - OFF_MARGIN_DB) {
+          state.on = false;
+          state.offSince = now;
+        } else if (!state.on && segmentDb > state.toneDb - ON_MARGIN_DB) {
+          const duration = now - state.offSince;
+          if (duration >= MIN_INTERRUPTION_MS && duration <= MAX_INTERRUPTION_MS) {
+            state.interruptions.push(state.offSince);
+          }
+          state.on = true;
+        }
+      }
+      state.interruptions = state.interruptions.filter(t => now - t <= PATTERN_WINDOW_MS);
+
+      // A tone not seen for a while is gone (leg missing or programme instead)
+      if (now - state.lastSteady > TONE_HOLD_MS) {
+        state.toneDb = -Infinity;
+        state.on = false;
+        state.offSince = NaN;
+        state.interruptions = [];
+      }
+    }
+
+    if (steady[0] || steady[1]) {
+      this.frequency = zeroCrossingFrequency(steady[0] ? bufL : bufR, this.sampleRate) ?? this.frequency;
+    }
+    if (steady[0] && steady[1]) {
+      const r = correlate(bufL, bufR);
+      if (r < -POLARITY_THRESHOLD) this.polarityInverted = true;
+      else if (r > POLARITY_THRESHOLD) this.polarityInverted = false;
+    }
+
+    return this._result(now);
+  }
+
+  /**
+   * @param {number} now - Time in ms
+   * @returns {LineupResult}
+   * @private
+   */
+  _result(now) {
+    const present = this.channels.map(state => isFinite(state.toneDb));
+    if (!present[0] && !present[1]) {
+      this.frequency = null;
+      this.polarityInverted = null;
+      return {
+        type: null, frequency: null, level: [null, null], deviation: [null, null],
+        swapped: null, polarityInverted: null, missing: null, issues: []
+      };
+    }
+
+    const level = this.channels.map(state => (isFinite(state.toneDb) ? state.toneDb : null));
+    const deviation = level.map(db => (db === null ? null : db - this.alignmentDbfs));
+
+    /** @type {'L'|'R'|null} */
+    let missing = null;
+    for (let c = 0; c < 2; c++) {
+      const silentFor = now - this.channels[c].silentSince;
+      if (!present[c] && present[1 - c] && silentFor > TONE_HOLD_MS) missing = c === 0 ? 'L' : 'R';
+    }
+    if (!present[0] || !present[1]) this.polarityInverted = null;
+
+    const { type, swapped } = this._identify();
+
+    /** @type {string[]} */
+    const issues = [];
+    if (missing) issues.push(`${missing === 'L' ? 'Left' : 'Right'} channel missing`);
+    if (swapped) issues.push('Channels swapped');
+    if (this.polarityInverted) issues.push('Polarity inverted');
+    deviation.forEach((dev, c) => {
+      if (dev !== null && Math.abs(dev) > LINEUP_LEVEL_TOLERANCE_DB) {
+        issues.push(`${c === 0 ? 'L' : 'R'} ${dev > 0 ? '+' : '−'}${Math.abs(dev).toFixed(1)} dB from ${this.alignmentDbfs} dBFS`);
+      }
+    });
+
+    return { type, frequency: this.frequency, level, deviation, swapped, polarityInverted: this.polarityInverted, missing, issues };
+  }
+
+  /**
+   * Match the recent interruptions against the EBU and GLITS patterns.
+   * @returns {{type: LineupType, swapped: boolean|null}}
+   * @private
+   */
+  _identify() {
+    const [left, right] = this.channels.map(state => state.interruptions);
+
+    // GLITS: one leg interrupted in pairs 500 ms apart (right), the other singly (left)
+    const hasPair = (/** @type {number[]} */ times) =>
+      times.some((t, i) => i > 0 && near(t - times[i - 1], GLITS_PAIR_MS));
+    if (hasPair(right) && left.length > 0 && !hasPair(left)) return { type: 'glits', swapped: false };
+    if (hasPair(left) && right.length > 0 && !hasPair(right)) return { type: 'glits', swapped: true };
+
+    // EBU: one leg interrupted every 3 s (left), the other never
+    const isEbu = (/** @type {number[]} */ times, /** @type {number[]} */ other) =>
+      other.length === 0 && times.length >= 2 && times.every((t, i) => i === 0 || near(t - times[i - 1], EBU_PERIOD_MS));
+    if (isEbu(left, right)) return { type: 'ebu', swapped: false };
+    if (isEbu(right, left)) return { type: 'ebu', swapped: true };
+
+    return { type: 'tone', swapped: null };
+  }
+}
@@ -28,16 +28,43 @@
  *
  * GATING ALGORITHM (BS.1770-4)
  * ────────────────────────────
+ *   Gating blocks are 400ms long with 75% overlap (a new block every 100ms).
  *   1. Absolute gate: −70 LUFS (discard silence)
- *   2. Relative gate: −10 LU below ungated integrated loudness
+ *   2. Relative gate: −10 LU below the loudness of the absolute-gated blocks
  *   Only blocks exceeding both gates contribute to integrated loudness.
  *
+ *   Both passes are recomputed over the full gating-block history whenever
+ *   a new block arrives ('exact' mode), so early material is re-gated as the
+ *   programme level settles. Blocks below the absolute gate can never
+ *   contribute and are not stored; the rest are kept as Float32 energies
+ *   (about 1.4 MB for ten hours of programme).
+ *
+ *   The legacy 'running' mode gates each block once against the gate as it
+ *   stood when the block arrived. It is cheaper but drifts from the
+ *   reference on programmes with large level changes.
+ *
+ *   getIntegratedUngated() averages every gating block with no gate at all,
+ *   as BS.1770-1 did, for delivery specifications that still call for it.
+ *
  * LOUDNESS RANGE (EBU Tech 3342)
  * ──────────────────────────────
- *   LRA is calculated from short-term loudness distribution:
- *   - Discard values below −10 LU from ungated integrated loudness
+ *   LRA is calculated from the short-term loudness distribution over the
+ *   whole measurement period:
+ *   - Short-term (3s) values sampled every 100ms (10 Hz)
+ *   - Absolute gate −70 LUFS, relative gate −20 LU below the
+ *     absolute-gated short-term loudness
  *   - LRA = 95th percentile − 10th percentile
- *   - Requires ~60s of data for stable measurement
+ *   Values are counted in a fixed 0.01 LU histogram, so memory does not
+ *   grow with programme length.
+ *
+ * EBU MODE (Tech 3341)
+ * ────────────────────
+ *   Max M / Max S: highest momentary and short-term loudness since reset,
+ *   taken once each window is full.
+ *   Start / pause / reset: while paused, M and S keep running but I, LRA
+ *   and the maxima hold. Gating blocks never span a pause.
+ *   Scales: EBU +9 (−18 to +9 LU) and EBU +18 (−36 to +18 LU), shown as
+ *   relative LU (0 LU = target) or absolute LUFS.
  *
  * @module metering/lufs
  * @see ITU-R BS.1770-4 (Algorithms to measure audio programme loudness)
@@ -47,6 +74,8 @@
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
+import { sumWeightedEnergy } from './channel-layout.js';
+
 // ─────────────────────────────────────────────────────────────────────────────
 // CONSTANTS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -63,6 +92,18 @@ export const MOMENTARY_WINDOW_S = 0.4; // 400ms
  */
 export const SHORT_TERM_WINDOW_S = 3.0; // 3s
 
+/**
+ * Gating block duration in seconds (BS.1770-4).
+ * @type {number}
+ */
+export const GATING_BLOCK_S = 0.4; // 400ms
+
+/**
+ * Gating block step in seconds (75% overlap).
+ * @type {number}
+ */
+export const GATING_STEP_S = 0.1; // 100ms
+
 /**
  * Absolute gate threshold in LUFS.
  * Blocks below this are considered silence and discarded.
@@ -90,12 +131,29 @@ export const DEFAULT_TARGET_LUFS = -23;
 export const ATSC_TARGET_LKFS = -24;
 
 /**
- * Minimum short-term blocks required for LRA calculation.
- * ~60s of data at typical frame rates.
+ * Minimum gated short-term values (10 Hz) required before LRA is reported.
  * @type {number}
  */
 export const MIN_LRA_BLOCKS = 15;
 
+/**
+ * LRA relative gate offset in LU (EBU Tech 3342).
+ * @type {number}
+ */
+export const LRA_RELATIVE_GATE_OFFSET_LU = -20;
+
+/**
+ * Lower percentile for LRA (EBU Tech 3342).
+ * @type {number}
+ */
+export const LRA_LOW_PERCENTILE = 0.10;
+
+/**
+ * Upper percentile for LRA (EBU Tech 3342).
+ * @type {number}
+ */
+export const LRA_HIGH_PERCENTILE = 0.95;
+
 /**
  * ITU-R BS.1770-4 calibration constant.
  *
@@ -115,14 +173,86 @@ export const MIN_LRA_BLOCKS = 15;
  */
 export const BS1770_CALIBRATION_OFFSET = -0.691;
 
+/**
+ * @typedef {Object} EBUModeScale
+ * @property {string} id - Scale identifier
+ * @property {string} name - Display name
+ * @property {number} minLu - Bottom of the scale (LU relative to target)
+ * @property {number} maxLu - Top of the scale (LU relative to target)
+ */
+
+/**
+ * Default EBU Mode scale.
+ * @type {string}
+ */
+export const DEFAULT_EBU_MODE_SCALE = 'ebu9';
+
+/**
+ * EBU Mode display scales (EBU Tech 3341 Section 2.4).
+ * With the R128 target: EBU +9 = −41 to −14 LUFS, EBU +18 = −59 to −5 LUFS.
+ * @type {Readonly<Record<string, Readonly<EBUModeScale>>>}
+ */
+export const EBU_MODE_SCALES = Object.freeze({
+  ebu9: Object.freeze({ id: 'ebu9', name: 'EBU +9', minLu: -18, maxLu: 9 }),
+  ebu18: Object.freeze({ id: 'ebu18', name: 'EBU +18', minLu: -36, maxLu: 18 })
+});
+
+/**
+ * Get an EBU Mode scale by identifier.
+ *
+ * @param {string} id - Scale identifier ('ebu9', 'ebu18')
+ * @returns {Readonly<EBUModeScale>} Scale definition
+ * @throws {RangeError} If the scale is unknown
+ */
+export function getEBUModeScale(id) {
+  const scale = EBU_MODE_SCALES[id];
+  if (!scale) {
+    throw new RangeError(`Unknown EBU Mode scale: ${id}`);
+  }
+  return scale;
+}
+
+/**
+ * Get an EBU Mode scale by identifier, falling back to the default for
+ * unknown identifiers (e.g. a stale stored setting).
+ *
+ * @param {string} id - Scale identifier
+ * @returns {Readonly<EBUModeScale>} Scale definition
+ */
+export function findEBUModeScale(id) {
+  return Object.hasOwn(EBU_MODE_SCALES, id) ? EBU_MODE_SCALES[id] : EBU_MODE_SCALES[DEFAULT_EBU_MODE_SCALE];
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // LUFS METER CLASS
 // ─────────────────────────────────────────────────────────────────────────────
 
+/**
+ * Integrated loudness gating mode.
+ *   'exact'   – BS.1770-4 two-pass gating over the stored block history
+ *   'running' – one-pass gate against the running integrated value (legacy)
+ * @typedef {'exact'|'running'} GatingMode
+ */
+
+/** 100ms steps per 400ms gating block */
+const STEPS_PER_GATING_BLOCK = Math.round(GATING_BLOCK_S / GATING_STEP_S);
+
+/** 100ms steps per 3s short-term value (LRA) */
+const STEPS_PER_SHORT_TERM = Math.round(SHORT_TERM_WINDOW_S / GATING_STEP_S);
+
+/** LRA histogram range and resolution (LUFS) */
+const LRA_HISTOGRAM_MIN = ABSOLUTE_GATE_LUFS;
+const LRA_HISTOGRAM_MAX = 10;
+const LRA_HISTOGRAM_STEP = 0.01;
+const LRA_HISTOGRAM_BINS = Math.round((LRA_HISTOGRAM_MAX - LRA_HISTOGRAM_MIN) / LRA_HISTOGRAM_STEP);
+
+/** Initial capacity of the gating-block history (~100s) */
+const GATING_HISTORY_INITIAL = 1024;
+
 /**
  * EBU R128 Loudness Meter.
  *
- * Processes K-weighted stereo audio and calculates:
+ * Processes K-weighted stereo or multichannel audio and calculates:
  * - Momentary loudness (400ms window)
  * - Short-term loudness (3s window)
  * - Integrated loudness (gated, programme-length)
@@ -154,20 +284,53 @@ export class LUFSMeter {
   integratedEnergy;
   /** @type {number} */
   integratedCount;
+  /** @type {Uint32Array} */
+  lraHistogram;
+  /** @type {number} */
+  lraEnergySum;
+  /** @type {number} */
+  lraCount;
+  /** @type {GatingMode} */
+  gating;
+  /** @type {number} */
+  stepFrames;
+  /** @type {number} */
+  stepEnergy;
+  /** @type {number} */
+  stepFrameCount;
   /** @type {number[]} */
-  shortTermHistory;
+  stepQueue;
+  /** @type {Float32Array} */
+  gatingBlocks;
+  /** @type {number} */
+  gatingBlockCount;
+  /** @type {number} */
+  gatedEnergySum;
+  /** @type {number|null} */
+  integratedCache;
   /** @type {number} */
-  maxHistoryLength;
+  ungatedEnergySum;
+  /** @type {number} */
+  ungatedBlockCount;
+  /** @type {number} */
+  maxMomentary;
+  /** @type {number} */
+  maxShortTerm;
+  /** @type {boolean} */
+  paused;
+  /** @type {number} */
+  runningBlockCount;
 
   /**
    * @param {Object} options - Configuration options
    * @param {number} [options.sampleRate=48000] - Audio sample rate
    * @param {number} [options.blockSize=2048] - Samples per block
-   * @param {number} [options.historyDuration=60] - Seconds of ST history for LRA
+   * @param {GatingMode} [options.gating='exact'] - Integrated loudness gating mode
    */
-  constructor({ sampleRate = 48000, blockSize = 2048, historyDuration = 60 } = {}) {
+  constructor({ sampleRate = 48000, blockSize = 2048, gating = 'exact' } = {}) {
     this.sampleRate = sampleRate;
     this.blockSize = blockSize;
+    this.gating = gating;
 
     // Calculate queue sizes based on window durations
     const blockDuration = blockSize / sampleRate;
@@ -184,18 +347,41 @@ export class LUFSMeter {
     this.integratedEnergy = 0;
     this.integratedCount = 0;
 
-    // Short-term history for LRA calculation
+    // 100ms steps assembled from incoming blocks (gating blocks and LRA)
+    this.stepFrames = Math.max(1, Math.round(sampleRate * GATING_STEP_S));
+    this.stepEnergy = 0;
+    this.stepFrameCount = 0;
     /** @type {number[]} */
-    this.shortTermHistory = [];
-    this.maxHistoryLength = Math.round(historyDuration / SHORT_TERM_WINDOW_S);
+    this.stepQueue = [];
+
+    // Gating blocks above the absolute gate (energies, grows as needed)
+    this.gatingBlocks = new Float32Array(GATING_HISTORY_INITIAL);
+    this.gatingBlockCount = 0;
+    this.gatedEnergySum = 0;
+    this.integratedCache = null;
+
+    // Every gating block, for BS.1770-1 ungated integration
+    this.ungatedEnergySum = 0;
+    this.ungatedBlockCount = 0;
+
+    // Short-term loudness distribution for LRA (whole programme)
+    this.lraHistogram = new Uint32Array(LRA_HISTOGRAM_BINS);
+    this.lraEnergySum = 0;
+    this.lraCount = 0;
+
+    // EBU Mode maxima and integration state
+    this.maxMomentary = -Infinity;
+    this.maxShortTerm = -Infinity;
+    this.paused = false;
+    this.runningBlockCount = 0;
   }
 
   /**
-   * Calculate mean square energy from K-weighted stereo buffers.
+   * Calculate channel-summed mean square energy from K-weighted stereo buffers.
    *
    * @param {Float32Array} leftBuffer - K-weighted left channel
    * @param {Float32Array} rightBuffer - K-weighted right channel
-   * @returns {number} Combined mean square energy
+   * @returns {number} Σ Gᵢ × zᵢ (G = 1.0 for L/R)
    */
   calculateBlockEnergy(leftBuffer, rightBuffer) {
     let energyL = 0;
@@ -207,17 +393,39 @@ export class LUFSMeter {
       energyR += rightBuffer[i] * rightBuffer[i];
     }
 
-    // Mean square, then average L+R (equal weighting for stereo)
+    // Mean square per channel, summed per BS.1770-4 equation (2)
     const msL = energyL / length;
     const msR = energyR / length;
 
-    return (msL + msR) / 2;
+    return msL + msR;
+  }
+
+  /**
+   * Calculate weighted, channel-summed mean square energy for any layout.
+   *
+   * @param {Float32Array[]} buffers - K-weighted buffers in layout order
+   * @param {ArrayLike<number>} weights - Gᵢ per channel (see getLayoutWeights)
+   * @returns {number} Σ Gᵢ × zᵢ
+   */
+  calculateMultichannelEnergy(buffers, weights) {
+    const meanSquares = buffers.map((buffer) => {
+      let energy = 0;
+      for (let i = 0; i < buffer.length; i++) {
+        energy += buffer[i] * buffer[i];
+      }
+      return buffer.length > 0 ? energy / buffer.length : 0;
+    });
+
+    return sumWeightedEnergy(meanSquares, weights);
   }
 
   /**
    * Push a new energy block and update all measurements.
    *
-   * @param {number} energy - Mean square energy from calculateBlockEnergy()
+   * Blocks are assumed to be contiguous and blockSize frames long.
+   * While paused only momentary and short-term loudness update.
+   *
+   * @param {number} energy - Channel-summed mean square from calculateBlockEnergy()
    */
   pushBlock(energy) {
     // Update momentary queue (400ms)
@@ -229,18 +437,26 @@ export class LUFSMeter {
     // Update short-term queue (3s)
     this.shortTermQueue.push(energy);
     if (this.shortTermQueue.length > this.shortTermLength) {
-      const shifted = this.shortTermQueue.shift();
+      this.shortTermQueue.shift();
+    }
 
-      // Add to history for LRA calculation (shift always returns a value here)
-      if (shifted !== undefined) {
-        this.shortTermHistory.push(shifted);
-        if (this.shortTermHistory.length > this.maxHistoryLength) {
-          this.shortTermHistory.shift();
-        }
-      }
+    if (this.paused) return;
+
+    // Max M / Max S only from full windows measured while running
+    // (a partial window over-reads transients; paused audio does not count)
+    this.runningBlockCount++;
+    if (this.runningBlockCount >= this.momentaryLength) {
+      this.maxMomentary = Math.max(this.maxMomentary, this.getMomentary());
+    }
+    if (this.runningBlockCount >= this.shortTermLength) {
+      this.maxShortTerm = Math.max(this.maxShortTerm, this.getShortTerm());
     }
 
-    // Update integrated loudness with gating
+    this._pushSteps(energy, this.blockSize);
+
+    if (this.gating === 'exact') return;
+
+    // Running gate (legacy): each block is gated once on arrival
     const shortTermLUFS = this._queueToLUFS(this.shortTermQueue);
     const currentGate = this._calculateGate();
 
@@ -256,30 +472,257 @@ export class LUFSMeter {
    * @returns {LoudnessReadings} Current momentary, short-term, integrated, and LRA
    */
   getReadings() {
-    const momentary = this._queueToLUFS(this.momentaryQueue);
-    const shortTerm = this._queueToLUFS(this.shortTermQueue);
-    const integrated = this.integratedCount > 0
-      ? energyToLUFS(this.integratedEnergy / this.integratedCount)
-      : -Infinity;
-    const lra = this._calculateLRA(integrated);
+    const momentary = this.getMomentary();
+    const shortTerm = this.getShortTerm();
+    const integrated = this.getIntegrated();
+    const lra = this.getLRA();
 
     return {
       momentary,
       shortTerm,
       integrated,
-      lra
+      lra,
+      maxMomentary: this.maxMomentary,
+      maxShortTerm: this.maxShortTerm
     };
   }
 
   /**
-   * Reset all measurements.
+   * Get momentary loudness (400ms sliding window).
+   *
+   * @returns {number} Momentary loudness in LUFS, or -Infinity before the first block
+   */
+  getMomentary() {
+    return this._queueToLUFS(this.momentaryQueue);
+  }
+
+  /**
+   * Get short-term loudness (3s sliding window).
+   *
+   * @returns {number} Short-term loudness in LUFS, or -Infinity before the first block
+   */
+  getShortTerm() {
+    return this._queueToLUFS(this.shortTermQueue);
+  }
+
+  /**
+   * Get integrated loudness using the configured gating mode.
+   *
+   * @returns {number} Integrated loudness in LUFS, or -Infinity before the first gated block
+   */
+  getIntegrated() {
+    if (this.gating !== 'exact') {
+      return this.integratedCount > 0
+        ? energyToLUFS(this.integratedEnergy / this.integratedCount)
+        : -Infinity;
+    }
+
+    if (this.integratedCache === null) {
+      this.integratedCache = this._computeGatedIntegrated();
+    }
+    return this.integratedCache;
+  }
+
+  /**
+   * Get integrated loudness without gating (ITU-R BS.1770-1).
+   * Silence and quiet passages count in full, so this reads lower than
+   * getIntegrated() on programmes with pauses.
+   *
+   * @returns {number} Ungated integrated loudness in LUFS, or -Infinity before the first 400ms block
+   */
+  getIntegratedUngated() {
+    return this.ungatedBlockCount > 0
+      ? energyToLUFS(this.ungatedEnergySum / this.ungatedBlockCount)
+      : -Infinity;
+  }
+
+  /**
+   * Get Loudness Range per EBU Tech 3342 over the whole measurement period.
+   *
+   * @returns {number|null} LRA in LU, or null if insufficient data
+   */
+  getLRA() {
+    if (this.lraCount === 0) return null;
+
+    // Relative gate from the absolute-gated short-term loudness
+    const gate = energyToLUFS(this.lraEnergySum / this.lraCount) + LRA_RELATIVE_GATE_OFFSET_LU;
+
+    // First bin whose centre lies above the gate
+    const firstBin = Math.max(0, Math.floor((gate - LRA_HISTOGRAM_MIN) / LRA_HISTOGRAM_STEP - 0.5) + 1);
+
+    let total = 0;
+    for (let i = firstBin; i < LRA_HISTOGRAM_BINS; i++) {
+      total += this.lraHistogram[i];
+    }
+
+    if (total < MIN_LRA_BLOCKS) {
+      return null;
+    }
+
+    const low = this._histogramValue(firstBin, Math.floor(total * LRA_LOW_PERCENTILE));
+    const high = this._histogramValue(firstBin, Math.floor(total * LRA_HIGH_PERCENTILE));
+
+    return high - low;
+  }
+
+  /**
+   * Get maximum momentary loudness since reset (EBU Tech 3341 "Max M").
+   *
+   * @returns {number} Max momentary loudness in LUFS, or -Infinity before the first full window
+   */
+  getMaxMomentary() {
+    return this.maxMomentary;
+  }
+
+  /**
+   * Get maximum short-term loudness since reset (EBU Tech 3341 "Max S").
+   *
+   * @returns {number} Max short-term loudness in LUFS, or -Infinity before the first full window
+   */
+  getMaxShortTerm() {
+    return this.maxShortTerm;
+  }
+
+  /**
+   * Pause integration. Integrated loudness, LRA and the maxima hold their
+   * values; momentary and short-term loudness keep running.
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Start (or continue) integration after pause().
+   * Partial 100ms steps from before the pause are discarded, so no gating
+   * block, short-term value or maximum spans the paused period.
+   */
+  start() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.runningBlockCount = 0;
+    this.stepEnergy = 0;
+    this.stepFrameCount = 0;
+    this.stepQueue.length = 0;
+  }
+
+  /**
+   * Reset all measurements. A paused meter stays paused.
    */
   reset() {
     this.momentaryQueue.length = 0;
     this.shortTermQueue.length = 0;
     this.integratedEnergy = 0;
     this.integratedCount = 0;
-    this.shortTermHistory.length = 0;
+    this.lraHistogram.fill(0);
+    this.lraEnergySum = 0;
+    this.lraCount = 0;
+
+    this.stepEnergy = 0;
+    this.stepFrameCount = 0;
+    this.stepQueue.length = 0;
+    this.gatingBlockCount = 0;
+    this.gatedEnergySum = 0;
+    this.integratedCache = null;
+    this.ungatedEnergySum = 0;
+    this.ungatedBlockCount = 0;
+
+    this.maxMomentary = -Infinity;
+    this.maxShortTerm = -Infinity;
+    this.runningBlockCount = 0;
+  }
+
+  /**
+   * Split incoming frames into 100ms steps. Each step completes a 400ms
+   * gating block and a 3s short-term value once enough steps exist.
+   * A block straddling a step boundary contributes to both steps in
+   * proportion to its frames.
+   * @private
+   * @param {number} energy - Mean square energy of the incoming frames
+   * @param {number} frames - Number of frames the energy was measured over
+   */
+  _pushSteps(energy, frames) {
+    let remaining = frames;
+
+    while (remaining > 0) {
+      const take = Math.min(remaining, this.stepFrames - this.stepFrameCount);
+      this.stepEnergy += energy * take;
+      this.stepFrameCount += take;
+      remaining -= take;
+
+      if (this.stepFrameCount === this.stepFrames) {
+        const steps = this.stepQueue;
+        steps.push(this.stepEnergy / this.stepFrames);
+        if (steps.length > STEPS_PER_SHORT_TERM) {
+          steps.shift();
+        }
+        this.stepEnergy = 0;
+        this.stepFrameCount = 0;
+
+        if (steps.length >= STEPS_PER_GATING_BLOCK) {
+          let blockEnergy = 0;
+          for (let i = steps.length - STEPS_PER_GATING_BLOCK; i < steps.length; i++) {
+            blockEnergy += steps[i];
+          }
+          blockEnergy /= STEPS_PER_GATING_BLOCK;
+
+          this.ungatedEnergySum += blockEnergy;
+          this.ungatedBlockCount++;
+          if (this.gating === 'exact') {
+            this._storeGatingBlock(blockEnergy);
+          }
+        }
+
+        if (steps.length === STEPS_PER_SHORT_TERM) {
+          this._storeShortTerm(steps.reduce((a, b) => a + b, 0) / STEPS_PER_SHORT_TERM);
+        }
+      }
+    }
+  }
+
+  /**
+   * Store a gating block if it passes the absolute gate.
+   * @private
+   * @param {number} energy - Gating block energy
+   */
+  _storeGatingBlock(energy) {
+    if (energyToLUFS(energy) <= ABSOLUTE_GATE_LUFS) return;
+
+    if (this.gatingBlockCount === this.gatingBlocks.length) {
+      const grown = new Float32Array(this.gatingBlocks.length * 2);
+      grown.set(this.gatingBlocks);
+      this.gatingBlocks = grown;
+    }
+
+    this.gatingBlocks[this.gatingBlockCount++] = energy;
+    this.gatedEnergySum += energy;
+    this.integratedCache = null;
+  }
+
+  /**
+   * Two-pass gated integrated loudness over the stored block history.
+   * @private
+   * @returns {number} Integrated loudness in LUFS
+   */
+  _computeGatedIntegrated() {
+    const count = this.gatingBlockCount;
+    if (count === 0) return -Infinity;
+
+    // Pass 1: absolute gate (already applied on storage)
+    const absoluteGated = this.gatedEnergySum / count;
+
+    // Pass 2: relative gate, −10 LU is a factor of 0.1 in energy
+    const relativeGate = absoluteGated * Math.pow(10, RELATIVE_GATE_OFFSET_LU / 10);
+    const blocks = this.gatingBlocks;
+    let sum = 0;
+    let n = 0;
+    for (let i = 0; i < count; i++) {
+      if (blocks[i] > relativeGate) {
+        sum += blocks[i];
+        n++;
+      }
+    }
+
+    return n > 0 ? energyToLUFS(sum / n) : -Infinity;
   }
 
   /**
@@ -309,33 +752,37 @@ export class LUFSMeter {
   }
 
   /**
-   * Calculate Loudness Range (LRA) from short-term history.
+   * Count a short-term value in the LRA histogram if it passes the absolute gate.
    * @private
-   * @param {number} integratedLUFS - Integrated loudness for gating
-   * @returns {number|null} LRA in LU, or null if insufficient data
+   * @param {number} energy - Short-term (3s) energy
    */
-  _calculateLRA(integratedLUFS) {
-    // Need sufficient data for stable LRA
-    if (this.shortTermHistory.length < MIN_LRA_BLOCKS) {
-      return null;
-    }
-
-    // Convert history to LUFS and filter below integrated - 20 LU
-    const threshold = integratedLUFS - 20;
-    const values = this.shortTermHistory
-      .map(e => energyToLUFS(e))
-      .filter(v => v > threshold);
+  _storeShortTerm(energy) {
+    const lufs = energyToLUFS(energy);
+    if (lufs <= ABSOLUTE_GATE_LUFS) return;
+
+    const bin = Math.min(LRA_HISTOGRAM_BINS - 1,
+      Math.floor((lufs - LRA_HISTOGRAM_MIN) / LRA_HISTOGRAM_STEP));
+    this.lraHistogram[bin]++;
+    this.lraEnergySum += energy;
+    this.lraCount++;
+  }
 
-    if (values.length < MIN_LRA_BLOCKS) {
-      return null;
+  /**
+   * Loudness of the n-th counted value (0-based) from a starting bin.
+   * @private
+   * @param {number} firstBin - First histogram bin above the relative gate
+   * @param {number} index - Rank of the value to find
+   * @returns {number} Bin centre in LUFS
+   */
+  _histogramValue(firstBin, index) {
+    let seen = 0;
+    for (let i = firstBin; i < LRA_HISTOGRAM_BINS; i++) {
+      seen += this.lraHistogram[i];
+      if (seen > index) {
+        return LRA_HISTOGRAM_MIN + (i + 0.5) * LRA_HISTOGRAM_STEP;
+      }
     }
-
-    // Sort and calculate percentiles
-    const sorted = [...values].sort((a, b) => a - b);
-    const p10 = sorted[Math.floor(sorted.length * 0.10)];
-    const p95 = sorted[Math.floor(sorted.length * 0.95)];
-
-    return p95 - p10;
+    return LRA_HISTOGRAM_MAX;
   }
 }
 
@@ -345,6 +792,8 @@ export class LUFSMeter {
  * @property {number} shortTerm - Short-term loudness in LUFS (3s window)
  * @property {number} integrated - Integrated loudness in LUFS (gated)
  * @property {number|null} lra - Loudness Range in LU, or null if insufficient data
+ * @property {number} maxMomentary - Max momentary loudness since reset in LUFS
+ * @property {number} maxShortTerm - Max short-term loudness since reset in LUFS
  */
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -448,3 +897,24 @@ export function formatLRA(lra, decimals = 1) {
   }
   return lra.toFixed(decimals) + ' LU';
 }
+
+/**
+ * Format loudness as absolute LUFS or relative LU (EBU Tech 3341).
+ *
+ * @param {number} lufs - Loudness in LUFS
+ * @param {'LUFS'|'LU'} [unit='LUFS'] - Absolute or relative to target
+ * @param {number} [target=DEFAULT_TARGET_LUFS] - 0 LU reference for relative display
+ * @param {number} [decimals=1] - Decimal places
+ * @returns {string} Formatted string (e.g., "-23.0 LUFS", "+1.5 LU" or "--.- LU")
+ */
+export function formatLoudness(lufs, unit = 'LUFS', target = DEFAULT_TARGET_LUFS, decimals = 1) {
+  if (unit !== 'LU') {
+    return formatLUFS(lufs, decimals);
+  }
+  if (!isFinite(lufs) || lufs < -60) {
+    return '--.- LU';
+  }
+  const lu = lufs - target;
+  const sign = lu >= 0 ? '+' : '';
+  return sign + lu.toFixed(decimals) + ' LU';
+}
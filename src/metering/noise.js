@@ -0,0 +1,580 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * NOISE MEASUREMENT (ITU-R BS.468, CCIR/ARM, A-WEIGHTED)
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Weighted noise readings for qualifying a line that carries silence.
+ * Broadcast noise specifications use ITU-R 468 weighting with its own
+ * quasi-peak detector, not K-weighting or a PPM.
+ *
+ * READINGS
+ * ────────
+ *   id    Weighting                       Detector                 Unit
+ *   468   ITU-R BS.468-4, 0 dB at 1 kHz   468 quasi-peak           dBu(468), dBqps
+ *   ARM   468 curve, 0 dB at 2 kHz        average (VU rectifier)   dBu(ARM)
+ *         (CCIR/ARM, Dolby: −5.6 dB)
+ *   A     IEC 61672-1, 0 dB at 1 kHz      RMS, 1 s ('Slow')        dBu(A)
+ *
+ * All detectors are sine-referenced: a steady 1 kHz sine reads its peak
+ * level in dBFS (2 kHz for ARM), and dBu follows EBU R68 (0 dBu = −18 dBFS).
+ *
+ * FILTERS
+ * ───────
+ * The analogue weighting networks are split into second-order sections.
+ * Poles map exactly (z = e^(sT)); each numerator is fitted so the section's
+ * magnitude equals the analogue one at DC (or a low frequency) and two
+ * points up to min(20 kHz, 0.45 × sample rate). The bilinear transform would
+ * warp the 468 curve by several dB above 10 kHz at 48 kHz; this keeps it
+ * within 0.3 dB of the standard's curve up to 20 kHz (0.45 dB at 44.1 kHz).
+ *
+ * 468 QUASI-PEAK DETECTOR
+ * ───────────────────────
+ * Two cascaded full-wave peak rectifiers, as in the analogue meter. Charge
+ * and discharge time constants are fitted to the tone-burst readings of
+ * BS.468-4 (5 kHz bursts, against the steady reading):
+ *
+ *   burst    1 ms     2 ms     5 ms    200 ms
+ *   reads   −17.0    −13.3    −9.0      0 dB
+ *
+ * NoiseMeter keeps the latest readings and a history of one point per
+ * second per weighting (the higher leg's highest reading in that second).
+ *
+ * @module metering/noise
+ * @see ITU-R BS.468-4 (Measurement of audio-frequency noise voltage level)
+ * @see IEC 61672-1:2013 (A-weighting, time weighting S)
+ * @see Dolby Laboratories, "CCIR/ARM noise measurement"
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { calculateVU } from './ppm.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {'468'|'ARM'|'A'} NoiseWeighting
+ */
+
+/**
+ * Noise weightings with display name and unit, in display order.
+ * @type {Readonly<Record<NoiseWeighting, Readonly<{name: string, unit: string}>>>}
+ */
+export const NOISE_WEIGHTINGS = Object.freeze({
+  '468': Object.freeze({ name: 'ITU-R 468 quasi-peak', unit: 'dBu(468)' }),
+  'ARM': Object.freeze({ name: 'CCIR/ARM average', unit: 'dBu(ARM)' }),
+  'A': Object.freeze({ name: 'A-weighted RMS', unit: 'dBu(A)' })
+});
+
+/** History kept by NoiseMeter (ms) */
+export const NOISE_HISTORY_MS = 5 * 60 * 1000;
+
+/** 468 detector: first rectifier charge and discharge, second rectifier charge and discharge (s) */
+export const QP468_ATTACK_1_S = 0.001;
+export const QP468_RELEASE_1_S = 0.008;
+export const QP468_ATTACK_2_S = 0.016;
+export const QP468_RELEASE_2_S = 0.65;
+
+/** 468 detector gain that makes a steady 1 kHz sine read its peak */
+const QP468_SINE_CALIBRATION = 1.27;
+
+/** A-weighted RMS time constant, IEC 61672-1 'Slow' (s) */
+export const A_RMS_TIME_CONSTANT_S = 1;
+
+/** Readings are folded into one history point per interval (ms) */
+const HISTORY_INTERVAL_MS = 1000;
+
+/** Reading before any signal (dBFS) */
+const FLOOR_DBFS = -240;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FILTER DESIGN
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} AnalogueSection
+ * @property {'lowpass'|'bandpass'|'highpass'} kind - Numerator: 1, s or s²
+ * @property {number} frequency - Pole natural frequency in Hz
+ * @property {number} q - Pole Q (≤ 0.5: two real poles)
+ * @property {number} [match] - Fit point as a fraction of the top frequency
+ */
+
+/**
+ * @typedef {Object} Biquad
+ * @property {number} b0
+ * @property {number} b1
+ * @property {number} b2
+ * @property {number} a1
+ * @property {number} a2
+ */
+
+/**
+ * Section from two real poles.
+ * @param {'lowpass'|'bandpass'|'highpass'} kind - Numerator
+ * @param {number} f1 - First pole in Hz
+ * @param {number} f2 - Second pole in Hz
+ * @param {number} [match] - Fit point
+ * @returns {Readonly<AnalogueSection>}
+ */
+function realPoles(kind, f1, f2, match) {
+  const frequency = Math.sqrt(f1 * f2);
+  return Object.freeze({ kind, frequency, q: frequency / (f1 + f2), match });
+}
+
+/**
+ * ITU-R 468 network: the roots of the standard's rational response
+ * R(f) = 1.2463e-4·f / |h1 + j·h2|, one zero at DC and six poles.
+ * Fit points are chosen for the smallest error at 44.1 and 48 kHz.
+ */
+const ITU468_SECTIONS = Object.freeze([
+  realPoles('bandpass', 4122.70206613, 9975.06312393, 0.05),
+  Object.freeze({ kind: 'lowpass', frequency: 6902.97991660, q: 0.918308681030, match: 0.65 }),
+  Object.freeze({ kind: 'lowpass', frequency: 10378.8051201, q: 1.73956565123, match: 0.95 })
+]);
+
+/** A-weighting network (IEC 61672-1 pole frequencies) */
+const A_SECTIONS = Object.freeze([
+  realPoles('highpass', 20.598997, 20.598997),
+  realPoles('highpass', 107.65265, 737.86223),
+  realPoles('lowpass', 12194.217, 12194.217, 0.5)
+]);
+
+/** Gain-normalisation frequency of each weighting (Hz) */
+const REFERENCE_HZ = Object.freeze({ '468': 1000, 'ARM': 2000, 'A': 1000 });
+
+/**
+ * Weights of |B(e^jω)|² = B0·φ0 + B1·φ1 + B2·φ2 for
+ * B0 = (b0 + b1 + b2)², B1 = (b0 − b1 + b2)², B2 = −4·b0·b2.
+ * @param {number} w - Normalised angular frequency (rad/sample)
+ * @returns {[number, number, number]}
+ */
+function magnitudeBasis(w) {
+  const phi1 = Math.sin(w / 2) ** 2;
+  const phi0 = 1 - phi1;
+  return [phi0, phi1, 4 * phi0 * phi1];
+}
+
+/**
+ * Squared magnitude of an analogue section.
+ * @param {AnalogueSection} section - Section
+ * @param {number} f - Frequency in Hz
+ * @returns {number}
+ */
+function analogueMagnitudeSquared({ kind, frequency, q }, f) {
+  const w = 2 * Math.PI * f;
+  const w0 = 2 * Math.PI * frequency;
+  const re = w0 * w0 - w * w;
+  const im = w * w0 / q;
+  const numerator = kind === 'lowpass' ? w0 ** 4 : kind === 'bandpass' ? (w * w0 / q) ** 2 : w ** 4;
+  return numerator / (re * re + im * im);
+}
+
+/**
+ * Digital section with matched poles and a fitted numerator.
+ * @param {AnalogueSection} section - Analogue section
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Biquad}
+ */
+function matchedSection(section, sampleRate) {
+  const T = 1 / sampleRate;
+  const w0 = 2 * Math.PI * section.frequency;
+  const sigma = w0 / (2 * section.q);
+  const d = 1 / (4 * section.q * section.q) - 1;
+  const a2 = Math.exp(-2 * sigma * T);
+  const a1 = -2 * Math.exp(-sigma * T) * (d < 0 ? Math.cos(w0 * T * Math.sqrt(-d)) : Math.cosh(w0 * T * Math.sqrt(d)));
+
+  if (section.kind === 'highpass') {
+    return { b0: 1, b1: -2, b2: 1, a1, a2 };
+  }
+
+  // |B|² needed at a frequency: analogue |H|² times the poles' |A|²
+  const A = [(1 + a1 + a2) ** 2, (1 - a1 + a2) ** 2, -4 * a2];
+  const top = Math.min(20000, 0.45 * sampleRate);
+  const target = (/** @type {number} */ f) => {
+    const basis = magnitudeBasis(2 * Math.PI * f / sampleRate);
+    const aSquared = A[0] * basis[0] + A[1] * basis[1] + A[2] * basis[2];
+    return { basis, value: analogueMagnitudeSquared(section, f) * aSquared };
+  };
+
+  // Lowpass: B0 from DC; bandpass: B0 = 0 (zero at DC). B1, B2 from two points.
+  const match = section.match ?? 0.5;
+  const B0 = section.kind === 'lowpass' ? target(0).value : 0;
+  const p = target(match * top);
+  const r = target(top);
+  const t1 = p.value - B0 * p.basis[0];
+  const t2 = r.value - B0 * r.basis[0];
+  const det = p.basis[1] * r.basis[2] - p.basis[2] * r.basis[1];
+  const B1 = Math.max(0, (t1 * r.basis[2] - p.basis[2] * t2) / det);
+  const B2 = (p.basis[1] * t2 - t1 * r.basis[1]) / det;
+
+  const s0 = Math.sqrt(B0);
+  const s1 = Math.sqrt(B1);
+  const W = (s0 + s1) / 2;
+  const b0 = (W + Math.sqrt(Math.max(0, W * W + B2))) / 2;
+  return { b0, b1: (s0 - s1) / 2, b2: -B2 / (4 * b0), a1, a2 };
+}
+
+/**
+ * Magnitude of a biquad cascade at a frequency.
+ * @param {Biquad[]} sections - Cascade
+ * @param {number} w - Normalised angular frequency (rad/sample)
+ * @returns {number}
+ */
+function cascadeMagnitude(sections, w) {
+  const cos1 = Math.cos(w), sin1 = Math.sin(w);
+  const cos2 = Math.cos(2 * w), sin2 = Math.sin(2 * w);
+  return sections.reduce((gain, { b0, b1, b2, a1, a2 }) =>
+    gain * Math.hypot(b0 + b1 * cos1 + b2 * cos2, b1 * sin1 + b2 * sin2) /
+      Math.hypot(1 + a1 * cos1 + a2 * cos2, a1 * sin1 + a2 * sin2), 1);
+}
+
+/** @type {Map<string, ReadonlyArray<Readonly<Biquad>>>} */
+const designCache = new Map();
+
+/**
+ * Biquad cascade of a noise weighting at a sample rate, normalised to 0 dB
+ * at its reference frequency (2 kHz for ARM, 1 kHz otherwise).
+ *
+ * @param {NoiseWeighting} weighting - Weighting identifier
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {ReadonlyArray<Readonly<Biquad>>} Sections (shared, do not modify)
+ * @throws {RangeError} If the weighting is unknown
+ */
+export function designNoiseWeighting(weighting, sampleRate) {
+  const key = `${weighting}@${sampleRate}`;
+  const cached = designCache.get(key);
+  if (cached) return cached;
+
+  if (!(weighting in REFERENCE_HZ)) {
+    throw new RangeError(`Unknown noise weighting: ${weighting}`);
+  }
+  const analogue = weighting === 'A' ? A_SECTIONS : ITU468_SECTIONS;
+  const sections = analogue.map(section => matchedSection(section, sampleRate));
+  const gain = 1 / cascadeMagnitude(sections, 2 * Math.PI * REFERENCE_HZ[weighting] / sampleRate);
+  sections[0] = { ...sections[0], b0: sections[0].b0 * gain, b1: sections[0].b1 * gain, b2: sections[0].b2 * gain };
+
+  const design = Object.freeze(sections.map(section => Object.freeze(section)));
+  designCache.set(key, design);
+  return design;
+}
+
+/**
+ * Gain of a noise weighting filter at a frequency, as implemented.
+ *
+ * @param {NoiseWeighting} weighting - Weighting identifier
+ * @param {number} freq - Frequency in Hz
+ * @param {number} [sampleRate=48000] - Sample rate in Hz
+ * @returns {number} Gain in dB
+ */
+export function noiseWeightingGainDb(weighting, freq, sampleRate = 48000) {
+  const sections = /** @type {Biquad[]} */ (designNoiseWeighting(weighting, sampleRate));
+  return 20 * Math.log10(cascadeMagnitude(sections, 2 * Math.PI * freq / sampleRate));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// STREAMING FILTER
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Stateful weighting filter (Direct Form II Transposed cascade), state kept
+ * between calls like KWeightingFilter.
+ */
+export class NoiseWeightingFilter {
+  /**
+   * @param {NoiseWeighting} weighting - Weighting identifier
+   * @param {number} [sampleRate=48000] - Sample rate in Hz
+   * @throws {RangeError} If the weighting is unknown
+   */
+  constructor(weighting, sampleRate = 48000) {
+    this.weighting = weighting;
+    this.sections = designNoiseWeighting(weighting, sampleRate);
+    this.z1 = new Float64Array(this.sections.length);
+    this.z2 = new Float64Array(this.sections.length);
+  }
+
+  /**
+   * Filter a buffer.
+   *
+   * @param {Float32Array} input - Input samples
+   * @param {Float32Array} output - Output samples (may be the input)
+   */
+  process(input, output) {
+    const { sections, z1, z2 } = this;
+    for (let i = 0; i < input.length; i++) {
+      let x = input[i];
+      for (let s = 0; s < sections.length; s++) {
+        const { b0, b1, b2, a1, a2 } = sections[s];
+        const y = b0 * x + z1[s];
+        z1[s] = b1 * x - a1 * y + z2[s];
+        z2[s] = b2 * x - a2 * y;
+        x = y;
+      }
+      output[i] = x;
+    }
+  }
+
+  reset() {
+    this.z1.fill(0);
+    this.z2.fill(0);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DETECTORS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} QuasiPeak468State
+ * @property {number} first - First rectifier (linear)
+ * @property {number} second - Second rectifier, the reading (linear)
+ */
+
+/**
+ * ITU-R 468 quasi-peak detector.
+ *
+ * @param {Float32Array} buffer - Weighted samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {QuasiPeak468State} state - Persistent state (modified in place)
+ * @returns {number} Reading in dBFS (sine peak equivalent)
+ */
+export function calculateQuasiPeak468(buffer, sampleRate, state) {
+  const coefficient = (/** @type {number} */ tau) => 1 - Math.exp(-1 / (tau * sampleRate));
+  const attack1 = coefficient(QP468_ATTACK_1_S);
+  const release1 = coefficient(QP468_RELEASE_1_S);
+  const attack2 = coefficient(QP468_ATTACK_2_S);
+  const release2 = coefficient(QP468_RELEASE_2_S);
+
+  let first = state.first;
+  let second = state.second;
+  for (let i = 0; i < buffer.length; i++) {
+    const rectified = Math.abs(buffer[i]) * QP468_SINE_CALIBRATION;
+    first += rectified > first ? attack1 * (rectified - first) : -release1 * first;
+    second += first > second ? attack2 * (first - second) : -release2 * second;
+  }
+  state.first = first;
+  state.second = second;
+
+  return 20 * Math.log10(second + 1e-12);
+}
+
+/**
+ * Exponentially averaged RMS (IEC 61672-1 time weighting).
+ *
+ * @param {Float32Array} buffer - Weighted samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {{meanSquare: number}} state - Persistent state (modified in place)
+ * @param {number} [timeConstant=A_RMS_TIME_CONSTANT_S] - Time constant in seconds
+ * @returns {number} Level in dBFS, sine-referenced (RMS + 3.01 dB)
+ */
+export function calculateTimeWeightedRMS(buffer, sampleRate, state, timeConstant = A_RMS_TIME_CONSTANT_S) {
+  const a = 1 - Math.exp(-1 / (timeConstant * sampleRate));
+  let meanSquare = state.meanSquare;
+  for (let i = 0; i < buffer.length; i++) {
+    meanSquare += a * (buffer[i] * buffer[i] - meanSquare);
+  }
+  state.meanSquare = meanSquare;
+
+  return 10 * Math.log10(2 * meanSquare + 1e-24);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PER-CHANNEL DETECTOR
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Record<NoiseWeighting, number>} NoiseLevels
+ * Readings of one channel in dBFS (sine peak equivalent)
+ */
+
+/**
+ * All three readings of one channel. The 468 filter output feeds both the
+ * quasi-peak and (shifted to 0 dB at 2 kHz) the ARM average detector.
+ */
+export class NoiseDetector {
+  /**
+   * @param {number} [sampleRate=48000] - Sample rate in Hz
+   */
+  constructor(sampleRate = 48000) {
+    this.sampleRate = sampleRate;
+    this.itu468 = new NoiseWeightingFilter('468', sampleRate);
+    this.aWeighting = new NoiseWeightingFilter('A', sampleRate);
+    /** ARM against 468: the 468 curve's gain at 2 kHz, removed */
+    this.armOffsetDb = -noiseWeightingGainDb('468', REFERENCE_HZ.ARM, sampleRate);
+    /** @type {QuasiPeak468State} */
+    this.qpState = { first: 0, second: 0 };
+    /** @type {import('./ppm.js').VUDetectorState} */
+    this.averageState = { envelope: 0, velocity: 0 };
+    this.rmsState = { meanSquare: 0 };
+    /** @type {NoiseLevels} */
+    this.levels = { '468': FLOOR_DBFS, 'ARM': FLOOR_DBFS, 'A': FLOOR_DBFS };
+    this.scratch = new Float32Array(0);
+  }
+
+  /**
+   * Process a chunk of a continuous stream.
+   *
+   * @param {Float32Array} samples - Unweighted samples
+   * @returns {NoiseLevels} Readings after the chunk
+   */
+  process(samples) {
+    if (this.scratch.length < samples.length) {
+      this.scratch = new Float32Array(samples.length);
+    }
+    const weighted = this.scratch.subarray(0, samples.length);
+
+    this.itu468.process(samples, weighted);
+    const qp = calculateQuasiPeak468(weighted, this.sampleRate, this.qpState);
+    const average = calculateVU(weighted, this.sampleRate, this.averageState);
+
+    this.aWeighting.process(samples, weighted);
+    const rms = calculateTimeWeightedRMS(weighted, this.sampleRate, this.rmsState);
+
+    this.levels = { '468': qp, 'ARM': average + this.armOffsetDb, 'A': rms };
+    return this.levels;
+  }
+
+  reset() {
+    this.itu468.reset();
+    this.aWeighting.reset();
+    this.qpState = { first: 0, second: 0 };
+    this.averageState = { envelope: 0, velocity: 0 };
+    this.rmsState = { meanSquare: 0 };
+    this.levels = { '468': FLOOR_DBFS, 'ARM': FLOOR_DBFS, 'A': FLOOR_DBFS };
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// NOISE METER
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} NoiseHistoryPoint
+ * @property {number} time - End of the second in ms
+ * @property {number} dbfs - Highest reading of either leg in that second
+ */
+
+/**
+ * @typedef {Object} NoiseReading
+ * @property {number} left - Current left reading (dBFS)
+ * @property {number} right - Current right reading (dBFS)
+ * @property {number} minDbfs - Lowest history point (NaN without history)
+ * @property {number} maxDbfs - Highest history point (NaN without history)
+ */
+
+/**
+ * Noise meter with ITU-R 468, CCIR/ARM and A-weighted readings.
+ *
+ * Like PPMMeter, it runs its own detectors on polled buffers (update) or
+ * takes levels detected elsewhere, e.g. the StreamBlock.noise values of the
+ * metering AudioWorklet (updateLevels).
+ *
+ * @example
+ * const noise = new NoiseMeter({ sampleRate: 48000 });
+ * meterWorklet.onBlock = (block) => noise.updateLevels(block.noise);
+ *
+ * const { left, maxDbfs } = noise.getState()['468'];
+ */
+export class NoiseMeter {
+  /**
+   * @param {Object} options
+   * @param {number} options.sampleRate - Sample rate in Hz
+   * @param {number} [options.historyMs=NOISE_HISTORY_MS] - History length
+   */
+  constructor({ sampleRate, historyMs = NOISE_HISTORY_MS }) {
+    this.sampleRate = sampleRate;
+    this.historyMs = historyMs;
+    this.detectors = [new NoiseDetector(sampleRate), new NoiseDetector(sampleRate)];
+    /** @type {NoiseLevels[]} Latest left and right readings */
+    this.levels = this.detectors.map(detector => detector.levels);
+    /** @type {Record<NoiseWeighting, NoiseHistoryPoint[]>} Oldest first */
+    this.history = { '468': [], 'ARM': [], 'A': [] };
+    /** @type {NoiseLevels|null} Highest readings of the current second */
+    this.pending = null;
+    this.pendingStart = 0;
+  }
+
+  /**
+   * Detect on polled buffers (AnalyserNode fallback; not gapless).
+   *
+   * @param {Float32Array} leftBuffer - Left samples
+   * @param {Float32Array} rightBuffer - Right samples
+   * @param {number} [now=performance.now()] - Time in ms
+   */
+  update(leftBuffer, rightBuffer, now = performance.now()) {
+    this.updateLevels([this.detectors[0].process(leftBuffer), this.detectors[1].process(rightBuffer)], now);
+  }
+
+  /**
+   * Take readings detected elsewhere. Channels beyond the first two are
+   * ignored, like the PPM.
+   *
+   * @param {NoiseLevels[]} levels - Readings per channel
+   * @param {number} [now=performance.now()] - Time in ms
+   */
+  updateLevels(levels, now = performance.now()) {
+    if (levels.length < 2) return;
+    this.levels = [levels[0], levels[1]];
+
+    const weightings = /** @type {NoiseWeighting[]} */ (Object.keys(this.history));
+    if (this.pending && now - this.pendingStart >= HISTORY_INTERVAL_MS) {
+      for (const weighting of weightings) {
+        const history = this.history[weighting];
+        history.push({ time: now, dbfs: this.pending[weighting] });
+        while (history.length > 0 && now - history[0].time > this.historyMs) history.shift();
+      }
+      this.pending = null;
+    }
+
+    if (!this.pending) {
+      this.pending = { '468': FLOOR_DBFS, 'ARM': FLOOR_DBFS, 'A': FLOOR_DBFS };
+      this.pendingStart = now;
+    }
+    for (const weighting of weightings) {
+      this.pending[weighting] = Math.max(this.pending[weighting], levels[0][weighting], levels[1][weighting]);
+    }
+  }
+
+  /**
+   * Current readings and history range per weighting.
+   *
+   * @returns {Record<NoiseWeighting, NoiseReading>}
+   */
+  getState() {
+    /** @type {Partial<Record<NoiseWeighting, NoiseReading>>} */
+    const state = {};
+    for (const weighting of /** @type {NoiseWeighting[]} */ (Object.keys(this.history))) {
+      const points = this.history[weighting].map(point => point.dbfs);
+      state[weighting] = {
+        left: this.levels[0][weighting],
+        right: this.levels[1][weighting],
+        minDbfs: points.length > 0 ? Math.min(...points) : NaN,
+        maxDbfs: points.length > 0 ? Math.max(...points) : NaN
+      };
+    }
+    return /** @type {Record<NoiseWeighting, NoiseReading>} */ (state);
+  }
+
+  /**
+   * Clear detectors, readings and history.
+   */
+  reset() {
+    for (const detector of this.detectors) detector.reset();
+    this.levels = this.detectors.map(detector => detector.levels);
+    this.history = { '468': [], 'ARM': [], 'A': [] };
+    this.pending = null;
+  }
+}
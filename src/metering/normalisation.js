@@ -0,0 +1,284 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PLATFORM LOUDNESS NORMALISATION
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Predicts what a streaming platform's playback normaliser does to a
+ * programme, from its integrated loudness and maximum True Peak: the gain
+ * applied, the resulting loudness and the resulting peak.
+ *
+ * BOOST
+ * ─────
+ * Every platform turns loud programmes down to its reference. Quiet
+ * programmes are handled in one of three ways:
+ *
+ *   'none'       not turned up (gain ≤ 0)
+ *   'headroom'   turned up only until the peak reaches the ceiling
+ *   'limiter'    turned up fully; a limiter holds peaks at the ceiling
+ *
+ * When the limiter engages, the result reports by how much it reduces the
+ * peak. The loudness it then loses (usually a fraction of that) is not
+ * modelled: resulting loudness is the reference.
+ *
+ * Platform behaviour changes without notice and depends on user settings
+ * (e.g. Spotify's Loud / Normal / Quiet); the values below are the
+ * documented defaults.
+ *
+ * PREVIEW LIMITER
+ * ───────────────
+ * PeakLimiter is the limiter of the monitor preview: a lookahead limiter
+ * with no make-up gain, so programme below the ceiling passes unchanged
+ * and sample peaks never exceed it. The gain for each sample is the lowest
+ * gain any sample in the next lookahead needs, held, released with
+ * LIMITER_RELEASE_S and averaged over the lookahead. Averaging over the
+ * same window keeps every sample at or below the gain it needs, so the
+ * attack is smooth without overshoot. The output is delayed by the
+ * lookahead (latencyFrames).
+ *
+ * @module metering/normalisation
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PLATFORMS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {'none'|'headroom'|'limiter'} NormalisationBoost
+ */
+
+/**
+ * @typedef {Object} NormalisationPlatform
+ * @property {string} id - Platform identifier
+ * @property {string} name - Display name
+ * @property {number} referenceLufs - Playback reference loudness (LUFS)
+ * @property {NormalisationBoost} boost - How quiet programmes are turned up
+ * @property {number} ceiling - Peak ceiling for 'headroom' and 'limiter' (dBTP)
+ */
+
+/**
+ * Platform profiles by identifier, in display order.
+ * @type {Readonly<Record<string, Readonly<NormalisationPlatform>>>}
+ */
+export const NORMALISATION_PLATFORMS = Object.freeze({
+  'spotify': Object.freeze({ id: 'spotify', name: 'Spotify', referenceLufs: -14, boost: 'limiter', ceiling: -1 }),
+  'youtube': Object.freeze({ id: 'youtube', name: 'YouTube', referenceLufs: -14, boost: 'none', ceiling: -1 }),
+  'apple-music': Object.freeze({ id: 'apple-music', name: 'Apple Music', referenceLufs: -16, boost: 'headroom', ceiling: -1 }),
+  'amazon-music': Object.freeze({ id: 'amazon-music', name: 'Amazon Music', referenceLufs: -14, boost: 'none', ceiling: -1 }),
+  'tidal': Object.freeze({ id: 'tidal', name: 'Tidal', referenceLufs: -14, boost: 'none', ceiling: -1 }),
+  'deezer': Object.freeze({ id: 'deezer', name: 'Deezer', referenceLufs: -15, boost: 'none', ceiling: -1 })
+});
+
+/**
+ * Get a platform profile by identifier.
+ *
+ * @param {string} id - Platform identifier (a key of NORMALISATION_PLATFORMS)
+ * @returns {Readonly<NormalisationPlatform>} Platform profile
+ * @throws {RangeError} If the platform is unknown
+ */
+export function getNormalisationPlatform(id) {
+  const platform = NORMALISATION_PLATFORMS[id];
+  if (!platform) {
+    throw new RangeError(`Unknown normalisation platform: ${id}`);
+  }
+  return platform;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CALCULATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} NormalisationResult
+ * @property {string} platform - Platform identifier
+ * @property {number} gain - Gain the platform applies (dB)
+ * @property {number} loudness - Integrated loudness after normalisation (LUFS)
+ * @property {number} truePeak - Maximum True Peak after normalisation and limiter (dBTP)
+ * @property {boolean} boostCapped - Boost stopped short of the reference by the peak ceiling
+ * @property {boolean} limiter - The platform's limiter engages
+ * @property {number} limiterReduction - Peak reduction by the limiter (dB, 0 if it does not engage)
+ */
+
+/**
+ * Predict a platform's normalisation of a programme.
+ *
+ * @param {{integrated: number, truePeakMax: number}} measured - Integrated loudness (LUFS) and maximum True Peak (dBTP)
+ * @param {NormalisationPlatform} platform - Platform profile
+ * @returns {NormalisationResult|null} Result, or null while integrated loudness is not available
+ *
+ * @example
+ * // −20 LUFS, −6 dBTP on Spotify: +6 dB, peaks at 0 dBTP, limiter takes 1 dB
+ * calculateNormalisation({ integrated: -20, truePeakMax: -6 }, getNormalisationPlatform('spotify'));
+ */
+export function calculateNormalisation({ integrated, truePeakMax }, platform) {
+  if (!Number.isFinite(integrated)) return null;
+
+  const wanted = platform.referenceLufs - integrated;
+  let gain = wanted;
+  let boostCapped = false;
+
+  if (wanted > 0 && platform.boost === 'none') {
+    gain = 0;
+  } else if (wanted > 0 && platform.boost === 'headroom') {
+    // Silent peaks (−∞) leave unlimited headroom
+    gain = Math.max(0, Math.min(wanted, platform.ceiling - truePeakMax));
+    boostCapped = gain < wanted;
+  }
+
+  let truePeak = truePeakMax + gain;
+  let limiterReduction = 0;
+  if (platform.boost === 'limiter' && gain > 0 && truePeak > platform.ceiling) {
+    limiterReduction = truePeak - platform.ceiling;
+    truePeak = platform.ceiling;
+  }
+
+  return {
+    platform: platform.id,
+    gain,
+    loudness: integrated + gain,
+    truePeak,
+    boostCapped,
+    limiter: limiterReduction > 0,
+    limiterReduction
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PREVIEW LIMITER
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Lookahead of the preview limiter (s); also its delay */
+export const LIMITER_LOOKAHEAD_S = 0.002;
+
+/** Release time constant of the preview limiter (s) */
+export const LIMITER_RELEASE_S = 0.1;
+
+/**
+ * Lookahead peak limiter holding sample peaks at a ceiling (see PREVIEW
+ * LIMITER above). Channels share one gain so the image does not shift.
+ */
+export class PeakLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.sampleRate - Sample rate in Hz
+   * @param {number|null} options.ceilingDb - Highest output sample (dBFS), or null to pass the signal unchanged (still delayed)
+   * @param {number} [options.lookaheadS=LIMITER_LOOKAHEAD_S] - Lookahead (s)
+   * @param {number} [options.releaseS=LIMITER_RELEASE_S] - Release time constant (s)
+   */
+  constructor({ sampleRate, ceilingDb, lookaheadS = LIMITER_LOOKAHEAD_S, releaseS = LIMITER_RELEASE_S }) {
+    /** Lookahead and averaging window in frames */
+    this.length = Math.max(1, Math.round(lookaheadS * sampleRate));
+    /** Output delay in frames */
+    this.latencyFrames = this.length - 1;
+    this.releaseCoeff = 1 - Math.exp(-1 / (releaseS * sampleRate));
+    /** @type {number} */
+    this.ceiling = 1;
+    this.setCeiling(ceilingDb);
+
+    /** @type {Float32Array[]} Delay line per channel */
+    this.delay = [];
+    /** Gain each of the last `length` input frames needs */
+    this.needed = new Float64Array(this.length);
+    /** Held and released gain of the last `length` frames (averaged) */
+    this.released = new Float64Array(this.length);
+    /** Write position in the delay line and gain windows */
+    this.position = 0;
+    /** Lowest needed gain in the window, and frames since it was needed */
+    this.held = 1;
+    this.heldAge = 0;
+    /** Released gain */
+    this.envelope = 1;
+    /** Running sum of `released` */
+    this.sum = this.length;
+    this.reset();
+  }
+
+  /**
+   * Change the ceiling; the gain releases from any reduction in progress.
+   * @param {number|null} ceilingDb - Highest output sample (dBFS), or null for no limiting
+   */
+  setCeiling(ceilingDb) {
+    this.ceiling = ceilingDb === null ? Infinity : Math.pow(10, ceilingDb / 20);
+  }
+
+  reset() {
+    this.delay = this.delay.map(() => new Float32Array(this.length));
+    this.needed.fill(1);
+    this.released.fill(1);
+    this.position = 0;
+    this.held = 1;
+    this.heldAge = 0;
+    this.envelope = 1;
+    this.sum = this.length;
+  }
+
+  /**
+   * Limit one block, all channels with the same gain.
+   *
+   * @param {Float32Array[]} input - Input channels (missing channels are silent)
+   * @param {Float32Array[]} output - Output channels, same length as the input
+   * @param {number} frames - Frames in this block
+   */
+  process(input, output, frames) {
+    const L = this.length;
+    while (this.delay.length < output.length) this.delay.push(new Float32Array(L));
+
+    for (let i = 0; i < frames; i++) {
+      let peak = 0;
+      for (let ch = 0; ch < input.length; ch++) {
+        const x = Math.abs(input[ch][i]);
+        if (x > peak) peak = x;
+      }
+      const needed = peak > this.ceiling ? this.ceiling / peak : 1;
+
+      // Lowest gain needed over the lookahead (rescanned only when the held one leaves it)
+      const p = this.position;
+      this.needed[p] = needed;
+      if (needed <= this.held) {
+        this.held = needed;
+        this.heldAge = 0;
+      } else if (++this.heldAge >= L) {
+        this.held = 1;
+        this.heldAge = 0;
+        for (let k = 0; k < L; k++) {
+          const index = (p - k + L) % L;
+          if (this.needed[index] < this.held) {
+            this.held = this.needed[index];
+            this.heldAge = k;
+          }
+        }
+      }
+
+      // Release towards the held gain, never above it; then average over the lookahead
+      this.envelope = Math.min(this.held, this.envelope + (this.held - this.envelope) * this.releaseCoeff);
+      this.sum += this.envelope - this.released[p];
+      this.released[p] = this.envelope;
+      const gain = this.sum / L;
+
+      const read = (p + 1) % L;
+      for (let ch = 0; ch < output.length; ch++) {
+        const line = this.delay[ch];
+        line[p] = ch < input.length ? input[ch][i] : 0;
+        output[ch][i] = line[read] * gain;
+      }
+
+      this.position = read;
+      // Resynchronise the running sum once per lap
+      if (read === 0) this.sum = this.released.reduce((total, g) => total + g, 0);
+    }
+  }
+}
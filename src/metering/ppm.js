@@ -12,7 +12,7 @@
 
 /**
  * ═══════════════════════════════════════════════════════════════════════════════
- * NORDIC PPM METER (IEC 60268-10 TYPE I)
+ * PROGRAMME LEVEL METERS (IEC 60268-10 PPM, IEC 60268-17 VU)
  * ═══════════════════════════════════════════════════════════════════════════════
  *
  * PURPOSE
@@ -21,6 +21,9 @@
  * This quasi-peak meter type provides consistent level indication for speech
  * and music with standardized attack and decay ballistics.
  *
+ * The German, British and EBU PPM variants and the VU meter are available
+ * as selectable standards (PPM_STANDARDS); Nordic remains the default.
+ *
  * REFERENCE LEVELS (EBU R68)
  * ──────────────────────────
  *   0 PPM = 0 dBu = −18 dBFS (peak) – broadcast alignment tone level
@@ -39,9 +42,23 @@
  *   Maximum: +9 PPM (−9 dBFS)
  *   Range: 45 dB
  *
+ * STANDARDS
+ * ─────────
+ *   id       Meter                     Attack (5 kHz burst)   Return          Scale
+ *   nordic   Nordic PPM (Type I)       10 ms → −1.2 dB        20 dB / 1.7 s   −36…+9, TEST 0
+ *   din      DIN 45406 PPM (Type I)    10 ms → −1 dB          20 dB / 1.5 s   −50…+5 dB, PML 0
+ *   bbc      BBC PPM (Type IIa)        10 ms → −2.5 dB        24 dB / 2.8 s   marks 1–7, 4 = TEST
+ *   ebu      EBU PPM (Type IIb)        10 ms → −2.5 dB        24 dB / 2.8 s   −12…+12 dB, TEST 0
+ *   vu       VU (IEC 60268-17)         99% in 300 ms, 1–1.5% overshoot       −20…+3 VU
+ *
+ * All standards share the EBU R68 alignment (−18 dBFS = 0 dBu) except VU,
+ * which follows SMPTE RP 155 (0 VU = +4 dBu = −20 dBFS).
+ *
  * @module metering/ppm
  * @see IEC 60268-10 (Sound system equipment - Peak programme level meters)
  * @see EBU R68 (Alignment level in digital audio production equipment)
+ * @see IEC 60268-17 (Standard volume indicators)
+ * @see DIN 45406 (Aussteuerungsmesser für elektroakustische Breitbandübertragung)
  * @see ITU-R BS.645 (Test signals and metering)
  * ═══════════════════════════════════════════════════════════════════════════════
  */
@@ -141,6 +158,251 @@ export const RC_ATTACK_TIME_CONSTANT_S = 0.0017;
  */
 export const RC_DECAY_TIME_CONSTANT_S = 0.740;
 
+/**
+ * VU meter needle damping ratio (IEC 60268-17).
+ *
+ * The VU meter is a full-wave averaging rectifier driving a moving coil,
+ * modelled as a second-order system. Overshoot on a step of
+ * e^(−πζ/√(1−ζ²)) = 1.3% lies inside the specified 1–1.5%.
+ *
+ * @type {number}
+ * @see IEC 60268-17 Section 5 (Dynamic characteristics)
+ */
+export const VU_DAMPING_RATIO = 0.81;
+
+/**
+ * VU meter needle natural frequency in rad/s.
+ * With VU_DAMPING_RATIO this reaches 99% of the steady reading 300 ms
+ * after a 1 kHz tone is applied.
+ * @type {number}
+ */
+export const VU_NATURAL_FREQUENCY = 13.4;
+
+/**
+ * Level of 0 VU in dBFS (SMPTE RP 155: 0 VU = +4 dBu = −20 dBFS).
+ * @type {number}
+ */
+export const VU_REFERENCE_DBFS = -20;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// METER STANDARDS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} PPMScaleMark
+ * @property {number} ppm - Reading on the standard's own scale
+ * @property {number} dbfs - Equivalent level in dBFS
+ * @property {string} label - Scale label
+ */
+
+/**
+ * @typedef {Object} PPMStandard
+ * @property {string} id - Standard identifier
+ * @property {string} name - Short name (meter tab)
+ * @property {string} badge - Full name (meter badge)
+ * @property {'quasi-peak'|'vu'} detector - Detector type
+ * @property {number} attackTimeConstant - RC charge time constant in seconds (quasi-peak)
+ * @property {number} decayTimeConstant - RC discharge time constant in seconds (quasi-peak)
+ * @property {number} minDbfs - Bottom of the scale in dBFS
+ * @property {number} maxDbfs - Top of the scale in dBFS
+ * @property {number} alignmentDbfs - Alignment (TEST) level in dBFS
+ * @property {number} cautionDbfs - Amber zone starts here (dBFS)
+ * @property {number} hotDbfs - Red zone starts here (dBFS)
+ * @property {number|null} limitDbfs - Permitted Maximum Level in dBFS, or null if the scale has none
+ * @property {string} unit - Reading unit for display ('PPM', 'dB', 'VU' or '' for BBC marks)
+ * @property {boolean} peakHold - Whether the meter shows a peak-hold marker
+ * @property {ReadonlyArray<string>} alignmentTag - Alignment label lines
+ * @property {ReadonlyArray<string>} limitTag - PML label lines
+ * @property {ReadonlyArray<PPMScaleMark>} marks - Scale markings, highest first
+ */
+
+/**
+ * Default meter standard.
+ * @type {string}
+ */
+export const DEFAULT_PPM_STANDARD = 'nordic';
+
+/**
+ * BBC scale: marks 2–7 are 4 dB apart with 4 = alignment; 1–2 is 6 dB.
+ * @param {number} dbfs - Level in dBFS
+ * @returns {number} Reading in BBC marks
+ */
+function dbfsToBBC(dbfs) {
+  const mark2 = -26;
+  return dbfs >= mark2 ? 4 + (dbfs + 18) / 4 : 2 - (mark2 - dbfs) / 6;
+}
+
+/**
+ * @param {number} mark - Reading in BBC marks
+ * @returns {number} Level in dBFS
+ */
+function bbcToDbfs(mark) {
+  return mark >= 2 ? (mark - 4) * 4 - 18 : -26 - (2 - mark) * 6;
+}
+
+/**
+ * @param {number[]} values - Scale readings, highest first
+ * @param {number} offset - Reading minus dBFS
+ * @param {Record<number, string>} [labels] - Label overrides
+ * @returns {ReadonlyArray<PPMScaleMark>} Frozen markings
+ */
+function offsetMarks(values, offset, labels = {}) {
+  return Object.freeze(values.map(value => Object.freeze({
+    ppm: value,
+    dbfs: value - offset,
+    label: labels[value] || (value > 0 ? `+${value}` : String(value))
+  })));
+}
+
+/**
+ * Decay time constant for a return of `db` decibels in `seconds`.
+ * Exponential decay of the linear envelope is linear on the dB scale:
+ * τ = t × 20·log₁₀(e) / ΔdB.
+ * @param {number} db - Return in dB
+ * @param {number} seconds - Return time
+ * @returns {number} Time constant in seconds
+ */
+function returnTimeConstant(db, seconds) {
+  return seconds * 20 * Math.LOG10E / db;
+}
+
+/**
+ * Supported meter standards by identifier.
+ *
+ * Attack time constants are fitted to IEC 60268-10 tone-burst readings
+ * (5 kHz burst, reading relative to steady state) for the rectified-sine
+ * RC detector in calculateQuasiPeakRC().
+ *
+ * @type {Readonly<Record<string, Readonly<PPMStandard>>>}
+ */
+export const PPM_STANDARDS = Object.freeze({
+  nordic: Object.freeze({
+    id: 'nordic',
+    name: 'PPM',
+    badge: 'Nordic PPM (IEC 60268-10)',
+    detector: 'quasi-peak',
+    attackTimeConstant: RC_ATTACK_TIME_CONSTANT_S,
+    decayTimeConstant: RC_DECAY_TIME_CONSTANT_S,
+    minDbfs: PPM_MIN_DBFS,
+    maxDbfs: PPM_MAX_DBFS,
+    alignmentDbfs: -18,
+    cautionDbfs: -18,
+    hotDbfs: -12,
+    limitDbfs: -9,
+    unit: 'PPM',
+    peakHold: true,
+    alignmentTag: Object.freeze(['TEST', '0 PPM (0 dBu)', '−18 dBFS peak']),
+    limitTag: Object.freeze(['PML', '+9 PPM']),
+    marks: offsetMarks([9, 6, 3, 0, -6, -12, -18, -24, -36], PPM_DBFS_OFFSET, { 6: 'TEST' })
+  }),
+  din: Object.freeze({
+    id: 'din',
+    name: 'DIN',
+    badge: 'DIN PPM (DIN 45406)',
+    detector: 'quasi-peak',
+    attackTimeConstant: 0.0015, // 10 ms burst → −1 dB
+    decayTimeConstant: returnTimeConstant(20, 1.5), // 20 dB in 1.5 s
+    minDbfs: -59,
+    maxDbfs: -4,
+    alignmentDbfs: -18,
+    cautionDbfs: -18,
+    hotDbfs: -9,
+    limitDbfs: -9,
+    unit: 'dB',
+    peakHold: true,
+    alignmentTag: Object.freeze(['TEST', '−9 dB (0 dBu)', '−18 dBFS peak']),
+    limitTag: Object.freeze(['PML', '0 dB']),
+    marks: offsetMarks([5, 0, -5, -10, -20, -30, -40, -50], 9)
+  }),
+  bbc: Object.freeze({
+    id: 'bbc',
+    name: 'BBC',
+    badge: 'BBC PPM (IEC 60268-10 IIa)',
+    detector: 'quasi-peak',
+    attackTimeConstant: 0.0031, // 10 ms burst → −2.5 dB
+    decayTimeConstant: returnTimeConstant(24, 2.8), // 24 dB in 2.8 s
+    minDbfs: -34,
+    maxDbfs: -4,
+    alignmentDbfs: -18,
+    cautionDbfs: -18,
+    hotDbfs: -10,
+    limitDbfs: -10,
+    unit: '',
+    peakHold: true,
+    alignmentTag: Object.freeze(['TEST', 'PPM 4 (0 dBu)', '−18 dBFS peak']),
+    limitTag: Object.freeze(['PML', 'PPM 6']),
+    marks: Object.freeze([7, 6, 5, 4, 3, 2, 1].map(mark => Object.freeze({
+      ppm: mark,
+      dbfs: bbcToDbfs(mark),
+      label: String(mark)
+    })))
+  }),
+  ebu: Object.freeze({
+    id: 'ebu',
+    name: 'EBU',
+    badge: 'EBU PPM (IEC 60268-10 IIb)',
+    detector: 'quasi-peak',
+    attackTimeConstant: 0.0031,
+    decayTimeConstant: returnTimeConstant(24, 2.8),
+    minDbfs: -30,
+    maxDbfs: -6,
+    alignmentDbfs: -18,
+    cautionDbfs: -18,
+    hotDbfs: -9,
+    limitDbfs: -9,
+    unit: 'dB',
+    peakHold: true,
+    alignmentTag: Object.freeze(['TEST', '0 dB (0 dBu)', '−18 dBFS peak']),
+    limitTag: Object.freeze(['PML', '+9 dB']),
+    marks: offsetMarks([12, 8, 4, 0, -4, -8, -12], PPM_DBFS_OFFSET, { 0: 'TEST' })
+  }),
+  vu: Object.freeze({
+    id: 'vu',
+    name: 'VU',
+    badge: 'VU (IEC 60268-17)',
+    detector: 'vu',
+    attackTimeConstant: 0,
+    decayTimeConstant: 0,
+    minDbfs: VU_REFERENCE_DBFS - 20,
+    maxDbfs: VU_REFERENCE_DBFS + 3,
+    alignmentDbfs: VU_REFERENCE_DBFS,
+    cautionDbfs: VU_REFERENCE_DBFS - 3,
+    hotDbfs: VU_REFERENCE_DBFS,
+    limitDbfs: null,
+    unit: 'VU',
+    peakHold: false,
+    alignmentTag: Object.freeze(['REF', '0 VU (+4 dBu)', '−20 dBFS']),
+    limitTag: Object.freeze([]),
+    marks: offsetMarks([3, 2, 1, 0, -1, -2, -3, -5, -7, -10, -20], -VU_REFERENCE_DBFS)
+  })
+});
+
+/**
+ * Get a meter standard by identifier.
+ *
+ * @param {string} id - Standard identifier ('nordic', 'din', 'bbc', 'ebu', 'vu')
+ * @returns {Readonly<PPMStandard>} Standard definition
+ * @throws {RangeError} If the standard is unknown
+ */
+export function getPPMStandard(id) {
+  const standard = PPM_STANDARDS[id];
+  if (!standard) {
+    throw new RangeError(`Unknown PPM standard: ${id}`);
+  }
+  return standard;
+}
+
+/**
+ * Get a meter standard by identifier, falling back to the default for
+ * unknown identifiers (e.g. a stale stored setting).
+ *
+ * @param {string} id - Standard identifier
+ * @returns {Readonly<PPMStandard>} Standard definition
+ */
+export function findPPMStandard(id) {
+  return Object.hasOwn(PPM_STANDARDS, id) ? PPM_STANDARDS[id] : PPM_STANDARDS[DEFAULT_PPM_STANDARD];
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // QUASI-PEAK DETECTION
 // ─────────────────────────────────────────────────────────────────────────────
@@ -238,9 +500,12 @@ export function calculateQuasiPeakStereo(leftBuffer, rightBuffer, sampleRate) {
  * the simplified window-max approach, with correct transient response for
  * tone bursts per IEC 60268-10 conformance testing.
  *
+ * Other standards pass their own time constants (see PPM_STANDARDS).
+ *
  * @param {Float32Array} buffer - Audio samples
  * @param {number} sampleRate - Sample rate in Hz
  * @param {RCDetectorState} state - Persistent state object (modified in place)
+ * @param {Pick<PPMStandard, 'attackTimeConstant'|'decayTimeConstant'>} [ballistics] - Time constants (default: Nordic)
  * @returns {number} Quasi-peak level in dBFS
  *
  * @example
@@ -254,11 +519,11 @@ export function calculateQuasiPeakStereo(leftBuffer, rightBuffer, sampleRate) {
  *
  * @see IEC 60268-10 Section 6.2 (Integration and return characteristics)
  */
-export function calculateQuasiPeakRC(buffer, sampleRate, state) {
+export function calculateQuasiPeakRC(buffer, sampleRate, state, ballistics = PPM_STANDARDS.nordic) {
   // Calculate per-sample filter coefficients
   const dt = 1 / sampleRate;
-  const attackCoeff = 1 - Math.exp(-dt / RC_ATTACK_TIME_CONSTANT_S);
-  const decayCoeff = 1 - Math.exp(-dt / RC_DECAY_TIME_CONSTANT_S);
+  const attackCoeff = 1 - Math.exp(-dt / ballistics.attackTimeConstant);
+  const decayCoeff = 1 - Math.exp(-dt / ballistics.decayTimeConstant);
 
   let envelope = state.envelope || 0;
 
@@ -301,6 +566,76 @@ export function calculateQuasiPeakRCStereo(leftBuffer, rightBuffer, sampleRate,
   };
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// VU DETECTOR (IEC 60268-17)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} VUDetectorState
+ * @property {number} envelope - Needle position (linear, sine peak equivalent)
+ * @property {number} velocity - Needle velocity (per second)
+ */
+
+/**
+ * Process audio buffer through a VU meter model.
+ *
+ * Full-wave average rectifier driving a second-order needle:
+ *
+ *   p'' = ωₙ² × (|x| × π/2 − p) − 2ζωₙ × p'
+ *
+ * The π/2 factor calibrates the average-responding rectifier so a steady
+ * sine reads its peak level in dBFS, like the PPM detectors; the scale
+ * then places 0 VU at VU_REFERENCE_DBFS. The needle rests on its stop at 0.
+ *
+ * @param {Float32Array} buffer - Audio samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {VUDetectorState} state - Persistent state object (modified in place)
+ * @returns {number} VU level in dBFS (sine peak equivalent)
+ * @see IEC 60268-17 Section 5 (Dynamic characteristics)
+ */
+export function calculateVU(buffer, sampleRate, state) {
+  const dt = 1 / sampleRate;
+  const wn = VU_NATURAL_FREQUENCY;
+  const stiffness = wn * wn;
+  const damping = 2 * VU_DAMPING_RATIO * wn;
+  const gain = Math.PI / 2;
+
+  let position = state.envelope || 0;
+  let velocity = state.velocity || 0;
+
+  for (let i = 0; i < buffer.length; i++) {
+    // Semi-implicit Euler: stable for ωₙ × dt ≪ 1
+    velocity += (stiffness * (Math.abs(buffer[i]) * gain - position) - damping * velocity) * dt;
+    position += velocity * dt;
+
+    if (position < 0) {
+      position = 0;
+      velocity = 0;
+    }
+  }
+
+  state.envelope = position;
+  state.velocity = velocity;
+
+  return 20 * Math.log10(position + 1e-12);
+}
+
+/**
+ * Run the detector of a meter standard (quasi-peak RC or VU).
+ *
+ * @param {Float32Array} buffer - Audio samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {VUDetectorState} state - Persistent state object (modified in place)
+ * @param {PPMStandard} [standard] - Meter standard (default: Nordic)
+ * @returns {number} Detector output in dBFS
+ */
+export function detectProgrammeLevel(buffer, sampleRate, state, standard = PPM_STANDARDS.nordic) {
+  if (standard.detector === 'vu') {
+    return calculateVU(buffer, sampleRate, state);
+  }
+  return calculateQuasiPeakRC(buffer, sampleRate, state, standard);
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // PPM METER CLASS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -320,6 +655,9 @@ export function calculateQuasiPeakRCStereo(leftBuffer, rightBuffer, sampleRate,
  * - **'window'**: Simplified window-maximum approach, faster but may
  *   over-read on fast transients.
  *
+ * The `standard` option selects DIN, BBC, EBU or VU ballistics and scale
+ * instead of Nordic. VU always uses its own detector.
+ *
  * @example
  * const ppm = new PPMMeter({ sampleRate: 48000 });
  *
@@ -337,6 +675,8 @@ export class PPMMeter {
   peakHoldSeconds;
   /** @type {'rc'|'window'} */
   detectorMode;
+  /** @type {Readonly<PPMStandard>} */
+  standard;
   /** @type {number} */
   holdL;
   /** @type {number} */
@@ -351,9 +691,9 @@ export class PPMMeter {
   peakTimeL;
   /** @type {number} */
   peakTimeR;
-  /** @type {RCDetectorState} */
+  /** @type {VUDetectorState} */
   rcStateL;
-  /** @type {RCDetectorState} */
+  /** @type {VUDetectorState} */
   rcStateR;
 
   /**
@@ -361,19 +701,21 @@ export class PPMMeter {
    * @param {number} options.sampleRate - Audio sample rate in Hz
    * @param {number} [options.peakHoldSeconds=PPM_PEAK_HOLD_S] - Peak hold duration
    * @param {'rc'|'window'} [options.detectorMode='rc'] - Quasi-peak detector algorithm
+   * @param {string} [options.standard=DEFAULT_PPM_STANDARD] - Meter standard ('nordic', 'din', 'bbc', 'ebu', 'vu')
    */
-  constructor({ sampleRate, peakHoldSeconds = PPM_PEAK_HOLD_S, detectorMode = 'rc' }) {
+  constructor({ sampleRate, peakHoldSeconds = PPM_PEAK_HOLD_S, detectorMode = 'rc', standard = DEFAULT_PPM_STANDARD }) {
     this.sampleRate = sampleRate;
     this.peakHoldSeconds = peakHoldSeconds;
     this.detectorMode = detectorMode;
+    this.standard = getPPMStandard(standard);
 
     // Ballistic state (held values with decay)
     this.holdL = -60;
     this.holdR = -60;
 
     // RC detector state (persistent across buffer calls)
-    this.rcStateL = { envelope: 0 };
-    this.rcStateR = { envelope: 0 };
+    this.rcStateL = { envelope: 0, velocity: 0 };
+    this.rcStateR = { envelope: 0, velocity: 0 };
 
     // Timing for decay calculation (used in 'window' mode)
     this.lastUpdateTime = performance.now();
@@ -399,11 +741,11 @@ export class PPMMeter {
 
     let peakDbL, peakDbR;
 
-    if (this.detectorMode === 'rc') {
+    if (this.detectorMode === 'rc' || this.standard.detector === 'vu') {
       // RC detector: ballistics are applied sample-by-sample within the function
       // The returned value already has correct attack/decay characteristics
-      peakDbL = calculateQuasiPeakRC(leftBuffer, this.sampleRate, this.rcStateL);
-      peakDbR = calculateQuasiPeakRC(rightBuffer, this.sampleRate, this.rcStateR);
+      peakDbL = detectProgrammeLevel(leftBuffer, this.sampleRate, this.rcStateL, this.standard);
+      peakDbR = detectProgrammeLevel(rightBuffer, this.sampleRate, this.rcStateR, this.standard);
 
       // RC mode: use the detector output directly (ballistics already applied)
       this.holdL = peakDbL;
@@ -413,27 +755,75 @@ export class PPMMeter {
       peakDbL = calculateQuasiPeak(leftBuffer, this.sampleRate);
       peakDbR = calculateQuasiPeak(rightBuffer, this.sampleRate);
 
-      // Calculate decay for this frame
-      const decayDb = PPM_DECAY_DB_PER_S * dt;
+      // Calculate decay for this frame (20·log₁₀(e) / τ dB per second)
+      const decayDb = this.standard.id === 'nordic'
+        ? PPM_DECAY_DB_PER_S * dt
+        : 20 * Math.LOG10E / this.standard.decayTimeConstant * dt;
+      const floorDb = this.standard.minDbfs;
 
       // Apply IEC Type I ballistics: instant attack, linear decay
       // With hysteresis to prevent instability on constant tones
       if (peakDbL > this.holdL) {
         this.holdL = peakDbL;  // Instant attack
       } else if (peakDbL < this.holdL - PPM_HYSTERESIS_DB) {
-        this.holdL = Math.max(PPM_MIN_DBFS, this.holdL - decayDb);  // Linear decay
+        this.holdL = Math.max(floorDb, this.holdL - decayDb);  // Linear decay
       }
 
       if (peakDbR > this.holdR) {
         this.holdR = peakDbR;
       } else if (peakDbR < this.holdR - PPM_HYSTERESIS_DB) {
-        this.holdR = Math.max(PPM_MIN_DBFS, this.holdR - decayDb);
+        this.holdR = Math.max(floorDb, this.holdR - decayDb);
       }
     }
 
+    this._updatePeakHold(now);
+  }
+
+  /**
+   * Update meter with already-detected quasi-peak levels.
+   * Use this when the detector runs elsewhere (e.g. the RC detector in the
+   * metering AudioWorklet) and only its output arrives here. The levels are
+   * treated as final ballistics, exactly like the 'rc' detector mode.
+   *
+   * @param {number} leftDbfs - Left channel quasi-peak in dBFS
+   * @param {number} rightDbfs - Right channel quasi-peak in dBFS
+   */
+  updateLevels(leftDbfs, rightDbfs) {
+    const now = performance.now();
+    this.lastUpdateTime = now;
+
+    this.holdL = leftDbfs;
+    this.holdR = rightDbfs;
+
+    this._updatePeakHold(now);
+  }
+
+  /**
+   * Select a different meter standard.
+   * Detector and peak-hold state restart, since ballistics differ.
+   *
+   * @param {string} id - Standard identifier ('nordic', 'din', 'bbc', 'ebu', 'vu')
+   * @throws {RangeError} If the standard is unknown
+   */
+  setStandard(id) {
+    this.standard = getPPMStandard(id);
+    this.rcStateL = { envelope: 0, velocity: 0 };
+    this.rcStateR = { envelope: 0, velocity: 0 };
+    this.holdL = -60;
+    this.holdR = -60;
+    this.resetPeakHold();
+  }
+
+  /**
+   * Update the 3-second peak hold from the current ballistic values.
+   * @private
+   * @param {number} now - Current time from performance.now()
+   */
+  _updatePeakHold(now) {
     // Clamp to display range
-    const displayL = Math.max(PPM_MIN_DBFS, Math.min(PPM_MAX_DBFS, this.holdL));
-    const displayR = Math.max(PPM_MIN_DBFS, Math.min(PPM_MAX_DBFS, this.holdR));
+    const { minDbfs, maxDbfs } = this.standard;
+    const displayL = Math.max(minDbfs, Math.min(maxDbfs, this.holdL));
+    const displayR = Math.max(minDbfs, Math.min(maxDbfs, this.holdR));
 
     // Peak hold logic (3s hold)
     const nowSec = now / 1000;
@@ -461,8 +851,9 @@ export class PPMMeter {
    * @returns {PPMMeterState} Current readings in both dBFS and PPM scale
    */
   getState() {
-    const displayL = Math.max(PPM_MIN_DBFS, Math.min(PPM_MAX_DBFS, this.holdL));
-    const displayR = Math.max(PPM_MIN_DBFS, Math.min(PPM_MAX_DBFS, this.holdR));
+    const { id, minDbfs, maxDbfs } = this.standard;
+    const displayL = Math.max(minDbfs, Math.min(maxDbfs, this.holdL));
+    const displayR = Math.max(minDbfs, Math.min(maxDbfs, this.holdR));
 
     return {
       // dBFS values (digital domain)
@@ -477,9 +868,14 @@ export class PPMMeter {
       ppmScaleHoldLeft: dbfsToPPM(this.peakHoldL),
       ppmScaleHoldRight: dbfsToPPM(this.peakHoldR),
 
+      // Readings on the selected standard's scale
+      standard: id,
+      readingLeft: dbfsToScale(displayL, id),
+      readingRight: dbfsToScale(displayR, id),
+
       // Silence detection
-      isSilentLeft: displayL <= PPM_MIN_DBFS + 1,
-      isSilentRight: displayR <= PPM_MIN_DBFS + 1
+      isSilentLeft: displayL <= minDbfs + 1,
+      isSilentRight: displayR <= minDbfs + 1
     };
   }
 
@@ -494,7 +890,7 @@ export class PPMMeter {
 
 /**
  * @typedef {Object} PPMMeterState
- * @property {number} dbfsLeft - Current left level (dBFS)
+ * @property {number} dbfsLeft - Current left level (dBFS, clamped to the standard's scale)
  * @property {number} dbfsRight - Current right level (dBFS)
  * @property {number} dbfsHoldLeft - Peak hold left (dBFS, 3s)
  * @property {number} dbfsHoldRight - Peak hold right (dBFS, 3s)
@@ -502,6 +898,9 @@ export class PPMMeter {
  * @property {number} ppmScaleRight - Current right level (Nordic PPM)
  * @property {number} ppmScaleHoldLeft - Peak hold left (Nordic PPM)
  * @property {number} ppmScaleHoldRight - Peak hold right (Nordic PPM)
+ * @property {string} standard - Meter standard identifier
+ * @property {number} readingLeft - Current left level on the standard's scale
+ * @property {number} readingRight - Current right level on the standard's scale
  * @property {boolean} isSilentLeft - Left channel below scale minimum
  * @property {boolean} isSilentRight - Right channel below scale minimum
  */
@@ -575,21 +974,81 @@ export function formatDBu(dbu, decimals = 1) {
   return sign + dbu.toFixed(decimals) + ' dBu';
 }
 
+/**
+ * Convert dBFS to a reading on a standard's own scale
+ * (PPM, DIN/EBU dB, BBC marks or VU).
+ *
+ * @param {number} dbfs - Level in dBFS
+ * @param {string} [standardId=DEFAULT_PPM_STANDARD] - Meter standard
+ * @returns {number} Scale reading
+ *
+ * @example
+ * dbfsToScale(-18, 'bbc');  // 4 (alignment)
+ * dbfsToScale(-18, 'din');  // -9
+ */
+export function dbfsToScale(dbfs, standardId = DEFAULT_PPM_STANDARD) {
+  switch (standardId) {
+    case 'bbc':
+      return dbfsToBBC(dbfs);
+    case 'din':
+      return dbfs + 9;
+    case 'vu':
+      return dbfs - VU_REFERENCE_DBFS;
+    default:
+      getPPMStandard(standardId);
+      return dbfs + PPM_DBFS_OFFSET;
+  }
+}
+
+/**
+ * Convert a reading on a standard's scale to dBFS.
+ *
+ * @param {number} value - Scale reading
+ * @param {string} [standardId=DEFAULT_PPM_STANDARD] - Meter standard
+ * @returns {number} Level in dBFS
+ */
+export function scaleToDbfs(value, standardId = DEFAULT_PPM_STANDARD) {
+  switch (standardId) {
+    case 'bbc':
+      return bbcToDbfs(value);
+    case 'din':
+      return value - 9;
+    case 'vu':
+      return value + VU_REFERENCE_DBFS;
+    default:
+      getPPMStandard(standardId);
+      return value - PPM_DBFS_OFFSET;
+  }
+}
+
+/**
+ * Format a scale reading for display, without unit.
+ * BBC marks are unsigned; the other scales carry a sign.
+ *
+ * @param {number} value - Scale reading from dbfsToScale()
+ * @param {string} [standardId=DEFAULT_PPM_STANDARD] - Meter standard
+ * @param {number} [decimals=1] - Decimal places
+ * @returns {string} Formatted reading (e.g. "+3.5", "4.5", "--.-")
+ */
+export function formatScaleReading(value, standardId = DEFAULT_PPM_STANDARD, decimals = 1) {
+  const standard = getPPMStandard(standardId);
+  if (!isFinite(value) || scaleToDbfs(value, standardId) < standard.minDbfs) {
+    return '--.-';
+  }
+  if (standardId === 'bbc') {
+    return value.toFixed(decimals);
+  }
+  const sign = value >= 0 ? '+' : '';
+  return sign + value.toFixed(decimals);
+}
+
 /**
  * Get PPM scale markings for meter rendering.
  *
- * @returns {Array<{ppm: number, dbfs: number, label: string}>} Scale markings
- */
-export function getPPMScaleMarkings() {
-  return [
-    { ppm: 9, dbfs: -9, label: '+9' },
-    { ppm: 6, dbfs: -12, label: 'TEST' },
-    { ppm: 3, dbfs: -15, label: '+3' },
-    { ppm: 0, dbfs: -18, label: '0' },
-    { ppm: -6, dbfs: -24, label: '-6' },
-    { ppm: -12, dbfs: -30, label: '-12' },
-    { ppm: -18, dbfs: -36, label: '-18' },
-    { ppm: -24, dbfs: -42, label: '-24' },
-    { ppm: -36, dbfs: -54, label: '-36' }
-  ];
+ * @param {string} [standardId=DEFAULT_PPM_STANDARD] - Meter standard
+ * @returns {Array<{ppm: number, dbfs: number, label: string}>} Scale markings, highest first
+ * @throws {RangeError} If the standard is unknown
+ */
+export function getPPMScaleMarkings(standardId = DEFAULT_PPM_STANDARD) {
+  return getPPMStandard(standardId).marks.map(mark => ({ ...mark }));
 }
@@ -0,0 +1,410 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PROGRAMME ANALYSIS (OFFLINE, FASTER THAN REAL TIME)
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Measures a complete programme (a decoded file) in one pass and produces
+ * an EBU R128 report for deliverable checks:
+ *
+ *   - Integrated loudness and Loudness Range (whole programme)
+ *   - Maximum momentary and maximum short-term loudness
+ *   - Maximum True Peak, sample peak and quasi-peak (PPM) per channel
+ *   - Programme and minimum phase correlation (stereo)
+ *   - Loudness-over-time and True-Peak-over-time curves at 10 Hz
+ *
+ * SIGNAL PATH
+ * ───────────
+ * The same DSP as live metering: StreamMeter (K-weighting, True Peak,
+ * IEC 60268-10 RC detector) feeds LUFSMeter and TruePeakMeter block by
+ * block; StereoMeter runs on each 100ms step. No timers are involved, so
+ * the result only depends on the samples and runs as fast as the CPU allows.
+ *
+ * Maximum momentary and short-term values are taken at the 10 Hz step rate
+ * once their window is full (EBU Tech 3341 Section 2.2).
+ *
+ * @module metering/programme-analysis
+ * @see EBU Tech 3341 (Loudness Metering: 'EBU Mode' metering)
+ * @see EBU Tech 3342 (Loudness Range)
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { StreamMeter, STREAM_HOP_SECONDS } from './stream-meter.js';
+import { LUFSMeter, GATING_STEP_S, MOMENTARY_WINDOW_S, SHORT_TERM_WINDOW_S, ABSOLUTE_GATE_LUFS } from './lufs.js';
+import { TruePeakMeter } from './true-peak.js';
+import { StereoMeter } from './correlation.js';
+import { getLayoutForChannelCount, getLayoutWeights, sumWeightedEnergy } from './channel-layout.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Interval between curve points and maximum checks in seconds (10 Hz).
+ * @type {number}
+ */
+export const ANALYSIS_STEP_S = GATING_STEP_S;
+
+/**
+ * Audio processed between yields to the event loop in analyseProgramme().
+ * @type {number}
+ */
+export const ANALYSIS_CHUNK_S = 10;
+
+/** Stream hops per analysis step */
+const HOPS_PER_STEP = Math.round(ANALYSIS_STEP_S / STREAM_HOP_SECONDS);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PROGRAMME ANALYSER CLASS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} ProgrammeCurves
+ * @property {number} interval - Seconds between points
+ * @property {number[]} momentary - Momentary loudness per step (LUFS, -Infinity until 400ms)
+ * @property {number[]} shortTerm - Short-term loudness per step (LUFS, -Infinity until 3s)
+ * @property {number[]} truePeak - Highest True Peak of any channel within each step (dBTP)
+ */
+
+/**
+ * @typedef {Object} ProgrammeReport
+ * @property {number} sampleRate - Sample rate in Hz
+ * @property {number} channelCount - Number of channels
+ * @property {string|null} layout - Channel layout identifier, or null if unknown
+ * @property {number[]} weights - BS.1770 channel weights Gᵢ used for loudness
+ * @property {number} duration - Programme duration in seconds
+ * @property {number} integrated - Integrated loudness (LUFS, -Infinity if fully gated)
+ * @property {number} integratedUngated - Integrated loudness without gating, BS.1770-1 (LUFS)
+ * @property {number|null} lra - Loudness Range (LU), or null if too short
+ * @property {number} maxMomentary - Maximum momentary loudness (LUFS)
+ * @property {number} maxShortTerm - Maximum short-term loudness (LUFS)
+ * @property {number} truePeakMax - Maximum True Peak over all channels (dBTP)
+ * @property {number[]} truePeakChannels - Maximum True Peak per channel (dBTP)
+ * @property {number[]} samplePeakChannels - Maximum sample peak per channel (dBFS)
+ * @property {number[]} quasiPeakChannels - Maximum quasi-peak (PPM detector) per channel (dBFS)
+ * @property {number|null} correlation - Programme phase correlation (null for mono)
+ * @property {number|null} correlationMin - Lowest 100ms correlation while not silent (null for mono)
+ * @property {ProgrammeCurves} curves - Loudness and True Peak over time
+ */
+
+/**
+ * Incremental whole-programme analyser.
+ *
+ * @example
+ * const analyser = new ProgrammeAnalyser({ sampleRate: 48000, channelCount: 2 });
+ *
+ * // Feed the programme in chunks of any size, then:
+ * analyser.process([left, right]);
+ * const report = analyser.finish();
+ * console.log(`I: ${report.integrated.toFixed(1)} LUFS, LRA: ${report.lra} LU`);
+ */
+export class ProgrammeAnalyser {
+  /** @type {number} */
+  sampleRate;
+  /** @type {number} */
+  channelCount;
+  /** @type {string|null} */
+  layout;
+  /** @type {number[]} */
+  weights;
+  /** @type {StreamMeter} */
+  stream;
+  /** @type {LUFSMeter} */
+  lufsMeter;
+  /** @type {TruePeakMeter} */
+  truePeakMeter;
+  /** @type {StereoMeter} */
+  stereoMeter;
+  /** @type {number} */
+  stepFrames;
+  /** @type {number} */
+  stepPosition;
+  /** @type {number} */
+  framesProcessed;
+  /** @type {number} */
+  stepsCompleted;
+  /** @type {Float32Array} */
+  stepL;
+  /** @type {Float32Array} */
+  stepR;
+  /** @type {number} */
+  maxMomentary = -Infinity;
+  /** @type {number} */
+  maxShortTerm = -Infinity;
+  /** @type {number} */
+  stepTruePeak = -Infinity;
+  /** @type {number[]} */
+  samplePeakMax = [];
+  /** @type {number[]} */
+  quasiPeakMax = [];
+  /** @type {number} */
+  sumLR = 0;
+  /** @type {number} */
+  sumLL = 0;
+  /** @type {number} */
+  sumRR = 0;
+  /** @type {number} */
+  correlationMin = Infinity;
+  /** @type {number[]} */
+  curveMomentary = [];
+  /** @type {number[]} */
+  curveShortTerm = [];
+  /** @type {number[]} */
+  curveTruePeak = [];
+
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} options.sampleRate - Audio sample rate in Hz
+   * @param {number} options.channelCount - Number of channels
+   * @param {number[]} [options.weights] - BS.1770 weights (default: from the matching layout, else 1.0)
+   * @param {import('./true-peak.js').TruePeakOversampling} [options.oversampling='auto'] - True Peak oversampling
+   */
+  constructor({ sampleRate, channelCount, weights, oversampling = 'auto' }) {
+    const layout = getLayoutForChannelCount(channelCount);
+
+    this.sampleRate = sampleRate;
+    this.channelCount = channelCount;
+    this.layout = layout ? layout.id : null;
+    this.weights = weights || (layout ? getLayoutWeights(layout.id) : new Array(channelCount).fill(1.0));
+
+    this.stream = new StreamMeter({ sampleRate, channelCount, oversampling });
+    this.lufsMeter = new LUFSMeter({ sampleRate, blockSize: this.stream.hopFrames });
+    this.truePeakMeter = new TruePeakMeter({ sampleRate, oversampling });
+    this.stereoMeter = new StereoMeter();
+
+    this.stepFrames = this.stream.hopFrames * HOPS_PER_STEP;
+    this.stepPosition = 0;
+    this.framesProcessed = 0;
+    this.stepsCompleted = 0;
+
+    // Raw L/R of the current step for the correlation meter
+    this.stepL = new Float32Array(channelCount > 1 ? this.stepFrames : 0);
+    this.stepR = new Float32Array(channelCount > 1 ? this.stepFrames : 0);
+
+    this._resetResults();
+  }
+
+  /**
+   * Process a chunk of the programme.
+   *
+   * @param {Float32Array[]} channels - One buffer per channel, equal lengths
+   * @param {number} [frames] - Frame count (defaults to the first buffer's length)
+   */
+  process(channels, frames = channels.length > 0 ? channels[0].length : 0) {
+    let offset = 0;
+
+    while (offset < frames) {
+      const start = offset;
+      const count = Math.min(frames - start, this.stepFrames - this.stepPosition);
+      const segment = channels.map(data => data.subarray(start, start + count));
+
+      for (const block of this.stream.process(segment, count)) {
+        this._pushBlock(block);
+      }
+
+      if (this.channelCount > 1) {
+        this.stepL.set(segment[0], this.stepPosition);
+        this.stepR.set(segment[1], this.stepPosition);
+      }
+
+      offset += count;
+      this.stepPosition += count;
+      this.framesProcessed += count;
+
+      if (this.stepPosition === this.stepFrames) {
+        this._completeStep();
+      }
+    }
+  }
+
+  /**
+   * Flush the last partial hop and build the report.
+   * A trailing partial step still counts towards peaks but adds no curve point.
+   *
+   * @returns {ProgrammeReport} Measurement results
+   */
+  finish() {
+    const remainder = this.stream.hopFrames - this.stream.hopPosition;
+    if (this.stream.hopPosition > 0) {
+      for (const block of this.stream.process([], remainder)) {
+        this._pushBlock(block);
+      }
+    }
+
+    return this.getReport();
+  }
+
+  /**
+   * Build the report from everything processed so far.
+   *
+   * @returns {ProgrammeReport} Measurement results
+   */
+  getReport() {
+    const stereo = this.channelCount > 1;
+    const correlationDenominator = Math.sqrt(this.sumLL * this.sumRR);
+
+    return {
+      sampleRate: this.sampleRate,
+      channelCount: this.channelCount,
+      layout: this.layout,
+      weights: this.weights.slice(),
+      duration: this.framesProcessed / this.sampleRate,
+      integrated: this.lufsMeter.getIntegrated(),
+      integratedUngated: this.lufsMeter.getIntegratedUngated(),
+      lra: this.lufsMeter.getLRA(),
+      maxMomentary: this.maxMomentary,
+      maxShortTerm: this.maxShortTerm,
+      truePeakMax: Math.max(...this.truePeakMeter.channelMax),
+      truePeakChannels: this.truePeakMeter.channelMax.slice(),
+      samplePeakChannels: this.samplePeakMax.slice(),
+      quasiPeakChannels: this.quasiPeakMax.slice(),
+      correlation: stereo ? (correlationDenominator > 1e-20 ? this.sumLR / correlationDenominator : 0) : null,
+      correlationMin: stereo ? (Number.isFinite(this.correlationMin) ? this.correlationMin : 0) : null,
+      curves: {
+        interval: this.stepFrames / this.sampleRate,
+        momentary: this.curveMomentary.slice(),
+        shortTerm: this.curveShortTerm.slice(),
+        truePeak: this.curveTruePeak.slice()
+      }
+    };
+  }
+
+  /**
+   * Clear all measurements and DSP state.
+   */
+  reset() {
+    this.stream.reset();
+    this.lufsMeter.reset();
+    this.truePeakMeter.reset();
+    this.stereoMeter.reset();
+    this.stepPosition = 0;
+    this.framesProcessed = 0;
+    this.stepsCompleted = 0;
+    this._resetResults();
+  }
+
+  /**
+   * Feed one StreamMeter block to the loudness and peak meters.
+   * @private
+   * @param {import('./stream-meter.js').StreamBlock} block - Completed hop
+   */
+  _pushBlock(block) {
+    this.lufsMeter.pushBlock(sumWeightedEnergy(block.energy, this.weights));
+    this.truePeakMeter.updateChannels(block.truePeak, block.frames / this.sampleRate);
+
+    for (let ch = 0; ch < this.channelCount; ch++) {
+      if (block.truePeak[ch] > this.stepTruePeak) this.stepTruePeak = block.truePeak[ch];
+      if (block.samplePeak[ch] > this.samplePeakMax[ch]) this.samplePeakMax[ch] = block.samplePeak[ch];
+      if (block.quasiPeak[ch] > this.quasiPeakMax[ch]) this.quasiPeakMax[ch] = block.quasiPeak[ch];
+    }
+  }
+
+  /**
+   * Record curve points, maxima and correlation at the end of a 100ms step.
+   * @private
+   */
+  _completeStep() {
+    this.stepsCompleted++;
+    this.stepPosition = 0;
+
+    const elapsed = this.stepsCompleted * ANALYSIS_STEP_S;
+    const momentary = elapsed >= MOMENTARY_WINDOW_S - 1e-9 ? this.lufsMeter.getMomentary() : -Infinity;
+    const shortTerm = elapsed >= SHORT_TERM_WINDOW_S - 1e-9 ? this.lufsMeter.getShortTerm() : -Infinity;
+
+    if (momentary > this.maxMomentary) this.maxMomentary = momentary;
+    if (shortTerm > this.maxShortTerm) this.maxShortTerm = shortTerm;
+
+    this.curveMomentary.push(momentary);
+    this.curveShortTerm.push(shortTerm);
+    this.curveTruePeak.push(this.stepTruePeak);
+    this.stepTruePeak = -Infinity;
+
+    if (this.channelCount > 1) {
+      const left = this.stepL;
+      const right = this.stepR;
+      for (let i = 0; i < left.length; i++) {
+        this.sumLR += left[i] * right[i];
+        this.sumLL += left[i] * left[i];
+        this.sumRR += right[i] * right[i];
+      }
+
+      this.stereoMeter.update(left, right);
+      if (momentary > ABSOLUTE_GATE_LUFS) {
+        const { correlationInstant } = this.stereoMeter.getState();
+        if (correlationInstant < this.correlationMin) this.correlationMin = correlationInstant;
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _resetResults() {
+    this.maxMomentary = -Infinity;
+    this.maxShortTerm = -Infinity;
+    this.stepTruePeak = -Infinity;
+    this.samplePeakMax = new Array(this.channelCount).fill(-Infinity);
+    this.quasiPeakMax = new Array(this.channelCount).fill(-Infinity);
+    this.sumLR = 0;
+    this.sumLL = 0;
+    this.sumRR = 0;
+    this.correlationMin = Infinity;
+    this.curveMomentary = [];
+    this.curveShortTerm = [];
+    this.curveTruePeak = [];
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// WHOLE-BUFFER ANALYSIS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Analyse a decoded programme, yielding to the event loop between chunks so
+ * the page stays responsive on long files.
+ *
+ * @param {Float32Array[]} channels - One buffer per channel (e.g. AudioBuffer.getChannelData)
+ * @param {Object} options - Analysis options
+ * @param {number} options.sampleRate - Audio sample rate in Hz
+ * @param {number[]} [options.weights] - BS.1770 weights (default: from the matching layout)
+ * @param {import('./true-peak.js').TruePeakOversampling} [options.oversampling='auto'] - True Peak oversampling
+ * @param {(fraction: number) => void} [options.onProgress] - Called after each chunk with 0…1
+ * @param {AbortSignal} [options.signal] - Cancels the analysis (rejects with the abort reason)
+ * @returns {Promise<ProgrammeReport>} Measurement results
+ *
+ * @example
+ * const buffer = await audioContext.decodeAudioData(await file.arrayBuffer());
+ * const channels = Array.from({ length: buffer.numberOfChannels }, (_, ch) => buffer.getChannelData(ch));
+ * const report = await analyseProgramme(channels, { sampleRate: buffer.sampleRate });
+ */
+export async function analyseProgramme(channels, { sampleRate, weights, oversampling = 'auto', onProgress, signal }) {
+  const analyser = new ProgrammeAnalyser({ sampleRate, channelCount: channels.length, weights, oversampling });
+  const totalFrames = channels.length > 0 ? channels[0].length : 0;
+  const chunkFrames = Math.round(sampleRate * ANALYSIS_CHUNK_S);
+
+  for (let offset = 0; offset < totalFrames; offset += chunkFrames) {
+    signal?.throwIfAborted();
+
+    const end = Math.min(totalFrames, offset + chunkFrames);
+    analyser.process(channels.map(data => data.subarray(offset, end)), end - offset);
+    if (onProgress) onProgress(end / totalFrames);
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  signal?.throwIfAborted();
+  return analyser.finish();
+}
@@ -0,0 +1,347 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * REAL-TIME ANALYSER (RTA) BANDS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Turns an FFT power spectrum (AnalyserNode.getFloatFrequencyData) into
+ * fractional-octave band levels or a weighted FFT line, and averages them
+ * over time. Drawing is left to ui/spectrum.js.
+ *
+ * RESOLUTION
+ * ──────────
+ *   '1/1', '1/3'             ISO 266 nominal centres (31.5 Hz … 16 kHz, 20 Hz … 20 kHz)
+ *   '1/6', '1/12', '1/24'    Base-2 centres 1 kHz × 2^(k/b) from 20 Hz to 20 kHz
+ *   'fft'                    Every FFT bin from 20 Hz to 20 kHz
+ *
+ * A band spans fc × 2^(±1/2b) and its level is the mean power of the bins
+ * it touches, i.e. a power density: white noise reads flat, pink noise
+ * falls 3 dB per octave. Pink compensation adds that 3 dB/oct back
+ * (0 dB at 1 kHz), so pink noise reads flat. Fine bands at low frequencies
+ * can be narrower than one bin and then repeat their neighbour's level.
+ *
+ * AVERAGING
+ * ─────────
+ * In the power domain, per band:
+ *   'none'          each spectrum as it comes
+ *   'linear'        equal weight over the last timeMs
+ *   'exponential'   time constant timeMs
+ *   'infinite'      everything since the last reset
+ *
+ * @module metering/rta
+ * @see IEC 61260-1 (octave-band and fractional-octave-band filters)
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { weightingGainDb } from './weighting.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {'1/1'|'1/3'|'1/6'|'1/12'|'1/24'|'fft'} RtaResolution
+ */
+
+/**
+ * Bands per octave by resolution (0 = FFT line), in display order.
+ * @type {Readonly<Record<RtaResolution, number>>}
+ */
+export const RTA_RESOLUTIONS = Object.freeze({
+  '1/1': 1,
+  '1/3': 3,
+  '1/6': 6,
+  '1/12': 12,
+  '1/24': 24,
+  'fft': 0
+});
+
+/**
+ * @typedef {'none'|'linear'|'exponential'|'infinite'} RtaAveraging
+ */
+
+/** Averaging modes, in display order */
+export const RTA_AVERAGING_MODES = Object.freeze(['none', 'linear', 'exponential', 'infinite']);
+
+/** Lowest and highest analysed frequency (Hz) */
+export const RTA_MIN_HZ = 20;
+export const RTA_MAX_HZ = 20000;
+
+/** ISO 266 octave centres (Hz) */
+const OCTAVE_CENTRES = Object.freeze([31.5, 63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000]);
+
+/** ISO 266 1/3-octave centres (Hz) */
+export const THIRD_OCTAVE_CENTRES = Object.freeze([
+  20, 25, 31.5, 40, 50, 63, 80, 100,
+  125, 160, 200, 250, 315, 400, 500, 630,
+  800, 1000, 1250, 1600, 2000, 2500,
+  3150, 4000, 5000, 6300, 8000, 10000,
+  12500, 16000, 20000
+]);
+
+/** Level of a band without any bins or power (dB) */
+const FLOOR_DB = -100;
+
+/** Linear averaging keeps at most this many spectra */
+const MAX_LINEAR_FRAMES = 600;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// BAND LAYOUT
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Centre frequencies of a fractional-octave resolution.
+ *
+ * @param {number} bandsPerOctave - 1, 3, 6, 12 or 24
+ * @returns {number[]} Centres in Hz, ascending
+ */
+export function getBandCentres(bandsPerOctave) {
+  if (bandsPerOctave === 1) return [...OCTAVE_CENTRES];
+  if (bandsPerOctave === 3) return [...THIRD_OCTAVE_CENTRES];
+
+  const centres = [];
+  const first = Math.ceil(bandsPerOctave * Math.log2(RTA_MIN_HZ / 1000));
+  const last = Math.floor(bandsPerOctave * Math.log2(RTA_MAX_HZ / 1000));
+  for (let k = first; k <= last; k++) {
+    centres.push(1000 * Math.pow(2, k / bandsPerOctave));
+  }
+  return centres;
+}
+
+/**
+ * @typedef {Object} RtaLayout
+ * @property {RtaResolution} resolution - Resolution the layout was built for
+ * @property {Float32Array} centres - Band centre frequencies (Hz)
+ * @property {Uint32Array} lowBin - First FFT bin of each band
+ * @property {Uint32Array} highBin - Last FFT bin of each band (inclusive)
+ * @property {Float32Array} binGain - Weighting per FFT bin (linear power)
+ * @property {Float32Array} bandGain - Pink compensation per band (linear power)
+ */
+
+/**
+ * Map FFT bins to bands, with weighting and pink compensation precomputed.
+ * Build once per change of settings, sample rate or FFT size.
+ *
+ * @param {RtaResolution} resolution - Band resolution
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} fftSize - FFT size (bins = fftSize / 2)
+ * @param {Object} [options]
+ * @param {import('./weighting.js').Weighting} [options.weighting='Z'] - Frequency weighting
+ * @param {boolean} [options.pinkCompensation=false] - Add 3 dB/oct (0 dB at 1 kHz)
+ * @returns {RtaLayout}
+ * @throws {RangeError} If the resolution or weighting is unknown
+ */
+export function createRtaLayout(resolution, sampleRate, fftSize, { weighting = 'Z', pinkCompensation = false } = {}) {
+  const bandsPerOctave = RTA_RESOLUTIONS[resolution];
+  if (bandsPerOctave === undefined) {
+    throw new RangeError(`Unknown RTA resolution: ${resolution}`);
+  }
+
+  const numBins = fftSize / 2;
+  const binHz = sampleRate / fftSize;
+  const centres = [], lowBins = [], highBins = [];
+
+  if (bandsPerOctave === 0) {
+    const first = Math.max(1, Math.ceil(RTA_MIN_HZ / binHz));
+    const last = Math.min(numBins - 1, Math.floor(RTA_MAX_HZ / binHz));
+    for (let i = first; i <= last; i++) {
+      centres.push(i * binHz);
+      lowBins.push(i);
+      highBins.push(i);
+    }
+  } else {
+    const halfBand = Math.pow(2, 1 / (2 * bandsPerOctave));
+    for (const centre of getBandCentres(bandsPerOctave)) {
+      const lowBin = Math.max(1, Math.floor(centre / halfBand / binHz));
+      const highBin = Math.min(numBins - 1, Math.ceil(centre * halfBand / binHz));
+      // Bands above Nyquist have no bins
+      if (lowBin > highBin) continue;
+      centres.push(centre);
+      lowBins.push(lowBin);
+      highBins.push(highBin);
+    }
+  }
+
+  const binGain = new Float32Array(numBins);
+  for (let i = 1; i < numBins; i++) {
+    binGain[i] = Math.pow(10, weightingGainDb(weighting, i * binHz, sampleRate) / 10);
+  }
+
+  const bandGain = new Float32Array(centres.length);
+  for (let b = 0; b < centres.length; b++) {
+    bandGain[b] = pinkCompensation ? centres[b] / 1000 : 1;
+  }
+
+  return {
+    resolution,
+    centres: Float32Array.from(centres),
+    lowBin: Uint32Array.from(lowBins),
+    highBin: Uint32Array.from(highBins),
+    binGain,
+    bandGain
+  };
+}
+
+/**
+ * Band levels from the L/R FFT spectra (power averaged over both channels).
+ *
+ * @param {Float32Array} freqDbL - Left spectrum (dB per bin)
+ * @param {Float32Array} freqDbR - Right spectrum (dB per bin)
+ * @param {RtaLayout} layout - Layout from createRtaLayout()
+ * @param {Float32Array} [output] - Reused output buffer (length = band count)
+ * @returns {Float32Array} Band levels in dB (−100 for silence)
+ */
+export function computeRtaLevels(freqDbL, freqDbR, layout, output = new Float32Array(layout.centres.length)) {
+  const { lowBin, highBin, binGain, bandGain } = layout;
+
+  for (let b = 0; b < lowBin.length; b++) {
+    // Sum linear power (not dB - logarithmic values cannot be averaged)
+    let powerSum = 0;
+    for (let i = lowBin[b]; i <= highBin[b]; i++) {
+      const powerL = Math.pow(10, freqDbL[i] / 10);
+      const powerR = Math.pow(10, freqDbR[i] / 10);
+      powerSum += 0.5 * (powerL + powerR) * binGain[i];
+    }
+
+    const avgPower = powerSum / (highBin[b] - lowBin[b] + 1) * bandGain[b];
+    output[b] = avgPower > 0 ? 10 * Math.log10(avgPower) : FLOOR_DB;
+  }
+
+  return output;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// AVERAGING
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Averages successive band levels in the power domain.
+ *
+ * @example
+ * const averager = new SpectrumAverager({ mode: 'exponential', timeMs: 1000 });
+ * const shown = averager.update(levels, performance.now());
+ */
+export class SpectrumAverager {
+  /**
+   * @param {Object} [options]
+   * @param {RtaAveraging} [options.mode='none'] - Averaging mode
+   * @param {number} [options.timeMs=1000] - Window ('linear') or time constant ('exponential')
+   */
+  constructor({ mode = 'none', timeMs = 1000 } = {}) {
+    /** @type {RtaAveraging} */
+    this.mode = 'none';
+    /** @type {number} */
+    this.timeMs = timeMs;
+    /** @type {Float64Array|null} Running power sum ('linear', 'infinite') or average ('exponential') */
+    this._power = null;
+    /** @type {{t: number, power: Float64Array}[]} Spectra in the linear window */
+    this._frames = [];
+    this._count = 0;
+    /** @type {number|null} */
+    this._lastTime = null;
+    this._output = new Float32Array(0);
+    this.setMode(mode, timeMs);
+  }
+
+  /**
+   * Change the averaging and start over.
+   *
+   * @param {RtaAveraging} mode - Averaging mode
+   * @param {number} [timeMs] - Window or time constant in ms (default: unchanged)
+   * @throws {RangeError} If the mode is unknown or the time is not positive
+   */
+  setMode(mode, timeMs = this.timeMs) {
+    if (!RTA_AVERAGING_MODES.includes(mode)) {
+      throw new RangeError(`Unknown averaging mode: ${mode}`);
+    }
+    if (!(timeMs > 0)) {
+      throw new RangeError(`Averaging time must be positive: ${timeMs}`);
+    }
+    this.mode = mode;
+    this.timeMs = timeMs;
+    this.reset();
+  }
+
+  /**
+   * Discard the average (new measurement, or band count changed).
+   */
+  reset() {
+    this._power = null;
+    this._frames = [];
+    this._count = 0;
+    this._lastTime = null;
+  }
+
+  /**
+   * Add a spectrum and get the average.
+   *
+   * @param {Float32Array} levelsDb - Band levels in dB
+   * @param {number} now - Time in ms (monotonic)
+   * @returns {Float32Array} Averaged levels in dB (reused between calls)
+   */
+  update(levelsDb, now) {
+    const n = levelsDb.length;
+    if (this.mode === 'none') return levelsDb;
+
+    let sum = this._power;
+    if (!sum || sum.length !== n) {
+      this.reset();
+      sum = this._power = new Float64Array(n);
+      this._output = new Float32Array(n);
+    }
+
+    const power = new Float64Array(n);
+    for (let b = 0; b < n; b++) power[b] = Math.pow(10, levelsDb[b] / 10);
+
+    if (this.mode === 'exponential') {
+      const alpha = this._lastTime === null ? 1 : 1 - Math.exp(-(now - this._lastTime) / this.timeMs);
+      for (let b = 0; b < n; b++) sum[b] += alpha * (power[b] - sum[b]);
+      this._lastTime = now;
+      return this._toDb(sum, 1);
+    }
+
+    for (let b = 0; b < n; b++) sum[b] += power[b];
+    this._count++;
+
+    if (this.mode === 'linear') {
+      const frames = this._frames;
+      frames.push({ t: now, power });
+      while (frames.length > MAX_LINEAR_FRAMES || frames[0].t <= now - this.timeMs) {
+        const expired = frames[0].power;
+        frames.shift();
+        for (let b = 0; b < n; b++) sum[b] -= expired[b];
+        this._count--;
+      }
+    }
+
+    return this._toDb(sum, this._count);
+  }
+
+  /**
+   * @private
+   * @param {Float64Array} sum - Power sum
+   * @param {number} count - Number of spectra in the sum
+   * @returns {Float32Array} Mean power in dB
+   */
+  _toDb(sum, count) {
+    const output = this._output;
+    for (let b = 0; b < sum.length; b++) {
+      const mean = sum[b] / count;
+      output[b] = mean > 0 ? 10 * Math.log10(mean) : FLOOR_DB;
+    }
+    return output;
+  }
+}
@@ -0,0 +1,302 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * STREAM METER (GAPLESS SAMPLE-ACCURATE FRONT END)
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Consumes a continuous multichannel stream in chunks of any size and feeds
+ * every sample exactly once to the per-sample metering DSP:
+ *
+ *   - K-weighting (ITU-R BS.1770-4) → mean square energy per channel
+ *   - True Peak detection with history across chunk boundaries
+ *   - Sample peak
+ *   - Quasi-peak RC detector (IEC 60268-10 Type I)
+ *   - Optionally, ITU-R 468, CCIR/ARM and A-weighted noise detectors
+ *
+ * Results are emitted as fixed-length hop blocks. The hop length is derived
+ * from the sample rate, not from timers, so the block sequence is identical
+ * no matter how the stream is chunked (128-frame render quanta, file reads,
+ * test buffers).
+ *
+ * WHY NOT ANALYSERNODE POLLING
+ * ────────────────────────────
+ * Reading AnalyserNode buffers from a timer sees overlapping or missing audio
+ * depending on timer jitter. Programme-length values (integrated loudness,
+ * TPmax) must be measured on every sample, so this class is designed to run
+ * inside an AudioWorklet (see src/audio/meter-processor.js) and post its
+ * blocks to the main thread.
+ *
+ * @module metering/stream-meter
+ * @see ITU-R BS.1770-4 (Loudness and True Peak)
+ * @see IEC 60268-10 (Quasi-peak programme meters)
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { KWeightingFilter } from './k-weighting.js';
+import { TruePeakDetector, amplitudeToDbTP } from './true-peak.js';
+import { detectProgrammeLevel, getPPMStandard, DEFAULT_PPM_STANDARD } from './ppm.js';
+import { NoiseDetector } from './noise.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Default hop length in seconds (10 ms).
+ * Divides evenly into 100 ms loudness sub-blocks and yields whole sample
+ * counts at 44.1, 48, 88.2 and 96 kHz.
+ * @type {number}
+ */
+export const STREAM_HOP_SECONDS = 0.01;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// STREAM METER CLASS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} StreamBlock
+ * @property {number} startFrame - Stream position of the first frame in this block
+ * @property {number} frames - Number of frames in this block (always the hop length)
+ * @property {number[]} energy - K-weighted mean square per channel
+ * @property {number[]} truePeak - True Peak per channel (dBTP)
+ * @property {number[]} samplePeak - Sample peak per channel (dBFS)
+ * @property {number[]} quasiPeak - PPM/VU detector output at the end of the block (dBFS)
+ * @property {import('./noise.js').NoiseLevels[]} [noise] - Noise readings at the end of the block (with the noise option)
+ */
+
+/**
+ * Gapless per-sample metering front end.
+ *
+ * @example
+ * const stream = new StreamMeter({ sampleRate: 48000 });
+ *
+ * // For each chunk of audio (any length):
+ * for (const block of stream.process([left, right])) {
+ *   lufsMeter.pushBlock(block.energy[0] + block.energy[1]);
+ * }
+ */
+export class StreamMeter {
+  /** @type {number} */
+  sampleRate;
+  /** @type {number} */
+  channelCount;
+  /** @type {number} */
+  hopFrames;
+  /** @type {KWeightingFilter[]} */
+  kFilters;
+  /** @type {TruePeakDetector[]} */
+  tpDetectors;
+  /** @type {Readonly<import('./ppm.js').PPMStandard>} */
+  ppmStandard;
+  /** @type {import('./ppm.js').VUDetectorState[]} */
+  rcStates;
+  /** @type {NoiseDetector[]|null} */
+  noiseDetectors;
+  /** @type {Float64Array} */
+  energySum;
+  /** @type {Float64Array} */
+  truePeakMax;
+  /** @type {Float64Array} */
+  samplePeakMax;
+  /** @type {number} */
+  hopPosition;
+  /** @type {number} */
+  framesProcessed;
+  /** @type {Float32Array} */
+  silence;
+
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} options.sampleRate - Audio sample rate in Hz
+   * @param {number} [options.channelCount=2] - Number of channels
+   * @param {number} [options.hopSeconds=STREAM_HOP_SECONDS] - Block length in seconds
+   * @param {import('./true-peak.js').TruePeakOversampling} [options.oversampling='auto'] - True Peak oversampling
+   * @param {string} [options.ppmStandard=DEFAULT_PPM_STANDARD] - PPM/VU ballistics ('nordic', 'din', 'bbc', 'ebu', 'vu')
+   * @param {boolean} [options.noise=false] - Also run the noise detectors (block.noise)
+   */
+  constructor({ sampleRate, channelCount = 2, hopSeconds = STREAM_HOP_SECONDS, oversampling = 'auto', ppmStandard = DEFAULT_PPM_STANDARD, noise = false }) {
+    this.sampleRate = sampleRate;
+    this.channelCount = channelCount;
+    this.hopFrames = Math.max(1, Math.round(sampleRate * hopSeconds));
+    this.ppmStandard = getPPMStandard(ppmStandard);
+
+    this.kFilters = [];
+    this.tpDetectors = [];
+    this.rcStates = [];
+    for (let ch = 0; ch < channelCount; ch++) {
+      this.kFilters.push(new KWeightingFilter(sampleRate));
+      this.tpDetectors.push(new TruePeakDetector({ sampleRate, oversampling }));
+      this.rcStates.push({ envelope: 0, velocity: 0 });
+    }
+    this.noiseDetectors = noise
+      ? Array.from({ length: channelCount }, () => new NoiseDetector(sampleRate))
+      : null;
+
+    // Per-hop accumulators
+    this.energySum = new Float64Array(channelCount);
+    this.truePeakMax = new Float64Array(channelCount);
+    this.samplePeakMax = new Float64Array(channelCount);
+
+    this.hopPosition = 0;
+    this.framesProcessed = 0;
+
+    // Substitute for unconnected channels
+    this.silence = new Float32Array(0);
+  }
+
+  /**
+   * Process a chunk of audio.
+   *
+   * Channels missing from the input (e.g. a disconnected AudioWorklet input)
+   * are treated as digital silence so the stream clock keeps running.
+   *
+   * @param {Float32Array[]} channels - One buffer per channel
+   * @param {number} [frames] - Frame count (defaults to the first buffer's length)
+   * @returns {StreamBlock[]} Blocks completed during this chunk (usually zero or one)
+   */
+  process(channels, frames = channels.length > 0 ? channels[0].length : 0) {
+    /** @type {StreamBlock[]} */
+    const blocks = [];
+
+    if (this.silence.length < frames) {
+      this.silence = new Float32Array(frames);
+    }
+
+    let offset = 0;
+    while (offset < frames) {
+      const count = Math.min(frames - offset, this.hopFrames - this.hopPosition);
+
+      for (let ch = 0; ch < this.channelCount; ch++) {
+        const data = channels[ch] || this.silence;
+        this._processChannel(ch, data.subarray(offset, offset + count));
+      }
+
+      offset += count;
+      this.hopPosition += count;
+      this.framesProcessed += count;
+
+      if (this.hopPosition === this.hopFrames) {
+        blocks.push(this._emitBlock());
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Select PPM/VU ballistics. Only the level detectors restart;
+   * loudness and True Peak state is kept.
+   *
+   * @param {string} id - Standard identifier ('nordic', 'din', 'bbc', 'ebu', 'vu')
+   * @throws {RangeError} If the standard is unknown
+   */
+  setPPMStandard(id) {
+    this.ppmStandard = getPPMStandard(id);
+    for (const state of this.rcStates) {
+      state.envelope = 0;
+      state.velocity = 0;
+    }
+  }
+
+  /**
+   * Clear all filter, detector and accumulator state.
+   */
+  reset() {
+    for (let ch = 0; ch < this.channelCount; ch++) {
+      this.kFilters[ch].reset();
+      this.tpDetectors[ch].reset();
+      this.rcStates[ch].envelope = 0;
+      this.rcStates[ch].velocity = 0;
+      if (this.noiseDetectors) this.noiseDetectors[ch].reset();
+    }
+    this._clearAccumulators();
+    this.hopPosition = 0;
+    this.framesProcessed = 0;
+  }
+
+  /**
+   * Run one channel's segment through the per-sample DSP.
+   * @private
+   * @param {number} ch - Channel index
+   * @param {Float32Array} segment - Samples belonging to the current hop
+   */
+  _processChannel(ch, segment) {
+    const kFilter = this.kFilters[ch];
+    let sum = 0;
+    let peak = this.samplePeakMax[ch];
+
+    for (let i = 0; i < segment.length; i++) {
+      const x = segment[i];
+      const k = kFilter.processSample(x);
+      sum += k * k;
+
+      const abs = Math.abs(x);
+      if (abs > peak) peak = abs;
+    }
+
+    this.energySum[ch] += sum;
+    this.samplePeakMax[ch] = peak;
+
+    const tp = this.tpDetectors[ch].process(segment);
+    if (tp > this.truePeakMax[ch]) this.truePeakMax[ch] = tp;
+
+    // Detector state carries over; the block reports its final output
+    detectProgrammeLevel(segment, this.sampleRate, this.rcStates[ch], this.ppmStandard);
+
+    if (this.noiseDetectors) this.noiseDetectors[ch].process(segment);
+  }
+
+  /**
+   * Package the completed hop and start a new one.
+   * @private
+   * @returns {StreamBlock} Completed block
+   */
+  _emitBlock() {
+    /** @type {StreamBlock} */
+    const block = {
+      startFrame: this.framesProcessed - this.hopFrames,
+      frames: this.hopFrames,
+      energy: [],
+      truePeak: [],
+      samplePeak: [],
+      quasiPeak: []
+    };
+
+    for (let ch = 0; ch < this.channelCount; ch++) {
+      block.energy.push(this.energySum[ch] / this.hopFrames);
+      block.truePeak.push(amplitudeToDbTP(this.truePeakMax[ch]));
+      block.samplePeak.push(20 * Math.log10(this.samplePeakMax[ch] + 1e-12));
+      block.quasiPeak.push(20 * Math.log10(this.rcStates[ch].envelope + 1e-12));
+    }
+    if (this.noiseDetectors) {
+      block.noise = this.noiseDetectors.map(detector => detector.levels);
+    }
+
+    this._clearAccumulators();
+    this.hopPosition = 0;
+
+    return block;
+  }
+
+  /**
+   * @private
+   */
+  _clearAccumulators() {
+    this.energySum.fill(0);
+    this.truePeakMax.fill(0);
+    this.samplePeakMax.fill(0);
+  }
+}
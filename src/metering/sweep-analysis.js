@@ -0,0 +1,365 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SWEPT-SINE ANALYSIS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Frequency response, harmonic distortion and latency of a chain (codec,
+ * console, link) from an exponential sine sweep passed through it.
+ *
+ * SWEEP
+ * ─────
+ *   x(t) = a·sin(2π·f1·L·(e^(t/L) − 1)),   L = T / ln(f2/f1)
+ *
+ * The same law as createSweepOscillator() (exponential frequency ramp),
+ * generated as samples so the analysis knows the exact signal. Short
+ * raised-cosine fades at both ends keep the edges from clicking.
+ *
+ * FARINA DECONVOLUTION
+ * ────────────────────
+ * The recording is convolved with the inverse filter: the time-reversed
+ * sweep with a 6 dB/octave envelope, so that sweep ∗ inverse is a band-
+ * limited impulse. The chain's impulse response appears N − 1 samples in
+ * (plus latency). Harmonic k of a memoryless nonlinearity is itself an
+ * exponential sweep that runs L·ln(k) seconds ahead, so its impulse
+ * response lands that much earlier and can be windowed out on its own.
+ *
+ * RESULTS
+ * ───────
+ *   Latency      Position of the linear impulse peak (sub-sample)
+ *   Magnitude    Gain relative to the played sweep, dB (0 = unity)
+ *   Phase        Degrees, relative to the whole-sample latency
+ *   H2–H5        Level of each harmonic relative to the fundamental (dBc),
+ *                plotted against the excitation frequency
+ *
+ * The harmonic impulse responses share one window, as long as the gap
+ * between H4 and H5 allows; the linear one runs on into the silence
+ * recorded after the sweep (up to 64k samples). Window length sets the
+ * resolution at low frequencies (sample rate / window length).
+ *
+ * @module metering/sweep-analysis
+ * @see A. Farina, "Simultaneous measurement of impulse response and
+ *      distortion with a swept-sine technique", AES 108th Convention, 2000
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { fft } from '../utils/fft.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Sweep durations offered by the measurement card (s) */
+export const SWEEP_DURATIONS_S = Object.freeze([2, 5, 10]);
+
+/** Harmonics separated by the deconvolution */
+export const SWEEP_HARMONIC_ORDERS = Object.freeze([2, 3, 4, 5]);
+
+/** Silence before and after the sweep in a sweep file (s) */
+export const SWEEP_FILE_LEAD_S = 0.5;
+export const SWEEP_FILE_TAIL_S = 1;
+
+/** Output points per octave */
+const POINTS_PER_OCTAVE = 24;
+
+const FADE_IN_S = 0.05;
+const FADE_OUT_S = 0.005;
+const MIN_WINDOW = 256;
+const MAX_HARMONIC_WINDOW = 16384;
+const MAX_WINDOW = 65536;
+
+/** Impulse peak below this (linear, relative to unity gain) means no sweep was found */
+const MIN_PEAK = 1e-3;
+
+/**
+ * @typedef {Object} SweepOptions
+ * @property {number} sampleRate - Sample rate in Hz
+ * @property {number} [startHz=20] - Start frequency
+ * @property {number} [endHz=20000] - End frequency
+ * @property {number} [durationS=5] - Sweep duration in seconds
+ * @property {number} [levelDbfs=-12] - Sweep peak level
+ */
+
+/**
+ * @typedef {Object} SweepHarmonic
+ * @property {number} order - Harmonic number (2 … 5)
+ * @property {number[]} levelDb - Level relative to the fundamental per frequency (dBc, NaN above the band)
+ */
+
+/**
+ * @typedef {Object} SweepResult
+ * @property {number} latencySamples - Delay of the chain in samples (sub-sample)
+ * @property {number} latencyMs - Same in milliseconds
+ * @property {number[]} frequencies - Excitation frequencies (1/24 octave)
+ * @property {number[]} magnitudeDb - Gain per frequency (dB, 0 = unity)
+ * @property {number[]} phaseDeg - Phase per frequency relative to the whole-sample latency (degrees, −180 … +180)
+ * @property {SweepHarmonic[]} harmonics - H2 … H5
+ * @property {number} windowSamples - Window length of the linear impulse response
+ * @property {number} harmonicWindowSamples - Window length of each harmonic impulse response
+ */
+
+/**
+ * @param {SweepOptions} options - Sweep options
+ * @returns {{sampleRate: number, startHz: number, endHz: number, durationS: number, levelDbfs: number}} With defaults
+ * @throws {RangeError} If the band is empty or reaches Nyquist
+ */
+function resolveOptions({ sampleRate, startHz = 20, endHz = 20000, durationS = 5, levelDbfs = -12 }) {
+  if (!(startHz > 0 && endHz > startHz && endHz < sampleRate / 2)) {
+    throw new RangeError(`Sweep band ${startHz}–${endHz} Hz does not fit below Nyquist at ${sampleRate} Hz`);
+  }
+  if (!(durationS > 0)) {
+    throw new RangeError(`Sweep duration must be positive: ${durationS}`);
+  }
+  return { sampleRate, startHz, endHz, durationS, levelDbfs };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SWEEP
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Generate the exponential sweep.
+ *
+ * @param {SweepOptions} options - Sweep options
+ * @returns {Float32Array} Sweep samples (durationS × sampleRate)
+ * @throws {RangeError} If the band is empty or reaches Nyquist
+ */
+export function generateSweep(options) {
+  const { sampleRate, startHz, endHz, durationS, levelDbfs } = resolveOptions(options);
+  return renderSweep(sampleRate, startHz, endHz, durationS, Math.pow(10, levelDbfs / 20));
+}
+
+/**
+ * A sweep file: the sweep with SWEEP_FILE_LEAD_S of silence before and
+ * SWEEP_FILE_TAIL_S after, so a recording of it can be analysed with
+ * offset = SWEEP_FILE_LEAD_S × sampleRate.
+ *
+ * @param {SweepOptions} options - Sweep options
+ * @returns {Float32Array} Samples
+ */
+export function generateSweepFile(options) {
+  const sweep = generateSweep(options);
+  const lead = Math.round(SWEEP_FILE_LEAD_S * options.sampleRate);
+  const samples = new Float32Array(lead + sweep.length + Math.round(SWEEP_FILE_TAIL_S * options.sampleRate));
+  samples.set(sweep, lead);
+  return samples;
+}
+
+/**
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} startHz - Start frequency
+ * @param {number} endHz - End frequency
+ * @param {number} durationS - Duration in seconds
+ * @param {number} amplitude - Peak amplitude
+ * @returns {Float32Array}
+ */
+function renderSweep(sampleRate, startHz, endHz, durationS, amplitude) {
+  const n = Math.round(durationS * sampleRate);
+  const rate = durationS / Math.log(endHz / startHz);
+  const fadeIn = Math.max(1, Math.round(FADE_IN_S * sampleRate));
+  const fadeOut = Math.max(1, Math.round(FADE_OUT_S * sampleRate));
+  const sweep = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    const t = i / sampleRate;
+    let gain = amplitude;
+    if (i < fadeIn) gain *= 0.5 - 0.5 * Math.cos(Math.PI * i / fadeIn);
+    if (i >= n - fadeOut) gain *= 0.5 - 0.5 * Math.cos(Math.PI * (n - 1 - i) / fadeOut);
+    sweep[i] = gain * Math.sin(2 * Math.PI * startHz * rate * (Math.exp(t / rate) - 1));
+  }
+  return sweep;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ANALYSIS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Deconvolve a recording of the sweep and measure the chain.
+ *
+ * @param {Float32Array} recording - Chain output, holding the whole sweep
+ * @param {SweepOptions & {offset?: number}} options - The sweep that was played;
+ *        offset = sample in the recording where it started (latency is measured from there)
+ * @returns {SweepResult|null} Null when no sweep is found in the recording
+ * @throws {RangeError} If the band is invalid or the recording ends before the sweep does
+ */
+export function analyseSweep(recording, options) {
+  const { sampleRate, startHz, endHz, durationS, levelDbfs } = resolveOptions(options);
+  const offset = options.offset ?? 0;
+  const sweep = renderSweep(sampleRate, startHz, endHz, durationS, 1);
+  const n = sweep.length;
+  if (recording.length < offset + n) {
+    throw new RangeError(`Recording (${recording.length} samples) ends before the sweep (${offset + n})`);
+  }
+
+  const rateSamples = durationS / Math.log(endHz / startHz) * sampleRate;
+  let size = 1;
+  while (size < recording.length + n) size *= 2;
+
+  // Inverse filter: reversed sweep, falling 6 dB/octave as its frequency falls
+  const invRe = new Float64Array(size);
+  const invIm = new Float64Array(size);
+  for (let i = 0; i < n; i++) {
+    invRe[i] = sweep[n - 1 - i] * Math.exp(-i / rateSamples);
+  }
+  fft(invRe, invIm);
+
+  // Scale: |sweep × inverse| across the band, for the sweep as played
+  const amplitude = Math.pow(10, levelDbfs / 20);
+  const refRe = new Float64Array(size);
+  const refIm = new Float64Array(size);
+  for (let i = 0; i < n; i++) refRe[i] = sweep[i] * amplitude;
+  fft(refRe, refIm);
+  let sum = 0;
+  let count = 0;
+  const lowBin = Math.ceil(2 * startHz * size / sampleRate);
+  const highBin = Math.floor(endHz / 2 * size / sampleRate);
+  for (let k = lowBin; k <= highBin; k++) {
+    sum += Math.hypot(refRe[k] * invRe[k] - refIm[k] * invIm[k], refRe[k] * invIm[k] + refIm[k] * invRe[k]);
+    count++;
+  }
+  const scale = count > 0 ? sum / count : 1;
+
+  // Recording ∗ inverse
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  for (let i = 0; i < recording.length; i++) re[i] = recording[i];
+  fft(re, im);
+  for (let k = 0; k < size; k++) {
+    const r = (re[k] * invRe[k] - im[k] * invIm[k]) / scale;
+    const j = (re[k] * invIm[k] + im[k] * invRe[k]) / scale;
+    re[k] = r;
+    im[k] = j;
+  }
+  fft(re, im, true);
+  const ir = re;
+
+  // Linear impulse: no earlier than half-way back to H2, no later than the recording allows
+  const zero = n - 1 + offset;
+  const first = Math.max(0, zero - Math.floor(0.5 * rateSamples * Math.LN2));
+  const last = Math.min(size - 2, zero + recording.length - offset - n);
+  let peak = first;
+  for (let i = first + 1; i <= last; i++) {
+    if (Math.abs(ir[i]) > Math.abs(ir[peak])) peak = i;
+  }
+  if (Math.abs(ir[peak]) < MIN_PEAK) return null;
+
+  let fraction = 0;
+  if (peak > 0) {
+    const sign = ir[peak] < 0 ? -1 : 1;
+    const before = sign * ir[peak - 1];
+    const centre = sign * ir[peak];
+    const after = sign * ir[peak + 1];
+    const denominator = before - 2 * centre + after;
+    if (denominator < 0) fraction = 0.5 * (before - after) / denominator;
+  }
+  const latencySamples = peak + fraction - zero;
+
+  // Harmonic windows fit between H4 and H5; the linear one may run on into the recorded tail
+  let harmonicWindowSamples = MIN_WINDOW;
+  while (harmonicWindowSamples * 2 <= Math.min(MAX_HARMONIC_WINDOW, 0.9 * rateSamples * Math.log(5 / 4))) {
+    harmonicWindowSamples *= 2;
+  }
+  const pre = harmonicWindowSamples / 16;
+  // The band-limited impulse rings before its peak at the band edges: give it room up to half-way to H2
+  const linearPre = Math.min(peak - first, MAX_WINDOW / 4);
+  const tail = recording.length - offset - n - Math.max(0, latencySamples);
+  let windowSamples = harmonicWindowSamples;
+  while (windowSamples * 2 <= Math.min(MAX_WINDOW, tail + linearPre)) windowSamples *= 2;
+
+  const linear = windowedSpectrum(ir, peak, windowSamples, Math.min(linearPre, windowSamples / 2));
+  /** @type {number[]} */
+  const frequencies = [];
+  for (let i = 0; ; i++) {
+    const f = startHz * Math.pow(2, i / POINTS_PER_OCTAVE);
+    if (f > endHz) break;
+    frequencies.push(f);
+  }
+
+  const binOf = (/** @type {number} */ f) => f * windowSamples / sampleRate;
+  const magnitudeDb = [];
+  const phaseDeg = [];
+  /** @type {number[]} */
+  const fundamental = [];
+  for (const f of frequencies) {
+    const [r, j] = interpolate(linear, binOf(f));
+    const magnitude = Math.hypot(r, j);
+    fundamental.push(magnitude);
+    magnitudeDb.push(20 * Math.log10(magnitude + 1e-12));
+    phaseDeg.push(Math.atan2(j, r) * 180 / Math.PI);
+  }
+
+  const harmonics = SWEEP_HARMONIC_ORDERS.map(order => {
+    const spectrum = windowedSpectrum(ir, Math.round(peak - rateSamples * Math.log(order)), harmonicWindowSamples, pre);
+    const levelDb = frequencies.map((f, i) => {
+      if (order * f > endHz) return NaN;
+      const [r, j] = interpolate(spectrum, order * f * harmonicWindowSamples / sampleRate);
+      return 20 * Math.log10((Math.hypot(r, j) + 1e-12) / (fundamental[i] + 1e-12));
+    });
+    return { order, levelDb };
+  });
+
+  return {
+    latencySamples,
+    latencyMs: latencySamples * 1000 / sampleRate,
+    frequencies,
+    magnitudeDb,
+    phaseDeg,
+    harmonics,
+    windowSamples,
+    harmonicWindowSamples
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Cut an impulse response around a peak (faded in before it, tapered over
+ * the last quarter) and transform it, with the peak at time zero.
+ *
+ * @param {Float64Array} ir - Deconvolved signal
+ * @param {number} centre - Index of the impulse peak
+ * @param {number} length - Window length (power of two)
+ * @param {number} pre - Samples before the peak
+ * @returns {{re: Float64Array, im: Float64Array}} Spectrum
+ */
+function windowedSpectrum(ir, centre, length, pre) {
+  const fadeOut = length / 4;
+  const re = new Float64Array(length);
+  const im = new Float64Array(length);
+  for (let j = 0; j < length; j++) {
+    const index = centre - pre + j;
+    if (index < 0 || index >= ir.length) continue;
+    let w = 1;
+    if (j < pre) w = 0.5 - 0.5 * Math.cos(Math.PI * j / pre);
+    else if (j >= length - fadeOut) w = 0.5 - 0.5 * Math.cos(Math.PI * (length - 1 - j) / fadeOut);
+    re[(j - pre + length) % length] = ir[index] * w;
+  }
+  fft(re, im);
+  return { re, im };
+}
+
+/**
+ * @param {{re: Float64Array, im: Float64Array}} spectrum - Spectrum
+ * @param {number} bin - Fractional bin
+ * @returns {[number, number]} Linearly interpolated real and imaginary part
+ */
+function interpolate({ re, im }, bin) {
+  const k = Math.min(Math.floor(bin), re.length / 2 - 1);
+  const t = Math.min(1, bin - k);
+  return [re[k] + t * (re[k + 1] - re[k]), im[k] + t * (im[k + 1] - im[k])];
+}
@@ -0,0 +1,285 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TONE ANALYSER
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Test-set readings of a steady tone on the analysis bus: frequency, level
+ * per leg (dBFS and dBu), L/R level difference, phase difference and
+ * THD+N. Works on any tone, not only the 400 Hz / −18 dBFS alignment tone.
+ *
+ * METHOD
+ * ──────
+ *   1. Coarse frequency: peak of a Hann-windowed FFT of the louder leg,
+ *      interpolated between bins (parabola on the log magnitude)
+ *   2. Fine frequency: four-parameter least-squares sine fit (IEEE 1057)
+ *      starting from the coarse estimate
+ *   3. Each leg is fitted at that frequency: amplitude, phase and DC
+ *   4. THD+N: what the fit leaves over, relative to the signal without
+ *      DC. Subtracting the fitted sine is a notch at exactly the detected
+ *      fundamental with no bandwidth of its own. Full band, unweighted.
+ *
+ * Levels are sine-referenced (a full-scale sine reads 0 dBFS). A leg is
+ * taken as carrying the tone when its THD+N is better than −10 dB; with
+ * neither leg doing so there is no reading.
+ *
+ * @module metering/tone-analysis
+ * @see IEEE Std 1057 (sine-wave fitting)
+ * @see AES17 (THD+N)
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { fft, hannWindow } from '../utils/fft.js';
+import { dbfsToDBu } from './ppm.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Legs below this sine-referenced level are treated as silent (dBFS) */
+export const TONE_SILENCE_DBFS = -60;
+
+/** A leg carries a tone when its THD+N is below this (dB) */
+export const TONE_MAX_THDN_DB = -10;
+
+const FIT_ITERATIONS = 6;
+
+/**
+ * @typedef {Object} ToneChannel
+ * @property {number} levelDbfs - Tone level (sine-referenced dBFS)
+ * @property {number} levelDbu - Tone level in dBu (0 dBu = −18 dBFS)
+ * @property {number} phase - Phase of the tone in degrees (at the buffer centre)
+ * @property {number} thdnDb - THD+N in dB relative to the signal
+ * @property {number} thdnPercent - THD+N in percent
+ */
+
+/**
+ * @typedef {Object} ToneAnalysis
+ * @property {number} frequency - Tone frequency in Hz
+ * @property {Array<ToneChannel|null>} channels - Per leg [L, R] (null = no tone on that leg)
+ * @property {number|null} levelDifference - L minus R in dB (null unless both legs carry the tone)
+ * @property {number|null} phaseDifference - R relative to L in degrees, −180 … +180 (positive = R leads)
+ */
+
+/**
+ * @typedef {Object} SineFit
+ * @property {number} a - Cosine amplitude
+ * @property {number} b - Sine amplitude
+ * @property {number} dc - Offset
+ * @property {number} omega - Angular frequency in radians per sample
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Solve a small linear system in place (Gaussian elimination, partial pivoting).
+ * @param {number[][]} m - Square matrix
+ * @param {number[]} v - Right-hand side
+ * @returns {number[]|null} Solution (null if singular)
+ */
+function solve(m, v) {
+  const n = v.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    [v[col], v[pivot]] = [v[pivot], v[col]];
+    for (let row = col + 1; row < n; row++) {
+      const f = m[row][col] / m[col][col];
+      for (let k = col; k < n; k++) m[row][k] -= f * m[col][k];
+      v[row] -= f * v[col];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = v[row];
+    for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+    x[row] = sum / m[row][row];
+  }
+  return x;
+}
+
+/**
+ * Least-squares fit of a·cos(ωt) + b·sin(ωt) + dc, t in samples from the
+ * buffer centre. With `refine`, ω is corrected as well (four-parameter fit).
+ *
+ * @param {Float32Array} samples - Signal
+ * @param {number} omega - Angular frequency (radians per sample)
+ * @param {boolean} refine - Also fit the frequency
+ * @returns {SineFit|null}
+ */
+function fitSine(samples, omega, refine) {
+  const n = samples.length;
+  const centre = (n - 1) / 2;
+  let fit = { a: 0, b: 0, dc: 0, omega };
+
+  for (let iteration = 0; iteration < (refine ? FIT_ITERATIONS : 1); iteration++) {
+    const size = refine && iteration > 0 ? 4 : 3;
+    const m = Array.from({ length: size }, () => new Array(size).fill(0));
+    const v = new Array(size).fill(0);
+    const row = new Array(size).fill(0);
+
+    for (let i = 0; i < n; i++) {
+      const t = i - centre;
+      const c = Math.cos(fit.omega * t);
+      const s = Math.sin(fit.omega * t);
+      row[0] = c;
+      row[1] = s;
+      row[2] = 1;
+      if (size === 4) row[3] = t * (fit.b * c - fit.a * s);
+      const x = samples[i];
+      for (let j = 0; j < size; j++) {
+        v[j] += row[j] * x;
+        for (let k = j; k < size; k++) m[j][k] += row[j] * row[k];
+      }
+    }
+    for (let j = 0; j < size; j++) {
+      for (let k = 0; k < j; k++) m[j][k] = m[k][j];
+    }
+
+    const x = solve(m, v);
+    if (!x) return null;
+    const step = size === 4 ? x[3] : 0;
+    fit = { a: x[0], b: x[1], dc: x[2], omega: fit.omega + step };
+    if (size === 4 && Math.abs(step) < 1e-12) break;
+  }
+  return fit;
+}
+
+/**
+ * Interpolated frequency of the strongest FFT bin (DC and the first bin skipped).
+ * @param {Float32Array} samples - Signal (length a power of two)
+ * @returns {number} Frequency in bins
+ */
+function peakBin(samples) {
+  const n = samples.length;
+  const window = hannWindow(n);
+  const re = new Float64Array(n);
+  const im = new Float64Array(n);
+  for (let i = 0; i < n; i++) re[i] = samples[i] * window[i];
+  fft(re, im);
+
+  let peak = 2;
+  let peakPower = 0;
+  for (let k = 2; k < n / 2 - 1; k++) {
+    const power = re[k] * re[k] + im[k] * im[k];
+    if (power > peakPower) {
+      peakPower = power;
+      peak = k;
+    }
+  }
+  const level = (/** @type {number} */ k) => Math.log(re[k] * re[k] + im[k] * im[k] + 1e-30);
+  const [l, c, r] = [level(peak - 1), level(peak), level(peak + 1)];
+  const denominator = l - 2 * c + r;
+  return peak + (denominator < 0 ? 0.5 * (l - r) / denominator : 0);
+}
+
+/**
+ * @param {Float32Array} samples - Signal
+ * @returns {number} Sine-referenced level in dBFS
+ */
+function levelDbfs(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  return 20 * Math.log10(Math.sqrt(sum / samples.length) * Math.SQRT2 + 1e-12);
+}
+
+/**
+ * Fitted tone on one leg, or null if the leg does not carry it.
+ * @param {Float32Array} samples - Signal
+ * @param {SineFit} fit - Fit at the common frequency
+ * @returns {ToneChannel|null}
+ */
+function describeChannel(samples, fit) {
+  const centre = (samples.length - 1) / 2;
+  let signal = 0;
+  let residual = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const t = i - centre;
+    const ac = samples[i] - fit.dc;
+    const error = ac - fit.a * Math.cos(fit.omega * t) - fit.b * Math.sin(fit.omega * t);
+    signal += ac * ac;
+    residual += error * error;
+  }
+  const amplitude = Math.hypot(fit.a, fit.b);
+  const thdnDb = 10 * Math.log10(Math.max(residual, 1e-30) / Math.max(signal, 1e-30));
+  if (thdnDb > TONE_MAX_THDN_DB || 20 * Math.log10(amplitude + 1e-12) < TONE_SILENCE_DBFS) return null;
+
+  const levelDbfs = 20 * Math.log10(amplitude);
+  return {
+    levelDbfs,
+    levelDbu: dbfsToDBu(levelDbfs),
+    // a·cos(ωt) + b·sin(ωt) = A·cos(ωt + φ) with φ = atan2(−b, a)
+    phase: Math.atan2(-fit.b, fit.a) * 180 / Math.PI,
+    thdnDb,
+    thdnPercent: 100 * Math.pow(10, thdnDb / 20)
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ANALYSIS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Analyse a steady tone on both legs.
+ *
+ * @param {Float32Array} bufL - Left samples (length a power of two; 16384 gives 0.01 Hz)
+ * @param {Float32Array} bufR - Right samples (same length)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {ToneAnalysis|null} Null when neither leg carries a steady tone
+ */
+export function analyseTone(bufL, bufR, sampleRate) {
+  const levels = [levelDbfs(bufL), levelDbfs(bufR)];
+  if (Math.max(...levels) < TONE_SILENCE_DBFS) return null;
+
+  // Frequency from the louder leg
+  const reference = levels[0] >= levels[1] ? bufL : bufR;
+  const coarse = 2 * Math.PI * peakBin(reference) / reference.length;
+  let fit = fitSine(reference, coarse, true);
+  // A fit that wandered more than a bin away is not a tone; keep the FFT estimate
+  if (!fit || Math.abs(fit.omega - coarse) > 2 * Math.PI / reference.length) {
+    fit = fitSine(reference, coarse, false);
+  }
+  if (!fit) return null;
+  const omega = fit.omega;
+
+  const channels = [bufL, bufR].map(samples => {
+    const legFit = fitSine(samples, omega, false);
+    return legFit ? describeChannel(samples, legFit) : null;
+  });
+  if (!channels[0] && !channels[1]) return null;
+
+  const [left, right] = channels;
+  /** @type {number|null} */
+  let phaseDifference = null;
+  if (left && right) {
+    phaseDifference = right.phase - left.phase;
+    if (phaseDifference > 180) phaseDifference -= 360;
+    if (phaseDifference <= -180) phaseDifference += 360;
+  }
+
+  return {
+    frequency: omega * sampleRate / (2 * Math.PI),
+    channels,
+    levelDifference: left && right ? left.levelDbfs - right.levelDbfs : null,
+    phaseDifference
+  };
+}
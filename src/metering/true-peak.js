@@ -22,14 +22,18 @@
  * between sample points. True Peak detection uses oversampling to estimate
  * the actual maximum amplitude.
  *
- * ALGORITHM
- * ─────────
- * 1. Upsample the signal by 4× using interpolation
+ * ALGORITHM (ITU-R BS.1770-4 Annex 2)
+ * ───────────────────────────────────
+ * 1. Upsample the signal with a polyphase FIR interpolator
  * 2. Find maximum absolute value across all interpolated points
  * 3. Convert to dBTP (decibels True Peak)
  *
- * This implementation uses 4-point Hermite interpolation, which provides
- * a good balance between accuracy and computational efficiency.
+ * The oversampling factor follows the sample rate so the effective rate is
+ * at least 192 kHz: 4× at 44.1/48 kHz (the 48-tap reference filter from
+ * Annex 2), 2× at 88.2/96 kHz. An 8× mode is available for stricter QC.
+ *
+ * The legacy 4-point Hermite interpolator is kept for comparison
+ * (calculateTruePeakHermite); it under-reads some intersample overs.
  *
  * TRUE PEAK LIMITS (Broadcast standards)
  * ──────────────────────────────────────
@@ -67,17 +71,186 @@ export const TP_LIMIT_STREAMING = -2.0;
 export const TP_LIMIT_SAFE = -3.0;
 
 /**
- * Interpolation points between samples (4× oversampling).
+ * Reference oversampling factor at 48 kHz (ITU-R BS.1770-4 Annex 2).
  * @type {number}
  */
 export const OVERSAMPLE_FACTOR = 4;
 
+/**
+ * Coefficients per polyphase branch of the reference 48-tap filter.
+ * @type {number}
+ */
+export const TP_TAPS_PER_PHASE = 12;
+
 /**
  * Peak hold duration in seconds (RTW-style 3s hold).
  * @type {number}
  */
 export const PEAK_HOLD_SECONDS = 3;
 
+/**
+ * Update interval the display smoothing factor refers to: one 20 Hz
+ * measure-loop tick. Updates at other intervals get the same time constant.
+ * @type {number}
+ */
+export const TP_SMOOTHING_INTERVAL_S = 0.05;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POLYPHASE FIR INTERPOLATOR (ITU-R BS.1770-4 ANNEX 2)
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// The 48-tap interpolation filter is split into four 12-tap branches. Each
+// branch produces one of the four output positions between input samples:
+//
+//   y_p[n] = Σₖ h_p[k] × x[n − k]     k = 0..11, p = 0..3
+//
+// Branches 2 and 3 are branches 1 and 0 time-reversed (symmetric prototype).
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Oversampling selection for True Peak measurement.
+ * 'auto' picks the factor from the sample rate (see getOversamplingFactor).
+ * @typedef {'auto'|1|2|4|8} TruePeakOversampling
+ */
+
+/**
+ * Reference polyphase coefficients from ITU-R BS.1770-4 Annex 2 (4×, 48 taps).
+ * @type {ReadonlyArray<ReadonlyArray<number>>}
+ * @see ITU-R BS.1770-4 Annex 2, Table 1
+ */
+export const BS1770_TRUE_PEAK_PHASES = Object.freeze([
+  Object.freeze([
+    0.0017089843750, 0.0109863281250, -0.0196533203125, 0.0332031250000,
+    -0.0594482421875, 0.1373291015625, 0.9721679687500, -0.1022949218750,
+    0.0476074218750, -0.0266113281250, 0.0148925781250, -0.0083007812500
+  ]),
+  Object.freeze([
+    -0.0291748046875, 0.0292968750000, -0.0517578125000, 0.0891113281250,
+    -0.1665039062500, 0.4650878906250, 0.7797851562500, -0.2003173828125,
+    0.1015625000000, -0.0582275390625, 0.0330810546875, -0.0189208984375
+  ]),
+  Object.freeze([
+    -0.0189208984375, 0.0330810546875, -0.0582275390625, 0.1015625000000,
+    -0.2003173828125, 0.7797851562500, 0.4650878906250, -0.1665039062500,
+    0.0891113281250, -0.0517578125000, 0.0292968750000, -0.0291748046875
+  ]),
+  Object.freeze([
+    -0.0083007812500, 0.0148925781250, -0.0266113281250, 0.0476074218750,
+    -0.1022949218750, 0.9721679687500, 0.1373291015625, -0.0594482421875,
+    0.0332031250000, -0.0196533203125, 0.0109863281250, 0.0017089843750
+  ])
+]);
+
+/**
+ * Choose the oversampling factor for a sample rate.
+ *
+ * BS.1770-4 requires an effective rate of at least 192 kHz:
+ *   < 88.2 kHz → 4×, < 176.4 kHz → 2×, otherwise 1× (sample peak).
+ *
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number} Oversampling factor
+ */
+export function getOversamplingFactor(sampleRate) {
+  if (sampleRate < 88200) return 4;
+  if (sampleRate < 176400) return 2;
+  return 1;
+}
+
+/**
+ * Resolve an oversampling selection to a concrete factor.
+ *
+ * @param {TruePeakOversampling} oversampling - 'auto' or explicit factor
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number} Oversampling factor
+ */
+export function resolveOversamplingFactor(oversampling, sampleRate) {
+  if (oversampling === 'auto') return getOversamplingFactor(sampleRate);
+  if ([1, 2, 4, 8].includes(oversampling)) return oversampling;
+  throw new RangeError(`Unsupported True Peak oversampling: ${oversampling}`);
+}
+
+/**
+ * Zeroth-order modified Bessel function of the first kind (Kaiser window).
+ * @param {number} x - Argument
+ * @returns {number} I₀(x)
+ */
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; k < 50; k++) {
+    term *= (x / (2 * k)) * (x / (2 * k));
+    sum += term;
+    if (term < sum * 1e-16) break;
+  }
+  return sum;
+}
+
+/**
+ * Design polyphase interpolator branches with a Kaiser-windowed sinc.
+ *
+ * Used for factors without a reference table (2×, 8×). The cutoff sits just
+ * below the original Nyquist frequency, and every branch is normalised to
+ * unity DC gain so a constant signal reads the same on all output positions.
+ * With the defaults the passband error stays below 0.01 dB up to 0.42 × Fs.
+ *
+ * @param {number} factor - Oversampling factor (≥ 2)
+ * @param {number} [tapsPerPhase=16] - Coefficients per branch
+ * @param {number} [beta=7] - Kaiser window shape parameter
+ * @param {number} [cutoff=0.95] - Cutoff relative to the original Nyquist frequency
+ * @returns {Float64Array[]} One coefficient array per output position
+ */
+export function designOversamplingPhases(factor, tapsPerPhase = 16, beta = 7, cutoff = 0.95) {
+  const length = factor * tapsPerPhase;
+  const centre = (length - 1) / 2;
+  const windowNorm = besselI0(beta);
+
+  /** @type {Float64Array[]} */
+  const phases = [];
+  for (let p = 0; p < factor; p++) {
+    phases.push(new Float64Array(tapsPerPhase));
+  }
+
+  for (let m = 0; m < length; m++) {
+    const x = ((m - centre) / factor) * cutoff;
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+    const r = (2 * m) / (length - 1) - 1;
+    const window = besselI0(beta * Math.sqrt(1 - r * r)) / windowNorm;
+    phases[m % factor][Math.floor(m / factor)] = sinc * window;
+  }
+
+  for (const phase of phases) {
+    const sum = phase.reduce((a, b) => a + b, 0);
+    for (let k = 0; k < phase.length; k++) phase[k] /= sum;
+  }
+
+  return phases;
+}
+
+/** @type {Map<number, Float64Array[]>} */
+const phaseCache = new Map();
+
+/**
+ * Get the polyphase branches for an oversampling factor.
+ * 4× returns the BS.1770-4 reference filter; 1× is a pass-through.
+ *
+ * @param {number} factor - Oversampling factor (1, 2, 4 or 8)
+ * @returns {Float64Array[]} Polyphase branches (shared, do not modify)
+ */
+export function getTruePeakPhases(factor) {
+  let phases = phaseCache.get(factor);
+  if (!phases) {
+    if (factor === 1) {
+      phases = [Float64Array.of(1)];
+    } else if (factor === OVERSAMPLE_FACTOR) {
+      phases = BS1770_TRUE_PEAK_PHASES.map(phase => Float64Array.from(phase));
+    } else {
+      phases = designOversamplingPhases(factor);
+    }
+    phaseCache.set(factor, phases);
+  }
+  return phases;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // INTERPOLATION
 // ─────────────────────────────────────────────────────────────────────────────
@@ -111,20 +284,59 @@ export function hermiteInterpolate(p0, p1, p2, p3, t) {
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Calculate True Peak level from audio buffer using 4× oversampling.
+ * Calculate True Peak level from audio buffer per ITU-R BS.1770-4 Annex 2.
  *
- * Uses Hermite interpolation to estimate intersample peaks at
- * 0.25, 0.50, and 0.75 positions between each sample pair.
+ * Runs the polyphase FIR interpolator over the buffer. Output positions that
+ * would need samples from before the buffer are skipped rather than
+ * zero-padded, so a buffer starting mid-signal cannot produce a false over.
  *
  * @param {Float32Array} buffer - Audio samples (typically from AnalyserNode)
+ * @param {number} [factor=OVERSAMPLE_FACTOR] - Oversampling factor (1, 2, 4 or 8)
  * @returns {number} True Peak in dBTP
  *
  * @example
  * analyser.getFloatTimeDomainData(buffer);
- * const truePeak = calculateTruePeak(buffer);
+ * const truePeak = calculateTruePeak(buffer, getOversamplingFactor(ctx.sampleRate));
  * console.log(`True Peak: ${truePeak.toFixed(1)} dBTP`);
  */
-export function calculateTruePeak(buffer) {
+export function calculateTruePeak(buffer, factor = OVERSAMPLE_FACTOR) {
+  const phases = getTruePeakPhases(factor);
+  const taps = phases[0].length;
+  const n = buffer.length;
+  let maxAbs = 0;
+
+  // Sample peak (also the fallback for buffers shorter than the filter)
+  for (let i = 0; i < n; i++) {
+    const abs = Math.abs(buffer[i]);
+    if (abs > maxAbs) maxAbs = abs;
+  }
+
+  for (let i = taps - 1; i < n; i++) {
+    for (let p = 0; p < phases.length; p++) {
+      const h = phases[p];
+      let sum = 0;
+      for (let k = 0; k < taps; k++) {
+        sum += h[k] * buffer[i - k];
+      }
+      const abs = Math.abs(sum);
+      if (abs > maxAbs) maxAbs = abs;
+    }
+  }
+
+  return amplitudeToDbTP(maxAbs);
+}
+
+/**
+ * Calculate True Peak using legacy 4-point Hermite interpolation.
+ *
+ * Estimates intersample peaks at 0.25, 0.50, and 0.75 positions between
+ * each sample pair. Cheaper than the reference FIR but not spec-conformant:
+ * it under-reads some intersample overs. Kept for comparison only.
+ *
+ * @param {Float32Array} buffer - Audio samples
+ * @returns {number} True Peak in dBTP
+ */
+export function calculateTruePeakHermite(buffer) {
   let maxAbs = 0;
   const n = buffer.length;
 
@@ -168,11 +380,12 @@ export function calculateTruePeak(buffer) {
  *
  * @param {Float32Array} leftBuffer - Left channel samples
  * @param {Float32Array} rightBuffer - Right channel samples
+ * @param {number} [factor=OVERSAMPLE_FACTOR] - Oversampling factor
  * @returns {TruePeakStereo} Per-channel and combined True Peak
  */
-export function calculateTruePeakStereo(leftBuffer, rightBuffer) {
-  const left = calculateTruePeak(leftBuffer);
-  const right = calculateTruePeak(rightBuffer);
+export function calculateTruePeakStereo(leftBuffer, rightBuffer, factor = OVERSAMPLE_FACTOR) {
+  const left = calculateTruePeak(leftBuffer, factor);
+  const right = calculateTruePeak(rightBuffer, factor);
   const max = Math.max(left, right);
 
   return { left, right, max };
@@ -185,6 +398,109 @@ export function calculateTruePeakStereo(leftBuffer, rightBuffer) {
  * @property {number} max - Maximum of L/R in dBTP
  */
 
+// ─────────────────────────────────────────────────────────────────────────────
+// STREAMING DETECTOR
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Stateful True Peak detector for continuous streams.
+ *
+ * calculateTruePeak() only interpolates inside the buffer it is given, so
+ * intersample peaks straddling two consecutive buffers are missed. This
+ * detector keeps the FIR delay line between calls, so every output position
+ * of the stream is evaluated exactly once regardless of how it is chunked.
+ *
+ * @example
+ * const detector = new TruePeakDetector({ sampleRate: 48000 });
+ * // For each render quantum:
+ * const peak = detector.process(quantum);  // linear amplitude
+ */
+export class TruePeakDetector {
+  /** @type {number} */
+  sampleRate;
+  /** @type {number} */
+  factor = OVERSAMPLE_FACTOR;
+  /** @type {Float64Array[]} */
+  phases = [];
+  /** @type {number} */
+  taps = 0;
+  /** @type {Float64Array} */
+  history = new Float64Array(0);
+  /** @type {number} */
+  writeIndex = 0;
+
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.sampleRate=48000] - Sample rate in Hz
+   * @param {TruePeakOversampling} [options.oversampling='auto'] - Oversampling factor
+   */
+  constructor({ sampleRate = 48000, oversampling = 'auto' } = {}) {
+    this.sampleRate = sampleRate;
+    this.setOversampling(oversampling);
+  }
+
+  /**
+   * Change the oversampling factor. Clears the delay line.
+   *
+   * @param {TruePeakOversampling} oversampling - 'auto' or explicit factor
+   */
+  setOversampling(oversampling) {
+    this.factor = resolveOversamplingFactor(oversampling, this.sampleRate);
+    this.phases = getTruePeakPhases(this.factor);
+    this.taps = this.phases[0].length;
+
+    // Delay line written twice so the newest `taps` samples are contiguous
+    this.history = new Float64Array(this.taps * 2);
+    this.writeIndex = 0;
+  }
+
+  /**
+   * Process a chunk of samples.
+   *
+   * @param {Float32Array} buffer - Audio samples
+   * @returns {number} Maximum absolute (linear) True Peak within this chunk
+   */
+  process(buffer) {
+    const { phases, taps, history } = this;
+    let w = this.writeIndex;
+    let maxAbs = 0;
+
+    for (let i = 0; i < buffer.length; i++) {
+      const x = buffer[i];
+
+      // history[w + k] = x[n − k]
+      w = (w === 0 ? taps : w) - 1;
+      history[w] = x;
+      history[w + taps] = x;
+
+      const abs = Math.abs(x);
+      if (abs > maxAbs) maxAbs = abs;
+
+      for (let p = 0; p < phases.length; p++) {
+        const h = phases[p];
+        let sum = 0;
+        for (let k = 0; k < taps; k++) {
+          sum += h[k] * history[w + k];
+        }
+        const y = Math.abs(sum);
+        if (y > maxAbs) maxAbs = y;
+      }
+    }
+
+    this.writeIndex = w;
+
+    return maxAbs;
+  }
+
+  /**
+   * Clear the delay line.
+   */
+  reset() {
+    this.history.fill(0);
+    this.writeIndex = 0;
+  }
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // TRUE PEAK METER CLASS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -211,17 +527,23 @@ export class TruePeakMeter {
   /**
    * @param {Object} options - Configuration options
    * @param {number} [options.limit=TP_LIMIT_EBU] - True Peak limit for over detection
-   * @param {number} [options.smoothing=0.25] - Smoothing factor (0-1, higher = faster)
+   * @param {number} [options.smoothing=0.25] - Smoothing factor per TP_SMOOTHING_INTERVAL_S (0-1, higher = faster)
    * @param {number} [options.peakHoldSeconds=PEAK_HOLD_SECONDS] - Peak hold duration
+   * @param {number} [options.sampleRate=48000] - Sample rate in Hz (selects oversampling)
+   * @param {TruePeakOversampling} [options.oversampling='auto'] - Oversampling factor
    */
   constructor({
     limit = TP_LIMIT_EBU,
     smoothing = 0.25,
-    peakHoldSeconds = PEAK_HOLD_SECONDS
+    peakHoldSeconds = PEAK_HOLD_SECONDS,
+    sampleRate = 48000,
+    oversampling = 'auto'
   } = {}) {
     this.limit = limit;
     this.smoothing = smoothing;
     this.peakHoldSeconds = peakHoldSeconds;
+    this.sampleRate = sampleRate;
+    this.setOversampling(oversampling);
 
     // Smoothed current values
     this.smoothL = -60;
@@ -238,6 +560,12 @@ export class TruePeakMeter {
 
     // Maximum peak since reset (for TPmax display)
     this.maxPeak = -Infinity;
+
+    // Per-channel values for multichannel layouts (see updateChannels)
+    /** @type {number[]} */
+    this.channelPeaks = [];
+    /** @type {number[]} */
+    this.channelMax = [];
   }
 
   /**
@@ -247,11 +575,60 @@ export class TruePeakMeter {
    * @param {Float32Array} rightBuffer - Right channel samples
    */
   update(leftBuffer, rightBuffer) {
-    const rawL = calculateTruePeak(leftBuffer);
-    const rawR = calculateTruePeak(rightBuffer);
+    this.updatePeaks(
+      calculateTruePeak(leftBuffer, this.factor),
+      calculateTruePeak(rightBuffer, this.factor)
+    );
+  }
+
+  /**
+   * Update meter with already-measured True Peak values for every channel.
+   *
+   * The first two channels drive the L/R display ballistics; all channels
+   * are tracked for per-channel TPmax and over detection (5.1, 7.1.4, …).
+   *
+   * @param {ArrayLike<number>} peaks - True Peak per channel in dBTP (layout order)
+   * @param {number} [elapsedS=TP_SMOOTHING_INTERVAL_S] - Time covered by these peaks (s)
+   */
+  updateChannels(peaks, elapsedS = TP_SMOOTHING_INTERVAL_S) {
+    if (this.channelMax.length !== peaks.length) {
+      this.channelMax = Array.from(peaks, () => -Infinity);
+    }
+
+    for (let ch = 0; ch < peaks.length; ch++) {
+      if (peaks[ch] > this.channelMax[ch]) this.channelMax[ch] = peaks[ch];
+    }
+    this.channelPeaks = Array.from(peaks);
+
+    this.updatePeaks(peaks[0], peaks.length > 1 ? peaks[1] : peaks[0], elapsedS);
 
-    // Smooth for stable display
-    const a = this.smoothing;
+    if (this.channelMax.some(v => v >= this.limit)) {
+      this.isOver = true;
+    }
+  }
+
+  /**
+   * Select the oversampling factor used by update().
+   *
+   * @param {TruePeakOversampling} oversampling - 'auto' (from sample rate) or 1, 2, 4, 8
+   */
+  setOversampling(oversampling) {
+    this.oversampling = oversampling;
+    this.factor = resolveOversamplingFactor(oversampling, this.sampleRate);
+  }
+
+  /**
+   * Update meter with already-measured True Peak values.
+   * Use this when detection runs elsewhere (e.g. in the metering
+   * AudioWorklet via TruePeakDetector) and only the results arrive here.
+   *
+   * @param {number} rawL - Left channel True Peak in dBTP
+   * @param {number} rawR - Right channel True Peak in dBTP
+   * @param {number} [elapsedS=TP_SMOOTHING_INTERVAL_S] - Time covered by these peaks (s)
+   */
+  updatePeaks(rawL, rawR, elapsedS = TP_SMOOTHING_INTERVAL_S) {
+    // Smooth for stable display, with the same time constant at any update rate
+    const a = 1 - Math.pow(1 - this.smoothing, elapsedS / TP_SMOOTHING_INTERVAL_S);
     this.smoothL = this.smoothL + a * (rawL - this.smoothL);
     this.smoothR = this.smoothR + a * (rawR - this.smoothR);
 
@@ -294,6 +671,7 @@ export class TruePeakMeter {
   getState() {
     const isOverLeft = this.peakHoldL >= this.limit;
     const isOverRight = this.peakHoldR >= this.limit;
+    const isOverChannels = this.channelMax.map(v => v >= this.limit);
 
     return {
       dbtpLeft: this.smoothL,
@@ -303,7 +681,10 @@ export class TruePeakMeter {
       dbtpMax: this.maxPeak,
       isOverLeft,
       isOverRight,
-      isOverAny: isOverLeft || isOverRight
+      isOverAny: isOverLeft || isOverRight || isOverChannels.includes(true),
+      dbtpChannels: this.channelPeaks.slice(),
+      dbtpMaxChannels: this.channelMax.slice(),
+      isOverChannels
     };
   }
 
@@ -315,6 +696,7 @@ export class TruePeakMeter {
     this.peakHoldR = -60;
     this.maxPeak = -Infinity;
     this.isOver = false;
+    this.channelMax = this.channelMax.map(() => -Infinity);
   }
 }
 
@@ -327,7 +709,10 @@ export class TruePeakMeter {
  * @property {number} dbtpMax - Maximum True Peak since reset (dBTP)
  * @property {boolean} isOverLeft - Left channel exceeded limit
  * @property {boolean} isOverRight - Right channel exceeded limit
- * @property {boolean} isOverAny - Either channel exceeded limit
+ * @property {boolean} isOverAny - Any channel exceeded limit
+ * @property {number[]} dbtpChannels - Latest True Peak per channel (dBTP, multichannel only)
+ * @property {number[]} dbtpMaxChannels - Maximum True Peak per channel since reset (dBTP, multichannel only)
+ * @property {boolean[]} isOverChannels - Per-channel over indicator (multichannel only)
  */
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -380,128 +765,3 @@ export function isOverLimit(dbTP, limit = TP_LIMIT_EBU) {
   return dbTP >= limit;
 }
 
-// ─────────────────────────────────────────────────────────────────────────────
-// POLYPHASE FIR TRUE PEAK (ITU-R BS.1770-4 ANNEX 2)
-// ─────────────────────────────────────────────────────────────────────────────
-//
-// IMPLEMENTATION STATUS: PLACEHOLDER
-// ───────────────────────────────────
-// This section documents the polyphase FIR approach specified in ITU-R BS.1770-4
-// Annex 2 for laboratory-grade True Peak measurement. The current implementation
-// uses Hermite interpolation (see calculateTruePeak above) which is sufficient
-// for broadcast monitoring but may deviate by up to 0.5 dB for edge cases.
-//
-// For full compliance with ITU-R BS.1770-4, a polyphase FIR implementation
-// would be required. The mathematics and coefficients are documented below
-// for future implementation.
-//
-// ─────────────────────────────────────────────────────────────────────────────
-//
-// POLYPHASE FIR ARCHITECTURE
-// ──────────────────────────
-// ITU-R BS.1770-4 Annex 2 specifies 4× oversampling using a low-pass
-// interpolation filter. The polyphase structure splits a single FIR filter
-// into multiple phases, each computing one output sample position:
-//
-//   Original signal: x[n] @ Fs
-//                       │
-//       ┌───────────────┼───────────────┐
-//       ↓               ↓               ↓
-//    Phase 0         Phase 1         Phase 2         Phase 3
-//    (t = 0)         (t = 0.25)      (t = 0.5)       (t = 0.75)
-//       │               │               │               │
-//    h₀[k]           h₁[k]           h₂[k]           h₃[k]
-//       │               │               │               │
-//       └───────────────┼───────────────┘
-//                       ↓
-//                  max(|y|) → dBTP
-//
-// Each phase hₚ[k] contains the filter coefficients for that output position.
-// For a 48-tap prototype filter, each phase has 12 coefficients.
-//
-// MATHEMATICAL FORMULATION
-// ────────────────────────
-// The interpolated output at fractional position (n + p/4) is:
-//
-//   y[n + p/4] = Σₖ hₚ[k] × x[n - k]     for k = 0..11
-//
-// Where:
-//   - p ∈ {0, 1, 2, 3} is the phase index
-//   - hₚ[k] are the polyphase coefficients for phase p
-//   - x[n] is the input signal
-//
-// PROTOTYPE FILTER DESIGN
-// ───────────────────────
-// The prototype filter H(z) is a half-band low-pass FIR with:
-//   - Passband: 0 to Fs/8 (≈6 kHz @ 48 kHz)
-//   - Transition band: Fs/8 to Fs/4
-//   - Stopband: Fs/4 to Fs/2
-//   - Attenuation: ≥80 dB in stopband
-//
-// Coefficients are calculated using Parks-McClellan (Remez) algorithm
-// or windowed sinc (Kaiser window, β ≈ 8).
-//
-// REFERENCE COEFFICIENTS (48 kHz, 48-tap)
-// ───────────────────────────────────────
-// The following coefficients are from EBU Tech 3341 / BS.1770-4 reference:
-//
-// Phase 0 (original sample positions, should be unity at centre):
-//   [ 0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 1.0000,
-//     0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000 ]
-//
-// Phase 1 (t = 0.25):
-//   [ 0.0017089843750, -0.0291748046875, -0.0189208984375, 0.1099853515625,
-//     0.2926025390625,  0.4061279296875,  0.2926025390625, 0.1099853515625,
-//    -0.0189208984375, -0.0291748046875,  0.0017089843750, 0.0000000000000 ]
-//
-// Phase 2 (t = 0.50):
-//   [ 0.0018310546875, -0.0180664062500,  0.0438232421875, -0.0931396484375,
-//     0.3141357421875,  0.5000000000000,  0.3141357421875, -0.0931396484375,
-//     0.0438232421875, -0.0180664062500,  0.0018310546875,  0.0000000000000 ]
-//
-// Phase 3 (t = 0.75):
-//   Same as Phase 1 due to filter symmetry (time-reversed)
-//
-// IMPLEMENTATION PSEUDOCODE
-// ─────────────────────────
-//
-//   function calculateTruePeakPolyphase(buffer) {
-//     const FILTER_LENGTH = 12;
-//     const PHASES = 4;
-//     let maxAbs = 0;
-//
-//     // Pre-compute filter coefficients (could be const)
-//     const coeffs = [PHASE_0, PHASE_1, PHASE_2, PHASE_3];
-//
-//     for (let i = FILTER_LENGTH; i < buffer.length; i++) {
-//       // For each input sample, compute 4 output samples
-//       for (let phase = 0; phase < PHASES; phase++) {
-//         let sum = 0;
-//         for (let k = 0; k < FILTER_LENGTH; k++) {
-//           sum += buffer[i - k] * coeffs[phase][k];
-//         }
-//         const abs = Math.abs(sum);
-//         if (abs > maxAbs) maxAbs = abs;
-//       }
-//     }
-//
-//     return amplitudeToDbTP(maxAbs);
-//   }
-//
-// PERFORMANCE COMPARISON
-// ──────────────────────
-//                              Ops/sample    Accuracy
-//   Hermite (current)         ~12           ±0.5 dB for edge cases
-//   Polyphase FIR (proposed)  ~96           <0.1 dB (spec-compliant)
-//
-// WHEN TO IMPLEMENT
-// ─────────────────
-// Consider implementing polyphase FIR when:
-//   1. Laboratory-grade measurement accuracy is required
-//   2. Processing offline files (not real-time monitoring)
-//   3. Compliance certification is needed
-//
-// For live monitoring, Hermite interpolation provides excellent
-// practical accuracy with lower computational cost.
-//
-// ─────────────────────────────────────────────────────────────────────────────
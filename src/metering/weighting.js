@@ -0,0 +1,154 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * FREQUENCY WEIGHTING CURVES
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Magnitude response of the standard weighting curves, for weighting a
+ * spectrum in the frequency domain (e.g. the RTA). These are responses,
+ * not filters: nothing here processes samples.
+ *
+ * CURVES
+ * ──────
+ *   'Z'     Flat (IEC 61672-1 zero weighting)
+ *   'A'     IEC 61672-1 A-weighting, 0 dB at 1 kHz
+ *   'C'     IEC 61672-1 C-weighting, 0 dB at 1 kHz
+ *   'K'     ITU-R BS.1770-4 pre-filter, evaluated from the biquads at the
+ *           sample rate (+0.69 dB at 1 kHz, as in the loudness meter)
+ *   '468'   ITU-R BS.468-4 noise weighting, 0 dB at 1 kHz, +12.2 dB at 6.3 kHz
+ *
+ * @module metering/weighting
+ * @see IEC 61672-1:2013 Annex E (analytical expressions)
+ * @see ITU-R BS.468-4 Section 1.1
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { getKWeightingCoefficients } from './k-weighting.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CURVES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {'Z'|'A'|'C'|'K'|'468'} Weighting
+ */
+
+/**
+ * Weighting identifiers with display names, in display order.
+ * @type {Readonly<Record<Weighting, string>>}
+ */
+export const WEIGHTINGS = Object.freeze({
+  'Z': 'Z (flat)',
+  'A': 'A',
+  'C': 'C',
+  'K': 'K (BS.1770)',
+  '468': 'ITU-R 468'
+});
+
+// IEC 61672-1 pole frequencies (Hz)
+const F1 = 20.598997;
+const F2 = 107.65265;
+const F3 = 737.86223;
+const F4 = 12194.217;
+
+/** A- and C-weighting normalisation to 0 dB at 1 kHz (IEC 61672-1 A1000, C1000) */
+const A1000_DB = -2.000;
+const C1000_DB = -0.062;
+
+/**
+ * @param {number} f - Frequency in Hz
+ * @returns {number} A-weighting in dB
+ */
+function aWeightingDb(f) {
+  const f2 = f * f;
+  const ra = (F4 * F4 * f2 * f2) /
+    ((f2 + F1 * F1) * Math.sqrt((f2 + F2 * F2) * (f2 + F3 * F3)) * (f2 + F4 * F4));
+  return 20 * Math.log10(ra) - A1000_DB;
+}
+
+/**
+ * @param {number} f - Frequency in Hz
+ * @returns {number} C-weighting in dB
+ */
+function cWeightingDb(f) {
+  const f2 = f * f;
+  const rc = (F4 * F4 * f2) / ((f2 + F1 * F1) * (f2 + F4 * F4));
+  return 20 * Math.log10(rc) - C1000_DB;
+}
+
+/**
+ * ITU-R 468 response (the standard's tabulated curve as a rational function).
+ * @param {number} f - Frequency in Hz
+ * @returns {number} Unnormalised magnitude
+ */
+function itu468Response(f) {
+  const h1 = -4.737338981378384e-24 * f ** 6 + 2.043828333606125e-15 * f ** 4 -
+    1.363894795463638e-7 * f ** 2 + 1;
+  const h2 = 1.306612257412824e-19 * f ** 5 - 2.118150887518656e-11 * f ** 3 +
+    5.559488023498642e-4 * f;
+  return 1.246332637532143e-4 * f / Math.hypot(h1, h2);
+}
+
+const ITU468_1K = itu468Response(1000);
+
+/**
+ * Magnitude of a biquad at a frequency.
+ * @param {{b0: number, b1: number, b2: number, a1: number, a2: number}} c - Coefficients
+ * @param {number} w - Normalised angular frequency (rad/sample)
+ * @returns {number} |H(e^jw)|
+ */
+function biquadMagnitude({ b0, b1, b2, a1, a2 }, w) {
+  const cos1 = Math.cos(w), sin1 = Math.sin(w);
+  const cos2 = Math.cos(2 * w), sin2 = Math.sin(2 * w);
+  const numRe = b0 + b1 * cos1 + b2 * cos2;
+  const numIm = -(b1 * sin1 + b2 * sin2);
+  const denRe = 1 + a1 * cos1 + a2 * cos2;
+  const denIm = -(a1 * sin1 + a2 * sin2);
+  return Math.hypot(numRe, numIm) / Math.hypot(denRe, denIm);
+}
+
+/**
+ * Weighting gain at a frequency.
+ *
+ * @param {Weighting} weighting - Curve identifier
+ * @param {number} freq - Frequency in Hz (> 0)
+ * @param {number} [sampleRate=48000] - Sample rate in Hz (K-weighting only)
+ * @returns {number} Gain in dB
+ * @throws {RangeError} If the weighting is unknown
+ *
+ * @example
+ * weightingGainDb('A', 100);   // ≈ −19.1
+ * weightingGainDb('468', 6300); // ≈ +12.2
+ */
+export function weightingGainDb(weighting, freq, sampleRate = 48000) {
+  switch (weighting) {
+    case 'Z':
+      return 0;
+    case 'A':
+      return aWeightingDb(freq);
+    case 'C':
+      return cWeightingDb(freq);
+    case 'K': {
+      const { highpass, highshelf } = getKWeightingCoefficients(sampleRate);
+      const w = 2 * Math.PI * freq / sampleRate;
+      return 20 * Math.log10(biquadMagnitude(highpass, w) * biquadMagnitude(highshelf, w));
+    }
+    case '468':
+      return 20 * Math.log10(itu468Response(freq) / ITU468_1K);
+    default:
+      throw new RangeError(`Unknown weighting: ${weighting}`);
+  }
+}
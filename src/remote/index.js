@@ -94,3 +94,16 @@ export {
 export {
   RemotePanel
 } from './ui/index.js';
+
+// Recording and replay
+export {
+  RECORDING_FORMAT,
+  RECORDING_VERSION,
+  RECORDING_INTERVAL_MS,
+  createRecordingHeader,
+  createRecordingFrame,
+  frameToMetrics,
+  formatRecordingNdjson,
+  parseRecordingNdjson,
+  MetricsPlayer
+} from './recording.js';
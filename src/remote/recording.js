@@ -0,0 +1,391 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * METRICS RECORDING AND REPLAY
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Records the stream of meter values shown by the client, local or remote,
+ * so an incident can be reviewed later without the original audio.
+ *
+ * FRAMES
+ * ──────
+ * A frame holds the metric groups of a remote metrics message (lufs,
+ * truePeak, ppm, rms, stereo; see client/metrics-receiver.js RemoteMetrics)
+ * and its time since the start of the recording. Values are rounded to
+ * 0.01 and levels that are not finite (silence) are stored as null.
+ * Goniometer points and spectrum bands are not recorded.
+ *
+ * FILE FORMAT (NDJSON)
+ * ────────────────────
+ *   {"format":"vero-metrics-recording","version":1,"name":…,"start":…,…}
+ *   {"t":0,"lufs":{…},"truePeak":{…},"ppm":{…},"rms":{…},"stereo":{…}}
+ *   {"t":100,…}
+ *
+ * One JSON object per line: the header first, then frames in time order.
+ *
+ * REPLAY
+ * ──────
+ * MetricsPlayer maps a monotonic clock onto recording time at a chosen
+ * rate, with seek, and hands out the frame due at each update.
+ *
+ * @module remote/recording
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { METRICS_SCHEMA_VERSION } from './types.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Header `format` value identifying a recording */
+export const RECORDING_FORMAT = 'vero-metrics-recording';
+
+/** Recording file version */
+export const RECORDING_VERSION = 1;
+
+/** Frame interval while recording (10 Hz, the probe update rate) */
+export const RECORDING_INTERVAL_MS = 100;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TYPES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} RecordingHeader
+ * @property {string} format - RECORDING_FORMAT
+ * @property {number} version - RECORDING_VERSION
+ * @property {number} schemaVersion - Metrics schema of the frames (METRICS_SCHEMA_VERSION)
+ * @property {string} name - Display name
+ * @property {number} start - Wall-clock start time (ms)
+ * @property {string|null} source - Source the values came from (device, probe …)
+ * @property {number} interval - Frame interval (ms)
+ */
+
+/**
+ * @typedef {Object<string, number|null>} RecordedGroup
+ */
+
+/**
+ * @typedef {Object} RecordingFrame
+ * @property {number} t - Time since the start of the recording (ms)
+ * @property {RecordedGroup|null} lufs - momentary, shortTerm, integrated, lra (LUFS / LU)
+ * @property {RecordedGroup|null} truePeak - left, right, max (dBTP)
+ * @property {RecordedGroup|null} ppm - left, right (dBFS)
+ * @property {RecordedGroup|null} rms - left, right (dBFS)
+ * @property {RecordedGroup|null} stereo - correlation, balance, width, widthPeak, midLevel, sideLevel, rotation
+ */
+
+/**
+ * @typedef {Object} Recording
+ * @property {RecordingHeader} header - Header
+ * @property {RecordingFrame[]} frames - Frames in time order
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FRAMES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Create a recording header.
+ *
+ * @param {Object} options - Header fields
+ * @param {number} options.start - Wall-clock start time (ms)
+ * @param {string} [options.name] - Display name (default: start time)
+ * @param {string|null} [options.source] - Source description
+ * @returns {RecordingHeader}
+ */
+export function createRecordingHeader({ start, name, source = null }) {
+  return {
+    format: RECORDING_FORMAT,
+    version: RECORDING_VERSION,
+    schemaVersion: METRICS_SCHEMA_VERSION,
+    name: name ?? new Date(start).toISOString(),
+    start,
+    source,
+    interval: RECORDING_INTERVAL_MS
+  };
+}
+
+/**
+ * @param {unknown} group - Metric group from a metrics message
+ * @returns {RecordedGroup|null} Numeric members rounded, non-finite as null
+ */
+function recordGroup(group) {
+  if (!group || typeof group !== 'object') return null;
+
+  /** @type {RecordedGroup} */
+  const recorded = {};
+  for (const [key, value] of Object.entries(group)) {
+    if (typeof value !== 'number') continue;
+    recorded[key] = Number.isFinite(value) ? Math.round(value * 100) / 100 : null;
+  }
+  return recorded;
+}
+
+/**
+ * Turn the metric groups of a metrics message into a frame.
+ *
+ * @param {number} t - Time since the start of the recording (ms)
+ * @param {Object<string, unknown>} metrics - Metrics message (RemoteMetrics shape)
+ * @returns {RecordingFrame}
+ */
+export function createRecordingFrame(t, metrics) {
+  return {
+    t: Math.round(t),
+    lufs: recordGroup(metrics.lufs),
+    truePeak: recordGroup(metrics.truePeak),
+    ppm: recordGroup(metrics.ppm),
+    rms: recordGroup(metrics.rms),
+    stereo: recordGroup(metrics.stereo)
+  };
+}
+
+/**
+ * Turn a frame back into a metrics message for the display code.
+ * Levels stored as null become -Infinity; stereo values stored as null
+ * are left out so the display defaults apply.
+ *
+ * @param {RecordingFrame} frame - Recorded frame
+ * @returns {{lufs: Object<string, number>|null, truePeak: Object<string, number>|null, ppm: Object<string, number>|null, rms: Object<string, number>|null, stereo: Object<string, number>|null, visualization: null, isActive: boolean, latency: number}}
+ */
+export function frameToMetrics(frame) {
+  /**
+   * @param {RecordedGroup|null} group
+   * @param {boolean} levels - Restore null as -Infinity (otherwise drop it)
+   * @returns {Object<string, number>|null}
+   */
+  const restore = (group, levels) => {
+    if (!group) return null;
+    /** @type {Object<string, number>} */
+    const values = {};
+    for (const [key, value] of Object.entries(group)) {
+      if (value !== null) values[key] = value;
+      else if (levels) values[key] = -Infinity;
+    }
+    return values;
+  };
+
+  return {
+    lufs: restore(frame.lufs, true),
+    truePeak: restore(frame.truePeak, true),
+    ppm: restore(frame.ppm, true),
+    rms: restore(frame.rms, true),
+    stereo: restore(frame.stereo, false),
+    visualization: null,
+    isActive: true,
+    latency: 0
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// NDJSON
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Serialise a recording as NDJSON (header line, then one line per frame).
+ *
+ * @param {Recording} recording - Header and frames
+ * @returns {string} NDJSON text ending in a newline
+ */
+export function formatRecordingNdjson({ header, frames }) {
+  const lines = [JSON.stringify(header)];
+  for (const frame of frames) lines.push(JSON.stringify(frame));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse an NDJSON recording. Frames are sorted by time; lines that are not
+ * valid JSON or have no numeric time are skipped (e.g. a line cut short
+ * when the recording was interrupted).
+ *
+ * @param {string} text - NDJSON text
+ * @returns {Recording}
+ * @throws {Error} If the first line is not a recording header, or the version is newer than this reader
+ */
+export function parseRecordingNdjson(text) {
+  const lines = text.split('\n').filter(line => line.trim() !== '');
+
+  /** @type {unknown} */
+  let first = null;
+  try {
+    first = lines.length > 0 ? JSON.parse(lines[0]) : null;
+  } catch {
+    first = null;
+  }
+  const header = /** @type {Partial<RecordingHeader>|null} */ (first);
+  if (!header || typeof header !== 'object' || header.format !== RECORDING_FORMAT) {
+    throw new Error('Not a metrics recording (header line missing)');
+  }
+  if (typeof header.version !== 'number' || header.version > RECORDING_VERSION) {
+    throw new Error(`Unsupported metrics recording version ${header.version}`);
+  }
+
+  /** @type {RecordingFrame[]} */
+  const frames = [];
+  for (let i = 1; i < lines.length; i++) {
+    /** @type {RecordingFrame|null} */
+    let frame = null;
+    try {
+      frame = JSON.parse(lines[i]);
+    } catch {
+      continue;
+    }
+    if (frame && typeof frame.t === 'number' && Number.isFinite(frame.t)) frames.push(frame);
+  }
+  frames.sort((a, b) => a.t - b.t);
+
+  return {
+    header: headerFromFile(header),
+    frames
+  };
+}
+
+/**
+ * Fill missing header fields of a parsed file.
+ * @param {Partial<RecordingHeader>} header - Parsed header
+ * @returns {RecordingHeader}
+ */
+function headerFromFile(header) {
+  const start = typeof header.start === 'number' ? header.start : 0;
+  return {
+    ...createRecordingHeader({ start, name: header.name, source: header.source ?? null }),
+    version: /** @type {number} */ (header.version),
+    schemaVersion: header.schemaVersion ?? METRICS_SCHEMA_VERSION,
+    interval: header.interval ?? RECORDING_INTERVAL_MS
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PLAYER
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Replays frames against a monotonic clock (performance.now()).
+ *
+ * @example
+ * const player = new MetricsPlayer(recording.frames);
+ * player.play(performance.now());
+ * setInterval(() => {
+ *   const frame = player.update(performance.now());
+ *   if (frame) showMetrics(frameToMetrics(frame));
+ * }, 50);
+ */
+export class MetricsPlayer {
+  /** @type {RecordingFrame[]} */
+  frames;
+  /** @type {number} Playback rate (1 = real time) */
+  rate = 1;
+  /** @type {boolean} */
+  playing = false;
+  /** @type {number} Recording time at clockStart (ms) */
+  #position = 0;
+  /** @type {number} Clock time when playback last started or changed rate */
+  #clockStart = 0;
+  /** @type {number} Index of the frame last handed out (-1: none) */
+  #index = -1;
+
+  /**
+   * @param {RecordingFrame[]} frames - Frames in time order
+   */
+  constructor(frames) {
+    this.frames = frames;
+  }
+
+  /**
+   * Recording length (time of the last frame, ms).
+   * @returns {number}
+   */
+  get duration() {
+    return this.frames.length > 0 ? this.frames[this.frames.length - 1].t : 0;
+  }
+
+  /**
+   * Current recording time (ms).
+   * @param {number} now - Clock time (ms)
+   * @returns {number}
+   */
+  getPosition(now) {
+    if (!this.playing) return this.#position;
+    return Math.min(this.duration, this.#position + (now - this.#clockStart) * this.rate);
+  }
+
+  /**
+   * Start or continue playback; from the end, start again.
+   * @param {number} now - Clock time (ms)
+   */
+  play(now) {
+    if (this.playing) return;
+    if (this.#position >= this.duration) this.seek(0, now);
+    this.#clockStart = now;
+    this.playing = true;
+  }
+
+  /**
+   * @param {number} now - Clock time (ms)
+   */
+  pause(now) {
+    if (!this.playing) return;
+    this.#position = this.getPosition(now);
+    this.playing = false;
+  }
+
+  /**
+   * Change the playback rate without jumping.
+   * @param {number} rate - Rate (> 0)
+   * @param {number} now - Clock time (ms)
+   */
+  setRate(rate, now) {
+    this.#position = this.getPosition(now);
+    this.#clockStart = now;
+    this.rate = rate;
+  }
+
+  /**
+   * Jump to a recording time. The next update() hands out the frame due there.
+   * @param {number} position - Recording time (ms), clamped to the recording
+   * @param {number} now - Clock time (ms)
+   */
+  seek(position, now) {
+    this.#position = Math.max(0, Math.min(this.duration, position));
+    this.#clockStart = now;
+    this.#index = -1;
+  }
+
+  /**
+   * Frame due at the current position, if it differs from the last one
+   * handed out. Playback stops at the last frame.
+   *
+   * @param {number} now - Clock time (ms)
+   * @returns {RecordingFrame|null}
+   */
+  update(now) {
+    const position = this.getPosition(now);
+    if (this.playing && position >= this.duration) this.pause(now);
+
+    // Last frame at or before the position (binary search)
+    let lo = 0;
+    let hi = this.frames.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.frames[mid].t <= position) lo = mid + 1;
+      else hi = mid;
+    }
+    const index = lo - 1;
+
+    if (index < 0 || index === this.#index) return null;
+    this.#index = index;
+    return this.frames[index];
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * ALARM PANEL
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * DOM view of the alarm engine (metering/alarms.js): a rule editor
+ * (enable, threshold, seconds to trigger), the event log newest first,
+ * and a banner listing active alarms. Critical alarms show in --hot,
+ * warnings in --warn. Times are local wall-clock time.
+ *
+ * @module ui/alarm-panel
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { formatAlarmValue } from '../metering/alarms.js';
+
+/** Log entries drawn (the engine keeps more) */
+const MAX_LOG_ROWS = 100;
+
+/**
+ * @param {number} ms - Wall-clock time
+ * @returns {string} HH:MM:SS
+ */
+function clockTime(ms) {
+  return new Date(ms).toLocaleTimeString('en-GB', { hour12: false });
+}
+
+export class AlarmPanel {
+  /**
+   * @param {Object} elements - Container elements (any may be null)
+   * @param {HTMLElement|null} elements.rulesEl - Rule editor container
+   * @param {HTMLElement|null} elements.logEl - Event log list (<ol>)
+   * @param {HTMLElement|null} elements.bannerEl - Active alarm banner
+   * @param {HTMLElement|null} elements.summaryEl - Collapsed-card summary
+   * @param {(ruleId: string, fields: Object) => void} onRuleChange - Called with changed rule fields
+   */
+  constructor({ rulesEl, logEl, bannerEl, summaryEl }, onRuleChange) {
+    this.rulesEl = rulesEl;
+    this.logEl = logEl;
+    this.bannerEl = bannerEl;
+    this.summaryEl = summaryEl;
+    this.onRuleChange = onRuleChange;
+  }
+
+  /**
+   * Build the rule editor rows.
+   * @param {Readonly<import('../metering/alarms.js').AlarmRule>[]} rules - Current rule set
+   */
+  setRules(rules) {
+    if (!this.rulesEl) return;
+    this.rulesEl.replaceChildren();
+
+    for (const rule of rules) {
+      const row = document.createElement('div');
+      row.className = 'setting-row alarm-rule';
+
+      const label = document.createElement('label');
+      const enabled = document.createElement('input');
+      enabled.type = 'checkbox';
+      enabled.checked = rule.enabled;
+      enabled.addEventListener('change', () => this.onRuleChange(rule.id, { enabled: enabled.checked }));
+      label.append(enabled, ` ${rule.name}`);
+
+      const threshold = document.createElement('input');
+      threshold.type = 'number';
+      threshold.step = rule.unit === '' ? '0.05' : '0.5';
+      threshold.value = String(rule.threshold);
+      threshold.title = `Threshold${rule.unit ? ` (${rule.unit})` : ''}`;
+      threshold.addEventListener('change', () => {
+        const value = parseFloat(threshold.value);
+        if (Number.isFinite(value)) this.onRuleChange(rule.id, { threshold: value });
+      });
+
+      const delay = document.createElement('input');
+      delay.type = 'number';
+      delay.step = '1';
+      delay.min = '0';
+      delay.value = String(rule.onDelayS);
+      delay.title = 'Seconds before the alarm starts';
+      delay.addEventListener('change', () => {
+        const value = parseFloat(delay.value);
+        if (Number.isFinite(value) && value >= 0) this.onRuleChange(rule.id, { onDelayS: value });
+      });
+
+      const unit = document.createElement('span');
+      unit.className = 'alarm-unit';
+      unit.textContent = `${rule.unit} · s`;
+
+      row.append(label, threshold, unit, delay);
+      this.rulesEl.append(row);
+    }
+  }
+
+  /**
+   * Draw the log, banner and summary.
+   *
+   * @param {import('../metering/alarms.js').AlarmEvent[]} active - Active alarms
+   * @param {import('../metering/alarms.js').AlarmEvent[]} log - Event log, oldest first
+   */
+  render(active, log) {
+    const critical = active.some(event => event.severity === 'critical');
+
+    if (this.bannerEl) {
+      this.bannerEl.hidden = active.length === 0;
+      this.bannerEl.classList.toggle('critical', critical);
+      this.bannerEl.textContent = active.map(event => event.name).join(' · ');
+    }
+
+    if (this.summaryEl) {
+      this.summaryEl.textContent = active.length > 0 ? `${active.length} active` : 'OK';
+      this.summaryEl.style.color = active.length === 0 ? '' : critical ? 'var(--hot)' : 'var(--warn)';
+    }
+
+    if (this.logEl) {
+      const rows = log.slice(-MAX_LOG_ROWS).reverse().map(event => {
+        const item = document.createElement('li');
+        item.className = `alarm-event ${event.severity}${event.end === null ? ' active' : ''}`;
+        const end = event.end === null ? 'now' : clockTime(event.end);
+        item.textContent = `${clockTime(event.start)}–${end}  ${event.name}  ${formatAlarmValue(event)}`;
+        return item;
+      });
+      this.logEl.replaceChildren(...rows);
+    }
+  }
+}
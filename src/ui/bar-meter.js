@@ -20,7 +20,8 @@
  *
  * - drawHBar_DBFS: Digital RMS level (-60 to 0 dBFS)
  * - drawDiodeBar_TP: True Peak LED bar (-60 to +3 dBTP)
- * - drawHBar_PPM: Nordic PPM bar (-54 to -9 dBFS / -36 to +9 PPM)
+ * - drawHBar_PPM: PPM/VU bar (Nordic -54 to -9 dBFS / -36 to +9 PPM by default;
+ *   DIN, BBC, EBU and VU scales via the standard argument)
  *
  * VISUAL FORM PRINCIPLES (RTW gasplasma / early LED bargraph):
  * ─────────────────────────────────────────────────────────────
@@ -41,6 +42,7 @@ import {
   RESOLUTION_PROFILE_PPM_EXTENDED,
   getResolutionMultiplier
 } from './resolution-zones.js';
+import { DEFAULT_PPM_STANDARD, getPPMStandard } from '../metering/ppm.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // RTW VISUAL FORM CONSTANTS
@@ -279,16 +281,31 @@ export function drawDiodeBar_TP(canvas, valueL, valueR, peakHoldL, peakHoldR) {
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// NORDIC PPM BAR (-54 to -9 dBFS / -36 to +9 PPM)
+// PPM / VU BAR (Nordic: -54 to -9 dBFS / -36 to +9 PPM)
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Draw Nordic PPM horizontal bar meter with RTW visual form.
- * Scale: -36 to +9 PPM (dBu), mapped to -54 to -9 dBFS
+ * Resolution profile for a PPM/VU scale: finer cells from 6 dB below
+ * alignment upwards. Identical to RESOLUTION_PROFILE_PPM_EXTENDED for Nordic.
+ * @param {import('../metering/ppm.js').PPMStandard} standard
+ */
+function ppmResolutionProfile(standard) {
+  if (standard.id === 'nordic') return RESOLUTION_PROFILE_PPM_EXTENDED;
+  const split = standard.alignmentDbfs - 6;
+  return [
+    { from: standard.minDbfs, to: split, multiplier: 2 },
+    { from: split, to: standard.maxDbfs, multiplier: 4 }
+  ];
+}
+
+/**
+ * Draw PPM/VU horizontal bar meter with RTW visual form.
+ * Nordic scale: -36 to +9 PPM (dBu), mapped to -54 to -9 dBFS
  * Zones: green (safe) → yellow (caution) → red (overload)
  * TEST marker at 0 PPM (0 dBu = -18 dBFS), PML at +9 PPM (-9 dBFS)
+ * Other standards take range and zones from PPM_STANDARDS.
  */
-export function drawHBar_PPM(canvas, dBfsL, dBfsR, peakHoldL, peakHoldR) {
+export function drawHBar_PPM(canvas, dBfsL, dBfsR, peakHoldL, peakHoldR, standardId = DEFAULT_PPM_STANDARD) {
   const dpr = window.devicePixelRatio || 1;
   const rect = canvas.getBoundingClientRect();
   const w = Math.floor(rect.width * dpr), h = Math.floor(rect.height * dpr);
@@ -296,7 +313,9 @@ export function drawHBar_PPM(canvas, dBfsL, dBfsR, peakHoldL, peakHoldR) {
   const ctx = canvas.getContext('2d');
 
   // Range constants
-  const dbMin = -54, dbMax = -9, dbSpan = dbMax - dbMin; // 45 dB
+  const standard = getPPMStandard(standardId);
+  const profile = ppmResolutionProfile(standard);
+  const dbMin = standard.minDbfs, dbMax = standard.maxDbfs, dbSpan = dbMax - dbMin; // Nordic: 45 dB
   const baseStep = 0.5;
   const barH = Math.round(h * 0.12);
 
@@ -311,12 +330,11 @@ export function drawHBar_PPM(canvas, dBfsL, dBfsR, peakHoldL, peakHoldR) {
   ctx.fillStyle = '#0e151a';
   ctx.fillRect(0, 0, w, h);
 
-  // Nordic PPM colour zones (unchanged from original)
+  // Colour zones (Nordic: red from +6 PPM, amber from 0 PPM line-up)
   function segColour(db) {
-    const ppm = db + 18; // dBFS -> PPM/dBu
-    if (ppm >= 6) return getCss('--hot');      // +6..+9: red (over PML)
-    if (ppm >= 0) return getCss('--caution');  // 0..+6: amber (nominal / varning)
-    return getCss('--ok');                      // <0: green (everything below line-up)
+    if (db >= standard.hotDbfs) return getCss('--hot'); // Nordic +6..+9: red (over PML)
+    if (db >= standard.cautionDbfs) return getCss('--caution'); // Nordic 0..+6: amber (nominal / varning)
+    return getCss('--ok'); // Below line-up: green
   }
 
   // Draw a single channel with RTW segment form
@@ -325,7 +343,7 @@ export function drawHBar_PPM(canvas, dBfsL, dBfsR, peakHoldL, peakHoldR) {
 
     // Draw segments for each base step with sub-resolution
     for (let d = dbMin; d < dbMax; d += baseStep) {
-      const mult = getResolutionMultiplier(d, RESOLUTION_PROFILE_PPM_EXTENDED);
+      const mult = getResolutionMultiplier(d, profile);
       const subStep = baseStep / mult;
       const x0Base = xFromDb(d);
       const x1Base = xFromDb(d + baseStep);
@@ -362,7 +380,7 @@ export function drawHBar_PPM(canvas, dBfsL, dBfsR, peakHoldL, peakHoldR) {
       const peakCol = segColour(peakHold);
 
       // Find the segment width at peak position
-      const mult = getResolutionMultiplier(peakHold, RESOLUTION_PROFILE_PPM_EXTENDED);
+      const mult = getResolutionMultiplier(peakHold, profile);
       const x0 = xFromDb(Math.floor(peakHold / baseStep) * baseStep);
       const x1 = xFromDb(Math.floor(peakHold / baseStep) * baseStep + baseStep);
       const baseWidth = Math.max(1, x1 - x0);
@@ -382,7 +400,7 @@ export function drawHBar_PPM(canvas, dBfsL, dBfsR, peakHoldL, peakHoldR) {
   drawChannel(h * 0.35, dBfsL, peakHoldL);
   drawChannel(h * 0.55, dBfsR, peakHoldR);
 
-  // +9 PPM fence
+  // Top-of-scale fence (+9 PPM)
   ctx.globalAlpha = 1;
   ctx.fillStyle = '#2a3642';
   ctx.fillRect(w - 2, 0, 2, h);
@@ -577,26 +595,25 @@ export function updateTpLimitDisplay() {
   }
 }
 
-// ------- Nordic PPM scale -------
-const ppmMarks = [
-  { ppm: -36, label: '−36' },
-  { ppm: -30, label: '−30' },
-  { ppm: -24, label: '−24' },
-  { ppm: -18, label: '−18' },
-  { ppm: -12, label: '−12' },
-  { ppm: -6, label: '−6' },
-  { ppm: 0, label: 'TEST' },
-  { ppm: 6, label: '+6' },
-  { ppm: 9, label: '+9' }
-];
-
-export function layoutPPMScale(el) {
+// ------- PPM / VU scale -------
+
+/**
+ * Tick label for a scale mark. The alignment mark reads TEST (REF for VU);
+ * Nordic's +6 PPM test-level mark shows its number, since TEST sits at 0.
+ */
+function ppmMarkLabel(mark, standard) {
+  if (mark.dbfs === standard.alignmentDbfs) return standard.alignmentTag[0];
+  if (!/\d/.test(mark.label)) return (mark.ppm > 0 ? '+' : '') + mark.ppm;
+  return mark.label.replace('-', '−');
+}
+
+export function layoutPPMScale(el, standardId = DEFAULT_PPM_STANDARD) {
   if (!el) return;
   el.innerHTML = '';
-  const dbMin = -54, dbMax = -9, dbSpan = dbMax - dbMin;
-  ppmMarks.forEach(m => {
-    const dBFS = m.ppm - 18;
-    const x = ((dBFS - dbMin) / dbSpan) * 100;
+  const standard = getPPMStandard(standardId);
+  const dbMin = standard.minDbfs, dbMax = standard.maxDbfs, dbSpan = dbMax - dbMin;
+  standard.marks.forEach(m => {
+    const x = ((m.dbfs - dbMin) / dbSpan) * 100;
     const t = document.createElement('div');
     t.style.position = 'absolute';
     t.style.left = `calc(${x}% - 0.5px)`;
@@ -606,7 +623,7 @@ export function layoutPPMScale(el) {
     t.style.background = '#2a3642';
     el.appendChild(t);
     const lab = document.createElement('div');
-    lab.textContent = m.label;
+    lab.textContent = ppmMarkLabel(m, standard);
     lab.style.position = 'absolute';
     lab.style.left = `calc(${x}% - 20px)`;
     lab.style.top = '6px';
@@ -616,8 +633,8 @@ export function layoutPPMScale(el) {
     lab.style.color = '#88a3bf';
     el.appendChild(lab);
   });
-  // TEST = 0 PPM
-  const xTest = ((-18 - dbMin) / dbSpan) * 100;
+  // TEST = alignment (0 PPM)
+  const xTest = ((standard.alignmentDbfs - dbMin) / dbSpan) * 100;
   const ref = document.createElement('div');
   ref.style.position = 'absolute';
   ref.style.left = `calc(${xTest}% - 1px)`;
@@ -628,7 +645,7 @@ export function layoutPPMScale(el) {
   ref.style.opacity = '0.95';
   el.appendChild(ref);
   const tag = document.createElement('div');
-  tag.innerHTML = '<div>TEST</div><div>0 PPM (0 dBu)</div><div>−18 dBFS peak</div>';
+  tag.innerHTML = standard.alignmentTag.map(line => `<div>${line}</div>`).join('');
   tag.style.position = 'absolute';
   tag.style.left = `calc(${xTest}% - 44px)`;
   tag.style.bottom = '4px';
@@ -639,8 +656,9 @@ export function layoutPPMScale(el) {
   tag.style.fontWeight = 'bold';
   tag.style.lineHeight = '1.15';
   el.appendChild(tag);
-  // PML = +9 PPM
-  const xPML = ((-9 - dbMin) / dbSpan) * 100;
+  // PML (+9 PPM); VU has none
+  if (standard.limitDbfs === null) return;
+  const xPML = ((standard.limitDbfs - dbMin) / dbSpan) * 100;
   const pmlLine = document.createElement('div');
   pmlLine.style.position = 'absolute';
   pmlLine.style.left = `calc(${xPML}% - 1px)`;
@@ -651,7 +669,7 @@ export function layoutPPMScale(el) {
   pmlLine.style.opacity = '0.95';
   el.appendChild(pmlLine);
   const pmlTag = document.createElement('div');
-  pmlTag.innerHTML = '<div>PML</div><div>+9 PPM</div>';
+  pmlTag.innerHTML = standard.limitTag.map(line => `<div>${line}</div>`).join('');
   pmlTag.style.position = 'absolute';
   pmlTag.style.left = `calc(${xPML}% - 32px)`;
   pmlTag.style.bottom = '8px';
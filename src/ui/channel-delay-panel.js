@@ -0,0 +1,132 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * CHANNEL DELAY PANEL
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Readout of the inter-channel delay meter (metering/channel-delay.js):
+ * held delay in samples and ms, polarity, confidence, and a plot of the
+ * history. The plot's vertical range follows the largest delay in view
+ * (at least ±0.25 ms); points are green for normal polarity and red for
+ * inverted, faded below CHANNEL_DELAY_MIN_CONFIDENCE.
+ *
+ * @module ui/channel-delay-panel
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { CHANNEL_DELAY_MIN_CONFIDENCE } from '../metering/channel-delay.js';
+import { formatDbSigned } from '../utils/format.js';
+
+/** Smallest vertical half-range of the plot (ms) */
+const MIN_RANGE_MS = 0.25;
+
+/**
+ * @param {HTMLElement|null} el - Value element
+ * @param {string} text - Text
+ * @param {string} [colour=''] - CSS colour
+ */
+function show(el, text, colour = '') {
+  if (!el) return;
+  el.textContent = text;
+  el.style.color = colour;
+}
+
+export class ChannelDelayPanel {
+  /**
+   * @param {Object} elements - Value elements (any may be null)
+   * @param {HTMLElement|null} elements.delayEl - Delay
+   * @param {HTMLElement|null} elements.polarityEl - Polarity
+   * @param {HTMLElement|null} elements.confidenceEl - Confidence
+   * @param {HTMLElement|null} elements.summaryEl - Collapsed-card summary
+   * @param {HTMLCanvasElement|null} elements.canvas - History plot
+   */
+  constructor({ delayEl, polarityEl, confidenceEl, summaryEl, canvas }) {
+    this.delayEl = delayEl;
+    this.polarityEl = polarityEl;
+    this.confidenceEl = confidenceEl;
+    this.summaryEl = summaryEl;
+    this.canvas = canvas;
+    this.ctx = canvas ? canvas.getContext('2d') : null;
+  }
+
+  /**
+   * @param {import('../metering/channel-delay.js').ChannelDelayMeter} meter - Meter to show
+   * @param {number} now - Time in ms (right edge of the plot)
+   */
+  render(meter, now) {
+    const held = meter.held;
+    if (!held) {
+      show(this.delayEl, '–');
+      show(this.polarityEl, '–');
+      show(this.summaryEl, '–');
+    } else {
+      const inverted = held.polarity === 'inverted';
+      show(this.delayEl, `${formatDbSigned(held.delaySamples, 2).trim()} samples · ${formatDbSigned(held.delayMs, 3).trim()} ms`);
+      show(this.polarityEl, inverted ? 'Inverted' : 'Normal', inverted ? 'var(--hot)' : 'var(--ok)');
+      show(this.summaryEl, `${formatDbSigned(held.delayMs, 2).trim()} ms${inverted ? ' · inv' : ''}`,
+        inverted || Math.abs(held.delaySamples) >= 0.5 ? 'var(--warn)' : 'var(--ok)');
+    }
+    const latest = meter.latest;
+    show(this.confidenceEl, latest ? latest.confidence.toFixed(2) : '–');
+
+    this._drawHistory(meter, now);
+  }
+
+  /**
+   * @private
+   * @param {import('../metering/channel-delay.js').ChannelDelayMeter} meter - Meter to show
+   * @param {number} now - Time in ms
+   */
+  _drawHistory(meter, now) {
+    if (!this.ctx || !this.canvas) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const rect = this.canvas.getBoundingClientRect();
+    if (rect.width < 1 || rect.height < 1) return;
+
+    const w = Math.floor(rect.width * dpr);
+    const h = Math.floor(rect.height * dpr);
+    if (this.canvas.width !== w || this.canvas.height !== h) {
+      this.canvas.width = w;
+      this.canvas.height = h;
+    }
+
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, w, h);
+
+    const history = meter.history;
+    const range = history.reduce((max, p) => Math.max(max, Math.abs(p.delayMs) * 1.25), MIN_RANGE_MS);
+    const x = (/** @type {number} */ t) => w - ((now - t) / meter.historyMs) * w;
+    const y = (/** @type {number} */ ms) => h / 2 - (ms / range) * (h / 2 - 4 * dpr);
+
+    // Zero line and range labels
+    ctx.fillStyle = '#29323b';
+    ctx.fillRect(0, Math.round(h / 2), w, 1);
+    ctx.font = `${Math.round(8 * dpr)}px ui-monospace, monospace`;
+    ctx.fillStyle = 'rgba(255,255,255,0.35)';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`+${range.toFixed(2)} ms (R late)`, 3 * dpr, 2 * dpr);
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(`−${range.toFixed(2)} ms (R early)`, 3 * dpr, h - 2 * dpr);
+
+    const size = 2 * dpr;
+    for (const point of history) {
+      ctx.globalAlpha = point.confidence >= CHANNEL_DELAY_MIN_CONFIDENCE ? 1 : 0.25;
+      ctx.fillStyle = point.polarity === 'inverted' ? '#ff5a63' : '#58d38c';
+      ctx.fillRect(x(point.time) - size / 2, y(point.delayMs) - size / 2, size, size);
+    }
+    ctx.globalAlpha = 1;
+  }
+}
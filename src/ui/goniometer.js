@@ -29,15 +29,124 @@
  *   • 45° diagonal (R+)   → hard right
  *   • Circular/elliptical → complex stereo field
  *
+ * Display options:
+ *   • Axes: M/S (above) or L/R, the same picture turned 45° (X = L, Y = R)
+ *   • Sound stage: polar sample plot in the manner of RTW's Surround Sound
+ *     Analyzer – direction from the M/S angle, distance from the level
+ *   • Persistence: previous frames decay like phosphor instead of clearing
+ *   • Gain: zoom in 6 dB steps, or auto-gain tracking the signal level;
+ *     the applied gain is shown top left (0 dB = the calibration above)
+ *
  * @module ui/goniometer
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
-// EXACT from original audio-meters-grid.html line 2369
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+// EXACT from original audio-meters-grid.html line 2369 (0 dB on the gain readout)
 const VECTORSCOPE_GAIN = 3.5;
 
 /**
- * Goniometer renderer - EXACT extraction from audio-meters-grid.html drawXY()
+ * Display modes.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const GONIOMETER_MODES = Object.freeze({
+  lissajous: 'Lissajous',
+  polar: 'Sound stage'
+});
+
+/**
+ * Lissajous axis orientations: M vertical (DK/RTW) or L and R as the axes (X/Y).
+ * @type {Readonly<Record<string, string>>}
+ */
+export const GONIOMETER_AXES = Object.freeze({
+  ms: 'M/S',
+  lr: 'L/R'
+});
+
+/** Zoom step and the range shared by zoom and auto-gain (dB relative to the calibrated gain) */
+export const GONIOMETER_ZOOM_STEP_DB = 6;
+export const GONIOMETER_MIN_GAIN_DB = -12;
+export const GONIOMETER_MAX_GAIN_DB = 30;
+
+// Auto-gain: envelope peak at 80% of the radius, 3 s release, held below −60 dBFS
+const AUTO_TARGET = 0.8;
+const AUTO_RELEASE_S = 3;
+const AUTO_GATE = 0.001;
+
+// Persistence fades are applied in steps of at least this opacity; smaller
+// steps round to nothing on an 8-bit canvas and leave trails behind
+const MIN_FADE_ALPHA = 0.06;
+
+const BACKGROUND = '#0d0f11';
+
+/**
+ * @typedef {Object} GoniometerOptions
+ * @property {'lissajous'|'polar'} mode - Sample display
+ * @property {'ms'|'lr'} axes - Lissajous orientation
+ * @property {number} persistenceMs - Phosphor decay time constant (0 = none)
+ * @property {boolean} autoGain - Track the signal level instead of the zoom
+ * @property {number} zoomDb - Manual gain, a multiple of GONIOMETER_ZOOM_STEP_DB
+ */
+
+/** @type {Readonly<GoniometerOptions>} */
+const DEFAULT_GONIOMETER_OPTIONS = Object.freeze({
+  mode: 'lissajous',
+  axes: 'ms',
+  persistenceMs: 0,
+  autoGain: false,
+  zoomDb: 0
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// AUTO-GAIN
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Level-tracking scope gain: instant attack, slow release, so the trace of
+ * quiet speech and hot music both fill most of the display. Silence holds
+ * the last gain rather than zooming into noise.
+ */
+export class GoniometerAutoGain {
+  constructor() {
+    this.envelope = 0;
+    this.gainDb = 0;
+  }
+
+  reset() {
+    this.envelope = 0;
+    this.gainDb = 0;
+  }
+
+  /**
+   * @param {number} peak - Largest M/S vector length in the frame (M, S as 0.5·(L±R))
+   * @param {number} dt - Seconds since the previous update
+   * @returns {number} Gain in dB relative to the calibrated gain
+   */
+  update(peak, dt) {
+    if (peak >= this.envelope) {
+      this.envelope = peak;
+    } else if (peak > AUTO_GATE) {
+      this.envelope = Math.max(peak, this.envelope * Math.exp(-dt / AUTO_RELEASE_S));
+    }
+
+    if (this.envelope > AUTO_GATE) {
+      const gainDb = 20 * Math.log10(AUTO_TARGET / (this.envelope * VECTORSCOPE_GAIN));
+      this.gainDb = Math.max(GONIOMETER_MIN_GAIN_DB, Math.min(GONIOMETER_MAX_GAIN_DB, gainDb));
+    }
+    return this.gainDb;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GONIOMETER
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Goniometer renderer - extracted from audio-meters-grid.html drawXY(),
+ * extended with persistence, gain control and the sound-stage mode
  */
 export class Goniometer {
   /**
@@ -46,123 +155,84 @@ export class Goniometer {
   constructor(canvas) {
     this.canvas = canvas;
     this.ctx = canvas ? canvas.getContext('2d') : null;
+
+    /** @type {GoniometerOptions} */
+    this.options = { ...DEFAULT_GONIOMETER_OPTIONS };
+    this.autoGain = new GoniometerAutoGain();
+
+    // M/S samples of the current frame (reused)
+    this._mid = new Float32Array(0);
+    this._side = new Float32Array(0);
+
+    this.lastTime = 0;
+    this._fadePending = 0;
+  }
+
+  /**
+   * Change mode, axes, persistence or gain. Unspecified fields keep their value.
+   *
+   * @param {Partial<GoniometerOptions>} options - Changed options
+   * @throws {RangeError} If the mode or axes are unknown or the zoom is off the step grid
+   */
+  setOptions(options) {
+    const next = { ...this.options, ...options };
+    if (!(next.mode in GONIOMETER_MODES)) {
+      throw new RangeError(`Unknown goniometer mode: ${next.mode}`);
+    }
+    if (!(next.axes in GONIOMETER_AXES)) {
+      throw new RangeError(`Unknown goniometer axes: ${next.axes}`);
+    }
+    if (next.zoomDb % GONIOMETER_ZOOM_STEP_DB !== 0 ||
+        next.zoomDb < GONIOMETER_MIN_GAIN_DB || next.zoomDb > GONIOMETER_MAX_GAIN_DB) {
+      throw new RangeError(`Goniometer zoom must be a ${GONIOMETER_ZOOM_STEP_DB} dB step from ${GONIOMETER_MIN_GAIN_DB} to +${GONIOMETER_MAX_GAIN_DB} dB: ${next.zoomDb}`);
+    }
+    if (next.autoGain && !this.options.autoGain) this.autoGain.reset();
+    this.options = { ...next, persistenceMs: Math.max(0, next.persistenceMs) };
+  }
+
+  /**
+   * Step the manual zoom.
+   *
+   * @param {number} steps - Zoom steps (positive = in)
+   * @returns {number} New zoom in dB (clamped to the range)
+   */
+  zoom(steps) {
+    const zoomDb = Math.max(GONIOMETER_MIN_GAIN_DB,
+      Math.min(GONIOMETER_MAX_GAIN_DB, this.options.zoomDb + steps * GONIOMETER_ZOOM_STEP_DB));
+    this.options.zoomDb = zoomDb;
+    return zoomDb;
+  }
+
+  /**
+   * @returns {number} Applied gain in dB relative to the calibrated gain
+   */
+  getGainDb() {
+    return this.options.autoGain ? this.autoGain.gainDb : this.options.zoomDb;
   }
 
   /**
    * Draw the goniometer with audio samples.
-   * EXACT extraction from audio-meters-grid.html lines 2381-2483
    *
    * @param {Float32Array} bufL - Left channel samples
    * @param {Float32Array} bufR - Right channel samples
    * @param {boolean} shouldRender - TransitionGuard.shouldRender() result
    */
   draw(bufL, bufR, shouldRender = true) {
-    if (!this.ctx || !this.canvas) return;
-
-    const w = this.canvas.width, h = this.canvas.height;
-    if (!w || !h) return;
-
-    const dpr = window.devicePixelRatio || 1;
-    const ctx = this.ctx;
-
-    // Clear canvas
-    ctx.fillStyle = '#0d0f11';
-    ctx.fillRect(0, 0, w, h);
-
-    // Draw samples if TransitionGuard allows
+    let count = 0;
     if (shouldRender && bufL && bufR) {
       const n = Math.min(bufL.length, bufR.length);
-
-      ctx.globalAlpha = 0.85;
-      ctx.globalCompositeOperation = 'lighter';
-      ctx.fillStyle = 'rgba(105,191,255,.85)';
-      const px = Math.max(1, Math.floor(dpr));
-
-      // Line settings - thicker with round caps
-      ctx.lineCap = 'round';
-      ctx.lineJoin = 'round';
-
-      let prevX = null, prevY = null;
+      this._ensureBuffers(Math.ceil(n / 2));
       for (let i = 0; i < n; i += 2) {
         const L = bufL[i];
         const R = bufR[i];
 
         // M/S transform (DK/RTW standard)
-        const M = 0.5 * (L + R);  // Mid = mono content
-        const S = 0.5 * (R - L);  // Side: +S = right, -S = left
-
-        // Map to canvas: X = Side (horizontal), Y = Mid (vertical, inverted)
-        const x = (S * VECTORSCOPE_GAIN * w / 2) + w / 2;
-        const y = h / 2 - (M * VECTORSCOPE_GAIN * h / 2);
-
-        if (prevX !== null) {
-          // Glow layer first (wider, more transparent)
-          ctx.globalAlpha = .15;
-          ctx.strokeStyle = 'rgba(105,191,255,.5)';
-          ctx.lineWidth = 3 * dpr;
-          ctx.beginPath();
-          ctx.moveTo(prevX, prevY);
-          ctx.lineTo(x, y);
-          ctx.stroke();
-
-          // Main line (thicker than before)
-          ctx.globalAlpha = .35;
-          ctx.strokeStyle = 'rgba(105,191,255,.35)';
-          ctx.lineWidth = 1.5 * dpr;
-          ctx.beginPath();
-          ctx.moveTo(prevX, prevY);
-          ctx.lineTo(x, y);
-          ctx.stroke();
-        }
-        ctx.globalAlpha = .85;
-        ctx.fillRect(x, y, px, px);
-        prevX = x; prevY = y;
+        this._mid[count] = 0.5 * (L + R);   // Mid = mono content
+        this._side[count] = 0.5 * (R - L);  // Side: +S = right, -S = left
+        count++;
       }
-      ctx.globalCompositeOperation = 'source-over';
     }
-
-    // Grid lines: M/S cross + L/R diagonals
-    ctx.globalAlpha = 1;
-    ctx.strokeStyle = '#3a4855';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    // Vertical centre line (MONO axis)
-    ctx.moveTo(w / 2, 0); ctx.lineTo(w / 2, h);
-    // Horizontal centre line (SIDE axis)
-    ctx.moveTo(0, h / 2); ctx.lineTo(w, h / 2);
-    // Diagonal lines (L and R directions)
-    ctx.moveTo(0, 0); ctx.lineTo(w, h);      // L direction (top-left to bottom-right)
-    ctx.moveTo(w, 0); ctx.lineTo(0, h);      // R direction (top-right to bottom-left)
-    ctx.stroke();
-
-    // Axis labels (DK/RTW style)
-    const fontSize = Math.round(9 * dpr);
-    ctx.font = `${fontSize}px ui-sans-serif, system-ui, sans-serif`;
-    ctx.fillStyle = '#6b7a8a';
-    ctx.textBaseline = 'middle';
-
-    // Top row: +L / +M / +R
-    const margin = 12 * dpr;
-    ctx.textAlign = 'left';
-    ctx.fillText('+L', margin, margin);
-    ctx.textAlign = 'center';
-    ctx.fillText('+M', w / 2, margin);
-    ctx.textAlign = 'right';
-    ctx.fillText('+R', w - margin, margin);
-
-    // Middle row: –S / +S
-    ctx.textAlign = 'left';
-    ctx.fillText('–S', margin, h / 2);
-    ctx.textAlign = 'right';
-    ctx.fillText('+S', w - margin, h / 2);
-
-    // Bottom row: –L / –M / –R
-    ctx.textAlign = 'left';
-    ctx.fillText('–L', margin, h - margin);
-    ctx.textAlign = 'center';
-    ctx.fillText('–M', w / 2, h - margin);
-    ctx.textAlign = 'right';
-    ctx.fillText('–R', w - margin, h - margin);
+    this._render(count);
   }
 
   /**
@@ -176,6 +246,35 @@ export class Goniometer {
    * @param {boolean} shouldRender - TransitionGuard.shouldRender() result
    */
   drawFromPoints(points, shouldRender = true) {
+    let count = 0;
+    if (shouldRender && points && points.length >= 2) {
+      count = Math.floor(points.length / 2);
+      this._ensureBuffers(count);
+      for (let i = 0; i < count; i++) {
+        this._mid[i] = points[i * 2];
+        this._side[i] = points[i * 2 + 1];
+      }
+    }
+    this._render(count);
+  }
+
+  /**
+   * @param {number} n - Samples needed
+   * @private
+   */
+  _ensureBuffers(n) {
+    if (this._mid.length < n) {
+      this._mid = new Float32Array(n);
+      this._side = new Float32Array(n);
+    }
+  }
+
+  /**
+   * Fade or clear, plot the frame's samples, then grid and gain readout.
+   * @param {number} count - M/S samples in this frame
+   * @private
+   */
+  _render(count) {
     if (!this.ctx || !this.canvas) return;
 
     const w = this.canvas.width, h = this.canvas.height;
@@ -184,61 +283,134 @@ export class Goniometer {
     const dpr = window.devicePixelRatio || 1;
     const ctx = this.ctx;
 
-    // Clear canvas
-    ctx.fillStyle = '#0d0f11';
-    ctx.fillRect(0, 0, w, h);
+    const now = performance.now();
+    const dt = this.lastTime > 0 ? (now - this.lastTime) / 1000 : 0;
+    this.lastTime = now;
 
-    // Draw points if we have data and should render
-    if (shouldRender && points && points.length >= 2) {
-      const numPoints = Math.floor(points.length / 2);
-
-      ctx.globalAlpha = 0.85;
-      ctx.globalCompositeOperation = 'lighter';
-      ctx.fillStyle = 'rgba(105,191,255,.85)';
-      const px = Math.max(1, Math.floor(dpr));
-
-      // Line settings
-      ctx.lineCap = 'round';
-      ctx.lineJoin = 'round';
-
-      let prevX = null, prevY = null;
-      for (let i = 0; i < numPoints; i++) {
-        const M = points[i * 2];      // Mid (normalized ±1)
-        const S = points[i * 2 + 1];  // Side (normalized ±1)
-
-        // Map to canvas: X = Side (horizontal), Y = Mid (vertical, inverted)
-        // Points are already M/S transformed, just apply gain and position
-        const x = (S * VECTORSCOPE_GAIN * w / 2) + w / 2;
-        const y = h / 2 - (M * VECTORSCOPE_GAIN * h / 2);
-
-        if (prevX !== null) {
-          // Glow layer
-          ctx.globalAlpha = .15;
-          ctx.strokeStyle = 'rgba(105,191,255,.5)';
-          ctx.lineWidth = 3 * dpr;
-          ctx.beginPath();
-          ctx.moveTo(prevX, prevY);
-          ctx.lineTo(x, y);
-          ctx.stroke();
-
-          // Main line
-          ctx.globalAlpha = .35;
-          ctx.strokeStyle = 'rgba(105,191,255,.35)';
-          ctx.lineWidth = 1.5 * dpr;
-          ctx.beginPath();
-          ctx.moveTo(prevX, prevY);
-          ctx.lineTo(x, y);
-          ctx.stroke();
-        }
-        ctx.globalAlpha = .85;
-        ctx.fillRect(x, y, px, px);
-        prevX = x; prevY = y;
+    // Clear canvas, or let the previous traces decay like phosphor
+    const { persistenceMs } = this.options;
+    let fade = 1;
+    if (persistenceMs > 0) {
+      this._fadePending += dt;
+      fade = 1 - Math.exp(-this._fadePending * 1000 / persistenceMs);
+    }
+    if (fade >= MIN_FADE_ALPHA) {
+      ctx.globalAlpha = Math.min(1, fade);
+      ctx.fillStyle = BACKGROUND;
+      ctx.fillRect(0, 0, w, h);
+      this._fadePending = 0;
+    }
+
+    if (count > 0) {
+      let peak = 0;
+      for (let i = 0; i < count; i++) {
+        const r = this._mid[i] * this._mid[i] + this._side[i] * this._side[i];
+        if (r > peak) peak = r;
+      }
+      if (this.options.autoGain) this.autoGain.update(Math.sqrt(peak), dt);
+
+      const gain = VECTORSCOPE_GAIN * 10 ** (this.getGainDb() / 20);
+      if (this.options.mode === 'polar') {
+        this._plotPolar(count, gain, w, h, dpr, ctx);
+      } else {
+        this._plotLissajous(count, gain, w, h, dpr, ctx);
+      }
+    }
+
+    if (this.options.mode === 'polar') {
+      this._drawPolarGrid(w, h, dpr, ctx);
+    } else {
+      this._drawGrid(w, h, dpr, ctx);
+    }
+    this._drawGainReadout(dpr, ctx);
+  }
+
+  /**
+   * Lissajous trace (EXACT styling from audio-meters-grid.html drawXY()).
+   * @private
+   */
+  _plotLissajous(count, gain, w, h, dpr, ctx) {
+    const lr = this.options.axes === 'lr';
+
+    ctx.globalAlpha = 0.85;
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.fillStyle = 'rgba(105,191,255,.85)';
+    const px = Math.max(1, Math.floor(dpr));
+
+    // Line settings - thicker with round caps
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    let prevX = null, prevY = null;
+    for (let i = 0; i < count; i++) {
+      const M = this._mid[i];
+      const S = this._side[i];
+
+      // M/S: X = Side, Y = Mid. L/R: the same picture turned 45°, X = L, Y = R
+      const u = lr ? (M - S) * Math.SQRT1_2 : S;
+      const v = lr ? (M + S) * Math.SQRT1_2 : M;
+      const x = (u * gain * w / 2) + w / 2;
+      const y = h / 2 - (v * gain * h / 2);
+
+      if (prevX !== null) {
+        // Glow layer first (wider, more transparent)
+        ctx.globalAlpha = .15;
+        ctx.strokeStyle = 'rgba(105,191,255,.5)';
+        ctx.lineWidth = 3 * dpr;
+        ctx.beginPath();
+        ctx.moveTo(prevX, prevY);
+        ctx.lineTo(x, y);
+        ctx.stroke();
+
+        // Main line (thicker than before)
+        ctx.globalAlpha = .35;
+        ctx.strokeStyle = 'rgba(105,191,255,.35)';
+        ctx.lineWidth = 1.5 * dpr;
+        ctx.beginPath();
+        ctx.moveTo(prevX, prevY);
+        ctx.lineTo(x, y);
+        ctx.stroke();
       }
-      ctx.globalCompositeOperation = 'source-over';
+      ctx.globalAlpha = .85;
+      ctx.fillRect(x, y, px, px);
+      prevX = x; prevY = y;
     }
+    ctx.globalCompositeOperation = 'source-over';
+  }
 
-    // Draw grid and labels (same as draw())
-    this._drawGrid(w, h, dpr, ctx);
+  /**
+   * Sound-stage samples: direction from the M/S angle (centre up, hard L/R
+   * at ±45°, out of phase towards the baseline), distance from the level.
+   * Negative half-waves are folded onto the same direction.
+   * @private
+   */
+  _plotPolar(count, gain, w, h, dpr, ctx) {
+    const { originX, originY, radius } = this._polarGeometry(w, h, dpr);
+
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.globalAlpha = 0.6;
+    ctx.fillStyle = 'rgba(105,191,255,.85)';
+    const px = Math.max(1, Math.floor(1.5 * dpr));
+
+    for (let i = 0; i < count; i++) {
+      let M = this._mid[i];
+      let S = this._side[i];
+      if (M < 0) { M = -M; S = -S; }
+
+      const r = Math.hypot(M, S) * gain * radius;
+      const angle = Math.atan2(S, M);
+      ctx.fillRect(originX + r * Math.sin(angle), originY - r * Math.cos(angle), px, px);
+    }
+    ctx.globalCompositeOperation = 'source-over';
+  }
+
+  /**
+   * @returns {{originX: number, originY: number, radius: number}} Sound-stage origin (bottom centre) and radius
+   * @private
+   */
+  _polarGeometry(w, h, dpr) {
+    const margin = 20 * dpr;
+    return { originX: w / 2, originY: h - margin, radius: Math.max(1, Math.min(w / 2 - margin, h - 2 * margin)) };
   }
 
   /**
@@ -257,31 +429,92 @@ export class Goniometer {
     ctx.moveTo(w, 0); ctx.lineTo(0, h);
     ctx.stroke();
 
-    // Axis labels
+    // Axis labels (DK/RTW style; L/R axes swap the cross and the diagonals)
     const fontSize = Math.round(9 * dpr);
     ctx.font = `${fontSize}px ui-sans-serif, system-ui, sans-serif`;
     ctx.fillStyle = '#6b7a8a';
     ctx.textBaseline = 'middle';
 
+    const lr = this.options.axes === 'lr';
+    const labels = lr
+      ? [['+S', '+R', '+M'], ['–L', '+L'], ['–M', '–R', '–S']]
+      : [['+L', '+M', '+R'], ['–S', '+S'], ['–L', '–M', '–R']];
+
     const margin = 12 * dpr;
     ctx.textAlign = 'left';
-    ctx.fillText('+L', margin, margin);
+    ctx.fillText(labels[0][0], margin, margin);
     ctx.textAlign = 'center';
-    ctx.fillText('+M', w / 2, margin);
+    ctx.fillText(labels[0][1], w / 2, margin);
     ctx.textAlign = 'right';
-    ctx.fillText('+R', w - margin, margin);
+    ctx.fillText(labels[0][2], w - margin, margin);
 
     ctx.textAlign = 'left';
-    ctx.fillText('–S', margin, h / 2);
+    ctx.fillText(labels[1][0], margin, h / 2);
     ctx.textAlign = 'right';
-    ctx.fillText('+S', w - margin, h / 2);
+    ctx.fillText(labels[1][1], w - margin, h / 2);
 
     ctx.textAlign = 'left';
-    ctx.fillText('–L', margin, h - margin);
+    ctx.fillText(labels[2][0], margin, h - margin);
     ctx.textAlign = 'center';
-    ctx.fillText('–M', w / 2, h - margin);
+    ctx.fillText(labels[2][1], w / 2, h - margin);
     ctx.textAlign = 'right';
-    ctx.fillText('–R', w - margin, h - margin);
+    ctx.fillText(labels[2][2], w - margin, h - margin);
+  }
+
+  /**
+   * Sound-stage grid: level arcs, L/M/R and out-of-phase directions.
+   * @private
+   */
+  _drawPolarGrid(w, h, dpr, ctx) {
+    const { originX, originY, radius } = this._polarGeometry(w, h, dpr);
+
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = '#3a4855';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (const fraction of [0.25, 0.5, 0.75, 1]) {
+      ctx.moveTo(originX + radius * fraction, originY);
+      ctx.arc(originX, originY, radius * fraction, 0, Math.PI, true);
+    }
+    for (const degrees of [-45, 0, 45]) {
+      const angle = degrees * Math.PI / 180;
+      ctx.moveTo(originX, originY);
+      ctx.lineTo(originX + radius * Math.sin(angle), originY - radius * Math.cos(angle));
+    }
+    ctx.moveTo(originX - radius, originY);
+    ctx.lineTo(originX + radius, originY);
+    ctx.stroke();
+
+    const fontSize = Math.round(9 * dpr);
+    ctx.font = `${fontSize}px ui-sans-serif, system-ui, sans-serif`;
+    ctx.fillStyle = '#6b7a8a';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    const labelRadius = radius + 4 * dpr;
+    for (const [degrees, label] of [[-45, 'L'], [0, 'M'], [45, 'R']]) {
+      const angle = degrees * Math.PI / 180;
+      ctx.fillText(label, originX + labelRadius * Math.sin(angle), originY - labelRadius * Math.cos(angle));
+    }
+    ctx.textBaseline = 'top';
+    ctx.fillText('–S', originX - radius, originY + 4 * dpr);
+    ctx.fillText('+S', originX + radius, originY + 4 * dpr);
+  }
+
+  /**
+   * Applied gain, below the top-left label.
+   * @private
+   */
+  _drawGainReadout(dpr, ctx) {
+    const gainDb = this.getGainDb();
+    const sign = gainDb > 0 ? '+' : gainDb < 0 ? '−' : '±';
+    const text = `${this.options.autoGain ? 'AUTO ' : ''}${sign}${Math.abs(gainDb).toFixed(this.options.autoGain ? 1 : 0)} dB`;
+
+    ctx.globalAlpha = 1;
+    ctx.font = `${Math.round(8 * dpr)}px ui-monospace, monospace`;
+    ctx.fillStyle = this.options.autoGain ? '#69bfff' : '#6b7a8a';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, 12 * dpr, 26 * dpr);
   }
 
   /**
@@ -54,3 +54,36 @@ export { corrNow, CorrelationMeter } from './correlation-meter.js';
 
 // Balance meter
 export { BalanceMeter } from './balance-meter.js';
+
+// Programme chart (file analysis)
+export { ProgrammeChart } from './programme-chart.js';
+
+// Alarm rules, event log and banner
+export { AlarmPanel } from './alarm-panel.js';
+
+// Session loudness timeline (zoom, scroll, hover readout)
+export { LoudnessTimeline } from './loudness-timeline.js';
+
+// Platform normalisation table
+export { NormalisationPanel } from './normalisation-panel.js';
+
+// Line-up ident check
+export { LineupPanel } from './lineup-panel.js';
+
+// Tone analyser readout
+export { TonePanel } from './tone-panel.js';
+
+// Inter-channel delay readout and history
+export { ChannelDelayPanel } from './channel-delay-panel.js';
+
+// Swept-sine measurement chart (magnitude, phase, H2–H5)
+export { SweepChart } from './sweep-chart.js';
+
+// Loop latency readout and ping plot
+export { LatencyPanel } from './latency-panel.js';
+
+// Line noise readout and history plot (468, ARM, A)
+export { NoisePanel } from './noise-panel.js';
+
+// Scrolling spectrogram (waterfall)
+export { Spectrogram, SPECTROGRAM_FFT_SIZES, SPECTROGRAM_COLOUR_MAPS } from './spectrogram.js';
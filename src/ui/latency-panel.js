@@ -0,0 +1,144 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * LATENCY PANEL
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Readout of the round-trip latency meter (metering/latency.js): last ping
+ * in ms and samples, confidence, mean, jitter, range and ping count, and a
+ * plot of each ping's deviation from the mean. The plot's vertical range
+ * follows the largest deviation (at least ±0.1 ms); inverted pings are red.
+ *
+ * @module ui/latency-panel
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { LATENCY_MIN_CONFIDENCE } from '../metering/latency.js';
+
+/** Smallest vertical half-range of the plot (ms) */
+const MIN_RANGE_MS = 0.1;
+
+/**
+ * @param {HTMLElement|null} el - Value element
+ * @param {string} text - Text
+ * @param {string} [colour=''] - CSS colour
+ */
+function show(el, text, colour = '') {
+  if (!el) return;
+  el.textContent = text;
+  el.style.color = colour;
+}
+
+export class LatencyPanel {
+  /**
+   * @param {Object} elements - Value elements (any may be null)
+   * @param {HTMLElement|null} elements.delayEl - Last ping
+   * @param {HTMLElement|null} elements.confidenceEl - Confidence of the last ping
+   * @param {HTMLElement|null} elements.meanEl - Mean delay
+   * @param {HTMLElement|null} elements.jitterEl - Jitter (standard deviation) and peak-to-peak
+   * @param {HTMLElement|null} elements.rangeEl - Minimum and maximum
+   * @param {HTMLElement|null} elements.countEl - Pings received and lost
+   * @param {HTMLElement|null} elements.summaryEl - Collapsed-card summary
+   * @param {HTMLCanvasElement|null} elements.canvas - Ping plot
+   */
+  constructor({ delayEl, confidenceEl, meanEl, jitterEl, rangeEl, countEl, summaryEl, canvas }) {
+    this.delayEl = delayEl;
+    this.confidenceEl = confidenceEl;
+    this.meanEl = meanEl;
+    this.jitterEl = jitterEl;
+    this.rangeEl = rangeEl;
+    this.countEl = countEl;
+    this.summaryEl = summaryEl;
+    this.canvas = canvas;
+    this.ctx = canvas ? canvas.getContext('2d') : null;
+  }
+
+  /**
+   * @param {import('../metering/latency.js').LatencyMeter} meter - Meter to show
+   */
+  render(meter) {
+    const latest = meter.latest;
+    if (!latest) {
+      show(this.delayEl, meter.lost > 0 ? 'Not found' : '–', meter.lost > 0 ? 'var(--hot)' : '');
+      show(this.confidenceEl, '–');
+    } else {
+      const found = latest.confidence >= LATENCY_MIN_CONFIDENCE;
+      const inverted = latest.polarity === 'inverted' ? ' · inv' : '';
+      show(this.delayEl, `${latest.delayMs.toFixed(3)} ms · ${latest.delaySamples.toFixed(1)} samples${inverted}`,
+        found ? '' : 'var(--warn)');
+      show(this.confidenceEl, latest.confidence.toFixed(2), found ? '' : 'var(--warn)');
+    }
+
+    const stats = meter.statistics;
+    if (stats.count === 0) {
+      show(this.meanEl, '–');
+      show(this.jitterEl, '–');
+      show(this.rangeEl, '–');
+      show(this.summaryEl, '–');
+    } else {
+      show(this.meanEl, `${stats.meanMs.toFixed(3)} ms`);
+      show(this.jitterEl, `${stats.jitterMs.toFixed(3)} ms σ · ${stats.peakToPeakMs.toFixed(3)} ms p-p`);
+      show(this.rangeEl, `${stats.minMs.toFixed(3)} … ${stats.maxMs.toFixed(3)} ms`);
+      show(this.summaryEl, `${stats.meanMs.toFixed(1)} ms`);
+    }
+    show(this.countEl, `${stats.count}${stats.lost > 0 ? ` · ${stats.lost} lost` : ''}`, stats.lost > 0 ? 'var(--warn)' : '');
+
+    this._drawPings(meter, stats.meanMs);
+  }
+
+  /**
+   * @private
+   * @param {import('../metering/latency.js').LatencyMeter} meter - Meter to show
+   * @param {number} meanMs - Mean delay (centre line)
+   */
+  _drawPings(meter, meanMs) {
+    if (!this.ctx || !this.canvas) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const rect = this.canvas.getBoundingClientRect();
+    if (rect.width < 1 || rect.height < 1) return;
+
+    const w = Math.floor(rect.width * dpr);
+    const h = Math.floor(rect.height * dpr);
+    if (this.canvas.width !== w || this.canvas.height !== h) {
+      this.canvas.width = w;
+      this.canvas.height = h;
+    }
+
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, w, h);
+
+    const pings = meter.pings;
+    const range = pings.reduce((max, p) => Math.max(max, Math.abs(p.delayMs - meanMs) * 1.25), MIN_RANGE_MS);
+    const x = (/** @type {number} */ i) => ((i + 0.5) / meter.maxPings) * w;
+    const y = (/** @type {number} */ ms) => h / 2 - ((ms - meanMs) / range) * (h / 2 - 4 * dpr);
+
+    // Mean line and range labels
+    ctx.fillStyle = '#29323b';
+    ctx.fillRect(0, Math.round(h / 2), w, 1);
+    ctx.font = `${Math.round(8 * dpr)}px ui-monospace, monospace`;
+    ctx.fillStyle = 'rgba(255,255,255,0.35)';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`+${range.toFixed(3)} ms`, 3 * dpr, 2 * dpr);
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(`−${range.toFixed(3)} ms`, 3 * dpr, h - 2 * dpr);
+
+    const size = 3 * dpr;
+    pings.forEach((ping, i) => {
+      ctx.fillStyle = ping.polarity === 'inverted' ? '#ff5a63' : '#58d38c';
+      ctx.fillRect(x(i) - size / 2, y(ping.delayMs) - size / 2, size, size);
+    });
+  }
+}
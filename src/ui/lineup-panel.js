@@ -0,0 +1,95 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * LINE-UP PANEL
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * DOM view of the line-up ident detector (metering/lineup.js): the ident
+ * and its frequency, level per leg against the alignment level, channel
+ * order and polarity. Faults show in --hot, level deviations in --warn.
+ *
+ * @module ui/lineup-panel
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { LINEUP_TYPES, LINEUP_LEVEL_TOLERANCE_DB } from '../metering/lineup.js';
+import { formatDbSigned } from '../utils/format.js';
+
+/**
+ * @param {HTMLElement|null} el - Value element
+ * @param {string} text - Text
+ * @param {string} [colour=''] - CSS colour
+ */
+function show(el, text, colour = '') {
+  if (!el) return;
+  el.textContent = text;
+  el.style.color = colour;
+}
+
+export class LineupPanel {
+  /**
+   * @param {Object} elements - Value elements (any may be null)
+   * @param {HTMLElement|null} elements.typeEl - Ident and frequency
+   * @param {HTMLElement|null} elements.levelLEl - Left level
+   * @param {HTMLElement|null} elements.levelREl - Right level
+   * @param {HTMLElement|null} elements.orderEl - Channel order
+   * @param {HTMLElement|null} elements.polarityEl - Polarity
+   * @param {HTMLElement|null} elements.summaryEl - Collapsed-card summary
+   */
+  constructor({ typeEl, levelLEl, levelREl, orderEl, polarityEl, summaryEl }) {
+    this.typeEl = typeEl;
+    this.levelEls = [levelLEl, levelREl];
+    this.orderEl = orderEl;
+    this.polarityEl = polarityEl;
+    this.summaryEl = summaryEl;
+  }
+
+  /**
+   * @param {import('../metering/lineup.js').LineupResult|null} result - Detector output (null = not measuring)
+   */
+  render(result) {
+    if (!result || result.type === null) {
+      show(this.typeEl, 'No line-up tone');
+      for (const el of this.levelEls) show(el, '–');
+      show(this.orderEl, '–');
+      show(this.polarityEl, '–');
+      show(this.summaryEl, '–');
+      return;
+    }
+
+    const frequency = result.frequency === null ? '' : ` · ${result.frequency.toFixed(result.frequency < 100 ? 1 : 0)} Hz`;
+    show(this.typeEl, LINEUP_TYPES[result.type] + frequency);
+
+    result.level.forEach((level, c) => {
+      const deviation = result.deviation[c];
+      if (level === null || deviation === null) {
+        const missing = result.missing === (c === 0 ? 'L' : 'R');
+        show(this.levelEls[c], missing ? 'Missing' : '–', missing ? 'var(--hot)' : '');
+        return;
+      }
+      const off = Math.abs(deviation) > LINEUP_LEVEL_TOLERANCE_DB;
+      show(this.levelEls[c], `${level.toFixed(1)} dBFS (${formatDbSigned(deviation).trim()})`, off ? 'var(--warn)' : '');
+    });
+
+    if (result.swapped === null) show(this.orderEl, result.type === 'tone' ? 'Needs ident' : '–');
+    else show(this.orderEl, result.swapped ? 'Swapped' : 'OK', result.swapped ? 'var(--hot)' : 'var(--ok)');
+
+    if (result.polarityInverted === null) show(this.polarityEl, '–');
+    else show(this.polarityEl, result.polarityInverted ? 'Inverted' : 'OK', result.polarityInverted ? 'var(--hot)' : 'var(--ok)');
+
+    const faults = result.issues.length;
+    show(this.summaryEl, faults > 0 ? `${faults} issue${faults > 1 ? 's' : ''}` : LINEUP_TYPES[result.type],
+      faults > 0 ? 'var(--hot)' : 'var(--ok)');
+  }
+}
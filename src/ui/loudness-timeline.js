@@ -0,0 +1,391 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * LOUDNESS TIMELINE
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Linear view of the whole session (one point per second, see
+ * app/meter-state.js accumulateTimeline): momentary, short-term, integrated
+ * and True Peak against wall-clock time, with the target tolerance band.
+ *
+ * INTERACTION
+ * ───────────
+ *   Wheel         Zoom around the pointer (down to one minute)
+ *   Drag          Scroll while zoomed in
+ *   Double-click  Back to the whole session
+ *   Hover         Readout of the second under the pointer
+ *
+ * A view whose right edge is the newest point follows the live signal.
+ *
+ * Colours: short-term = #69bfff (cyan), momentary = muted grey,
+ * integrated = white, True Peak = #ff9a2d (caution),
+ * target band = #58d38c, TP limit = #ff5a63.
+ *
+ * @module ui/loudness-timeline
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/** Vertical range in dB (LUFS and dBTP share the axis) */
+const CHART_MIN_DB = -48;
+const CHART_MAX_DB = 3;
+
+/** Narrowest view */
+const MIN_SPAN_MS = 60 * 1000;
+
+/** Time axis tick spacings, the first giving at most MAX_TIME_TICKS is used */
+const TIME_STEPS_MS = [10, 30, 60, 120, 300, 600, 900, 1800, 3600, 7200, 10800].map(s => s * 1000);
+const MAX_TIME_TICKS = 6;
+
+/** Traces break across gaps longer than this (pause, page reload) */
+const GAP_MS = 3000;
+
+/** Point duration (matches TIMELINE_INTERVAL_MS) */
+const POINT_MS = 1000;
+
+/**
+ * @param {number} ms - Wall-clock time
+ * @param {boolean} seconds - Include seconds
+ * @returns {string} HH:MM or HH:MM:SS
+ */
+function clockTime(ms, seconds) {
+  const text = new Date(ms).toLocaleTimeString('en-GB', { hour12: false });
+  return seconds ? text : text.slice(0, 5);
+}
+
+/**
+ * @param {number} value - Level (LUFS or dBTP)
+ * @returns {string} One decimal, or a dash when not available
+ */
+function formatValue(value) {
+  return Number.isFinite(value) ? value.toFixed(1) : '–';
+}
+
+export class LoudnessTimeline {
+  /**
+   * @param {HTMLCanvasElement|null} canvas - Target canvas
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas ? canvas.getContext('2d') : null;
+    /** @type {import('../app/meter-state.js').TimelinePoint[]} */
+    this.points = [];
+    this.targetLufs = -23;
+    this.tolerance = 1;
+    this.tpLimit = -1;
+    /** @type {number|null} Visible duration (ms); null shows the whole session */
+    this.span = null;
+    /** @type {number|null} Right edge (ms); null follows the newest point */
+    this.end = null;
+    /** @type {number|null} Pointer position while hovering (CSS px) */
+    this.hoverX = null;
+    /** @type {{x: number, end: number}|null} Drag start */
+    this._drag = null;
+
+    if (canvas) this._bindEvents(canvas);
+  }
+
+  /**
+   * Set the points to draw and redraw.
+   * @param {import('../app/meter-state.js').TimelinePoint[]} points - Timeline, oldest first
+   */
+  setPoints(points) {
+    this.points = points;
+    this.draw();
+  }
+
+  /**
+   * Set the reference lines and redraw.
+   *
+   * @param {Object} reference - Reference levels
+   * @param {number} [reference.targetLufs] - Loudness target
+   * @param {number} [reference.tolerance] - Tolerance either side of the target (LU)
+   * @param {number} [reference.tpLimit] - True Peak limit
+   */
+  setReference({ targetLufs = this.targetLufs, tolerance = this.tolerance, tpLimit = this.tpLimit }) {
+    this.targetLufs = targetLufs;
+    this.tolerance = tolerance;
+    this.tpLimit = tpLimit;
+    this.draw();
+  }
+
+  /**
+   * Show the whole session again and follow the live signal.
+   */
+  resetView() {
+    this.span = null;
+    this.end = null;
+    this.draw();
+  }
+
+  /**
+   * Visible time range.
+   * @returns {{start: number, end: number}} Wall-clock ms
+   */
+  getVisibleRange() {
+    const { first, last } = this._extent();
+    const full = Math.max(last - first, MIN_SPAN_MS);
+    if (this.span === null) return { start: first, end: first + full };
+
+    const end = this.end ?? last;
+    return { start: end - this.span, end };
+  }
+
+  /**
+   * Zoom around a point of the view.
+   *
+   * @param {number} factor - Span multiplier (< 1 zooms in)
+   * @param {number} anchor - Position of the fixed point, 0 (left) to 1 (right)
+   */
+  zoom(factor, anchor) {
+    const { first, last } = this._extent();
+    const full = Math.max(last - first, MIN_SPAN_MS);
+    const { start, end } = this.getVisibleRange();
+    const span = Math.min(full, Math.max(MIN_SPAN_MS, (end - start) * factor));
+
+    if (span >= full) {
+      this.resetView();
+      return;
+    }
+
+    const anchorTime = start + anchor * (end - start);
+    const newStart = Math.max(first, anchorTime - anchor * span);
+    this.span = span;
+    this._setEnd(newStart + span, last);
+    this.draw();
+  }
+
+  draw() {
+    if (!this.ctx || !this.canvas) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const rect = this.canvas.getBoundingClientRect();
+    if (rect.width < 1 || rect.height < 1) return;
+
+    const w = Math.floor(rect.width * dpr);
+    const h = Math.floor(rect.height * dpr);
+    if (this.canvas.width !== w || this.canvas.height !== h) {
+      this.canvas.width = w;
+      this.canvas.height = h;
+    }
+
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, w, h);
+
+    const { start, end } = this.getVisibleRange();
+    const x = (t) => ((t - start) / (end - start)) * w;
+    const y = (db) => {
+      const clamped = Math.max(CHART_MIN_DB, Math.min(CHART_MAX_DB, db));
+      return h - ((clamped - CHART_MIN_DB) / (CHART_MAX_DB - CHART_MIN_DB)) * h;
+    };
+
+    // 1. Tolerance band, then the grid every 12 dB with labels
+    ctx.fillStyle = 'rgba(88,211,140,0.12)';
+    const bandTop = y(this.targetLufs + this.tolerance);
+    ctx.fillRect(0, bandTop, w, y(this.targetLufs - this.tolerance) - bandTop);
+
+    ctx.font = `${Math.round(8 * dpr)}px ui-monospace, monospace`;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    for (let db = -12; db > CHART_MIN_DB; db -= 12) {
+      ctx.fillStyle = '#29323b';
+      ctx.fillRect(0, Math.round(y(db)), w, 1);
+      ctx.fillStyle = 'rgba(255,255,255,0.35)';
+      ctx.fillText(String(db), 3 * dpr, y(db) - 6 * dpr);
+    }
+
+    // 2. Time axis: wall-clock ticks
+    const step = TIME_STEPS_MS.find(s => (end - start) / s <= MAX_TIME_TICKS) ?? TIME_STEPS_MS[TIME_STEPS_MS.length - 1];
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    for (let t = Math.ceil(start / step) * step; t < end; t += step) {
+      const xPos = Math.round(x(t));
+      ctx.fillStyle = '#29323b';
+      ctx.fillRect(xPos, 0, 1, h);
+      ctx.fillStyle = 'rgba(255,255,255,0.35)';
+      ctx.fillText(clockTime(t, step < 60000), xPos, h - 2 * dpr);
+    }
+
+    // 3. Reference lines
+    this._drawLevel(y(this.targetLufs), '#58d38c', w, dpr, ctx);
+    this._drawLevel(y(this.tpLimit), '#ff5a63', w, dpr, ctx);
+
+    // 4. Traces: momentary underneath, short-term and integrated on top, True Peak last
+    const points = this.points;
+    if (points.length === 0) return;
+    const from = Math.max(0, this._indexAt(start) - 1);
+    const to = Math.min(points.length, this._indexAt(end) + 2);
+
+    this._drawTrace(from, to, 'm', x, y, 'rgba(169,178,199,0.45)', dpr, ctx);
+    this._drawTrace(from, to, 's', x, y, '#69bfff', dpr * 1.5, ctx);
+    this._drawTrace(from, to, 'i', x, y, 'rgba(255,255,255,0.85)', dpr * 1.5, ctx);
+    this._drawTrace(from, to, 'tp', x, y, '#ff9a2d', dpr, ctx);
+
+    // 5. Hover readout
+    if (this.hoverX !== null) this._drawReadout(this.hoverX * dpr, start, end, w, h, dpr, ctx);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // PRIVATE
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Time covered by the points (the last second included).
+   * @private
+   * @returns {{first: number, last: number}} Wall-clock ms
+   */
+  _extent() {
+    const points = this.points;
+    if (points.length === 0) {
+      const now = Date.now();
+      return { first: now, last: now };
+    }
+    return { first: points[0].t, last: points[points.length - 1].t + POINT_MS };
+  }
+
+  /**
+   * Set the right edge; reaching the newest point follows the live signal.
+   * @private
+   * @param {number} end - Requested right edge (ms)
+   * @param {number} last - End of the newest point (ms)
+   */
+  _setEnd(end, last) {
+    this.end = end >= last ? null : end;
+  }
+
+  /**
+   * Index of the first point starting at or after a time (binary search).
+   * @private
+   * @param {number} t - Wall-clock ms
+   * @returns {number} Index (points.length when none)
+   */
+  _indexAt(t) {
+    let lo = 0;
+    let hi = this.points.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.points[mid].t < t) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /** @private */
+  _drawLevel(yPos, colour, w, dpr, ctx) {
+    ctx.save();
+    ctx.strokeStyle = colour;
+    ctx.globalAlpha = 0.6;
+    ctx.lineWidth = dpr;
+    ctx.setLineDash([4 * dpr, 4 * dpr]);
+    ctx.beginPath();
+    ctx.moveTo(0, yPos);
+    ctx.lineTo(w, yPos);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Stroke one field of the points, breaking the line where values are
+   * not finite and across gaps in time.
+   * @private
+   */
+  _drawTrace(from, to, field, x, y, colour, lineWidth, ctx) {
+    ctx.strokeStyle = colour;
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+
+    let previousT = -Infinity;
+    for (let i = from; i < to; i++) {
+      const point = this.points[i];
+      const value = point[field];
+      if (!Number.isFinite(value)) {
+        previousT = -Infinity;
+        continue;
+      }
+      if (point.t - previousT <= GAP_MS) {
+        ctx.lineTo(x(point.t), y(value));
+      } else {
+        ctx.moveTo(x(point.t), y(value));
+      }
+      previousT = point.t;
+    }
+    ctx.stroke();
+  }
+
+  /**
+   * Cursor line and values of the point under the pointer (xPos in canvas px).
+   * @private
+   */
+  _drawReadout(xPos, start, end, w, h, dpr, ctx) {
+    const t = start + (xPos / w) * (end - start);
+
+    const index = Math.min(this.points.length - 1, Math.max(0, this._indexAt(t - POINT_MS / 2)));
+    const point = this.points[index];
+    if (Math.abs(point.t + POINT_MS / 2 - t) > GAP_MS) return;
+
+    ctx.fillStyle = 'rgba(255,255,255,0.5)';
+    ctx.fillRect(Math.round(xPos), 0, 1, h);
+
+    const text = `${clockTime(point.t, true)}  M ${formatValue(point.m)}  S ${formatValue(point.s)}  ` +
+      `I ${formatValue(point.i)}  TP ${formatValue(point.tp)}`;
+    const pad = 4 * dpr;
+    const boxW = ctx.measureText(text).width + 2 * pad;
+    const boxH = 14 * dpr;
+    const boxX = Math.max(0, Math.min(w - boxW, xPos - boxW / 2));
+
+    ctx.fillStyle = 'rgba(15,18,20,0.9)';
+    ctx.fillRect(boxX, 0, boxW, boxH);
+    ctx.fillStyle = '#e6edf3';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, boxX + pad, boxH / 2);
+  }
+
+  /**
+   * Wheel zoom, drag scroll, double-click reset and hover readout.
+   * @private
+   * @param {HTMLCanvasElement} canvas - Target canvas
+   */
+  _bindEvents(canvas) {
+    canvas.addEventListener('wheel', (event) => {
+      event.preventDefault();
+      const rect = canvas.getBoundingClientRect();
+      this.zoom(Math.exp(event.deltaY * 0.002), (event.clientX - rect.left) / rect.width);
+    }, { passive: false });
+
+    canvas.addEventListener('pointerdown', (event) => {
+      if (this.span === null) return;
+      this._drag = { x: event.clientX, end: this.getVisibleRange().end };
+      canvas.setPointerCapture(event.pointerId);
+    });
+
+    canvas.addEventListener('pointermove', (event) => {
+      const rect = canvas.getBoundingClientRect();
+      this.hoverX = event.clientX - rect.left;
+
+      if (this._drag && this.span !== null) {
+        const { first, last } = this._extent();
+        const shift = ((this._drag.x - event.clientX) / rect.width) * this.span;
+        this._setEnd(Math.max(first + this.span, this._drag.end + shift), last);
+      }
+      this.draw();
+    });
+
+    canvas.addEventListener('pointerup', () => { this._drag = null; });
+    canvas.addEventListener('pointerleave', () => {
+      this.hoverX = null;
+      this.draw();
+    });
+    canvas.addEventListener('dblclick', () => this.resetView());
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * NOISE PANEL
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Readout of the noise meter (metering/noise.js): the 468, ARM and A
+ * readings of both legs in dBu, the highest and lowest point of the history
+ * and a verdict against a limit for the weighting the spec names. The plot
+ * shows each weighting's history (468 = #69bfff, ARM = #f2c74e,
+ * A = #58d38c), with the limit as a red line; the vertical range follows the
+ * history (at least 30 dB).
+ *
+ * @module ui/noise-panel
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { NOISE_WEIGHTINGS } from '../metering/noise.js';
+import { dbfsToDBu } from '../metering/ppm.js';
+
+/** Readings below this show as the floor (dBu) */
+const DISPLAY_FLOOR_DBU = -130;
+
+/** Smallest vertical range of the plot (dB) */
+const MIN_RANGE_DB = 30;
+
+/** Curve colour per weighting */
+const COLOURS = Object.freeze({ '468': '#69bfff', 'ARM': '#f2c74e', 'A': '#58d38c' });
+
+/**
+ * @typedef {import('../metering/noise.js').NoiseWeighting} NoiseWeighting
+ */
+
+/**
+ * @typedef {Object} NoiseCheck
+ * @property {NoiseWeighting} weighting - Weighting the spec names
+ * @property {number|null} limitDbu - Highest allowed reading (null = no limit)
+ */
+
+/**
+ * @param {HTMLElement|null} el - Value element
+ * @param {string} text - Text
+ * @param {string} [colour=''] - CSS colour
+ */
+function show(el, text, colour = '') {
+  if (!el) return;
+  el.textContent = text;
+  el.style.color = colour;
+}
+
+/**
+ * @param {number} dbu - Level in dBu
+ * @returns {string} Level with one decimal, or the display floor
+ */
+function formatNoise(dbu) {
+  if (!(dbu >= DISPLAY_FLOOR_DBU)) return `< ${DISPLAY_FLOOR_DBU}`;
+  return `${dbu > 0 ? '+' : ''}${dbu.toFixed(1)}`;
+}
+
+export class NoisePanel {
+  /**
+   * @param {Object} elements - Value elements (any may be null)
+   * @param {Record<NoiseWeighting, HTMLElement|null>} elements.readingEls - Left and right reading per weighting
+   * @param {HTMLElement|null} elements.maxEl - Highest history point of the checked weighting
+   * @param {HTMLElement|null} elements.minEl - Lowest history point of the checked weighting
+   * @param {HTMLElement|null} elements.verdictEl - Against the limit
+   * @param {HTMLElement|null} elements.summaryEl - Collapsed-card summary
+   * @param {HTMLCanvasElement|null} elements.canvas - History plot
+   */
+  constructor({ readingEls, maxEl, minEl, verdictEl, summaryEl, canvas }) {
+    this.readingEls = readingEls;
+    this.maxEl = maxEl;
+    this.minEl = minEl;
+    this.verdictEl = verdictEl;
+    this.summaryEl = summaryEl;
+    this.canvas = canvas;
+    this.ctx = canvas ? canvas.getContext('2d') : null;
+  }
+
+  /**
+   * @param {import('../metering/noise.js').NoiseMeter} meter - Meter to show
+   * @param {NoiseCheck} check - Weighting and limit to check against
+   * @param {number} now - Time in ms (right edge of the plot)
+   */
+  render(meter, check, now) {
+    const state = meter.getState();
+    for (const weighting of /** @type {NoiseWeighting[]} */ (Object.keys(NOISE_WEIGHTINGS))) {
+      const { left, right } = state[weighting];
+      show(this.readingEls[weighting],
+        `${formatNoise(dbfsToDBu(left))} · ${formatNoise(dbfsToDBu(right))} ${NOISE_WEIGHTINGS[weighting].unit}`);
+    }
+
+    const { unit } = NOISE_WEIGHTINGS[check.weighting];
+    const { maxDbfs, minDbfs } = state[check.weighting];
+    if (Number.isNaN(maxDbfs)) {
+      show(this.maxEl, '–');
+      show(this.minEl, '–');
+      show(this.summaryEl, '–');
+      show(this.verdictEl, 'Collecting');
+    } else {
+      const maxDbu = dbfsToDBu(maxDbfs);
+      const over = check.limitDbu !== null && maxDbu > check.limitDbu;
+      show(this.maxEl, `${formatNoise(maxDbu)} ${unit}`, over ? 'var(--hot)' : '');
+      show(this.minEl, `${formatNoise(dbfsToDBu(minDbfs))} ${unit}`);
+      show(this.summaryEl, `${formatNoise(maxDbu)} ${unit}`, over ? 'var(--hot)' : '');
+      if (check.limitDbu === null) {
+        show(this.verdictEl, 'No limit set');
+      } else if (over) {
+        show(this.verdictEl, `Over limit by ${(maxDbu - check.limitDbu).toFixed(1)} dB`, 'var(--hot)');
+      } else {
+        show(this.verdictEl, `Within spec, ${(check.limitDbu - maxDbu).toFixed(1)} dB margin`, 'var(--ok)');
+      }
+    }
+
+    this._drawHistory(meter, check, now);
+  }
+
+  /**
+   * @private
+   * @param {import('../metering/noise.js').NoiseMeter} meter - Meter to show
+   * @param {NoiseCheck} check - Weighting and limit
+   * @param {number} now - Time in ms
+   */
+  _drawHistory(meter, check, now) {
+    if (!this.ctx || !this.canvas) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const rect = this.canvas.getBoundingClientRect();
+    if (rect.width < 1 || rect.height < 1) return;
+
+    const w = Math.floor(rect.width * dpr);
+    const h = Math.floor(rect.height * dpr);
+    if (this.canvas.width !== w || this.canvas.height !== h) {
+      this.canvas.width = w;
+      this.canvas.height = h;
+    }
+
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, w, h);
+
+    const weightings = /** @type {NoiseWeighting[]} */ (Object.keys(NOISE_WEIGHTINGS));
+    const values = weightings
+      .flatMap(weighting => meter.history[weighting].map(point => dbfsToDBu(point.dbfs)))
+      .filter(dbu => dbu >= DISPLAY_FLOOR_DBU);
+    if (check.limitDbu !== null) values.push(check.limitDbu);
+    const high = values.length > 0 ? Math.ceil((Math.max(...values) + 3) / 10) * 10 : -40;
+    const low = Math.min(values.length > 0 ? Math.floor((Math.min(...values) - 3) / 10) * 10 : -100, high - MIN_RANGE_DB);
+
+    const x = (/** @type {number} */ t) => w - ((now - t) / meter.historyMs) * w;
+    const y = (/** @type {number} */ dbu) => {
+      const clamped = Math.max(low, Math.min(high, dbu));
+      return 2 * dpr + ((high - clamped) / (high - low)) * (h - 4 * dpr);
+    };
+
+    // Grid with labels
+    ctx.font = `${Math.round(8 * dpr)}px ui-monospace, monospace`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    for (let dbu = high; dbu >= low; dbu -= 10) {
+      ctx.fillStyle = '#29323b';
+      ctx.fillRect(0, Math.round(y(dbu)), w, 1);
+      ctx.fillStyle = 'rgba(255,255,255,0.35)';
+      ctx.fillText(`${dbu}`, 3 * dpr, Math.min(h - 6 * dpr, Math.max(6 * dpr, y(dbu))));
+    }
+
+    if (check.limitDbu !== null) {
+      ctx.fillStyle = '#ff5a63';
+      ctx.fillRect(0, Math.round(y(check.limitDbu)), w, Math.max(1, Math.round(dpr)));
+    }
+
+    // Checked weighting last, so it draws on top
+    const order = [...weightings.filter(weighting => weighting !== check.weighting), check.weighting];
+    for (const weighting of order) {
+      const history = meter.history[weighting];
+      ctx.strokeStyle = COLOURS[weighting];
+      ctx.lineWidth = weighting === check.weighting ? 1.5 * dpr : dpr;
+      ctx.beginPath();
+      history.forEach((point, i) => {
+        if (i === 0) ctx.moveTo(x(point.time), y(dbfsToDBu(point.dbfs)));
+        else ctx.lineTo(x(point.time), y(dbfsToDBu(point.dbfs)));
+      });
+      ctx.stroke();
+    }
+
+    // Key
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    weightings.forEach((weighting, i) => {
+      ctx.fillStyle = COLOURS[weighting];
+      ctx.fillText(weighting, w - 3 * dpr - (weightings.length - 1 - i) * 26 * dpr, 2 * dpr);
+    });
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * NORMALISATION PANEL
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * DOM view of the platform normalisation calculator
+ * (metering/normalisation.js): one table row per platform with the gain
+ * applied, the resulting loudness and peak, and a note when the limiter
+ * engages (--warn) or the boost is capped by the peak ceiling (--muted).
+ * The monitored platform is highlighted.
+ *
+ * @module ui/normalisation-panel
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { NORMALISATION_PLATFORMS } from '../metering/normalisation.js';
+import { formatTruePeak } from '../metering/true-peak.js';
+import { formatDbSigned, formatLufs } from '../utils/format.js';
+
+/**
+ * @param {import('../metering/normalisation.js').NormalisationResult} result
+ * @returns {string} Note column text
+ */
+function describeResult(result) {
+  if (result.limiter) return `Limiter −${result.limiterReduction.toFixed(1)} dB`;
+  if (result.boostCapped) return 'Boost capped';
+  if (result.gain === 0) return 'Unchanged';
+  return '';
+}
+
+export class NormalisationPanel {
+  /**
+   * @param {Object} elements - Container elements (any may be null)
+   * @param {HTMLElement|null} elements.tableEl - Table body (<tbody>)
+   * @param {HTMLElement|null} elements.summaryEl - Collapsed-card summary
+   */
+  constructor({ tableEl, summaryEl }) {
+    this.tableEl = tableEl;
+    this.summaryEl = summaryEl;
+  }
+
+  /**
+   * Draw the table.
+   *
+   * @param {Object<string, import('../metering/normalisation.js').NormalisationResult|null>} results - Result per platform identifier (null while integrated loudness is not available)
+   * @param {string|null} monitored - Platform previewed on the monitor, or null
+   */
+  render(results, monitored) {
+    if (this.tableEl) {
+      const rows = Object.values(NORMALISATION_PLATFORMS).map(platform => {
+        const result = results[platform.id] ?? null;
+        const row = document.createElement('tr');
+        row.classList.toggle('monitored', platform.id === monitored);
+
+        const cells = result
+          ? [formatDbSigned(result.gain).trim() + ' dB', formatLufs(result.loudness), formatTruePeak(result.truePeak), describeResult(result)]
+          : ['–', '–', '–', ''];
+        for (const text of [platform.name, ...cells]) {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          row.append(cell);
+        }
+        if (result?.limiter) row.classList.add('limited');
+        return row;
+      });
+      this.tableEl.replaceChildren(...rows);
+    }
+
+    if (this.summaryEl) {
+      const limited = Object.values(results).filter(result => result?.limiter).length;
+      const measured = Object.values(results).some(result => result !== null);
+      this.summaryEl.textContent = !measured ? '–' : limited > 0 ? `${limited} limiting` : 'OK';
+      this.summaryEl.style.color = limited > 0 ? 'var(--warn)' : '';
+    }
+  }
+}
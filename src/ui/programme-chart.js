@@ -0,0 +1,160 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PROGRAMME CHART
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Loudness-over-time and True-Peak-over-time curves of an analysed file
+ * (see metering/programme-analysis.js) on a shared dB axis.
+ * Colours: short-term = #69bfff (cyan), momentary = muted grey,
+ * True Peak = #ff9a2d (caution), target = #58d38c, TP limit = #ff5a63.
+ *
+ * @module ui/programme-chart
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/** Vertical range in dB (LUFS and dBTP share the axis) */
+const CHART_MIN_DB = -48;
+const CHART_MAX_DB = 3;
+
+export class ProgrammeChart {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas ? canvas.getContext('2d') : null;
+    /** @type {import('../metering/programme-analysis.js').ProgrammeReport|null} */
+    this.report = null;
+    this.targetLufs = -23;
+    this.tpLimit = -1;
+  }
+
+  /**
+   * Set the report to draw and redraw.
+   *
+   * @param {import('../metering/programme-analysis.js').ProgrammeReport|null} report - Analysis result
+   * @param {Object} [options] - Reference lines
+   * @param {number} [options.targetLufs] - Loudness target
+   * @param {number} [options.tpLimit] - True Peak limit
+   */
+  setReport(report, { targetLufs = this.targetLufs, tpLimit = this.tpLimit } = {}) {
+    this.report = report;
+    this.targetLufs = targetLufs;
+    this.tpLimit = tpLimit;
+    this.draw();
+  }
+
+  draw() {
+    if (!this.ctx || !this.canvas) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const rect = this.canvas.getBoundingClientRect();
+    if (rect.width < 1 || rect.height < 1) return;
+
+    const w = Math.floor(rect.width * dpr);
+    const h = Math.floor(rect.height * dpr);
+    if (this.canvas.width !== w || this.canvas.height !== h) {
+      this.canvas.width = w;
+      this.canvas.height = h;
+    }
+
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, w, h);
+
+    const y = (db) => {
+      const clamped = Math.max(CHART_MIN_DB, Math.min(CHART_MAX_DB, db));
+      return h - ((clamped - CHART_MIN_DB) / (CHART_MAX_DB - CHART_MIN_DB)) * h;
+    };
+
+    // 1. Grid every 12 dB with labels
+    ctx.font = `${Math.round(8 * dpr)}px ui-monospace, monospace`;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    for (let db = -12; db > CHART_MIN_DB; db -= 12) {
+      ctx.fillStyle = '#29323b';
+      ctx.fillRect(0, Math.round(y(db)), w, 1);
+      ctx.fillStyle = 'rgba(255,255,255,0.35)';
+      ctx.fillText(String(db), 3 * dpr, y(db) - 6 * dpr);
+    }
+
+    // 2. Reference lines
+    this._drawLevel(y(this.targetLufs), '#58d38c', dpr);
+    this._drawLevel(y(this.tpLimit), '#ff5a63', dpr);
+
+    const report = this.report;
+    if (!report || report.curves.momentary.length === 0) return;
+
+    const { momentary, shortTerm, truePeak } = report.curves;
+    const count = momentary.length;
+    const x = (i) => (count > 1 ? (i / (count - 1)) * w : 0);
+
+    // 3. Curves: momentary underneath, short-term on top, True Peak last
+    this._drawCurve(momentary, x, y, 'rgba(169,178,199,0.45)', dpr);
+    this._drawCurve(shortTerm, x, y, '#69bfff', dpr * 1.5);
+    this._drawCurve(truePeak, x, y, '#ff9a2d', dpr);
+
+    // 4. Duration label
+    ctx.fillStyle = 'rgba(255,255,255,0.35)';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(formatDuration(report.duration), w - 3 * dpr, h - 2 * dpr);
+  }
+
+  /** @private */
+  _drawLevel(yPos, colour, dpr) {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.strokeStyle = colour;
+    ctx.globalAlpha = 0.6;
+    ctx.lineWidth = dpr;
+    ctx.setLineDash([4 * dpr, 4 * dpr]);
+    ctx.beginPath();
+    ctx.moveTo(0, yPos);
+    ctx.lineTo(this.canvas.width, yPos);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Stroke a curve, breaking the line where values are not finite
+   * (loudness before its window is full, digital silence).
+   * @private
+   */
+  _drawCurve(values, x, y, colour, lineWidth) {
+    const ctx = this.ctx;
+    ctx.strokeStyle = colour;
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+
+    let drawing = false;
+    for (let i = 0; i < values.length; i++) {
+      if (!Number.isFinite(values[i])) {
+        drawing = false;
+        continue;
+      }
+      if (drawing) {
+        ctx.lineTo(x(i), y(values[i]));
+      } else {
+        ctx.moveTo(x(i), y(values[i]));
+        drawing = true;
+      }
+    }
+    ctx.stroke();
+  }
+}
+
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  return `${m}:${String(s).padStart(2, '0')}`;
+}
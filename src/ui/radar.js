@@ -17,6 +17,8 @@
  * Polar display of short-term loudness history. Spoke at 12 o'clock represents
  * current time; segments age clockwise. Ring position encodes LU relative to
  * target; colour indicates deviation severity per EBU R128 tolerance guidance.
+ * Radial range and momentary ring follow the EBU Mode scale (EBU +9 or
+ * EBU +18, Tech 3341); labels read relative LU or absolute LUFS.
  *
  * EXACT extraction from audio-meters-grid.html lines 1377-1801
  *
@@ -24,11 +26,8 @@
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
-// EBU R128 momentary loudness range: −36 to +9 LU relative to target.
-// This 45 LU span covers practical broadcast content dynamics.
-const MOMENTARY_LU_MIN = -36;
-const MOMENTARY_LU_MAX = 9;
-const MOMENTARY_LU_RANGE = MOMENTARY_LU_MAX - MOMENTARY_LU_MIN;
+import { DEFAULT_EBU_MODE_SCALE, getEBUModeScale } from '../metering/lufs.js';
+
 const LOW_LEVEL_BELOW = -12;  // Below −12 LU = "low level" zone (cyan)
 
 // Maps LU value to normalised 0–1 range for radial positioning
@@ -67,18 +66,32 @@ export class LoudnessRadar {
     this.canvas = canvas;
     this.ctx = canvas ? canvas.getContext('2d') : null;
     this.target = target;
+    /** @type {Readonly<import('../metering/lufs.js').EBUModeScale>} */
+    this.scale = getEBUModeScale(DEFAULT_EBU_MODE_SCALE);
+    /** @type {'LUFS'|'LU'} */
+    this.unit = 'LUFS';
   }
 
   /**
-   * Radar radius: LUFS → LU relative to LOUDNESS_TARGET, EBU R128 scale (−36 to +9 LU)
+   * Radar radius: LUFS → LU relative to LOUDNESS_TARGET, clamped to the EBU Mode scale
    */
   lufsToRadius(lufs, rOuter, rInner) {
+    const { minLu, maxLu } = this.scale;
     const lu = lufs - this.target;
-    const clampedLu = Math.max(MOMENTARY_LU_MIN, Math.min(MOMENTARY_LU_MAX, lu));
-    const t = (clampedLu - MOMENTARY_LU_MIN) / MOMENTARY_LU_RANGE; // 0..1
+    const clampedLu = Math.max(minLu, Math.min(maxLu, lu));
+    const t = (clampedLu - minLu) / (maxLu - minLu); // 0..1
     return rInner + t * (rOuter - rInner);
   }
 
+  /**
+   * Scale label for an LU value: relative (+3) or absolute (−20) per unit.
+   * @private
+   */
+  _scaleLabel(lu) {
+    const value = this.unit === 'LU' ? lu : lu + this.target;
+    return value > 0 ? `+${value}` : value.toString();
+  }
+
   drawRadarBackground(ctx, cx, cy, rOuter, rInner) {
     ctx.save();
     const gradient = ctx.createRadialGradient(cx, cy, rInner, cx, cy, rOuter);
@@ -109,7 +122,7 @@ export class LoudnessRadar {
 
     // Rings every 6 LU (target ring drawn separately)
     const GRID_STEP_LU = 6;
-    for (let lu = MOMENTARY_LU_MIN; lu <= MOMENTARY_LU_MAX; lu += GRID_STEP_LU) {
+    for (let lu = this.scale.minLu; lu <= this.scale.maxLu; lu += GRID_STEP_LU) {
       if (lu === 0) continue;
       const lufs = lu + this.target;
       const r = this.lufsToRadius(lufs, rOuter, rInner);
@@ -219,9 +232,12 @@ export class LoudnessRadar {
   }
 
   // Radial LU labels along 3 o'clock spoke (matches grid rings)
-  // LU values: -18, -12, -6, 0, +6 (every 6 LU)
+  // EBU +9: -18, -12, -6, 0, +6 (every 6 LU); EBU +18: -36, -24, -12, 0, +12
   drawRadarLabels(ctx, cx, cy, rOuter, rInner, canvasWidth) {
-    const RADAR_SCALE_LU = [-18, -12, -6, 0, 6];
+    const { minLu, maxLu } = this.scale;
+    const labelStep = maxLu > 9 ? 12 : 6;
+    const RADAR_SCALE_LU = [];
+    for (let lu = minLu; lu < maxLu; lu += labelStep) RADAR_SCALE_LU.push(lu);
 
     ctx.save();
     const fontSize = Math.max(8, Math.floor(canvasWidth * 0.020));
@@ -245,17 +261,17 @@ export class LoudnessRadar {
         ctx.fillStyle = '#9ca3af';  // Lighter grey
         ctx.font = `600 ${fontSize}px system-ui, -apple-system, BlinkMacSystemFont, sans-serif`;
       }
-      // Show LU value (with + for positive)
-      const label = lu > 0 ? `+${lu}` : lu.toString();
-      ctx.fillText(label, x, y);
+      // Show LU value (with + for positive), or LUFS in absolute mode
+      ctx.fillText(this._scaleLabel(lu), x, y);
     });
 
     ctx.restore();
   }
 
   // TC/RTW-style outer ring with momentary bargraph
-  // Geometry: 270° arc, −18 to +9 LU = 27 LU, 10° per LU
-  // Ticks every 2°, major tick every 10° (1 per LU)
+  // Geometry: 270° arc over the EBU Mode scale
+  // EBU +9: −18 to +9 LU = 27 LU, 10° per LU; EBU +18: 54 LU, 5° per LU
+  // Ticks every 2°, major tick every 10° (1 LU on EBU +9, 2 LU on EBU +18)
   drawOuterMomentaryRing(ctx, cx, cy, rOuter, canvasWidth, momentaryLufs) {
     ctx.save();
 
@@ -266,13 +282,13 @@ export class LoudnessRadar {
     const fontSize = Math.max(8, Math.floor(canvasWidth * 0.022));
 
     // 270° arc: -180° to +90° (6 o'clock to 3 o'clock)
-    // -18 LU at -180° (6 o'clock, bottom), +9 LU at +90° (3 o'clock, right)
-    const START_ANGLE_DEG = -180;  // −18 LU (6 o'clock, bottom)
-    const END_ANGLE_DEG = 90;      // +9 LU (3 o'clock, right)
+    // Scale minimum at -180° (6 o'clock, bottom), maximum at +90° (3 o'clock, right)
+    const START_ANGLE_DEG = -180; // −18 LU on EBU +9 (6 o'clock, bottom)
+    const END_ANGLE_DEG = 90; // +9 LU on EBU +9 (3 o'clock, right)
     const TOTAL_ARC_DEG = END_ANGLE_DEG - START_ANGLE_DEG;  // 270°
 
-    // 27 LU = 270° → 10° per LU
-    const DEG_PER_LU = TOTAL_ARC_DEG / MOMENTARY_LU_RANGE;  // 10°
+    const { minLu, maxLu } = this.scale;
+    const luRange = maxLu - minLu;
 
     // Tick every 2° → 135 ticks total
     const TICK_STEP_DEG = 2;
@@ -281,10 +297,10 @@ export class LoudnessRadar {
     // Calculate momentary LU relative to target
     const momentaryLu = (typeof momentaryLufs === 'number' && isFinite(momentaryLufs))
       ? momentaryLufs - this.target
-      : MOMENTARY_LU_MIN - 1;
+      : minLu - 1;
 
     // Normalise momentary → angle
-    const normalised = luToNormalised(momentaryLu, MOMENTARY_LU_MIN, MOMENTARY_LU_MAX);
+    const normalised = luToNormalised(momentaryLu, minLu, maxLu);
     const litAngleDeg = START_ANGLE_DEG + normalised * TOTAL_ARC_DEG;
 
     // Draw all ticks (lit and unlit)
@@ -304,7 +320,7 @@ export class LoudnessRadar {
 
       // LU at this angle
       const t = (angleDeg - START_ANGLE_DEG) / TOTAL_ARC_DEG;
-      const luAtTick = MOMENTARY_LU_MIN + t * MOMENTARY_LU_RANGE;
+      const luAtTick = minLu + t * luRange;
 
       // Light up if we are below momentary level
       const isLit = angleDeg <= litAngleDeg;
@@ -326,19 +342,19 @@ export class LoudnessRadar {
       ctx.stroke();
     }
 
-    // Numerals around the ring (every 3 LU)
+    // Numerals around the ring (every 3 LU on EBU +9, every 6 LU on EBU +18)
     ctx.globalAlpha = 1;
     ctx.font = `600 ${fontSize}px system-ui, sans-serif`;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
 
     const labelRadius = ringOuterRadius + fontSize * 1.1;
-    const majorLabels = [-18, -15, -12, -9, -6, -3, 0, 3, 6, 9];
+    const labelStep = maxLu > 9 ? 6 : 3;
+    const majorLabels = [];
+    for (let lu = minLu; lu <= maxLu; lu += labelStep) majorLabels.push(lu);
 
     majorLabels.forEach(lu => {
-      if (lu < MOMENTARY_LU_MIN || lu > MOMENTARY_LU_MAX) return;
-
-      const t = (lu - MOMENTARY_LU_MIN) / MOMENTARY_LU_RANGE;
+      const t = (lu - minLu) / luRange;
       const angleDeg = START_ANGLE_DEG + t * TOTAL_ARC_DEG;
       const angleRad = (angleDeg - 90) * Math.PI / 180;
       const x = cx + labelRadius * Math.cos(angleRad);
@@ -353,7 +369,7 @@ export class LoudnessRadar {
         ctx.fillStyle = '#8899aa';
       }
 
-      const label = lu === 0 ? '0' : lu.toString();
+      const label = this.unit === 'LU' ? lu.toString() : (lu + this.target).toString();
       ctx.fillText(label, x, y);
     });
 
@@ -371,7 +387,9 @@ export class LoudnessRadar {
       ctx.shadowColor = colour;
       ctx.shadowBlur = 10;
       ctx.fillStyle = colour;
-      ctx.fillText(momentaryLufs.toFixed(1), cx, cy);
+      const value = this.unit === 'LU' ? momentaryLufs - this.target : momentaryLufs;
+      const sign = this.unit === 'LU' && value >= 0 ? '+' : '';
+      ctx.fillText(sign + value.toFixed(1), cx, cy);
     } else {
       ctx.fillStyle = '#6b7280';
       ctx.fillText('—', cx, cy);
@@ -481,4 +499,21 @@ export class LoudnessRadar {
   setTarget(target) {
     this.target = target;
   }
+
+  /**
+   * Set EBU Mode scale
+   * @param {string} scaleId - 'ebu9' (−18 to +9 LU) or 'ebu18' (−36 to +18 LU)
+   * @throws {RangeError} If the scale is unknown
+   */
+  setScale(scaleId) {
+    this.scale = getEBUModeScale(scaleId);
+  }
+
+  /**
+   * Set label unit
+   * @param {'LUFS'|'LU'} unit - Absolute LUFS or LU relative to target
+   */
+  setUnit(unit) {
+    this.unit = unit;
+  }
 }
@@ -0,0 +1,486 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SPECTROGRAM
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Scrolling spectrogram (waterfall): time runs right to left over a
+ * configurable span, frequency runs 20 Hz – 20 kHz on a log axis, level is
+ * shown through a colour map from −120 to 0 dBFS. Makes mains hum, dropouts,
+ * band-limited transcodes and codec artefacts visible at a glance.
+ *
+ * SOURCE
+ * ──────
+ * Reads time-domain samples from the same analysers as SpectrumAnalyzer
+ * and runs its own Hann-windowed FFT (utils/fft.js), so the FFT size is
+ * independent of the analysers. Sizes above the standard analysers' length
+ * use the high-resolution pair (setHighResolutionAnalysers). L and R are
+ * averaged in the power domain. Remote probes send 31 1/3-octave bands,
+ * drawn as they arrive.
+ *
+ * RENDERING
+ * ─────────
+ * History lives in an offscreen canvas one device pixel per column; each
+ * frame shifts it left by the columns due for the elapsed time and paints
+ * the new ones, then the visible canvas is redrawn with the axis on top.
+ *
+ * @module ui/spectrogram
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { RTA_MIN_HZ, RTA_MAX_HZ, THIRD_OCTAVE_CENTRES } from '../metering/rta.js';
+import { powerSpectrumDb } from '../utils/fft.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** FFT sizes offered by the settings (power of two) */
+export const SPECTROGRAM_FFT_SIZES = Object.freeze([1024, 2048, 4096, 8192, 16384]);
+
+/**
+ * Colour maps as control points (position 0–1 → RGB), in display order.
+ * @type {Readonly<Record<string, {name: string, stops: number[][]}>>}
+ */
+export const SPECTROGRAM_COLOUR_MAPS = Object.freeze({
+  inferno: {
+    name: 'Inferno',
+    stops: [[0, 0, 0, 4], [0.25, 87, 16, 110], [0.5, 188, 55, 84], [0.75, 249, 142, 9], [1, 252, 255, 164]]
+  },
+  viridis: {
+    name: 'Viridis',
+    stops: [[0, 68, 1, 84], [0.25, 59, 82, 139], [0.5, 33, 145, 140], [0.75, 94, 201, 98], [1, 253, 231, 37]]
+  },
+  classic: {
+    name: 'Classic',
+    stops: [[0, 0, 0, 0], [0.2, 0, 0, 160], [0.4, 0, 170, 220], [0.6, 40, 200, 60], [0.8, 250, 220, 0], [1, 255, 40, 20]]
+  },
+  grey: {
+    name: 'Greyscale',
+    stops: [[0, 0, 0, 0], [1, 255, 255, 255]]
+  }
+});
+
+const FLOOR_DB = -120;
+const TOP_DB = 0;
+
+/**
+ * @typedef {Object} SpectrogramOptions
+ * @property {number} spanSeconds - Time across the full width (s)
+ * @property {number} fftSize - FFT length (one of SPECTROGRAM_FFT_SIZES)
+ * @property {string} colourMap - Key of SPECTROGRAM_COLOUR_MAPS
+ */
+
+/** @type {Readonly<SpectrogramOptions>} */
+const DEFAULT_SPECTROGRAM_OPTIONS = Object.freeze({
+  spanSeconds: 10,
+  fftSize: 4096,
+  colourMap: 'inferno'
+});
+
+/**
+ * Visible canvas and offscreen history, with their contexts.
+ * @typedef {Object} SpectrogramSurface
+ * @property {HTMLCanvasElement} canvas - Visible canvas
+ * @property {CanvasRenderingContext2D} ctx - Visible canvas context
+ * @property {HTMLCanvasElement} history - Offscreen history (plot area only)
+ * @property {CanvasRenderingContext2D} historyCtx - History context
+ */
+
+/**
+ * One frame's surface and geometry (device px), from _beginFrame().
+ * @typedef {SpectrogramSurface & {w: number, h: number, dpr: number, plotL: number, plotW: number, plotH: number, columns: number}} SpectrogramFrame
+ */
+
+/**
+ * 256-entry RGB lookup table for a colour map.
+ * @param {string} key - Key of SPECTROGRAM_COLOUR_MAPS
+ * @returns {Uint8ClampedArray} r, g, b per entry
+ */
+function buildColourTable(key) {
+  const { stops } = SPECTROGRAM_COLOUR_MAPS[key];
+  const table = new Uint8ClampedArray(256 * 3);
+  for (let i = 0; i < 256; i++) {
+    const t = i / 255;
+    let s = 1;
+    while (s < stops.length - 1 && stops[s][0] < t) s++;
+    const [p0, r0, g0, b0] = stops[s - 1];
+    const [p1, r1, g1, b1] = stops[s];
+    const k = p1 > p0 ? (t - p0) / (p1 - p0) : 0;
+    table[i * 3] = r0 + (r1 - r0) * k;
+    table[i * 3 + 1] = g0 + (g1 - g0) * k;
+    table[i * 3 + 2] = b0 + (b1 - b0) * k;
+  }
+  return table;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SPECTROGRAM
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class Spectrogram {
+  /**
+   * @param {HTMLCanvasElement|null} canvas - Visible canvas (sized to its parent)
+   * @param {AnalyserNode} analyserL - Left channel analyser
+   * @param {AnalyserNode} analyserR - Right channel analyser
+   */
+  constructor(canvas, analyserL, analyserR) {
+    this.canvas = canvas;
+    this.analyserL = analyserL;
+    this.analyserR = analyserR;
+    this.hiResAnalyserL = null;
+    this.hiResAnalyserR = null;
+
+    /** @type {SpectrogramOptions} */
+    this.options = { ...DEFAULT_SPECTROGRAM_OPTIONS };
+    this._colours = buildColourTable(this.options.colourMap);
+
+    // Visible canvas and offscreen history (plot area only); null without a canvas
+    const ctx = canvas ? canvas.getContext('2d') : null;
+    const history = canvas ? document.createElement('canvas') : null;
+    const historyCtx = history ? history.getContext('2d') : null;
+    /** @type {SpectrogramSurface|null} */
+    this._surface = canvas && ctx && history && historyCtx ? { canvas, ctx, history, historyCtx } : null;
+
+    // Row → bin range mapping (rebuilt when size, FFT or sample rate change)
+    this._rowLow = new Uint32Array(0);
+    this._rowHigh = new Uint32Array(0);
+    this._rowKey = '';
+    this._rowBands = new Uint8Array(0);
+
+    this._timeBuf = new Float32Array(0);
+    this._spectrumL = new Float32Array(0);
+    this._spectrumR = new Float32Array(0);
+    this._column = new Float32Array(0);
+
+    this._pendingColumns = 0;
+    this.lastTime = 0;
+  }
+
+  /**
+   * Change span, FFT size or colour map. Unspecified fields keep their value.
+   *
+   * @param {Partial<SpectrogramOptions>} options - Changed options
+   * @throws {RangeError} If the FFT size or colour map is unknown, or the span is not positive
+   */
+  setOptions(options) {
+    const next = { ...this.options, ...options };
+    if (!SPECTROGRAM_FFT_SIZES.includes(next.fftSize)) {
+      throw new RangeError(`Unsupported spectrogram FFT size: ${next.fftSize}`);
+    }
+    if (!(next.colourMap in SPECTROGRAM_COLOUR_MAPS)) {
+      throw new RangeError(`Unknown colour map: ${next.colourMap}`);
+    }
+    if (!(next.spanSeconds > 0)) {
+      throw new RangeError(`Spectrogram span must be positive: ${next.spanSeconds}`);
+    }
+    if (next.colourMap !== this.options.colourMap) {
+      this._colours = buildColourTable(next.colourMap);
+    }
+    this.options = next;
+    this._rowKey = '';
+  }
+
+  /**
+   * Use a longer-FFT analyser pair for FFT sizes the standard analysers
+   * cannot supply.
+   *
+   * @param {AnalyserNode} analyserL - Left channel analyser
+   * @param {AnalyserNode} analyserR - Right channel analyser
+   */
+  setHighResolutionAnalysers(analyserL, analyserR) {
+    this.hiResAnalyserL = analyserL;
+    this.hiResAnalyserR = analyserR;
+  }
+
+  /**
+   * Erase the history.
+   */
+  clear() {
+    if (this._surface) {
+      const { history, historyCtx } = this._surface;
+      historyCtx.fillStyle = this._colourCss(0);
+      historyCtx.fillRect(0, 0, history.width, history.height);
+    }
+    this._pendingColumns = 0;
+  }
+
+  /**
+   * Draw from the local analysers.
+   *
+   * @param {number} sampleRate - Context sample rate (Hz)
+   */
+  draw(sampleRate) {
+    const frame = this._beginFrame();
+    if (!frame) return;
+
+    const n = this.options.fftSize;
+    const [left, right] = this._pickAnalysers(n);
+    if (!left || !right) return;
+
+    if (this._timeBuf.length !== left.fftSize) this._timeBuf = new Float32Array(left.fftSize);
+    if (this._spectrumL.length !== n / 2) {
+      this._spectrumL = new Float32Array(n / 2);
+      this._spectrumR = new Float32Array(n / 2);
+    }
+
+    // Only transform when a column is due (FFT of 16k samples is not free)
+    if (frame.columns > 0) {
+      const offset = this._timeBuf.length - n;
+      left.getFloatTimeDomainData(this._timeBuf);
+      powerSpectrumDb(this._timeBuf.subarray(offset), this._spectrumL);
+      right.getFloatTimeDomainData(this._timeBuf);
+      powerSpectrumDb(this._timeBuf.subarray(offset), this._spectrumR);
+
+      this._mapRows(frame.plotH, n, sampleRate);
+      const column = this._column;
+      for (let row = 0; row < frame.plotH; row++) {
+        let max = 0;
+        for (let bin = this._rowLow[row]; bin <= this._rowHigh[row]; bin++) {
+          const power = 10 ** (this._spectrumL[bin] / 10) + 10 ** (this._spectrumR[bin] / 10);
+          if (power > max) max = power;
+        }
+        column[row] = max > 0 ? 10 * Math.log10(max / 2) : FLOOR_DB;
+      }
+      this._paint(frame, column);
+    }
+
+    this._present(frame);
+  }
+
+  /**
+   * Draw from 1/3-octave bands received from a remote probe.
+   *
+   * @param {ArrayLike<number>|null} bands - 31 band levels in dB (null = no data)
+   */
+  drawFromBands(bands) {
+    const frame = this._beginFrame();
+    if (!frame) return;
+
+    if (frame.columns > 0) {
+      if (this._rowBands.length !== frame.plotH) {
+        this._rowBands = new Uint8Array(frame.plotH);
+        for (let row = 0; row < frame.plotH; row++) {
+          const logF = Math.log(this._rowFrequency(row + 0.5, frame.plotH));
+          let best = 0;
+          for (let b = 1; b < THIRD_OCTAVE_CENTRES.length; b++) {
+            if (Math.abs(Math.log(THIRD_OCTAVE_CENTRES[b]) - logF) <
+                Math.abs(Math.log(THIRD_OCTAVE_CENTRES[best]) - logF)) best = b;
+          }
+          this._rowBands[row] = best;
+        }
+      }
+      const column = this._column;
+      for (let row = 0; row < frame.plotH; row++) {
+        column[row] = bands ? bands[this._rowBands[row]] : FLOOR_DB;
+      }
+      this._paint(frame, column);
+    }
+
+    this._present(frame);
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // INTERNALS
+  // ───────────────────────────────────────────────────────────────────────────
+
+  /**
+   * @param {number} n - FFT size
+   * @returns {[AnalyserNode|null, AnalyserNode|null]} Analysers with at least n samples
+   */
+  _pickAnalysers(n) {
+    if ((this.analyserL?.fftSize ?? 0) >= n) return [this.analyserL, this.analyserR];
+    if ((this.hiResAnalyserL?.fftSize ?? 0) >= n) return [this.hiResAnalyserL, this.hiResAnalyserR];
+    return [null, null];
+  }
+
+  /**
+   * Size the canvases and work out how many columns are due.
+   * @returns {SpectrogramFrame|null}
+   */
+  _beginFrame() {
+    const surface = this._surface;
+    const wrap = surface?.canvas.parentElement;
+    if (!surface || !wrap) return null;
+    const { canvas, history, historyCtx } = surface;
+
+    const dpr = window.devicePixelRatio || 1;
+    const rect = wrap.getBoundingClientRect();
+    const w = Math.floor(rect.width * dpr);
+    const h = Math.floor(rect.height * dpr);
+    if (w < 1 || h < 1) {
+      // Hidden card: resume from now rather than back-filling the gap
+      this.lastTime = 0;
+      return null;
+    }
+
+    if (canvas.width !== w || canvas.height !== h) {
+      canvas.width = w;
+      canvas.height = h;
+    }
+
+    const plotL = Math.round(30 * dpr);
+    const plotW = Math.max(1, w - plotL);
+    const plotH = h;
+
+    // Resize keeps the history, stretched to the new plot area
+    if (history.width !== plotW || history.height !== plotH) {
+      const previous = document.createElement('canvas');
+      previous.width = history.width;
+      previous.height = history.height;
+      if (history.width > 0 && history.height > 0) previous.getContext('2d')?.drawImage(history, 0, 0);
+      history.width = plotW;
+      history.height = plotH;
+      this.clear();
+      if (previous.width > 0 && previous.height > 0) {
+        historyCtx.drawImage(previous, 0, 0, plotW, plotH);
+      }
+      this._column = new Float32Array(plotH);
+      this._rowKey = '';
+      this._rowBands = new Uint8Array(0);
+    }
+
+    const now = performance.now();
+    const elapsed = this.lastTime > 0 ? (now - this.lastTime) / 1000 : 0;
+    this.lastTime = now;
+
+    // After a stall, paint at most one screen's worth
+    this._pendingColumns = Math.min(plotW, this._pendingColumns + elapsed * plotW / this.options.spanSeconds);
+    const columns = Math.floor(this._pendingColumns);
+    this._pendingColumns -= columns;
+
+    return { ...surface, w, h, dpr, plotL, plotW, plotH, columns };
+  }
+
+  /**
+   * Frequency at a row position (0 = top) on the log axis.
+   * @param {number} row - Row position (may be fractional)
+   * @param {number} plotH - Rows in the plot
+   * @returns {number} Frequency in Hz
+   */
+  _rowFrequency(row, plotH) {
+    return RTA_MIN_HZ * (RTA_MAX_HZ / RTA_MIN_HZ) ** (1 - row / plotH);
+  }
+
+  /**
+   * Build the row → bin range mapping. Each row takes the loudest bin it
+   * covers, so narrow tones stay visible where rows span many bins.
+   * @param {number} plotH - Rows in the plot
+   * @param {number} n - FFT size
+   * @param {number} sampleRate - Sample rate (Hz)
+   */
+  _mapRows(plotH, n, sampleRate) {
+    const key = `${plotH}:${n}:${sampleRate}`;
+    if (this._rowKey === key) return;
+    this._rowKey = key;
+
+    const binHz = sampleRate / n;
+    const lastBin = n / 2 - 1;
+    this._rowLow = new Uint32Array(plotH);
+    this._rowHigh = new Uint32Array(plotH);
+    for (let row = 0; row < plotH; row++) {
+      const fHigh = this._rowFrequency(row, plotH);
+      const fLow = this._rowFrequency(row + 1, plotH);
+      const low = Math.min(lastBin, Math.max(1, Math.ceil(fLow / binHz)));
+      const high = Math.min(lastBin, Math.floor(fHigh / binHz));
+      if (high >= low) {
+        this._rowLow[row] = low;
+        this._rowHigh[row] = high;
+      } else {
+        // Row narrower than a bin: nearest bin
+        const nearest = Math.min(lastBin, Math.max(1, Math.round(Math.sqrt(fLow * fHigh) / binHz)));
+        this._rowLow[row] = nearest;
+        this._rowHigh[row] = nearest;
+      }
+    }
+  }
+
+  /**
+   * @param {number} db - Level in dB
+   * @returns {number} Colour table index (0–255)
+   */
+  _colourIndex(db) {
+    const t = (db - FLOOR_DB) / (TOP_DB - FLOOR_DB);
+    return Math.max(0, Math.min(255, Math.round(t * 255)));
+  }
+
+  /**
+   * @param {number} index - Colour table index
+   * @returns {string} CSS colour
+   */
+  _colourCss(index) {
+    const c = this._colours;
+    return `rgb(${c[index * 3]},${c[index * 3 + 1]},${c[index * 3 + 2]})`;
+  }
+
+  /**
+   * Shift the history left and paint the due columns with one spectrum.
+   * @param {SpectrogramFrame} frame
+   * @param {Float32Array} column - Level per row in dB
+   */
+  _paint({ history, historyCtx: ctx, plotW, plotH, columns }, column) {
+    const count = Math.min(columns, plotW);
+    if (count < plotW) {
+      ctx.drawImage(history, count, 0, plotW - count, plotH, 0, 0, plotW - count, plotH);
+    }
+
+    const image = ctx.createImageData(count, plotH);
+    const data = image.data;
+    const colours = this._colours;
+    for (let row = 0; row < plotH; row++) {
+      const c = this._colourIndex(column[row]) * 3;
+      for (let x = 0; x < count; x++) {
+        const p = (row * count + x) * 4;
+        data[p] = colours[c];
+        data[p + 1] = colours[c + 1];
+        data[p + 2] = colours[c + 2];
+        data[p + 3] = 255;
+      }
+    }
+    ctx.putImageData(image, plotW - count, 0);
+  }
+
+  /**
+   * Copy the history to the visible canvas and draw the axis and caption.
+   * @param {SpectrogramFrame} frame
+   */
+  _present({ ctx, history, w, h, dpr, plotL, plotH }) {
+    ctx.clearRect(0, 0, w, h);
+    ctx.drawImage(history, plotL, 0);
+
+    ctx.fillStyle = 'rgba(255,255,255,0.5)';
+    ctx.font = `${Math.round(8 * dpr)}px ui-monospace, monospace`;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    const freqLabels = [
+      { freq: 50, label: '50' },
+      { freq: 100, label: '100' },
+      { freq: 200, label: '200' },
+      { freq: 500, label: '500' },
+      { freq: 1000, label: '1k' },
+      { freq: 2000, label: '2k' },
+      { freq: 5000, label: '5k' },
+      { freq: 10000, label: '10k' }
+    ];
+    for (const fl of freqLabels) {
+      const y = plotH * (1 - Math.log(fl.freq / RTA_MIN_HZ) / Math.log(RTA_MAX_HZ / RTA_MIN_HZ));
+      ctx.fillText(fl.label, plotL - 4 * dpr, y);
+    }
+
+    const { spanSeconds, fftSize } = this.options;
+    ctx.fillStyle = 'rgba(255,255,255,0.6)';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`${spanSeconds} s · FFT ${fftSize}`, w - 4 * dpr, 4 * dpr);
+  }
+}
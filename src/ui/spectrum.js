@@ -9,32 +9,38 @@
  * david@thast.se  ·  +46 700 30 30 60
  * ═══════════════════════════════════════════════════════════════════════════════
  */
-
 /**
  * ═══════════════════════════════════════════════════════════════════════════════
  * SPECTRUM ANALYZER
  * ═══════════════════════════════════════════════════════════════════════════════
  *
- * 1/3-octave spectrum analyzer with RTW/TC-grade visual rendering.
- * 31 bands from 20 Hz to 20 kHz.
+ * Real-time analyser with RTW/TC-grade visual rendering: 1/1, 1/3, 1/6,
+ * 1/12 or 1/24 octave bars from 20 Hz to 20 kHz, or a continuous FFT line
+ * on a log frequency axis. Weighting (A/C/K/ITU-R 468), averaging and pink
+ * compensation are applied by metering/rta.js before the display ballistics.
+ * Finer resolutions read a second, longer-FFT analyser pair when one is
+ * set (setHighResolutionAnalysers). Remote probes send 31 1/3-octave bands,
+ * drawn as they arrive.
  *
  * @module ui/spectrum
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
+import {
+  RTA_RESOLUTIONS,
+  RTA_MIN_HZ,
+  RTA_MAX_HZ,
+  THIRD_OCTAVE_CENTRES,
+  SpectrumAverager,
+  createRtaLayout,
+  computeRtaLevels
+} from '../metering/rta.js';
+import { WEIGHTINGS } from '../metering/weighting.js';
+
 // 1/3-octave center frequencies (ISO 266)
-const SPECTRUM_CENTER_FREQS = [
-  20, 25, 31.5, 40, 50, 63, 80, 100,
-  125, 160, 200, 250, 315, 400, 500, 630,
-  800, 1000, 1250, 1600, 2000, 2500,
-  3150, 4000, 5000, 6300, 8000, 10000,
-  12500, 16000, 20000
-];
+const SPECTRUM_CENTER_FREQS = THIRD_OCTAVE_CENTRES;
 const SPECTRUM_NUM_BANDS = SPECTRUM_CENTER_FREQS.length; // 31
 
-// 1/3-octave factor: 2^(1/6) ≈ 1.1225
-const THIRD_OCT_FACTOR = Math.pow(2, 1/6);
-
 // RTW/TC Visual Constants (UI only)
 const RTW_VISIBLE_TOP_DB = 9;       // Top of visual range
 const RTW_VISIBLE_BOTTOM_DB = -48;  // Bottom of visual range
@@ -45,6 +51,28 @@ const RTW_PEAK_HOLD_MS = 750;       // Peak hold: 600-900ms
 const RTW_PEAK_FALL_RATE = 18;      // Peak marker fall: 18 dB/s
 const RTW_DISPLAY_SMOOTH = 0.15;    // Visual smoothing factor (0.85/0.15 blend)
 
+// LED-style bars: 57 cells (1 dB each, from -48 to +9); denser layouts draw solid bars
+const LED_CELLS = 57;
+const LED_MAX_BANDS = 62;
+
+/**
+ * @typedef {Object} SpectrumOptions
+ * @property {import('../metering/rta.js').RtaResolution} resolution - Bands per octave or 'fft'
+ * @property {import('../metering/weighting.js').Weighting} weighting - Frequency weighting
+ * @property {import('../metering/rta.js').RtaAveraging} averaging - Averaging mode
+ * @property {number} averagingTimeMs - Averaging window or time constant (ms)
+ * @property {boolean} pinkCompensation - Add 3 dB/oct so pink noise reads flat
+ */
+
+/** @type {Readonly<SpectrumOptions>} */
+const DEFAULT_SPECTRUM_OPTIONS = Object.freeze({
+  resolution: '1/3',
+  weighting: 'Z',
+  averaging: 'none',
+  averagingTimeMs: 1000,
+  pinkCompensation: false
+});
+
 export class SpectrumAnalyzer {
   constructor(canvas, analyserL, analyserR, wrapperSelector) {
     this.canvas = canvas;
@@ -52,269 +80,122 @@ export class SpectrumAnalyzer {
     this.analyserL = analyserL;
     this.analyserR = analyserR;
     this.wrapperSelector = wrapperSelector;
+    // Longer-FFT analysers for 1/6 octave and finer (null = use analyserL/R)
+    this.hiResAnalyserL = null;
+    this.hiResAnalyserR = null;
 
-    // FFT data buffers
-    this.spectrumFreqBufL = new Float32Array(2048);
-    this.spectrumFreqBufR = new Float32Array(2048);
+    // FFT data buffers (sized to the analyser on first draw)
+    this.spectrumFreqBufL = new Float32Array(0);
+    this.spectrumFreqBufR = new Float32Array(0);
 
-    // Band values
-    this.spectrumSmooth = new Float32Array(SPECTRUM_NUM_BANDS);
-    this.spectrumPeakHold = new Float32Array(SPECTRUM_NUM_BANDS);
+    /** @type {SpectrumOptions} */
+    this.options = { ...DEFAULT_SPECTRUM_OPTIONS };
+    this._averager = new SpectrumAverager();
 
-    // RTW/TC Visual Display State (UI only - does not affect DSP)
-    this.spectrumDisplayVal = new Float32Array(SPECTRUM_NUM_BANDS);  // Smoothed display values
-    this.spectrumPeakMarker = new Float32Array(SPECTRUM_NUM_BANDS);  // Peak marker positions
-    this.spectrumPeakTimer = new Float32Array(SPECTRUM_NUM_BANDS);   // Peak hold timers
-
-    // Initialize to floor
-    for (let i = 0; i < SPECTRUM_NUM_BANDS; i++) {
-      this.spectrumDisplayVal[i] = -100;
-      this.spectrumPeakMarker[i] = -100;
-      this.spectrumPeakTimer[i] = 0;
-    }
+    // Band values and RTW/TC visual display state (UI only - does not affect DSP)
+    this.spectrumSmooth = new Float32Array(0);
+    this.spectrumDisplayVal = new Float32Array(0);  // Smoothed display values
+    this.spectrumPeakMarker = new Float32Array(0);  // Peak marker positions
+    this.spectrumPeakTimer = new Float32Array(0);   // Peak hold timers
+    this._ensureBands(SPECTRUM_NUM_BANDS);
 
     this.lastTime = 0;
 
-    // Pre-computed bin-to-band mapping (computed once when sample rate changes)
-    this._bandBinMapping = null;
-    this._lastSampleRate = 0;
-    this._lastFftSize = 0;
+    // Pre-computed bin-to-band mapping (recomputed when settings, sample rate or FFT size change)
+    /** @type {import('../metering/rta.js').RtaLayout|null} */
+    this._layout = null;
+    this._layoutKey = '';
   }
 
   /**
-   * Pre-compute bin ranges for each 1/3-octave band.
-   * Called once when sample rate or FFT size changes.
-   * @param {number} sampleRate - Audio sample rate
-   * @param {number} fftSize - FFT size
-   * @param {number} numBins - Number of FFT bins
+   * Change resolution, weighting, averaging or pink compensation.
+   * Unspecified fields keep their current value.
+   *
+   * @param {Partial<SpectrumOptions>} options - Changed options
+   * @throws {RangeError} If a resolution, weighting or averaging mode is unknown
    */
-  _computeBinMapping(sampleRate, fftSize, numBins) {
-    const binHz = sampleRate / fftSize;
-    this._bandBinMapping = new Array(SPECTRUM_NUM_BANDS);
-
-    for (let b = 0; b < SPECTRUM_NUM_BANDS; b++) {
-      const centerFreq = SPECTRUM_CENTER_FREQS[b];
-      const lowFreq = centerFreq / THIRD_OCT_FACTOR;
-      const highFreq = centerFreq * THIRD_OCT_FACTOR;
-
-      this._bandBinMapping[b] = {
-        lowBin: Math.max(1, Math.floor(lowFreq / binHz)),
-        highBin: Math.min(numBins - 1, Math.ceil(highFreq / binHz))
-      };
+  setOptions(options) {
+    const next = { ...this.options, ...options };
+    if (!(next.resolution in RTA_RESOLUTIONS)) {
+      throw new RangeError(`Unknown RTA resolution: ${next.resolution}`);
     }
-
-    this._lastSampleRate = sampleRate;
-    this._lastFftSize = fftSize;
+    if (!(next.weighting in WEIGHTINGS)) {
+      throw new RangeError(`Unknown weighting: ${next.weighting}`);
+    }
+    this._averager.setMode(next.averaging, next.averagingTimeMs);
+    this.options = next;
+    this._layout = null;
   }
 
-  draw(containerEl, sampleRate) {
-    if (!this.ctx || !this.analyserL || !this.analyserR) return;
-    const canvas = this.canvas;
-    if (!canvas) return;
-
-    // Use wrapper for dimensions (canvas itself may report 0 in flex)
-    const spectrumWrap = containerEl?.querySelector('.spectrumWrap');
-    if (!spectrumWrap) return;
+  /**
+   * Use a longer-FFT analyser pair for 1/6 octave and finer and the FFT line.
+   * 1/1 and 1/3 octave keep the shorter analysers for a faster response.
+   *
+   * @param {AnalyserNode} analyserL - Left channel analyser
+   * @param {AnalyserNode} analyserR - Right channel analyser
+   */
+  setHighResolutionAnalysers(analyserL, analyserR) {
+    this.hiResAnalyserL = analyserL;
+    this.hiResAnalyserR = analyserR;
+  }
 
-    const dpr = window.devicePixelRatio || 1;
-    const rect = spectrumWrap.getBoundingClientRect();
-    const cssW = rect.width;
-    const cssH = rect.height;
+  /**
+   * Start averaging over (e.g. after moving the measurement microphone).
+   */
+  resetAverage() {
+    this._averager.reset();
+  }
 
-    if (cssW < 1 || cssH < 1) return;
+  /**
+   * Size the per-band display state, starting from the floor.
+   * @private
+   * @param {number} numBands - Band (or FFT line point) count
+   */
+  _ensureBands(numBands) {
+    if (this.spectrumSmooth.length === numBands) return;
 
-    const w = Math.floor(cssW * dpr);
-    const h = Math.floor(cssH * dpr);
+    this.spectrumSmooth = new Float32Array(numBands);
+    this.spectrumDisplayVal = new Float32Array(numBands).fill(-100);
+    this.spectrumPeakMarker = new Float32Array(numBands).fill(-100);
+    this.spectrumPeakTimer = new Float32Array(numBands);
+  }
 
-    if (canvas.width !== w || canvas.height !== h) {
-      canvas.width = w;
-      canvas.height = h;
+  draw(containerEl, sampleRate) {
+    if (!this.ctx || !this.analyserL || !this.analyserR) return;
+    const frame = this._beginFrame(containerEl);
+    if (!frame) return;
+
+    const { resolution, weighting, pinkCompensation } = this.options;
+    const hiRes = this.hiResAnalyserL && this.hiResAnalyserR && resolution !== '1/1' && resolution !== '1/3';
+    const analyserL = hiRes ? this.hiResAnalyserL : this.analyserL;
+    const analyserR = hiRes ? this.hiResAnalyserR : this.analyserR;
+
+    const fftSize = analyserL.fftSize;
+    if (this.spectrumFreqBufL.length !== fftSize / 2) {
+      this.spectrumFreqBufL = new Float32Array(fftSize / 2);
+      this.spectrumFreqBufR = new Float32Array(fftSize / 2);
     }
 
-    const ctx = this.ctx;
-    ctx.clearRect(0, 0, w, h);
-
-    // Timing for peak falloff
-    const now = performance.now();
-    const deltaTime = this.lastTime > 0 ? (now - this.lastTime) / 1000 : 0.016;
-    this.lastTime = now;
-
     // Get FFT data
-    this.analyserL.getFloatFrequencyData(this.spectrumFreqBufL);
-    this.analyserR.getFloatFrequencyData(this.spectrumFreqBufR);
+    analyserL.getFloatFrequencyData(this.spectrumFreqBufL);
+    analyserR.getFloatFrequencyData(this.spectrumFreqBufR);
 
     const sr = sampleRate || 48000;
-    const fftSize = this.analyserL.fftSize;
-    const numBins = this.spectrumFreqBufL.length;
-
-    // Re-compute bin mapping only when sample rate or FFT size changes
-    if (sr !== this._lastSampleRate || fftSize !== this._lastFftSize || !this._bandBinMapping) {
-      this._computeBinMapping(sr, fftSize, numBins);
-    }
-
-    // Calculate band values using pre-computed 1/3-octave bin ranges
-    for (let b = 0; b < SPECTRUM_NUM_BANDS; b++) {
-      const { lowBin, highBin } = this._bandBinMapping[b];
-
-      // Sum linear power (not dB - logarithmic values cannot be averaged)
-      let powerSum = 0, count = 0;
-      for (let i = lowBin; i <= highBin; i++) {
-        const powerL = Math.pow(10, this.spectrumFreqBufL[i] / 10);
-        const powerR = Math.pow(10, this.spectrumFreqBufR[i] / 10);
-        powerSum += 0.5 * (powerL + powerR);
-        count++;
-      }
-
-      const avgPower = count > 0 ? powerSum / count : 0;
-      const bandDb = avgPower > 0 ? 10 * Math.log10(avgPower) : -100;
-
-      // Store raw band value (DSP untouched)
-      this.spectrumSmooth[b] = bandDb;
-    }
-
-    // =========================================================
-    // RTW/TC-GRADE VISUAL RENDERING (UI ONLY - NO DSP CHANGES)
-    // =========================================================
-
-    // Layout calculations
-    const paddingL = Math.round(28 * dpr);  // Left padding for dB labels
-    const paddingR = Math.round(6 * dpr);
-    const paddingT = Math.round(6 * dpr);
-    const paddingB = Math.round(18 * dpr);  // Bottom padding for freq labels
-    const barAreaW = w - paddingL - paddingR;
-    const barAreaH = h - paddingT - paddingB;
-    const gap = Math.round(1 * dpr);
-    const barWidth = Math.max(2 * dpr, (barAreaW - gap * (SPECTRUM_NUM_BANDS - 1)) / SPECTRUM_NUM_BANDS);
-
-    // Y-position helper: maps dB to pixel (top = +9dB, bottom = -36dB)
-    function dbToY(db) {
-      const clamped = Math.max(RTW_VISIBLE_BOTTOM_DB, Math.min(RTW_VISIBLE_TOP_DB, db));
-      return paddingT + ((RTW_VISIBLE_TOP_DB - clamped) / RTW_RANGE_DB) * barAreaH;
-    }
-    const zeroLineY = dbToY(0);
-    const bottomY = paddingT + barAreaH;
-
-    // Draw gridlines first (behind bars)
-    ctx.strokeStyle = 'rgba(255,255,255,0.06)';
-    ctx.lineWidth = 1;
-    const majorMarks = [6, 0, -6, -12, -18, -24, -30, -36, -42, -48];
-    for (const mark of majorMarks) {
-      const y = dbToY(mark);
-      ctx.beginPath();
-      ctx.moveTo(paddingL, y);
-      ctx.lineTo(w - paddingR, y);
-      ctx.stroke();
-    }
-
-    // Draw 0 dB reference line (red, thicker)
-    ctx.strokeStyle = '#c5312f';
-    ctx.lineWidth = 1.5 * dpr;
-    ctx.beginPath();
-    ctx.moveTo(paddingL, zeroLineY);
-    ctx.lineTo(w - paddingR, zeroLineY);
-    ctx.stroke();
-
-    // Process and draw each band
-    for (let b = 0; b < SPECTRUM_NUM_BANDS; b++) {
-      const actualValue = this.spectrumSmooth[b];
-
-      // RTW Ballistics: instant rise, 12 dB/s fall
-      if (actualValue > this.spectrumDisplayVal[b]) {
-        this.spectrumDisplayVal[b] = actualValue;  // Instant rise
-      } else {
-        this.spectrumDisplayVal[b] = Math.max(this.spectrumDisplayVal[b] - RTW_FALL_RATE * deltaTime, actualValue);
-      }
-
-      // Visual micro-jitter smoothing (0.85/0.15 blend)
-      this.spectrumDisplayVal[b] = this.spectrumDisplayVal[b] * (1 - RTW_DISPLAY_SMOOTH) + actualValue * RTW_DISPLAY_SMOOTH;
-
-      // Peak marker: hold then fall
-      if (actualValue > this.spectrumPeakMarker[b]) {
-        this.spectrumPeakMarker[b] = actualValue;
-        this.spectrumPeakTimer[b] = RTW_PEAK_HOLD_MS;
-      } else if (this.spectrumPeakTimer[b] > 0) {
-        this.spectrumPeakTimer[b] -= deltaTime * 1000;
-      } else {
-        this.spectrumPeakMarker[b] -= RTW_PEAK_FALL_RATE * deltaTime;
-      }
-
-      // Calculate bar geometry (apply visual boost for display)
-      const displayDb = this.spectrumDisplayVal[b] + RTW_VISUAL_BOOST;
-      const barX = paddingL + b * (barWidth + gap);
-
-      // LED-style rendering: 57 cells (1 dB each, from -48 to +9)
-      const LED_CELLS = 57;
-      const LED_GAP = Math.max(1, Math.round(1 * dpr));  // Gap between cells
-      const cellH = (barAreaH - LED_GAP * (LED_CELLS - 1)) / LED_CELLS;
-
-      // Draw LED cells from bottom to top
-      for (let cell = 0; cell < LED_CELLS; cell++) {
-        const cellDb = RTW_VISIBLE_BOTTOM_DB + cell;  // -36 + cell = dB value for this cell
-        const cellY = bottomY - (cell + 1) * (cellH + LED_GAP) + LED_GAP;
-
-        // Only draw lit cells (up to displayDb)
-        if (cellDb < displayDb) {
-          // Colour based on dB level
-          if (cellDb >= 0) {
-            ctx.fillStyle = '#ff3b2f';  // Red: above 0 dB
-          } else if (cellDb >= -6) {
-            ctx.fillStyle = '#ff9500';  // Orange: -6 to 0 dB
-          } else {
-            ctx.fillStyle = '#f2c74e';  // Yellow: below -6 dB
-          }
-          ctx.fillRect(barX, cellY, barWidth, cellH);
-        }
-      }
 
-      // Peak-hold marker (white LED cell at peak position)
-      const peakDb = this.spectrumPeakMarker[b] + RTW_VISUAL_BOOST;
-      if (peakDb > RTW_VISIBLE_BOTTOM_DB) {
-        const peakCell = Math.floor(peakDb - RTW_VISIBLE_BOTTOM_DB);
-        if (peakCell >= 0 && peakCell < LED_CELLS) {
-          const peakCellY = bottomY - (peakCell + 1) * (cellH + LED_GAP) + LED_GAP;
-          ctx.fillStyle = 'rgba(255,255,255,0.9)';
-          ctx.fillRect(barX, peakCellY, barWidth, cellH);
-        }
-      }
+    // Re-compute bin mapping only when settings, sample rate or FFT size change
+    const layoutKey = `${resolution}|${weighting}|${pinkCompensation}|${sr}|${fftSize}`;
+    if (!this._layout || layoutKey !== this._layoutKey) {
+      this._layout = createRtaLayout(resolution, sr, fftSize, { weighting, pinkCompensation });
+      this._layoutKey = layoutKey;
+      this._averager.reset();
     }
 
-    // Draw dB scale labels on left side
-    ctx.fillStyle = 'rgba(255,255,255,0.5)';
-    ctx.font = `${Math.round(8 * dpr)}px ui-monospace, monospace`;
-    ctx.textAlign = 'right';
-    ctx.textBaseline = 'middle';
-    const dbLabels = [6, 0, -12, -24, -36, -48];
-    for (const mark of dbLabels) {
-      const y = dbToY(mark);
-      const label = mark > 0 ? `+${mark}` : `${mark}`;
-      ctx.fillText(label, paddingL - 4 * dpr, y);
-    }
+    // Band values (DSP untouched by the display ballistics below)
+    const levels = computeRtaLevels(this.spectrumFreqBufL, this.spectrumFreqBufR, this._layout);
+    this._ensureBands(levels.length);
+    this.spectrumSmooth.set(this._averager.update(levels, performance.now()));
 
-    // Draw frequency axis labels (bottom)
-    ctx.fillStyle = 'rgba(255,255,255,0.25)';
-    ctx.font = `${Math.round(7 * dpr)}px ui-monospace, monospace`;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'top';
-    const freqLabels = [
-      { freq: 31.5, label: '31' },
-      { freq: 63, label: '63' },
-      { freq: 125, label: '125' },
-      { freq: 250, label: '250' },
-      { freq: 500, label: '500' },
-      { freq: 1000, label: '1k' },
-      { freq: 2000, label: '2k' },
-      { freq: 4000, label: '4k' },
-      { freq: 8000, label: '8k' },
-      { freq: 16000, label: '16k' }
-    ];
-    for (const fl of freqLabels) {
-      // Find band index for this frequency
-      let bandIdx = SPECTRUM_CENTER_FREQS.findIndex(f => Math.abs(f - fl.freq) < fl.freq * 0.1);
-      if (bandIdx >= 0) {
-        const x = paddingL + bandIdx * (barWidth + gap) + barWidth / 2;
-        ctx.fillText(fl.label, x, bottomY + 3 * dpr);
-      }
-    }
+    this._render(frame, this._layout.centres, resolution === 'fft', this._describeOptions());
   }
 
   /**
@@ -322,27 +203,46 @@ export class SpectrumAnalyzer {
    *
    * This method accepts an array of 31 band dB values, allowing the probe
    * to compute the FFT→1/3-octave transformation once and transmit only
-   * the essential visualization data (~124 bytes per frame).
+   * the essential visualization data (~124 bytes per frame). The local
+   * resolution, weighting and averaging settings do not apply.
    *
    * @param {Float32Array|number[]} bandValues - 31 band values in dB
    * @param {HTMLElement} containerEl - Container element for sizing
    */
   drawFromBands(bandValues, containerEl) {
     if (!this.ctx || !bandValues || bandValues.length < SPECTRUM_NUM_BANDS) return;
+    const frame = this._beginFrame(containerEl);
+    if (!frame) return;
+
+    // Use remote band values directly
+    this._ensureBands(SPECTRUM_NUM_BANDS);
+    for (let b = 0; b < SPECTRUM_NUM_BANDS; b++) {
+      this.spectrumSmooth[b] = bandValues[b];
+    }
 
+    this._render(frame, SPECTRUM_CENTER_FREQS, false, null);
+  }
+
+  /**
+   * Size the canvas to its wrapper, clear it and advance the frame clock.
+   * @private
+   * @param {HTMLElement} containerEl - Container element for sizing
+   * @returns {{ctx: CanvasRenderingContext2D, w: number, h: number, dpr: number, deltaTime: number}|null}
+   */
+  _beginFrame(containerEl) {
     const canvas = this.canvas;
-    if (!canvas) return;
+    if (!canvas) return null;
 
-    // Use wrapper for dimensions
+    // Use wrapper for dimensions (canvas itself may report 0 in flex)
     const spectrumWrap = containerEl?.querySelector('.spectrumWrap');
-    if (!spectrumWrap) return;
+    if (!spectrumWrap) return null;
 
     const dpr = window.devicePixelRatio || 1;
     const rect = spectrumWrap.getBoundingClientRect();
     const cssW = rect.width;
     const cssH = rect.height;
 
-    if (cssW < 1 || cssH < 1) return;
+    if (cssW < 1 || cssH < 1) return null;
 
     const w = Math.floor(cssW * dpr);
     const h = Math.floor(cssH * dpr);
@@ -360,32 +260,61 @@ export class SpectrumAnalyzer {
     const deltaTime = this.lastTime > 0 ? (now - this.lastTime) / 1000 : 0.016;
     this.lastTime = now;
 
-    // Use remote band values directly
-    for (let b = 0; b < SPECTRUM_NUM_BANDS; b++) {
-      this.spectrumSmooth[b] = bandValues[b];
-    }
+    return { ctx, w, h, dpr, deltaTime };
+  }
+
+  /**
+   * @private
+   * @returns {string} Canvas caption for the local settings
+   */
+  _describeOptions() {
+    const { resolution, weighting, averaging, pinkCompensation } = this.options;
+    const parts = [resolution === 'fft' ? 'FFT' : `${resolution} oct`];
+    if (weighting !== 'Z') parts.push(weighting === '468' ? '468' : `${weighting}-wtd`);
+    if (averaging !== 'none') parts.push(`avg ${averaging}`);
+    if (pinkCompensation) parts.push('pink');
+    return parts.join(' · ');
+  }
 
-    // =========================================================
-    // RTW/TC-GRADE VISUAL RENDERING (same as draw())
-    // =========================================================
+  // =========================================================
+  // RTW/TC-GRADE VISUAL RENDERING (UI ONLY - NO DSP CHANGES)
+  // =========================================================
 
-    const paddingL = Math.round(28 * dpr);
+  /**
+   * Apply the display ballistics to spectrumSmooth and draw bars or a line.
+   * @private
+   * @param {{ctx: CanvasRenderingContext2D, w: number, h: number, dpr: number, deltaTime: number}} frame
+   * @param {ArrayLike<number>} centres - Frequency of each value (Hz)
+   * @param {boolean} lineMode - Draw a continuous line on a log axis instead of bars
+   * @param {string|null} caption - Settings caption (top right), or null
+   */
+  _render({ ctx, w, h, dpr, deltaTime }, centres, lineMode, caption) {
+    const numBands = centres.length;
+
+    // Layout calculations
+    const paddingL = Math.round(28 * dpr);  // Left padding for dB labels
     const paddingR = Math.round(6 * dpr);
     const paddingT = Math.round(6 * dpr);
-    const paddingB = Math.round(18 * dpr);
+    const paddingB = Math.round(18 * dpr);  // Bottom padding for freq labels
     const barAreaW = w - paddingL - paddingR;
     const barAreaH = h - paddingT - paddingB;
-    const gap = Math.round(1 * dpr);
-    const barWidth = Math.max(2 * dpr, (barAreaW - gap * (SPECTRUM_NUM_BANDS - 1)) / SPECTRUM_NUM_BANDS);
+    const gap = numBands > LED_MAX_BANDS ? 0 : Math.round(1 * dpr);
+    const barWidth = Math.max(lineMode ? 0 : 1, (barAreaW - gap * (numBands - 1)) / numBands);
 
+    // Y-position helper: maps dB to pixel (top = +9dB, bottom = -48dB)
     function dbToY(db) {
       const clamped = Math.max(RTW_VISIBLE_BOTTOM_DB, Math.min(RTW_VISIBLE_TOP_DB, db));
       return paddingT + ((RTW_VISIBLE_TOP_DB - clamped) / RTW_RANGE_DB) * barAreaH;
     }
+    // X-position helper for the FFT line: log frequency axis, 20 Hz to 20 kHz
+    const logSpan = Math.log(RTA_MAX_HZ / RTA_MIN_HZ);
+    function freqToX(freq) {
+      return paddingL + (Math.log(freq / RTA_MIN_HZ) / logSpan) * barAreaW;
+    }
     const zeroLineY = dbToY(0);
     const bottomY = paddingT + barAreaH;
 
-    // Gridlines
+    // Draw gridlines first (behind bars)
     ctx.strokeStyle = 'rgba(255,255,255,0.06)';
     ctx.lineWidth = 1;
     const majorMarks = [6, 0, -6, -12, -18, -24, -30, -36, -42, -48];
@@ -397,7 +326,7 @@ export class SpectrumAnalyzer {
       ctx.stroke();
     }
 
-    // 0 dB reference line
+    // Draw 0 dB reference line (red, thicker)
     ctx.strokeStyle = '#c5312f';
     ctx.lineWidth = 1.5 * dpr;
     ctx.beginPath();
@@ -405,19 +334,24 @@ export class SpectrumAnalyzer {
     ctx.lineTo(w - paddingR, zeroLineY);
     ctx.stroke();
 
-    // Process and draw bands
-    for (let b = 0; b < SPECTRUM_NUM_BANDS; b++) {
+    const ledGap = Math.max(1, Math.round(1 * dpr));  // Gap between cells
+    const cellH = (barAreaH - ledGap * (LED_CELLS - 1)) / LED_CELLS;
+
+    // Process and draw each band
+    for (let b = 0; b < numBands; b++) {
       const actualValue = this.spectrumSmooth[b];
 
-      // RTW Ballistics
+      // RTW Ballistics: instant rise, 12 dB/s fall
       if (actualValue > this.spectrumDisplayVal[b]) {
-        this.spectrumDisplayVal[b] = actualValue;
+        this.spectrumDisplayVal[b] = actualValue;  // Instant rise
       } else {
         this.spectrumDisplayVal[b] = Math.max(this.spectrumDisplayVal[b] - RTW_FALL_RATE * deltaTime, actualValue);
       }
+
+      // Visual micro-jitter smoothing (0.85/0.15 blend)
       this.spectrumDisplayVal[b] = this.spectrumDisplayVal[b] * (1 - RTW_DISPLAY_SMOOTH) + actualValue * RTW_DISPLAY_SMOOTH;
 
-      // Peak marker
+      // Peak marker: hold then fall
       if (actualValue > this.spectrumPeakMarker[b]) {
         this.spectrumPeakMarker[b] = actualValue;
         this.spectrumPeakTimer[b] = RTW_PEAK_HOLD_MS;
@@ -427,43 +361,73 @@ export class SpectrumAnalyzer {
         this.spectrumPeakMarker[b] -= RTW_PEAK_FALL_RATE * deltaTime;
       }
 
+      if (lineMode) continue;
+
+      // Calculate bar geometry (apply visual boost for display)
       const displayDb = this.spectrumDisplayVal[b] + RTW_VISUAL_BOOST;
       const barX = paddingL + b * (barWidth + gap);
 
-      // LED cells
-      const LED_CELLS = 57;
-      const LED_GAP = Math.max(1, Math.round(1 * dpr));
-      const cellH = (barAreaH - LED_GAP * (LED_CELLS - 1)) / LED_CELLS;
-
-      for (let cell = 0; cell < LED_CELLS; cell++) {
-        const cellDb = RTW_VISIBLE_BOTTOM_DB + cell;
-        const cellY = bottomY - (cell + 1) * (cellH + LED_GAP) + LED_GAP;
-
-        if (cellDb < displayDb) {
-          if (cellDb >= 0) {
-            ctx.fillStyle = '#ff3b2f';
-          } else if (cellDb >= -6) {
-            ctx.fillStyle = '#ff9500';
-          } else {
-            ctx.fillStyle = '#f2c74e';
+      if (numBands <= LED_MAX_BANDS) {
+        // Draw LED cells from bottom to top
+        for (let cell = 0; cell < LED_CELLS; cell++) {
+          const cellDb = RTW_VISIBLE_BOTTOM_DB + cell; // -48 + cell = dB value for this cell
+          const cellY = bottomY - (cell + 1) * (cellH + ledGap) + ledGap;
+
+          // Only draw lit cells (up to displayDb)
+          if (cellDb < displayDb) {
+            ctx.fillStyle = zoneColour(cellDb);
+            ctx.fillRect(barX, cellY, barWidth, cellH);
           }
-          ctx.fillRect(barX, cellY, barWidth, cellH);
+        }
+      } else {
+        // Solid bar, one rectangle per colour zone
+        for (const [fromDb, toDb] of [[RTW_VISIBLE_BOTTOM_DB, -6], [-6, 0], [0, RTW_VISIBLE_TOP_DB]]) {
+          if (displayDb <= fromDb) break;
+          const topY = dbToY(Math.min(displayDb, toDb));
+          ctx.fillStyle = zoneColour(fromDb);
+          ctx.fillRect(barX, topY, barWidth, dbToY(fromDb) - topY);
         }
       }
 
-      // Peak marker
+      // Peak-hold marker (white LED cell at peak position)
       const peakDb = this.spectrumPeakMarker[b] + RTW_VISUAL_BOOST;
       if (peakDb > RTW_VISIBLE_BOTTOM_DB) {
         const peakCell = Math.floor(peakDb - RTW_VISIBLE_BOTTOM_DB);
         if (peakCell >= 0 && peakCell < LED_CELLS) {
-          const peakCellY = bottomY - (peakCell + 1) * (cellH + LED_GAP) + LED_GAP;
+          const peakCellY = bottomY - (peakCell + 1) * (cellH + ledGap) + ledGap;
           ctx.fillStyle = 'rgba(255,255,255,0.9)';
           ctx.fillRect(barX, peakCellY, barWidth, cellH);
         }
       }
     }
 
-    // dB scale labels
+    if (lineMode) {
+      // Peak hold as a faint line, level as a filled curve
+      ctx.strokeStyle = 'rgba(255,255,255,0.35)';
+      ctx.lineWidth = 1 * dpr;
+      ctx.beginPath();
+      for (let b = 0; b < numBands; b++) {
+        const x = freqToX(centres[b]);
+        const y = dbToY(this.spectrumPeakMarker[b] + RTW_VISUAL_BOOST);
+        if (b === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+      }
+      ctx.stroke();
+
+      ctx.beginPath();
+      ctx.moveTo(freqToX(centres[0]), bottomY);
+      for (let b = 0; b < numBands; b++) {
+        ctx.lineTo(freqToX(centres[b]), dbToY(this.spectrumDisplayVal[b] + RTW_VISUAL_BOOST));
+      }
+      ctx.lineTo(freqToX(centres[numBands - 1]), bottomY);
+      ctx.closePath();
+      ctx.fillStyle = 'rgba(242,199,78,0.25)';
+      ctx.fill();
+      ctx.strokeStyle = '#f2c74e';
+      ctx.lineWidth = 1.5 * dpr;
+      ctx.stroke();
+    }
+
+    // Draw dB scale labels on left side
     ctx.fillStyle = 'rgba(255,255,255,0.5)';
     ctx.font = `${Math.round(8 * dpr)}px ui-monospace, monospace`;
     ctx.textAlign = 'right';
@@ -475,7 +439,7 @@ export class SpectrumAnalyzer {
       ctx.fillText(label, paddingL - 4 * dpr, y);
     }
 
-    // Frequency labels
+    // Draw frequency axis labels (bottom)
     ctx.fillStyle = 'rgba(255,255,255,0.25)';
     ctx.font = `${Math.round(7 * dpr)}px ui-monospace, monospace`;
     ctx.textAlign = 'center';
@@ -493,33 +457,71 @@ export class SpectrumAnalyzer {
       { freq: 16000, label: '16k' }
     ];
     for (const fl of freqLabels) {
-      let bandIdx = SPECTRUM_CENTER_FREQS.findIndex(f => Math.abs(f - fl.freq) < fl.freq * 0.1);
+      if (lineMode) {
+        ctx.fillText(fl.label, freqToX(fl.freq), bottomY + 3 * dpr);
+        continue;
+      }
+      // Find band index for this frequency
+      const bandIdx = Array.prototype.findIndex.call(centres, f => Math.abs(f - fl.freq) < fl.freq * 0.1);
       if (bandIdx >= 0) {
         const x = paddingL + bandIdx * (barWidth + gap) + barWidth / 2;
         ctx.fillText(fl.label, x, bottomY + 3 * dpr);
       }
     }
+
+    // Settings caption (top right)
+    if (caption) {
+      ctx.fillStyle = 'rgba(255,255,255,0.35)';
+      ctx.textAlign = 'right';
+      ctx.fillText(caption, w - paddingR - 2 * dpr, paddingT + 2 * dpr);
+    }
   }
 }
 
+/**
+ * @param {number} db - Display level of the cell or zone
+ * @returns {string} Bar colour
+ */
+function zoneColour(db) {
+  if (db >= 0) return '#ff3b2f';   // Red: above 0 dB
+  if (db >= -6) return '#ff9500';  // Orange: -6 to 0 dB
+  return '#f2c74e';                // Yellow: below -6 dB
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // REMOTE SPECTRUM UTILITIES
 // ─────────────────────────────────────────────────────────────────────────────
 
+/** @type {{key: string, layout: import('../metering/rta.js').RtaLayout}|null} */
+let bandLayoutCache = null;
+
 /**
- * Compute 1/3-octave spectrum bands from L/R FFT data for remote transmission.
- * This performs the same calculation as SpectrumAnalyzer.draw() but returns
- * just the 31 band values (~124 bytes per frame).
+ * Compute spectrum bands from L/R FFT data (for remote transmission).
+ * This performs the same calculation as SpectrumAnalyzer.draw() without
+ * averaging; the defaults return the 31 1/3-octave band values the probe
+ * protocol carries (~124 bytes per frame).
  *
  * @param {AnalyserNode} analyserL - Left channel analyser
  * @param {AnalyserNode} analyserR - Right channel analyser
  * @param {number} sampleRate - Audio sample rate
- * @returns {Float32Array} 31 band values in dB
+ * @param {Object} [options]
+ * @param {import('../metering/rta.js').RtaResolution} [options.resolution='1/3'] - Bands per octave or 'fft'
+ * @param {import('../metering/weighting.js').Weighting} [options.weighting='Z'] - Frequency weighting
+ * @param {boolean} [options.pinkCompensation=false] - Add 3 dB/oct (0 dB at 1 kHz)
+ * @returns {Float32Array} Band values in dB
  */
-export function computeSpectrumBands(analyserL, analyserR, sampleRate) {
+export function computeSpectrumBands(analyserL, analyserR, sampleRate, {
+  resolution = '1/3',
+  weighting = 'Z',
+  pinkCompensation = false
+} = {}) {
   const fftSize = analyserL.fftSize;
   const numBins = fftSize / 2;
-  const binHz = sampleRate / fftSize;
+
+  const key = `${resolution}|${weighting}|${pinkCompensation}|${sampleRate}|${fftSize}`;
+  if (bandLayoutCache?.key !== key) {
+    bandLayoutCache = { key, layout: createRtaLayout(resolution, sampleRate, fftSize, { weighting, pinkCompensation }) };
+  }
 
   const freqBufL = new Float32Array(numBins);
   const freqBufR = new Float32Array(numBins);
@@ -527,29 +529,7 @@ export function computeSpectrumBands(analyserL, analyserR, sampleRate) {
   analyserL.getFloatFrequencyData(freqBufL);
   analyserR.getFloatFrequencyData(freqBufR);
 
-  const output = new Float32Array(SPECTRUM_NUM_BANDS);
-
-  for (let b = 0; b < SPECTRUM_NUM_BANDS; b++) {
-    const centerFreq = SPECTRUM_CENTER_FREQS[b];
-    const lowFreq = centerFreq / THIRD_OCT_FACTOR;
-    const highFreq = centerFreq * THIRD_OCT_FACTOR;
-
-    const lowBin = Math.max(1, Math.floor(lowFreq / binHz));
-    const highBin = Math.min(numBins - 1, Math.ceil(highFreq / binHz));
-
-    let powerSum = 0, count = 0;
-    for (let i = lowBin; i <= highBin; i++) {
-      const powerL = Math.pow(10, freqBufL[i] / 10);
-      const powerR = Math.pow(10, freqBufR[i] / 10);
-      powerSum += 0.5 * (powerL + powerR);
-      count++;
-    }
-
-    const avgPower = count > 0 ? powerSum / count : 0;
-    output[b] = avgPower > 0 ? 10 * Math.log10(avgPower) : -100;
-  }
-
-  return output;
+  return computeRtaLevels(freqBufL, freqBufR, bandLayoutCache.layout);
 }
 
 // Export constants for probe-side computation
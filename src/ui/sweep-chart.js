@@ -0,0 +1,204 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SWEEP CHART
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Result of a swept-sine measurement (metering/sweep-analysis.js) on a
+ * log-frequency axis, one view at a time:
+ *   magnitude    Gain in dB; the range follows the curve (at least 24 dB)
+ *   phase        −180 … +180°, relative to the measured latency
+ *   distortion   H2–H5 in dBc, −100 … 0
+ * Colours: magnitude = #69bfff, phase = #f2c74e,
+ * H2 … H5 = #ff9a2d, #ff5a63, #c18cff, #58d38c.
+ *
+ * @module ui/sweep-chart
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/** Frequency grid lines and labels */
+const FREQUENCY_TICKS = Object.freeze([
+  [20, '20'], [50, '50'], [100, '100'], [200, '200'], [500, '500'],
+  [1000, '1k'], [2000, '2k'], [5000, '5k'], [10000, '10k'], [20000, '20k']
+]);
+
+/** Smallest magnitude range shown (dB) */
+const MIN_MAGNITUDE_RANGE_DB = 24;
+
+/** Distortion view range (dBc) */
+const DISTORTION_MIN_DB = -100;
+const DISTORTION_MAX_DB = 0;
+
+/** Curve colours per harmonic order */
+const HARMONIC_COLOURS = Object.freeze({ 2: '#ff9a2d', 3: '#ff5a63', 4: '#c18cff', 5: '#58d38c' });
+
+/**
+ * @typedef {'magnitude'|'phase'|'distortion'} SweepChartView
+ */
+
+export class SweepChart {
+  /**
+   * @param {HTMLCanvasElement|null} canvas - Chart canvas
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas ? canvas.getContext('2d') : null;
+    /** @type {import('../metering/sweep-analysis.js').SweepResult|null} */
+    this.result = null;
+    /** @type {SweepChartView} */
+    this.view = 'magnitude';
+  }
+
+  /**
+   * Set the result to draw and redraw.
+   *
+   * @param {import('../metering/sweep-analysis.js').SweepResult|null} result - Measurement (null clears)
+   */
+  setResult(result) {
+    this.result = result;
+    this.draw();
+  }
+
+  /**
+   * Switch view and redraw.
+   *
+   * @param {SweepChartView} view - View to show
+   */
+  setView(view) {
+    this.view = view;
+    this.draw();
+  }
+
+  draw() {
+    if (!this.ctx || !this.canvas) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const rect = this.canvas.getBoundingClientRect();
+    if (rect.width < 1 || rect.height < 1) return;
+
+    const w = Math.floor(rect.width * dpr);
+    const h = Math.floor(rect.height * dpr);
+    if (this.canvas.width !== w || this.canvas.height !== h) {
+      this.canvas.width = w;
+      this.canvas.height = h;
+    }
+
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, w, h);
+
+    const result = this.result;
+    const bottom = h - 12 * dpr;
+    const lowHz = result ? result.frequencies[0] : 20;
+    const highHz = result ? result.frequencies[result.frequencies.length - 1] : 20000;
+    const span = Math.log(highHz / lowHz);
+    const x = (/** @type {number} */ f) => (Math.log(f / lowHz) / span) * w;
+
+    const [minDb, maxDb, step, unit] = this._range();
+    const y = (/** @type {number} */ value) => {
+      const clamped = Math.max(minDb, Math.min(maxDb, value));
+      return bottom - ((clamped - minDb) / (maxDb - minDb)) * bottom;
+    };
+
+    // 1. Grid with labels
+    ctx.font = `${Math.round(8 * dpr)}px ui-monospace, monospace`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    for (let value = Math.ceil(minDb / step) * step; value <= maxDb; value += step) {
+      ctx.fillStyle = '#29323b';
+      ctx.fillRect(0, Math.round(y(value)), w, 1);
+      ctx.fillStyle = 'rgba(255,255,255,0.35)';
+      ctx.fillText(`${value}${unit}`, 3 * dpr, Math.max(6 * dpr, y(value) - 6 * dpr));
+    }
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (const [f, label] of FREQUENCY_TICKS) {
+      if (f < lowHz || f > highHz) continue;
+      ctx.fillStyle = '#29323b';
+      ctx.fillRect(Math.round(x(f)), 0, 1, bottom);
+      ctx.fillStyle = 'rgba(255,255,255,0.35)';
+      ctx.fillText(label, Math.min(w - 8 * dpr, Math.max(8 * dpr, x(f))), bottom + 2 * dpr);
+    }
+
+    if (!result) return;
+
+    // 2. Curves
+    const { frequencies } = result;
+    if (this.view === 'magnitude') {
+      this._drawCurve(frequencies, result.magnitudeDb, x, y, '#69bfff', dpr * 1.5);
+    } else if (this.view === 'phase') {
+      this._drawCurve(frequencies, result.phaseDeg, x, y, '#f2c74e', dpr * 1.5, 180);
+    } else {
+      for (const harmonic of [...result.harmonics].reverse()) {
+        this._drawCurve(frequencies, harmonic.levelDb, x, y,
+          HARMONIC_COLOURS[/** @type {2|3|4|5} */ (harmonic.order)] || '#a9b2c7', dpr);
+      }
+      // Key
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'top';
+      result.harmonics.forEach((harmonic, i) => {
+        ctx.fillStyle = HARMONIC_COLOURS[/** @type {2|3|4|5} */ (harmonic.order)] || '#a9b2c7';
+        ctx.fillText(`H${harmonic.order}`, w - 3 * dpr - (result.harmonics.length - 1 - i) * 22 * dpr, 2 * dpr);
+      });
+    }
+  }
+
+  /**
+   * Vertical range of the current view.
+   * @private
+   * @returns {[number, number, number, string]} Minimum, maximum, grid step and unit
+   */
+  _range() {
+    if (this.view === 'phase') return [-180, 180, 90, '°'];
+    if (this.view === 'distortion') return [DISTORTION_MIN_DB, DISTORTION_MAX_DB, 20, ''];
+
+    const values = this.result ? this.result.magnitudeDb.filter(Number.isFinite) : [];
+    const high = values.length > 0 ? Math.ceil((Math.max(...values) + 3) / 6) * 6 : 6;
+    const low = values.length > 0 ? Math.floor((Math.min(...values) - 3) / 6) * 6 : high - MIN_MAGNITUDE_RANGE_DB;
+    return [Math.min(low, high - MIN_MAGNITUDE_RANGE_DB), high, 6, ''];
+  }
+
+  /**
+   * Stroke a curve, breaking the line at values that are not finite (harmonics
+   * above the band) and, if wrap is given, where it jumps by more than wrap.
+   * @private
+   * @param {number[]} frequencies - X values in Hz
+   * @param {number[]} values - Y values
+   * @param {(f: number) => number} x - X mapping
+   * @param {(value: number) => number} y - Y mapping
+   * @param {string} colour - Stroke colour
+   * @param {number} lineWidth - Line width in device pixels
+   * @param {number} [wrap] - Jump that breaks the line (phase wrapping)
+   */
+  _drawCurve(frequencies, values, x, y, colour, lineWidth, wrap = Infinity) {
+    const ctx = /** @type {CanvasRenderingContext2D} */ (this.ctx);
+    ctx.strokeStyle = colour;
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+
+    let drawing = false;
+    for (let i = 0; i < values.length; i++) {
+      if (!Number.isFinite(values[i])) {
+        drawing = false;
+        continue;
+      }
+      if (drawing && Math.abs(values[i] - values[i - 1]) <= wrap) {
+        ctx.lineTo(x(frequencies[i]), y(values[i]));
+      } else {
+        ctx.moveTo(x(frequencies[i]), y(values[i]));
+        drawing = true;
+      }
+    }
+    ctx.stroke();
+  }
+}
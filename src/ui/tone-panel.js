@@ -0,0 +1,94 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TONE PANEL
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * DOM view of the tone analyser (metering/tone-analysis.js): frequency,
+ * level per leg in dBFS and dBu, L/R level and phase difference, THD+N.
+ *
+ * @module ui/tone-panel
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { formatDbSigned } from '../utils/format.js';
+
+/**
+ * @param {HTMLElement|null} el - Value element
+ * @param {string} text - Text
+ */
+function show(el, text) {
+  if (el) el.textContent = text;
+}
+
+/**
+ * @param {number} percent - THD+N in percent
+ * @returns {string} Percent with enough decimals for small values
+ */
+function formatPercent(percent) {
+  return percent < 0.1 ? percent.toFixed(3) : percent.toFixed(2);
+}
+
+export class TonePanel {
+  /**
+   * @param {Object} elements - Value elements (any may be null)
+   * @param {HTMLElement|null} elements.frequencyEl - Frequency
+   * @param {HTMLElement|null} elements.levelLEl - Left level
+   * @param {HTMLElement|null} elements.levelREl - Right level
+   * @param {HTMLElement|null} elements.differenceEl - L−R level difference
+   * @param {HTMLElement|null} elements.phaseEl - Phase difference
+   * @param {HTMLElement|null} elements.thdnLEl - Left THD+N
+   * @param {HTMLElement|null} elements.thdnREl - Right THD+N
+   * @param {HTMLElement|null} elements.summaryEl - Collapsed-card summary
+   */
+  constructor({ frequencyEl, levelLEl, levelREl, differenceEl, phaseEl, thdnLEl, thdnREl, summaryEl }) {
+    this.frequencyEl = frequencyEl;
+    this.levelEls = [levelLEl, levelREl];
+    this.differenceEl = differenceEl;
+    this.phaseEl = phaseEl;
+    this.thdnEls = [thdnLEl, thdnREl];
+    this.summaryEl = summaryEl;
+  }
+
+  /**
+   * @param {import('../metering/tone-analysis.js').ToneAnalysis|null} analysis - Analyser output (null = no tone)
+   */
+  render(analysis) {
+    if (!analysis) {
+      show(this.frequencyEl, 'No steady tone');
+      for (const el of [...this.levelEls, ...this.thdnEls]) show(el, '–');
+      show(this.differenceEl, '–');
+      show(this.phaseEl, '–');
+      show(this.summaryEl, '–');
+      return;
+    }
+
+    const frequency = `${analysis.frequency.toFixed(1)} Hz`;
+    show(this.frequencyEl, frequency);
+    show(this.summaryEl, frequency);
+
+    analysis.channels.forEach((channel, c) => {
+      if (!channel) {
+        show(this.levelEls[c], '–');
+        show(this.thdnEls[c], '–');
+        return;
+      }
+      show(this.levelEls[c], `${channel.levelDbfs.toFixed(2)} dBFS · ${formatDbSigned(channel.levelDbu, 2).trim()} dBu`);
+      show(this.thdnEls[c], `${channel.thdnDb.toFixed(1)} dB · ${formatPercent(channel.thdnPercent)} %`);
+    });
+
+    show(this.differenceEl, analysis.levelDifference === null ? '–' : `${formatDbSigned(analysis.levelDifference, 2).trim()} dB`);
+    show(this.phaseEl, analysis.phaseDifference === null ? '–' : `${formatDbSigned(analysis.phaseDifference, 1).trim()}°`);
+  }
+}
@@ -173,6 +173,41 @@ export function createElement(tag, attrs = {}, children = []) {
   return el;
 }
 
+/**
+ * Offer text to the user as a file download.
+ *
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} [type='text/plain'] - MIME type
+ *
+ * @example
+ * downloadText('report.json', json, 'application/json');
+ */
+export function downloadText(filename, text, type = 'text/plain') {
+  downloadBlob(filename, new Blob([text], { type: `${type};charset=utf-8` }));
+}
+
+/**
+ * Offer binary data to the user as a file download.
+ *
+ * @param {string} filename - Suggested file name
+ * @param {Blob} blob - File contents
+ *
+ * @example
+ * downloadBlob('sweep.wav', new Blob([encodeWav(channels, 48000)], { type: 'audio/wav' }));
+ */
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
  * Query selector with type casting.
  *
@@ -0,0 +1,171 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * FFT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Iterative radix-2 complex FFT for analysis the AnalyserNode cannot do
+ * (own FFT sizes, phase, inverse transforms). Sizes must be powers of two.
+ * Twiddle factors and bit-reversal tables are cached per size.
+ *
+ * @module utils/fft
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TABLES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** @type {Map<number, {cos: Float64Array, sin: Float64Array, reverse: Uint32Array}>} */
+const tables = new Map();
+
+/**
+ * @param {number} n - FFT size (power of two)
+ * @returns {{cos: Float64Array, sin: Float64Array, reverse: Uint32Array}}
+ */
+function getTables(n) {
+  let table = tables.get(n);
+  if (table) return table;
+
+  if (n < 1 || (n & (n - 1)) !== 0) {
+    throw new RangeError(`FFT size must be a power of two: ${n}`);
+  }
+
+  const cos = new Float64Array(n / 2);
+  const sin = new Float64Array(n / 2);
+  for (let i = 0; i < n / 2; i++) {
+    cos[i] = Math.cos(2 * Math.PI * i / n);
+    sin[i] = Math.sin(2 * Math.PI * i / n);
+  }
+
+  const bits = Math.log2(n);
+  const reverse = new Uint32Array(n);
+  for (let i = 0; i < n; i++) {
+    let r = 0;
+    for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+    reverse[i] = r;
+  }
+
+  table = { cos, sin, reverse };
+  tables.set(n, table);
+  return table;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TRANSFORMS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * In-place complex FFT.
+ *
+ * @param {Float32Array|Float64Array} re - Real parts (length = FFT size)
+ * @param {Float32Array|Float64Array} im - Imaginary parts (same length)
+ * @param {boolean} [inverse=false] - Inverse transform (scaled by 1/n)
+ * @throws {RangeError} If the length is not a power of two
+ */
+export function fft(re, im, inverse = false) {
+  const n = re.length;
+  const { cos, sin, reverse } = getTables(n);
+
+  for (let i = 0; i < n; i++) {
+    const j = reverse[i];
+    if (j > i) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+
+  const sign = inverse ? 1 : -1;
+  for (let size = 2; size <= n; size *= 2) {
+    const half = size / 2;
+    const step = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wr = cos[k * step];
+        const wi = sign * sin[k * step];
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+/**
+ * Hann window.
+ *
+ * @param {number} n - Window length
+ * @returns {Float32Array} Window coefficients (periodic form, for spectral analysis)
+ */
+export function hannWindow(n) {
+  const window = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / n);
+  }
+  return window;
+}
+
+/**
+ * Power spectrum of a real signal block, Hann-windowed and scaled so a
+ * full-scale sine on a bin centre reads 0 dB.
+ *
+ * @param {Float32Array} samples - Signal block (length = FFT size, power of two)
+ * @param {Float32Array} [output] - Reused output buffer (length = FFT size / 2)
+ * @returns {Float32Array} Level per bin in dB (0 … Nyquist, exclusive)
+ */
+export function powerSpectrumDb(samples, output = new Float32Array(samples.length / 2)) {
+  const n = samples.length;
+  const window = getWindow(n);
+  const re = new Float64Array(n);
+  const im = new Float64Array(n);
+  for (let i = 0; i < n; i++) re[i] = samples[i] * window[i];
+
+  fft(re, im);
+
+  // Hann coherent gain 0.5: a sine of amplitude 1 peaks at n/4
+  const scale = 16 / (n * n);
+  for (let i = 0; i < n / 2; i++) {
+    const power = (re[i] * re[i] + im[i] * im[i]) * scale;
+    output[i] = power > 1e-20 ? 10 * Math.log10(power) : -200;
+  }
+  return output;
+}
+
+/** @type {Map<number, Float32Array>} */
+const windows = new Map();
+
+/**
+ * @param {number} n - Window length
+ * @returns {Float32Array} Cached Hann window
+ */
+function getWindow(n) {
+  let window = windows.get(n);
+  if (!window) {
+    window = hannWindow(n);
+    windows.set(n, window);
+  }
+  return window;
+}
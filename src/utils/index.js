@@ -67,8 +67,34 @@ export {
   getDPR,
   clearCanvas,
   createElement,
+  downloadText,
+  downloadBlob,
   $,
   $$,
   createAnimationLoop,
   createResizeObserver
 } from './dom.js';
+
+// WAV file reading and writing
+export {
+  readWavHeader,
+  decodeWavSamples,
+  decodeWav,
+  encodeWav
+} from './wav.js';
+
+// Session report export with SHA-256 digest
+export {
+  REPORT_FORMATS,
+  buildSessionReport,
+  formatSessionReport,
+  verifySessionReport,
+  sha256Hex
+} from './session-report.js';
+
+// Radix-2 FFT
+export {
+  fft,
+  hannWindow,
+  powerSpectrumDb
+} from './fft.js';
@@ -0,0 +1,446 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SESSION REPORT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * QC evidence for a metering session: metadata, final R128 values, True
+ * Peak maximum per channel, the delivery verdict, alarm events and the
+ * short-term loudness curve, as self-contained HTML, JSON or CSV.
+ *
+ * INTEGRITY
+ * ─────────
+ * Every document carries a SHA-256 digest (WebCrypto), so any later edit
+ * is detectable with verifySessionReport():
+ *
+ *   HTML   trailing "<!-- SHA-256: … -->" over all text before it
+ *   CSV    trailing "# SHA-256,…" line over all text before it
+ *   JSON   "integrity.digest" over JSON.stringify() of the other fields
+ *
+ * The digest proves the document is unchanged since export; it does not
+ * prove who exported it (there is no signature).
+ *
+ * Numbers are rounded to 0.01 and non-finite values (a fully gated
+ * programme, silence) are written as null. Times are ISO 8601 UTC.
+ *
+ * @module utils/session-report
+ * @see FIPS 180-4 (SHA-256)
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Export formats */
+export const REPORT_FORMATS = Object.freeze(['html', 'json', 'csv']);
+
+/** Report schema identifier and version (bump on incompatible changes) */
+const REPORT_SCHEMA = 'vero-session-report';
+const REPORT_VERSION = 1;
+
+/** Decimal places (0.01 LU / dB is below any delivery tolerance) */
+const REPORT_DECIMALS = 2;
+
+const HTML_DIGEST_PREFIX = '<!-- SHA-256: ';
+const CSV_DIGEST_PREFIX = '# SHA-256,';
+
+/** Loudness graph geometry (SVG user units) and range (LUFS) */
+const GRAPH_WIDTH = 720;
+const GRAPH_HEIGHT = 220;
+const GRAPH_MIN_LUFS = -60;
+const GRAPH_MAX_LUFS = 0;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// REPORT MODEL
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} SessionReportData
+ * @property {string} generator - Application name and version
+ * @property {Object} source - Measured source
+ * @property {string} source.kind - Source kind ('browser', 'external', 'generator', 'remote')
+ * @property {string|null} source.device - Device, preset or probe name
+ * @property {number|null} source.sampleRate - Sample rate in Hz
+ * @property {string|null} source.channelLayout - Channel layout ('2.0', '5.1' …)
+ * @property {{ id: string, name: string, targetLufs: number }} profile - Delivery profile
+ * @property {number} start - Session start (ms since epoch)
+ * @property {number} end - Session end (ms since epoch)
+ * @property {Object} loudness - Final R128 values
+ * @property {number} loudness.integrated - Integrated loudness (LUFS)
+ * @property {number|null} loudness.lra - Loudness Range (LU)
+ * @property {number} loudness.maxMomentary - Max momentary (LUFS)
+ * @property {number} loudness.maxShortTerm - Max short-term (LUFS)
+ * @property {{ label: string, max: number }[]} truePeak - True Peak maximum per channel (dBTP)
+ * @property {import('../metering/compliance.js').ComplianceResult|null} compliance - Verdict, if evaluated
+ * @property {import('../metering/alarms.js').AlarmEvent[]} alarms - Alarm events
+ * @property {{ interval: number, shortTerm: number[] }} curve - Short-term loudness every interval seconds
+ */
+
+/**
+ * @param {number|null|undefined} value
+ * @returns {number|null} Value rounded for the report, null if not finite
+ */
+function round(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+  return Number(value.toFixed(REPORT_DECIMALS));
+}
+
+/**
+ * @param {number|null} ms - Milliseconds since epoch
+ * @returns {string|null} ISO 8601 UTC
+ */
+function isoTime(ms) {
+  return ms === null ? null : new Date(ms).toISOString();
+}
+
+/**
+ * Normalise session data into the report object that every format writes.
+ *
+ * @param {SessionReportData} data - Session data
+ * @returns Report (plain JSON values only)
+ */
+export function buildSessionReport(data) {
+  const truePeakValues = data.truePeak.map(channel => channel.max).filter(Number.isFinite);
+
+  return {
+    schema: REPORT_SCHEMA,
+    version: REPORT_VERSION,
+    generator: data.generator,
+    session: {
+      source: data.source.kind,
+      device: data.source.device,
+      sampleRate: data.source.sampleRate,
+      channelLayout: data.source.channelLayout,
+      profile: data.profile.id,
+      profileName: data.profile.name,
+      targetLufs: data.profile.targetLufs,
+      start: isoTime(data.start),
+      end: isoTime(data.end),
+      durationS: round((data.end - data.start) / 1000)
+    },
+    loudness: {
+      integrated: round(data.loudness.integrated),
+      lra: round(data.loudness.lra),
+      maxMomentary: round(data.loudness.maxMomentary),
+      maxShortTerm: round(data.loudness.maxShortTerm)
+    },
+    truePeak: {
+      max: round(truePeakValues.length > 0 ? Math.max(...truePeakValues) : null),
+      channels: data.truePeak.map(channel => ({ label: channel.label, max: round(channel.max) }))
+    },
+    compliance: data.compliance
+      ? {
+        pass: data.compliance.pass,
+        speechGated: data.compliance.speechGated,
+        checks: data.compliance.checks.map(check => ({
+          name: check.name,
+          value: round(check.value),
+          limit: check.limit,
+          pass: check.pass
+        }))
+      }
+      : null,
+    alarms: data.alarms.map(event => ({
+      rule: event.ruleId,
+      name: event.name,
+      severity: event.severity,
+      start: isoTime(event.start),
+      end: isoTime(event.end),
+      value: round(event.value),
+      unit: event.unit
+    })),
+    curve: {
+      interval: data.curve.interval,
+      shortTerm: data.curve.shortTerm.map(round)
+    }
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INTEGRITY
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * SHA-256 of a string's UTF-8 bytes.
+ *
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} Lower-case hex digest
+ */
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Check a report's SHA-256 digest against its content.
+ *
+ * @param {string} text - Exported document
+ * @param {'html'|'json'|'csv'} format - Document format
+ * @returns {Promise<boolean>} True if the digest is present and matches
+ */
+export async function verifySessionReport(text, format) {
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      return false;
+    }
+    const { integrity, ...report } = parsed;
+    if (!integrity || integrity.algorithm !== 'SHA-256') return false;
+    return integrity.digest === await sha256Hex(JSON.stringify(report));
+  }
+
+  const prefix = format === 'html' ? HTML_DIGEST_PREFIX : CSV_DIGEST_PREFIX;
+  const index = text.lastIndexOf(prefix);
+  if (index < 0) return false;
+  const match = /^[0-9a-f]{64}/.exec(text.slice(index + prefix.length));
+  return match !== null && match[0] === await sha256Hex(text.slice(0, index));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FORMATS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Write a session report with its SHA-256 digest.
+ *
+ * @param {SessionReportData} data - Session data
+ * @param {'html'|'json'|'csv'} format - Output format
+ * @returns {Promise<string>} Document text
+ * @throws {RangeError} If the format is unknown
+ *
+ * @example
+ * const html = await formatSessionReport(data, 'html');
+ * console.log(await verifySessionReport(html, 'html'));  // true
+ */
+export async function formatSessionReport(data, format) {
+  const report = buildSessionReport(data);
+
+  switch (format) {
+    case 'json': {
+      const digest = await sha256Hex(JSON.stringify(report));
+      return JSON.stringify({ ...report, integrity: { algorithm: 'SHA-256', digest } }, null, 2) + '\n';
+    }
+    case 'csv': {
+      const body = formatCsv(report);
+      return `${body}${CSV_DIGEST_PREFIX}${await sha256Hex(body)}\n`;
+    }
+    case 'html': {
+      const body = formatHtml(report);
+      return `${body}${HTML_DIGEST_PREFIX}${await sha256Hex(body)} -->\n`;
+    }
+    default:
+      throw new RangeError(`Unknown report format: ${format}`);
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string} CSV field (empty for null)
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n#]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per value: section, item, value, unit, start, end.
+ * @param {ReturnType<typeof buildSessionReport>} report
+ * @returns {string} CSV body ending in a newline
+ */
+function formatCsv(report) {
+  const { session, loudness, truePeak, compliance } = report;
+  const rows = [
+    ['session', 'source', session.source],
+    ['session', 'device', session.device],
+    ['session', 'sample_rate', session.sampleRate, 'Hz'],
+    ['session', 'channel_layout', session.channelLayout],
+    ['session', 'profile', session.profile],
+    ['session', 'target', session.targetLufs, 'LUFS'],
+    ['session', 'start', session.start],
+    ['session', 'end', session.end],
+    ['session', 'duration', session.durationS, 's'],
+    ['loudness', 'integrated', loudness.integrated, 'LUFS'],
+    ['loudness', 'lra', loudness.lra, 'LU'],
+    ['loudness', 'max_momentary', loudness.maxMomentary, 'LUFS'],
+    ['loudness', 'max_short_term', loudness.maxShortTerm, 'LUFS'],
+    ['true_peak', 'max', truePeak.max, 'dBTP'],
+    ...truePeak.channels.map(channel => ['true_peak', channel.label, channel.max, 'dBTP'])
+  ];
+  if (compliance) {
+    rows.push(['compliance', 'pass', compliance.pass]);
+    for (const check of compliance.checks) {
+      rows.push(['compliance', check.name, check.value, check.pass ? 'pass' : 'fail']);
+    }
+  }
+  for (const event of report.alarms) {
+    rows.push(['alarm', event.rule, event.value, event.unit, event.start, event.end]);
+  }
+  report.curve.shortTerm.forEach((value, i) => {
+    rows.push(['short_term', round(i * report.curve.interval), value, 'LUFS']);
+  });
+
+  const lines = rows.map(row => {
+    const padded = [...row, null, null, null].slice(0, 6);
+    return padded.map(csvField).join(',');
+  });
+  return ['section,item,value,unit,start,end', ...lines].join('\n') + '\n';
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string} Text with HTML special characters escaped
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {number|null} value
+ * @param {string} unit
+ * @returns {string} Display value, '–' for null
+ */
+function displayValue(value, unit) {
+  return value === null ? '–' : `${value.toFixed(1)} ${unit}`;
+}
+
+/**
+ * Short-term loudness over time as inline SVG, with the target line.
+ * @param {ReturnType<typeof buildSessionReport>} report
+ * @returns {string} SVG markup
+ */
+function formatGraph(report) {
+  const targetLufs = report.session.targetLufs;
+  const { interval, shortTerm } = report.curve;
+  const duration = Math.max(interval, shortTerm.length * interval);
+  const x = (seconds) => ((seconds / duration) * GRAPH_WIDTH).toFixed(1);
+  const y = (lufs) => {
+    const clamped = Math.max(GRAPH_MIN_LUFS, Math.min(GRAPH_MAX_LUFS, lufs));
+    return (((GRAPH_MAX_LUFS - clamped) / (GRAPH_MAX_LUFS - GRAPH_MIN_LUFS)) * GRAPH_HEIGHT).toFixed(1);
+  };
+
+  const parts = [];
+  for (let lufs = GRAPH_MIN_LUFS + 10; lufs < GRAPH_MAX_LUFS; lufs += 10) {
+    parts.push(`<line x1="0" x2="${GRAPH_WIDTH}" y1="${y(lufs)}" y2="${y(lufs)}" class="grid"/>`);
+    parts.push(`<text x="4" y="${y(lufs)}" dy="-2">${lufs}</text>`);
+  }
+  parts.push(`<line x1="0" x2="${GRAPH_WIDTH}" y1="${y(targetLufs)}" y2="${y(targetLufs)}" class="target"/>`);
+
+  // Gaps (silence, gated) split the curve into separate polylines
+  let points = [];
+  const flush = () => {
+    if (points.length > 1) parts.push(`<polyline points="${points.join(' ')}" class="curve"/>`);
+    points = [];
+  };
+  shortTerm.forEach((value, i) => {
+    if (value === null || value < GRAPH_MIN_LUFS) {
+      flush();
+    } else {
+      points.push(`${x(i * interval)},${y(value)}`);
+    }
+  });
+  flush();
+
+  return `<svg viewBox="0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}" role="img" aria-label="Short-term loudness over time">${parts.join('')}</svg>`;
+}
+
+/**
+ * Self-contained HTML document (inline CSS and SVG, no scripts). The
+ * report JSON is embedded for machine reading.
+ * @param {ReturnType<typeof buildSessionReport>} report
+ * @returns {string} HTML ending in a newline
+ */
+function formatHtml(report) {
+  const { session, loudness, truePeak, compliance } = report;
+  const row = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+
+  const verdict = compliance
+    ? `<p class="verdict ${compliance.pass ? 'pass' : 'fail'}">${compliance.pass ? 'PASS' : 'FAIL'}${compliance.speechGated ? ' (speech-gated profile, checked level-gated)' : ''}</p>`
+    : '';
+
+  const alarmRows = report.alarms.length > 0
+    ? report.alarms.map(event => `<tr class="${escapeHtml(event.severity)}"><td>${escapeHtml(event.start)}</td><td>${escapeHtml(event.end ?? 'active')}</td><td>${escapeHtml(event.name)}</td><td>${escapeHtml(displayValue(event.value, event.unit))}</td></tr>`).join('\n')
+    : '<tr><td colspan="4">No alarms</td></tr>';
+
+  const checkRows = compliance
+    ? compliance.checks.map(check => `<tr><td>${escapeHtml(check.name)}</td><td>${escapeHtml(check.value ?? '–')}</td><td>${escapeHtml(check.name === 'integrated' ? `±${check.limit}` : check.limit)}</td><td>${check.pass ? 'pass' : 'fail'}</td></tr>`).join('\n')
+    : '';
+
+  // '<' is escaped so the embedded JSON cannot close the script element
+  const embedded = JSON.stringify(report).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Session report ${escapeHtml(session.start)}</title>
+<style>
+body{font:14px/1.4 system-ui,sans-serif;margin:24px;color:#1b1f24;max-width:760px}
+h1{font-size:20px}h2{font-size:15px;margin-top:24px}
+table{border-collapse:collapse;width:100%}th,td{text-align:left;padding:3px 8px;border-bottom:1px solid #dde1e6}
+th{font-weight:600;width:40%}
+.verdict{font-weight:700;font-size:16px}.pass{color:#1f7a46}.fail,.critical{color:#b3261e}.warning{color:#8a6100}
+svg{width:100%;height:auto;background:#f6f7f9;border:1px solid #dde1e6}
+svg text{font-size:10px;fill:#6b7480}svg .grid{stroke:#dde1e6}svg .target{stroke:#1f7a46;stroke-dasharray:4 3}
+svg .curve{fill:none;stroke:#1f5fa8;stroke-width:1.5}
+footer{margin-top:24px;font-size:12px;color:#6b7480}
+</style>
+</head>
+<body>
+<h1>Session report</h1>
+<h2>Session</h2>
+<table>
+${row('Source', session.source)}
+${row('Device', session.device ?? '–')}
+${row('Sample rate', session.sampleRate === null ? '–' : `${session.sampleRate} Hz`)}
+${row('Channel layout', session.channelLayout ?? '–')}
+${row('Delivery profile', session.profileName)}
+${row('Target', `${session.targetLufs} LUFS`)}
+${row('Start (UTC)', session.start)}
+${row('End (UTC)', session.end)}
+${row('Duration', `${session.durationS} s`)}
+</table>
+<h2>Loudness (EBU R 128)</h2>
+${verdict}
+<table>
+${row('Integrated', displayValue(loudness.integrated, 'LUFS'))}
+${row('Loudness Range', displayValue(loudness.lra, 'LU'))}
+${row('Max momentary', displayValue(loudness.maxMomentary, 'LUFS'))}
+${row('Max short-term', displayValue(loudness.maxShortTerm, 'LUFS'))}
+${row('True Peak max', displayValue(truePeak.max, 'dBTP'))}
+${truePeak.channels.map(channel => row(`True Peak ${channel.label}`, displayValue(channel.max, 'dBTP'))).join('\n')}
+</table>
+${compliance ? `<h2>Delivery checks</h2>\n<table>\n<tr><th>Check</th><th>Value</th><th>Limit</th><th>Result</th></tr>\n${checkRows}\n</table>` : ''}
+<h2>Short-term loudness</h2>
+${formatGraph(report)}
+<h2>Alarms</h2>
+<table>
+<tr><th>Start (UTC)</th><th>End (UTC)</th><th>Alarm</th><th>Worst value</th></tr>
+${alarmRows}
+</table>
+<footer>${escapeHtml(report.generator)} · The SHA-256 digest in the closing comment covers every character before it.</footer>
+<script type="application/json" id="report-data">${embedded}</script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,315 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * WAV READER AND WRITER
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Reads RIFF/WAVE files without resampling, for offline analysis in Node
+ * (tools/loudness-cli.mjs) and the browser. Pure functions on bytes; the
+ * caller decides whether to read the file whole or in chunks.
+ *
+ * SUPPORTED FORMATS
+ * ─────────────────
+ *   PCM integer   8 (unsigned), 16, 24, 32 bit
+ *   IEEE float    32, 64 bit
+ *   Containers    RIFF, RF64 / BW64 (files over 4 GB, EBU Tech 3306)
+ *   Format tags   WAVE_FORMAT_PCM, WAVE_FORMAT_IEEE_FLOAT, WAVE_FORMAT_EXTENSIBLE
+ *   Channels      any count, interleaved
+ *
+ * Integers are scaled by 2^(bits−1), so full scale reads ±1.0 (0 dBFS).
+ *
+ * encodeWav() writes 32-bit float RIFF files (test signals for download).
+ *
+ * @module utils/wav
+ * @see EBU Tech 3285 (Broadcast Wave Format)
+ * @see EBU Tech 3306 (RF64)
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** WAVE format tags */
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+/** Data chunk size placeholder in RF64/BW64 files (real size is in ds64) */
+const RF64_SIZE_PLACEHOLDER = 0xffffffff;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HEADER PARSING
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} WavFormat
+ * @property {'pcm'|'float'} encoding - Sample encoding
+ * @property {number} sampleRate - Sample rate in Hz
+ * @property {number} channelCount - Number of interleaved channels
+ * @property {number} bitsPerSample - Container bits per sample
+ * @property {number} blockAlign - Bytes per frame (all channels)
+ * @property {number} dataOffset - Byte offset of the first sample frame
+ * @property {number} dataLength - Length of the sample data in bytes
+ * @property {number} frameCount - Number of complete frames
+ */
+
+/**
+ * Read the format and data location from the start of a WAV file.
+ *
+ * Only the bytes up to the data chunk header are needed. Returns null when
+ * the given prefix ends before the data chunk (read more and try again).
+ *
+ * @param {ArrayBuffer|ArrayBufferView} bytes - File contents or a prefix of them
+ * @returns {WavFormat|null} Format, or null if the prefix is too short
+ * @throws {Error} If the file is not WAV or uses an unsupported encoding
+ *
+ * @example
+ * const format = readWavHeader(fileBytes);
+ * console.log(`${format.channelCount} ch, ${format.sampleRate} Hz, ${format.bitsPerSample} bit`);
+ */
+export function readWavHeader(bytes) {
+  const view = toDataView(bytes);
+  if (view.byteLength < 12) return null;
+
+  const riff = fourCC(view, 0);
+  if ((riff !== 'RIFF' && riff !== 'RF64' && riff !== 'BW64') || fourCC(view, 8) !== 'WAVE') {
+    throw new Error('Not a WAV file (RIFF/WAVE header missing)');
+  }
+
+  /** @type {Omit<WavFormat, 'dataOffset'|'dataLength'|'frameCount'>|null} */
+  let format = null;
+  let ds64DataLength = 0;
+  let offset = 12;
+
+  while (offset + 8 <= view.byteLength) {
+    const id = fourCC(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (id === 'data') {
+      if (!format) {
+        throw new Error('WAV data chunk precedes fmt chunk');
+      }
+      const dataLength = size === RF64_SIZE_PLACEHOLDER && ds64DataLength > 0 ? ds64DataLength : size;
+      return {
+        ...format,
+        dataOffset: body,
+        dataLength,
+        frameCount: Math.floor(dataLength / format.blockAlign)
+      };
+    }
+
+    // Chunk bodies before 'data' must be readable in full
+    if (body + size > view.byteLength) return null;
+
+    if (id === 'fmt ') {
+      format = parseFormatChunk(view, body, size);
+    } else if (id === 'ds64') {
+      ds64DataLength = view.getUint32(body + 8, true) + view.getUint32(body + 12, true) * 2 ** 32;
+    }
+
+    // Chunks are word-aligned
+    offset = body + size + (size & 1);
+  }
+
+  return null;
+}
+
+/**
+ * Parse a 'fmt ' chunk.
+ * @param {DataView} view - File bytes
+ * @param {number} offset - Start of the chunk body
+ * @param {number} size - Chunk body size
+ * @returns {Omit<WavFormat, 'dataOffset'|'dataLength'|'frameCount'>} Format fields
+ */
+function parseFormatChunk(view, offset, size) {
+  if (size < 16) {
+    throw new Error('WAV fmt chunk too short');
+  }
+
+  let tag = view.getUint16(offset, true);
+  const channelCount = view.getUint16(offset + 2, true);
+  const sampleRate = view.getUint32(offset + 4, true);
+  const blockAlign = view.getUint16(offset + 12, true);
+  const bitsPerSample = view.getUint16(offset + 14, true);
+
+  // WAVE_FORMAT_EXTENSIBLE: the real tag is the first two bytes of the SubFormat GUID
+  if (tag === WAVE_FORMAT_EXTENSIBLE && size >= 40) {
+    tag = view.getUint16(offset + 24, true);
+  }
+
+  /** @type {'pcm'|'float'} */
+  let encoding;
+  if (tag === WAVE_FORMAT_PCM && [8, 16, 24, 32].includes(bitsPerSample)) {
+    encoding = 'pcm';
+  } else if (tag === WAVE_FORMAT_IEEE_FLOAT && (bitsPerSample === 32 || bitsPerSample === 64)) {
+    encoding = 'float';
+  } else {
+    throw new Error(`Unsupported WAV encoding (format tag 0x${tag.toString(16)}, ${bitsPerSample} bit)`);
+  }
+
+  if (channelCount < 1 || blockAlign !== channelCount * (bitsPerSample / 8)) {
+    throw new Error(`Invalid WAV block alignment (${blockAlign} bytes for ${channelCount} ch × ${bitsPerSample} bit)`);
+  }
+
+  return { encoding, sampleRate, channelCount, bitsPerSample, blockAlign };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SAMPLE DECODING
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Decode interleaved sample bytes into one Float32Array per channel.
+ * Trailing bytes that do not form a complete frame are ignored.
+ *
+ * @param {ArrayBuffer|ArrayBufferView} bytes - Sample data (a whole number of frames from dataOffset on)
+ * @param {WavFormat} format - Format from readWavHeader()
+ * @returns {Float32Array[]} Samples per channel, full scale = ±1.0
+ */
+export function decodeWavSamples(bytes, format) {
+  const view = toDataView(bytes);
+  const { channelCount, blockAlign, bitsPerSample, encoding } = format;
+  const frames = Math.floor(view.byteLength / blockAlign);
+  const bytesPerSample = bitsPerSample / 8;
+
+  const channels = Array.from({ length: channelCount }, () => new Float32Array(frames));
+
+  for (let ch = 0; ch < channelCount; ch++) {
+    const out = channels[ch];
+    let pos = ch * bytesPerSample;
+
+    if (encoding === 'float') {
+      for (let i = 0; i < frames; i++, pos += blockAlign) {
+        out[i] = bitsPerSample === 32 ? view.getFloat32(pos, true) : view.getFloat64(pos, true);
+      }
+    } else if (bitsPerSample === 16) {
+      for (let i = 0; i < frames; i++, pos += blockAlign) {
+        out[i] = view.getInt16(pos, true) / 32768;
+      }
+    } else if (bitsPerSample === 24) {
+      for (let i = 0; i < frames; i++, pos += blockAlign) {
+        // Low 16 bits unsigned, high byte signed
+        out[i] = (view.getUint16(pos, true) + view.getInt8(pos + 2) * 65536) / 8388608;
+      }
+    } else if (bitsPerSample === 32) {
+      for (let i = 0; i < frames; i++, pos += blockAlign) {
+        out[i] = view.getInt32(pos, true) / 2147483648;
+      }
+    } else {
+      // 8-bit WAV is unsigned with 128 as zero
+      for (let i = 0; i < frames; i++, pos += blockAlign) {
+        out[i] = (view.getUint8(pos) - 128) / 128;
+      }
+    }
+  }
+
+  return channels;
+}
+
+/**
+ * Read a complete WAV file held in memory.
+ *
+ * @param {ArrayBuffer|ArrayBufferView} bytes - Whole file
+ * @returns {{ format: WavFormat, channels: Float32Array[] }} Format and samples
+ * @throws {Error} If the file is not a supported WAV or is truncated before its data
+ */
+export function decodeWav(bytes) {
+  const view = toDataView(bytes);
+  const format = readWavHeader(view);
+  if (!format) {
+    throw new Error('WAV file truncated before data chunk');
+  }
+
+  const available = Math.min(format.dataLength, view.byteLength - format.dataOffset);
+  const data = new DataView(view.buffer, view.byteOffset + format.dataOffset, available);
+  return { format, channels: decodeWavSamples(data, format) };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ENCODING
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Write samples as a 32-bit float WAV file.
+ *
+ * @param {Float32Array[]} channels - Samples per channel (same length), full scale = ±1.0
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {ArrayBuffer} Whole file
+ *
+ * @example
+ * downloadBlob('sweep.wav', new Blob([encodeWav([left, right], 48000)], { type: 'audio/wav' }));
+ */
+export function encodeWav(channels, sampleRate) {
+  const channelCount = channels.length;
+  const frames = channelCount > 0 ? channels[0].length : 0;
+  const blockAlign = channelCount * 4;
+  const dataLength = frames * blockAlign;
+  const buffer = new ArrayBuffer(44 + dataLength);
+  const view = new DataView(buffer);
+
+  const writeFourCC = (/** @type {number} */ offset, /** @type {string} */ id) => {
+    for (let i = 0; i < 4; i++) view.setUint8(offset + i, id.charCodeAt(i));
+  };
+  writeFourCC(0, 'RIFF');
+  view.setUint32(4, 36 + dataLength, true);
+  writeFourCC(8, 'WAVE');
+  writeFourCC(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, WAVE_FORMAT_IEEE_FLOAT, true);
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, 32, true);
+  writeFourCC(36, 'data');
+  view.setUint32(40, dataLength, true);
+
+  for (let ch = 0; ch < channelCount; ch++) {
+    const samples = channels[ch];
+    for (let i = 0, pos = 44 + ch * 4; i < frames; i++, pos += blockAlign) {
+      view.setFloat32(pos, samples[i], true);
+    }
+  }
+
+  return buffer;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {ArrayBuffer|ArrayBufferView} bytes
+ * @returns {DataView}
+ */
+function toDataView(bytes) {
+  if (bytes instanceof DataView) return bytes;
+  if (ArrayBuffer.isView(bytes)) return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return new DataView(bytes);
+}
+
+/**
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {string} Four-character chunk identifier
+ */
+function fourCC(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+  );
+}
@@ -44,6 +44,14 @@ function warn(name, actual, expected, unit = '') {
   warnings++;
 }
 
+function assertTrue(name, condition, actual, expected, unit = '') {
+  if (condition) {
+    pass(name, actual, expected, unit);
+  } else {
+    fail(name, actual, expected, unit);
+  }
+}
+
 function assertClose(name, actual, expected, tolerance, unit = '') {
   const diff = Math.abs(actual - expected);
   if (diff <= tolerance) {
@@ -570,6 +578,1770 @@ function calculateBalance(left, right) {
   return (rmsR - rmsL) / total;
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// SOURCE MODULE TESTS
+// ─────────────────────────────────────────────────────────────────────────────
+// The metering modules are pure ES modules, loaded here directly so the
+// tests exercise the exact code that runs in the browser and AudioWorklet.
+
+/**
+ * Test gapless stream metering (AudioWorklet front end).
+ * Chunking must not change results: every sample is processed exactly once.
+ */
+function testStreamMeter() {
+  console.log('\n--- Stream Meter (gapless, sample-accurate) ---');
+
+  const { StreamMeter } = require('../src/metering/stream-meter.js');
+  const { KWeightingFilter, applyKWeightingOffline } = require('../src/metering/k-weighting.js');
+  const { TruePeakDetector } = require('../src/metering/true-peak.js');
+  const { energyToLUFS } = require('../src/metering/lufs.js');
+
+  const sampleRate = 48000;
+
+  // Test 1: Streaming K-weighting in 128-frame quanta equals offline filtering
+  const noise = new Float32Array(sampleRate);
+  let seed = 12345;
+  for (let i = 0; i < noise.length; i++) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    noise[i] = (seed / 2147483648) * 2 - 1;
+  }
+  const offline = applyKWeightingOffline(noise, sampleRate);
+  const kFilter = new KWeightingFilter(sampleRate);
+  let maxDiff = 0;
+  for (let i = 0; i < noise.length; i++) {
+    const y = Math.fround(kFilter.processSample(noise[i]));
+    maxDiff = Math.max(maxDiff, Math.abs(y - offline[i]));
+  }
+  assertClose('Streaming K-weighting vs offline (max diff)', maxDiff, 0, 1e-6);
+
+  // Test 2: Block results are independent of chunk size
+  const left = generateSine(sampleRate, 997, 0.5, 1.0);
+  const right = generateIntersamplePeak(sampleRate, 1.0);
+  const runChunked = (chunkSize) => {
+    const meter = new StreamMeter({ sampleRate });
+    const blocks = [];
+    for (let i = 0; i < left.length; i += chunkSize) {
+      const end = Math.min(i + chunkSize, left.length);
+      blocks.push(...meter.process([left.subarray(i, end), right.subarray(i, end)]));
+    }
+    return blocks;
+  };
+  const quanta = runChunked(128);
+  const odd = runChunked(1000);
+  const whole = runChunked(left.length);
+
+  let blockDiff = 0;
+  for (let b = 0; b < whole.length; b++) {
+    for (const blocks of [quanta, odd]) {
+      blockDiff = Math.max(blockDiff,
+        Math.abs(blocks[b].energy[0] - whole[b].energy[0]),
+        Math.abs(blocks[b].energy[1] - whole[b].energy[1]),
+        Math.abs(blocks[b].truePeak[1] - whole[b].truePeak[1]),
+        Math.abs(blocks[b].quasiPeak[0] - whole[b].quasiPeak[0]));
+    }
+  }
+  assertClose('Block values independent of chunking (max diff)', blockDiff, 0, 1e-9);
+
+  // Test 3: Every sample accounted for exactly once
+  const totalFrames = quanta.reduce((sum, block) => sum + block.frames, 0);
+  const contiguous = quanta.every((block, i) => block.startFrame === i * block.frames);
+  if (totalFrames === left.length && quanta.length === odd.length && contiguous) {
+    pass('Gapless block coverage', `${quanta.length} blocks, ${totalFrames} frames`, `${left.length} frames`);
+  } else {
+    fail('Gapless block coverage', `${totalFrames} frames`, `${left.length} frames`);
+  }
+
+  // Test 4: Intersample peak straddling a chunk boundary is still detected
+  const whole4 = new TruePeakDetector().process(right);
+  const split = new TruePeakDetector();
+  let splitPeak = 0;
+  for (let i = 0; i < right.length; i += 128) {
+    splitPeak = Math.max(splitPeak, split.process(right.subarray(i, i + 128)));
+  }
+  assertClose('True Peak across chunk boundaries', 20 * Math.log10(splitPeak), 20 * Math.log10(whole4), 1e-9, ' dB');
+
+  // Test 5: K-weighted stereo 1 kHz at -23 dBFS reads -23 LUFS (EBU Tech 3341 case 1)
+  const amplitude = Math.pow(10, -23 / 20);
+  const tone = generateSine(sampleRate, 1000, amplitude, 1.0);
+  const toneBlocks = new StreamMeter({ sampleRate }).process([tone, tone]);
+  const settled = toneBlocks.slice(10);
+  const meanEnergy = settled.reduce((sum, b) => sum + b.energy[0] + b.energy[1], 0) / settled.length;
+  assertClose('K-weighted stereo 1 kHz at -23 dBFS', energyToLUFS(meanEnergy), -23.0, 0.1, ' LUFS');
+
+  // Test 6: Displayed PPM fall-back through the 10 ms block path (Nordic: 20 dB in 1.7 s)
+  const { PPMMeter } = require('../src/metering/ppm.js');
+  const alignment = generateSine(sampleRate, 1000, Math.pow(10, -18 / 20), 1.0);
+  const ppmBlocks = new StreamMeter({ sampleRate }).process([
+    Float32Array.from([...alignment, ...new Float32Array(2 * sampleRate)]),
+    new Float32Array(3 * sampleRate)
+  ]);
+  const ppmMeter = new PPMMeter({ sampleRate });
+  let steadyPpm = 0;
+  let fallS = NaN;
+  for (const block of ppmBlocks) {
+    ppmMeter.updateLevels(block.quasiPeak[0], block.quasiPeak[1]);
+    const { dbfsLeft } = ppmMeter.getState();
+    const t = (block.startFrame + block.frames) / sampleRate;
+    if (t <= 1) steadyPpm = dbfsLeft;
+    else if (Number.isNaN(fallS) && dbfsLeft <= steadyPpm - 20) fallS = t - 1;
+  }
+  assertClose('PPM fall-back 20 dB through blocks', fallS, 1.7, 0.3, ' s');
+
+  // Test 7: True Peak display smoothing has the same time constant per 10 ms block as per 50 ms tick
+  const { TruePeakMeter, TP_SMOOTHING_INTERVAL_S } = require('../src/metering/true-peak.js');
+  const perBlock = new TruePeakMeter();
+  const perTick = new TruePeakMeter();
+  for (let i = 0; i < 20; i++) perBlock.updateChannels([-6, -6], 0.01);
+  for (let i = 0; i < 4; i++) perTick.updatePeaks(-6, -6);
+  const expectedTp = -6 - 54 * Math.pow(0.75, 0.2 / TP_SMOOTHING_INTERVAL_S);
+  assertClose('True Peak display after 200 ms of 10 ms blocks', perBlock.getState().dbtpLeft, expectedTp, 1e-9, ' dB');
+  assertClose('True Peak display after 200 ms of 50 ms ticks', perTick.getState().dbtpLeft, expectedTp, 1e-9, ' dB');
+}
+
+/**
+ * Test polyphase FIR True Peak (ITU-R BS.1770-4 Annex 2).
+ * EBU Tech 3341 requires +0.2/−0.4 dB accuracy on the true-peak test signals.
+ */
+function testTruePeakPolyphase() {
+  console.log('\n--- True Peak Polyphase FIR (BS.1770-4 Annex 2) ---');
+
+  const {
+    calculateTruePeak,
+    getOversamplingFactor,
+    TruePeakDetector
+  } = require('../src/metering/true-peak.js');
+
+  // Sine whose samples straddle the crest: true peak 0 dBTP, sample peak below
+  const phasedSine = (sampleRate, divisor, phaseDeg, seconds) => {
+    const buffer = new Float32Array(Math.floor(sampleRate * seconds));
+    const phase = phaseDeg * Math.PI / 180;
+    for (let i = 0; i < buffer.length; i++) {
+      buffer[i] = Math.sin(2 * Math.PI * i / divisor + phase);
+    }
+    return buffer;
+  };
+
+  const checkTP = (name, dbtp) => {
+    if (dbtp <= 0.2 && dbtp >= -0.4) {
+      pass(name, `${dbtp.toFixed(2)} dBTP`, '0.0 +0.2/-0.4 dBTP');
+    } else {
+      fail(name, `${dbtp.toFixed(2)} dBTP`, '0.0 +0.2/-0.4 dBTP');
+    }
+  };
+
+  // Test 1: Oversampling follows the sample rate
+  const factors = [44100, 48000, 96000, 192000].map(getOversamplingFactor).join('/');
+  if (factors === '4/4/2/1') {
+    pass('Oversampling factor by sample rate', factors, '4/4/2/1');
+  } else {
+    fail('Oversampling factor by sample rate', factors, '4/4/2/1');
+  }
+
+  // Test 2: 48 kHz, Fs/4 at 45° (sample peak -3.01 dBFS)
+  checkTP('48 kHz Fs/4 45° (4×)', calculateTruePeak(phasedSine(48000, 4, 45, 0.1), 4));
+
+  // Test 3: 48 kHz, Fs/6 at 60° (sample peak -1.25 dBFS)
+  checkTP('48 kHz Fs/6 60° (4×)', calculateTruePeak(phasedSine(48000, 6, 60, 0.1), 4));
+
+  // Test 4: 96 kHz, Fs/8 at 22.5° with 2× oversampling
+  checkTP('96 kHz Fs/8 22.5° (2×)', calculateTruePeak(phasedSine(96000, 8, 22.5, 0.1), 2));
+
+  // Test 5: 8× mode on the 48 kHz Fs/4 case
+  checkTP('48 kHz Fs/4 45° (8×)', calculateTruePeak(phasedSine(48000, 4, 45, 0.1), 8));
+
+  // Test 6: Near-Nyquist sine does not over-read (Hermite reads several dB high)
+  const nearNyquist = generateSine(48000, 20000, 0.5, 0.1);
+  assertClose('20 kHz sine at -6 dBFS (4×)', calculateTruePeak(nearNyquist, 4), -6.02, 0.3, ' dBTP');
+
+  // Test 7: Streaming detector matches the stateless function
+  const signal = generateIntersamplePeak(48000, 0.5);
+  const stateless = calculateTruePeak(signal, 4);
+  const detector = new TruePeakDetector({ sampleRate: 48000 });
+  let streamed = 0;
+  for (let i = 0; i < signal.length; i += 100) {
+    streamed = Math.max(streamed, detector.process(signal.subarray(i, i + 100)));
+  }
+  assertClose('Streaming vs stateless True Peak', 20 * Math.log10(streamed + 1e-9), stateless, 1e-6, ' dB');
+}
+
+/**
+ * Run a stereo 1 kHz sine through K-weighting into a LUFSMeter.
+ *
+ * @param {Array<[number, number]>} segments - [dBFS, seconds] pairs played in order
+ * @param {Object} [options] - Extra LUFSMeter options (e.g. gating)
+ * @returns {Object} LUFSMeter after the last block
+ */
+function measureToneSegments(segments, options = {}) {
+  const { LUFSMeter } = require('../src/metering/lufs.js');
+  const { KWeightingFilter } = require('../src/metering/k-weighting.js');
+
+  const sampleRate = 48000;
+  const blockSize = 2400; // 50 ms, as in the app
+  const meter = new LUFSMeter({ sampleRate, blockSize, ...options });
+  const filter = new KWeightingFilter(sampleRate);
+
+  let n = 0;
+  let sum = 0;
+  let count = 0;
+  for (const [dbfs, seconds] of segments) {
+    const amplitude = Math.pow(10, dbfs / 20);
+    const frames = Math.round(seconds * sampleRate);
+    for (let i = 0; i < frames; i++, n++) {
+      const k = filter.processSample(amplitude * Math.sin(2 * Math.PI * 1000 * n / sampleRate));
+      sum += k * k;
+      if (++count === blockSize) {
+        meter.pushBlock(2 * sum / blockSize); // identical L and R, summed
+        sum = 0;
+        count = 0;
+      }
+    }
+  }
+  return meter;
+}
+
+/**
+ * Test spec-exact two-pass gating for integrated loudness.
+ * EBU Tech 3341 test signals 1–5 must read within ±0.1 LU.
+ */
+function testLufsGating() {
+  console.log('\n--- LUFS Two-Pass Gating (EBU Tech 3341) ---');
+
+  const measure = (segments, gating = 'exact') => measureToneSegments(segments, { gating }).getIntegrated();
+
+  assertClose('Tech 3341 case 1 (-23 dBFS, 20 s)', measure([[-23, 20]]), -23.0, 0.1, ' LUFS');
+  assertClose('Tech 3341 case 2 (-33 dBFS, 20 s)', measure([[-33, 20]]), -33.0, 0.1, ' LUFS');
+  const case3 = [[-36, 10], [-23, 60], [-36, 10]];
+  const exact3 = measure(case3);
+  assertClose('Tech 3341 case 3 (-36/-23/-36)', exact3, -23.0, 0.1, ' LUFS');
+  assertClose('Tech 3341 case 4 (-72/-36/-23/-36/-72)',
+    measure([[-72, 10], [-36, 10], [-23, 60], [-36, 10], [-72, 10]]), -23.0, 0.1, ' LUFS');
+  assertClose('Tech 3341 case 5 (-26/-20/-26)', measure([[-26, 20], [-20, 20.1], [-26, 20]]), -23.0, 0.1, ' LUFS');
+
+  // Running gate admits the leading -36 dBFS segment before the gate rises
+  const running = measure(case3, 'running');
+  if (running < exact3 - 0.1 && running > -36) {
+    pass('Case 3 with legacy running gate', `${running.toFixed(2)} LUFS`, `below ${(exact3 - 0.1).toFixed(2)} LUFS`);
+  } else {
+    fail('Case 3 with legacy running gate', `${running.toFixed(2)} LUFS`, `below ${(exact3 - 0.1).toFixed(2)} LUFS`);
+  }
+
+  // Silence only: nothing passes the absolute gate
+  const silent = measure([[-120, 2]]);
+  if (silent === -Infinity) {
+    pass('Silence below absolute gate', '-Infinity', '-Infinity');
+  } else {
+    fail('Silence below absolute gate', silent.toFixed(1), '-Infinity');
+  }
+}
+
+/**
+ * Test Loudness Range over the whole programme.
+ * EBU Tech 3342 test signals 1–4 must read within ±1 LU.
+ */
+function testLoudnessRange() {
+  console.log('\n--- Loudness Range (EBU Tech 3342) ---');
+
+  const lra = (segments) => measureToneSegments(segments).getLRA();
+
+  assertClose('Tech 3342 case 1 (-20/-30)', lra([[-20, 20], [-30, 20]]), 10, 1, ' LU');
+  assertClose('Tech 3342 case 2 (-20/-15)', lra([[-20, 20], [-15, 20]]), 5, 1, ' LU');
+  assertClose('Tech 3342 case 3 (-40/-20)', lra([[-40, 20], [-20, 20]]), 20, 1, ' LU');
+  assertClose('Tech 3342 case 4 (-50/-35/-20/-35/-50)',
+    lra([[-50, 20], [-35, 20], [-20, 20], [-35, 20], [-50, 20]]), 15, 1, ' LU');
+
+  // Level change after the first minute still counts (no history cap)
+  assertClose('LRA beyond 60 s of programme', lra([[-20, 90], [-30, 90]]), 10, 1, ' LU');
+}
+
+/**
+ * Test multichannel loudness weighting and per-channel True Peak.
+ * ITU-R BS.1770-4: surrounds +1.5 dB (G = 1.41), LFE excluded.
+ */
+function testMultichannel() {
+  console.log('\n--- Multichannel Loudness (BS.1770-4 / BS.2051) ---');
+
+  const { getLayoutWeights, sumWeightedEnergy } = require('../src/metering/channel-layout.js');
+  const { StreamMeter } = require('../src/metering/stream-meter.js');
+  const { TruePeakMeter } = require('../src/metering/true-peak.js');
+  const { energyToLUFS } = require('../src/metering/lufs.js');
+
+  // Test 1: Layout weights
+  const w51 = getLayoutWeights('5.1').join(',');
+  if (w51 === '1,1,1,0,1.41,1.41') {
+    pass('5.1 channel weights', w51, '1,1,1,0,1.41,1.41');
+  } else {
+    fail('5.1 channel weights', w51, '1,1,1,0,1.41,1.41');
+  }
+  const w714 = getLayoutWeights('7.1.4').join(',');
+  const expected714 = '1,1,1,0,1.41,1.41,1,1,1,1,1,1';
+  if (w714 === expected714) {
+    pass('7.1.4 channel weights', w714, expected714);
+  } else {
+    fail('7.1.4 channel weights', w714, expected714);
+  }
+
+  // Measure a 1 kHz tone placed on one channel of a 5.1 stream
+  const sampleRate = 48000;
+  const weights = getLayoutWeights('5.1');
+  const tone = generateSine(sampleRate, 1000, Math.pow(10, -23 / 20), 1.0);
+  const silence = new Float32Array(tone.length);
+  const measureOn = (channel) => {
+    const channels = weights.map((_, ch) => (ch === channel ? tone : silence));
+    const blocks = new StreamMeter({ sampleRate, channelCount: weights.length }).process(channels);
+    const settled = blocks.slice(10);
+    const energy = settled.reduce((sum, b) => sum + sumWeightedEnergy(b.energy, weights), 0) / settled.length;
+    return { lufs: energyToLUFS(energy) };
+  };
+
+  // Test 2: Surround channel reads +1.5 dB relative to front
+  const front = measureOn(0);
+  const surround = measureOn(4);
+  assertClose('Ls relative to L', surround.lufs - front.lufs, 1.49, 0.02, ' dB');
+
+  // Test 3: LFE does not contribute
+  const lfe = measureOn(3);
+  if (lfe.lufs < -100) {
+    pass('LFE excluded from loudness', lfe.lufs.toFixed(0), '< -100 LUFS');
+  } else {
+    fail('LFE excluded from loudness', lfe.lufs.toFixed(1), '< -100 LUFS');
+  }
+
+  // Test 4: Per-channel True Peak and over detection beyond L/R
+  const tpMeter = new TruePeakMeter({ limit: -1 });
+  tpMeter.updateChannels([-20, -20, -20, -30, -0.5, -20]);
+  const tpState = tpMeter.getState();
+  assertClose('Per-channel TPmax (Ls)', tpState.dbtpMaxChannels[4], -0.5, 1e-9, ' dBTP');
+  if (tpState.isOverChannels[4] && tpState.isOverAny && !tpState.isOverLeft) {
+    pass('Over detected on surround channel', 'Ls over', 'Ls over');
+  } else {
+    fail('Over detected on surround channel', JSON.stringify(tpState.isOverChannels), 'Ls over');
+  }
+}
+
+/**
+ * Test K-weighting coefficients derived for other sample rates.
+ * Loudness of the same signal must not depend on the sample rate.
+ */
+function testKWeightingSampleRates() {
+  console.log('\n--- K-Weighting at Any Sample Rate ---');
+
+  const {
+    BS1770_COEFFICIENTS_48K,
+    designKWeightingCoefficients,
+    applyKWeightingOffline
+  } = require('../src/metering/k-weighting.js');
+  const { energyToLUFS } = require('../src/metering/lufs.js');
+
+  // Test 1: Derivation reproduces the published 48 kHz table
+  const derived = designKWeightingCoefficients(48000);
+  let maxDiff = 0;
+  for (const stage of ['highpass', 'highshelf']) {
+    for (const c of ['b0', 'b1', 'b2', 'a1', 'a2']) {
+      maxDiff = Math.max(maxDiff, Math.abs(derived[stage][c] - BS1770_COEFFICIENTS_48K[stage][c]));
+    }
+  }
+  assertClose('Derived 48 kHz coefficients vs BS.1770 table', maxDiff, 0, 1e-12);
+
+  // Test 2: Same tones read the same loudness at every supported rate
+  const loudnessAt = (sampleRate, freq) => {
+    const tone = generateSine(sampleRate, freq, 0.5, 2.0);
+    const weighted = applyKWeightingOffline(tone, sampleRate);
+    let sum = 0;
+    for (let i = sampleRate; i < weighted.length; i++) sum += weighted[i] * weighted[i];
+    return energyToLUFS(sum / (weighted.length - sampleRate));
+  };
+
+  const freqs = [100, 997, 10000];
+  const reference = freqs.map(freq => loudnessAt(48000, freq));
+  for (const sampleRate of [44100, 88200, 96000, 176400, 192000]) {
+    const deviation = Math.max(...freqs.map((freq, i) => Math.abs(loudnessAt(sampleRate, freq) - reference[i])));
+    assertClose(`${sampleRate / 1000} kHz vs 48 kHz (100 Hz/997 Hz/10 kHz, max)`, deviation, 0, 0.05, ' LU');
+  }
+}
+
+/**
+ * Test offline whole-programme analysis (file analysis mode).
+ * EBU Tech 3341 case 1: stereo 1 kHz at −23 dBFS reads −23.0 LUFS for M, S and I.
+ */
+function testProgrammeAnalysis() {
+  console.log('\n--- Programme Analysis (offline R128 report) ---');
+
+  const { ProgrammeAnalyser } = require('../src/metering/programme-analysis.js');
+
+  const sampleRate = 48000;
+  const tone = generateSine(sampleRate, 1000, Math.pow(10, -23 / 20), 20);
+
+  const analyser = new ProgrammeAnalyser({ sampleRate, channelCount: 2 });
+  analyser.process([tone, tone]);
+  const report = analyser.finish();
+
+  // Test 1: R128 values
+  assertClose('Integrated (1 kHz, −23 dBFS)', report.integrated, -23, 0.1, ' LUFS');
+  assertClose('Max momentary', report.maxMomentary, -23, 0.1, ' LUFS');
+  assertClose('Max short-term', report.maxShortTerm, -23, 0.1, ' LUFS');
+  assertClose('Max True Peak (L)', report.truePeakChannels[0], -23, 0.1, ' dBTP');
+  assertClose('Programme correlation (L = R)', report.correlation, 1, 0.001);
+
+  // Test 2: Curves at 10 Hz, loudness only once its window is full
+  const { momentary, shortTerm, truePeak } = report.curves;
+  const curvesOk = momentary.length === 200 && truePeak.length === 200 &&
+    momentary[2] === -Infinity && Number.isFinite(momentary[3]) &&
+    shortTerm[28] === -Infinity && Number.isFinite(shortTerm[29]);
+  if (curvesOk) {
+    pass('Curves (10 Hz, M from 0.4 s, S from 3 s)', momentary.length, 200, ' points');
+  } else {
+    fail('Curves (10 Hz, M from 0.4 s, S from 3 s)', momentary.length, 200, ' points');
+  }
+
+  // Test 3: Result does not depend on how the file is chunked
+  const chunked = new ProgrammeAnalyser({ sampleRate, channelCount: 2 });
+  for (let offset = 0; offset < tone.length; offset += 4093) {
+    const end = Math.min(tone.length, offset + 4093);
+    chunked.process([tone.subarray(offset, end), tone.subarray(offset, end)]);
+  }
+  const chunkedReport = chunked.finish();
+  assertClose('Chunked vs whole (integrated)', chunkedReport.integrated - report.integrated, 0, 1e-9, ' LU');
+  assertClose('Chunked vs whole (TPmax)', chunkedReport.truePeakMax - report.truePeakMax, 0, 1e-9, ' dB');
+
+  // Test 4: Channel count selects the layout; anti-phase is reported
+  const inverted = tone.map(x => -x);
+  const antiPhase = new ProgrammeAnalyser({ sampleRate, channelCount: 2 });
+  antiPhase.process([tone, inverted]);
+  assertClose('Programme correlation (L = −R)', antiPhase.finish().correlation, -1, 0.001);
+
+  const surround = new ProgrammeAnalyser({ sampleRate, channelCount: 6 });
+  if (surround.layout === '5.1' && surround.weights[3] === 0) {
+    pass('6 channels analysed as 5.1', surround.layout, '5.1');
+  } else {
+    fail('6 channels analysed as 5.1', surround.layout, '5.1');
+  }
+}
+
+/**
+ * Test the WAV reader used by tools/loudness-cli.mjs.
+ * Hand-built files: full scale must read ±1.0 in every encoding.
+ */
+function testWavReader() {
+  console.log('\n--- WAV Reader (PCM 16/24/32-bit, float, extensible) ---');
+
+  const { readWavHeader, decodeWav } = require('../src/utils/wav.js');
+
+  // Build a WAV: 2 frames, stereo, samples [+max, −max], [0, half]
+  function buildWav(tag, bits, samples, extensible = false) {
+    const bytesPerSample = bits / 8;
+    const fmtSize = extensible ? 40 : 16;
+    const dataSize = samples.length * bytesPerSample;
+    const view = new DataView(new ArrayBuffer(12 + 8 + fmtSize + 8 + dataSize));
+    const writeId = (offset, id) => [...id].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+
+    writeId(0, 'RIFF');
+    view.setUint32(4, view.byteLength - 8, true);
+    writeId(8, 'WAVE');
+    writeId(12, 'fmt ');
+    view.setUint32(16, fmtSize, true);
+    view.setUint16(20, extensible ? 0xfffe : tag, true);
+    view.setUint16(22, 2, true);
+    view.setUint32(24, 48000, true);
+    view.setUint32(28, 48000 * 2 * bytesPerSample, true);
+    view.setUint16(32, 2 * bytesPerSample, true);
+    view.setUint16(34, bits, true);
+    if (extensible) view.setUint16(20 + 24, tag, true);
+
+    const data = 20 + fmtSize;
+    writeId(data, 'data');
+    view.setUint32(data + 4, dataSize, true);
+    samples.forEach((value, i) => {
+      const pos = data + 8 + i * bytesPerSample;
+      if (tag === 3) {
+        view.setFloat32(pos, value, true);
+      } else if (bits === 16) {
+        view.setInt16(pos, value, true);
+      } else if (bits === 24) {
+        view.setUint16(pos, value & 0xffff, true);
+        view.setInt8(pos + 2, value >> 16);
+      } else {
+        view.setInt32(pos, value, true);
+      }
+    });
+    return view.buffer;
+  }
+
+  const cases = [
+    ['16-bit PCM', buildWav(1, 16, [32767, -32768, 0, 16384])],
+    ['24-bit PCM', buildWav(1, 24, [8388607, -8388608, 0, 4194304])],
+    ['32-bit PCM', buildWav(1, 32, [2147483647, -2147483648, 0, 1073741824])],
+    ['32-bit float', buildWav(3, 32, [1, -1, 0, 0.5])],
+    ['24-bit extensible', buildWav(1, 24, [8388607, -8388608, 0, 4194304], true)]
+  ];
+
+  for (const [name, bytes] of cases) {
+    const { format, channels } = decodeWav(bytes);
+    const error = Math.max(
+      Math.abs(channels[0][0] - 1), Math.abs(channels[1][0] + 1),
+      Math.abs(channels[0][1]), Math.abs(channels[1][1] - 0.5)
+    );
+    if (format.channelCount === 2 && format.frameCount === 2) {
+      assertClose(`${name} (±full scale, 0, 0.5)`, error, 0, 1e-4);
+    } else {
+      fail(`${name} format`, `${format.channelCount} ch × ${format.frameCount}`, '2 ch × 2');
+    }
+  }
+
+  // Header split across reads: a short prefix asks for more
+  const prefix = new Uint8Array(cases[0][1], 0, 30);
+  if (readWavHeader(prefix) === null) {
+    pass('Truncated header prefix', 'null', 'null');
+  } else {
+    fail('Truncated header prefix', 'format', 'null');
+  }
+
+  let rejected = false;
+  try {
+    decodeWav(Uint8Array.from('not a wave file', c => c.charCodeAt(0)).buffer);
+  } catch {
+    rejected = true;
+  }
+  if (rejected) {
+    pass('Non-WAV input rejected', 'Error', 'Error');
+  } else {
+    fail('Non-WAV input rejected', 'accepted', 'Error');
+  }
+}
+
+/**
+ * Test pass/fail evaluation against compliance profiles.
+ */
+function testCompliance() {
+  console.log('\n--- Compliance Profiles (R128, A/85, user-defined) ---');
+
+  const {
+    getComplianceProfile,
+    createComplianceProfile,
+    evaluateCompliance
+  } = require('../src/metering/compliance.js');
+
+  const r128 = getComplianceProfile('ebu-r128');
+  const cases = [
+    ['−23.0 LUFS, −1.0 dBTP passes R128', { integrated: -23.0, truePeakMax: -1.0 }, r128, true],
+    ['−22.4 LUFS fails R128 (±0.5 LU)', { integrated: -22.4, truePeakMax: -3 }, r128, false],
+    ['−0.9 dBTP fails R128', { integrated: -23.0, truePeakMax: -0.9 }, r128, false],
+    ['Silence (−∞ LUFS) fails R128', { integrated: -Infinity, truePeakMax: -Infinity }, r128, false],
+    ['−22.4 LUFS passes A/85 (±2 LU)', { integrated: -22.4, truePeakMax: -2 }, getComplianceProfile('atsc-a85'), true],
+    ['Limits on LRA and S apply when set',
+      { integrated: -23, truePeakMax: -2, lra: 12, maxShortTerm: -15 },
+      { ...r128, maxLra: 10, maxShortTerm: -18 }, false],
+    ['R128 s1: max S −17 LUFS fails (≤ −18)',
+      { integrated: -23, truePeakMax: -3, maxShortTerm: -17 }, getComplianceProfile('ebu-r128-s1'), false],
+    ['Ungated profile reads integratedUngated',
+      { integrated: -23, integratedUngated: -26, truePeakMax: -3 }, { ...r128, gating: 'ungated' }, false]
+  ];
+
+  for (const [name, values, profile, expected] of cases) {
+    const result = evaluateCompliance({ lra: null, maxShortTerm: -Infinity, ...values }, profile);
+    if (result.pass === expected) {
+      pass(name, result.pass, expected);
+    } else {
+      fail(name, result.pass, expected);
+    }
+  }
+
+  const netflix = evaluateCompliance({ integrated: -27, truePeakMax: -3, lra: null, maxShortTerm: -20 },
+    getComplianceProfile('netflix'));
+  if (netflix.pass && netflix.speechGated) {
+    pass('Netflix result flagged speech-gated', 'speechGated', 'speechGated');
+  } else {
+    fail('Netflix result flagged speech-gated', JSON.stringify(netflix), 'pass, speechGated');
+  }
+
+  // User-defined profiles: optional limits default to unrestricted
+  const house = createComplianceProfile({ id: 'user-1', name: ' House ', targetLufs: -24, toleranceLu: 1, truePeakMax: -2 });
+  if (house.name === 'House' && house.maxLra === null && house.gating === 'gated' && Object.isFrozen(house)) {
+    pass('User profile defaults', 'valid', 'valid');
+  } else {
+    fail('User profile defaults', JSON.stringify(house), 'trimmed name, null limits, gated, frozen');
+  }
+
+  const invalid = [
+    ['Reserved id', { ...house, id: 'ebu-r128' }, RangeError],
+    ['Target above 0 LUFS', { ...house, targetLufs: 3 }, RangeError],
+    ['Missing tolerance', { ...house, toleranceLu: NaN }, RangeError],
+    ['Unknown gating', { ...house, gating: 'dialogue' }, RangeError],
+    ['Missing name', { ...house, name: '' }, TypeError]
+  ];
+  for (const [name, fields, errorType] of invalid) {
+    let thrown = null;
+    try {
+      createComplianceProfile(fields);
+    } catch (error) {
+      thrown = error;
+    }
+    if (thrown instanceof errorType) {
+      pass(`Rejects: ${name}`, errorType.name, errorType.name);
+    } else {
+      fail(`Rejects: ${name}`, thrown ? thrown.name : 'accepted', errorType.name);
+    }
+  }
+
+  // BS.1770-1 ungated integration counts the quiet ends in full
+  const meter = measureToneSegments([[-36, 10], [-23, 60], [-36, 10]]);
+  const expectedUngated = 10 * Math.log10((60 * Math.pow(10, -2.3) + 20 * Math.pow(10, -3.6)) / 80);
+  assertClose('Ungated integrated (-36/-23/-36)', meter.getIntegratedUngated(), expectedUngated, 0.1, ' LUFS');
+
+  let rejected = false;
+  try {
+    getComplianceProfile('no-such-spec');
+  } catch (error) {
+    rejected = error instanceof RangeError;
+  }
+  if (rejected) {
+    pass('Unknown profile', 'RangeError', 'RangeError');
+  } else {
+    fail('Unknown profile', 'no RangeError', 'RangeError');
+  }
+}
+
+/**
+ * Test DIN, BBC and EBU PPM and VU ballistics and scales.
+ */
+function testPPMStandards() {
+  console.log('\n--- PPM Standards (DIN 45406, BBC/EBU Type II, IEC 60268-17 VU) ---');
+
+  const {
+    DEFAULT_PPM_STANDARD,
+    getPPMStandard,
+    findPPMStandard,
+    detectProgrammeLevel,
+    dbfsToScale,
+    scaleToDbfs
+  } = require('../src/metering/ppm.js');
+
+  const sampleRate = 48000;
+
+  // Reading for a 5 kHz burst of the given length, relative to steady state
+  const burstReading = (standard, durationS) => {
+    const state = { envelope: 0, velocity: 0 };
+    const steady = detectProgrammeLevel(generateSine(sampleRate, 5000, 0.5, 1.0), sampleRate, state, standard);
+    state.envelope = 0;
+    state.velocity = 0;
+    return detectProgrammeLevel(generateSine(sampleRate, 5000, 0.5, durationS), sampleRate, state, standard) - steady;
+  };
+
+  // Fall from steady state after the signal stops
+  const returnAfter = (standard, seconds) => {
+    const state = { envelope: 0, velocity: 0 };
+    const steady = detectProgrammeLevel(generateSine(sampleRate, 5000, 0.5, 1.0), sampleRate, state, standard);
+    const silence = new Float32Array(Math.round(sampleRate * seconds));
+    return steady - detectProgrammeLevel(silence, sampleRate, state, standard);
+  };
+
+  // DIN 45406: 10 ms integration (−1 dB), 20 dB return in 1.5 s
+  const din = getPPMStandard('din');
+  assertClose('DIN 10 ms burst', burstReading(din, 0.010), -1.0, 0.5, ' dB');
+  assertClose('DIN return after 1.5 s', returnAfter(din, 1.5), 20.0, 1.0, ' dB');
+
+  // BBC Type IIa: 10 ms burst −2.5 dB, 24 dB return in 2.8 s
+  const bbc = getPPMStandard('bbc');
+  assertClose('BBC 10 ms burst', burstReading(bbc, 0.010), -2.5, 0.5, ' dB');
+  assertClose('BBC return after 2.8 s', returnAfter(bbc, 2.8), 24.0, 1.0, ' dB');
+
+  // VU: 99% of steady reading after 300 ms, overshoot 1–1.5%
+  const vu = getPPMStandard('vu');
+  const tone = generateSine(sampleRate, 1000, 0.5, 1.0);
+  const vuState = { envelope: 0, velocity: 0 };
+  let peakNeedle = 0;
+  let needleAt300ms = 0;
+  const step = sampleRate / 1000;
+  for (let i = 0; i < tone.length; i += step) {
+    detectProgrammeLevel(tone.subarray(i, i + step), sampleRate, vuState, vu);
+    peakNeedle = Math.max(peakNeedle, vuState.envelope);
+    if (i + step === Math.round(0.3 * sampleRate)) needleAt300ms = vuState.envelope;
+  }
+  const settled = vuState.envelope;
+  assertClose('VU reading at 300 ms', (needleAt300ms / settled) * 100, 99, 1, '%');
+  assertClose('VU overshoot', (peakNeedle / settled - 1) * 100, 1.25, 0.25, '%');
+
+  // Scales: BBC mark 4 = −18 dBFS, mark 6 = −10 dBFS; EBU 0 = −18 dBFS; 0 VU = −20 dBFS
+  assertClose('BBC mark at −18 dBFS', dbfsToScale(-18, 'bbc'), 4, 0.01);
+  assertClose('BBC mark at −10 dBFS', dbfsToScale(-10, 'bbc'), 6, 0.01);
+  assertClose('BBC mark 1 in dBFS', scaleToDbfs(1, 'bbc'), -32, 0.01, ' dBFS');
+  assertClose('EBU reading at −18 dBFS', dbfsToScale(-18, 'ebu'), 0, 0.01, ' dB');
+  assertClose('DIN reading at −9 dBFS (PML)', dbfsToScale(-9, 'din'), 0, 0.01, ' dB');
+  assertClose('VU reading at −20 dBFS', dbfsToScale(-20, 'vu'), 0, 0.01, ' VU');
+
+  let rejected = false;
+  try {
+    getPPMStandard('no-such-meter');
+  } catch (error) {
+    rejected = error instanceof RangeError;
+  }
+  if (rejected) {
+    pass('Unknown standard', 'RangeError', 'RangeError');
+  } else {
+    fail('Unknown standard', 'no RangeError', 'RangeError');
+  }
+
+  // Stored settings: unknown ids fall back to the default instead of throwing
+  const found = ['din', 'no-such-meter', 'constructor', undefined].map(id => findPPMStandard(id).id);
+  if (found.join() === `din,${DEFAULT_PPM_STANDARD},${DEFAULT_PPM_STANDARD},${DEFAULT_PPM_STANDARD}`) {
+    pass('Stored standard lookup', found.join(', '), `din, ${DEFAULT_PPM_STANDARD} for the rest`);
+  } else {
+    fail('Stored standard lookup', found.join(', '), `din, ${DEFAULT_PPM_STANDARD} for the rest`);
+  }
+}
+
+/**
+ * Test EBU Mode (Tech 3341): Max M / Max S, start/pause and LU display.
+ */
+function testEBUMode() {
+  console.log('\n--- EBU Mode (Tech 3341 Max M/S, Start/Pause) ---');
+
+  const { LUFSMeter, getEBUModeScale, findEBUModeScale, formatLoudness } = require('../src/metering/lufs.js');
+
+  // Channel-summed block energy that reads the given loudness
+  const energyFor = (lufs) => Math.pow(10, (lufs + 0.691) / 10);
+  const meter = new LUFSMeter({ sampleRate: 48000, blockSize: 2400 });
+  const play = (lufs, seconds) => {
+    for (let i = 0; i < Math.round(seconds / 0.05); i++) meter.pushBlock(energyFor(lufs));
+  };
+
+  // 1 s at −20 inside −30: Max M sees the burst, Max S averages it over 3 s
+  play(-30, 5);
+  play(-20, 1);
+  play(-30, 5);
+  assertClose('Max M over 1 s burst', meter.getMaxMomentary(), -20.0, 0.1, ' LUFS');
+  const expectedMaxS = -0.691 + 10 * Math.log10((energyFor(-20) + 2 * energyFor(-30)) / 3);
+  assertClose('Max S over 1 s burst', meter.getMaxShortTerm(), expectedMaxS, 0.1, ' LUFS');
+
+  // Paused: I, LRA and maxima hold while M keeps running
+  const heldI = meter.getIntegrated();
+  meter.pause();
+  play(-10, 5);
+  assertClose('Integrated held while paused', meter.getIntegrated(), heldI, 1e-9, ' LUFS');
+  assertClose('Max M held while paused', meter.getMaxMomentary(), -20.0, 0.1, ' LUFS');
+  assertClose('Momentary runs while paused', meter.getMomentary(), -10.0, 0.1, ' LUFS');
+
+  // Started again: integration continues, windows holding paused audio are not maxima
+  meter.start();
+  play(-30, 10);
+  if (!meter.paused && meter.getIntegrated() < heldI) {
+    pass('Integration continues after start', meter.getIntegrated().toFixed(2), `< ${heldI.toFixed(2)}`);
+  } else {
+    fail('Integration continues after start', meter.getIntegrated().toFixed(2), `< ${heldI.toFixed(2)}`);
+  }
+  assertClose('Max S excludes audio from the pause', meter.getMaxShortTerm(), expectedMaxS, 0.1, ' LUFS');
+
+  meter.reset();
+  if (meter.getMaxMomentary() === -Infinity && meter.getMaxShortTerm() === -Infinity) {
+    pass('Reset clears Max M/S', '-Infinity', '-Infinity');
+  } else {
+    fail('Reset clears Max M/S', String(meter.getMaxMomentary()), '-Infinity');
+  }
+
+  // Relative display: LU against the target, signed
+  const readings = [
+    [formatLoudness(-21.5, 'LU', -23), '+1.5 LU'],
+    [formatLoudness(-26, 'LU', -23), '-3.0 LU'],
+    [formatLoudness(-Infinity, 'LU', -23), '--.- LU'],
+    [formatLoudness(-23, 'LUFS', -23), '-23.0 LUFS']
+  ];
+  for (const [actual, expected] of readings) {
+    if (actual === expected) {
+      pass(`formatLoudness → ${expected}`, actual, expected);
+    } else {
+      fail(`formatLoudness → ${expected}`, actual, expected);
+    }
+  }
+
+  const ebu18 = getEBUModeScale('ebu18');
+  if (ebu18.minLu === -36 && ebu18.maxLu === 18) {
+    pass('EBU +18 scale range', '−36…+18 LU', '−36…+18 LU');
+  } else {
+    fail('EBU +18 scale range', `${ebu18.minLu}…${ebu18.maxLu}`, '−36…+18 LU');
+  }
+
+  let rejected = false;
+  try {
+    getEBUModeScale('ebu24');
+  } catch (error) {
+    rejected = error instanceof RangeError;
+  }
+  if (rejected) {
+    pass('Unknown EBU Mode scale', 'RangeError', 'RangeError');
+  } else {
+    fail('Unknown EBU Mode scale', 'no RangeError', 'RangeError');
+  }
+
+  // Stored settings: unknown ids fall back to EBU +9 instead of throwing
+  const foundScales = ['ebu18', 'ebu24', 'constructor', ''].map(id => findEBUModeScale(id).id);
+  assertTrue('Stored EBU Mode scale lookup', foundScales.join() === 'ebu18,ebu9,ebu9,ebu9',
+    foundScales.join(', '), 'ebu18, ebu9 for the rest');
+}
+
+function testAlarms() {
+  console.log('\n--- Alarm Engine (rules, hysteresis, event log) ---');
+
+  const { AlarmEngine, createAlarmRules } = require('../src/metering/alarms.js');
+
+  // Quiet, in-phase programme at target: no rule should fire
+  const base = {
+    shortTerm: -23, targetLufs: -23, truePeak: -10, tpLimit: -1,
+    channelLevels: [-30, -30], correlation: 0.8, dcOffset: [0, 0]
+  };
+  // Feed one snapshot every 100 ms from t0 for the given seconds; returns changed events
+  const run = (engine, snapshot, t0, seconds) => {
+    const changed = [];
+    for (let t = t0; t <= t0 + seconds * 1000; t += 100) changed.push(...engine.update(snapshot, t));
+    return changed;
+  };
+
+  // Short-term +3 LU for 10 s: 9.9 s over raises nothing, 10 s does
+  const engine = new AlarmEngine();
+  run(engine, { ...base, shortTerm: -19 }, 0, 9.9);
+  assertTrue('Short-term high waits for its delay', engine.getActive().length === 0, `${engine.getActive().length} active`, '0 active');
+  const started = run(engine, { ...base, shortTerm: -19 }, 10000, 0);
+  assertTrue('Short-term high starts after 10 s', started.length === 1 && started[0].ruleId === 'shortTermHigh',
+    started.map(event => event.ruleId).join(',') || 'none', 'shortTermHigh');
+  assertTrue('Event start is when the condition began', started[0]?.start === 0, String(started[0]?.start), '0');
+
+  // Inside the hysteresis band (+2.5 LU): stays active
+  run(engine, { ...base, shortTerm: -20.5 }, 10100, 10);
+  assertTrue('Hysteresis holds the alarm', engine.getActive().length === 1, `${engine.getActive().length} active`, '1 active');
+
+  // Back under +2 LU for the 3 s release delay: ends, logged with start and end
+  run(engine, base, 20200, 3);
+  const log = engine.getLog();
+  assertTrue('Alarm ends after release', engine.getActive().length === 0 && log[0].end === 20200,
+    `end ${log[0]?.end}`, 'end 20200');
+  assertClose('Event keeps the worst value', log[0].value, 4.0, 1e-9, ' LU');
+
+  // True Peak over the limit is immediate
+  const tpEvents = new AlarmEngine().update({ ...base, truePeak: -0.5 }, 0);
+  assertTrue('True Peak over starts at once', tpEvents.length === 1 && tpEvents[0].ruleId === 'truePeakOver',
+    tpEvents.map(event => event.ruleId).join(',') || 'none', 'truePeakOver');
+
+  // Silence under −60 dBFS for 10 s; a silent signal is not a missing channel
+  const silence = new AlarmEngine();
+  run(silence, { ...base, shortTerm: -Infinity, channelLevels: [-90, -90], correlation: 0 }, 0, 10);
+  assertTrue('Silence after 10 s', silence.getActive().map(event => event.ruleId).join(',') === 'silence',
+    silence.getActive().map(event => event.ruleId).join(',') || 'none', 'silence');
+
+  // One channel dead while the other carries programme
+  const missing = new AlarmEngine();
+  run(missing, { ...base, channelLevels: [-25, -100], correlation: 0 }, 0, 5);
+  assertTrue('Channel missing after 5 s', missing.getActive().map(event => event.ruleId).join(',') === 'channelMissing',
+    missing.getActive().map(event => event.ruleId).join(',') || 'none', 'channelMissing');
+
+  // Sustained negative correlation; DC offset of 1 % (−40 dBFS) plus margin
+  const phase = new AlarmEngine();
+  run(phase, { ...base, correlation: -0.6, dcOffset: [0.02, 0] }, 0, 3);
+  assertTrue('Negative correlation and DC offset', phase.getActive().map(event => event.ruleId).join(',') === 'phaseNegative,dcOffset',
+    phase.getActive().map(event => event.ruleId).join(',') || 'none', 'phaseNegative,dcOffset');
+
+  // Disabling a rule ends its active alarm; clearLog keeps only active events
+  const ended = phase.setRules(createAlarmRules({ dcOffset: { enabled: false } }), 4000);
+  assertTrue('Disabled rule ends its alarm', ended.length === 1 && ended[0].end === 4000,
+    ended.map(event => `${event.ruleId}@${event.end}`).join(',') || 'none', 'dcOffset@4000');
+  phase.clearLog();
+  assertTrue('Clear log keeps active alarms', phase.getLog().length === 1 && phase.getLog()[0].ruleId === 'phaseNegative',
+    `${phase.getLog().length} logged`, '1 logged');
+
+  let rejected = false;
+  try {
+    createAlarmRules({ silence: { onDelayS: -1 } });
+  } catch (error) {
+    rejected = error instanceof RangeError;
+  }
+  assertTrue('Negative alarm delay rejected', rejected, rejected ? 'RangeError' : 'no RangeError', 'RangeError');
+}
+
+function testLoudnessTimeline() {
+  console.log('\n--- Loudness Timeline (one point per second) ---');
+
+  const { meterState, accumulateTimeline, resetMeterState, TIMELINE_RETENTION_MS } = require('../src/app/meter-state.js');
+  resetMeterState();
+
+  const base = Date.UTC(2026, 0, 1, 20, 0, 0);
+  const reading = (momentary, truePeak) => ({ momentary, shortTerm: -23, integrated: NaN, truePeak });
+
+  // 20 Hz readings over two seconds; the first second has a NaN momentary before its window fills
+  const finished = [];
+  for (let tick = 0; tick < 41; tick++) {
+    const momentary = tick === 0 ? NaN : tick === 7 ? -12 : -20;
+    const truePeak = tick === 25 ? -0.5 : -6;
+    const point = accumulateTimeline(base + tick * 50, reading(momentary, truePeak));
+    if (point) finished.push(point);
+  }
+
+  if (finished.length === 2 && finished[0].t === base && finished[1].t === base + 1000) {
+    pass('Points finish when the next second starts', finished.length, 2);
+  } else {
+    fail('Points finish when the next second starts', finished.length, 2);
+  }
+
+  const [first, second] = finished;
+  if (first.m === -12 && first.tp === -6 && second.m === -20 && second.tp === -0.5) {
+    pass('Max momentary and True Peak per second', `${first.m}, ${second.tp}`, '-12, -0.5');
+  } else {
+    fail('Max momentary and True Peak per second', `${first.m}, ${second.tp}`, '-12, -0.5');
+  }
+
+  if (Number.isNaN(first.i) && first.s === -23) {
+    pass('Unavailable values stay NaN', String(first.i), 'NaN');
+  } else {
+    fail('Unavailable values stay NaN', String(first.i), 'NaN');
+  }
+
+  // A reading after the retention period drops the expired points
+  accumulateTimeline(base + TIMELINE_RETENTION_MS + 1500, reading(-20, -6));
+  const kept = meterState.timeline.map(point => point.t - base);
+  if (kept.length === 2 && kept[0] === 1000 && kept[1] === 2000) {
+    pass('Points older than the retention period dropped', kept.join(', '), '1000, 2000');
+  } else {
+    fail('Points older than the retention period dropped', kept.join(', '), '1000, 2000');
+  }
+
+  resetMeterState();
+}
+
+function testMetricsRecording() {
+  console.log('\n--- Metrics Recording and Replay (NDJSON) ---');
+
+  const {
+    createRecordingHeader,
+    createRecordingFrame,
+    frameToMetrics,
+    formatRecordingNdjson,
+    parseRecordingNdjson,
+    MetricsPlayer
+  } = require('../src/remote/recording.js');
+
+  // Frame from a metrics message: rounded, silence stored as null, visualisation dropped
+  const metrics = {
+    lufs: { momentary: -23.456, shortTerm: -Infinity, integrated: NaN, lra: 4.2 },
+    truePeak: { left: -1.004, right: -3, max: -1.004 },
+    ppm: { left: -20, right: -21 },
+    rms: { left: -30, right: -31 },
+    stereo: { correlation: 0.987, balance: 0.5, width: 0.3 },
+    visualization: { goniometer: [0, 0], spectrum: [] }
+  };
+  const frame = createRecordingFrame(1234.4, metrics);
+  assertTrue('Frame values rounded to 0.01, silence as null',
+    frame.t === 1234 && frame.lufs.momentary === -23.46 && frame.lufs.shortTerm === null &&
+      frame.lufs.integrated === null && frame.stereo.correlation === 0.99 && !('visualization' in frame),
+    `${frame.lufs.momentary}, ${frame.lufs.shortTerm}`, '-23.46, null');
+
+  const restored = frameToMetrics(frame);
+  assertTrue('Replayed levels restore silence as -Infinity',
+    restored.lufs.shortTerm === -Infinity && restored.truePeak.left === -1 && restored.visualization === null,
+    String(restored.lufs.shortTerm), '-Infinity');
+
+  // NDJSON round trip: header first, frames sorted, malformed frames skipped
+  const header = createRecordingHeader({ start: Date.UTC(2026, 0, 1, 20, 0, 0), source: 'Probe A' });
+  const later = createRecordingFrame(200, metrics);
+  const earlier = createRecordingFrame(100, metrics);
+  const text = formatRecordingNdjson({ header, frames: [later, earlier] }) + '{"lufs":null}\n';
+  const parsed = parseRecordingNdjson(text);
+  assertTrue('NDJSON round trip keeps header and sorts frames',
+    parsed.header.source === 'Probe A' && parsed.header.start === header.start &&
+      parsed.frames.length === 2 && parsed.frames[0].t === 100 && parsed.frames[1].t === 200,
+    parsed.frames.map(f => f.t).join(', '), '100, 200');
+
+  let rejected = false;
+  try {
+    parseRecordingNdjson('{"t":0}\n');
+  } catch {
+    rejected = true;
+  }
+  assertTrue('File without recording header rejected', rejected, String(rejected), 'true');
+
+  // A broken line between frames (e.g. a truncated write) is skipped, not fatal
+  const [headerLine, laterLine, earlierLine] = formatRecordingNdjson({ header, frames: [later, earlier] }).split('\n');
+  const broken = [headerLine, laterLine, laterLine.slice(0, 20), earlierLine].join('\n');
+  /** @type {import('../src/remote/recording.js').Recording|null} */
+  let brokenParsed = null;
+  try {
+    brokenParsed = parseRecordingNdjson(broken);
+  } catch {
+    brokenParsed = null;
+  }
+  assertTrue('NDJSON with a broken middle line keeps the valid frames',
+    brokenParsed !== null && brokenParsed.frames.map(f => f.t).join() === '100,200',
+    brokenParsed ? brokenParsed.frames.map(f => f.t).join(', ') : 'threw', '100, 200');
+
+  // Player: frames at 0, 100 … 1000 ms
+  const frames = [];
+  for (let t = 0; t <= 1000; t += 100) frames.push({ t, lufs: null, truePeak: null, ppm: null, rms: null, stereo: null });
+  const player = new MetricsPlayer(frames);
+  player.play(0);
+  const first = player.update(0);
+  const repeat = player.update(50);
+  const atRealTime = player.update(250);
+  assertTrue('1× replay hands out each due frame once',
+    first.t === 0 && repeat === null && atRealTime.t === 200, `${first.t}, ${repeat}, ${atRealTime.t}`, '0, null, 200');
+
+  player.setRate(4, 250);
+  const atFourTimes = player.update(350);
+  assertTrue('Rate change continues from the current position', atFourTimes.t === 600, atFourTimes.t, 600);
+
+  player.seek(100, 400);
+  const afterSeek = player.update(400);
+  assertTrue('Seek jumps back to the frame at the new position', afterSeek.t === 100, afterSeek.t, 100);
+
+  const last = player.update(1000);
+  assertTrue('Playback stops at the last frame', last.t === 1000 && !player.playing, `${last.t}, ${player.playing}`, '1000, false');
+}
+
+function testNormalisation() {
+  console.log('\n--- Platform Loudness Normalisation ---');
+
+  const { calculateNormalisation, getNormalisationPlatform } = require('../src/metering/normalisation.js');
+
+  const quiet = { integrated: -20, truePeakMax: -6 };
+  const loud = { integrated: -9, truePeakMax: -0.5 };
+
+  // Spotify: −20 LUFS turned up 6 dB, peak would reach 0 dBTP, limiter holds −1 dBTP
+  const spotify = calculateNormalisation(quiet, getNormalisationPlatform('spotify'));
+  assertTrue('Spotify boosts to −14 LUFS and limits at −1 dBTP',
+    spotify.gain === 6 && spotify.limiter && spotify.limiterReduction === 1 && spotify.truePeak === -1,
+    `${spotify.gain} dB, limiter ${spotify.limiterReduction} dB, ${spotify.truePeak} dBTP`, '6 dB, limiter 1 dB, -1 dBTP');
+
+  // YouTube: down only
+  const youtubeQuiet = calculateNormalisation(quiet, getNormalisationPlatform('youtube'));
+  const youtubeLoud = calculateNormalisation(loud, getNormalisationPlatform('youtube'));
+  assertTrue('YouTube leaves quiet programmes unchanged', youtubeQuiet.gain === 0 && youtubeQuiet.loudness === -20,
+    youtubeQuiet.gain, 0);
+  assertTrue('YouTube turns loud programmes down to −14 LUFS',
+    youtubeLoud.gain === -5 && youtubeLoud.loudness === -14 && youtubeLoud.truePeak === -5.5 && !youtubeLoud.limiter,
+    `${youtubeLoud.gain} dB, ${youtubeLoud.truePeak} dBTP`, '-5 dB, -5.5 dBTP');
+
+  // Apple Music: −16 LUFS, boost only as far as the −1 dBTP ceiling allows
+  const apple = calculateNormalisation({ integrated: -22, truePeakMax: -3 }, getNormalisationPlatform('apple-music'));
+  assertTrue('Apple Music boost capped by peak headroom',
+    apple.gain === 2 && apple.boostCapped && !apple.limiter && apple.truePeak === -1,
+    `${apple.gain} dB, capped ${apple.boostCapped}`, '2 dB, capped true');
+
+  const unmeasured = calculateNormalisation({ integrated: -Infinity, truePeakMax: -6 }, getNormalisationPlatform('spotify'));
+  assertTrue('No result before integrated loudness exists', unmeasured === null, unmeasured, null);
+
+  let error = null;
+  try {
+    getNormalisationPlatform('napster');
+  } catch (e) {
+    error = e;
+  }
+  assertTrue('Unknown platform throws RangeError', error instanceof RangeError, error?.name, 'RangeError');
+
+  // Preview limiter: run stereo signals through in 128-frame blocks
+  const { PeakLimiter } = require('../src/metering/normalisation.js');
+  const runLimiter = (limiter, signal) => {
+    const out = [new Float32Array(signal.length), new Float32Array(signal.length)];
+    for (let start = 0; start < signal.length; start += 128) {
+      const frames = Math.min(128, signal.length - start);
+      const block = signal.subarray(start, start + frames);
+      limiter.process([block, block], [out[0].subarray(start, start + frames), out[1].subarray(start, start + frames)], frames);
+    }
+    return out;
+  };
+  const peakOf = (samples) => samples.reduce((max, x) => Math.max(max, Math.abs(x)), 0);
+  const ceilingDb = -1;
+
+  const quietLimiter = new PeakLimiter({ sampleRate: 48000, ceilingDb });
+  const quietSine = generateSine(48000, 997, 0.5, 0.5);
+  const quietOut = runLimiter(quietLimiter, quietSine);
+  let maxDiff = 0;
+  for (let i = quietLimiter.latencyFrames; i < quietSine.length; i++) {
+    maxDiff = Math.max(maxDiff, Math.abs(quietOut[0][i] - quietSine[i - quietLimiter.latencyFrames]));
+  }
+  assertTrue('Limiter passes programme below the ceiling unchanged (delayed by its lookahead)',
+    maxDiff < 1e-6 && quietLimiter.latencyFrames === 95, `${maxDiff}, ${quietLimiter.latencyFrames} frames`, '0, 95 frames');
+
+  // +6 dBFS sine: peaks held at the ceiling from the first sample, no make-up gain
+  const loudLimiter = new PeakLimiter({ sampleRate: 48000, ceilingDb });
+  const loudOut = runLimiter(loudLimiter, generateSine(48000, 997, 2, 1));
+  const loudPeakDb = 20 * Math.log10(Math.max(peakOf(loudOut[0]), peakOf(loudOut[1])));
+  assertTrue('Limiter never exceeds its ceiling', loudPeakDb <= ceilingDb + 1e-4, loudPeakDb.toFixed(4), `≤ ${ceilingDb}`, 'dBFS');
+  assertClose('Limited sine peaks at the ceiling', loudPeakDb, ceilingDb, 0.1, 'dBFS');
+
+  // Release back to unity once the programme drops below the ceiling
+  const recovery = generateSine(48000, 997, 0.25, 1);
+  const recoveryOut = runLimiter(loudLimiter, recovery);
+  const lastS = recovery.length - 4800;
+  assertClose('Limiter releases to unity gain',
+    peakOf(recoveryOut[0].subarray(lastS)) / peakOf(recovery.subarray(lastS)), 1, 0.01);
+
+  // No ceiling (preview not limiting): loud programme passes, still delayed
+  loudLimiter.setCeiling(null);
+  const unlimited = generateSine(48000, 997, 2, 1);
+  const unlimitedOut = runLimiter(loudLimiter, unlimited);
+  assertClose('Limiter without a ceiling releases to unity gain',
+    peakOf(unlimitedOut[0].subarray(lastS)) / peakOf(unlimited.subarray(lastS)), 1, 0.01);
+}
+
+function testRta() {
+  console.log('\n--- RTA Bands, Weighting and Averaging ---');
+
+  const { weightingGainDb } = require('../src/metering/weighting.js');
+  const { createRtaLayout, computeRtaLevels, SpectrumAverager, THIRD_OCTAVE_CENTRES } = require('../src/metering/rta.js');
+  const { computeSpectrumBands } = require('../src/ui/spectrum.js');
+
+  const near = (value, expected, tolerance) => Math.abs(value - expected) <= tolerance;
+
+  // Weighting curves against the IEC 61672-1 / BS.468-4 tables
+  const curves = [
+    ['A', 100, -19.1], ['A', 1000, 0], ['A', 10000, -2.5],
+    ['C', 31.5, -3.0], ['C', 8000, -3.0],
+    ['468', 1000, 0], ['468', 6300, 12.2], ['468', 31.5, -29.9],
+    ['K', 1000, 0.69]
+  ];
+  for (const [weighting, freq, expected] of curves) {
+    const gain = weightingGainDb(weighting, freq);
+    assertTrue(`${weighting}-weighting at ${freq} Hz`, near(gain, expected, 0.1), gain.toFixed(2), expected);
+  }
+
+  let error = null;
+  try {
+    weightingGainDb('B', 1000);
+  } catch (e) {
+    error = e;
+  }
+  assertTrue('Unknown weighting throws RangeError', error instanceof RangeError, error?.name, 'RangeError');
+
+  // Band counts at 48 kHz, 16384-point FFT
+  const counts = ['1/1', '1/3', '1/6', '1/12', '1/24', 'fft']
+    .map(resolution => createRtaLayout(resolution, 48000, 16384).centres.length);
+  assertTrue('Band counts 1/1 … 1/24 octave and FFT line', counts.join(',') === '10,31,59,119,239,6820',
+    counts.join(','), '10,31,59,119,239,6820');
+
+  // White spectrum (every bin −60 dB): flat; pink compensation tilts +3 dB/oct
+  const white = new Float32Array(8192).fill(-60);
+  const flat = computeRtaLevels(white, white, createRtaLayout('1/6', 48000, 16384));
+  assertTrue('White spectrum reads flat', flat.every(level => near(level, -60, 1e-3)), `${flat[0].toFixed(2)} … ${flat[flat.length - 1].toFixed(2)}`, -60);
+
+  const pinkLayout = createRtaLayout('1/1', 48000, 16384, { pinkCompensation: true });
+  const tilted = computeRtaLevels(white, white, pinkLayout);
+  const at1k = tilted[5], at2k = tilted[6];
+  assertTrue('Pink compensation: 0 dB at 1 kHz, +3 dB an octave up',
+    near(at1k, -60, 1e-3) && near(at2k - at1k, 3.01, 0.01), `${at1k.toFixed(2)}, ${(at2k - at1k).toFixed(2)}`, '-60.00, 3.01');
+
+  const aLine = computeRtaLevels(white, white, createRtaLayout('fft', 48000, 16384, { weighting: 'A' }));
+  const aLayout = createRtaLayout('fft', 48000, 16384);
+  const bin100 = aLayout.centres.findIndex(f => f >= 100);
+  const aExpected = weightingGainDb('A', aLayout.centres[bin100]);
+  assertTrue('A-weighted FFT line follows the curve',
+    near(aLine[bin100] + 60, aExpected, 0.01), (aLine[bin100] + 60).toFixed(2), aExpected.toFixed(2));
+
+  // Default computeSpectrumBands() unchanged: 31 bands, mean power of the bins each band touches
+  const fftSize = 4096;
+  const spectrumL = new Float32Array(fftSize / 2).map((_, i) => -30 - i * 0.01);
+  const spectrumR = new Float32Array(fftSize / 2).map((_, i) => -40 - i * 0.02);
+  const analyser = spectrum => ({ fftSize, getFloatFrequencyData: out => out.set(spectrum) });
+  const bands = computeSpectrumBands(analyser(spectrumL), analyser(spectrumR), 48000);
+  const binHz = 48000 / fftSize;
+  const expected = THIRD_OCTAVE_CENTRES.map(centre => {
+    const lowBin = Math.max(1, Math.floor(centre / Math.pow(2, 1 / 6) / binHz));
+    const highBin = Math.min(fftSize / 2 - 1, Math.ceil(centre * Math.pow(2, 1 / 6) / binHz));
+    let power = 0;
+    for (let i = lowBin; i <= highBin; i++) {
+      power += 0.5 * (Math.pow(10, spectrumL[i] / 10) + Math.pow(10, spectrumR[i] / 10));
+    }
+    return 10 * Math.log10(power / (highBin - lowBin + 1));
+  });
+  const maxDiff = Math.max(...expected.map((value, b) => Math.abs(value - bands[b])));
+  assertTrue('computeSpectrumBands() default: 31 1/3-octave bands as before', bands.length === 31 && maxDiff < 1e-3,
+    `${bands.length} bands, max diff ${maxDiff.toExponential(1)}`, '31 bands, < 1e-3 dB');
+
+  // Averaging in the power domain
+  const levels = db => Float32Array.of(db);
+  const exponential = new SpectrumAverager({ mode: 'exponential', timeMs: 1000 });
+  exponential.update(levels(0), 0);
+  const expStep = exponential.update(levels(10), 1000)[0];
+  const expExpected = 10 * Math.log10(1 + (1 - Math.exp(-1)) * 9);
+  assertTrue('Exponential: one time constant covers 63% of a step (power)', near(expStep, expExpected, 1e-3), expStep.toFixed(2), expExpected.toFixed(2));
+
+  const linear = new SpectrumAverager({ mode: 'linear', timeMs: 1000 });
+  linear.update(levels(20), 0);
+  linear.update(levels(0), 500);
+  const linStep = linear.update(levels(0), 1000)[0];
+  assertTrue('Linear: spectra older than the window drop out', near(linStep, 0, 1e-3), linStep.toFixed(2), 0);
+
+  const infinite = new SpectrumAverager({ mode: 'infinite' });
+  infinite.update(levels(10), 0);
+  const infMean = infinite.update(levels(-Infinity), 60000)[0];
+  assertTrue('Infinite: mean power of everything since reset', near(infMean, 10 * Math.log10(5), 1e-3), infMean.toFixed(2), (10 * Math.log10(5)).toFixed(2));
+
+  error = null;
+  try {
+    const averager = new SpectrumAverager({ mode: 'median' });
+    averager.update(levels(0), 0);
+  } catch (e) {
+    error = e;
+  }
+  assertTrue('Unknown averaging mode throws RangeError', error instanceof RangeError, error?.name, 'RangeError');
+}
+
+function testFft() {
+  console.log('\n--- FFT and Spectrogram ---');
+
+  const { fft, powerSpectrumDb } = require('../src/utils/fft.js');
+  const { Spectrogram } = require('../src/ui/spectrogram.js');
+
+  // Full-scale sine on bin 64 of a 1024-point FFT reads 0 dB, bins far away are at the floor
+  const n = 1024;
+  const sine = new Float32Array(n);
+  for (let i = 0; i < n; i++) sine[i] = Math.sin(2 * Math.PI * 64 * i / n);
+  const spectrum = powerSpectrumDb(sine);
+  assertTrue('Full-scale sine on a bin centre reads 0 dB', Math.abs(spectrum[64]) < 0.01, spectrum[64].toFixed(3), '0.000');
+  assertTrue('Hann leakage negligible 10 bins away', spectrum[74] < -100, spectrum[74].toFixed(1), '< -100');
+
+  // Forward then inverse returns the input
+  const re = new Float64Array(16).map((_, i) => Math.cos(i) + i / 16);
+  const im = new Float64Array(16);
+  const original = Float64Array.from(re);
+  fft(re, im);
+  fft(re, im, true);
+  const roundTrip = Math.max(...re.map((v, i) => Math.abs(v - original[i])));
+  assertTrue('Inverse FFT restores the signal', roundTrip < 1e-12, roundTrip, '< 1e-12');
+
+  let error = null;
+  try {
+    fft(new Float64Array(12), new Float64Array(12));
+  } catch (e) {
+    error = e;
+  }
+  assertTrue('Non-power-of-two size throws RangeError', error instanceof RangeError, error?.name, 'RangeError');
+
+  const spectrogram = new Spectrogram(null, null, null);
+  error = null;
+  try {
+    spectrogram.setOptions({ fftSize: 3000 });
+  } catch (e) {
+    error = e;
+  }
+  assertTrue('Spectrogram rejects unsupported FFT size', error instanceof RangeError && spectrogram.options.fftSize === 4096,
+    error?.name, 'RangeError');
+}
+
+function testGoniometer() {
+  console.log('\n--- Goniometer Gain and Options ---');
+
+  const { Goniometer, GoniometerAutoGain } = require('../src/ui/goniometer.js');
+
+  // Quiet speech: −30 dBFS peaks brought up to 80% of the radius (calibrated gain 3.5)
+  const auto = new GoniometerAutoGain();
+  let gainDb = 0;
+  for (let i = 0; i < 60; i++) gainDb = auto.update(0.0316, 1 / 60);
+  const expected = 20 * Math.log10(0.8 / (0.0316 * 3.5));
+  assertTrue('Auto-gain brings −30 dBFS peaks to 80% of the radius', Math.abs(gainDb - expected) < 0.01,
+    gainDb.toFixed(2), expected.toFixed(2));
+
+  // Instant attack on a full-scale peak, clamped at −12 dB (unclamped: −12.8 dB)
+  gainDb = auto.update(1, 1 / 60);
+  assertTrue('Auto-gain attacks instantly and clamps at −12 dB', gainDb === -12, gainDb.toFixed(2), '-12.00');
+
+  // Silence holds the gain instead of zooming into noise
+  const held = auto.update(0, 10);
+  assertTrue('Auto-gain holds on silence', held === gainDb, held.toFixed(2), gainDb.toFixed(2));
+
+  // Slow release: after 3 s of −20 dBFS the envelope has only decayed by e⁻¹
+  for (let i = 0; i < 180; i++) gainDb = auto.update(0.1, 1 / 60);
+  const released = 20 * Math.log10(0.8 / (Math.exp(-1) * 3.5));
+  assertTrue('Auto-gain releases over 3 s', Math.abs(gainDb - released) < 0.1, gainDb.toFixed(2), released.toFixed(2));
+
+  const scope = new Goniometer(null);
+  scope.setOptions({ zoomDb: 24 });
+  const zoomed = [scope.zoom(1), scope.zoom(1), scope.zoom(-2)];
+  assertTrue('Zoom steps 6 dB within +30 dB', zoomed.join(',') === '30,30,18' && scope.getGainDb() === 18, zoomed.join(','), '30,30,18');
+
+  let error = null;
+  try {
+    scope.setOptions({ zoomDb: 5 });
+  } catch (e) {
+    error = e;
+  }
+  assertTrue('Zoom off the 6 dB grid throws RangeError', error instanceof RangeError && scope.options.zoomDb === 18, error?.name, 'RangeError');
+
+  error = null;
+  try {
+    scope.setOptions({ mode: 'surround' });
+  } catch (e) {
+    error = e;
+  }
+  assertTrue('Unknown goniometer mode throws RangeError', error instanceof RangeError, error?.name, 'RangeError');
+}
+
+function testLineup() {
+  console.log('\n--- Line-up Ident Detection ---');
+
+  const { LineupDetector } = require('../src/metering/lineup.js');
+
+  const sampleRate = 48000;
+  const size = 4096;
+  const amplitude = Math.pow(10, -18 / 20);
+
+  // Feed 50 ms ticks of 4096-sample buffers; gain(ms) gives [L, R] tone gains (0 = off)
+  const run = (gain, seconds, { frequency = 1000, level = amplitude } = {}) => {
+    const detector = new LineupDetector({ sampleRate });
+    const bufL = new Float32Array(size);
+    const bufR = new Float32Array(size);
+    let result = null;
+    for (let now = 1000; now <= 1000 + seconds * 1000; now += 50) {
+      for (let i = 0; i < size; i++) {
+        const ms = now - (size - 1 - i) * 1000 / sampleRate;
+        const [gL, gR] = gain(ms);
+        const v = level * Math.sin(2 * Math.PI * frequency * ms / 1000);
+        bufL[i] = gL * v;
+        bufR[i] = gR * v;
+      }
+      result = detector.update(bufL, bufR, now);
+    }
+    return result;
+  };
+
+  const off = (ms, from, to) => (ms >= from && ms < to ? 0 : 1);
+  const ebu = ms => [off(ms % 3000, 0, 250), 1];
+  const glits = ms => {
+    const phase = ms % 4000;
+    return [off(phase, 0, 250), off(phase, 500, 750) * off(phase, 1000, 1250)];
+  };
+
+  let result = run(ebu, 8);
+  assertTrue('EBU Stereo-ID recognised, order OK', result.type === 'ebu' && result.swapped === false && result.issues.length === 0,
+    `${result.type} swapped=${result.swapped}`, 'ebu swapped=false');
+  assertTrue('Line-up frequency measured', Math.abs(result.frequency - 1000) < 1, result.frequency?.toFixed(2), '1000.00');
+
+  result = run(ms => ebu(ms).reverse(), 8);
+  assertTrue('EBU Stereo-ID with swapped legs', result.type === 'ebu' && result.swapped === true &&
+    result.issues.includes('Channels swapped'), `${result.type} swapped=${result.swapped}`, 'ebu swapped=true');
+
+  result = run(glits, 9);
+  assertTrue('GLITS recognised, order OK', result.type === 'glits' && result.swapped === false,
+    `${result.type} swapped=${result.swapped}`, 'glits swapped=false');
+
+  result = run(ms => glits(ms).reverse(), 9);
+  assertTrue('GLITS with swapped legs', result.type === 'glits' && result.swapped === true,
+    `${result.type} swapped=${result.swapped}`, 'glits swapped=true');
+
+  result = run(() => [1, -1], 2);
+  assertTrue('Inverted polarity on a plain tone', result.type === 'tone' && result.polarityInverted === true &&
+    result.issues.includes('Polarity inverted'), `${result.type} inverted=${result.polarityInverted}`, 'tone inverted=true');
+
+  result = run(() => [1, 0], 3);
+  assertTrue('Missing right leg reported', result.missing === 'R' && result.issues.includes('Right channel missing'),
+    result.missing, 'R');
+
+  result = run(() => [1, 1], 2, { frequency: 400, level: Math.pow(10, -20 / 20) });
+  const deviation = result.deviation[0];
+  assertTrue('Level deviation from −18 dBFS alignment', Math.abs(deviation + 2) < 0.1 && result.issues.length === 2,
+    deviation?.toFixed(2), '-2.00');
+
+  result = run(() => [0, 0], 2);
+  assertTrue('Silence is not a line-up tone', result.type === null && result.issues.length === 0, result.type, 'null');
+}
+
+function testToneAnalysis() {
+  console.log('\n--- Tone Analyser ---');
+
+  const { analyseTone } = require('../src/metering/tone-analysis.js');
+
+  const sampleRate = 48000;
+  const size = 16384;
+  const bufL = new Float32Array(size);
+  const bufR = new Float32Array(size);
+
+  // L: 997.3 Hz at −18 dBFS with 1% second harmonic; R: −18.5 dBFS, lagging 30°
+  const a = Math.pow(10, -18 / 20);
+  for (let i = 0; i < size; i++) {
+    const w = 2 * Math.PI * 997.3 * i / sampleRate;
+    bufL[i] = a * Math.sin(w) + 0.01 * a * Math.sin(2 * w);
+    bufR[i] = Math.pow(10, -18.5 / 20) * Math.sin(w - Math.PI / 6);
+  }
+  const result = analyseTone(bufL, bufR, sampleRate);
+  const [left, right] = result.channels;
+
+  assertTrue('Frequency to 0.1 Hz between FFT bins', Math.abs(result.frequency - 997.3) < 0.01,
+    result.frequency.toFixed(3), '997.300');
+  assertTrue('Level in dBFS and dBu (0 dBu = −18 dBFS)', Math.abs(left.levelDbfs + 18) < 0.01 && Math.abs(left.levelDbu) < 0.01,
+    `${left.levelDbfs.toFixed(2)} dBFS, ${left.levelDbu.toFixed(2)} dBu`, '-18.00 dBFS, 0.00 dBu');
+  assertTrue('L−R level difference', Math.abs(result.levelDifference - 0.5) < 0.01, result.levelDifference.toFixed(2), '0.50');
+  assertTrue('Phase difference (R lags 30°)', Math.abs(result.phaseDifference + 30) < 0.1, result.phaseDifference.toFixed(2), '-30.00');
+  assertTrue('THD+N of 1% second harmonic', Math.abs(left.thdnDb + 40) < 0.1 && Math.abs(left.thdnPercent - 1) < 0.01,
+    `${left.thdnDb.toFixed(2)} dB`, '-40.00 dB');
+  assertTrue('THD+N of a clean sine below −100 dB', right.thdnDb < -100, right.thdnDb.toFixed(1), '< -100');
+
+  // Alignment tone on L only, white noise on R
+  let seed = 1;
+  for (let i = 0; i < size; i++) {
+    bufL[i] = a * Math.sin(2 * Math.PI * 400 * i / sampleRate);
+    seed = (seed * 16807) % 2147483647;
+    bufR[i] = 0.1 * (seed / 2147483647 - 0.5);
+  }
+  const single = analyseTone(bufL, bufR, sampleRate);
+  assertTrue('Tone on one leg, noise on the other', Math.abs(single.frequency - 400) < 0.01 && single.channels[1] === null &&
+    single.levelDifference === null && single.phaseDifference === null, single.channels[1], 'null');
+
+  const noise = analyseTone(bufR, bufR, sampleRate);
+  assertTrue('Noise is not a tone', noise === null, noise, 'null');
+  bufL.fill(0);
+  assertTrue('Silence is not a tone', analyseTone(bufL, bufL, sampleRate) === null, 'null', 'null');
+}
+
+function testChannelDelay() {
+  console.log('\n--- Inter-channel Delay ---');
+
+  const { estimateChannelDelay, ChannelDelayMeter } = require('../src/metering/channel-delay.js');
+
+  const sampleRate = 48000;
+  const size = 4096;
+
+  // Band-limited programme stand-in: 200 sines (50 Hz–10 kHz), so fractional delays are exact
+  let seed = 7;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const partials = Array.from({ length: 200 }, () => ({ f: 50 + random() * 10000, p: random() * 2 * Math.PI }));
+  const programme = (t) => partials.reduce((sum, { f, p }) => sum + 0.01 * Math.sin(2 * Math.PI * f * t + p), 0);
+
+  const pair = (delaySamples, gainR = 1) => {
+    const bufL = new Float32Array(size);
+    const bufR = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      bufL[i] = programme(i / sampleRate);
+      bufR[i] = gainR * programme((i - delaySamples) / sampleRate);
+    }
+    return [bufL, bufR];
+  };
+
+  let estimate = estimateChannelDelay(...pair(0), sampleRate);
+  assertTrue('Aligned channels read 0 samples', Math.abs(estimate.delaySamples) < 0.01 && estimate.polarity === 'normal' &&
+    estimate.confidence > 0.99, estimate.delaySamples.toFixed(3), '0.000');
+
+  estimate = estimateChannelDelay(...pair(3), sampleRate);
+  assertTrue('R 3 samples late', Math.abs(estimate.delaySamples - 3) < 0.05 && Math.abs(estimate.delayMs - 0.0625) < 0.001,
+    `${estimate.delaySamples.toFixed(3)} (${estimate.delayMs.toFixed(4)} ms)`, '3.000 (0.0625 ms)');
+
+  estimate = estimateChannelDelay(...pair(-7.7), sampleRate);
+  assertTrue('Sub-sample delay, R early', Math.abs(estimate.delaySamples + 7.7) < 0.05 && estimate.confidence > 0.95,
+    estimate.delaySamples.toFixed(3), '-7.700');
+
+  estimate = estimateChannelDelay(...pair(100.5, -1), sampleRate);
+  assertTrue('Delayed and inverted leg', Math.abs(estimate.delaySamples - 100.5) < 0.05 && estimate.polarity === 'inverted',
+    `${estimate.delaySamples.toFixed(2)} ${estimate.polarity}`, '100.50 inverted');
+
+  const noiseL = new Float32Array(size).map(() => random() - 0.5);
+  const noiseR = new Float32Array(size).map(() => random() - 0.5);
+  estimate = estimateChannelDelay(noiseL, noiseR, sampleRate);
+  assertTrue('Unrelated channels give low confidence', estimate.confidence < 0.2, estimate.confidence.toFixed(2), '< 0.20');
+  assertTrue('Silent leg gives no estimate', estimateChannelDelay(noiseL, new Float32Array(size), sampleRate) === null, 'null', 'null');
+
+  // History: unrelated readings do not replace the held delay; old points drop out
+  const meter = new ChannelDelayMeter({ sampleRate, historyMs: 1000 });
+  meter.update(...pair(3), 0);
+  meter.update(noiseL, noiseR, 500);
+  assertTrue('Low-confidence estimate does not replace the held delay', Math.abs(meter.held.delaySamples - 3) < 0.05 &&
+    meter.history.length === 2, meter.held.delaySamples.toFixed(2), '3.00');
+  meter.update(...pair(3), 1200);
+  assertTrue('History keeps the last second', meter.history.length === 2 && meter.history[0].time === 500,
+    meter.history.map(p => p.time).join(','), '500,1200');
+}
+
+function testSweepAnalysis() {
+  console.log('\n--- Swept-sine Analysis ---');
+
+  const { generateSweep, generateSweepFile, analyseSweep, SWEEP_FILE_LEAD_S } = require('../src/metering/sweep-analysis.js');
+  const { encodeWav, decodeWav } = require('../src/utils/wav.js');
+
+  const sampleRate = 48000;
+  const options = { sampleRate, durationS: 2, levelDbfs: -12 };
+  const sweep = generateSweep(options);
+
+  // Chain under test: 240 samples (5 ms) of delay into an RBJ peaking EQ, +6 dB at 1 kHz, Q 1
+  const A = Math.pow(10, 6 / 40);
+  const w0 = 2 * Math.PI * 1000 / sampleRate;
+  const alpha = Math.sin(w0) / 2;
+  const b = [1 + alpha * A, -2 * Math.cos(w0), 1 - alpha * A];
+  const a = [1 + alpha / A, -2 * Math.cos(w0), 1 - alpha / A];
+  const response = (f) => {
+    const w = 2 * Math.PI * f / sampleRate;
+    const [nr, ni] = [b[0] + b[1] * Math.cos(w) + b[2] * Math.cos(2 * w), -b[1] * Math.sin(w) - b[2] * Math.sin(2 * w)];
+    const [dr, di] = [a[0] + a[1] * Math.cos(w) + a[2] * Math.cos(2 * w), -a[1] * Math.sin(w) - a[2] * Math.sin(2 * w)];
+    const d = dr * dr + di * di;
+    const re = (nr * dr + ni * di) / d;
+    const im = (ni * dr - nr * di) / d;
+    return { db: 20 * Math.log10(Math.hypot(re, im)), deg: Math.atan2(im, re) * 180 / Math.PI };
+  };
+
+  const recording = new Float32Array(sweep.length + sampleRate);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < recording.length; i++) {
+    const x = i >= 240 && i - 240 < sweep.length ? sweep[i - 240] : 0;
+    const y = (b[0] * x + b[1] * x1 + b[2] * x2 - a[1] * y1 - a[2] * y2) / a[0];
+    x2 = x1; x1 = x; y2 = y1; y1 = y;
+    recording[i] = y;
+  }
+
+  const result = analyseSweep(recording, options);
+  assertTrue('Latency of a 240-sample delay', Math.abs(result.latencySamples - 240) < 0.1 && Math.abs(result.latencyMs - 5) < 0.01,
+    `${result.latencySamples.toFixed(2)} samples`, '240.00 samples');
+
+  let worstDb = 0;
+  let worstDeg = 0;
+  result.frequencies.forEach((f, i) => {
+    if (f < 50 || f > 10000) return;
+    const expected = response(f);
+    worstDb = Math.max(worstDb, Math.abs(result.magnitudeDb[i] - expected.db));
+    worstDeg = Math.max(worstDeg, Math.abs(result.phaseDeg[i] - expected.deg));
+  });
+  assertTrue('Magnitude follows the EQ (50 Hz–10 kHz)', worstDb < 0.1, `±${worstDb.toFixed(3)} dB`, '< ±0.1 dB');
+  assertTrue('Phase follows the EQ (50 Hz–10 kHz)', worstDeg < 1, `±${worstDeg.toFixed(2)}°`, '< ±1°');
+
+  // Memoryless nonlinearity x + 0.5x² + 2x³: H2 = 0.25a, H3 = 0.5a², both over the fundamental a(1 + 1.5a²)
+  const distorted = new Float32Array(sweep.length + sampleRate);
+  sweep.forEach((x, i) => { distorted[i + 100] = x + 0.5 * x * x + 2 * x * x * x; });
+  const harmonics = analyseSweep(distorted, options);
+  const k = harmonics.frequencies.findIndex(f => f >= 999);
+  const amplitude = Math.pow(10, -12 / 20);
+  const h2 = 20 * Math.log10(0.25 * amplitude / (1 + 1.5 * amplitude * amplitude));
+  const h3 = 20 * Math.log10(0.5 * amplitude * amplitude / (1 + 1.5 * amplitude * amplitude));
+  const [m2, m3, m4] = harmonics.harmonics.map(h => h.levelDb[k]);
+  assertTrue('H2 and H3 at 1 kHz', Math.abs(m2 - h2) < 0.3 && Math.abs(m3 - h3) < 0.3,
+    `${m2.toFixed(1)} / ${m3.toFixed(1)} dBc`, `${h2.toFixed(1)} / ${h3.toFixed(1)} dBc`);
+  assertTrue('No H4 from a cubic', m4 < -80, `${m4.toFixed(0)} dBc`, '< -80 dBc');
+  assertTrue('Harmonics above the band are NaN', Number.isNaN(harmonics.harmonics[0].levelDb[harmonics.frequencies.length - 1]),
+    'NaN', 'NaN');
+
+  assertTrue('Silence gives no result', analyseSweep(new Float32Array(recording.length), options) === null, 'null', 'null');
+
+  // Sweep file: lead-in silence, analysed with the matching offset after a WAV round trip
+  const file = generateSweepFile(options);
+  const lead = SWEEP_FILE_LEAD_S * sampleRate;
+  const { channels } = decodeWav(encodeWav([file, file], sampleRate));
+  const fromFile = analyseSweep(channels[1], { ...options, offset: lead });
+  assertTrue('Sweep file analysed at its lead-in', file[lead - 1] === 0 && Math.abs(fromFile.latencySamples) < 0.1 &&
+    Math.abs(fromFile.magnitudeDb[k]) < 0.05, `${fromFile.latencySamples.toFixed(2)} samples, ${fromFile.magnitudeDb[k].toFixed(2)} dB`,
+  '0.00 samples, 0.00 dB');
+
+  let threw = false;
+  try {
+    analyseSweep(sweep.subarray(0, 1000), options);
+  } catch (e) {
+    threw = e instanceof RangeError;
+  }
+  assertTrue('Recording shorter than the sweep throws RangeError', threw, threw, true);
+
+  threw = false;
+  try {
+    generateSweep({ sampleRate, endHz: 24000 });
+  } catch (e) {
+    threw = e instanceof RangeError;
+  }
+  assertTrue('Band reaching Nyquist throws RangeError', threw, threw, true);
+}
+
+function testLatency() {
+  console.log('\n--- Round-trip Latency ---');
+
+  const { generateLatencyMarker, detectLatencyMarker, LatencyMeter } = require('../src/metering/latency.js');
+
+  const sampleRate = 48000;
+  let seed = 11;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647 - 0.5;
+
+  const mls = generateLatencyMarker('mls', { sampleRate });
+  const positive = mls.reduce((n, v) => n + (v > 0 ? 1 : 0), 0);
+  assertTrue('MLS is 2^14 − 1 samples, balanced', mls.length === 16383 && positive === 8192,
+    `${mls.length}, ${positive} positive`, '16383, 8192 positive');
+
+  // Loop: offset 4800 (0.1 s lead), fractional delay by linear interpolation, gain, noise
+  const loop = (marker, delay, gain, noise = 0) => {
+    const offset = 4800;
+    const recording = new Float32Array(offset + marker.length + sampleRate);
+    for (let i = 0; i < recording.length; i++) {
+      const t = i - offset - delay;
+      const k = Math.floor(t);
+      const f = t - k;
+      const x = (k >= 0 && k < marker.length ? marker[k] * (1 - f) : 0) +
+        (k + 1 >= 0 && k + 1 < marker.length ? marker[k + 1] * f : 0);
+      recording[i] = gain * x + noise * random();
+    }
+    return { recording, offset };
+  };
+
+  for (const type of ['mls', 'chirp', 'clicks']) {
+    const marker = generateLatencyMarker(type, { sampleRate });
+    const { recording, offset } = loop(marker, 1234.5, 0.5);
+    const estimate = detectLatencyMarker(recording, marker, { sampleRate, offset });
+    assertTrue(`${type}: 1234.5 samples found`, Math.abs(estimate.delaySamples - 1234.5) < 0.05 &&
+      Math.abs(estimate.delayMs - 25.71875) < 0.001 && estimate.polarity === 'normal',
+    `${estimate.delaySamples.toFixed(2)} samples (${estimate.delayMs.toFixed(3)} ms)`, '1234.50 samples (25.719 ms)');
+  }
+
+  let { recording, offset } = loop(mls, 480, -0.1, 0.2);
+  let estimate = detectLatencyMarker(recording, mls, { sampleRate, offset });
+  assertTrue('MLS found inverted under noise above its level', Math.abs(estimate.delaySamples - 480) < 0.1 &&
+    estimate.polarity === 'inverted' && estimate.confidence > 0.3,
+  `${estimate.delaySamples.toFixed(2)} ${estimate.polarity}, confidence ${estimate.confidence.toFixed(2)}`, '480.00 inverted, > 0.30');
+
+  ({ recording, offset } = loop(mls, 480, 0, 0.2));
+  estimate = detectLatencyMarker(recording, mls, { sampleRate, offset });
+  assertTrue('Noise without the marker gives low confidence', estimate.confidence < 0.1, estimate.confidence.toFixed(3), '< 0.100');
+  assertTrue('Silence gives no estimate', detectLatencyMarker(new Float32Array(recording.length), mls, { sampleRate, offset }) === null,
+    'null', 'null');
+
+  // Ping series: 10.0, 10.2 and 9.8 ms found, one lost
+  const meter = new LatencyMeter();
+  for (const delayMs of [10, 10.2, 9.8]) {
+    meter.add({ delaySamples: delayMs * 48, delayMs, polarity: 'normal', confidence: 0.9 }, 0);
+  }
+  meter.add(estimate, 0);
+  const stats = meter.statistics;
+  assertTrue('Mean, jitter and peak-to-peak over the pings', Math.abs(stats.meanMs - 10) < 1e-9 &&
+    Math.abs(stats.jitterMs - Math.sqrt(0.08 / 3)) < 1e-9 && Math.abs(stats.peakToPeakMs - 0.4) < 1e-9,
+  `${stats.meanMs.toFixed(3)} ± ${stats.jitterMs.toFixed(4)}, p-p ${stats.peakToPeakMs.toFixed(2)}`, '10.000 ± 0.1633, p-p 0.40');
+  assertTrue('Low-confidence ping counted as lost', stats.count === 3 && stats.lost === 1, `${stats.count} / ${stats.lost} lost`, '3 / 1 lost');
+
+  let threw = false;
+  try {
+    generateLatencyMarker('beep', { sampleRate });
+  } catch (e) {
+    threw = e instanceof RangeError;
+  }
+  assertTrue('Unknown marker throws RangeError', threw, threw, true);
+}
+
+function testNoiseMeter() {
+  console.log('\n--- Line Noise (ITU-R 468, CCIR/ARM, A) ---');
+
+  const { noiseWeightingGainDb, calculateQuasiPeak468, NoiseDetector, NoiseMeter } = require('../src/metering/noise.js');
+  const { weightingGainDb } = require('../src/metering/weighting.js');
+  const { StreamMeter } = require('../src/metering/stream-meter.js');
+
+  const sampleRate = 48000;
+  const tone = (freq, seconds, amplitude = 1) =>
+    Float32Array.from({ length: Math.round(seconds * sampleRate) }, (_, i) => amplitude * Math.sin(2 * Math.PI * freq * i / sampleRate));
+
+  // Filters against the analytic curves, 31.5 Hz – 20 kHz
+  for (const [weighting, tolerance] of [['468', 0.3], ['A', 0.2]]) {
+    let worst = 0;
+    for (let f = 31.5; f <= 20000; f *= 1.02) {
+      const error = noiseWeightingGainDb(weighting, f, sampleRate) - weightingGainDb(weighting, f);
+      if (Math.abs(error) > Math.abs(worst)) worst = error;
+    }
+    assertTrue(`${weighting} filter follows the curve to 20 kHz`, Math.abs(worst) < tolerance,
+      `worst ${worst.toFixed(3)} dB`, `< ${tolerance} dB`);
+  }
+  const arm1k = noiseWeightingGainDb('ARM', 1000, sampleRate);
+  assertTrue('ARM: 0 dB at 2 kHz, 468 curve −5.6 dB', Math.abs(noiseWeightingGainDb('ARM', 2000, sampleRate)) < 1e-9 &&
+    Math.abs(arm1k + 5.6) < 0.05, `${arm1k.toFixed(2)} dB at 1 kHz`, '−5.60 dB at 1 kHz');
+
+  // Steady sines at −38 dBFS peak (−20 dBu) read their level
+  const reading = (freq) => new NoiseDetector(sampleRate).process(tone(freq, 8, Math.pow(10, -38 / 20)));
+  const at1k = reading(1000);
+  const at2k = reading(2000);
+  assertTrue('1 kHz sine: 468 and A read −38.0 dBFS', Math.abs(at1k['468'] + 38) < 0.1 && Math.abs(at1k.A + 38) < 0.1,
+    `${at1k['468'].toFixed(2)}, ${at1k.A.toFixed(2)}`, '−38.00 ± 0.10');
+  assertTrue('2 kHz sine: ARM reads −38.0 dBFS', Math.abs(at2k.ARM + 38) < 0.1, at2k.ARM.toFixed(2), '−38.00 ± 0.10');
+  const at6k3 = reading(6300);
+  assertTrue('6.3 kHz reads +12.2 dB on 468', Math.abs(at6k3['468'] - at1k['468'] - 12.2) < 0.3,
+    `${(at6k3['468'] - at1k['468']).toFixed(2)} dB`, '+12.2 ± 0.3 dB');
+
+  // BS.468-4 tone bursts (5 kHz), against the steady reading, in render quanta
+  const steady = calculateQuasiPeak468(tone(5000, 1), sampleRate, { first: 0, second: 0 });
+  const burst = (ms) => {
+    const signal = new Float32Array(sampleRate);
+    signal.set(tone(5000, ms / 1000));
+    const state = { first: 0, second: 0 };
+    let max = -Infinity;
+    for (let i = 0; i < signal.length; i += 128) {
+      max = Math.max(max, calculateQuasiPeak468(signal.subarray(i, i + 128), sampleRate, state));
+    }
+    return max - steady;
+  };
+  const bursts = [[1, -17.0], [2, -13.3], [5, -9.0], [200, 0]].map(([ms, expected]) => [ms, burst(ms), expected]);
+  assertTrue('468 tone bursts 1, 2, 5, 200 ms', bursts.every(([, value, expected]) => Math.abs(value - expected) < 0.5),
+    bursts.map(([ms, value]) => `${ms} ms ${value.toFixed(1)}`).join(', '), '−17.0, −13.3, −9.0, 0 ± 0.5');
+
+  // StreamMeter carries the same readings as one detector fed in one piece
+  const noise = Float32Array.from({ length: sampleRate }, (_, i) => 0.01 * Math.sin(i * 12.9898) * Math.sin(i * 0.37));
+  const blocks = new StreamMeter({ sampleRate, noise: true }).process([noise, noise]);
+  const direct = new NoiseDetector(sampleRate).process(noise);
+  const last = blocks[blocks.length - 1].noise[1];
+  assertTrue('StreamMeter noise option matches the detector', ['468', 'ARM', 'A'].every(w => Math.abs(last[w] - direct[w]) < 1e-6) &&
+    new StreamMeter({ sampleRate }).process([noise, noise])[0].noise === undefined,
+  `${last['468'].toFixed(2)} / ${direct['468'].toFixed(2)}`, 'equal, absent without the option');
+
+  // History: one point per second from the louder leg, trimmed to historyMs
+  const meter = new NoiseMeter({ sampleRate, historyMs: 3000 });
+  const levels = (left, right) => [{ '468': left, 'ARM': left - 6, 'A': left - 3 }, { '468': right, 'ARM': right - 6, 'A': right - 3 }];
+  for (let t = 0; t <= 5000; t += 100) meter.updateLevels(levels(-80 + t / 1000, -90), t);
+  const state = meter.getState();
+  assertTrue('History: one point per second, oldest trimmed', meter.history['468'].length === 4 && meter.history.ARM.length === 4 &&
+    meter.history['468'][0].time === 2000, meter.history['468'].map(p => p.time / 1000).join(', '), '2, 3, 4, 5');
+  assertTrue('Highest and lowest history point per weighting', Math.abs(state['468'].maxDbfs + 75.1) < 1e-9 &&
+    Math.abs(state['468'].minDbfs + 78.1) < 1e-9 && Math.abs(state.A.maxDbfs + 78.1) < 1e-9 && state['468'].right === -90,
+  `${state['468'].minDbfs.toFixed(1)} … ${state['468'].maxDbfs.toFixed(1)}, A ${state.A.maxDbfs.toFixed(1)}`, '−78.1 … −75.1, A −78.1');
+}
+
+async function testSessionReport() {
+  console.log('\n--- Session Report (HTML/JSON/CSV, SHA-256) ---');
+
+  const { formatSessionReport, verifySessionReport, buildSessionReport } = require('../src/utils/session-report.js');
+  const { createHash } = require('node:crypto');
+  const { meterState, recordSessionLoudness } = require('../src/app/meter-state.js');
+
+  /** @type {import('../src/utils/session-report.js').SessionReportData} */
+  const data = {
+    generator: 'VERO-BAAMBI',
+    source: { kind: 'external', device: 'Interface "A", <USB>', sampleRate: 48000, channelLayout: '2.0' },
+    profile: { id: 'ebu-r128', name: 'EBU R128', targetLufs: -23 },
+    start: Date.UTC(2026, 0, 1, 12, 0, 0),
+    end: Date.UTC(2026, 0, 1, 12, 30, 0),
+    loudness: { integrated: -23.044, lra: 6.2, maxMomentary: -14.9, maxShortTerm: -18.3 },
+    truePeak: [{ label: 'L', max: -1.26 }, { label: 'R', max: -Infinity }],
+    compliance: { profile: 'ebu-r128', pass: true, speechGated: false, checks: [{ name: 'integrated', value: -23.044, limit: 0.5, pass: true }] },
+    alarms: [{ id: 1, ruleId: 'silence', name: 'Silence', severity: 'critical', start: Date.UTC(2026, 0, 1, 12, 10), end: null, value: -82, unit: 'dBFS' }],
+    curve: { interval: 1, shortTerm: [-Infinity, -24.2, -23.1, -22.8] }
+  };
+
+  const report = buildSessionReport(data);
+  assertTrue('Values rounded, non-finite as null',
+    report.loudness.integrated === -23.04 && report.truePeak.channels[1].max === null && report.curve.shortTerm[0] === null,
+    `${report.loudness.integrated}, ${report.truePeak.channels[1].max}`, '-23.04, null');
+  assertTrue('Times in ISO 8601 UTC', report.session.start === '2026-01-01T12:00:00.000Z' && report.alarms[0].end === null,
+    report.session.start, '2026-01-01T12:00:00.000Z');
+
+  /** @type {('html'|'json'|'csv')[]} */
+  const formats = ['html', 'json', 'csv'];
+  for (const format of formats) {
+    const text = await formatSessionReport(data, format);
+    const verified = await verifySessionReport(text, format);
+    const tampered = await verifySessionReport(text.replace('-23.04', '-23.01'), format);
+    assertTrue(`${format.toUpperCase()} digest verifies`, verified, String(verified), 'true');
+    assertTrue(`${format.toUpperCase()} edit detected`, !tampered, tampered ? 'accepted' : 'rejected', 'rejected');
+  }
+
+  // Independent SHA-256 (Node crypto) over the CSV body
+  const csv = await formatSessionReport(data, 'csv');
+  const trailer = csv.lastIndexOf('# SHA-256,');
+  const expected = createHash('sha256').update(csv.slice(0, trailer), 'utf8').digest('hex');
+  assertTrue('CSV digest matches Node SHA-256', csv.slice(trailer + 10, trailer + 74) === expected,
+    csv.slice(trailer + 10, trailer + 18), expected.slice(0, 8));
+
+  const html = await formatSessionReport(data, 'html');
+  assertTrue('HTML escapes device names', html.includes('Interface &quot;A&quot;, &lt;USB&gt;') && !html.includes('<USB>'),
+    'escaped', 'escaped');
+
+  let rejected = false;
+  try {
+    await formatSessionReport(data, /** @type {any} */ ('xml'));
+  } catch (error) {
+    rejected = error instanceof RangeError;
+  }
+  assertTrue('Unknown report format', rejected, rejected ? 'RangeError' : 'no RangeError', 'RangeError');
+
+  // Session curve halves its resolution instead of growing without bound
+  for (let t = 0; t <= 7200; t++) recordSessionLoudness(t, -23);
+  assertTrue('Session curve stays bounded', meterState.sessionCurve.length === 3601 && meterState.sessionCurveInterval === 2,
+    `${meterState.sessionCurve.length} @ ${meterState.sessionCurveInterval} s`, '3601 @ 2 s');
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // RUN TESTS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -589,11 +2361,38 @@ testTruePeakIntersample();
 testLufsIntegration();
 testPpmBallistics();
 testStereoWidthBalance();
-
-console.log('\n═══════════════════════════════════════════════════════════════');
-console.log(`Results: ${GREEN}${passed} passed${RESET}, ${RED}${failed} failed${RESET}, ${YELLOW}${warnings} warnings${RESET}`);
-console.log('═══════════════════════════════════════════════════════════════\n');
-
-if (failed > 0) {
-  process.exit(1);
-}
+testStreamMeter();
+testTruePeakPolyphase();
+testLufsGating();
+testLoudnessRange();
+testMultichannel();
+testKWeightingSampleRates();
+testProgrammeAnalysis();
+testWavReader();
+testCompliance();
+testPPMStandards();
+testEBUMode();
+testAlarms();
+testLoudnessTimeline();
+testMetricsRecording();
+testNormalisation();
+testRta();
+testFft();
+testGoniometer();
+testLineup();
+testToneAnalysis();
+testChannelDelay();
+testSweepAnalysis();
+testLatency();
+testNoiseMeter();
+
+// WebCrypto digests are asynchronous: the report test runs last
+testSessionReport().then(() => {
+  console.log('\n═══════════════════════════════════════════════════════════════');
+  console.log(`Results: ${GREEN}${passed} passed${RESET}, ${RED}${failed} failed${RESET}, ${YELLOW}${warnings} warnings${RESET}`);
+  console.log('═══════════════════════════════════════════════════════════════\n');
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+});
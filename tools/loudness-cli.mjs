@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TSG Suite – broadcast tools for alignment, metering, and signal verification
+ * Maintained by David Thåst  ·  https://github.com/FiLORUX
+ *
+ * Built with the assumption that behaviour should be predictable,
+ * output should be verifiable, and silence should mean silence
+ *
+ * david@thast.se  ·  +46 700 30 30 60
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * LOUDNESS CLI
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Measures WAV files from the command line with the same metering code as
+ * the browser (src/metering: ProgrammeAnalyser → StreamMeter, LUFSMeter,
+ * TruePeakMeter), so ingest scripts can gate files on identical numbers.
+ *
+ * USAGE
+ * ─────
+ *   node tools/loudness-cli.mjs [options] <file.wav> [more.wav …]
+ *
+ *   --format json|csv     Report format (default: json)
+ *   --profile <id>        Check against a compliance profile
+ *   --oversampling <n>    True Peak oversampling: auto, 1, 2, 4, 8 (default: auto)
+ *   --curves              Include 10 Hz loudness/True Peak curves (JSON only)
+ *   --list-profiles       Print the available profiles and exit
+ *   -h, --help            Print usage and exit
+ *
+ * EXIT STATUS
+ * ───────────
+ *   0   All files measured (and passed the profile, if given)
+ *   1   At least one file failed the profile
+ *   2   Usage error, or a file could not be read
+ *
+ * Files are streamed in 10 s chunks, so memory use does not grow with
+ * programme length. Reports go to stdout, diagnostics to stderr.
+ *
+ * @module tools/loudness-cli
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { openSync, readSync, closeSync, fstatSync } from 'node:fs';
+import { basename } from 'node:path';
+import { ProgrammeAnalyser, ANALYSIS_CHUNK_S } from '../src/metering/programme-analysis.js';
+import { COMPLIANCE_PROFILES, getComplianceProfile, evaluateCompliance } from '../src/metering/compliance.js';
+import { readWavHeader, decodeWavSamples } from '../src/utils/wav.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const EXIT_PASS = 0;
+const EXIT_COMPLIANCE_FAIL = 1;
+const EXIT_ERROR = 2;
+
+/** First read when looking for the data chunk; doubled until found */
+const HEADER_READ_BYTES = 64 * 1024;
+
+/** Give up on files whose metadata before 'data' exceeds this */
+const HEADER_MAX_BYTES = 64 * 1024 * 1024;
+
+/** Layout reported for one-channel files (no BS.2051 layout; empty means unknown) */
+const MONO_LAYOUT = 'mono';
+
+/** Decimal places in reports (0.01 LU / dB is below any delivery tolerance) */
+const REPORT_DECIMALS = 2;
+
+const CSV_COLUMNS = [
+  'file',
+  'sample_rate',
+  'channels',
+  'layout',
+  'duration_s',
+  'integrated_lufs',
+  'lra_lu',
+  'max_momentary_lufs',
+  'max_short_term_lufs',
+  'true_peak_dbtp',
+  'correlation',
+  'profile',
+  'pass'
+];
+
+const USAGE = `Usage: node tools/loudness-cli.mjs [options] <file.wav> [more.wav …]
+
+Options:
+  --format json|csv     Report format (default: json)
+  --profile <id>        Check against a compliance profile (exit 1 on failure)
+  --oversampling <n>    True Peak oversampling: auto, 1, 2, 4, 8 (default: auto)
+  --curves              Include 10 Hz loudness/True Peak curves (JSON only)
+  --list-profiles       Print the available profiles and exit
+  -h, --help            Print this help and exit
+`;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ARGUMENTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} CliOptions
+ * @property {'json'|'csv'} format
+ * @property {import('../src/metering/compliance.js').ComplianceProfile|null} profile
+ * @property {import('../src/metering/true-peak.js').TruePeakOversampling} oversampling
+ * @property {boolean} curves
+ * @property {boolean} listProfiles
+ * @property {boolean} help
+ * @property {string[]} files
+ */
+
+/**
+ * @param {string[]} args - Command-line arguments after the script name
+ * @returns {CliOptions} Parsed options
+ * @throws {Error} On unknown options or invalid values
+ */
+function parseArgs(args) {
+  /** @type {CliOptions} */
+  const options = {
+    format: 'json',
+    profile: null,
+    oversampling: 'auto',
+    curves: false,
+    listProfiles: false,
+    help: false,
+    files: []
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = () => {
+      if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+      return args[++i];
+    };
+
+    switch (arg) {
+      case '--format': {
+        const format = value();
+        if (format !== 'json' && format !== 'csv') throw new Error(`Unknown format: ${format}`);
+        options.format = format;
+        break;
+      }
+      case '--profile':
+        options.profile = getComplianceProfile(value());
+        break;
+      case '--oversampling': {
+        const factor = value();
+        if (factor === 'auto') {
+          options.oversampling = 'auto';
+        } else if (['1', '2', '4', '8'].includes(factor)) {
+          options.oversampling = /** @type {1|2|4|8} */ (Number(factor));
+        } else {
+          throw new Error(`Invalid oversampling: ${factor}`);
+        }
+        break;
+      }
+      case '--curves':
+        options.curves = true;
+        break;
+      case '--list-profiles':
+        options.listProfiles = true;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('-') && arg !== '-') throw new Error(`Unknown option: ${arg}`);
+        options.files.push(arg);
+    }
+  }
+
+  return options;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FILE ANALYSIS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Read the WAV header, growing the read until the data chunk is found.
+ *
+ * @param {number} fd - Open file descriptor
+ * @param {number} fileSize - File size in bytes
+ * @returns {import('../src/utils/wav.js').WavFormat} Format and data location
+ */
+function readHeader(fd, fileSize) {
+  let length = Math.min(HEADER_READ_BYTES, fileSize);
+
+  for (;;) {
+    const prefix = Buffer.alloc(length);
+    const read = readSync(fd, prefix, 0, length, 0);
+    const format = readWavHeader(prefix.subarray(0, read));
+    if (format) return format;
+
+    if (length >= fileSize || length >= HEADER_MAX_BYTES) {
+      throw new Error('No data chunk found');
+    }
+    length = Math.min(length * 2, fileSize, HEADER_MAX_BYTES);
+  }
+}
+
+/**
+ * Measure one WAV file.
+ *
+ * @param {string} path - File path
+ * @param {CliOptions} options - Parsed options
+ * @returns {Object} Report entry for output
+ */
+function analyseFile(path, options) {
+  const fd = openSync(path, 'r');
+
+  try {
+    const fileSize = fstatSync(fd).size;
+    const format = readHeader(fd, fileSize);
+
+    const analyser = new ProgrammeAnalyser({
+      sampleRate: format.sampleRate,
+      channelCount: format.channelCount,
+      oversampling: options.oversampling
+    });
+
+    // Files still being written may report more data than exists
+    const dataEnd = Math.min(format.dataOffset + format.dataLength, fileSize);
+    const chunkBytes = Math.round(format.sampleRate * ANALYSIS_CHUNK_S) * format.blockAlign;
+    const buffer = Buffer.alloc(chunkBytes);
+    let position = format.dataOffset;
+
+    while (position < dataEnd) {
+      const wanted = Math.min(chunkBytes, dataEnd - position);
+      const read = readSync(fd, buffer, 0, wanted, position);
+      if (read === 0) break;
+
+      analyser.process(decodeWavSamples(buffer.subarray(0, read), format));
+      position += read;
+    }
+
+    const report = analyser.finish();
+    const compliance = options.profile ? evaluateCompliance(report, options.profile) : null;
+
+    return {
+      file: path,
+      format: {
+        encoding: format.encoding,
+        bitsPerSample: format.bitsPerSample,
+        sampleRate: format.sampleRate,
+        channelCount: format.channelCount
+      },
+      ...report,
+      layout: report.layout ?? (format.channelCount === 1 ? MONO_LAYOUT : null),
+      curves: options.curves ? report.curves : undefined,
+      compliance
+    };
+  } finally {
+    closeSync(fd);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// OUTPUT
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * JSON replacer: round measurements and write non-finite values as null
+ * (JSON has no −Infinity; a fully gated or silent programme reads null).
+ */
+function jsonValue(_key, value) {
+  if (typeof value !== 'number') return value;
+  if (!Number.isFinite(value)) return null;
+  return Number(value.toFixed(REPORT_DECIMALS));
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string} CSV field (empty for missing or non-finite values)
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? value.toFixed(REPORT_DECIMALS) : '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Object[]} entries - Report entries from analyseFile()
+ * @returns {string} CSV document, one row per file
+ */
+function formatCsv(entries) {
+  const rows = entries.map(entry => [
+    basename(entry.file),
+    String(entry.sampleRate),
+    String(entry.channelCount),
+    entry.layout,
+    entry.duration,
+    entry.integrated,
+    entry.lra,
+    entry.maxMomentary,
+    entry.maxShortTerm,
+    entry.truePeakMax,
+    entry.correlation,
+    entry.compliance ? entry.compliance.profile : null,
+    entry.compliance ? String(entry.compliance.pass) : null
+  ].map(csvField).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+function listProfiles() {
+  for (const profile of Object.values(COMPLIANCE_PROFILES)) {
+    const limits = [
+      `${profile.targetLufs} LUFS ±${profile.toleranceLu} LU`,
+      `TP ≤ ${profile.truePeakMax} dBTP`
+    ];
+    if (profile.maxLra !== null) limits.push(`LRA ≤ ${profile.maxLra} LU`);
+    if (profile.maxShortTerm !== null) limits.push(`S ≤ ${profile.maxShortTerm} LUFS`);
+    if (profile.gating === 'ungated') limits.push('ungated');
+    if (profile.speechGated) limits.push('speech-gated (checked level-gated)');
+    process.stdout.write(`${profile.id.padEnd(16)}${profile.name.padEnd(20)}${limits.join(', ')}\n`);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN
+// ─────────────────────────────────────────────────────────────────────────────
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return EXIT_PASS;
+  }
+  if (options.listProfiles) {
+    listProfiles();
+    return EXIT_PASS;
+  }
+  if (options.files.length === 0) {
+    process.stderr.write(USAGE);
+    return EXIT_ERROR;
+  }
+
+  const entries = [];
+  let readError = false;
+
+  for (const path of options.files) {
+    try {
+      entries.push(analyseFile(path, options));
+    } catch (error) {
+      process.stderr.write(`[LoudnessCLI] ${path}: ${error.message}\n`);
+      readError = true;
+    }
+  }
+
+  if (options.format === 'csv') {
+    process.stdout.write(formatCsv(entries));
+  } else {
+    process.stdout.write(JSON.stringify(entries, jsonValue, 2) + '\n');
+  }
+
+  if (readError) return EXIT_ERROR;
+  if (entries.some(entry => entry.compliance && !entry.compliance.pass)) return EXIT_COMPLIANCE_FAIL;
+  return EXIT_PASS;
+}
+
+process.exitCode = main();